@@ -0,0 +1,49 @@
+require('dotenv').config();
+
+const { pool } = require('../src/config/database.config');
+const Migrator = require('../src/utils/migrator');
+const Helpers = require('../src/utils/helpers');
+
+/**
+ * Usage:
+ *   node scripts/migrate.js             Apply pending migrations
+ *   node scripts/migrate.js rollback [n] Roll back the last n migrations (default 1)
+ *   node scripts/migrate.js status       List applied and pending migrations
+ */
+const run = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up':
+      await Migrator.migrate();
+      break;
+
+    case 'rollback': {
+      const steps = parseInt(arg) || 1;
+      const rolledBack = await Migrator.rollback(steps);
+      Helpers.log(`Rolled back ${rolledBack.length} migration(s)`, 'success');
+      break;
+    }
+
+    case 'status': {
+      const migrations = await Migrator.status();
+      migrations.forEach(migration => {
+        const state = migration.applied ? 'applied' : 'pending';
+        const note = migration.modified ? ' (modified since applied)' : '';
+        console.log(`${migration.version}_${migration.name}: ${state}${note}`);
+      });
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}". Use up, rollback or status.`);
+  }
+};
+
+run()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    Helpers.log(`Migration failed: ${error.message}`, 'error');
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,29 @@
+require('dotenv').config();
+
+const { pool } = require('../src/config/database.config');
+const Migrator = require('../src/utils/migrator');
+const Helpers = require('../src/utils/helpers');
+
+/**
+ * Drop everything by rolling back all migrations, then rebuild.
+ */
+const run = async () => {
+  if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+    throw new Error('Refusing to reset a production database without --force');
+  }
+
+  const rolledBack = await Migrator.reset();
+  Helpers.log(`Rolled back ${rolledBack.length} migration(s)`, 'info');
+
+  await Migrator.migrate();
+
+  Helpers.log('Database reset complete', 'success');
+};
+
+run()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    Helpers.log(`Reset failed: ${error.message}`, 'error');
+    await pool.end();
+    process.exit(1);
+  });
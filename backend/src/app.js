@@ -13,8 +13,13 @@ const databaseConfig = require('./config/database.config');
 
 // Import utilities
 const DatabaseUtils = require('./utils/database');
+const Migrator = require('./utils/migrator');
 const Helpers = require('./utils/helpers');
 
+// Import services
+const TrashService = require('./services/trash.service');
+const DigestService = require('./services/digest.service');
+
 // Import middleware
 const { errorHandler, notFound, requestLogger } = require('./middleware/error.middleware');
 const { authenticateToken } = require('./middleware/auth.middleware');
@@ -52,6 +57,15 @@ class App {
       
       Helpers.log('Database connection established successfully', 'success');
       
+      // Bring the schema up to date before any request touches it
+      await Migrator.migrate();
+      
+      // Deleted data is kept in the trash until its retention period runs out
+      TrashService.startPurgeSchedule();
+      
+      // Weekly and monthly digests are sent once their period is over
+      DigestService.startSchedule();
+      
       // Optional: Run database optimizations on startup
       if (appConfig.environment === 'production') {
         try {
@@ -390,7 +404,11 @@ class App {
             'GET /:accountKey/stats - Get account statistics',
             'PUT /:accountKey - Update account',
             'DELETE /:accountKey - Clear account data',
-            'POST /:accountKey/recalculate - Recalculate balances'
+            'POST /:accountKey/recalculate - Recalculate balances',
+            'GET /:accountKey/ledger - Get balance ledger with running balance',
+            'GET /:accountKey/reconcile - Compare with the sportsbook balance',
+            'POST /:accountKey/reconcile - Record a reconciliation',
+            'GET /:accountKey/reconciliations - Get reconciliation history'
           ]
         },
         transactions: {
@@ -417,7 +435,8 @@ class App {
             'GET /streak - Get betting streak info',
             'GET /:id - Get specific bet',
             'POST / - Create bet',
-            'PUT /:id - Update bet status',
+            'PUT /:id - Edit or settle bet',
+            'GET /:id/history - Get bet edit history',
             'DELETE /:id - Delete bet',
             'POST /:id/settle - Settle bet'
           ]
@@ -425,9 +444,13 @@ class App {
         bulk: {
           base: '/api',
           endpoints: [
-            'POST /bulk-import - Import bulk data',
+            'GET /bulk-import/formats - List import formats',
+            'POST /bulk-import/preview - Preview bulk import',
+            'POST /bulk-import/commit - Commit previewed bulk import',
             'DELETE /reset - Reset all user data',
-            'GET /export - Export data to CSV'
+            'GET /export - Export data to CSV',
+            'GET /backup - Download JSON backup',
+            'POST /restore - Restore JSON backup'
           ]
         }
       },
@@ -485,6 +508,9 @@ class App {
         Helpers.log('HTTP server closed', 'info');
       }
 
+      TrashService.stopPurgeSchedule();
+      DigestService.stopSchedule();
+
       // Close database connections
       await DatabaseUtils.close();
       Helpers.log('Database connections closed', 'info');
@@ -61,6 +61,30 @@ const environment = process.env.NODE_ENV || 'development';
 
 module.exports = {
   ...config[environment],
+  trash: {
+    // Deleted data can be restored for this many days before it is purged
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+    purgeIntervalMs: 60 * 60 * 1000 // 1 hour
+  },
+  limits: {
+    // Raising or removing a gambling limit only takes effect after this many days
+    coolingOffDays: parseInt(process.env.LIMIT_COOLING_OFF_DAYS) || 7
+  },
+  digests: {
+    // Checked hourly by default; each subscription is sent once per week or month
+    schedule: process.env.DIGEST_SCHEDULE || '0 * * * *',
+    enabled: process.env.DIGESTS_ENABLED !== 'false',
+    // Defaults suit a local SMTP capture such as MailHog
+    smtp: {
+      host: process.env.EMAIL_HOST || 'localhost',
+      port: parseInt(process.env.EMAIL_PORT) || 1025,
+      secure: process.env.EMAIL_SECURE === 'true',
+      user: process.env.EMAIL_USER || null,
+      pass: process.env.EMAIL_PASS || null,
+      from: process.env.EMAIL_FROM || 'Sportsbook Tracker <digests@localhost>'
+    },
+    webhookTimeoutMs: parseInt(process.env.DIGEST_WEBHOOK_TIMEOUT_MS) || 10000
+  },
   environment: environment,
   version: process.env.API_VERSION || '1.0.0'
 };
\ No newline at end of file
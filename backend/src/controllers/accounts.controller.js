@@ -1,4 +1,29 @@
 const { pool } = require('../config/database.config');
+const LedgerModel = require('../models/Ledger.model');
+const AccountModel = require('../models/Account.model');
+const ExchangeRateModel = require('../models/ExchangeRate.model');
+const AccountService = require('../services/account.service');
+const BankrollService = require('../services/bankroll.service');
+const ReconciliationService = require('../services/reconciliation.service');
+const TrashService = require('../services/trash.service');
+const DateUtils = require('../utils/dates');
+
+/**
+ * An account's balance and totals in the user's base currency, with the
+ * latest rate between the two. When there is no rate yet the rate is null
+ * and the converted totals are left out.
+ */
+const baseTotals = (account, transactions, fx) => {
+  const flows = transactions
+    .filter(t => t.type === 'deposit' || t.type === 'withdrawal')
+    .map(t => ({ type: t.type, amount: t.amount, date: t.transaction_date }));
+  
+  return {
+    currency: fx.baseCurrency,
+    rate: fx.rateFor(account.currency),
+    ...AccountModel.convertTotals(account, flows, fx)
+  };
+};
 
 class AccountsController {
   async getAllAccounts(req, res, next) {
@@ -9,36 +34,46 @@ class AccountsController {
       try {
         // Get accounts
         const [accounts] = await connection.execute(
-          'SELECT * FROM accounts WHERE user_id = ? ORDER BY name',
+          'SELECT * FROM accounts WHERE user_id = ? ORDER BY archived_at IS NOT NULL, name',
           [userId]
         );
         
+        const fx = await ExchangeRateModel.getConverter(userId, connection);
+        
         const accountsData = {};
         
         for (const account of accounts) {
           // Get transactions
           const [transactions] = await connection.execute(
-            'SELECT * FROM transactions WHERE account_id = ? ORDER BY transaction_date DESC',
+            'SELECT * FROM transactions WHERE account_id = ? AND trash_id IS NULL ORDER BY transaction_date DESC, transaction_time DESC',
             [account.id]
           );
           
           // Get bets
           const [bets] = await connection.execute(
-            'SELECT * FROM bets WHERE account_id = ? ORDER BY bet_date DESC',
+            'SELECT * FROM bets WHERE account_id = ? AND trash_id IS NULL ORDER BY bet_date DESC, bet_time DESC',
             [account.id]
           );
           
           accountsData[account.account_key] = {
             name: account.name,
+            sportsbook: account.sportsbook,
+            color: account.color,
+            currency: account.currency,
+            archivedAt: account.archived_at,
             balance: parseFloat(account.balance),
             totalDeposits: parseFloat(account.total_deposits),
             totalWithdrawals: parseFloat(account.total_withdrawals),
+            fx: baseTotals(account, transactions, fx),
+            ...AccountModel.formatBankrollRules(account),
             transactions: transactions.map(t => ({
               id: t.id,
               type: t.type,
               amount: parseFloat(t.amount),
               description: t.description,
-              date: t.transaction_date.toISOString().split('T')[0]
+              date: t.transaction_date.toISOString().split('T')[0],
+              time: DateUtils.formatTime(t.transaction_time),
+              fxRate: fx.rateFor(account.currency, t.transaction_date.toISOString().split('T')[0])
             })),
             bets: bets.map(b => ({
               id: b.id,
@@ -46,9 +81,13 @@ class AccountsController {
               displayAmount: parseFloat(b.display_amount),
               description: b.description,
               date: b.bet_date.toISOString().split('T')[0],
+              time: DateUtils.formatTime(b.bet_time),
               status: b.status,
               winnings: parseFloat(b.winnings),
-              isBonusBet: Boolean(b.is_bonus_bet)
+              isBonusBet: Boolean(b.is_bonus_bet),
+              bankrollPercent: b.bankroll_percent !== null ? parseFloat(b.bankroll_percent) : null,
+              overStakeLimit: Boolean(b.over_stake_limit),
+              fxRate: fx.rateFor(account.currency, b.bet_date.toISOString().split('T')[0])
             }))
           };
         }
@@ -81,29 +120,38 @@ class AccountsController {
         }
         
         const account = accounts[0];
+        const fx = await ExchangeRateModel.getConverter(userId, connection);
         
         // Get transactions and bets
         const [transactions] = await connection.execute(
-          'SELECT * FROM transactions WHERE account_id = ? ORDER BY transaction_date DESC',
+          'SELECT * FROM transactions WHERE account_id = ? AND trash_id IS NULL ORDER BY transaction_date DESC, transaction_time DESC',
           [account.id]
         );
         
         const [bets] = await connection.execute(
-          'SELECT * FROM bets WHERE account_id = ? ORDER BY bet_date DESC',
+          'SELECT * FROM bets WHERE account_id = ? AND trash_id IS NULL ORDER BY bet_date DESC, bet_time DESC',
           [account.id]
         );
         
         const accountData = {
           name: account.name,
+          sportsbook: account.sportsbook,
+          color: account.color,
+          currency: account.currency,
+          archivedAt: account.archived_at,
           balance: parseFloat(account.balance),
           totalDeposits: parseFloat(account.total_deposits),
           totalWithdrawals: parseFloat(account.total_withdrawals),
+          fx: baseTotals(account, transactions, fx),
+          ...AccountModel.formatBankrollRules(account),
           transactions: transactions.map(t => ({
             id: t.id,
             type: t.type,
             amount: parseFloat(t.amount),
             description: t.description,
-            date: t.transaction_date.toISOString().split('T')[0]
+            date: t.transaction_date.toISOString().split('T')[0],
+            time: DateUtils.formatTime(t.transaction_time),
+            fxRate: fx.rateFor(account.currency, t.transaction_date.toISOString().split('T')[0])
           })),
           bets: bets.map(b => ({
             id: b.id,
@@ -111,9 +159,13 @@ class AccountsController {
             displayAmount: parseFloat(b.display_amount),
             description: b.description,
             date: b.bet_date.toISOString().split('T')[0],
+            time: DateUtils.formatTime(b.bet_time),
             status: b.status,
             winnings: parseFloat(b.winnings),
-            isBonusBet: Boolean(b.is_bonus_bet)
+            isBonusBet: Boolean(b.is_bonus_bet),
+            bankrollPercent: b.bankroll_percent !== null ? parseFloat(b.bankroll_percent) : null,
+            overStakeLimit: Boolean(b.over_stake_limit),
+            fxRate: fx.rateFor(account.currency, b.bet_date.toISOString().split('T')[0])
           }))
         };
         
@@ -127,40 +179,66 @@ class AccountsController {
     }
   }
 
-  async clearAccount(req, res, next) {
+  async getCatalog(req, res) {
+    res.json(AccountService.getCatalog());
+  }
+
+  async createAccount(req, res) {
+    const result = await AccountService.createAccount(req.user.userId, req.body);
+    res.status(201).json(result);
+  }
+
+  async archiveAccount(req, res) {
+    const result = await AccountService.archiveAccount(req.user.userId, req.params.accountKey);
+    res.json(result);
+  }
+
+  async unarchiveAccount(req, res) {
+    const result = await AccountService.unarchiveAccount(req.user.userId, req.params.accountKey);
+    res.json(result);
+  }
+
+  async clearAccount(req, res) {
+    const result = await TrashService.trashAccount(req.user.userId, req.params.accountKey);
+    
+    res.json(result);
+  }
+
+  async updateAccount(req, res, next) {
     try {
       const userId = req.user.userId;
       const { accountKey } = req.params;
+      const { name, balance } = req.body;
       
       const connection = await pool.getConnection();
       
       try {
         await connection.beginTransaction();
         
-        // Get account
         const [accounts] = await connection.execute(
-          'SELECT * FROM accounts WHERE user_id = ? AND account_key = ?',
+          'SELECT id FROM accounts WHERE user_id = ? AND account_key = ?',
           [userId, accountKey]
         );
         
         if (accounts.length === 0) {
+          await connection.rollback();
           return res.status(404).json({ error: 'Account not found' });
         }
         
-        const account = accounts[0];
-        
-        // Delete transactions and bets
-        await connection.execute('DELETE FROM transactions WHERE account_id = ?', [account.id]);
-        await connection.execute('DELETE FROM bets WHERE account_id = ?', [account.id]);
+        if (name !== undefined) {
+          await connection.execute('UPDATE accounts SET name = ? WHERE id = ?', [name, accounts[0].id]);
+        }
         
-        // Reset account balances
-        await connection.execute(
-          'UPDATE accounts SET balance = 0, total_deposits = 0, total_withdrawals = 0 WHERE id = ?',
-          [account.id]
-        );
+        // Balance changes go through the ledger as an adjustment
+        if (balance !== undefined) {
+          await LedgerModel.adjustTo(accounts[0].id, { balance }, {
+            entryType: 'adjustment',
+            description: 'Balance set manually'
+          }, connection);
+        }
         
         await connection.commit();
-        res.json({ success: true, message: 'Account cleared successfully' });
+        res.json({ success: true, message: 'Account updated successfully' });
       } catch (error) {
         await connection.rollback();
         throw error;
@@ -168,37 +246,42 @@ class AccountsController {
         connection.release();
       }
     } catch (error) {
-      console.error('Clear account error:', error);
+      console.error('Update account error:', error);
       next(error);
     }
   }
 
-  async updateAccount(req, res, next) {
-    try {
-      const userId = req.user.userId;
-      const { accountKey } = req.params;
-      const { name, balance } = req.body;
-      
-      const connection = await pool.getConnection();
-      
-      try {
-        const [result] = await connection.execute(
-          'UPDATE accounts SET name = ?, balance = ? WHERE user_id = ? AND account_key = ?',
-          [name, balance, userId, accountKey]
-        );
-        
-        if (result.affectedRows === 0) {
-          return res.status(404).json({ error: 'Account not found' });
-        }
-        
-        res.json({ success: true, message: 'Account updated successfully' });
-      } finally {
-        connection.release();
-      }
-    } catch (error) {
-      console.error('Update account error:', error);
-      next(error);
-    }
+  async suggestStake(req, res) {
+    const { odds, oddsFormat, probability } = req.query;
+    const result = await BankrollService.suggestStake(req.user.userId, req.params.accountKey, {
+      odds,
+      oddsFormat,
+      probability
+    });
+    res.json(result);
+  }
+
+  async previewReconciliation(req, res) {
+    const result = await ReconciliationService.preview(req.user.userId, req.params.accountKey, req.query.reportedBalance);
+    res.json(result);
+  }
+
+  async reconcileBalance(req, res) {
+    const { reportedBalance, adjust, note } = req.body;
+    const result = await ReconciliationService.reconcile(req.user.userId, req.params.accountKey, {
+      reportedBalance,
+      adjust: adjust === true,
+      note: note || ''
+    });
+    res.status(201).json(result);
+  }
+
+  async getReconciliations(req, res) {
+    const result = await ReconciliationService.getHistory(req.user.userId, req.params.accountKey, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+    res.json(result);
   }
 }
 
@@ -2,6 +2,8 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database.config');
 const appConfig = require('../config/app.config');
+const UserModel = require('../models/User.model');
+const { AppError } = require('../middleware/error.middleware');
 
 class AuthController {
   async register(req, res, next) {
@@ -27,9 +29,7 @@ class AuthController {
       const connection = await pool.getConnection();
       
       try {
-        await connection.beginTransaction();
-        
-        // Insert user
+        // Users start with no accounts and add their sportsbooks when they first sign in
         const [userResult] = await connection.execute(
           'INSERT INTO users (email, username, password_hash) VALUES (?, ?, ?)',
           [email.toLowerCase(), username, hashedPassword]
@@ -37,24 +37,6 @@ class AuthController {
         
         const userId = userResult.insertId;
         
-        // Insert default accounts
-        const defaultAccounts = [
-          ['draftkings1', 'DraftKings #1'],
-          ['draftkings2', 'DraftKings #2'],
-          ['fanduel', 'FanDuel'],
-          ['betmgm', 'BetMGM'],
-          ['bet365', 'Bet365']
-        ];
-        
-        for (const [key, name] of defaultAccounts) {
-          await connection.execute(
-            'INSERT INTO accounts (user_id, account_key, name) VALUES (?, ?, ?)',
-            [userId, key, name]
-          );
-        }
-        
-        await connection.commit();
-        
         const token = jwt.sign(
           { userId, email: email.toLowerCase(), username }, 
           appConfig.jwt.secret,
@@ -65,9 +47,6 @@ class AuthController {
           token, 
           user: { id: userId, email: email.toLowerCase(), username }
         });
-      } catch (error) {
-        await connection.rollback();
-        throw error;
       } finally {
         connection.release();
       }
@@ -147,6 +126,30 @@ class AuthController {
     });
   }
 
+  async getSettings(req, res) {
+    const settings = await UserModel.getSettings(req.user.userId);
+    
+    if (settings === null) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+    
+    res.json({ success: true, settings });
+  }
+
+  async updateSettings(req, res) {
+    const userId = req.user.userId;
+    const current = await UserModel.getSettings(userId);
+    
+    if (current === null) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+    
+    // Top-level keys are merged so clients can update one group of settings at a time
+    const settings = await UserModel.updateSettings(userId, { ...current, ...req.body.settings });
+    
+    res.json({ success: true, settings });
+  }
+
   async changePassword(req, res, next) {
     try {
       const userId = req.user.userId;
@@ -0,0 +1,19 @@
+const CreditService = require('../services/credit.service');
+
+class CreditsController {
+  async getCredits(req, res) {
+    const result = await CreditService.getCredits(req.user.userId, {
+      accountKey: req.query.accountKey || null
+    });
+    res.json(result);
+  }
+
+  async getExpiringCredits(req, res) {
+    const result = await CreditService.getExpiringCredits(req.user.userId, {
+      withinDays: req.query.withinDays !== undefined ? parseInt(req.query.withinDays) : 7
+    });
+    res.json(result);
+  }
+}
+
+module.exports = new CreditsController();
@@ -0,0 +1,40 @@
+const CurrencyService = require('../services/currency.service');
+
+class CurrenciesController {
+  async getCurrencies(req, res) {
+    const result = await CurrencyService.getCurrencies(req.user.userId);
+    res.json(result);
+  }
+
+  async setBaseCurrency(req, res) {
+    const result = await CurrencyService.setBaseCurrency(req.user.userId, req.body.baseCurrency);
+    res.json(result);
+  }
+
+  async getRates(req, res) {
+    const result = await CurrencyService.getRates(req.user.userId, {
+      currency: req.query.currency || null,
+      startDate: req.query.startDate || null,
+      endDate: req.query.endDate || null
+    });
+    res.json(result);
+  }
+
+  async saveRate(req, res) {
+    const { fromCurrency, toCurrency, rate, rateDate } = req.body;
+    const result = await CurrencyService.saveRate(req.user.userId, { fromCurrency, toCurrency, rate, rateDate });
+    res.status(201).json(result);
+  }
+
+  async importRates(req, res) {
+    const result = await CurrencyService.importRates(req.user.userId, req.body.data);
+    res.status(201).json(result);
+  }
+
+  async deleteRate(req, res) {
+    const result = await CurrencyService.deleteRate(req.user.userId, parseInt(req.params.rateId));
+    res.json(result);
+  }
+}
+
+module.exports = new CurrenciesController();
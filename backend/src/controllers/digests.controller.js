@@ -0,0 +1,47 @@
+const DigestService = require('../services/digest.service');
+
+class DigestsController {
+  async getSubscriptions(req, res) {
+    const result = await DigestService.getSubscriptions(req.user.userId);
+    res.json(result);
+  }
+
+  async subscribe(req, res) {
+    const { frequency, channel, destination, staleAfterDays } = req.body;
+    const result = await DigestService.subscribe(req.user.userId, {
+      frequency: frequency || 'week',
+      channel,
+      destination: destination || null,
+      staleAfterDays: staleAfterDays !== undefined ? parseInt(staleAfterDays) : DigestService.defaultStaleAfterDays
+    });
+    res.status(201).json(result);
+  }
+
+  async updateSubscription(req, res) {
+    const { frequency, destination, staleAfterDays, enabled } = req.body;
+    const result = await DigestService.updateSubscription(req.user.userId, parseInt(req.params.subscriptionId), {
+      frequency,
+      destination,
+      staleAfterDays: staleAfterDays !== undefined ? parseInt(staleAfterDays) : undefined,
+      enabled
+    });
+    res.json(result);
+  }
+
+  async unsubscribe(req, res) {
+    const result = await DigestService.unsubscribe(req.user.userId, parseInt(req.params.subscriptionId));
+    res.json(result);
+  }
+
+  async previewDigest(req, res) {
+    const result = await DigestService.previewDigest(req.user.userId, parseInt(req.params.subscriptionId));
+    res.json(result);
+  }
+
+  async sendNow(req, res) {
+    const result = await DigestService.sendNow(req.user.userId, parseInt(req.params.subscriptionId));
+    res.json(result);
+  }
+}
+
+module.exports = new DigestsController();
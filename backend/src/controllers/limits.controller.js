@@ -0,0 +1,32 @@
+const LimitService = require('../services/limit.service');
+
+class LimitsController {
+  async getLimits(req, res) {
+    const result = await LimitService.getStatus(req.user.userId);
+    res.json(result);
+  }
+
+  async setLimit(req, res) {
+    const { accountKey, limitType, period, amount, enforcement } = req.body;
+    const result = await LimitService.setLimit(req.user.userId, {
+      accountKey: accountKey || null,
+      limitType,
+      period,
+      amount,
+      enforcement: enforcement || 'block'
+    });
+    res.json(result);
+  }
+
+  async removeLimit(req, res) {
+    const result = await LimitService.removeLimit(req.user.userId, parseInt(req.params.limitId));
+    res.json(result);
+  }
+
+  async cancelPendingChange(req, res) {
+    const result = await LimitService.cancelPendingChange(req.user.userId, parseInt(req.params.limitId));
+    res.json(result);
+  }
+}
+
+module.exports = new LimitsController();
@@ -0,0 +1,58 @@
+const PositionService = require('../services/position.service');
+
+class PositionsController {
+  async calculate(req, res) {
+    const { legs, totalStake, firstLegStake, bonusStake } = req.body;
+    res.json(PositionService.calculate({ legs, totalStake, firstLegStake, bonusStake }));
+  }
+
+  async getPositions(req, res) {
+    const result = await PositionService.getPositions(req.user.userId, {
+      strategy: req.query.strategy || null
+    });
+    res.json(result);
+  }
+
+  async getPosition(req, res) {
+    const result = await PositionService.getPosition(req.user.userId, parseInt(req.params.positionId));
+    res.json(result);
+  }
+
+  async createPosition(req, res) {
+    const { strategy, name, notes, betIds } = req.body;
+    const result = await PositionService.createPosition(req.user.userId, {
+      strategy,
+      name,
+      notes: notes || '',
+      betIds: betIds || []
+    });
+    res.status(201).json(result);
+  }
+
+  async updatePosition(req, res) {
+    const { strategy, name, notes } = req.body;
+    const result = await PositionService.updatePosition(req.user.userId, parseInt(req.params.positionId), {
+      strategy,
+      name,
+      notes
+    });
+    res.json(result);
+  }
+
+  async deletePosition(req, res) {
+    const result = await PositionService.deletePosition(req.user.userId, parseInt(req.params.positionId));
+    res.json(result);
+  }
+
+  async addBets(req, res) {
+    const result = await PositionService.addBets(req.user.userId, parseInt(req.params.positionId), req.body.betIds);
+    res.json(result);
+  }
+
+  async removeBet(req, res) {
+    const result = await PositionService.removeBet(req.user.userId, parseInt(req.params.positionId), parseInt(req.params.betId));
+    res.json(result);
+  }
+}
+
+module.exports = new PositionsController();
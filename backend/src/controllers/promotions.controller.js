@@ -0,0 +1,57 @@
+const PromotionService = require('../services/promotion.service');
+
+class PromotionsController {
+  async getPromotions(req, res) {
+    const { accountKey, status } = req.query;
+    const result = await PromotionService.getPromotions(req.user.userId, {
+      accountKey: accountKey || null,
+      status: status || null
+    });
+    res.json(result);
+  }
+
+  async getPromotion(req, res) {
+    const result = await PromotionService.getPromotion(req.user.userId, parseInt(req.params.promotionId));
+    res.json(result);
+  }
+
+  async createPromotion(req, res) {
+    const { accountKey, offerType, name, amount, boostPercent, rolloverMultiplier, minOdds, startsOn, expiresOn, notes } = req.body;
+    const result = await PromotionService.createPromotion(req.user.userId, {
+      accountKey,
+      offerType,
+      name,
+      amount,
+      boostPercent,
+      rolloverMultiplier,
+      minOdds,
+      startsOn,
+      expiresOn,
+      notes: notes || ''
+    });
+    res.status(201).json(result);
+  }
+
+  async updatePromotion(req, res) {
+    const { name, amount, boostPercent, rolloverMultiplier, minOdds, startsOn, expiresOn, status, notes } = req.body;
+    const result = await PromotionService.updatePromotion(req.user.userId, parseInt(req.params.promotionId), {
+      name,
+      amount,
+      boostPercent,
+      rolloverMultiplier,
+      minOdds,
+      startsOn,
+      expiresOn,
+      status,
+      notes
+    });
+    res.json(result);
+  }
+
+  async deletePromotion(req, res) {
+    const result = await PromotionService.deletePromotion(req.user.userId, parseInt(req.params.promotionId));
+    res.json(result);
+  }
+}
+
+module.exports = new PromotionsController();
@@ -1,4 +1,15 @@
 const { pool } = require('../config/database.config');
+const OddsUtils = require('../utils/odds');
+const DateUtils = require('../utils/dates');
+const BetService = require('../services/bet.service');
+const TransactionService = require('../services/transaction.service');
+const TrashService = require('../services/trash.service');
+const BankrollService = require('../services/bankroll.service');
+const LimitService = require('../services/limit.service');
+const PromotionService = require('../services/promotion.service');
+const AccountModel = require('../models/Account.model');
+const BetTagModel = require('../models/BetTag.model');
+const LedgerModel = require('../models/Ledger.model');
 
 class TransactionsController {
   async getAllTransactions(req, res, next) {
@@ -13,7 +24,7 @@ class TransactionsController {
           SELECT t.*, a.account_key, a.name as account_name 
           FROM transactions t 
           JOIN accounts a ON t.account_id = a.id 
-          WHERE a.user_id = ?
+          WHERE a.user_id = ? AND t.trash_id IS NULL
         `;
         
         const queryParams = [userId];
@@ -30,7 +41,7 @@ class TransactionsController {
         }
         
         // Add pagination
-        query += ' ORDER BY t.transaction_date DESC, t.created_at DESC';
+        query += ' ORDER BY t.transaction_date DESC, t.transaction_time DESC, t.created_at DESC';
         
         const offset = (parseInt(page) - 1) * parseInt(limit);
         query += ' LIMIT ? OFFSET ?';
@@ -43,7 +54,7 @@ class TransactionsController {
           SELECT COUNT(*) as total 
           FROM transactions t 
           JOIN accounts a ON t.account_id = a.id 
-          WHERE a.user_id = ?
+          WHERE a.user_id = ? AND t.trash_id IS NULL
         `;
         
         const countParams = [userId];
@@ -68,7 +79,9 @@ class TransactionsController {
           type: transaction.type,
           amount: parseFloat(transaction.amount),
           description: transaction.description,
+          expiresOn: transaction.expires_on ? transaction.expires_on.toISOString().split('T')[0] : null,
           date: transaction.transaction_date.toISOString().split('T')[0],
+          time: DateUtils.formatTime(transaction.transaction_time),
           createdAt: transaction.created_at,
           updatedAt: transaction.updated_at
         }));
@@ -104,7 +117,7 @@ class TransactionsController {
           SELECT t.*, a.account_key, a.name as account_name 
           FROM transactions t 
           JOIN accounts a ON t.account_id = a.id 
-          WHERE t.id = ? AND a.user_id = ?
+          WHERE t.id = ? AND a.user_id = ? AND t.trash_id IS NULL
         `, [transactionId, userId]);
         
         if (transactions.length === 0) {
@@ -119,7 +132,9 @@ class TransactionsController {
           type: transaction.type,
           amount: parseFloat(transaction.amount),
           description: transaction.description,
+          expiresOn: transaction.expires_on ? transaction.expires_on.toISOString().split('T')[0] : null,
           date: transaction.transaction_date.toISOString().split('T')[0],
+          time: DateUtils.formatTime(transaction.transaction_time),
           createdAt: transaction.created_at,
           updatedAt: transaction.updated_at
         };
@@ -137,23 +152,43 @@ class TransactionsController {
   async createTransaction(req, res, next) {
     try {
       const userId = req.user.userId;
-      const { account, type, amount, description } = req.body;
+      const { account, type, amount, description, odds, oddsFormat, date, time, promotionId, expiresOn } = req.body;
       
       // Validation
       if (!account || !type || !amount) {
         return res.status(400).json({ error: 'Account, type, and amount are required' });
       }
       
+      const normalizedOdds = odds ? OddsUtils.normalize(odds, oddsFormat || null) : null;
+      if (odds && !normalizedOdds) {
+        return res.status(400).json({ error: `Invalid odds: ${odds}` });
+      }
+      
+      // Sport, league, market type and tags only apply to bets
+      const isBet = type === 'bet' || type === 'bonus-bet';
+      const metadata = isBet ? BetService.parseMetadata(req.body) : null;
+      
       const numAmount = parseFloat(amount);
       if (isNaN(numAmount) || numAmount <= 0) {
         return res.status(400).json({ error: 'Amount must be a positive number' });
       }
       
-      const validTypes = ['deposit', 'withdrawal', 'bet', 'bonus-credit', 'historical-win', 'historical-loss'];
+      const validTypes = ['deposit', 'withdrawal', 'bet', 'bonus-bet', 'bonus-credit', 'historical-win', 'historical-loss'];
       if (!validTypes.includes(type)) {
         return res.status(400).json({ error: `Invalid transaction type. Valid types: ${validTypes.join(', ')}` });
       }
       
+      if (promotionId && !isBet && type !== 'bonus-credit') {
+        return res.status(400).json({ error: 'Only bets and bonus credits can be recorded against a promotion' });
+      }
+      
+      const dateError = DateUtils.validate(date, time);
+      if (dateError) {
+        return res.status(400).json({ error: dateError });
+      }
+      const entryDate = DateUtils.resolve(date, time);
+      const expiry = TransactionService.resolveExpiry(type, expiresOn, entryDate.date);
+      
       const connection = await pool.getConnection();
       
       try {
@@ -171,15 +206,33 @@ class TransactionsController {
         
         const accountData = accounts[0];
         
+        // Archived accounts keep their history but take nothing new
+        if (accountData.archived_at) {
+          return res.status(400).json({ error: `Account '${accountData.name}' is archived` });
+        }
+        
         // Check if withdrawal amount exceeds balance
         if (type === 'withdrawal' && numAmount > accountData.balance) {
           return res.status(400).json({ error: 'Insufficient balance for withdrawal' });
         }
         
+        // Bonus bets are entered as their own type, flagged, or placed with a bet credit promotion
+        const promotion = await PromotionService.resolveForEntry(userId, accountData.id, promotionId);
+        const isBonusBet = type === 'bonus-bet' ||
+          (type === 'bet' && (req.body.isBonusBet === true || PromotionService.isBonusStake(promotion)));
+        const entryType = isBonusBet ? 'bonus-bet' : type;
+        
+        // Self-imposed limits on deposits and bets - a blocking limit rejects the entry, others warn
+        const limitWarnings = await LimitService.enforce(userId, accountData.id, {
+          activity: isBet ? 'bet' : type,
+          amount: isBonusBet ? 0 : numAmount,
+          date: entryDate.date
+        });
+        
         // Insert transaction
         const [transactionResult] = await connection.execute(
-          'INSERT INTO transactions (account_id, type, amount, description, transaction_date) VALUES (?, ?, ?, ?, CURDATE())',
-          [accountData.id, type, numAmount, description || '']
+          'INSERT INTO transactions (account_id, type, amount, description, promotion_id, expires_on, transaction_date, transaction_time) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [accountData.id, entryType, numAmount, description || '', promotion ? promotion.id : null, expiry, entryDate.date, entryDate.time]
         );
         
         const transactionId = transactionResult.insertId;
@@ -188,8 +241,10 @@ class TransactionsController {
         let balanceChange = 0;
         let depositChange = 0;
         let withdrawalChange = 0;
+        let betId = null;
+        let bankrollCheck = null;
         
-        switch (type) {
+        switch (entryType) {
           case 'deposit':
             balanceChange = numAmount;
             depositChange = numAmount;
@@ -206,32 +261,70 @@ class TransactionsController {
             balanceChange = -numAmount;
             break;
           case 'bet':
+          case 'bonus-bet':
             // Insert bet record
-            const isBonusBet = description && description.toLowerCase().includes('bonus');
             const betAmount = isBonusBet ? 0 : numAmount;
             
-            await connection.execute(
-              'INSERT INTO bets (account_id, amount, display_amount, description, bet_date, is_bonus_bet) VALUES (?, ?, ?, ?, CURDATE(), ?)',
-              [accountData.id, betAmount, numAmount, description || '', isBonusBet ? 1 : 0]
+            // Size the stake against the balance it comes out of; bonus bets risk nothing
+            bankrollCheck = isBonusBet
+              ? null
+              : BankrollService.assessStake(betAmount, parseFloat(accountData.balance), AccountModel.formatBankrollRules(accountData));
+            
+            const [betResult] = await connection.execute(
+              'INSERT INTO bets (account_id, amount, display_amount, odds_decimal, odds_format, description, sport, league, market_type, bet_date, bet_time, is_bonus_bet, promotion_id, bankroll_percent, over_stake_limit) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+              [
+                accountData.id,
+                betAmount,
+                numAmount,
+                normalizedOdds ? normalizedOdds.decimal : null,
+                normalizedOdds ? normalizedOdds.format : null,
+                description || '',
+                metadata.sport,
+                metadata.league,
+                metadata.market_type,
+                entryDate.date,
+                entryDate.time,
+                isBonusBet ? 1 : 0,
+                promotion ? promotion.id : null,
+                bankrollCheck ? bankrollCheck.bankrollPercent : null,
+                bankrollCheck && bankrollCheck.overStakeLimit ? 1 : 0
+              ]
             );
             
+            if (metadata.tags.length > 0) {
+              await BetTagModel.setForBet(betResult.insertId, metadata.tags, connection);
+            }
+            
+            betId = betResult.insertId;
             balanceChange = -betAmount;
             break;
         }
         
-        // Update account balances
-        await connection.execute(
-          'UPDATE accounts SET balance = balance + ?, total_deposits = total_deposits + ?, total_withdrawals = total_withdrawals + ? WHERE id = ?',
-          [balanceChange, depositChange, withdrawalChange, accountData.id]
-        );
+        // Record the balance change in the account ledger
+        await LedgerModel.append(accountData.id, {
+          entryType: LedgerModel.entryTypeFor(entryType),
+          amount: balanceChange,
+          depositChange,
+          withdrawalChange,
+          transactionId,
+          betId,
+          description: description || type
+        }, connection);
         
         await connection.commit();
         
         res.status(201).json({ 
           success: true, 
-          message: 'Transaction created successfully',
+          message: bankrollCheck && bankrollCheck.warning
+            ? `Transaction created successfully. ${bankrollCheck.warning}`
+            : 'Transaction created successfully',
           transactionId,
-          balanceChange
+          balanceChange,
+          bankrollCheck,
+          limitWarnings,
+          date: entryDate.date,
+          time: DateUtils.formatTime(entryDate.time),
+          aggregates: await TransactionService.getAffectedAggregates(userId, [entryDate.date], isBet)
         });
         
       } catch (error) {
@@ -250,7 +343,7 @@ class TransactionsController {
     try {
       const userId = req.user.userId;
       const { transactionId } = req.params;
-      const { type, amount, description } = req.body;
+      const { type, amount, description, date, time, expiresOn } = req.body;
       
       const connection = await pool.getConnection();
       
@@ -262,7 +355,7 @@ class TransactionsController {
           SELECT t.*, a.user_id, a.balance, a.total_deposits, a.total_withdrawals
           FROM transactions t 
           JOIN accounts a ON t.account_id = a.id 
-          WHERE t.id = ?
+          WHERE t.id = ? AND t.trash_id IS NULL
         `, [transactionId]);
         
         if (transactions.length === 0 || transactions[0].user_id !== userId) {
@@ -286,12 +379,44 @@ class TransactionsController {
           }
         }
         
+        // A new time on its own keeps the existing date
+        const oldDate = DateUtils.parseDate(oldTransaction.transaction_date);
+        const redated = date !== undefined || time !== undefined;
+        const newDate = DateUtils.isBlank(date) ? oldDate : date;
+        
+        if (redated) {
+          const dateError = DateUtils.validate(newDate, time);
+          if (dateError) {
+            return res.status(400).json({ error: dateError });
+          }
+        }
+        
         // Calculate balance changes needed
-        const oldAmount = oldTransaction.amount;
+        const oldAmount = parseFloat(oldTransaction.amount);
         const oldType = oldTransaction.type;
         const newAmount = amount !== undefined ? parseFloat(amount) : oldAmount;
         const newType = type !== undefined ? type : oldType;
         
+        // A credit retyped as anything else loses its expiry; a redated one still can't expire before it was credited
+        const oldExpiry = DateUtils.parseDate(oldTransaction.expires_on);
+        const expiryDate = redated ? DateUtils.resolve(newDate, time).date : oldDate;
+        let newExpiry;
+        if (expiresOn !== undefined) {
+          newExpiry = TransactionService.resolveExpiry(newType, expiresOn, expiryDate);
+        } else if (oldExpiry && (type !== undefined || redated)) {
+          newExpiry = newType === 'bonus-credit' ? TransactionService.resolveExpiry(newType, oldExpiry, expiryDate) : null;
+        }
+        
+        // Money deposited on top of what was already recorded is held to the deposit limits
+        const depositIncrease = (newType === 'deposit' ? newAmount : 0) - (oldType === 'deposit' ? oldAmount : 0);
+        const limitWarnings = depositIncrease > 0
+          ? await LimitService.enforce(userId, oldTransaction.account_id, {
+            activity: 'deposit',
+            amount: depositIncrease,
+            date: redated ? DateUtils.resolve(newDate, time).date : oldDate
+          })
+          : [];
+        
         // Revert old transaction effects
         let balanceRevert = 0;
         let depositRevert = 0;
@@ -360,6 +485,17 @@ class TransactionsController {
           updateFields.push('description = ?');
           updateValues.push(description);
         }
+        if (newExpiry !== undefined) {
+          updateFields.push('expires_on = ?');
+          updateValues.push(newExpiry);
+        }
+        
+        let entryDate = null;
+        if (redated) {
+          entryDate = DateUtils.resolve(newDate, time);
+          updateFields.push('transaction_date = ?', 'transaction_time = ?');
+          updateValues.push(entryDate.date, entryDate.time);
+        }
         
         updateFields.push('updated_at = CURRENT_TIMESTAMP');
         updateValues.push(transactionId);
@@ -374,16 +510,24 @@ class TransactionsController {
         const totalDepositChange = depositRevert + depositChange;
         const totalWithdrawalChange = withdrawalRevert + withdrawalChange;
         
-        await connection.execute(
-          'UPDATE accounts SET balance = balance + ?, total_deposits = total_deposits + ?, total_withdrawals = total_withdrawals + ? WHERE id = ?',
-          [totalBalanceChange, totalDepositChange, totalWithdrawalChange, oldTransaction.account_id]
-        );
+        await LedgerModel.append(oldTransaction.account_id, {
+          entryType: 'correction',
+          amount: totalBalanceChange,
+          depositChange: totalDepositChange,
+          withdrawalChange: totalWithdrawalChange,
+          transactionId: oldTransaction.id,
+          description: 'Transaction updated'
+        }, connection);
         
         await connection.commit();
         
         res.json({ 
           success: true, 
-          message: 'Transaction updated successfully' 
+          message: 'Transaction updated successfully',
+          limitWarnings,
+          aggregates: entryDate
+            ? await TransactionService.getAffectedAggregates(userId, [oldDate, entryDate.date], newType === 'bet' || oldType === 'bet')
+            : null
         });
         
       } catch (error) {
@@ -398,82 +542,16 @@ class TransactionsController {
     }
   }
 
-  async deleteTransaction(req, res, next) {
-    try {
-      const userId = req.user.userId;
-      const { transactionId } = req.params;
-      
-      const connection = await pool.getConnection();
-      
-      try {
-        await connection.beginTransaction();
-        
-        // Get transaction and account info
-        const [transactions] = await connection.execute(`
-          SELECT t.*, a.user_id 
-          FROM transactions t 
-          JOIN accounts a ON t.account_id = a.id 
-          WHERE t.id = ?
-        `, [transactionId]);
-        
-        if (transactions.length === 0 || transactions[0].user_id !== userId) {
-          return res.status(404).json({ error: 'Transaction not found' });
-        }
-        
-        const transaction = transactions[0];
-        
-        // Reverse the transaction effects on account balance
-        let balanceChange = 0;
-        let depositChange = 0;
-        let withdrawalChange = 0;
-        
-        switch (transaction.type) {
-          case 'deposit':
-            balanceChange = -transaction.amount; // Remove the deposit
-            depositChange = -transaction.amount;
-            break;
-          case 'withdrawal':
-            balanceChange = transaction.amount; // Add back the withdrawal
-            withdrawalChange = -transaction.amount;
-            break;
-          case 'bonus-credit':
-          case 'historical-win':
-            balanceChange = -transaction.amount; // Remove the credit/win
-            break;
-          case 'historical-loss':
-            balanceChange = transaction.amount; // Add back the loss
-            break;
-          case 'bet':
-            balanceChange = transaction.amount; // Add back the bet amount
-            break;
-        }
-        
-        // Update account balances
-        await connection.execute(
-          'UPDATE accounts SET balance = balance + ?, total_deposits = total_deposits + ?, total_withdrawals = total_withdrawals + ? WHERE id = ?',
-          [balanceChange, depositChange, withdrawalChange, transaction.account_id]
-        );
-        
-        // Delete the transaction
-        await connection.execute('DELETE FROM transactions WHERE id = ?', [transactionId]);
-        
-        await connection.commit();
-        
-        res.json({ 
-          success: true, 
-          message: 'Transaction deleted successfully' 
-        });
-        
-      } catch (error) {
-        await connection.rollback();
-        throw error;
-      } finally {
-        connection.release();
-      }
-    } catch (error) {
-      console.error('Delete transaction error:', error);
-      next(error);
-    }
+  async bulkCreate(req, res) {
+    const result = await TransactionService.bulkCreateTransactions(req.user.userId, req.body.transactions);
+    
+    res.status(201).json(result);
+  }
+
+  async deleteTransaction(req, res) {
+    const result = await TrashService.trashTransaction(req.user.userId, parseInt(req.params.transactionId));
+    
+    res.json(result);
   }
 
   async getTransactionsByAccount(req, res, next) {
@@ -489,7 +567,7 @@ class TransactionsController {
           SELECT t.* 
           FROM transactions t 
           JOIN accounts a ON t.account_id = a.id 
-          WHERE a.account_key = ? AND a.user_id = ?
+          WHERE a.account_key = ? AND a.user_id = ? AND t.trash_id IS NULL
         `;
         
         const queryParams = [accountKey, userId];
@@ -499,7 +577,7 @@ class TransactionsController {
           queryParams.push(type);
         }
         
-        query += ' ORDER BY t.transaction_date DESC, t.created_at DESC';
+        query += ' ORDER BY t.transaction_date DESC, t.transaction_time DESC, t.created_at DESC';
         
         const offset = (parseInt(page) - 1) * parseInt(limit);
         query += ' LIMIT ? OFFSET ?';
@@ -512,7 +590,9 @@ class TransactionsController {
           type: t.type,
           amount: parseFloat(t.amount),
           description: t.description,
+          expiresOn: t.expires_on ? t.expires_on.toISOString().split('T')[0] : null,
           date: t.transaction_date.toISOString().split('T')[0],
+          time: DateUtils.formatTime(t.transaction_time),
           createdAt: t.created_at,
           updatedAt: t.updated_at
         }));
@@ -544,7 +624,7 @@ class TransactionsController {
             AVG(t.amount) as avg_amount
           FROM transactions t 
           JOIN accounts a ON t.account_id = a.id 
-          WHERE a.user_id = ?
+          WHERE a.user_id = ? AND t.trash_id IS NULL
         `;
         
         const queryParams = [userId];
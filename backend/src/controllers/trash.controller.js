@@ -0,0 +1,38 @@
+const TrashService = require('../services/trash.service');
+
+class TrashController {
+  async getTrash(req, res) {
+    const result = await TrashService.getTrash(req.user.userId, {
+      includeRestored: req.query.includeRestored === 'true'
+    });
+    
+    res.json(result);
+  }
+
+  async undo(req, res) {
+    const result = await TrashService.undo(req.user.userId);
+    res.json(result);
+  }
+
+  async redo(req, res) {
+    const result = await TrashService.redo(req.user.userId);
+    res.json(result);
+  }
+
+  async restoreItem(req, res) {
+    const result = await TrashService.restore(req.user.userId, parseInt(req.params.itemId));
+    res.json(result);
+  }
+
+  async purgeItem(req, res) {
+    const result = await TrashService.purge(req.user.userId, parseInt(req.params.itemId));
+    res.json(result);
+  }
+
+  async emptyTrash(req, res) {
+    const result = await TrashService.purge(req.user.userId);
+    res.json(result);
+  }
+}
+
+module.exports = new TrashController();
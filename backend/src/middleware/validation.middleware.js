@@ -1,4 +1,5 @@
 const { ValidationError } = require('./error.middleware');
+const DateUtils = require('../utils/dates');
 
 /**
  * Generic validation middleware factory
@@ -11,6 +12,11 @@ const validate = (validationRules) => {
       const rules = validationRules[field];
       const value = getNestedValue(req.body, field);
       
+      // Optional fields are only validated when they are provided
+      if (value === undefined && !rules.some(rule => rule.isRequired)) {
+        return;
+      }
+      
       rules.forEach(rule => {
         const result = rule.validator(value, req.body, req);
         if (!result.valid) {
@@ -36,6 +42,7 @@ const validate = (validationRules) => {
  */
 const rules = {
   required: (message = 'This field is required') => ({
+    isRequired: true,
     validator: (value) => ({
       valid: value !== undefined && value !== null && value !== '',
       message
@@ -117,6 +124,24 @@ const rules = {
     }
   }),
   
+  // Blank values count as not provided so forms can send empty date and time fields
+  pastDate: (message) => ({
+    validator: (value) => {
+      const error = DateUtils.validate(value, null);
+      return {
+        valid: error === null,
+        message: message || error
+      };
+    }
+  }),
+  
+  time: (message = 'Time must be in HH:MM format') => ({
+    validator: (value) => ({
+      valid: DateUtils.isBlank(value) || DateUtils.parseTime(value) !== null,
+      message
+    })
+  }),
+  
   boolean: (message = 'Must be a boolean') => ({
     validator: (value) => ({
       valid: typeof value === 'boolean',
@@ -124,6 +149,13 @@ const rules = {
     })
   }),
   
+  object: (message = 'Must be an object') => ({
+    validator: (value) => ({
+      valid: value !== null && typeof value === 'object' && !Array.isArray(value),
+      message
+    })
+  }),
+  
   conditional: (condition, ruleToApply) => ({
     validator: (value, body, req) => {
       if (condition(value, body, req)) {
@@ -194,7 +226,7 @@ const schemas = {
     type: [
       rules.required(),
       rules.string(),
-      rules.oneOf(['deposit', 'withdrawal', 'bet', 'bonus-credit', 'historical-win', 'historical-loss'])
+      rules.oneOf(['deposit', 'withdrawal', 'bet', 'bonus-bet', 'bonus-credit', 'historical-win', 'historical-loss'])
     ],
     amount: [
       rules.required(),
@@ -203,6 +235,24 @@ const schemas = {
     description: [
       rules.string(),
       rules.maxLength(500, 'Description must be no more than 500 characters')
+    ],
+    isBonusBet: [
+      rules.boolean('Is bonus bet must be a boolean value')
+    ],
+    promotionId: [
+      rules.conditional((value) => value !== null, rules.custom((value) => ({
+        valid: Number.isInteger(Number(value)) && Number(value) > 0,
+        message: 'Promotion ID must be a positive integer'
+      })))
+    ],
+    expiresOn: [
+      rules.conditional((value) => value !== null && value !== '', rules.date('Expiry date must be a valid date'))
+    ],
+    date: [
+      rules.pastDate()
+    ],
+    time: [
+      rules.time()
     ]
   },
   
@@ -217,10 +267,16 @@ const schemas = {
       rules.maxLength(500, 'Description must be no more than 500 characters')
     ],
     status: [
-      rules.oneOf(['pending', 'won', 'lost'], 'Status must be pending, won, or lost')
+      rules.oneOf(['pending', 'won', 'lost', 'push', 'void', 'cashout'], 'Status must be pending, won, lost, push, void, or cashout')
     ],
     winnings: [
       rules.nonNegativeNumber()
+    ],
+    date: [
+      rules.pastDate()
+    ],
+    time: [
+      rules.time()
     ]
   },
   
@@ -247,6 +303,30 @@ const schemas = {
         }
         return { valid: true };
       })
+    ],
+    format: [
+      rules.string('Import format must be a string'),
+      rules.maxLength(20, 'Import format cannot exceed 20 characters')
+    ],
+    accountKey: [
+      rules.string('Account key must be a string')
+    ]
+  },
+
+  restore: {
+    backup: [
+      rules.required('Backup data is required'),
+      rules.object('Backup must be a JSON object')
+    ],
+    mode: [
+      rules.oneOf(['replace', 'merge'], 'Restore mode must be replace or merge')
+    ]
+  },
+
+  bulkImportCommit: {
+    checksum: [
+      rules.required('Preview checksum is required - preview the import before committing'),
+      rules.string('Preview checksum must be a string')
     ]
   }
 };
@@ -260,6 +340,8 @@ const validateTransaction = validate(schemas.transaction);
 const validateBet = validate(schemas.bet);
 const validateAccount = validate(schemas.account);
 const validateBulkImport = validate(schemas.bulkImport);
+const validateBulkImportCommit = validate({ ...schemas.bulkImport, ...schemas.bulkImportCommit });
+const validateRestore = validate(schemas.restore);
 
 /**
  * Middleware to validate request parameters
@@ -422,6 +504,8 @@ module.exports = {
   validateBet,
   validateAccount,
   validateBulkImport,
+  validateBulkImportCommit,
+  validateRestore,
   validateParams,
   validateQuery,
   paramValidations,
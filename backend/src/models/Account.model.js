@@ -1,4 +1,8 @@
 const { pool } = require('../config/database.config');
+const LedgerModel = require('./Ledger.model');
+const ExchangeRateModel = require('./ExchangeRate.model');
+const CurrencyUtils = require('../utils/currency');
+const SportsbookCatalog = require('../utils/sportsbooks');
 
 class AccountModel {
   constructor() {
@@ -9,31 +13,48 @@ class AccountModel {
    * Create a new account for a user
    */
   async create(userId, accountData) {
-    const { account_key, name, balance = 0 } = accountData;
+    const {
+      account_key, name, sportsbook = null, color = SportsbookCatalog.defaultColor,
+      balance = 0, currency = CurrencyUtils.defaultCurrency
+    } = accountData;
     
     const connection = await pool.getConnection();
     
     try {
+      await connection.beginTransaction();
+      
       const [result] = await connection.execute(
-        `INSERT INTO ${this.tableName} (user_id, account_key, name, balance) VALUES (?, ?, ?, ?)`,
-        [userId, account_key, name, balance]
+        `INSERT INTO ${this.tableName} (user_id, account_key, name, sportsbook, color, currency) VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, account_key, name, sportsbook, color, currency]
       );
       
+      // The starting balance is the account's first ledger entry
+      await LedgerModel.append(result.insertId, {
+        entryType: 'opening',
+        amount: balance,
+        description: 'Opening balance'
+      }, connection);
+      
+      await connection.commit();
       return await this.findById(result.insertId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
     } finally {
       connection.release();
     }
   }
 
   /**
-   * Find account by ID
+   * Find account by ID. Pass an open connection to read inside the caller's
+   * transaction, and lock to hold the account until it commits.
    */
-  async findById(id) {
-    const connection = await pool.getConnection();
+  async findById(id, connection = null, lock = false) {
+    const conn = connection || await pool.getConnection();
     
     try {
-      const [accounts] = await connection.execute(
-        `SELECT * FROM ${this.tableName} WHERE id = ?`,
+      const [accounts] = await conn.execute(
+        `SELECT * FROM ${this.tableName} WHERE id = ?${lock ? ' FOR UPDATE' : ''}`,
         [id]
       );
       
@@ -43,7 +64,7 @@ class AccountModel {
       
       return this.formatAccount(accounts[0]);
     } finally {
-      connection.release();
+      if (!connection) conn.release();
     }
   }
 
@@ -70,7 +91,7 @@ class AccountModel {
   }
 
   /**
-   * Get all accounts for a user with their data
+   * Get all accounts for a user with their data, archived accounts last
    */
   async findByUserId(userId) {
     const connection = await pool.getConnection();
@@ -78,7 +99,7 @@ class AccountModel {
     try {
       // Get accounts
       const [accounts] = await connection.execute(
-        `SELECT * FROM ${this.tableName} WHERE user_id = ? ORDER BY name`,
+        `SELECT * FROM ${this.tableName} WHERE user_id = ? ORDER BY archived_at IS NOT NULL, name`,
         [userId]
       );
       
@@ -87,22 +108,27 @@ class AccountModel {
       for (const account of accounts) {
         // Get transactions for this account
         const [transactions] = await connection.execute(
-          `SELECT * FROM transactions WHERE account_id = ? ORDER BY transaction_date DESC, created_at DESC`,
+          `SELECT * FROM transactions WHERE account_id = ? AND trash_id IS NULL ORDER BY transaction_date DESC, created_at DESC`,
           [account.id]
         );
         
         // Get bets for this account
         const [bets] = await connection.execute(
-          `SELECT * FROM bets WHERE account_id = ? ORDER BY bet_date DESC, created_at DESC`,
+          `SELECT * FROM bets WHERE account_id = ? AND trash_id IS NULL ORDER BY bet_date DESC, created_at DESC`,
           [account.id]
         );
         
         accountsData[account.account_key] = {
           id: account.id,
           name: account.name,
+          sportsbook: account.sportsbook,
+          color: account.color,
+          currency: account.currency,
+          archivedAt: account.archived_at,
           balance: parseFloat(account.balance),
           totalDeposits: parseFloat(account.total_deposits),
           totalWithdrawals: parseFloat(account.total_withdrawals),
+          ...this.formatBankrollRules(account),
           createdAt: account.created_at,
           updatedAt: account.updated_at,
           transactions: transactions.map(t => ({
@@ -123,6 +149,8 @@ class AccountModel {
             status: b.status,
             winnings: parseFloat(b.winnings),
             isBonusBet: Boolean(b.is_bonus_bet),
+            bankrollPercent: b.bankroll_percent !== null ? parseFloat(b.bankroll_percent) : null,
+            overStakeLimit: Boolean(b.over_stake_limit),
             createdAt: b.created_at,
             updatedAt: b.updated_at
           }))
@@ -136,13 +164,32 @@ class AccountModel {
   }
 
   /**
-   * Update account information
+   * List a user's accounts without their transactions and bets
+   */
+  async listByUserId(userId) {
+    const connection = await pool.getConnection();
+    
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM ${this.tableName} WHERE user_id = ? ORDER BY created_at`,
+        [userId]
+      );
+      
+      return rows.map(row => this.formatAccount(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Update account information.
+   * Setting the balance records an adjustment in the ledger.
    */
   async update(id, updateData) {
     const connection = await pool.getConnection();
     
     try {
-      const allowedFields = ['name', 'balance'];
+      const allowedFields = ['name', 'color', 'currency', 'unit_size', 'kelly_fraction', 'max_stake_percent'];
       const updateFields = [];
       const updateValues = [];
       
@@ -153,67 +200,88 @@ class AccountModel {
         }
       });
       
-      if (updateFields.length === 0) {
+      const hasBalance = updateData.balance !== undefined && updateData.balance !== null;
+      
+      if (updateFields.length === 0 && !hasBalance) {
         throw new Error('No valid fields to update');
       }
       
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-      updateValues.push(id);
+      await connection.beginTransaction();
       
-      const [result] = await connection.execute(
-        `UPDATE ${this.tableName} SET ${updateFields.join(', ')} WHERE id = ?`,
-        updateValues
-      );
+      if (updateFields.length > 0) {
+        updateFields.push('updated_at = CURRENT_TIMESTAMP');
+        updateValues.push(id);
+        
+        const [result] = await connection.execute(
+          `UPDATE ${this.tableName} SET ${updateFields.join(', ')} WHERE id = ?`,
+          updateValues
+        );
+        
+        if (result.affectedRows === 0) {
+          await connection.rollback();
+          return null;
+        }
+      }
       
-      if (result.affectedRows === 0) {
-        return null;
+      if (hasBalance) {
+        await LedgerModel.adjustTo(id, { balance: updateData.balance }, {
+          entryType: 'adjustment',
+          description: 'Balance set manually'
+        }, connection);
       }
       
+      await connection.commit();
       return await this.findById(id);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
     } finally {
       connection.release();
     }
   }
 
   /**
-   * Update account balance
+   * Archive an account, or bring it back. Archived accounts keep their
+   * history but take no new transactions or bets.
    */
-  async updateBalance(id, balanceChange) {
+  async setArchived(id, archived) {
     const connection = await pool.getConnection();
     
     try {
       const [result] = await connection.execute(
-        `UPDATE ${this.tableName} SET balance = balance + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-        [balanceChange, id]
+        `UPDATE ${this.tableName}
+         SET archived_at = ${archived ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [id]
       );
       
-      return result.affectedRows > 0;
+      return result.affectedRows > 0 ? await this.findById(id) : null;
     } finally {
       connection.release();
     }
   }
 
   /**
-   * Update deposit and withdrawal totals
+   * Update account balance.
+   * The entry describes the change for the ledger (type, transaction or bet, description).
    */
-  async updateTotals(id, depositChange = 0, withdrawalChange = 0, balanceChange = 0) {
-    const connection = await pool.getConnection();
+  async updateBalance(id, balanceChange, entry = {}, connection = null) {
+    return this.updateTotals(id, 0, 0, balanceChange, entry, connection);
+  }
+
+  /**
+   * Update deposit and withdrawal totals through the ledger
+   */
+  async updateTotals(id, depositChange = 0, withdrawalChange = 0, balanceChange = 0, entry = {}, connection = null) {
+    await LedgerModel.append(id, {
+      entryType: 'adjustment',
+      ...entry,
+      amount: balanceChange,
+      depositChange,
+      withdrawalChange
+    }, connection);
     
-    try {
-      const [result] = await connection.execute(
-        `UPDATE ${this.tableName} 
-         SET balance = balance + ?, 
-             total_deposits = total_deposits + ?, 
-             total_withdrawals = total_withdrawals + ?,
-             updated_at = CURRENT_TIMESTAMP 
-         WHERE id = ?`,
-        [balanceChange, depositChange, withdrawalChange, id]
-      );
-      
-      return result.affectedRows > 0;
-    } finally {
-      connection.release();
-    }
+    return true;
   }
 
   /**
@@ -230,12 +298,10 @@ class AccountModel {
       await connection.execute('DELETE FROM bets WHERE account_id = ?', [id]);
       
       // Reset account balances
-      await connection.execute(
-        `UPDATE ${this.tableName} 
-         SET balance = 0, total_deposits = 0, total_withdrawals = 0, updated_at = CURRENT_TIMESTAMP 
-         WHERE id = ?`,
-        [id]
-      );
+      await LedgerModel.adjustTo(id, { balance: 0, totalDeposits: 0, totalWithdrawals: 0 }, {
+        entryType: 'reset',
+        description: 'Account cleared'
+      }, connection);
       
       await connection.commit();
       return true;
@@ -302,7 +368,7 @@ class AccountModel {
           SUM(t.amount) as total_amount,
           AVG(t.amount) as avg_amount
         FROM transactions t
-        WHERE t.account_id = ?
+        WHERE t.account_id = ? AND t.trash_id IS NULL
         GROUP BY t.type
       `, [id]);
       
@@ -312,14 +378,16 @@ class AccountModel {
           COUNT(*) as total_bets,
           COUNT(CASE WHEN status = 'won' THEN 1 END) as won_bets,
           COUNT(CASE WHEN status = 'lost' THEN 1 END) as lost_bets,
+          COUNT(CASE WHEN status IN ('push', 'void') THEN 1 END) as push_bets,
+          COUNT(CASE WHEN status = 'cashout' THEN 1 END) as cashout_bets,
           COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_bets,
           SUM(amount) as total_wagered,
-          SUM(CASE WHEN status = 'won' THEN winnings ELSE 0 END) as total_winnings,
+          SUM(CASE WHEN status IN ('won', 'push', 'void', 'cashout') THEN winnings ELSE 0 END) as total_winnings,
           AVG(amount) as avg_bet_size,
           MAX(amount) as largest_bet,
           MAX(CASE WHEN status = 'won' THEN winnings ELSE 0 END) as largest_win
         FROM bets
-        WHERE account_id = ?
+        WHERE account_id = ? AND trash_id IS NULL
       `, [id]);
       
       const bets = betStats[0];
@@ -351,6 +419,8 @@ class AccountModel {
           settledBets,
           wonBets: bets.won_bets,
           lostBets: bets.lost_bets,
+          pushBets: bets.push_bets,
+          cashoutBets: bets.cashout_bets,
           pendingBets: bets.pending_bets,
           winRate: settledBets > 0 ? ((bets.won_bets / settledBets) * 100).toFixed(2) : 0,
           totalWagered: parseFloat(bets.total_wagered || 0),
@@ -391,36 +461,90 @@ class AccountModel {
   }
 
   /**
-   * Get account summary for dashboard
+   * Get account summary for dashboard, in the user's base currency
    */
   async getSummary(userId) {
     const connection = await pool.getConnection();
     
     try {
-      const [summary] = await connection.execute(`
-        SELECT 
-          COUNT(*) as total_accounts,
-          SUM(balance) as total_balance,
-          SUM(total_deposits) as total_deposits,
-          SUM(total_withdrawals) as total_withdrawals
-        FROM ${this.tableName}
-        WHERE user_id = ?
-      `, [userId]);
+      const fx = await ExchangeRateModel.getConverter(userId, connection);
+      
+      const [accounts] = await connection.execute(
+        `SELECT id, currency, balance, total_deposits, total_withdrawals, archived_at FROM ${this.tableName} WHERE user_id = ?`,
+        [userId]
+      );
       
-      const result = summary[0];
+      // Accounts in the base currency need no rates, so only the others' cash flows are loaded
+      const [flows] = await connection.execute(`
+        SELECT t.account_id, t.type, t.transaction_date AS date, SUM(t.amount) AS amount
+        FROM transactions t
+        JOIN ${this.tableName} a ON t.account_id = a.id
+        WHERE a.user_id = ? AND a.currency <> ? AND t.trash_id IS NULL AND t.type IN ('deposit', 'withdrawal')
+        GROUP BY t.account_id, t.type, t.transaction_date
+      `, [userId, fx.baseCurrency]);
+      
+      // Accounts with no rate to the base are left out, and listed in missingRates
+      const totals = accounts
+        .map(account => this.convertTotals(account, flows.filter(flow => flow.account_id === account.id), fx))
+        .filter(converted => converted !== null)
+        .reduce((sum, converted) => ({
+          balance: sum.balance + converted.balance,
+          totalDeposits: sum.totalDeposits + converted.totalDeposits,
+          totalWithdrawals: sum.totalWithdrawals + converted.totalWithdrawals
+        }), { balance: 0, totalDeposits: 0, totalWithdrawals: 0 });
       
       return {
-        totalAccounts: result.total_accounts,
-        totalBalance: parseFloat(result.total_balance || 0),
-        totalDeposits: parseFloat(result.total_deposits || 0),
-        totalWithdrawals: parseFloat(result.total_withdrawals || 0),
-        netDeposits: parseFloat(result.total_deposits || 0) - parseFloat(result.total_withdrawals || 0)
+        totalAccounts: accounts.length,
+        activeAccounts: accounts.filter(account => !account.archived_at).length,
+        totalBalance: CurrencyUtils.round(totals.balance),
+        totalDeposits: CurrencyUtils.round(totals.totalDeposits),
+        totalWithdrawals: CurrencyUtils.round(totals.totalWithdrawals),
+        netDeposits: CurrencyUtils.round(totals.totalDeposits - totals.totalWithdrawals),
+        baseCurrency: fx.baseCurrency,
+        missingRates: fx.missingRates(),
+        complete: fx.missingRates().length === 0
       };
     } finally {
       connection.release();
     }
   }
 
+  /**
+   * An account's balance and totals in the base currency. Deposits and
+   * withdrawals are converted at the rate on the day they were made; the
+   * balance, and any part of the totals not backed by a transaction (such
+   * as a restored opening figure), at the latest rate. Returns null when
+   * there is no rate for the account's currency.
+   */
+  convertTotals(account, flows, fx) {
+    const convertFlows = (type, total) => {
+      const matching = flows.filter(flow => flow.type === type);
+      const recorded = matching.reduce((sum, flow) => sum + parseFloat(flow.amount), 0);
+      const converted = matching.reduce((sum, flow) => (
+        sum + fx.convert(parseFloat(flow.amount), account.currency, flow.date instanceof Date ? flow.date.toISOString().split('T')[0] : flow.date)
+      ), 0);
+      return converted + fx.convert(total - recorded, account.currency);
+    };
+    
+    if (account.currency === fx.baseCurrency) {
+      return {
+        balance: parseFloat(account.balance),
+        totalDeposits: parseFloat(account.total_deposits),
+        totalWithdrawals: parseFloat(account.total_withdrawals)
+      };
+    }
+    
+    if (fx.rateFor(account.currency) === null) {
+      return null;
+    }
+    
+    return {
+      balance: fx.convert(parseFloat(account.balance), account.currency),
+      totalDeposits: convertFlows('deposit', parseFloat(account.total_deposits)),
+      totalWithdrawals: convertFlows('withdrawal', parseFloat(account.total_withdrawals))
+    };
+  }
+
   /**
    * Get recent account activity
    */
@@ -441,7 +565,7 @@ class AccountModel {
           a.account_key
         FROM transactions t
         JOIN accounts a ON t.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ? AND t.trash_id IS NULL
         
         UNION ALL
         
@@ -457,7 +581,7 @@ class AccountModel {
           a.account_key
         FROM bets b
         JOIN accounts a ON b.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ? AND b.trash_id IS NULL
         
         ORDER BY created_at DESC
         LIMIT ?
@@ -488,32 +612,49 @@ class AccountModel {
       userId: account.user_id,
       accountKey: account.account_key,
       name: account.name,
+      sportsbook: account.sportsbook,
+      color: account.color,
+      currency: account.currency,
       balance: parseFloat(account.balance),
       totalDeposits: parseFloat(account.total_deposits),
       totalWithdrawals: parseFloat(account.total_withdrawals),
+      ...this.formatBankrollRules(account),
+      archivedAt: account.archived_at,
       createdAt: account.created_at,
       updatedAt: account.updated_at
     };
   }
 
   /**
-   * Recalculate account totals from transactions and bets
+   * Format the account's bankroll rules; unset rules are null
    */
-  async recalculateBalance(id) {
-    const connection = await pool.getConnection();
+  formatBankrollRules(account) {
+    const toNumber = (value) => value !== null && value !== undefined ? parseFloat(value) : null;
+    
+    return {
+      unitSize: toNumber(account.unit_size),
+      kellyFraction: toNumber(account.kelly_fraction),
+      maxStakePercent: toNumber(account.max_stake_percent)
+    };
+  }
+
+  /**
+   * Work out account totals from its transactions and bets, plus any
+   * reconciliation adjustments, without changing anything
+   */
+  async calculateBalance(id, connection = null) {
+    const conn = connection || await pool.getConnection();
     
     try {
-      await connection.beginTransaction();
-      
       // Get all transactions for this account
-      const [transactions] = await connection.execute(
-        'SELECT type, amount FROM transactions WHERE account_id = ?',
+      const [transactions] = await conn.execute(
+        'SELECT type, amount FROM transactions WHERE account_id = ? AND trash_id IS NULL',
         [id]
       );
       
       // Get all bets for this account
-      const [bets] = await connection.execute(
-        'SELECT amount, status, winnings, is_bonus_bet FROM bets WHERE account_id = ?',
+      const [bets] = await conn.execute(
+        'SELECT amount, status, winnings, is_bonus_bet FROM bets WHERE account_id = ? AND trash_id IS NULL',
         [id]
       );
       
@@ -558,32 +699,67 @@ class AccountModel {
           balance -= amount;
         }
         
-        if (bet.status === 'won') {
-          // Add winnings back to balance
+        if (['won', 'push', 'void', 'cashout'].includes(bet.status)) {
+          // Add winnings, refunded stakes and cash-outs back to balance
           balance += winnings;
         }
       });
       
-      // Update account with calculated values
-      await connection.execute(
-        `UPDATE ${this.tableName} 
-         SET balance = ?, total_deposits = ?, total_withdrawals = ?, updated_at = CURRENT_TIMESTAMP 
-         WHERE id = ?`,
-        [balance, totalDeposits, totalWithdrawals, id]
-      );
+      // Adjustments made to match the sportsbook's reported balance
+      balance += await LedgerModel.getReconciledAmount(id, conn);
       
-      await connection.commit();
+      return {
+        balance: Math.round(balance * 100) / 100,
+        totalDeposits: Math.round(totalDeposits * 100) / 100,
+        totalWithdrawals: Math.round(totalWithdrawals * 100) / 100
+      };
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Recalculate account totals from transactions and bets, recording any
+   * difference in the ledger. Pass an open connection to run inside the
+   * caller's transaction.
+   */
+  async recalculateBalance(id, connection = null) {
+    const conn = connection || await pool.getConnection();
+    
+    try {
+      if (!connection) {
+        await conn.beginTransaction();
+      }
+      
+      const { balance, totalDeposits, totalWithdrawals } = await this.calculateBalance(id, conn);
+      
+      // Record any drift between the ledger and the calculated values
+      const adjustment = await LedgerModel.adjustTo(id, { balance, totalDeposits, totalWithdrawals }, {
+        entryType: 'adjustment',
+        description: 'Recalculated from transactions and bets'
+      }, conn);
+      
+      if (!connection) {
+        await conn.commit();
+      }
       
       return {
         balance,
         totalDeposits,
-        totalWithdrawals
+        totalWithdrawals,
+        adjustment: adjustment.amount
       };
     } catch (error) {
-      await connection.rollback();
+      if (!connection) {
+        await conn.rollback();
+      }
       throw error;
     } finally {
-      connection.release();
+      if (!connection) {
+        conn.release();
+      }
     }
   }
 }
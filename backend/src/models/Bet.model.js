@@ -1,44 +1,119 @@
 const { pool } = require('../config/database.config');
+const OddsUtils = require('../utils/odds');
+const DateUtils = require('../utils/dates');
+const BetLegModel = require('./BetLeg.model');
+const BetTagModel = require('./BetTag.model');
+const ExchangeRateModel = require('./ExchangeRate.model');
+const CurrencyUtils = require('../utils/currency');
 
 class BetModel {
   constructor() {
     this.tableName = 'bets';
-    this.validStatuses = ['pending', 'won', 'lost'];
+    this.validStatuses = ['pending', 'won', 'lost', 'push', 'void', 'cashout'];
+    // Settled statuses whose winnings are paid back into the balance
+    this.payoutStatuses = ['won', 'push', 'void', 'cashout'];
+    // Stake returned as-is: neither a win nor a loss
+    this.refundStatuses = ['push', 'void'];
+    this.validBetTypes = ['straight', 'parlay', 'sgp'];
+    this.validMarketTypes = ['moneyline', 'spread', 'total', 'prop', 'future', 'other'];
+    // Metadata a user's bets can be broken down by, mapped to the grouping column
+    this.breakdownDimensions = {
+      sport: 'b.sport',
+      league: 'b.league',
+      marketType: 'b.market_type',
+      tag: 'bt.tag'
+    };
+    // Groupings for closing line value, mapped to the grouping column
+    this.clvDimensions = {
+      account: 'a.account_key',
+      sport: 'b.sport',
+      month: "DATE_FORMAT(b.bet_date, '%Y-%m')"
+    };
   }
 
   /**
-   * Create a new bet
+   * Create a new bet with its legs and tags.
+   * Pass an open connection to write inside the caller's transaction.
    */
-  async create(betData) {
-    const { account_id, amount, display_amount, description, bet_date, is_bonus_bet = false } = betData;
+  async create(betData, connection = null) {
+    const {
+      account_id, bet_type = 'straight', amount, display_amount, odds_decimal, odds_format,
+      closing_odds_decimal, closing_opposing_odds_decimal, description, sport, league, market_type, bet_date, bet_time, is_bonus_bet = false,
+      promotion_id = null, bankroll_percent = null, over_stake_limit = false, legs = [], tags = []
+    } = betData;
     
-    const connection = await pool.getConnection();
+    const { date, time } = DateUtils.resolve(bet_date, bet_time);
+    
+    const conn = connection || await pool.getConnection();
     
     try {
-      const [result] = await connection.execute(
-        `INSERT INTO ${this.tableName} (account_id, amount, display_amount, description, bet_date, is_bonus_bet, status) 
-         VALUES (?, ?, ?, ?, ?, ?, 'pending')`,
-        [account_id, amount, display_amount || amount, description || '', bet_date || new Date(), is_bonus_bet]
+      if (!connection) {
+        await conn.beginTransaction();
+      }
+      
+      const [result] = await conn.execute(
+        `INSERT INTO ${this.tableName} (account_id, bet_type, amount, display_amount, odds_decimal, odds_format, closing_odds_decimal, closing_opposing_odds_decimal, description, sport, league, market_type, bet_date, bet_time, is_bonus_bet, promotion_id, bankroll_percent, over_stake_limit, status) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+        [
+          account_id,
+          bet_type,
+          amount,
+          display_amount || amount,
+          odds_decimal || null,
+          odds_format || null,
+          closing_odds_decimal || null,
+          closing_opposing_odds_decimal || null,
+          description || '',
+          sport || null,
+          league || null,
+          market_type || null,
+          date,
+          time,
+          is_bonus_bet,
+          promotion_id,
+          bankroll_percent,
+          over_stake_limit ? 1 : 0
+        ]
       );
       
-      return await this.findById(result.insertId);
+      if (legs.length > 0) {
+        await BetLegModel.createMany(result.insertId, legs, conn);
+      }
+      
+      if (tags.length > 0) {
+        await BetTagModel.setForBet(result.insertId, tags, conn);
+      }
+      
+      if (!connection) {
+        await conn.commit();
+      }
+      
+      return await this.findById(result.insertId, connection);
+    } catch (error) {
+      if (!connection) {
+        await conn.rollback();
+      }
+      throw error;
     } finally {
-      connection.release();
+      if (!connection) {
+        conn.release();
+      }
     }
   }
 
   /**
-   * Find bet by ID
+   * Find bet by ID. Pass an open connection to read inside the caller's
+   * transaction, and lock to hold the bet until it commits.
    */
-  async findById(id) {
-    const connection = await pool.getConnection();
+  async findById(id, connection = null, lock = false) {
+    const conn = connection || await pool.getConnection();
     
     try {
-      const [bets] = await connection.execute(
+      const [bets] = await conn.execute(
         `SELECT b.*, a.account_key, a.name as account_name, a.user_id
          FROM ${this.tableName} b
          JOIN accounts a ON b.account_id = a.id
-         WHERE b.id = ?`,
+         WHERE b.id = ? AND b.trash_id IS NULL${lock ? ' FOR UPDATE' : ''}`,
         [id]
       );
       
@@ -46,9 +121,19 @@ class BetModel {
         return null;
       }
       
-      return this.formatBet(bets[0]);
+      const bet = this.formatBet(bets[0]);
+      if (bet.betType !== 'straight') {
+        bet.legs = await BetLegModel.findByBetId(bet.id, connection);
+      }
+      
+      const tagsByBet = await BetTagModel.findByBetIds([bet.id], connection);
+      bet.tags = tagsByBet[bet.id] || [];
+      
+      return bet;
     } finally {
-      connection.release();
+      if (!connection) {
+        conn.release();
+      }
     }
   }
 
@@ -62,7 +147,7 @@ class BetModel {
     const connection = await pool.getConnection();
     
     try {
-      let query = `SELECT * FROM ${this.tableName} WHERE account_id = ?`;
+      let query = `SELECT * FROM ${this.tableName} WHERE account_id = ? AND trash_id IS NULL`;
       const params = [accountId];
       
       if (status) {
@@ -80,13 +165,13 @@ class BetModel {
         params.push(endDate);
       }
       
-      query += ' ORDER BY bet_date DESC, created_at DESC LIMIT ? OFFSET ?';
+      query += ' ORDER BY bet_date DESC, bet_time DESC, created_at DESC LIMIT ? OFFSET ?';
       params.push(limit, offset);
       
       const [bets] = await connection.execute(query, params);
       
       // Get total count for pagination
-      let countQuery = `SELECT COUNT(*) as total FROM ${this.tableName} WHERE account_id = ?`;
+      let countQuery = `SELECT COUNT(*) as total FROM ${this.tableName} WHERE account_id = ? AND trash_id IS NULL`;
       const countParams = [accountId];
       
       if (status) {
@@ -124,78 +209,37 @@ class BetModel {
    * Find bets by user ID
    */
   async findByUserId(userId, options = {}) {
-    const { page = 1, limit = 50, status, accountKey, startDate, endDate } = options;
+    const { page = 1, limit = 50 } = options;
     const offset = (page - 1) * limit;
+    const filters = this.buildFilters(options);
     
     const connection = await pool.getConnection();
     
     try {
-      let query = `
+      const query = `
         SELECT b.*, a.account_key, a.name as account_name, a.user_id
         FROM ${this.tableName} b
         JOIN accounts a ON b.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ?${filters.clause}
+        ORDER BY b.bet_date DESC, b.bet_time DESC, b.created_at DESC LIMIT ? OFFSET ?
       `;
-      const params = [userId];
       
-      if (accountKey) {
-        query += ' AND a.account_key = ?';
-        params.push(accountKey);
-      }
-      
-      if (status) {
-        query += ' AND b.status = ?';
-        params.push(status);
-      }
-      
-      if (startDate) {
-        query += ' AND b.bet_date >= ?';
-        params.push(startDate);
-      }
-      
-      if (endDate) {
-        query += ' AND b.bet_date <= ?';
-        params.push(endDate);
-      }
-      
-      query += ' ORDER BY b.bet_date DESC, b.created_at DESC LIMIT ? OFFSET ?';
-      params.push(limit, offset);
-      
-      const [bets] = await connection.execute(query, params);
+      const [bets] = await connection.execute(query, [userId, ...filters.params, limit, offset]);
       
       // Get total count for pagination
-      let countQuery = `
+      const countQuery = `
         SELECT COUNT(*) as total 
         FROM ${this.tableName} b
         JOIN accounts a ON b.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ?${filters.clause}
       `;
-      const countParams = [userId];
-      
-      if (accountKey) {
-        countQuery += ' AND a.account_key = ?';
-        countParams.push(accountKey);
-      }
-      
-      if (status) {
-        countQuery += ' AND b.status = ?';
-        countParams.push(status);
-      }
       
-      if (startDate) {
-        countQuery += ' AND b.bet_date >= ?';
-        countParams.push(startDate);
-      }
+      const [countResult] = await connection.execute(countQuery, [userId, ...filters.params]);
       
-      if (endDate) {
-        countQuery += ' AND b.bet_date <= ?';
-        countParams.push(endDate);
-      }
-      
-      const [countResult] = await connection.execute(countQuery, countParams);
+      const formatted = await this.attachLegs(bets.map(b => this.formatBet(b)));
       
       return {
-        bets: bets.map(b => this.formatBet(b)),
+        bets: await this.attachTags(formatted),
         pagination: {
           page,
           limit,
@@ -209,17 +253,96 @@ class BetModel {
   }
 
   /**
-   * Update bet status and winnings
+   * Build the WHERE conditions shared by the user-level bet queries.
+   * Expects the bets table aliased as b and accounts as a.
    */
-  async updateStatus(id, status, winnings = 0) {
+  buildFilters(options = {}) {
+    const { accountKey, status, startDate, endDate, sport, league, marketType } = options;
+    // Bets in the trash are left out until they are restored
+    const conditions = ['b.trash_id IS NULL'];
+    const params = [];
+    
+    if (accountKey) {
+      conditions.push('a.account_key = ?');
+      params.push(accountKey);
+    }
+    
+    if (status) {
+      conditions.push('b.status = ?');
+      params.push(status);
+    }
+    
+    if (startDate) {
+      conditions.push('b.bet_date >= ?');
+      params.push(startDate);
+    }
+    
+    if (endDate) {
+      conditions.push('b.bet_date <= ?');
+      params.push(endDate);
+    }
+    
+    if (sport) {
+      conditions.push('b.sport = ?');
+      params.push(sport);
+    }
+    
+    if (league) {
+      conditions.push('b.league = ?');
+      params.push(league);
+    }
+    
+    if (marketType) {
+      conditions.push('b.market_type = ?');
+      params.push(marketType);
+    }
+    
+    // Every requested tag must be on the bet
+    BetTagModel.normalize(options.tags).forEach(tag => {
+      conditions.push(`EXISTS (SELECT 1 FROM ${BetTagModel.tableName} ft WHERE ft.bet_id = b.id AND ft.tag = ?)`);
+      params.push(tag);
+    });
+    
+    return {
+      clause: conditions.map(condition => ` AND ${condition}`).join(''),
+      params
+    };
+  }
+
+  /**
+   * Load legs for the multi-leg bets in a list of formatted bets
+   */
+  async attachLegs(bets) {
+    const multiLegIds = bets.filter(bet => bet.betType !== 'straight').map(bet => bet.id);
+    const legsByBet = await BetLegModel.findByBetIds(multiLegIds);
+    
+    return bets.map(bet => (
+      bet.betType !== 'straight' ? { ...bet, legs: legsByBet[bet.id] || [] } : bet
+    ));
+  }
+
+  /**
+   * Load tags for a list of formatted bets
+   */
+  async attachTags(bets) {
+    const tagsByBet = await BetTagModel.findByBetIds(bets.map(bet => bet.id));
+    
+    return bets.map(bet => ({ ...bet, tags: tagsByBet[bet.id] || [] }));
+  }
+
+  /**
+   * Update bet status and winnings.
+   * Pass an open connection to write inside the caller's transaction.
+   */
+  async updateStatus(id, status, winnings = 0, connection = null) {
     if (!this.validStatuses.includes(status)) {
       throw new Error(`Invalid bet status: ${status}`);
     }
     
-    const connection = await pool.getConnection();
+    const conn = connection || await pool.getConnection();
     
     try {
-      const [result] = await connection.execute(
+      const [result] = await conn.execute(
         `UPDATE ${this.tableName} 
          SET status = ?, winnings = ?, updated_at = CURRENT_TIMESTAMP 
          WHERE id = ?`,
@@ -230,20 +353,24 @@ class BetModel {
         return null;
       }
       
-      return await this.findById(id);
+      return await this.findById(id, connection);
     } finally {
-      connection.release();
+      if (!connection) {
+        conn.release();
+      }
     }
   }
 
   /**
-   * Update bet information
+   * Update bet information.
+   * Pass an open connection to write inside the caller's transaction; the
+   * caller then re-reads the bet once it commits and gets back whether a row changed.
    */
-  async update(id, updateData) {
-    const connection = await pool.getConnection();
+  async update(id, updateData, connection = null) {
+    const conn = connection || await pool.getConnection();
     
     try {
-      const allowedFields = ['amount', 'display_amount', 'description', 'bet_date', 'status', 'winnings', 'is_bonus_bet'];
+      const allowedFields = ['amount', 'display_amount', 'odds_decimal', 'odds_format', 'closing_odds_decimal', 'closing_opposing_odds_decimal', 'description', 'sport', 'league', 'market_type', 'bet_date', 'bet_time', 'status', 'winnings', 'is_bonus_bet'];
       const updateFields = [];
       const updateValues = [];
       
@@ -264,18 +391,24 @@ class BetModel {
       updateFields.push('updated_at = CURRENT_TIMESTAMP');
       updateValues.push(id);
       
-      const [result] = await connection.execute(
+      const [result] = await conn.execute(
         `UPDATE ${this.tableName} SET ${updateFields.join(', ')} WHERE id = ?`,
         updateValues
       );
       
+      if (connection) {
+        return result.affectedRows > 0;
+      }
+      
       if (result.affectedRows === 0) {
         return null;
       }
       
       return await this.findById(id);
     } finally {
-      connection.release();
+      if (!connection) {
+        conn.release();
+      }
     }
   }
 
@@ -319,7 +452,7 @@ class BetModel {
           MAX(amount) as max_amount,
           MAX(winnings) as max_winnings
         FROM ${this.tableName}
-        WHERE account_id = ?
+        WHERE account_id = ? AND trash_id IS NULL
       `;
       const params = [accountId];
       
@@ -343,6 +476,8 @@ class BetModel {
       let wonBets = 0;
       let lostBets = 0;
       let pendingBets = 0;
+      let pushBets = 0;
+      let cashoutBets = 0;
       let bonusBets = 0;
       
       const detailedStats = {};
@@ -370,11 +505,16 @@ class BetModel {
         if (stat.status === 'won') wonBets += stat.count;
         if (stat.status === 'lost') lostBets += stat.count;
         if (stat.status === 'pending') pendingBets += stat.count;
+        if (this.refundStatuses.includes(stat.status)) pushBets += stat.count;
+        if (stat.status === 'cashout') cashoutBets += stat.count;
         if (stat.is_bonus_bet) bonusBets += stat.count;
       });
       
-      const settledBets = wonBets + lostBets;
-      const winRate = settledBets > 0 ? (wonBets / settledBets) * 100 : 0;
+      // Pushes, voids and cash-outs never reached a result, so only
+      // won and lost bets count towards the win rate
+      const gradedBets = wonBets + lostBets;
+      const settledBets = gradedBets + pushBets + cashoutBets;
+      const winRate = gradedBets > 0 ? (wonBets / gradedBets) * 100 : 0;
       const netProfit = totalWinnings - totalWagered;
       const roi = totalWagered > 0 ? (netProfit / totalWagered) * 100 : 0;
       
@@ -383,8 +523,11 @@ class BetModel {
         summary: {
           totalBets,
           settledBets,
+          gradedBets,
           wonBets,
           lostBets,
+          pushBets,
+          cashoutBets,
           pendingBets,
           bonusBets,
           regularBets: totalBets - bonusBets,
@@ -402,50 +545,71 @@ class BetModel {
   }
 
   /**
-   * Get bet statistics for a user
+   * Get bet statistics for a user. Amounts are in the user's base
+   * currency, each bet converted at the rate on the day it was placed.
    */
   async getStatsByUserId(userId, options = {}) {
-    const { startDate, endDate, accountKey } = options;
+    const filters = this.buildFilters(options);
     
     const connection = await pool.getConnection();
     
     try {
-      let query = `
+      const fx = await ExchangeRateModel.getConverter(userId, connection);
+      
+      // Also grouped by currency and day, so each group converts at a single rate
+      const query = `
         SELECT 
           b.status,
           b.is_bonus_bet,
+          a.currency,
+          b.bet_date,
           COUNT(*) as count,
           SUM(b.amount) as total_amount,
           SUM(b.display_amount) as total_display_amount,
           SUM(b.winnings) as total_winnings,
-          AVG(b.amount) as avg_amount,
           MIN(b.amount) as min_amount,
           MAX(b.amount) as max_amount,
           MAX(b.winnings) as max_winnings
         FROM ${this.tableName} b
         JOIN accounts a ON b.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ?${filters.clause}
+        GROUP BY b.status, b.is_bonus_bet, a.currency, b.bet_date ORDER BY b.status, b.is_bonus_bet
       `;
-      const params = [userId];
-      
-      if (accountKey) {
-        query += ' AND a.account_key = ?';
-        params.push(accountKey);
-      }
-      
-      if (startDate) {
-        query += ' AND b.bet_date >= ?';
-        params.push(startDate);
-      }
-      
-      if (endDate) {
-        query += ' AND b.bet_date <= ?';
-        params.push(endDate);
-      }
       
-      query += ' GROUP BY b.status, b.is_bonus_bet ORDER BY b.status, b.is_bonus_bet';
+      const [rows] = await connection.execute(query, [userId, ...filters.params]);
       
-      const [stats] = await connection.execute(query, params);
+      // Bets in a currency with no rate to the base are left out, and the
+      // currency listed in missingRates
+      const stats = Object.values(rows.reduce((groups, row) => {
+        const date = row.bet_date instanceof Date ? row.bet_date.toISOString().split('T')[0] : row.bet_date;
+        if (fx.rateFor(row.currency, date) === null) {
+          return groups;
+        }
+        
+        const convert = (value) => fx.convert(parseFloat(value || 0), row.currency, date);
+        const key = `${row.status}_${row.is_bonus_bet}`;
+        const group = groups[key] = groups[key] || {
+          status: row.status,
+          is_bonus_bet: row.is_bonus_bet,
+          count: 0,
+          total_amount: 0,
+          total_display_amount: 0,
+          total_winnings: 0,
+          min_amount: Infinity,
+          max_amount: -Infinity,
+          max_winnings: -Infinity
+        };
+        
+        group.count += row.count;
+        group.total_amount += convert(row.total_amount);
+        group.total_display_amount += convert(row.total_display_amount);
+        group.total_winnings += convert(row.total_winnings);
+        group.avg_amount = group.total_amount / group.count;
+        group.min_amount = Math.min(group.min_amount, convert(row.min_amount));
+        group.max_amount = Math.max(group.max_amount, convert(row.max_amount));
+        group.max_winnings = Math.max(group.max_winnings, convert(row.max_winnings));
+        return groups;
+      }, {}));
       
       let totalBets = 0;
       let totalWagered = 0;
@@ -453,6 +617,8 @@ class BetModel {
       let wonBets = 0;
       let lostBets = 0;
       let pendingBets = 0;
+      let pushBets = 0;
+      let cashoutBets = 0;
       let bonusBets = 0;
       
       const detailedStats = {};
@@ -480,11 +646,16 @@ class BetModel {
         if (stat.status === 'won') wonBets += stat.count;
         if (stat.status === 'lost') lostBets += stat.count;
         if (stat.status === 'pending') pendingBets += stat.count;
+        if (this.refundStatuses.includes(stat.status)) pushBets += stat.count;
+        if (stat.status === 'cashout') cashoutBets += stat.count;
         if (stat.is_bonus_bet) bonusBets += stat.count;
       });
       
-      const settledBets = wonBets + lostBets;
-      const winRate = settledBets > 0 ? (wonBets / settledBets) * 100 : 0;
+      // Pushes, voids and cash-outs never reached a result, so only
+      // won and lost bets count towards the win rate
+      const gradedBets = wonBets + lostBets;
+      const settledBets = gradedBets + pushBets + cashoutBets;
+      const winRate = gradedBets > 0 ? (wonBets / gradedBets) * 100 : 0;
       const netProfit = totalWinnings - totalWagered;
       const roi = totalWagered > 0 ? (netProfit / totalWagered) * 100 : 0;
       
@@ -493,17 +664,23 @@ class BetModel {
         summary: {
           totalBets,
           settledBets,
+          gradedBets,
           wonBets,
           lostBets,
+          pushBets,
+          cashoutBets,
           pendingBets,
           bonusBets,
           regularBets: totalBets - bonusBets,
           winRate: parseFloat(winRate.toFixed(2)),
-          totalWagered,
-          totalWinnings,
-          netProfit,
+          totalWagered: CurrencyUtils.round(totalWagered),
+          totalWinnings: CurrencyUtils.round(totalWinnings),
+          netProfit: CurrencyUtils.round(netProfit),
           roi: parseFloat(roi.toFixed(2)),
-          avgBetSize: totalBets > 0 ? totalWagered / totalBets : 0
+          avgBetSize: totalBets > 0 ? totalWagered / totalBets : 0,
+          currency: fx.baseCurrency,
+          missingRates: fx.missingRates(),
+          complete: fx.missingRates().length === 0
         }
       };
     } finally {
@@ -511,6 +688,171 @@ class BetModel {
     }
   }
 
+  /**
+   * Break a user's bets down by sport, league, market type or tag.
+   * Accepts the same filters as getStatsByUserId.
+   */
+  async getBreakdownByUserId(userId, dimension, options = {}) {
+    const column = this.breakdownDimensions[dimension];
+    if (!column) {
+      throw new Error(`Invalid breakdown dimension: ${dimension}`);
+    }
+    
+    const filters = this.buildFilters(options);
+    // A bet with several tags counts once under each of them
+    const tagJoin = dimension === 'tag' ? `JOIN ${BetTagModel.tableName} bt ON bt.bet_id = b.id` : '';
+    
+    const connection = await pool.getConnection();
+    
+    try {
+      const [rows] = await connection.execute(`
+        SELECT 
+          ${column} as grouping_value,
+          COUNT(*) as total_bets,
+          COUNT(CASE WHEN b.status = 'won' THEN 1 END) as won_bets,
+          COUNT(CASE WHEN b.status = 'lost' THEN 1 END) as lost_bets,
+          COUNT(CASE WHEN b.status = 'pending' THEN 1 END) as pending_bets,
+          SUM(CASE WHEN b.status != 'pending' THEN b.amount ELSE 0 END) as settled_wagered,
+          SUM(b.amount) as total_wagered,
+          SUM(b.winnings) as total_winnings
+        FROM ${this.tableName} b
+        JOIN accounts a ON b.account_id = a.id
+        ${tagJoin}
+        WHERE a.user_id = ?${filters.clause}
+        GROUP BY ${column}
+      `, [userId, ...filters.params]);
+      
+      return rows
+        .map(row => {
+          const gradedBets = row.won_bets + row.lost_bets;
+          const settledWagered = parseFloat(row.settled_wagered || 0);
+          // Profit only counts settled bets - pending stakes are not losses yet
+          const netProfit = parseFloat(row.total_winnings || 0) - settledWagered;
+          
+          return {
+            value: row.grouping_value,
+            totalBets: row.total_bets,
+            wonBets: row.won_bets,
+            lostBets: row.lost_bets,
+            pendingBets: row.pending_bets,
+            winRate: gradedBets > 0 ? parseFloat(((row.won_bets / gradedBets) * 100).toFixed(2)) : 0,
+            totalWagered: parseFloat(row.total_wagered || 0),
+            totalWinnings: parseFloat(row.total_winnings || 0),
+            netProfit: parseFloat(netProfit.toFixed(2)),
+            roi: settledWagered > 0 ? parseFloat(((netProfit / settledWagered) * 100).toFixed(2)) : 0
+          };
+        })
+        .sort((a, b) => a.netProfit - b.netProfit);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Average closing line value of a user's bets grouped by account, sport or
+   * month. Only bets with both a taken and a closing price count. Accepts the
+   * same filters as getStatsByUserId.
+   */
+  async getClvByUserId(userId, dimension, options = {}) {
+    const column = this.clvDimensions[dimension];
+    if (!column) {
+      throw new Error(`Invalid CLV dimension: ${dimension}`);
+    }
+    
+    const filters = this.buildFilters(options);
+    // Fair closing probability: the vig is removed when the other side's price is known
+    const fairProbability = `CASE WHEN b.closing_opposing_odds_decimal IS NULL
+      THEN 1 / b.closing_odds_decimal
+      ELSE (1 / b.closing_odds_decimal) / (1 / b.closing_odds_decimal + 1 / b.closing_opposing_odds_decimal) END`;
+    
+    const connection = await pool.getConnection();
+    
+    try {
+      const [rows] = await connection.execute(`
+        SELECT 
+          ${column} as grouping_value,
+          MIN(a.name) as account_name,
+          COUNT(*) as tracked_bets,
+          COUNT(CASE WHEN b.odds_decimal > b.closing_odds_decimal THEN 1 END) as beat_close,
+          COUNT(CASE WHEN b.closing_opposing_odds_decimal IS NOT NULL THEN 1 END) as no_vig_bets,
+          AVG(b.odds_decimal / b.closing_odds_decimal - 1) as avg_clv,
+          AVG(${fairProbability} - 1 / b.odds_decimal) as avg_edge
+        FROM ${this.tableName} b
+        JOIN accounts a ON b.account_id = a.id
+        WHERE a.user_id = ?${filters.clause}
+          AND b.odds_decimal IS NOT NULL AND b.closing_odds_decimal IS NOT NULL
+        GROUP BY ${column}
+        ORDER BY ${column}
+      `, [userId, ...filters.params]);
+      
+      return rows.map(row => ({
+        value: row.grouping_value,
+        ...(dimension === 'account' && { name: row.account_name }),
+        ...this.formatClvRow(row)
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Format aggregated closing line value figures as percentages
+   */
+  formatClvRow(row) {
+    const percent = (value) => parseFloat((parseFloat(value || 0) * 100).toFixed(2));
+    
+    return {
+      trackedBets: row.tracked_bets,
+      noVigBets: row.no_vig_bets,
+      beatCloseRate: row.tracked_bets > 0 ? parseFloat(((row.beat_close / row.tracked_bets) * 100).toFixed(2)) : 0,
+      avgClv: percent(row.avg_clv),
+      avgProbabilityEdge: percent(row.avg_edge)
+    };
+  }
+
+  /**
+   * Profit or loss of each settled bet in the order the bets were placed.
+   * Accepts the same filters as getStatsByUserId.
+   */
+  async getSettledResults(userId, options = {}) {
+    const filters = this.buildFilters(options);
+    
+    const connection = await pool.getConnection();
+    
+    try {
+      const [rows] = await connection.execute(`
+        SELECT 
+          b.id,
+          DATE_FORMAT(b.bet_date, '%Y-%m-%d') as bet_date,
+          b.bet_time,
+          b.description,
+          b.status,
+          b.amount,
+          b.odds_decimal,
+          a.account_key,
+          CASE WHEN b.status = 'lost' THEN -b.amount ELSE b.winnings - b.amount END as profit
+        FROM ${this.tableName} b
+        JOIN accounts a ON b.account_id = a.id
+        WHERE a.user_id = ?${filters.clause} AND b.status != 'pending'
+        ORDER BY b.bet_date, b.bet_time, b.created_at, b.id
+      `, [userId, ...filters.params]);
+      
+      return rows.map(row => ({
+        betId: row.id,
+        date: row.bet_date,
+        time: DateUtils.formatTime(row.bet_time),
+        description: row.description,
+        status: row.status,
+        accountKey: row.account_key,
+        stake: parseFloat(row.amount || 0),
+        oddsDecimal: row.odds_decimal ? parseFloat(row.odds_decimal) : null,
+        profit: parseFloat(row.profit || 0)
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * Get recent bets
    */
@@ -522,7 +864,7 @@ class BetModel {
         SELECT b.*, a.account_key, a.name as account_name, a.user_id
         FROM ${this.tableName} b
         JOIN accounts a ON b.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ? AND b.trash_id IS NULL
         ORDER BY b.created_at DESC
         LIMIT ?
       `, [userId, limit]);
@@ -544,8 +886,8 @@ class BetModel {
         SELECT b.*, a.account_key, a.name as account_name, a.user_id
         FROM ${this.tableName} b
         JOIN accounts a ON b.account_id = a.id
-        WHERE a.user_id = ? AND b.status = 'pending'
-        ORDER BY b.bet_date DESC, b.created_at DESC
+        WHERE a.user_id = ? AND b.status = 'pending' AND b.trash_id IS NULL
+        ORDER BY b.bet_date DESC, b.bet_time DESC, b.created_at DESC
       `, [userId]);
       
       return bets.map(b => this.formatBet(b));
@@ -561,11 +903,12 @@ class BetModel {
     const connection = await pool.getConnection();
     
     try {
+      // Pushes, voids and cash-outs neither extend nor break a streak
       let query = `
         SELECT b.status, b.bet_date
         FROM ${this.tableName} b
         JOIN accounts a ON b.account_id = a.id
-        WHERE a.user_id = ? AND b.status IN ('won', 'lost')
+        WHERE a.user_id = ? AND b.status IN ('won', 'lost') AND b.trash_id IS NULL
       `;
       const params = [userId];
       
@@ -574,7 +917,7 @@ class BetModel {
         params.push(accountKey);
       }
       
-      query += ' ORDER BY b.bet_date DESC, b.created_at DESC';
+      query += ' ORDER BY b.bet_date DESC, b.bet_time DESC, b.created_at DESC';
       
       const [bets] = await connection.execute(query, params);
       
@@ -662,6 +1005,7 @@ class BetModel {
         FROM ${this.tableName} b
         JOIN accounts a ON b.account_id = a.id
         WHERE a.user_id = ? 
+          AND b.trash_id IS NULL
           AND YEAR(b.bet_date) = ? 
           AND MONTH(b.bet_date) = ?
         GROUP BY b.status, DAY(b.bet_date)
@@ -691,44 +1035,72 @@ class BetModel {
   }
 
   /**
-   * Bulk create bets
+   * Bulk create bets, settled or not, with their tags.
+   * Pass an open connection to write inside the caller's transaction.
    */
-  async bulkCreate(bets) {
-    const connection = await pool.getConnection();
+  async bulkCreate(bets, connection = null) {
+    const conn = connection || await pool.getConnection();
     
     try {
-      await connection.beginTransaction();
+      if (!connection) {
+        await conn.beginTransaction();
+      }
       
       const results = [];
       
       for (const betData of bets) {
-        const [result] = await connection.execute(
-          `INSERT INTO ${this.tableName} (account_id, amount, display_amount, description, bet_date, is_bonus_bet, status) 
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        const { date, time } = DateUtils.resolve(betData.bet_date, betData.bet_time);
+        const status = betData.status || 'pending';
+        const winnings = this.payoutStatuses.includes(status) ? parseFloat(betData.winnings || 0) : 0;
+        
+        const [result] = await conn.execute(
+          `INSERT INTO ${this.tableName} (account_id, amount, display_amount, odds_decimal, odds_format, description, sport, league, market_type, bet_date, bet_time, is_bonus_bet, status, winnings) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             betData.account_id,
             betData.amount,
             betData.display_amount || betData.amount,
+            betData.odds_decimal || null,
+            betData.odds_format || null,
             betData.description || '',
-            betData.bet_date || new Date(),
+            betData.sport || null,
+            betData.league || null,
+            betData.market_type || null,
+            date,
+            time,
             betData.is_bonus_bet || false,
-            betData.status || 'pending'
+            status,
+            winnings
           ]
         );
         
+        if (betData.tags && betData.tags.length > 0) {
+          await BetTagModel.setForBet(result.insertId, betData.tags, conn);
+        }
+        
         results.push({
           id: result.insertId,
-          ...betData
+          ...betData,
+          status,
+          winnings,
+          bet_date: date,
+          bet_time: time
         });
       }
       
-      await connection.commit();
+      if (!connection) {
+        await conn.commit();
+      }
       return results;
     } catch (error) {
-      await connection.rollback();
+      if (!connection) {
+        await conn.rollback();
+      }
       throw error;
     } finally {
-      connection.release();
+      if (!connection) {
+        conn.release();
+      }
     }
   }
 
@@ -754,7 +1126,7 @@ class BetModel {
    * Get bet profit/loss calculation
    */
   calculateProfitLoss(bet) {
-    if (bet.status === 'won') {
+    if (this.payoutStatuses.includes(bet.status)) {
       return parseFloat(bet.winnings || 0) - parseFloat(bet.amount || 0);
     } else if (bet.status === 'lost') {
       return -parseFloat(bet.amount || 0);
@@ -766,21 +1138,43 @@ class BetModel {
    * Format bet data
    */
   formatBet(bet) {
+    const oddsDecimal = bet.odds_decimal ? parseFloat(bet.odds_decimal) : null;
+    const closingOddsDecimal = bet.closing_odds_decimal ? parseFloat(bet.closing_odds_decimal) : null;
+    const closingOpposingOddsDecimal = bet.closing_opposing_odds_decimal ? parseFloat(bet.closing_opposing_odds_decimal) : null;
+    const oddsFormat = bet.odds_format || 'american';
+    
     return {
       id: bet.id,
       accountId: bet.account_id,
       accountKey: bet.account_key,
       accountName: bet.account_name,
       userId: bet.user_id,
+      betType: bet.bet_type || 'straight',
       amount: parseFloat(bet.amount),
       displayAmount: parseFloat(bet.display_amount),
+      oddsDecimal,
+      oddsFormat: bet.odds_format || null,
+      odds: oddsDecimal ? OddsUtils.format(oddsDecimal, oddsFormat) : null,
+      closingOddsDecimal,
+      closingOpposingOddsDecimal,
+      closingOdds: closingOddsDecimal ? OddsUtils.format(closingOddsDecimal, oddsFormat) : null,
+      closingOpposingOdds: closingOpposingOddsDecimal ? OddsUtils.format(closingOpposingOddsDecimal, oddsFormat) : null,
+      clv: OddsUtils.closingLineValue(oddsDecimal, closingOddsDecimal, closingOpposingOddsDecimal),
       description: bet.description,
+      sport: bet.sport || null,
+      league: bet.league || null,
+      marketType: bet.market_type || null,
       date: bet.bet_date instanceof Date ? 
         bet.bet_date.toISOString().split('T')[0] : 
         bet.bet_date,
+      time: DateUtils.formatTime(bet.bet_time),
       status: bet.status,
       winnings: parseFloat(bet.winnings || 0),
       isBonusBet: Boolean(bet.is_bonus_bet),
+      promotionId: bet.promotion_id || null,
+      positionId: bet.position_id || null,
+      bankrollPercent: bet.bankroll_percent !== null && bet.bankroll_percent !== undefined ? parseFloat(bet.bankroll_percent) : null,
+      overStakeLimit: Boolean(bet.over_stake_limit),
       createdAt: bet.created_at,
       updatedAt: bet.updated_at,
       profitLoss: this.calculateProfitLoss(bet)
@@ -809,12 +1203,31 @@ class BetModel {
       errors.push(`Status must be one of: ${this.validStatuses.join(', ')}`);
     }
     
+    if (data.odds_decimal && (isNaN(data.odds_decimal) || parseFloat(data.odds_decimal) <= 1)) {
+      errors.push('Decimal odds must be greater than 1');
+    }
+    
+    if (data.odds_format && !OddsUtils.validFormats.includes(data.odds_format)) {
+      errors.push(`Odds format must be one of: ${OddsUtils.validFormats.join(', ')}`);
+    }
+    
     if (data.winnings && (isNaN(data.winnings) || parseFloat(data.winnings) < 0)) {
       errors.push('Winnings must be a non-negative number');
     }
     
-    if (data.bet_date && isNaN(Date.parse(data.bet_date))) {
-      errors.push('Bet date must be a valid date');
+    if (data.market_type && !this.validMarketTypes.includes(data.market_type)) {
+      errors.push(`Market type must be one of: ${this.validMarketTypes.join(', ')}`);
+    }
+    
+    ['sport', 'league'].forEach(field => {
+      if (data[field] && String(data[field]).length > 50) {
+        errors.push(`${field.charAt(0).toUpperCase() + field.slice(1)} must be no more than 50 characters`);
+      }
+    });
+    
+    const dateError = DateUtils.validate(data.bet_date, data.bet_time);
+    if (dateError) {
+      errors.push(`Bet ${dateError.charAt(0).toLowerCase()}${dateError.slice(1)}`);
     }
     
     return errors;
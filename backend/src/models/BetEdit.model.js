@@ -0,0 +1,73 @@
+const { pool } = require('../config/database.config');
+
+class BetEditModel {
+  constructor() {
+    this.tableName = 'bet_edits';
+  }
+
+  /**
+   * Record an edit to a bet.
+   * Pass an open connection to write inside the caller's transaction.
+   */
+  async create(data, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [result] = await conn.execute(
+        `INSERT INTO ${this.tableName} (bet_id, changes, balance_change, ledger_entry_id, note)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          data.bet_id,
+          JSON.stringify(data.changes || {}),
+          data.balance_change || 0,
+          data.ledger_entry_id || null,
+          data.note || ''
+        ]
+      );
+
+      return result.insertId;
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Edit history of a bet, newest first
+   */
+  async findByBetId(betId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM ${this.tableName} WHERE bet_id = ? ORDER BY created_at DESC, id DESC`,
+        [betId]
+      );
+
+      return rows.map(row => this.formatEdit(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Format edit data
+   */
+  formatEdit(row) {
+    // mysql2 parses JSON columns, but older servers hand them back as strings
+    const changes = typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes;
+
+    return {
+      id: row.id,
+      betId: row.bet_id,
+      changes: changes || {},
+      balanceChange: parseFloat(row.balance_change),
+      ledgerEntryId: row.ledger_entry_id,
+      note: row.note,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new BetEditModel();
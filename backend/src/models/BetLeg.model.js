@@ -0,0 +1,174 @@
+const { pool } = require('../config/database.config');
+const OddsUtils = require('../utils/odds');
+
+class BetLegModel {
+  constructor() {
+    this.tableName = 'bet_legs';
+    this.validStatuses = ['pending', 'won', 'lost', 'void'];
+  }
+
+  /**
+   * Insert the legs of a multi-leg bet.
+   * Pass an open connection to insert inside the caller's transaction.
+   */
+  async createMany(betId, legs, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      for (let i = 0; i < legs.length; i++) {
+        const leg = legs[i];
+        await conn.execute(
+          `INSERT INTO ${this.tableName} (bet_id, leg_order, selection, odds_decimal, odds_format, status)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [betId, i, leg.selection, leg.odds_decimal, leg.odds_format || 'american', leg.status || 'pending']
+        );
+      }
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Find legs for a bet. Pass an open connection to read inside the caller's transaction.
+   */
+  async findByBetId(betId, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [legs] = await conn.execute(
+        `SELECT * FROM ${this.tableName} WHERE bet_id = ? ORDER BY leg_order, id`,
+        [betId]
+      );
+
+      return legs.map(leg => this.formatLeg(leg));
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Find legs for several bets at once, keyed by bet ID
+   */
+  async findByBetIds(betIds) {
+    if (betIds.length === 0) {
+      return {};
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      const placeholders = betIds.map(() => '?').join(',');
+      const [legs] = await connection.execute(
+        `SELECT * FROM ${this.tableName} WHERE bet_id IN (${placeholders}) ORDER BY bet_id, leg_order, id`,
+        betIds
+      );
+
+      return legs.reduce((grouped, leg) => {
+        if (!grouped[leg.bet_id]) {
+          grouped[leg.bet_id] = [];
+        }
+        grouped[leg.bet_id].push(this.formatLeg(leg));
+        return grouped;
+      }, {});
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Update the result of a single leg
+   */
+  async updateStatus(betId, legId, status, connection = null) {
+    if (!this.validStatuses.includes(status)) {
+      throw new Error(`Invalid leg status: ${status}`);
+    }
+
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [result] = await conn.execute(
+        `UPDATE ${this.tableName}
+         SET status = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND bet_id = ?`,
+        [status, legId, betId]
+      );
+
+      return result.affectedRows > 0;
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Mark every still-pending leg of a bet with the given status
+   */
+  async settlePending(betId, status, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [result] = await conn.execute(
+        `UPDATE ${this.tableName}
+         SET status = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE bet_id = ? AND status = 'pending'`,
+        [status, betId]
+      );
+
+      return result.affectedRows;
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Put every leg of a bet back to pending, for a parlay that is un-settled.
+   * Pass an open connection to write inside the caller's transaction.
+   */
+  async resetStatuses(betId, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [result] = await conn.execute(
+        `UPDATE ${this.tableName}
+         SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+         WHERE bet_id = ? AND status <> 'pending'`,
+        [betId]
+      );
+
+      return result.affectedRows;
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Format leg data
+   */
+  formatLeg(leg) {
+    const oddsDecimal = parseFloat(leg.odds_decimal);
+
+    return {
+      id: leg.id,
+      betId: leg.bet_id,
+      order: leg.leg_order,
+      selection: leg.selection,
+      oddsDecimal,
+      oddsFormat: leg.odds_format,
+      odds: OddsUtils.format(oddsDecimal, leg.odds_format),
+      status: leg.status,
+      createdAt: leg.created_at,
+      updatedAt: leg.updated_at
+    };
+  }
+}
+
+module.exports = new BetLegModel();
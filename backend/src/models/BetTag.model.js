@@ -0,0 +1,107 @@
+const { pool } = require('../config/database.config');
+
+class BetTagModel {
+  constructor() {
+    this.tableName = 'bet_tags';
+    this.maxTagLength = 50;
+    this.maxTagsPerBet = 10;
+  }
+
+  /**
+   * Normalise user-entered tags: trimmed, lower-case and unique.
+   * Accepts an array or a comma-separated string.
+   */
+  normalize(tags) {
+    if (tags === undefined || tags === null || tags === '') {
+      return [];
+    }
+
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+
+    return [...new Set(
+      list
+        .map(tag => String(tag).trim().toLowerCase())
+        .filter(tag => tag.length > 0)
+    )];
+  }
+
+  /**
+   * Replace the tags of a bet.
+   * Pass an open connection to write inside the caller's transaction.
+   */
+  async setForBet(betId, tags, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      await conn.execute(`DELETE FROM ${this.tableName} WHERE bet_id = ?`, [betId]);
+
+      for (const tag of tags) {
+        await conn.execute(
+          `INSERT INTO ${this.tableName} (bet_id, tag) VALUES (?, ?)`,
+          [betId, tag]
+        );
+      }
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Find tags for several bets at once, keyed by bet ID
+   */
+  async findByBetIds(betIds, connection = null) {
+    if (betIds.length === 0) {
+      return {};
+    }
+
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const placeholders = betIds.map(() => '?').join(',');
+      const [rows] = await conn.execute(
+        `SELECT bet_id, tag FROM ${this.tableName} WHERE bet_id IN (${placeholders}) ORDER BY bet_id, tag`,
+        betIds
+      );
+
+      return rows.reduce((grouped, row) => {
+        if (!grouped[row.bet_id]) {
+          grouped[row.bet_id] = [];
+        }
+        grouped[row.bet_id].push(row.tag);
+        return grouped;
+      }, {});
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Get every tag a user has used, with how many bets carry it
+   */
+  async findByUserId(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT bt.tag, COUNT(*) as count
+         FROM ${this.tableName} bt
+         JOIN bets b ON bt.bet_id = b.id
+         JOIN accounts a ON b.account_id = a.id
+         WHERE a.user_id = ? AND b.trash_id IS NULL
+         GROUP BY bt.tag
+         ORDER BY count DESC, bt.tag`,
+        [userId]
+      );
+
+      return rows.map(row => ({ tag: row.tag, count: row.count }));
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = new BetTagModel();
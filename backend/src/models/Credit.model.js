@@ -0,0 +1,138 @@
+const { pool } = require('../config/database.config');
+
+/**
+ * Site credit a user has been given to bet with: bonus credit transactions,
+ * and bet credit promotions whose bonus bets are linked to them. Neither
+ * stores what is left of it; the service works that out from bonus bets.
+ */
+class CreditModel {
+  /**
+   * A user's bonus credits, oldest first
+   */
+  async getBonusCredits(userId, accountKey = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      let query = `
+        SELECT t.id, t.account_id, a.account_key, a.name AS account_name, t.amount, t.description,
+               t.promotion_id, t.expires_on, t.transaction_date
+        FROM transactions t
+        JOIN accounts a ON t.account_id = a.id
+        WHERE a.user_id = ? AND t.type = 'bonus-credit' AND t.trash_id IS NULL
+      `;
+      const params = [userId];
+
+      if (accountKey) {
+        query += ' AND a.account_key = ?';
+        params.push(accountKey);
+      }
+
+      query += ' ORDER BY t.transaction_date, t.id';
+
+      const [rows] = await connection.execute(query, params);
+      return rows.map(row => ({
+        id: row.id,
+        accountId: row.account_id,
+        accountKey: row.account_key,
+        accountName: row.account_name,
+        amount: parseFloat(row.amount),
+        description: row.description,
+        promotionId: row.promotion_id || null,
+        grantedOn: this.formatDate(row.transaction_date),
+        expiresOn: this.formatDate(row.expires_on)
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Stakes of a user's bonus bets that aren't placed with a promotion, in
+   * the order they were placed. These are paid for out of bonus credits.
+   */
+  async getUnlinkedBonusBets(userId, accountKey = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      let query = `
+        SELECT b.id, b.account_id, b.display_amount, b.bet_date
+        FROM bets b
+        JOIN accounts a ON b.account_id = a.id
+        WHERE a.user_id = ? AND b.is_bonus_bet = 1 AND b.promotion_id IS NULL AND b.trash_id IS NULL
+      `;
+      const params = [userId];
+
+      if (accountKey) {
+        query += ' AND a.account_key = ?';
+        params.push(accountKey);
+      }
+
+      query += ' ORDER BY b.bet_date, b.bet_time, b.id';
+
+      const [rows] = await connection.execute(query, params);
+      return rows.map(row => ({
+        id: row.id,
+        accountId: row.account_id,
+        stake: parseFloat(row.display_amount),
+        betDate: this.formatDate(row.bet_date)
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * A user's active bet credit promotions with the stakes of the bonus bets
+   * placed with them so far
+   */
+  async getBetCreditPromotions(userId, accountKey = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      let query = `
+        SELECT p.id, p.account_id, a.account_key, a.name AS account_name, p.name, p.amount,
+               p.starts_on, p.expires_on, COALESCE(SUM(b.display_amount), 0) AS used
+        FROM promotions p
+        JOIN accounts a ON p.account_id = a.id
+        LEFT JOIN bets b ON b.promotion_id = p.id AND b.is_bonus_bet = 1 AND b.trash_id IS NULL
+        WHERE a.user_id = ? AND p.offer_type = 'bet-credit' AND p.status = 'active' AND p.amount > 0
+      `;
+      const params = [userId];
+
+      if (accountKey) {
+        query += ' AND a.account_key = ?';
+        params.push(accountKey);
+      }
+
+      query += ' GROUP BY p.id ORDER BY p.starts_on, p.id';
+
+      const [rows] = await connection.execute(query, params);
+      return rows.map(row => ({
+        id: row.id,
+        accountId: row.account_id,
+        accountKey: row.account_key,
+        accountName: row.account_name,
+        name: row.name,
+        amount: parseFloat(row.amount),
+        used: parseFloat(row.used),
+        grantedOn: this.formatDate(row.starts_on),
+        expiresOn: this.formatDate(row.expires_on)
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Format a DATE column as YYYY-MM-DD
+   */
+  formatDate(date) {
+    if (!date) {
+      return null;
+    }
+
+    return date instanceof Date ? date.toISOString().split('T')[0] : date;
+  }
+}
+
+module.exports = new CreditModel();
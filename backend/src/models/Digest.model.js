@@ -0,0 +1,215 @@
+const { pool } = require('../config/database.config');
+
+/**
+ * Weekly or monthly performance digest subscriptions. The destination is an
+ * email address or a webhook URL depending on the channel.
+ */
+class DigestModel {
+  constructor() {
+    this.tableName = 'digest_subscriptions';
+    this.frequencies = ['week', 'month'];
+    this.channels = ['email', 'webhook'];
+  }
+
+  /**
+   * Create a subscription
+   */
+  async create(data) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO ${this.tableName} (user_id, frequency, channel, destination, stale_after_days, last_period_start)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          data.user_id,
+          data.frequency,
+          data.channel,
+          data.destination,
+          data.stale_after_days,
+          data.last_period_start || null
+        ]
+      );
+
+      return await this.findById(result.insertId);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Find a subscription by ID
+   */
+  async findById(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(`SELECT * FROM ${this.tableName} WHERE id = ?`, [id]);
+      return rows.length > 0 ? this.formatSubscription(rows[0]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Find a user's subscription to one destination on a channel
+   */
+  async findByDestination(userId, channel, destination) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM ${this.tableName} WHERE user_id = ? AND channel = ? AND destination = ?`,
+        [userId, channel, destination]
+      );
+      return rows.length > 0 ? this.formatSubscription(rows[0]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * A user's subscriptions
+   */
+  async findByUserId(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM ${this.tableName} WHERE user_id = ? ORDER BY created_at, id`,
+        [userId]
+      );
+      return rows.map(row => this.formatSubscription(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Enabled subscriptions of a frequency that haven't had a digest for the
+   * period starting on periodStart yet
+   */
+  async findDue(frequency, periodStart) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM ${this.tableName}
+         WHERE enabled = 1 AND frequency = ? AND (last_period_start IS NULL OR last_period_start < ?)
+         ORDER BY id`,
+        [frequency, periodStart]
+      );
+      return rows.map(row => this.formatSubscription(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Update a subscription
+   */
+  async update(id, updateData) {
+    const connection = await pool.getConnection();
+
+    try {
+      const allowedFields = ['frequency', 'destination', 'stale_after_days', 'enabled', 'last_period_start'];
+      const updates = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(updateData[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        return await this.findById(id);
+      }
+
+      values.push(id);
+      await connection.execute(
+        `UPDATE ${this.tableName} SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        values
+      );
+
+      return await this.findById(id);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Record a delivery. Pass the period start for scheduled digests so the
+   * period isn't sent again; digests sent on request leave it unchanged.
+   */
+  async markSent(id, periodStart = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `UPDATE ${this.tableName}
+         SET last_sent_at = CURRENT_TIMESTAMP, last_error = NULL,
+             last_period_start = COALESCE(?, last_period_start)
+         WHERE id = ?`,
+        [periodStart, id]
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Record why a delivery failed. The period stays due, so the next run retries it.
+   */
+  async markFailed(id, message) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `UPDATE ${this.tableName} SET last_error = ? WHERE id = ?`,
+        [String(message).slice(0, 500), id]
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Delete a subscription
+   */
+  async delete(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Format subscription data
+   */
+  formatSubscription(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      frequency: row.frequency,
+      channel: row.channel,
+      destination: row.destination,
+      staleAfterDays: row.stale_after_days,
+      enabled: Boolean(row.enabled),
+      lastPeriodStart: row.last_period_start instanceof Date
+        ? row.last_period_start.toISOString().split('T')[0]
+        : row.last_period_start,
+      lastSentAt: row.last_sent_at,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new DigestModel();
@@ -0,0 +1,225 @@
+const { pool } = require('../config/database.config');
+const CurrencyUtils = require('../utils/currency');
+
+/**
+ * Exchange rates a user has entered or imported, with their history. One
+ * unit of from_currency is worth `rate` units of to_currency on rate_date.
+ * The user's base currency, which totals are reported in, is kept on the
+ * users table.
+ */
+class ExchangeRateModel {
+  constructor() {
+    this.tableName = 'exchange_rates';
+    this.sources = ['manual', 'import'];
+  }
+
+  /**
+   * Record rates, replacing any already recorded for the same pair and date
+   */
+  async upsertMany(userId, rates, connection = null) {
+    if (rates.length === 0) {
+      return 0;
+    }
+
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const placeholders = rates.map(() => '(?, ?, ?, ?, ?, ?)').join(', ');
+      const values = rates.flatMap(rate => [
+        userId,
+        rate.fromCurrency,
+        rate.toCurrency,
+        rate.rate,
+        rate.rateDate,
+        rate.source || 'manual'
+      ]);
+
+      const [result] = await conn.execute(
+        `INSERT INTO ${this.tableName} (user_id, from_currency, to_currency, rate, rate_date, source)
+         VALUES ${placeholders}
+         ON DUPLICATE KEY UPDATE rate = VALUES(rate), source = VALUES(source), updated_at = CURRENT_TIMESTAMP`,
+        values
+      );
+
+      return result.affectedRows;
+    } finally {
+      if (!connection) conn.release();
+    }
+  }
+
+  /**
+   * Find a rate by ID
+   */
+  async findById(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM ${this.tableName} WHERE id = ?`,
+        [id]
+      );
+
+      return rows.length > 0 ? this.formatRate(rows[0]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Find the rate recorded for a pair on a date
+   */
+  async findByPairAndDate(userId, fromCurrency, toCurrency, rateDate) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM ${this.tableName}
+         WHERE user_id = ? AND from_currency = ? AND to_currency = ? AND rate_date = ?`,
+        [userId, fromCurrency, toCurrency, rateDate]
+      );
+
+      return rows.length > 0 ? this.formatRate(rows[0]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * A user's rates, newest first, optionally involving one currency or
+   * within a date range
+   */
+  async findByUserId(userId, { currency = null, startDate = null, endDate = null } = {}, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      let query = `SELECT * FROM ${this.tableName} WHERE user_id = ?`;
+      const params = [userId];
+
+      if (currency) {
+        query += ' AND (from_currency = ? OR to_currency = ?)';
+        params.push(currency, currency);
+      }
+      if (startDate) {
+        query += ' AND rate_date >= ?';
+        params.push(startDate);
+      }
+      if (endDate) {
+        query += ' AND rate_date <= ?';
+        params.push(endDate);
+      }
+
+      query += ' ORDER BY rate_date DESC, from_currency, to_currency';
+
+      const [rows] = await conn.execute(query, params);
+      return rows.map(row => this.formatRate(row));
+    } finally {
+      if (!connection) conn.release();
+    }
+  }
+
+  /**
+   * Delete a rate
+   */
+  async delete(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Delete all of a user's rates
+   */
+  async deleteByUserId(userId, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [result] = await conn.execute(`DELETE FROM ${this.tableName} WHERE user_id = ?`, [userId]);
+      return result.affectedRows;
+    } finally {
+      if (!connection) conn.release();
+    }
+  }
+
+  /**
+   * The currency a user's totals are reported in
+   */
+  async getBaseCurrency(userId, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [rows] = await conn.execute('SELECT base_currency FROM users WHERE id = ?', [userId]);
+      return rows.length > 0 && rows[0].base_currency ? rows[0].base_currency : CurrencyUtils.defaultCurrency;
+    } finally {
+      if (!connection) conn.release();
+    }
+  }
+
+  /**
+   * Change the currency a user's totals are reported in
+   */
+  async setBaseCurrency(userId, currency, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      await conn.execute(
+        'UPDATE users SET base_currency = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [currency, userId]
+      );
+      return currency;
+    } finally {
+      if (!connection) conn.release();
+    }
+  }
+
+  /**
+   * A converter from any of the user's currencies into their base currency
+   * at the rate for a date (see CurrencyUtils.createConverter)
+   */
+  async getConverter(userId, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const baseCurrency = await this.getBaseCurrency(userId, conn);
+      const [rows] = await conn.execute(
+        `SELECT from_currency, to_currency, rate, rate_date FROM ${this.tableName}
+         WHERE user_id = ? AND (from_currency = ? OR to_currency = ?)`,
+        [userId, baseCurrency, baseCurrency]
+      );
+
+      return CurrencyUtils.createConverter(baseCurrency, rows.map(row => this.formatRate(row)));
+    } finally {
+      if (!connection) conn.release();
+    }
+  }
+
+  /**
+   * Format rate data
+   */
+  formatRate(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      fromCurrency: row.from_currency,
+      toCurrency: row.to_currency,
+      rate: parseFloat(row.rate),
+      rateDate: this.formatDate(row.rate_date),
+      source: row.source,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatDate(value) {
+    if (!value) {
+      return null;
+    }
+    return value instanceof Date ? value.toISOString().split('T')[0] : value;
+  }
+}
+
+module.exports = new ExchangeRateModel();
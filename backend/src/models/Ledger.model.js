@@ -0,0 +1,284 @@
+const { pool } = require('../config/database.config');
+
+/**
+ * Append-only ledger of balance changes. Every change to an account's
+ * balance, deposit total or withdrawal total is written here first; the
+ * columns on the accounts table are a cache of the ledger sums.
+ */
+class LedgerModel {
+  constructor() {
+    this.tableName = 'ledger_entries';
+    this.entryTypes = [
+      'opening',
+      'deposit',
+      'withdrawal',
+      'bonus-credit',
+      'historical-win',
+      'historical-loss',
+      'bet-stake',
+      'bet-payout',
+      'correction',
+      'adjustment',
+      'reconciliation',
+      'reset',
+      'restore'
+    ];
+  }
+
+  /**
+   * Ledger entry type for a transaction type
+   */
+  entryTypeFor(transactionType) {
+    if (transactionType === 'bet' || transactionType === 'bonus-bet') {
+      return 'bet-stake';
+    }
+
+    return this.entryTypes.includes(transactionType) ? transactionType : 'adjustment';
+  }
+
+  /**
+   * Round a money amount to cents
+   */
+  round(amount) {
+    return Math.round((parseFloat(amount) || 0) * 100) / 100;
+  }
+
+  /**
+   * Record a balance change and update the account's cached totals.
+   * Entries that change nothing are not recorded. Returns the entry ID or null.
+   * Pass an open connection to write inside the caller's transaction.
+   */
+  async append(accountId, entry, connection = null) {
+    const {
+      entryType = 'adjustment',
+      amount = 0,
+      depositChange = 0,
+      withdrawalChange = 0,
+      transactionId = null,
+      betId = null,
+      description = ''
+    } = entry;
+
+    if (!this.entryTypes.includes(entryType)) {
+      throw new Error(`Invalid ledger entry type: ${entryType}`);
+    }
+
+    const values = [this.round(amount), this.round(depositChange), this.round(withdrawalChange)];
+    if (values.every(value => value === 0)) {
+      return null;
+    }
+
+    const conn = connection || await pool.getConnection();
+
+    try {
+      if (!connection) {
+        await conn.beginTransaction();
+      }
+
+      // Serialise writers per account so the cached totals always match the sums
+      await conn.execute('SELECT id FROM accounts WHERE id = ? FOR UPDATE', [accountId]);
+
+      const [result] = await conn.execute(
+        `INSERT INTO ${this.tableName} (account_id, entry_type, amount, deposit_change, withdrawal_change, transaction_id, bet_id, description)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [accountId, entryType, ...values, transactionId, betId, String(description || '').slice(0, 500)]
+      );
+
+      await this.syncAccount(accountId, conn);
+
+      if (!connection) {
+        await conn.commit();
+      }
+
+      return result.insertId;
+    } catch (error) {
+      if (!connection) {
+        await conn.rollback();
+      }
+      throw error;
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Append whatever entry brings the ledger totals to the target values.
+   * Totals left out of the target are not changed.
+   */
+  async adjustTo(accountId, target, entry = {}, connection = null) {
+    const totals = await this.getTotals(accountId, connection);
+    const difference = (field) => target[field] === undefined ? 0 : this.round(target[field]) - totals[field];
+
+    const change = {
+      amount: difference('balance'),
+      depositChange: difference('totalDeposits'),
+      withdrawalChange: difference('totalWithdrawals')
+    };
+
+    const id = await this.append(accountId, { entryType: 'adjustment', ...entry, ...change }, connection);
+
+    return { id, ...change };
+  }
+
+  /**
+   * Copy the ledger sums onto the account row
+   */
+  async syncAccount(accountId, connection) {
+    const totals = await this.getTotals(accountId, connection, true);
+
+    await connection.execute(
+      `UPDATE accounts
+       SET balance = ?, total_deposits = ?, total_withdrawals = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [totals.balance, totals.totalDeposits, totals.totalWithdrawals, accountId]
+    );
+
+    return totals;
+  }
+
+  /**
+   * Balance, deposit and withdrawal totals according to the ledger
+   */
+  async getTotals(accountId, connection = null, lock = false) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [rows] = await conn.execute(
+        `SELECT COUNT(*) AS entries,
+                COALESCE(SUM(amount), 0) AS balance,
+                COALESCE(SUM(deposit_change), 0) AS total_deposits,
+                COALESCE(SUM(withdrawal_change), 0) AS total_withdrawals
+         FROM ${this.tableName}
+         WHERE account_id = ?${lock ? ' FOR UPDATE' : ''}`,
+        [accountId]
+      );
+
+      return {
+        entries: rows[0].entries,
+        balance: this.round(rows[0].balance),
+        totalDeposits: this.round(rows[0].total_deposits),
+        totalWithdrawals: this.round(rows[0].total_withdrawals)
+      };
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Net reconciliation adjustments since the account was last reset.
+   * These have no transaction or bet behind them, so recalculation adds them back.
+   */
+  async getReconciledAmount(accountId, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [rows] = await conn.execute(
+        `SELECT COALESCE(SUM(amount), 0) AS amount
+         FROM ${this.tableName}
+         WHERE account_id = ? AND entry_type = 'reconciliation'
+           AND id > (SELECT COALESCE(MAX(id), 0) FROM ${this.tableName} WHERE account_id = ? AND entry_type = 'reset')`,
+        [accountId, accountId]
+      );
+
+      return this.round(rows[0].amount);
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Find ledger entries for an account, newest first, with the balance after each entry
+   */
+  async findByAccountId(accountId, options = {}) {
+    const { page = 1, limit = 50, entryType } = options;
+    const offset = (page - 1) * limit;
+
+    const connection = await pool.getConnection();
+
+    try {
+      let whereClause = 'WHERE account_id = ?';
+      const params = [accountId];
+
+      if (entryType) {
+        whereClause += ' AND entry_type = ?';
+        params.push(entryType);
+      }
+
+      const [rows] = await connection.execute(
+        `SELECT * FROM ${this.tableName} ${whereClause} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [countResult] = await connection.execute(
+        `SELECT COUNT(*) AS total FROM ${this.tableName} ${whereClause}`,
+        params
+      );
+
+      const totals = await this.getTotals(accountId, connection);
+      const entries = [];
+
+      if (rows.length > 0) {
+        // Balance after the newest entry on this page is the total less everything recorded since
+        const [newer] = await connection.execute(
+          `SELECT COALESCE(SUM(amount), 0) AS amount FROM ${this.tableName} WHERE account_id = ? AND id > ?`,
+          [accountId, rows[0].id]
+        );
+
+        let balanceAfter = this.round(totals.balance - parseFloat(newer[0].amount));
+
+        for (let i = 0; i < rows.length; i++) {
+          if (i > 0 && entryType) {
+            // Filtered pages skip entries, so work out the gap between rows
+            const [between] = await connection.execute(
+              `SELECT COALESCE(SUM(amount), 0) AS amount FROM ${this.tableName} WHERE account_id = ? AND id > ? AND id < ?`,
+              [accountId, rows[i].id, rows[i - 1].id]
+            );
+            balanceAfter = this.round(balanceAfter - parseFloat(between[0].amount));
+          }
+
+          entries.push(this.formatEntry(rows[i], balanceAfter));
+          balanceAfter = this.round(balanceAfter - parseFloat(rows[i].amount));
+        }
+      }
+
+      return {
+        entries,
+        totals,
+        pagination: {
+          page,
+          limit,
+          total: countResult[0].total,
+          totalPages: Math.ceil(countResult[0].total / limit)
+        }
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Format a ledger entry
+   */
+  formatEntry(entry, balanceAfter = null) {
+    return {
+      id: entry.id,
+      type: entry.entry_type,
+      amount: parseFloat(entry.amount),
+      depositChange: parseFloat(entry.deposit_change),
+      withdrawalChange: parseFloat(entry.withdrawal_change),
+      balanceAfter,
+      transactionId: entry.transaction_id,
+      betId: entry.bet_id,
+      description: entry.description,
+      createdAt: entry.created_at
+    };
+  }
+}
+
+module.exports = new LedgerModel();
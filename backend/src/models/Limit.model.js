@@ -0,0 +1,303 @@
+const { pool } = require('../config/database.config');
+const BetModel = require('./Bet.model');
+
+/**
+ * Self-imposed responsible-gambling limits. A limit with no account_id
+ * covers all of the user's accounts. Loosening changes wait in the
+ * pending_* columns until pending_effective_at.
+ */
+class LimitModel {
+  constructor() {
+    this.tableName = 'gambling_limits';
+    this.limitTypes = ['deposit', 'loss', 'bet-count'];
+    this.periods = ['day', 'week', 'month'];
+    this.enforcements = ['block', 'warn'];
+  }
+
+  /**
+   * Create a limit
+   */
+  async create(data) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO ${this.tableName} (user_id, account_id, limit_type, period, amount, enforcement)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          data.user_id,
+          data.account_id || null,
+          data.limit_type,
+          data.period,
+          data.amount,
+          data.enforcement || 'block'
+        ]
+      );
+
+      return await this.findById(result.insertId);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Find a limit by ID
+   */
+  async findById(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT l.*, a.account_key, a.name AS account_name
+         FROM ${this.tableName} l
+         LEFT JOIN accounts a ON l.account_id = a.id
+         WHERE l.id = ?`,
+        [id]
+      );
+
+      return rows.length > 0 ? this.formatLimit(rows[0]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Find a user's limit of one type and period for an account (or all accounts when accountId is null)
+   */
+  async findExisting(userId, accountId, limitType, period) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT id FROM ${this.tableName}
+         WHERE user_id = ? AND account_id <=> ? AND limit_type = ? AND period = ?`,
+        [userId, accountId || null, limitType, period]
+      );
+
+      return rows.length > 0 ? await this.findById(rows[0].id) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * A user's limits, user-wide ones first. Pass an account ID to get only
+   * the limits that apply to that account, including user-wide ones.
+   */
+  async findByUserId(userId, { accountId = null, limitTypes = null } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      let query = `
+        SELECT l.*, a.account_key, a.name AS account_name
+        FROM ${this.tableName} l
+        LEFT JOIN accounts a ON l.account_id = a.id
+        WHERE l.user_id = ?
+      `;
+      const params = [userId];
+
+      if (accountId) {
+        query += ' AND (l.account_id IS NULL OR l.account_id = ?)';
+        params.push(accountId);
+      }
+
+      if (limitTypes) {
+        query += ` AND l.limit_type IN (${limitTypes.map(() => '?').join(', ')})`;
+        params.push(...limitTypes);
+      }
+
+      query += ` ORDER BY l.account_id IS NOT NULL, a.name, FIELD(l.limit_type, 'deposit', 'loss', 'bet-count'),
+                 FIELD(l.period, 'day', 'week', 'month')`;
+
+      const [rows] = await connection.execute(query, params);
+      return rows.map(row => this.formatLimit(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Change a limit's amount or enforcement straight away, dropping any pending change
+   */
+  async update(id, { amount, enforcement }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `UPDATE ${this.tableName}
+         SET amount = ?, enforcement = ?, pending_action = NULL, pending_amount = NULL,
+             pending_enforcement = NULL, pending_effective_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [amount, enforcement, id]
+      );
+
+      return await this.findById(id);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Schedule a loosening change ('update' or 'remove') to apply after the cooling-off period
+   */
+  async schedule(id, { action, amount = null, enforcement = null, coolingOffDays }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `UPDATE ${this.tableName}
+         SET pending_action = ?, pending_amount = ?, pending_enforcement = ?,
+             pending_effective_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY), updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [action, amount, enforcement, coolingOffDays, id]
+      );
+
+      return await this.findById(id);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Drop a limit's pending change, keeping the current limit
+   */
+  async clearPending(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.execute(
+        `UPDATE ${this.tableName}
+         SET pending_action = NULL, pending_amount = NULL, pending_enforcement = NULL,
+             pending_effective_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [id]
+      );
+
+      return await this.findById(id);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Apply a user's pending changes whose cooling-off period has passed
+   */
+  async applyDueChanges(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `DELETE FROM ${this.tableName}
+         WHERE user_id = ? AND pending_action = 'remove' AND pending_effective_at <= CURRENT_TIMESTAMP`,
+        [userId]
+      );
+
+      await connection.execute(
+        `UPDATE ${this.tableName}
+         SET amount = pending_amount, enforcement = pending_enforcement, pending_action = NULL,
+             pending_amount = NULL, pending_enforcement = NULL, pending_effective_at = NULL
+         WHERE user_id = ? AND pending_action = 'update' AND pending_effective_at <= CURRENT_TIMESTAMP`,
+        [userId]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * How much of a limit has been used since a date: the amount deposited,
+   * the net loss on bets (stakes on pending bets count as lost until they
+   * settle) or the number of bets placed. Covers all of the user's accounts
+   * when accountId is null.
+   */
+  async getUsage(userId, accountId, limitType, fromDate) {
+    const connection = await pool.getConnection();
+
+    try {
+      const accountClause = accountId ? ' AND a.id = ?' : '';
+      const params = accountId ? [userId, accountId, fromDate] : [userId, fromDate];
+
+      if (limitType === 'deposit') {
+        const [rows] = await connection.execute(
+          `SELECT COALESCE(SUM(t.amount), 0) AS used
+           FROM transactions t
+           JOIN accounts a ON t.account_id = a.id
+           WHERE a.user_id = ?${accountClause} AND t.type = 'deposit' AND t.trash_id IS NULL AND t.transaction_date >= ?`,
+          params
+        );
+        return parseFloat(rows[0].used);
+      }
+
+      if (limitType === 'loss') {
+        const payoutStatuses = BetModel.payoutStatuses.map(status => `'${status}'`).join(', ');
+        const [rows] = await connection.execute(
+          `SELECT COALESCE(SUM(CASE WHEN b.status IN (${payoutStatuses}) THEN b.winnings ELSE 0 END - b.amount), 0) AS net
+           FROM bets b
+           JOIN accounts a ON b.account_id = a.id
+           WHERE a.user_id = ?${accountClause} AND b.trash_id IS NULL AND b.bet_date >= ?`,
+          params
+        );
+        return Math.max(0, -parseFloat(rows[0].net));
+      }
+
+      const [rows] = await connection.execute(
+        `SELECT COUNT(*) AS used
+         FROM bets b
+         JOIN accounts a ON b.account_id = a.id
+         WHERE a.user_id = ?${accountClause} AND b.trash_id IS NULL AND b.bet_date >= ?`,
+        params
+      );
+      return rows[0].used;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Delete a limit
+   */
+  async delete(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Format limit data
+   */
+  formatLimit(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      accountId: row.account_id,
+      accountKey: row.account_key || null,
+      accountName: row.account_name || null,
+      limitType: row.limit_type,
+      period: row.period,
+      amount: parseFloat(row.amount),
+      enforcement: row.enforcement,
+      pendingChange: row.pending_action ? {
+        action: row.pending_action,
+        amount: row.pending_amount !== null ? parseFloat(row.pending_amount) : null,
+        enforcement: row.pending_enforcement,
+        effectiveAt: row.pending_effective_at
+      } : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new LimitModel();
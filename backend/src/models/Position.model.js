@@ -0,0 +1,191 @@
+const { pool } = require('../config/database.config');
+const BetModel = require('./Bet.model');
+
+/**
+ * Positions: opposing bets, usually at different sportsbooks, grouped so
+ * they can be judged together. Bets link to a position through position_id.
+ */
+class PositionModel {
+  constructor() {
+    this.tableName = 'positions';
+    this.strategies = ['arbitrage', 'bonus-conversion', 'hedge'];
+  }
+
+  /**
+   * Create a position
+   */
+  async create(data) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO ${this.tableName} (user_id, strategy, name, notes) VALUES (?, ?, ?, ?)`,
+        [data.user_id, data.strategy, data.name, data.notes || '']
+      );
+
+      return await this.findById(result.insertId);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Find a position by ID
+   */
+  async findById(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM ${this.tableName} WHERE id = ?`,
+        [id]
+      );
+
+      return rows.length > 0 ? this.formatPosition(rows[0]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * A user's positions, newest first, optionally for one strategy
+   */
+  async findByUserId(userId, { strategy = null } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      let query = `SELECT * FROM ${this.tableName} WHERE user_id = ?`;
+      const params = [userId];
+
+      if (strategy) {
+        query += ' AND strategy = ?';
+        params.push(strategy);
+      }
+
+      query += ' ORDER BY created_at DESC, id DESC';
+
+      const [rows] = await connection.execute(query, params);
+      return rows.map(row => this.formatPosition(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Update a position
+   */
+  async update(id, updateData) {
+    const connection = await pool.getConnection();
+
+    try {
+      const allowedFields = ['strategy', 'name', 'notes'];
+      const updates = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(updateData[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        return await this.findById(id);
+      }
+
+      values.push(id);
+      await connection.execute(
+        `UPDATE ${this.tableName} SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        values
+      );
+
+      return await this.findById(id);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Delete a position. Its bets are kept and unlinked.
+   */
+  async delete(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * The bets in some positions, grouped by position ID. Trashed bets are left out.
+   */
+  async getBets(positionIds) {
+    if (positionIds.length === 0) {
+      return {};
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      const placeholders = positionIds.map(() => '?').join(', ');
+      const [rows] = await connection.execute(
+        `SELECT b.*, a.account_key, a.name AS account_name, a.user_id
+         FROM bets b
+         JOIN accounts a ON b.account_id = a.id
+         WHERE b.position_id IN (${placeholders}) AND b.trash_id IS NULL
+         ORDER BY b.bet_date, b.bet_time, b.id`,
+        positionIds
+      );
+
+      return rows.reduce((grouped, row) => {
+        (grouped[row.position_id] = grouped[row.position_id] || []).push(BetModel.formatBet(row));
+        return grouped;
+      }, {});
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Link bets to a position, or unlink them with a null position
+   */
+  async setBetPosition(betIds, positionId) {
+    if (betIds.length === 0) {
+      return 0;
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      const placeholders = betIds.map(() => '?').join(', ');
+      const [result] = await connection.execute(
+        `UPDATE bets SET position_id = ? WHERE id IN (${placeholders})`,
+        [positionId, ...betIds]
+      );
+
+      return result.affectedRows;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Format position data
+   */
+  formatPosition(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      strategy: row.strategy,
+      name: row.name,
+      notes: row.notes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new PositionModel();
@@ -0,0 +1,288 @@
+const { pool } = require('../config/database.config');
+
+/**
+ * Sportsbook promotions. Each belongs to one account; bets placed with a
+ * promotion and bonus credits it paid out link to it through promotion_id.
+ */
+class PromotionModel {
+  constructor() {
+    this.tableName = 'promotions';
+    this.offerTypes = ['bet-credit', 'deposit-match', 'profit-boost', 'odds-boost', 'no-sweat'];
+    this.statuses = ['active', 'completed', 'expired', 'forfeited'];
+    // Settled results that count towards a playthrough requirement; pushes and voids never had action
+    this.qualifyingStatuses = ['won', 'lost', 'cashout'];
+  }
+
+  /**
+   * Create a promotion
+   */
+  async create(data) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO ${this.tableName}
+           (account_id, offer_type, name, amount, boost_percent, rollover_multiplier, min_odds_decimal, starts_on, expires_on, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          data.account_id,
+          data.offer_type,
+          data.name,
+          data.amount || 0,
+          data.boost_percent ?? null,
+          data.rollover_multiplier || 0,
+          data.min_odds_decimal ?? null,
+          data.starts_on,
+          data.expires_on || null,
+          data.notes || ''
+        ]
+      );
+
+      return await this.findById(result.insertId);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Find a promotion by ID
+   */
+  async findById(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT p.*, a.account_key, a.name AS account_name, a.user_id
+         FROM ${this.tableName} p
+         JOIN accounts a ON p.account_id = a.id
+         WHERE p.id = ?`,
+        [id]
+      );
+
+      return rows.length > 0 ? this.formatPromotion(rows[0]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * A user's promotions, soonest expiry first, optionally for one account or status
+   */
+  async findByUserId(userId, { accountKey = null, status = null } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      let query = `
+        SELECT p.*, a.account_key, a.name AS account_name, a.user_id
+        FROM ${this.tableName} p
+        JOIN accounts a ON p.account_id = a.id
+        WHERE a.user_id = ?
+      `;
+      const params = [userId];
+
+      if (accountKey) {
+        query += ' AND a.account_key = ?';
+        params.push(accountKey);
+      }
+
+      if (status) {
+        query += ' AND p.status = ?';
+        params.push(status);
+      }
+
+      query += ` ORDER BY FIELD(p.status, 'active', 'completed', 'expired', 'forfeited'),
+                 p.expires_on IS NULL, p.expires_on, p.created_at DESC`;
+
+      const [rows] = await connection.execute(query, params);
+      return rows.map(row => this.formatPromotion(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Update a promotion
+   */
+  async update(id, updateData) {
+    const connection = await pool.getConnection();
+
+    try {
+      const allowedFields = [
+        'name', 'amount', 'boost_percent', 'rollover_multiplier', 'min_odds_decimal',
+        'starts_on', 'expires_on', 'status', 'notes'
+      ];
+      const updates = [];
+      const values = [];
+
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(updateData[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        return await this.findById(id);
+      }
+
+      values.push(id);
+      await connection.execute(
+        `UPDATE ${this.tableName} SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        values
+      );
+
+      return await this.findById(id);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Mark a user's active promotions that expired before a date as expired
+   */
+  async expireDue(userId, today) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `UPDATE ${this.tableName} p
+         JOIN accounts a ON p.account_id = a.id
+         SET p.status = 'expired', p.updated_at = CURRENT_TIMESTAMP
+         WHERE a.user_id = ? AND p.status = 'active' AND p.expires_on < ?`,
+        [userId, today]
+      );
+
+      return result.affectedRows;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Stakes towards a promotion's playthrough: settled real-money bets on its
+   * account placed while it ran, at its minimum odds or longer
+   */
+  async getRolloverProgress(promotion) {
+    const connection = await pool.getConnection();
+
+    try {
+      const statuses = this.qualifyingStatuses.map(() => '?').join(', ');
+      let query = `
+        SELECT COUNT(*) AS bets, COALESCE(SUM(amount), 0) AS staked
+        FROM bets
+        WHERE account_id = ? AND trash_id IS NULL AND is_bonus_bet = 0
+          AND status IN (${statuses}) AND bet_date >= ?
+      `;
+      const params = [promotion.accountId, ...this.qualifyingStatuses, promotion.startsOn];
+
+      if (promotion.expiresOn) {
+        query += ' AND bet_date <= ?';
+        params.push(promotion.expiresOn);
+      }
+
+      if (promotion.minOddsDecimal) {
+        query += ' AND odds_decimal >= ?';
+        params.push(promotion.minOddsDecimal);
+      }
+
+      const [rows] = await connection.execute(query, params);
+
+      return {
+        bets: rows[0].bets,
+        staked: parseFloat(rows[0].staked)
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * What a promotion has paid out so far: bonus credits linked to it, the
+   * returns of bonus bets placed with it, and the profit of real-money bets
+   * placed with it (a boost's share of that is worked out by the service)
+   */
+  async getPayouts(promotionId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [credits] = await connection.execute(
+        `SELECT COALESCE(SUM(amount), 0) AS credited
+         FROM transactions
+         WHERE promotion_id = ? AND type = 'bonus-credit' AND trash_id IS NULL`,
+        [promotionId]
+      );
+
+      const [bets] = await connection.execute(
+        `SELECT
+           COUNT(*) AS linked_bets,
+           COALESCE(SUM(CASE WHEN is_bonus_bet = 1 AND status != 'pending' THEN winnings ELSE 0 END), 0) AS bonus_bet_returns,
+           COALESCE(SUM(CASE WHEN is_bonus_bet = 0 AND status IN ('won', 'cashout') AND winnings > amount
+                             THEN winnings - amount ELSE 0 END), 0) AS boosted_profit
+         FROM bets
+         WHERE promotion_id = ? AND trash_id IS NULL`,
+        [promotionId]
+      );
+
+      return {
+        credited: parseFloat(credits[0].credited),
+        linkedBets: bets[0].linked_bets,
+        bonusBetReturns: parseFloat(bets[0].bonus_bet_returns),
+        boostedProfit: parseFloat(bets[0].boosted_profit)
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Delete a promotion. Linked bets and transactions are kept and unlinked.
+   */
+  async delete(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Format a DATE column as YYYY-MM-DD
+   */
+  formatDate(date) {
+    if (!date) {
+      return null;
+    }
+
+    return date instanceof Date ? date.toISOString().split('T')[0] : date;
+  }
+
+  /**
+   * Format promotion data
+   */
+  formatPromotion(row) {
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      accountKey: row.account_key,
+      accountName: row.account_name,
+      userId: row.user_id,
+      offerType: row.offer_type,
+      name: row.name,
+      amount: parseFloat(row.amount),
+      boostPercent: row.boost_percent !== null ? parseFloat(row.boost_percent) : null,
+      rolloverMultiplier: parseFloat(row.rollover_multiplier),
+      minOddsDecimal: row.min_odds_decimal !== null ? parseFloat(row.min_odds_decimal) : null,
+      startsOn: this.formatDate(row.starts_on),
+      expiresOn: this.formatDate(row.expires_on),
+      status: row.status,
+      notes: row.notes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new PromotionModel();
@@ -0,0 +1,96 @@
+const { pool } = require('../config/database.config');
+
+class ReconciliationModel {
+  constructor() {
+    this.tableName = 'reconciliations';
+  }
+
+  /**
+   * Record a reconciliation.
+   * Pass an open connection to write inside the caller's transaction.
+   */
+  async create(data, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [result] = await conn.execute(
+        `INSERT INTO ${this.tableName} (account_id, reported_balance, tracked_balance, discrepancy, causes, adjusted, ledger_entry_id, note)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          data.account_id,
+          data.reported_balance,
+          data.tracked_balance,
+          data.discrepancy,
+          JSON.stringify(data.causes || []),
+          data.adjusted ? 1 : 0,
+          data.ledger_entry_id || null,
+          data.note || ''
+        ]
+      );
+
+      const [rows] = await conn.execute(`SELECT * FROM ${this.tableName} WHERE id = ?`, [result.insertId]);
+      return this.formatReconciliation(rows[0]);
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Find reconciliations for an account, newest first
+   */
+  async findByAccountId(accountId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM ${this.tableName} WHERE account_id = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [accountId, limit, offset]
+      );
+
+      const [countResult] = await connection.execute(
+        `SELECT COUNT(*) AS total FROM ${this.tableName} WHERE account_id = ?`,
+        [accountId]
+      );
+
+      return {
+        reconciliations: rows.map(row => this.formatReconciliation(row)),
+        pagination: {
+          page,
+          limit,
+          total: countResult[0].total,
+          totalPages: Math.ceil(countResult[0].total / limit)
+        }
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Format reconciliation data
+   */
+  formatReconciliation(row) {
+    // mysql2 parses JSON columns, but older servers hand them back as strings
+    const causes = typeof row.causes === 'string' ? JSON.parse(row.causes) : row.causes;
+
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      reportedBalance: parseFloat(row.reported_balance),
+      trackedBalance: parseFloat(row.tracked_balance),
+      discrepancy: parseFloat(row.discrepancy),
+      causes: causes || [],
+      adjusted: Boolean(row.adjusted),
+      ledgerEntryId: row.ledger_entry_id,
+      note: row.note,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new ReconciliationModel();
@@ -1,28 +1,33 @@
 const { pool } = require('../config/database.config');
+const DateUtils = require('../utils/dates');
+const ExchangeRateModel = require('./ExchangeRate.model');
+const CurrencyUtils = require('../utils/currency');
 
 class TransactionModel {
   constructor() {
     this.tableName = 'transactions';
-    this.validTypes = ['deposit', 'withdrawal', 'bet', 'bonus-credit', 'historical-win', 'historical-loss'];
+    this.validTypes = ['deposit', 'withdrawal', 'bet', 'bonus-bet', 'bonus-credit', 'historical-win', 'historical-loss'];
   }
 
   /**
    * Create a new transaction
    */
   async create(transactionData) {
-    const { account_id, type, amount, description, transaction_date } = transactionData;
+    const { account_id, type, amount, description, promotion_id = null, expires_on = null, transaction_date, transaction_time } = transactionData;
     
     if (!this.validTypes.includes(type)) {
       throw new Error(`Invalid transaction type: ${type}`);
     }
     
+    const { date, time } = DateUtils.resolve(transaction_date, transaction_time);
+    
     const connection = await pool.getConnection();
     
     try {
       const [result] = await connection.execute(
-        `INSERT INTO ${this.tableName} (account_id, type, amount, description, transaction_date) 
-         VALUES (?, ?, ?, ?, ?)`,
-        [account_id, type, amount, description || '', transaction_date || new Date()]
+        `INSERT INTO ${this.tableName} (account_id, type, amount, description, promotion_id, expires_on, transaction_date, transaction_time) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [account_id, type, amount, description || '', promotion_id, expires_on, date, time]
       );
       
       return await this.findById(result.insertId);
@@ -42,7 +47,7 @@ class TransactionModel {
         `SELECT t.*, a.account_key, a.name as account_name, a.user_id
          FROM ${this.tableName} t
          JOIN accounts a ON t.account_id = a.id
-         WHERE t.id = ?`,
+         WHERE t.id = ? AND t.trash_id IS NULL`,
         [id]
       );
       
@@ -66,7 +71,7 @@ class TransactionModel {
     const connection = await pool.getConnection();
     
     try {
-      let query = `SELECT * FROM ${this.tableName} WHERE account_id = ?`;
+      let query = `SELECT * FROM ${this.tableName} WHERE account_id = ? AND trash_id IS NULL`;
       const params = [accountId];
       
       if (type) {
@@ -84,13 +89,13 @@ class TransactionModel {
         params.push(endDate);
       }
       
-      query += ' ORDER BY transaction_date DESC, created_at DESC LIMIT ? OFFSET ?';
+      query += ' ORDER BY transaction_date DESC, transaction_time DESC, created_at DESC LIMIT ? OFFSET ?';
       params.push(limit, offset);
       
       const [transactions] = await connection.execute(query, params);
       
       // Get total count for pagination
-      let countQuery = `SELECT COUNT(*) as total FROM ${this.tableName} WHERE account_id = ?`;
+      let countQuery = `SELECT COUNT(*) as total FROM ${this.tableName} WHERE account_id = ? AND trash_id IS NULL`;
       const countParams = [accountId];
       
       if (type) {
@@ -138,7 +143,7 @@ class TransactionModel {
         SELECT t.*, a.account_key, a.name as account_name, a.user_id
         FROM ${this.tableName} t
         JOIN accounts a ON t.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ? AND t.trash_id IS NULL
       `;
       const params = [userId];
       
@@ -162,7 +167,7 @@ class TransactionModel {
         params.push(endDate);
       }
       
-      query += ' ORDER BY t.transaction_date DESC, t.created_at DESC LIMIT ? OFFSET ?';
+      query += ' ORDER BY t.transaction_date DESC, t.transaction_time DESC, t.created_at DESC LIMIT ? OFFSET ?';
       params.push(limit, offset);
       
       const [transactions] = await connection.execute(query, params);
@@ -172,7 +177,7 @@ class TransactionModel {
         SELECT COUNT(*) as total 
         FROM ${this.tableName} t
         JOIN accounts a ON t.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ? AND t.trash_id IS NULL
       `;
       const countParams = [userId];
       
@@ -219,7 +224,7 @@ class TransactionModel {
     const connection = await pool.getConnection();
     
     try {
-      const allowedFields = ['type', 'amount', 'description', 'transaction_date'];
+      const allowedFields = ['type', 'amount', 'description', 'expires_on', 'transaction_date', 'transaction_time'];
       const updateFields = [];
       const updateValues = [];
       
@@ -291,7 +296,7 @@ class TransactionModel {
           MIN(amount) as min_amount,
           MAX(amount) as max_amount
         FROM ${this.tableName} 
-        WHERE account_id = ?
+        WHERE account_id = ? AND trash_id IS NULL
       `;
       const params = [accountId];
       
@@ -341,7 +346,8 @@ class TransactionModel {
   }
 
   /**
-   * Get transaction statistics for a user
+   * Get transaction statistics for a user. Amounts are in the user's base
+   * currency, each transaction converted at the rate on its date.
    */
   async getStatsByUserId(userId, options = {}) {
     const { startDate, endDate, accountKey } = options;
@@ -349,17 +355,20 @@ class TransactionModel {
     const connection = await pool.getConnection();
     
     try {
+      const fx = await ExchangeRateModel.getConverter(userId, connection);
+      
       let query = `
         SELECT 
           t.type,
+          a.currency,
+          t.transaction_date,
           COUNT(*) as count,
           SUM(t.amount) as total_amount,
-          AVG(t.amount) as avg_amount,
           MIN(t.amount) as min_amount,
           MAX(t.amount) as max_amount
         FROM ${this.tableName} t
         JOIN accounts a ON t.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ? AND t.trash_id IS NULL
       `;
       const params = [userId];
       
@@ -378,7 +387,8 @@ class TransactionModel {
         params.push(endDate);
       }
       
-      query += ' GROUP BY t.type ORDER BY t.type';
+      // Also grouped by currency and day, so each group converts at a single rate
+      query += ' GROUP BY t.type, a.currency, t.transaction_date ORDER BY t.type';
       
       const [stats] = await connection.execute(query, params);
       
@@ -386,17 +396,34 @@ class TransactionModel {
       let totalTransactions = 0;
       let totalAmount = 0;
       
+      // Transactions in a currency with no rate to the base are left out,
+      // and the currency listed in missingRates
       stats.forEach(stat => {
-        const amount = parseFloat(stat.total_amount || 0);
+        const date = stat.transaction_date instanceof Date ? stat.transaction_date.toISOString().split('T')[0] : stat.transaction_date;
+        if (fx.rateFor(stat.currency, date) === null) {
+          return;
+        }
+        
+        const convert = (value) => fx.convert(parseFloat(value || 0), stat.currency, date);
+        const amount = convert(stat.total_amount);
         totalTransactions += stat.count;
         totalAmount += amount;
         
+        const existing = formattedStats[stat.type] || {
+          count: 0,
+          totalAmount: 0,
+          minAmount: Infinity,
+          maxAmount: -Infinity
+        };
+        const count = existing.count + stat.count;
+        const typeTotal = existing.totalAmount + amount;
+        
         formattedStats[stat.type] = {
-          count: stat.count,
-          totalAmount: amount,
-          avgAmount: parseFloat(stat.avg_amount || 0),
-          minAmount: parseFloat(stat.min_amount || 0),
-          maxAmount: parseFloat(stat.max_amount || 0)
+          count,
+          totalAmount: typeTotal,
+          avgAmount: typeTotal / count,
+          minAmount: Math.min(existing.minAmount, convert(stat.min_amount)),
+          maxAmount: Math.max(existing.maxAmount, convert(stat.max_amount))
         };
       });
       
@@ -404,8 +431,11 @@ class TransactionModel {
         byType: formattedStats,
         overall: {
           totalTransactions,
-          totalAmount,
-          avgAmount: totalTransactions > 0 ? totalAmount / totalTransactions : 0
+          totalAmount: CurrencyUtils.round(totalAmount),
+          avgAmount: totalTransactions > 0 ? totalAmount / totalTransactions : 0,
+          currency: fx.baseCurrency,
+          missingRates: fx.missingRates(),
+          complete: fx.missingRates().length === 0
         }
       };
     } finally {
@@ -424,7 +454,7 @@ class TransactionModel {
         SELECT t.*, a.account_key, a.name as account_name, a.user_id
         FROM ${this.tableName} t
         JOIN accounts a ON t.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ? AND t.trash_id IS NULL
         ORDER BY t.created_at DESC
         LIMIT ?
       `, [userId, limit]);
@@ -448,7 +478,7 @@ class TransactionModel {
         SELECT t.*, a.account_key, a.name as account_name, a.user_id
         FROM ${this.tableName} t
         JOIN accounts a ON t.account_id = a.id
-        WHERE a.user_id = ? AND t.transaction_date BETWEEN ? AND ?
+        WHERE a.user_id = ? AND t.trash_id IS NULL AND t.transaction_date BETWEEN ? AND ?
       `;
       const params = [userId, startDate, endDate];
       
@@ -462,7 +492,7 @@ class TransactionModel {
         params.push(type);
       }
       
-      query += ' ORDER BY t.transaction_date DESC, t.created_at DESC';
+      query += ' ORDER BY t.transaction_date DESC, t.transaction_time DESC, t.created_at DESC';
       
       const [transactions] = await connection.execute(query, params);
       
@@ -488,6 +518,7 @@ class TransactionModel {
         FROM ${this.tableName} t
         JOIN accounts a ON t.account_id = a.id
         WHERE a.user_id = ? 
+          AND t.trash_id IS NULL
           AND YEAR(t.transaction_date) = ? 
           AND MONTH(t.transaction_date) = ?
         GROUP BY t.type, DAY(t.transaction_date)
@@ -516,13 +547,16 @@ class TransactionModel {
   }
 
   /**
-   * Bulk create transactions
+   * Bulk create transactions.
+   * Pass an open connection to write inside the caller's transaction.
    */
-  async bulkCreate(transactions) {
-    const connection = await pool.getConnection();
+  async bulkCreate(transactions, connection = null) {
+    const conn = connection || await pool.getConnection();
     
     try {
-      await connection.beginTransaction();
+      if (!connection) {
+        await conn.beginTransaction();
+      }
       
       const results = [];
       
@@ -531,31 +565,42 @@ class TransactionModel {
           throw new Error(`Invalid transaction type: ${transactionData.type}`);
         }
         
-        const [result] = await connection.execute(
-          `INSERT INTO ${this.tableName} (account_id, type, amount, description, transaction_date) 
-           VALUES (?, ?, ?, ?, ?)`,
+        const { date, time } = DateUtils.resolve(transactionData.transaction_date, transactionData.transaction_time);
+        
+        const [result] = await conn.execute(
+          `INSERT INTO ${this.tableName} (account_id, type, amount, description, transaction_date, transaction_time) 
+           VALUES (?, ?, ?, ?, ?, ?)`,
           [
             transactionData.account_id,
             transactionData.type,
             transactionData.amount,
             transactionData.description || '',
-            transactionData.transaction_date || new Date()
+            date,
+            time
           ]
         );
         
         results.push({
           id: result.insertId,
-          ...transactionData
+          ...transactionData,
+          transaction_date: date,
+          transaction_time: time
         });
       }
       
-      await connection.commit();
+      if (!connection) {
+        await conn.commit();
+      }
       return results;
     } catch (error) {
-      await connection.rollback();
+      if (!connection) {
+        await conn.rollback();
+      }
       throw error;
     } finally {
-      connection.release();
+      if (!connection) {
+        conn.release();
+      }
     }
   }
 
@@ -610,9 +655,14 @@ class TransactionModel {
       type: transaction.type,
       amount: parseFloat(transaction.amount),
       description: transaction.description,
+      promotionId: transaction.promotion_id || null,
+      expiresOn: transaction.expires_on instanceof Date ?
+        transaction.expires_on.toISOString().split('T')[0] :
+        transaction.expires_on || null,
       date: transaction.transaction_date instanceof Date ? 
         transaction.transaction_date.toISOString().split('T')[0] : 
         transaction.transaction_date,
+      time: DateUtils.formatTime(transaction.transaction_time),
       createdAt: transaction.created_at,
       updatedAt: transaction.updated_at,
       balanceImpact: this.getBalanceImpact(transaction.type, transaction.amount)
@@ -637,8 +687,9 @@ class TransactionModel {
       errors.push('Amount must be a positive number');
     }
     
-    if (data.transaction_date && isNaN(Date.parse(data.transaction_date))) {
-      errors.push('Transaction date must be a valid date');
+    const dateError = DateUtils.validate(data.transaction_date, data.transaction_time);
+    if (dateError) {
+      errors.push(`Transaction ${dateError.charAt(0).toLowerCase()}${dateError.slice(1)}`);
     }
     
     return errors;
@@ -0,0 +1,271 @@
+const { pool } = require('../config/database.config');
+
+/**
+ * Deleted transactions and bets, grouped by the delete that removed them.
+ * A row is in the trash while its trash_id points at one of these items;
+ * deleting an item purges its rows through ON DELETE CASCADE.
+ */
+class TrashModel {
+  constructor() {
+    this.tableName = 'trash_items';
+    this.itemTypes = ['transaction', 'bet', 'account', 'all'];
+    this.recordTables = ['transactions', 'bets'];
+  }
+
+  /**
+   * Open a trash item that expires after retention_days.
+   * Pass an open connection to write inside the caller's transaction.
+   */
+  async create(data, connection = null) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [result] = await conn.execute(
+        `INSERT INTO ${this.tableName} (user_id, item_type, account_id, record_id, label, ledger_changes, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY))`,
+        [
+          data.user_id,
+          data.item_type,
+          data.account_id || null,
+          data.record_id || null,
+          String(data.label || '').slice(0, 255),
+          JSON.stringify(data.ledger_changes || []),
+          data.retention_days
+        ]
+      );
+
+      return result.insertId;
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Record what a delete moved and the ledger changes it made
+   */
+  async complete(id, { transactionCount, betCount, ledgerChanges }, connection) {
+    const balanceChange = ledgerChanges.reduce((sum, change) => sum + change.amount, 0);
+
+    await connection.execute(
+      `UPDATE ${this.tableName}
+       SET transaction_count = ?, bet_count = ?, balance_change = ?, ledger_changes = ?
+       WHERE id = ?`,
+      [transactionCount, betCount, Math.round(balanceChange * 100) / 100, JSON.stringify(ledgerChanges), id]
+    );
+  }
+
+  /**
+   * Move live rows into a trash item, by row ID or by account.
+   * Returns how many transactions and bets were moved.
+   */
+  async moveRecords(id, { transactionIds = [], betIds = [], accountIds = [] }, connection) {
+    const moved = {};
+    const idsByTable = { transactions: transactionIds, bets: betIds };
+
+    for (const table of this.recordTables) {
+      const conditions = [];
+      const params = [id];
+
+      if (idsByTable[table].length > 0) {
+        conditions.push(`id IN (${idsByTable[table].map(() => '?').join(',')})`);
+        params.push(...idsByTable[table]);
+      }
+
+      if (accountIds.length > 0) {
+        conditions.push(`account_id IN (${accountIds.map(() => '?').join(',')})`);
+        params.push(...accountIds);
+      }
+
+      if (conditions.length === 0) {
+        moved[table] = 0;
+        continue;
+      }
+
+      const [result] = await connection.execute(
+        `UPDATE ${table} SET trash_id = ? WHERE trash_id IS NULL AND (${conditions.join(' OR ')})`,
+        params
+      );
+      moved[table] = result.affectedRows;
+    }
+
+    return { transactionCount: moved.transactions, betCount: moved.bets };
+  }
+
+  /**
+   * Put an item's rows back and mark it restored
+   */
+  async restoreRecords(id, connection) {
+    for (const table of this.recordTables) {
+      await connection.execute(`UPDATE ${table} SET trash_id = NULL WHERE trash_id = ?`, [id]);
+    }
+
+    await connection.execute(
+      `UPDATE ${this.tableName} SET restored_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [id]
+    );
+  }
+
+  /**
+   * Let a new row take an external ID still held by a row in the trash.
+   * The trashed row keeps everything else and can still be restored.
+   */
+  async releaseExternalId(accountId, externalId, connection) {
+    for (const table of this.recordTables) {
+      await connection.execute(
+        `UPDATE ${table} SET external_id = NULL WHERE account_id = ? AND external_id = ? AND trash_id IS NOT NULL`,
+        [accountId, externalId]
+      );
+    }
+  }
+
+  /**
+   * Find a trash item. Pass lock to hold it for the rest of the caller's transaction.
+   */
+  async findById(id, connection = null, lock = false) {
+    const conn = connection || await pool.getConnection();
+
+    try {
+      const [rows] = await conn.execute(
+        `SELECT * FROM ${this.tableName} WHERE id = ?${lock ? ' FOR UPDATE' : ''}`,
+        [id]
+      );
+
+      return rows.length > 0 ? this.formatItem(rows[0]) : null;
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * A user's trash, newest first. Restored items are kept until they expire
+   * so a restore can be redone, but are only listed on request.
+   */
+  async findByUserId(userId, options = {}) {
+    const { includeRestored = false } = options;
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT t.*, a.account_key, a.name AS account_name
+         FROM ${this.tableName} t
+         LEFT JOIN accounts a ON t.account_id = a.id
+         WHERE t.user_id = ? AND t.expires_at > NOW()${includeRestored ? '' : ' AND t.restored_at IS NULL'}
+         ORDER BY t.created_at DESC, t.id DESC`,
+        [userId]
+      );
+
+      return rows.map(row => this.formatItem(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Most recent item still in the trash
+   */
+  async findLatestActive(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM ${this.tableName}
+         WHERE user_id = ? AND restored_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at DESC, id DESC LIMIT 1`,
+        [userId]
+      );
+
+      return rows.length > 0 ? this.formatItem(rows[0]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Most recently restored item
+   */
+  async findLatestRestored(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [rows] = await connection.execute(
+        `SELECT t.*, a.account_key, a.name AS account_name
+         FROM ${this.tableName} t
+         LEFT JOIN accounts a ON t.account_id = a.id
+         WHERE t.user_id = ? AND t.restored_at IS NOT NULL AND t.expires_at > NOW()
+         ORDER BY t.restored_at DESC, t.id DESC LIMIT 1`,
+        [userId]
+      );
+
+      return rows.length > 0 ? this.formatItem(rows[0]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Permanently delete trash items and the rows in them
+   */
+  async delete(userId, id = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `DELETE FROM ${this.tableName} WHERE user_id = ?${id ? ' AND id = ?' : ''}`,
+        id ? [userId, id] : [userId]
+      );
+
+      return result.affectedRows;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Permanently delete every item past its retention period
+   */
+  async purgeExpired() {
+    const connection = await pool.getConnection();
+
+    try {
+      const [result] = await connection.execute(
+        `DELETE FROM ${this.tableName} WHERE expires_at <= NOW()`
+      );
+
+      return result.affectedRows;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Format trash item data
+   */
+  formatItem(row) {
+    // mysql2 parses JSON columns, but older servers hand them back as strings
+    const ledgerChanges = typeof row.ledger_changes === 'string' ? JSON.parse(row.ledger_changes) : row.ledger_changes;
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      itemType: row.item_type,
+      accountId: row.account_id,
+      accountKey: row.account_key || null,
+      accountName: row.account_name || null,
+      recordId: row.record_id,
+      label: row.label,
+      transactionCount: row.transaction_count,
+      betCount: row.bet_count,
+      balanceChange: parseFloat(row.balance_change),
+      ledgerChanges: ledgerChanges || [],
+      deletedAt: row.created_at,
+      expiresAt: row.expires_at,
+      restoredAt: row.restored_at
+    };
+  }
+}
+
+module.exports = new TrashModel();
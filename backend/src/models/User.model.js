@@ -8,7 +8,8 @@ class UserModel {
   }
 
   /**
-   * Create a new user
+   * Create a new user. Users start with no accounts and add their
+   * sportsbooks when they first sign in.
    */
   async create(userData) {
     const { email, username, password } = userData;
@@ -17,37 +18,12 @@ class UserModel {
     const connection = await pool.getConnection();
     
     try {
-      await connection.beginTransaction();
-      
       const [result] = await connection.execute(
         `INSERT INTO ${this.tableName} (email, username, password_hash) VALUES (?, ?, ?)`,
         [email.toLowerCase(), username, hashedPassword]
       );
       
-      const userId = result.insertId;
-      
-      // Create default accounts for the user
-      const defaultAccounts = [
-        ['draftkings1', 'DraftKings #1'],
-        ['draftkings2', 'DraftKings #2'],
-        ['fanduel', 'FanDuel'],
-        ['betmgm', 'BetMGM'],
-        ['bet365', 'Bet365']
-      ];
-      
-      for (const [key, name] of defaultAccounts) {
-        await connection.execute(
-          'INSERT INTO accounts (user_id, account_key, name) VALUES (?, ?, ?)',
-          [userId, key, name]
-        );
-      }
-      
-      await connection.commit();
-      
-      return await this.findById(userId);
-    } catch (error) {
-      await connection.rollback();
-      throw error;
+      return await this.findById(result.insertId);
     } finally {
       connection.release();
     }
@@ -167,6 +143,52 @@ class UserModel {
     }
   }
 
+  /**
+   * Get a user's settings document
+   */
+  async getSettings(id, connection = null) {
+    const conn = connection || await pool.getConnection();
+    
+    try {
+      const [rows] = await conn.execute(
+        `SELECT settings FROM ${this.tableName} WHERE id = ?`,
+        [id]
+      );
+      
+      if (rows.length === 0) {
+        return null;
+      }
+      
+      const { settings } = rows[0];
+      return typeof settings === 'string' ? JSON.parse(settings) : (settings || {});
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
+  /**
+   * Replace a user's settings document.
+   * Pass an open connection to write inside the caller's transaction.
+   */
+  async updateSettings(id, settings, connection = null) {
+    const conn = connection || await pool.getConnection();
+    
+    try {
+      await conn.execute(
+        `UPDATE ${this.tableName} SET settings = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [JSON.stringify(settings), id]
+      );
+      
+      return settings;
+    } finally {
+      if (!connection) {
+        conn.release();
+      }
+    }
+  }
+
   /**
    * Update user password
    */
@@ -301,7 +323,7 @@ class UserModel {
           SUM(t.amount) as total_amount
         FROM transactions t
         JOIN accounts a ON t.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ? AND t.trash_id IS NULL
         GROUP BY t.type
       `, [id]);
       
@@ -313,10 +335,10 @@ class UserModel {
           COUNT(CASE WHEN b.status = 'lost' THEN 1 END) as lost_bets,
           COUNT(CASE WHEN b.status = 'pending' THEN 1 END) as pending_bets,
           SUM(b.amount) as total_wagered,
-          SUM(CASE WHEN b.status = 'won' THEN b.winnings ELSE 0 END) as total_winnings
+          SUM(CASE WHEN b.status IN ('won', 'push', 'void', 'cashout') THEN b.winnings ELSE 0 END) as total_winnings
         FROM bets b
         JOIN accounts a ON b.account_id = a.id
-        WHERE a.user_id = ?
+        WHERE a.user_id = ? AND b.trash_id IS NULL
       `, [id]);
       
       // Process transaction stats
@@ -345,7 +367,7 @@ class UserModel {
           pending: stats.pending_bets,
           totalWagered: parseFloat(stats.total_wagered || 0),
           totalWinnings: parseFloat(stats.total_winnings || 0),
-          winRate: stats.total_bets > 0 ? ((stats.won_bets / (stats.won_bets + stats.lost_bets)) * 100) : 0
+          winRate: (stats.won_bets + stats.lost_bets) > 0 ? ((stats.won_bets / (stats.won_bets + stats.lost_bets)) * 100) : 0
         }
       };
     } finally {
@@ -4,6 +4,9 @@ const router = express.Router();
 // Controllers
 const AccountsController = require('../controllers/accounts.controller');
 
+// Models
+const LedgerModel = require('../models/Ledger.model');
+
 // Middleware
 const { authenticateToken } = require('../middleware/auth.middleware');
 const { 
@@ -16,9 +19,46 @@ const {
 } = require('../middleware/validation.middleware');
 const { asyncHandler } = require('../middleware/error.middleware');
 
+// Utils
+const OddsUtils = require('../utils/odds');
+const CurrencyUtils = require('../utils/currency');
+const SportsbookCatalog = require('../utils/sportsbooks');
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Bankroll rules are optional and cleared with null
+const bankrollRuleValidations = {
+  unitSize: [
+    rules.custom((value) => ({
+      valid: value === null || value === '' || parseFloat(value) > 0,
+      message: 'Unit size must be a positive number'
+    }))
+  ],
+  kellyFraction: [
+    rules.custom((value) => ({
+      valid: value === null || value === '' || (parseFloat(value) > 0 && parseFloat(value) <= 1),
+      message: 'Kelly fraction must be greater than 0 and at most 1'
+    }))
+  ],
+  maxStakePercent: [
+    rules.custom((value) => ({
+      valid: value === null || value === '' || (parseFloat(value) > 0 && parseFloat(value) <= 100),
+      message: 'Maximum stake must be greater than 0 and at most 100 percent'
+    }))
+  ]
+};
+
+const currencyRule = rules.custom((value) => ({
+  valid: CurrencyUtils.normalize(value) !== null,
+  message: 'Currency must be a three-letter code such as USD, GBP or CAD'
+}));
+
+const colorRule = rules.custom((value) => ({
+  valid: SportsbookCatalog.normalizeColor(value) !== null,
+  message: 'Logo colour must be a hex colour such as #1493ff'
+}));
+
 /**
  * @route   GET /api/accounts
  * @desc    Get all accounts for the authenticated user
@@ -28,6 +68,44 @@ router.get('/',
   asyncHandler(AccountsController.getAllAccounts)
 );
 
+/**
+ * @route   POST /api/accounts
+ * @desc    Add an account, from the sportsbook catalog or as a custom book
+ * @access  Private
+ */
+router.post('/',
+  validate({
+    name: [
+      rules.string(),
+      rules.maxLength(100, 'Account name must be no more than 100 characters')
+    ],
+    sportsbook: [
+      rules.oneOf(SportsbookCatalog.list().map(sportsbook => sportsbook.id), 'Sportsbook must be one from the catalog')
+    ],
+    accountKey: [
+      rules.custom((value) => ({
+        valid: /^[a-zA-Z0-9_-]{3,50}$/.test(value),
+        message: 'Account key must be 3-50 letters, numbers, hyphens or underscores'
+      }))
+    ],
+    color: [colorRule],
+    currency: [currencyRule],
+    balance: [
+      rules.number('Balance must be a valid number')
+    ]
+  }),
+  asyncHandler(AccountsController.createAccount)
+);
+
+/**
+ * @route   GET /api/accounts/catalog
+ * @desc    Get the sportsbooks accounts can be added from
+ * @access  Private
+ */
+router.get('/catalog',
+  asyncHandler(AccountsController.getCatalog)
+);
+
 /**
  * @route   GET /api/accounts/summary
  * @desc    Get accounts summary for dashboard
@@ -126,8 +204,94 @@ router.put('/:accountKey',
     ],
     balance: [
       rules.number('Balance must be a valid number')
+    ],
+    color: [colorRule],
+    currency: [currencyRule],
+    ...bankrollRuleValidations
+  }),
+  asyncHandler(async (req, res) => {
+    const AccountService = require('../services/account.service');
+    const result = await AccountService.updateAccount(req.user.userId, req.params.accountKey, req.body);
+    res.json(result);
+  })
+);
+
+/**
+ * @route   GET /api/accounts/:accountKey/stake-suggestion
+ * @desc    Suggest a Kelly stake from the odds and an estimated win probability, within the account's bankroll rules
+ * @access  Private
+ */
+router.get('/:accountKey/stake-suggestion',
+  validateParams({
+    accountKey: paramValidations.accountKey
+  }),
+  validateQuery({
+    odds: [
+      rules.required('Odds are required'),
+      rules.custom((value, query) => ({
+        valid: OddsUtils.toDecimal(value, query.oddsFormat) !== null,
+        message: 'Odds must be valid American (+150), decimal (2.50) or fractional (3/2) odds'
+      }))
+    ],
+    oddsFormat: [
+      rules.oneOf(['american', 'decimal', 'fractional'])
+    ],
+    probability: [
+      rules.required('Estimated win probability is required'),
+      rules.custom((value) => ({
+        valid: !isNaN(parseFloat(value)) && parseFloat(value) > 0 && parseFloat(value) < 100,
+        message: 'Probability must be a percentage between 0 and 100'
+      }))
     ]
   }),
+  asyncHandler(AccountsController.suggestStake)
+);
+
+/**
+ * @route   DELETE /api/accounts/:accountKey
+ * @desc    Clear account data (reset balances, move transactions and bets to the trash)
+ * @access  Private
+ */
+router.delete('/:accountKey',
+  validateParams({
+    accountKey: paramValidations.accountKey
+  }),
+  asyncHandler(AccountsController.clearAccount)
+);
+
+/**
+ * @route   POST /api/accounts/:accountKey/archive
+ * @desc    Archive an account: its history still counts, but nothing new can be recorded on it
+ * @access  Private
+ */
+router.post('/:accountKey/archive',
+  validateParams({
+    accountKey: paramValidations.accountKey
+  }),
+  asyncHandler(AccountsController.archiveAccount)
+);
+
+/**
+ * @route   POST /api/accounts/:accountKey/unarchive
+ * @desc    Bring an archived account back into use
+ * @access  Private
+ */
+router.post('/:accountKey/unarchive',
+  validateParams({
+    accountKey: paramValidations.accountKey
+  }),
+  asyncHandler(AccountsController.unarchiveAccount)
+);
+
+/**
+ * @route   POST /api/accounts/:accountKey/recalculate
+ * @desc    Recalculate account balance from transactions and bets
+ * @access  Private
+ */
+router.post('/:accountKey/recalculate',
+  validateParams({
+    accountKey: paramValidations.accountKey
+  }),
   asyncHandler(async (req, res) => {
     const AccountModel = require('../models/Account.model');
     const account = await AccountModel.findByUserAndKey(req.user.userId, req.params.accountKey);
@@ -138,51 +302,150 @@ router.put('/:accountKey',
       });
     }
     
-    const updatedAccount = await AccountModel.update(account.id, req.body);
+    const recalculatedBalances = await AccountModel.recalculateBalance(account.id);
     res.json({
       success: true,
-      message: 'Account updated successfully',
-      account: updatedAccount
+      message: 'Account balance recalculated successfully',
+      balances: recalculatedBalances
     });
   })
 );
 
 /**
- * @route   DELETE /api/accounts/:accountKey
- * @desc    Clear account data (reset balances, delete transactions and bets)
+ * @route   GET /api/accounts/:accountKey/reconcile
+ * @desc    Compare the tracked balance with the sportsbook's reported balance without recording it
  * @access  Private
  */
-router.delete('/:accountKey',
+router.get('/:accountKey/reconcile',
   validateParams({
     accountKey: paramValidations.accountKey
   }),
-  asyncHandler(AccountsController.clearAccount)
+  validateQuery({
+    reportedBalance: [
+      rules.required('Reported balance is required'),
+      rules.number('Reported balance must be a valid number')
+    ]
+  }),
+  asyncHandler(AccountsController.previewReconciliation)
 );
 
 /**
- * @route   POST /api/accounts/:accountKey/recalculate
- * @desc    Recalculate account balance from transactions and bets
+ * @route   POST /api/accounts/:accountKey/reconcile
+ * @desc    Record a reconciliation, optionally adjusting the balance to match the sportsbook
  * @access  Private
  */
-router.post('/:accountKey/recalculate',
+router.post('/:accountKey/reconcile',
+  validateParams({
+    accountKey: paramValidations.accountKey
+  }),
+  validate({
+    reportedBalance: [
+      rules.required('Reported balance is required'),
+      rules.number('Reported balance must be a valid number')
+    ],
+    adjust: [
+      rules.boolean('Adjust must be true or false')
+    ],
+    note: [
+      rules.string(),
+      rules.maxLength(200, 'Note must be no more than 200 characters')
+    ]
+  }),
+  asyncHandler(AccountsController.reconcileBalance)
+);
+
+/**
+ * @route   GET /api/accounts/:accountKey/reconciliations
+ * @desc    Get reconciliation history for an account
+ * @access  Private
+ */
+router.get('/:accountKey/reconciliations',
+  validateParams({
+    accountKey: paramValidations.accountKey
+  }),
+  validateQuery({
+    page: [
+      rules.custom((value) => {
+        if (value && (isNaN(value) || parseInt(value) < 1)) {
+          return { valid: false, message: 'Page must be a positive integer' };
+        }
+        return { valid: true };
+      })
+    ],
+    limit: [
+      rules.custom((value) => {
+        if (value && (isNaN(value) || parseInt(value) < 1 || parseInt(value) > 100)) {
+          return { valid: false, message: 'Limit must be between 1 and 100' };
+        }
+        return { valid: true };
+      })
+    ]
+  }),
+  asyncHandler(AccountsController.getReconciliations)
+);
+
+/**
+ * @route   GET /api/accounts/:accountKey/ledger
+ * @desc    Get the balance ledger for an account with the running balance after each entry
+ * @access  Private
+ */
+router.get('/:accountKey/ledger',
   validateParams({
     accountKey: paramValidations.accountKey
   }),
+  validateQuery({
+    page: [
+      rules.custom((value) => {
+        if (value && (isNaN(value) || parseInt(value) < 1)) {
+          return { valid: false, message: 'Page must be a positive integer' };
+        }
+        return { valid: true };
+      })
+    ],
+    limit: [
+      rules.custom((value) => {
+        if (value && (isNaN(value) || parseInt(value) < 1 || parseInt(value) > 100)) {
+          return { valid: false, message: 'Limit must be between 1 and 100' };
+        }
+        return { valid: true };
+      })
+    ],
+    type: [
+      rules.oneOf(LedgerModel.entryTypes)
+    ]
+  }),
   asyncHandler(async (req, res) => {
     const AccountModel = require('../models/Account.model');
-    const account = await AccountModel.findByUserAndKey(req.user.userId, req.params.accountKey);
     
+    const account = await AccountModel.findByUserAndKey(req.user.userId, req.params.accountKey);
     if (!account) {
       return res.status(404).json({
         error: 'Account not found'
       });
     }
     
-    const recalculatedBalances = await AccountModel.recalculateBalance(account.id);
+    const result = await LedgerModel.findByAccountId(account.id, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50,
+      entryType: req.query.type
+    });
+    
+    // The cached balance should always equal the ledger sum
+    const inSync = result.totals.balance === LedgerModel.round(account.balance) &&
+      result.totals.totalDeposits === LedgerModel.round(account.totalDeposits) &&
+      result.totals.totalWithdrawals === LedgerModel.round(account.totalWithdrawals);
+    
     res.json({
       success: true,
-      message: 'Account balance recalculated successfully',
-      balances: recalculatedBalances
+      account: {
+        accountKey: account.accountKey,
+        name: account.name,
+        balance: account.balance,
+        totalDeposits: account.totalDeposits,
+        totalWithdrawals: account.totalWithdrawals
+      },
+      inSync,
+      ...result
     });
   })
 );
@@ -271,7 +534,7 @@ router.get('/:accountKey/bets',
       })
     ],
     status: [
-      rules.oneOf(['pending', 'won', 'lost'])
+      rules.oneOf(['pending', 'won', 'lost', 'push', 'void', 'cashout'])
     ]
   }),
   asyncHandler(async (req, res) => {
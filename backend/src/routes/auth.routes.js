@@ -146,6 +146,32 @@ router.put('/profile',
   })
 );
 
+/**
+ * @route   GET /api/auth/settings
+ * @desc    Get user settings
+ * @access  Private
+ */
+router.get('/settings',
+  authenticateToken,
+  asyncHandler(AuthController.getSettings)
+);
+
+/**
+ * @route   PUT /api/auth/settings
+ * @desc    Update user settings (top-level keys are merged)
+ * @access  Private
+ */
+router.put('/settings',
+  authenticateToken,
+  validate({
+    settings: [
+      rules.required('Settings are required'),
+      rules.object('Settings must be an object')
+    ]
+  }),
+  asyncHandler(AuthController.updateSettings)
+);
+
 /**
  * @route   DELETE /api/auth/account
  * @desc    Delete user account and all associated data
@@ -15,10 +15,45 @@ const {
   rules
 } = require('../middleware/validation.middleware');
 const { asyncHandler } = require('../middleware/error.middleware');
+const OddsUtils = require('../utils/odds');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Metadata filters shared by the bet list and stats endpoints
+const metadataFilters = {
+  sport: [
+    rules.string(),
+    rules.maxLength(50, 'Sport must be no more than 50 characters')
+  ],
+  league: [
+    rules.string(),
+    rules.maxLength(50, 'League must be no more than 50 characters')
+  ],
+  marketType: [
+    rules.oneOf(['moneyline', 'spread', 'total', 'prop', 'future', 'other'])
+  ],
+  tags: [
+    rules.string('Tags must be a comma-separated list')
+  ]
+};
+
+// Closing prices for CLV tracking, entered like the bet's odds
+const closingLineRules = {
+  closingOdds: [
+    rules.custom((value, body) => ({
+      valid: value === null || value === '' || OddsUtils.toDecimal(value, body.oddsFormat) !== null,
+      message: 'Closing odds must be valid American (+150), decimal (2.50) or fractional (3/2) odds'
+    }))
+  ],
+  closingOpposingOdds: [
+    rules.custom((value, body) => ({
+      valid: value === null || value === '' || OddsUtils.toDecimal(value, body.oddsFormat) !== null,
+      message: 'Opposing closing odds must be valid American (+150), decimal (2.50) or fractional (3/2) odds'
+    }))
+  ]
+};
+
 /**
  * @route   GET /api/bets
  * @desc    Get all bets for the authenticated user
@@ -50,14 +85,15 @@ router.get('/',
       }))
     ],
     status: [
-      rules.oneOf(['pending', 'won', 'lost'])
+      rules.oneOf(['pending', 'won', 'lost', 'push', 'void', 'cashout'])
     ],
     startDate: [
       rules.date('Start date must be a valid date')
     ],
     endDate: [
       rules.date('End date must be a valid date')
-    ]
+    ],
+    ...metadataFilters
   }),
   asyncHandler(BetsController.getAllBets)
 );
@@ -122,20 +158,81 @@ router.get('/stats',
     ],
     endDate: [
       rules.date('End date must be a valid date')
-    ]
+    ],
+    ...metadataFilters
   }),
   asyncHandler(async (req, res) => {
-    const BetModel = require('../models/Bet.model');
+    const BetService = require('../services/bet.service');
     const options = {
       accountKey: req.query.accountKey,
       startDate: req.query.startDate,
-      endDate: req.query.endDate
+      endDate: req.query.endDate,
+      sport: req.query.sport,
+      league: req.query.league,
+      marketType: req.query.marketType,
+      tags: req.query.tags
     };
     
-    const stats = await BetModel.getStatsByUserId(req.user.userId, options);
+    const result = await BetService.getBettingStats(req.user.userId, options);
+    res.json(result);
+  })
+);
+
+/**
+ * @route   GET /api/bets/equity-curve
+ * @desc    Cumulative profit and loss of settled bets per day or per bet, with drawdowns
+ * @access  Private
+ */
+router.get('/equity-curve',
+  validateQuery({
+    interval: [
+      rules.oneOf(['day', 'bet'], 'Interval must be day or bet')
+    ],
+    startingBankroll: [
+      rules.nonNegativeNumber('Starting bankroll must be zero or positive')
+    ],
+    accountKey: [
+      rules.string()
+    ],
+    startDate: [
+      rules.date('Start date must be a valid date')
+    ],
+    endDate: [
+      rules.date('End date must be a valid date')
+    ],
+    ...metadataFilters
+  }),
+  asyncHandler(async (req, res) => {
+    const BetService = require('../services/bet.service');
+    const result = await BetService.getEquityCurve(req.user.userId, {
+      interval: req.query.interval || 'day',
+      startingBankroll: parseFloat(req.query.startingBankroll) || 0,
+      accountKey: req.query.accountKey,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      sport: req.query.sport,
+      league: req.query.league,
+      marketType: req.query.marketType,
+      tags: req.query.tags
+    });
+    
+    res.json(result);
+  })
+);
+
+/**
+ * @route   GET /api/bets/tags
+ * @desc    Get every tag the user has put on a bet, most used first
+ * @access  Private
+ */
+router.get('/tags',
+  asyncHandler(async (req, res) => {
+    const BetTagModel = require('../models/BetTag.model');
+    const tags = await BetTagModel.findByUserId(req.user.userId);
+    
     res.json({
       success: true,
-      stats
+      tags
     });
   })
 );
@@ -240,55 +337,79 @@ router.post('/',
       rules.string(),
       rules.maxLength(500, 'Description must be no more than 500 characters')
     ],
+    odds: [
+      rules.custom((value, body) => ({
+        valid: value === null || value === '' || OddsUtils.toDecimal(value, body.oddsFormat) !== null,
+        message: 'Odds must be valid American (+150), decimal (2.50) or fractional (3/2) odds'
+      }))
+    ],
+    oddsFormat: [
+      rules.oneOf(OddsUtils.validFormats)
+    ],
+    ...closingLineRules,
+    betType: [
+      rules.oneOf(['straight', 'parlay', 'sgp'])
+    ],
+    legs: [
+      rules.custom((value) => {
+        if (!Array.isArray(value) || value.length < 2 || value.length > 20) {
+          return { valid: false, message: 'Legs must be an array of 2 to 20 selections' };
+        }
+        const invalid = value.findIndex(leg => !leg || !leg.selection || OddsUtils.toDecimal(leg.odds, leg.oddsFormat) === null);
+        if (invalid !== -1) {
+          return { valid: false, message: `Leg ${invalid + 1} needs a selection and valid odds` };
+        }
+        return { valid: true };
+      })
+    ],
     isBonusBet: [
       rules.boolean('Is bonus bet must be a boolean value')
+    ],
+    promotionId: [
+      rules.conditional((value) => value !== null, rules.custom((value) => ({
+        valid: Number.isInteger(Number(value)) && Number(value) > 0,
+        message: 'Promotion ID must be a positive integer'
+      })))
+    ],
+    sport: metadataFilters.sport,
+    league: metadataFilters.league,
+    marketType: metadataFilters.marketType,
+    tags: [
+      rules.custom((value) => ({
+        valid: typeof value === 'string' || (Array.isArray(value) && value.every(tag => typeof tag === 'string')),
+        message: 'Tags must be a list of strings'
+      }))
+    ],
+    date: [
+      rules.pastDate()
+    ],
+    time: [
+      rules.time()
     ]
   }),
   asyncHandler(async (req, res) => {
-    const BetModel = require('../models/Bet.model');
-    const AccountModel = require('../models/Account.model');
-    
-    // Find the account
-    const account = await AccountModel.findByUserAndKey(req.user.userId, req.body.account);
-    if (!account) {
-      return res.status(404).json({
-        error: 'Account not found'
-      });
-    }
-    
-    // Check if user has sufficient balance for non-bonus bets
-    if (!req.body.isBonusBet && account.balance < parseFloat(req.body.amount)) {
-      return res.status(400).json({
-        error: 'Insufficient balance for this bet'
-      });
-    }
+    const BetService = require('../services/bet.service');
+    const result = await BetService.createBet(req.user.userId, req.body);
     
-    const betData = {
-      account_id: account.id,
-      amount: req.body.isBonusBet ? 0 : parseFloat(req.body.amount), // No money risked for bonus bets
-      display_amount: parseFloat(req.body.displayAmount || req.body.amount),
-      description: req.body.description,
-      is_bonus_bet: req.body.isBonusBet || false
-    };
-    
-    const bet = await BetModel.create(betData);
-    
-    // Update account balance for non-bonus bets
-    if (!req.body.isBonusBet) {
-      await AccountModel.updateBalance(account.id, -parseFloat(req.body.amount));
-    }
-    
-    res.status(201).json({
-      success: true,
-      message: 'Bet created successfully',
-      bet
-    });
+    res.status(201).json(result);
   })
 );
 
+/**
+ * @route   GET /api/bets/:betId/history
+ * @desc    Get the edit history of a bet
+ * @access  Private
+ */
+router.get('/:betId/history',
+  validateParams({
+    betId: paramValidations.id
+  }),
+  asyncHandler(BetsController.getBetHistory)
+);
+
 /**
  * @route   PUT /api/bets/:betId
- * @desc    Update bet status and winnings
+ * @desc    Edit a bet, settle it, un-settle it back to pending, or record parlay leg results
  * @access  Private
  */
 router.put('/:betId',
@@ -297,18 +418,63 @@ router.put('/:betId',
   }),
   validate({
     status: [
-      rules.oneOf(['pending', 'won', 'lost'], 'Status must be pending, won, or lost')
+      rules.oneOf(['pending', 'won', 'lost', 'push', 'void', 'cashout'], 'Status must be pending, won, lost, push, void, or cashout')
     ],
     winnings: [
       rules.nonNegativeNumber('Winnings must be zero or positive')
+    ],
+    legs: [
+      rules.custom((value) => ({
+        valid: Array.isArray(value) && value.every(leg => leg && leg.id && ['won', 'lost', 'void'].includes(leg.status)),
+        message: 'Leg results must be an array of { id, status } with status won, lost, or void'
+      }))
+    ],
+    amount: [
+      rules.positiveNumber('Amount must be a positive number')
+    ],
+    isBonusBet: [
+      rules.boolean('Is bonus bet must be a boolean value')
+    ],
+    odds: [
+      rules.custom((value, body) => ({
+        valid: value === null || value === '' || OddsUtils.toDecimal(value, body.oddsFormat) !== null,
+        message: 'Odds must be valid American (+150), decimal (2.50) or fractional (3/2) odds'
+      }))
+    ],
+    oddsFormat: [
+      rules.oneOf(OddsUtils.validFormats)
+    ],
+    ...closingLineRules,
+    description: [
+      rules.string(),
+      rules.maxLength(500, 'Description must be no more than 500 characters')
+    ],
+    sport: metadataFilters.sport,
+    league: metadataFilters.league,
+    marketType: metadataFilters.marketType,
+    tags: [
+      rules.custom((value) => ({
+        valid: typeof value === 'string' || (Array.isArray(value) && value.every(tag => typeof tag === 'string')),
+        message: 'Tags must be a list of strings'
+      }))
+    ],
+    date: [
+      rules.pastDate()
+    ],
+    time: [
+      rules.time()
+    ],
+    note: [
+      rules.string(),
+      rules.maxLength(200, 'Note must be no more than 200 characters')
     ]
   }),
-  asyncHandler(BetsController.updateBetStatus)
+  asyncHandler(BetsController.updateBet)
 );
 
 /**
  * @route   DELETE /api/bets/:betId
- * @desc    Delete a bet
+ * @desc    Move a bet to the trash
  * @access  Private
  */
 router.delete('/:betId',
@@ -345,7 +511,7 @@ router.get('/account/:accountKey',
       })
     ],
     status: [
-      rules.oneOf(['pending', 'won', 'lost'])
+      rules.oneOf(['pending', 'won', 'lost', 'push', 'void', 'cashout'])
     ]
   }),
   asyncHandler(BetsController.getBetsByAccount)
@@ -353,7 +519,7 @@ router.get('/account/:accountKey',
 
 /**
  * @route   POST /api/bets/:betId/settle
- * @desc    Settle a bet (mark as won or lost with winnings)
+ * @desc    Settle a bet (won, lost, push, void, or cashout; winnings default from odds)
  * @access  Private
  */
 router.post('/:betId/settle',
@@ -363,55 +529,60 @@ router.post('/:betId/settle',
   validate({
     status: [
       rules.required('Status is required'),
-      rules.oneOf(['won', 'lost'], 'Status must be won or lost')
+      rules.oneOf(['won', 'lost', 'push', 'void', 'cashout'], 'Status must be won, lost, push, void, or cashout')
     ],
     winnings: [
-      rules.custom((value, body) => {
-        if (body.status === 'won') {
-          if (!value || isNaN(value) || parseFloat(value) <= 0) {
-            return { valid: false, message: 'Winnings amount is required for won bets and must be positive' };
-          }
-        }
-        return { valid: true };
-      })
+      rules.nonNegativeNumber('Winnings must be zero or positive')
     ]
   }),
   asyncHandler(async (req, res) => {
-    const BetModel = require('../models/Bet.model');
-    const AccountModel = require('../models/Account.model');
-    
-    // Get the bet first
-    const bet = await BetModel.findById(req.params.betId);
-    if (!bet || bet.userId !== req.user.userId) {
-      return res.status(404).json({
-        error: 'Bet not found'
-      });
-    }
-    
-    if (bet.status !== 'pending') {
-      return res.status(400).json({
-        error: 'Can only settle pending bets'
-      });
-    }
-    
-    const { status, winnings = 0 } = req.body;
-    
-    // Update bet status
-    const updatedBet = await BetModel.updateStatus(req.params.betId, status, parseFloat(winnings));
+    const BetService = require('../services/bet.service');
     
-    // Update account balance if bet won
-    if (status === 'won' && parseFloat(winnings) > 0) {
-      await AccountModel.updateBalance(bet.accountId, parseFloat(winnings));
-    }
-    
-    res.json({
-      success: true,
-      message: `Bet marked as ${status}`,
-      bet: updatedBet
+    // Winnings are optional for bets with odds - the payout is derived from them.
+    // Cash-outs pass the amount the book paid out as winnings.
+    const result = await BetService.settleBet(req.user.userId, parseInt(req.params.betId), {
+      status: req.body.status,
+      winnings: req.body.winnings
     });
+    
+    res.json(result);
   })
 );
 
+/**
+ * @route   POST /api/bets/bulk-settle
+ * @desc    Settle several pending bets at once, all or nothing (winners without winnings are paid at their odds)
+ * @access  Private
+ */
+router.post('/bulk-settle',
+  validate({
+    results: [
+      rules.required('Results array is required'),
+      rules.custom((value) => {
+        if (!Array.isArray(value)) {
+          return { valid: false, message: 'Results must be an array' };
+        }
+        if (value.length === 0) {
+          return { valid: false, message: 'At least one result is required' };
+        }
+        if (value.length > 100) {
+          return { valid: false, message: 'Maximum 100 bets allowed per bulk settlement' };
+        }
+        return { valid: true };
+      }),
+      rules.custom((value) => ({
+        valid: !Array.isArray(value) || value.every(result =>
+          result && parseInt(result.betId) > 0 &&
+          (result.legs !== undefined || ['won', 'lost', 'push', 'void', 'cashout'].includes(result.status)) &&
+          (result.winnings === undefined || result.winnings === null || parseFloat(result.winnings) >= 0)
+        ),
+        message: 'Each result needs a betId and a status of won, lost, push, void, or cashout (or parlay leg results), with winnings zero or positive'
+      }))
+    ]
+  }),
+  asyncHandler(BetsController.bulkSettle)
+);
+
 /**
  * @route   POST /api/bets/bulk
  * @desc    Create multiple bets
@@ -435,64 +606,7 @@ router.post('/bulk',
       })
     ]
   }),
-  asyncHandler(async (req, res) => {
-    const BetModel = require('../models/Bet.model');
-    const AccountModel = require('../models/Account.model');
-    const { bets } = req.body;
-    
-    // Validate each bet in the array
-    const errors = [];
-    const validatedBets = [];
-    
-    for (let i = 0; i < bets.length; i++) {
-      const bet = bets[i];
-      const betErrors = BetModel.validateBetData(bet);
-      
-      if (betErrors.length > 0) {
-        errors.push({
-          index: i,
-          errors: betErrors
-        });
-        continue;
-      }
-      
-      // Verify account belongs to user
-      const account = await AccountModel.findByUserAndKey(req.user.userId, bet.account_key);
-      if (!account) {
-        errors.push({
-          index: i,
-          errors: [`Account '${bet.account_key}' not found`]
-        });
-        continue;
-      }
-      
-      validatedBets.push({
-        ...bet,
-        account_id: account.id
-      });
-    }
-    
-    if (errors.length > 0) {
-      return res.status(400).json({
-        error: 'Validation errors in bulk bet data',
-        errors
-      });
-    }
-    
-    try {
-      const results = await BetModel.bulkCreate(validatedBets);
-      res.status(201).json({
-        success: true,
-        message: `Successfully created ${results.length} bets`,
-        bets: results
-      });
-    } catch (error) {
-      res.status(500).json({
-        error: 'Failed to create bulk bets',
-        message: error.message
-      });
-    }
-  })
+  asyncHandler(BetsController.bulkCreate)
 );
 
 module.exports = router;
\ No newline at end of file
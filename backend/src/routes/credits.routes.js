@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const CreditsController = require('../controllers/credits.controller');
+
+// Middleware
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { validateQuery, rules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/credits
+ * @desc    Get bonus credits and bet credit promotions with the amount left unused
+ * @access  Private
+ */
+router.get('/',
+  validateQuery({
+    accountKey: [
+      rules.string(),
+      rules.custom((value) => ({
+        valid: /^[a-zA-Z0-9_-]+$/.test(value),
+        message: 'Account key must contain only letters, numbers, hyphens, and underscores'
+      }))
+    ]
+  }),
+  asyncHandler(CreditsController.getCredits)
+);
+
+/**
+ * @route   GET /api/credits/expiring
+ * @desc    Get unused credit expiring within a number of days (default 7), most urgent first
+ * @access  Private
+ */
+router.get('/expiring',
+  validateQuery({
+    withinDays: [
+      rules.custom((value) => ({
+        valid: /^\d+$/.test(String(value)) && parseInt(value) >= 0 && parseInt(value) <= 365,
+        message: 'Within days must be a whole number from 0 to 365'
+      }))
+    ]
+  }),
+  asyncHandler(CreditsController.getExpiringCredits)
+);
+
+module.exports = router;
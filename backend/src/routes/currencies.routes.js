@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const CurrenciesController = require('../controllers/currencies.controller');
+
+// Utils
+const CurrencyUtils = require('../utils/currency');
+
+// Middleware
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { validate, validateParams, validateQuery, paramValidations, rules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const currencyRule = (field) => rules.custom((value) => ({
+  valid: CurrencyUtils.normalize(value) !== null,
+  message: `${field} must be a three-letter code such as USD, GBP or CAD`
+}));
+
+/**
+ * @route   GET /api/currencies
+ * @desc    Get the base currency and the currencies accounts are in, with their latest rates
+ * @access  Private
+ */
+router.get('/',
+  asyncHandler(CurrenciesController.getCurrencies)
+);
+
+/**
+ * @route   PUT /api/currencies/base
+ * @desc    Change the currency totals are reported in
+ * @access  Private
+ */
+router.put('/base',
+  validate({
+    baseCurrency: [
+      rules.required('Base currency is required'),
+      currencyRule('Base currency')
+    ]
+  }),
+  asyncHandler(CurrenciesController.setBaseCurrency)
+);
+
+/**
+ * @route   GET /api/currencies/rates
+ * @desc    Get exchange rate history, newest first
+ * @access  Private
+ */
+router.get('/rates',
+  validateQuery({
+    currency: [currencyRule('Currency')],
+    startDate: [
+      rules.date('Start date must be a valid date')
+    ],
+    endDate: [
+      rules.date('End date must be a valid date')
+    ]
+  }),
+  asyncHandler(CurrenciesController.getRates)
+);
+
+/**
+ * @route   POST /api/currencies/rates
+ * @desc    Record an exchange rate for a date (today if none), replacing any for the same pair and date
+ * @access  Private
+ */
+router.post('/rates',
+  validate({
+    fromCurrency: [
+      rules.required('From currency is required'),
+      currencyRule('From currency')
+    ],
+    toCurrency: [
+      rules.required('To currency is required'),
+      currencyRule('To currency')
+    ],
+    rate: [
+      rules.required('Rate is required'),
+      rules.positiveNumber('Rate must be a positive number')
+    ],
+    rateDate: [
+      rules.pastDate()
+    ]
+  }),
+  asyncHandler(CurrenciesController.saveRate)
+);
+
+/**
+ * @route   POST /api/currencies/rates/import
+ * @desc    Import exchange rate history from CSV (date, from, to, rate)
+ * @access  Private
+ */
+router.post('/rates/import',
+  validate({
+    data: [
+      rules.required('Rate data is required'),
+      rules.string('Rate data must be a string')
+    ]
+  }),
+  asyncHandler(CurrenciesController.importRates)
+);
+
+/**
+ * @route   DELETE /api/currencies/rates/:rateId
+ * @desc    Delete an exchange rate
+ * @access  Private
+ */
+router.delete('/rates/:rateId',
+  validateParams({
+    rateId: paramValidations.id
+  }),
+  asyncHandler(CurrenciesController.deleteRate)
+);
+
+module.exports = router;
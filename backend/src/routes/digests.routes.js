@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const DigestsController = require('../controllers/digests.controller');
+
+// Models
+const DigestModel = require('../models/Digest.model');
+
+// Middleware
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { validate, validateParams, paramValidations, rules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const staleAfterDaysRules = [
+  rules.custom((value) => ({
+    valid: Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= 365,
+    message: 'Stale bet threshold must be a whole number of days between 0 and 365'
+  }))
+];
+
+/**
+ * @route   GET /api/digests
+ * @desc    Get the user's digest subscriptions
+ * @access  Private
+ */
+router.get('/',
+  asyncHandler(DigestsController.getSubscriptions)
+);
+
+/**
+ * @route   POST /api/digests
+ * @desc    Subscribe to a weekly or monthly digest by email (defaults to the account's address) or webhook
+ * @access  Private
+ */
+router.post('/',
+  validate({
+    channel: [
+      rules.required('Channel is required'),
+      rules.oneOf(DigestModel.channels)
+    ],
+    frequency: [
+      rules.oneOf(DigestModel.frequencies)
+    ],
+    // Email digests without a destination go to the account's address
+    destination: [
+      rules.conditional((value) => value !== null, rules.maxLength(500, 'Destination cannot exceed 500 characters'))
+    ],
+    staleAfterDays: staleAfterDaysRules
+  }),
+  asyncHandler(DigestsController.subscribe)
+);
+
+/**
+ * @route   PUT /api/digests/:subscriptionId
+ * @desc    Change a subscription's frequency, destination or stale bet threshold, or pause it
+ * @access  Private
+ */
+router.put('/:subscriptionId',
+  validateParams({
+    subscriptionId: paramValidations.id
+  }),
+  validate({
+    frequency: [
+      rules.oneOf(DigestModel.frequencies)
+    ],
+    destination: [
+      rules.string(),
+      rules.maxLength(500, 'Destination cannot exceed 500 characters')
+    ],
+    staleAfterDays: staleAfterDaysRules,
+    enabled: [
+      rules.boolean()
+    ]
+  }),
+  asyncHandler(DigestsController.updateSubscription)
+);
+
+/**
+ * @route   DELETE /api/digests/:subscriptionId
+ * @desc    Unsubscribe from a digest
+ * @access  Private
+ */
+router.delete('/:subscriptionId',
+  validateParams({
+    subscriptionId: paramValidations.id
+  }),
+  asyncHandler(DigestsController.unsubscribe)
+);
+
+/**
+ * @route   GET /api/digests/:subscriptionId/preview
+ * @desc    Preview the digest for the subscription's last complete period
+ * @access  Private
+ */
+router.get('/:subscriptionId/preview',
+  validateParams({
+    subscriptionId: paramValidations.id
+  }),
+  asyncHandler(DigestsController.previewDigest)
+);
+
+/**
+ * @route   POST /api/digests/:subscriptionId/send
+ * @desc    Send the digest for the last complete period now
+ * @access  Private
+ */
+router.post('/:subscriptionId/send',
+  validateParams({
+    subscriptionId: paramValidations.id
+  }),
+  asyncHandler(DigestsController.sendNow)
+);
+
+module.exports = router;
@@ -6,13 +6,20 @@ const authRoutes = require('./auth.routes');
 const accountsRoutes = require('./accounts.routes');
 const transactionsRoutes = require('./transactions.routes');
 const betsRoutes = require('./bets.routes');
+const trashRoutes = require('./trash.routes');
+const limitsRoutes = require('./limits.routes');
+const digestsRoutes = require('./digests.routes');
+const promotionsRoutes = require('./promotions.routes');
+const creditsRoutes = require('./credits.routes');
+const positionsRoutes = require('./positions.routes');
+const currenciesRoutes = require('./currencies.routes');
 
 // Import controllers for additional routes
 const BulkImportController = require('../controllers/bulkImport.controller');
 
 // Import middleware
 const { authenticateToken } = require('../middleware/auth.middleware');
-const { validateBulkImport } = require('../middleware/validation.middleware');
+const { validateBulkImport, validateBulkImportCommit, validateRestore } = require('../middleware/validation.middleware');
 const { asyncHandler } = require('../middleware/error.middleware');
 
 /**
@@ -26,6 +33,13 @@ router.use('/auth', authRoutes);
 router.use('/accounts', accountsRoutes);
 router.use('/transactions', transactionsRoutes);
 router.use('/bets', betsRoutes);
+router.use('/trash', trashRoutes);
+router.use('/limits', limitsRoutes);
+router.use('/digests', digestsRoutes);
+router.use('/promotions', promotionsRoutes);
+router.use('/credits', creditsRoutes);
+router.use('/positions', positionsRoutes);
+router.use('/currencies', currenciesRoutes);
 
 /**
  * Bulk Import Routes
@@ -33,19 +47,40 @@ router.use('/bets', betsRoutes);
  */
 
 /**
- * @route   POST /api/bulk-import
- * @desc    Import bulk data (transactions, bets, etc.)
+ * @route   GET /api/bulk-import/formats
+ * @desc    List supported import formats, including sportsbook exports
  * @access  Private
  */
-router.post('/bulk-import',
+router.get('/bulk-import/formats',
+  authenticateToken,
+  asyncHandler(BulkImportController.getImportFormats)
+);
+
+/**
+ * @route   POST /api/bulk-import/preview
+ * @desc    Validate CSV import data and preview its effect on account balances
+ * @access  Private
+ */
+router.post('/bulk-import/preview',
   authenticateToken,
   validateBulkImport,
-  asyncHandler(BulkImportController.bulkImport)
+  asyncHandler(BulkImportController.previewImport)
+);
+
+/**
+ * @route   POST /api/bulk-import/commit
+ * @desc    Import a previewed batch in a single transaction
+ * @access  Private
+ */
+router.post('/bulk-import/commit',
+  authenticateToken,
+  validateBulkImportCommit,
+  asyncHandler(BulkImportController.commitImport)
 );
 
 /**
  * @route   DELETE /api/reset
- * @desc    Reset all user data
+ * @desc    Reset all user data (moves it to the trash)
  * @access  Private
  */
 router.delete('/reset',
@@ -63,6 +98,27 @@ router.get('/export',
   asyncHandler(BulkImportController.exportData)
 );
 
+/**
+ * @route   GET /api/backup
+ * @desc    Download a versioned JSON backup of all user data
+ * @access  Private
+ */
+router.get('/backup',
+  authenticateToken,
+  asyncHandler(BulkImportController.backupData)
+);
+
+/**
+ * @route   POST /api/restore
+ * @desc    Restore a JSON backup (mode: replace or merge)
+ * @access  Private
+ */
+router.post('/restore',
+  authenticateToken,
+  validateRestore,
+  asyncHandler(BulkImportController.restoreData)
+);
+
 /**
  * Health Check Route
  */
@@ -106,9 +162,14 @@ router.get('/info', (req, res) => {
             'GET /activity - Get recent activity',
             'GET /:accountKey - Get specific account',
             'GET /:accountKey/stats - Get account statistics',
-            'PUT /:accountKey - Update account',
-            'DELETE /:accountKey - Clear account data',
+            'PUT /:accountKey - Update account and bankroll rules',
+            'GET /:accountKey/stake-suggestion - Suggest a Kelly stake',
+            'DELETE /:accountKey - Clear account data (to trash)',
             'POST /:accountKey/recalculate - Recalculate balances',
+            'GET /:accountKey/ledger - Get balance ledger with running balance',
+            'GET /:accountKey/reconcile - Compare with the sportsbook balance',
+            'POST /:accountKey/reconcile - Record a reconciliation',
+            'GET /:accountKey/reconciliations - Get reconciliation history',
             'GET /:accountKey/transactions - Get account transactions',
             'GET /:accountKey/bets - Get account bets',
             'POST / - Create new account'
@@ -125,7 +186,7 @@ router.get('/info', (req, res) => {
             'GET /:id - Get specific transaction',
             'POST / - Create transaction',
             'PUT /:id - Update transaction',
-            'DELETE /:id - Delete transaction',
+            'DELETE /:id - Move transaction to trash',
             'GET /account/:accountKey - Get account transactions',
             'GET /date-range/:start/:end - Get transactions by date',
             'POST /bulk - Create multiple transactions'
@@ -138,23 +199,102 @@ router.get('/info', (req, res) => {
             'GET /pending - Get pending bets',
             'GET /recent - Get recent bets',
             'GET /stats - Get betting statistics',
+            'GET /equity-curve - Cumulative P/L and drawdowns',
             'GET /streak - Get betting streak info',
             'GET /monthly/:year/:month - Get monthly summary',
             'GET /:id - Get specific bet',
             'POST / - Create bet',
-            'PUT /:id - Update bet status',
-            'DELETE /:id - Delete bet',
+            'PUT /:id - Edit or settle bet',
+            'GET /:id/history - Get bet edit history',
+            'DELETE /:id - Move bet to trash',
             'GET /account/:accountKey - Get account bets',
             'POST /:id/settle - Settle bet',
+            'POST /bulk-settle - Settle several bets at once',
             'POST /bulk - Create multiple bets'
           ]
         },
+        trash: {
+          base: '/api/trash',
+          routes: [
+            'GET / - Get trash items',
+            'POST /undo - Undo the last delete',
+            'POST /redo - Redo the last undo',
+            'POST /:itemId/restore - Restore a trash item',
+            'DELETE /:itemId - Permanently delete a trash item',
+            'DELETE / - Empty trash'
+          ]
+        },
+        limits: {
+          base: '/api/limits',
+          routes: [
+            'GET / - Get gambling limits with usage this period',
+            'PUT / - Set a deposit, net loss or bet count limit',
+            'DELETE /:limitId - Remove a limit after the cooling-off period',
+            'DELETE /:limitId/pending - Cancel a pending raise or removal'
+          ]
+        },
+        digests: {
+          base: '/api/digests',
+          routes: [
+            'GET / - Get digest subscriptions',
+            'POST / - Subscribe to a weekly or monthly digest by email or webhook',
+            'PUT /:subscriptionId - Update or pause a subscription',
+            'DELETE /:subscriptionId - Unsubscribe',
+            'GET /:subscriptionId/preview - Preview the last complete period\'s digest',
+            'POST /:subscriptionId/send - Send the last complete period\'s digest now'
+          ]
+        },
+        promotions: {
+          base: '/api/promotions',
+          routes: [
+            'GET / - Get promotions with playthrough progress and value',
+            'GET /:promotionId - Get a promotion',
+            'POST / - Record a promotion on an account',
+            'PUT /:promotionId - Update, forfeit or reactivate a promotion',
+            'DELETE /:promotionId - Delete a promotion'
+          ]
+        },
+        credits: {
+          base: '/api/credits',
+          routes: [
+            'GET / - Get bonus credits with the amount left unused',
+            'GET /expiring - Get unused credit expiring soon, most urgent first'
+          ]
+        },
+        positions: {
+          base: '/api/positions',
+          routes: [
+            'POST /calculate - Work out arbitrage or bonus bet conversion stakes',
+            'GET / - Get positions with locked-in and realised profit',
+            'GET /:positionId - Get a position',
+            'POST / - Group opposing bets into a position',
+            'PUT /:positionId - Update a position',
+            'DELETE /:positionId - Delete a position',
+            'POST /:positionId/bets - Add bets to a position',
+            'DELETE /:positionId/bets/:betId - Take a bet out of a position'
+          ]
+        },
+        currencies: {
+          base: '/api/currencies',
+          routes: [
+            'GET / - Get the base currency and account currencies with their latest rates',
+            'PUT /base - Change the currency totals are reported in',
+            'GET /rates - Get exchange rate history',
+            'POST /rates - Record an exchange rate',
+            'POST /rates/import - Import exchange rate history from CSV',
+            'DELETE /rates/:rateId - Delete an exchange rate'
+          ]
+        },
         bulk: {
           base: '/api',
           routes: [
-            'POST /bulk-import - Import bulk data',
-            'DELETE /reset - Reset all user data',
-            'GET /export - Export data to CSV'
+            'GET /bulk-import/formats - List import formats',
+            'POST /bulk-import/preview - Preview bulk import',
+            'POST /bulk-import/commit - Commit previewed bulk import',
+            'DELETE /reset - Reset all user data (to trash)',
+            'GET /export - Export data to CSV',
+            'GET /backup - Download JSON backup',
+            'POST /restore - Restore JSON backup'
           ]
         }
       },
@@ -164,6 +304,7 @@ router.get('/info', (req, res) => {
         'Transaction tracking',
         'Bet management and statistics',
         'Bulk data operations',
+        'Undo/redo with a time-limited trash',
         'CSV export/import',
         'Advanced analytics',
         'Balance calculations',
@@ -245,17 +386,22 @@ router.post('/quick-actions/:action',
     const { action } = req.params;
     
     switch (action) {
-      case 'settle-all-pending':
-        // This would settle all pending bets - placeholder for future implementation
-        res.status(501).json({
-          error: 'Feature not yet implemented',
-          message: 'Bulk settle pending bets will be available in a future update'
-        });
-        break;
+      case 'settle-all-pending': {
+        // Same as POST /api/bets/bulk-settle: body is { results: [{ betId, status, winnings }] }
+        const BetsController = require('../controllers/bets.controller');
+        
+        if (!Array.isArray(req.body.results) || req.body.results.length === 0) {
+          return res.status(400).json({
+            error: 'Results required',
+            message: 'Send results: [{ betId, status, winnings }] for the bets to settle'
+          });
+        }
+        
+        return BetsController.bulkSettle(req, res);
+      }
         
       case 'backup-data':
-        // Trigger data export
-        return BulkImportController.exportData(req, res);
+        return BulkImportController.backupData(req, res);
         
       case 'recalculate-all-balances':
         // Recalculate all account balances
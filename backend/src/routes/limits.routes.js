@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const LimitsController = require('../controllers/limits.controller');
+
+// Models
+const LimitModel = require('../models/Limit.model');
+
+// Middleware
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { validate, validateParams, paramValidations, rules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/limits
+ * @desc    Get the user's gambling limits with how much of each is used this period
+ * @access  Private
+ */
+router.get('/',
+  asyncHandler(LimitsController.getLimits)
+);
+
+/**
+ * @route   PUT /api/limits
+ * @desc    Set a deposit, net loss or bet count limit for all accounts or one account.
+ *          Tightening applies at once; raising or loosening waits out the cooling-off period.
+ * @access  Private
+ */
+router.put('/',
+  validate({
+    limitType: [
+      rules.required('Limit type is required'),
+      rules.oneOf(LimitModel.limitTypes)
+    ],
+    period: [
+      rules.required('Period is required'),
+      rules.oneOf(LimitModel.periods)
+    ],
+    amount: [
+      rules.required('Limit amount is required'),
+      rules.positiveNumber('Limit must be a positive number')
+    ],
+    enforcement: [
+      rules.oneOf(LimitModel.enforcements)
+    ],
+    accountKey: [
+      rules.custom((value) => ({
+        valid: value === null || value === '' || (typeof value === 'string' && /^[a-zA-Z0-9_-]+$/.test(value)),
+        message: 'Account key must contain only letters, numbers, hyphens, and underscores'
+      }))
+    ]
+  }),
+  asyncHandler(LimitsController.setLimit)
+);
+
+/**
+ * @route   DELETE /api/limits/:limitId
+ * @desc    Remove a limit after the cooling-off period
+ * @access  Private
+ */
+router.delete('/:limitId',
+  validateParams({
+    limitId: paramValidations.id
+  }),
+  asyncHandler(LimitsController.removeLimit)
+);
+
+/**
+ * @route   DELETE /api/limits/:limitId/pending
+ * @desc    Cancel a limit's pending raise or removal
+ * @access  Private
+ */
+router.delete('/:limitId/pending',
+  validateParams({
+    limitId: paramValidations.id
+  }),
+  asyncHandler(LimitsController.cancelPendingChange)
+);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const PositionsController = require('../controllers/positions.controller');
+
+// Models
+const PositionModel = require('../models/Position.model');
+
+// Utils
+const OddsUtils = require('../utils/odds');
+
+// Middleware
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { validate, validateParams, validateQuery, paramValidations, rules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Details shared by creating and editing a position
+const detailRules = {
+  strategy: [
+    rules.oneOf(PositionModel.strategies)
+  ],
+  name: [
+    rules.string(),
+    rules.maxLength(200, 'Position name cannot exceed 200 characters')
+  ],
+  notes: [
+    rules.string(),
+    rules.maxLength(500, 'Notes cannot exceed 500 characters')
+  ]
+};
+
+const betIdsRule = rules.custom((value) => ({
+  valid: Array.isArray(value) && value.length <= 20 && value.every(id => Number.isInteger(Number(id)) && Number(id) > 0),
+  message: 'Bet IDs must be a list of up to 20 positive integers'
+}));
+
+const optionalStake = (field) => [
+  rules.conditional((value) => value !== null && value !== '', rules.positiveNumber(`${field} must be a positive number`))
+];
+
+/**
+ * @route   POST /api/positions/calculate
+ * @desc    Hedge stakes for an arbitrage across two or more prices, or for converting a bonus bet
+ * @access  Private
+ */
+router.post('/calculate',
+  validate({
+    legs: [
+      rules.required('Prices are required'),
+      rules.custom((value) => {
+        if (!Array.isArray(value) || value.length < 2 || value.length > 10) {
+          return { valid: false, message: 'Legs must be an array of 2 to 10 prices' };
+        }
+        const invalid = value.findIndex(leg => !leg || OddsUtils.toDecimal(leg.odds, leg.oddsFormat) === null);
+        if (invalid !== -1) {
+          return { valid: false, message: `Leg ${invalid + 1} needs valid odds` };
+        }
+        return { valid: true };
+      })
+    ],
+    totalStake: optionalStake('Total stake'),
+    firstLegStake: optionalStake('First leg stake'),
+    bonusStake: optionalStake('Bonus stake')
+  }),
+  asyncHandler(PositionsController.calculate)
+);
+
+/**
+ * @route   GET /api/positions
+ * @desc    Get the user's positions with their bets and locked-in or realised profit
+ * @access  Private
+ */
+router.get('/',
+  validateQuery({
+    strategy: [
+      rules.oneOf(PositionModel.strategies)
+    ]
+  }),
+  asyncHandler(PositionsController.getPositions)
+);
+
+/**
+ * @route   GET /api/positions/:positionId
+ * @desc    Get one position with its bets and results
+ * @access  Private
+ */
+router.get('/:positionId',
+  validateParams({
+    positionId: paramValidations.id
+  }),
+  asyncHandler(PositionsController.getPosition)
+);
+
+/**
+ * @route   POST /api/positions
+ * @desc    Group opposing bets, usually across accounts, into a position
+ * @access  Private
+ */
+router.post('/',
+  validate({
+    ...detailRules,
+    name: [
+      rules.required('Position name is required'),
+      ...detailRules.name
+    ],
+    betIds: [betIdsRule]
+  }),
+  asyncHandler(PositionsController.createPosition)
+);
+
+/**
+ * @route   PUT /api/positions/:positionId
+ * @desc    Rename a position or change its strategy or notes
+ * @access  Private
+ */
+router.put('/:positionId',
+  validateParams({
+    positionId: paramValidations.id
+  }),
+  validate(detailRules),
+  asyncHandler(PositionsController.updatePosition)
+);
+
+/**
+ * @route   DELETE /api/positions/:positionId
+ * @desc    Delete a position; its bets are kept
+ * @access  Private
+ */
+router.delete('/:positionId',
+  validateParams({
+    positionId: paramValidations.id
+  }),
+  asyncHandler(PositionsController.deletePosition)
+);
+
+/**
+ * @route   POST /api/positions/:positionId/bets
+ * @desc    Add bets to a position
+ * @access  Private
+ */
+router.post('/:positionId/bets',
+  validateParams({
+    positionId: paramValidations.id
+  }),
+  validate({
+    betIds: [
+      rules.required('Bet IDs are required'),
+      betIdsRule
+    ]
+  }),
+  asyncHandler(PositionsController.addBets)
+);
+
+/**
+ * @route   DELETE /api/positions/:positionId/bets/:betId
+ * @desc    Take a bet out of a position
+ * @access  Private
+ */
+router.delete('/:positionId/bets/:betId',
+  validateParams({
+    positionId: paramValidations.id,
+    betId: paramValidations.id
+  }),
+  asyncHandler(PositionsController.removeBet)
+);
+
+module.exports = router;
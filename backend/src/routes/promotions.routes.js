@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const PromotionsController = require('../controllers/promotions.controller');
+
+// Models
+const PromotionModel = require('../models/Promotion.model');
+
+// Middleware
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { validate, validateParams, validateQuery, paramValidations, rules } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Terms shared by creating and editing a promotion. Boost and date rules that
+// depend on the offer type are checked by the service.
+const termRules = {
+  name: [
+    rules.string(),
+    rules.maxLength(200, 'Promotion name cannot exceed 200 characters')
+  ],
+  amount: [
+    rules.nonNegativeNumber('Promotion amount must be zero or positive')
+  ],
+  boostPercent: [
+    rules.conditional((value) => value !== null && value !== '', rules.positiveNumber('Boost must be a positive percentage'))
+  ],
+  rolloverMultiplier: [
+    rules.nonNegativeNumber('Rollover multiplier must be zero or positive')
+  ],
+  minOdds: [
+    rules.conditional((value) => value !== null && value !== '', rules.custom((value) => ({
+      valid: !isNaN(parseFloat(value)) && parseFloat(value) > 1,
+      message: 'Minimum odds must be decimal odds above 1.0'
+    })))
+  ],
+  startsOn: [
+    rules.date('Start date must be a valid date')
+  ],
+  expiresOn: [
+    rules.conditional((value) => value !== null && value !== '', rules.date('Expiry date must be a valid date'))
+  ],
+  notes: [
+    rules.string(),
+    rules.maxLength(500, 'Notes cannot exceed 500 characters')
+  ]
+};
+
+/**
+ * @route   GET /api/promotions
+ * @desc    Get the user's promotions with playthrough progress and value so far
+ * @access  Private
+ */
+router.get('/',
+  validateQuery({
+    accountKey: [
+      rules.string(),
+      rules.custom((value) => ({
+        valid: /^[a-zA-Z0-9_-]+$/.test(value),
+        message: 'Account key must contain only letters, numbers, hyphens, and underscores'
+      }))
+    ],
+    status: [
+      rules.oneOf(PromotionModel.statuses)
+    ]
+  }),
+  asyncHandler(PromotionsController.getPromotions)
+);
+
+/**
+ * @route   GET /api/promotions/:promotionId
+ * @desc    Get one promotion with playthrough progress and value so far
+ * @access  Private
+ */
+router.get('/:promotionId',
+  validateParams({
+    promotionId: paramValidations.id
+  }),
+  asyncHandler(PromotionsController.getPromotion)
+);
+
+/**
+ * @route   POST /api/promotions
+ * @desc    Record a bet credit, deposit match, profit or odds boost, or no-sweat offer on an account
+ * @access  Private
+ */
+router.post('/',
+  validate({
+    ...termRules,
+    accountKey: paramValidations.accountKey,
+    offerType: [
+      rules.required('Offer type is required'),
+      rules.oneOf(PromotionModel.offerTypes)
+    ],
+    name: [
+      rules.required('Promotion name is required'),
+      ...termRules.name
+    ]
+  }),
+  asyncHandler(PromotionsController.createPromotion)
+);
+
+/**
+ * @route   PUT /api/promotions/:promotionId
+ * @desc    Change a promotion's terms, or mark it forfeited or active again
+ * @access  Private
+ */
+router.put('/:promotionId',
+  validateParams({
+    promotionId: paramValidations.id
+  }),
+  validate({
+    ...termRules,
+    status: [
+      rules.oneOf(PromotionModel.statuses)
+    ]
+  }),
+  asyncHandler(PromotionsController.updatePromotion)
+);
+
+/**
+ * @route   DELETE /api/promotions/:promotionId
+ * @desc    Delete a promotion; bets and credits recorded against it are kept
+ * @access  Private
+ */
+router.delete('/:promotionId',
+  validateParams({
+    promotionId: paramValidations.id
+  }),
+  asyncHandler(PromotionsController.deletePromotion)
+);
+
+module.exports = router;
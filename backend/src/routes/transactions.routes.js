@@ -232,6 +232,15 @@ router.put('/:transactionId',
     description: [
       rules.string(),
       rules.maxLength(500, 'Description must be no more than 500 characters')
+    ],
+    expiresOn: [
+      rules.conditional((value) => value !== null && value !== '', rules.date('Expiry date must be a valid date'))
+    ],
+    date: [
+      rules.pastDate()
+    ],
+    time: [
+      rules.time()
     ]
   }),
   asyncHandler(TransactionsController.updateTransaction)
@@ -239,7 +248,7 @@ router.put('/:transactionId',
 
 /**
  * @route   DELETE /api/transactions/:transactionId
- * @desc    Delete a transaction
+ * @desc    Move a transaction to the trash
  * @access  Private
  */
 router.delete('/:transactionId',
@@ -355,64 +364,7 @@ router.post('/bulk',
       })
     ]
   }),
-  asyncHandler(async (req, res) => {
-    const TransactionModel = require('../models/Transaction.model');
-    const AccountModel = require('../models/Account.model');
-    const { transactions } = req.body;
-    
-    // Validate each transaction in the array
-    const errors = [];
-    const validatedTransactions = [];
-    
-    for (let i = 0; i < transactions.length; i++) {
-      const transaction = transactions[i];
-      const transactionErrors = TransactionModel.validateTransactionData(transaction);
-      
-      if (transactionErrors.length > 0) {
-        errors.push({
-          index: i,
-          errors: transactionErrors
-        });
-        continue;
-      }
-      
-      // Verify account belongs to user
-      const account = await AccountModel.findByUserAndKey(req.user.userId, transaction.account_key);
-      if (!account) {
-        errors.push({
-          index: i,
-          errors: [`Account '${transaction.account_key}' not found`]
-        });
-        continue;
-      }
-      
-      validatedTransactions.push({
-        ...transaction,
-        account_id: account.id
-      });
-    }
-    
-    if (errors.length > 0) {
-      return res.status(400).json({
-        error: 'Validation errors in bulk transaction data',
-        errors
-      });
-    }
-    
-    try {
-      const results = await TransactionModel.bulkCreate(validatedTransactions);
-      res.status(201).json({
-        success: true,
-        message: `Successfully created ${results.length} transactions`,
-        transactions: results
-      });
-    } catch (error) {
-      res.status(500).json({
-        error: 'Failed to create bulk transactions',
-        message: error.message
-      });
-    }
-  })
+  asyncHandler(TransactionsController.bulkCreate)
 );
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const TrashController = require('../controllers/trash.controller');
+
+// Middleware
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { validateParams, paramValidations } = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/trash
+ * @desc    Get deleted items that can still be restored (includeRestored=true lists restored ones too)
+ * @access  Private
+ */
+router.get('/',
+  asyncHandler(TrashController.getTrash)
+);
+
+/**
+ * @route   POST /api/trash/undo
+ * @desc    Restore the most recent delete, including its balance changes
+ * @access  Private
+ */
+router.post('/undo',
+  asyncHandler(TrashController.undo)
+);
+
+/**
+ * @route   POST /api/trash/redo
+ * @desc    Delete again whatever the last undo restored
+ * @access  Private
+ */
+router.post('/redo',
+  asyncHandler(TrashController.redo)
+);
+
+/**
+ * @route   POST /api/trash/:itemId/restore
+ * @desc    Restore a specific trash item
+ * @access  Private
+ */
+router.post('/:itemId/restore',
+  validateParams({
+    itemId: paramValidations.id
+  }),
+  asyncHandler(TrashController.restoreItem)
+);
+
+/**
+ * @route   DELETE /api/trash/:itemId
+ * @desc    Permanently delete a trash item
+ * @access  Private
+ */
+router.delete('/:itemId',
+  validateParams({
+    itemId: paramValidations.id
+  }),
+  asyncHandler(TrashController.purgeItem)
+);
+
+/**
+ * @route   DELETE /api/trash
+ * @desc    Empty the trash
+ * @access  Private
+ */
+router.delete('/',
+  asyncHandler(TrashController.emptyTrash)
+);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const AccountModel = require('../models/Account.model');
 const TransactionModel = require('../models/Transaction.model');
 const BetModel = require('../models/Bet.model');
+const TrashService = require('./trash.service');
+const CurrencyUtils = require('../utils/currency');
+const SportsbookCatalog = require('../utils/sportsbooks');
 const { AppError } = require('../middleware/error.middleware');
 
 class AccountService {
@@ -70,34 +73,53 @@ class AccountService {
   }
   
   /**
-   * Create a new account
+   * The sportsbooks accounts can be added from
+   */
+  getCatalog() {
+    return {
+      success: true,
+      sportsbooks: SportsbookCatalog.list(),
+      defaultColor: SportsbookCatalog.defaultColor
+    };
+  }
+  
+  /**
+   * Create a new account, from the sportsbook catalog or as a custom book.
+   * Catalog books fill in the name, colour and currency that aren't given.
+   * The account key is made from the name unless one is given.
    */
   async createAccount(userId, accountData) {
     try {
-      const { account_key, name, balance = 0 } = accountData;
+      const { sportsbook = null, balance = 0 } = accountData;
       
-      // Validate account key format
-      if (!this.validateAccountKey(account_key)) {
-        throw new AppError('Invalid account key format', 400, 'INVALID_ACCOUNT_KEY');
+      const catalogEntry = sportsbook ? SportsbookCatalog.get(sportsbook) : null;
+      if (sportsbook && !catalogEntry) {
+        throw new AppError(`Unknown sportsbook '${sportsbook}'`, 400, 'INVALID_SPORTSBOOK');
       }
-      
-      // Check if account key already exists for this user
-      const existingAccount = await AccountModel.findByUserAndKey(userId, account_key);
-      if (existingAccount) {
-        throw new AppError('Account key already exists', 400, 'ACCOUNT_KEY_EXISTS');
+      if (!catalogEntry && !(typeof accountData.name === 'string' && accountData.name.trim())) {
+        throw new AppError('A custom sportsbook needs a name', 400, 'INVALID_ACCOUNT_NAME');
       }
+
+      const validatedData = this.validateAccountUpdateData({
+        name: accountData.name || (catalogEntry ? catalogEntry.name : ''),
+        color: accountData.color || (catalogEntry ? catalogEntry.color : SportsbookCatalog.defaultColor),
+        currency: accountData.currency || (catalogEntry ? catalogEntry.currency : CurrencyUtils.defaultCurrency),
+        balance
+      });
+      
+      const accountKey = await this.resolveAccountKey(userId, accountData.accountKey, validatedData.name);
       
       // Create the account
       const account = await AccountModel.create(userId, {
-        account_key,
-        name: name.trim(),
-        balance: parseFloat(balance)
+        account_key: accountKey,
+        sportsbook: catalogEntry ? catalogEntry.id : null,
+        ...validatedData
       });
       
       return {
         success: true,
         account,
-        message: 'Account created successfully'
+        message: `Account '${account.name}' created successfully`
       };
       
     } catch (error) {
@@ -109,6 +131,35 @@ class AccountService {
     }
   }
   
+  /**
+   * Use the requested account key, or make one from the account name,
+   * numbering it when the user already has that key
+   */
+  async resolveAccountKey(userId, accountKey, name) {
+    if (accountKey !== undefined && accountKey !== null && accountKey !== '') {
+      // Validate account key format
+      if (!this.validateAccountKey(accountKey)) {
+        throw new AppError('Invalid account key format', 400, 'INVALID_ACCOUNT_KEY');
+      }
+      
+      // Check if account key already exists for this user
+      if (await AccountModel.keyExists(userId, accountKey)) {
+        throw new AppError('Account key already exists', 400, 'ACCOUNT_KEY_EXISTS');
+      }
+      
+      return accountKey;
+    }
+    
+    const baseKey = SportsbookCatalog.toAccountKey(name);
+    let candidate = baseKey;
+    
+    for (let suffix = 2; await AccountModel.keyExists(userId, candidate); suffix++) {
+      candidate = `${baseKey}-${suffix}`;
+    }
+    
+    return candidate;
+  }
+  
   /**
    * Update account information
    */
@@ -142,31 +193,50 @@ class AccountService {
   }
   
   /**
-   * Clear account data (reset balances, delete transactions and bets)
+   * Archive an account that is no longer used. Its history still counts
+   * towards totals and pending bets can still be settled, but nothing new
+   * can be recorded on it.
    */
-  async clearAccount(userId, accountKey) {
-    try {
-      // Find the account first
-      const account = await AccountModel.findByUserAndKey(userId, accountKey);
-      if (!account) {
-        throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
-      }
-      
-      // Clear all data for the account
-      await AccountModel.clearData(account.id);
-      
-      return {
-        success: true,
-        message: `Account '${account.name}' data cleared successfully`
-      };
-      
-    } catch (error) {
-      if (error instanceof AppError) {
-        throw error;
-      }
-      
-      throw new AppError('Failed to clear account data', 500, 'ACCOUNT_CLEAR_FAILED');
+  async archiveAccount(userId, accountKey) {
+    const account = await AccountModel.findByUserAndKey(userId, accountKey);
+    if (!account) {
+      throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+    }
+    if (account.archivedAt) {
+      throw new AppError(`Account '${account.name}' is already archived`, 400, 'ACCOUNT_ARCHIVED');
+    }
+    
+    return {
+      success: true,
+      account: await AccountModel.setArchived(account.id, true),
+      message: `Account '${account.name}' archived`
+    };
+  }
+  
+  /**
+   * Bring an archived account back into use
+   */
+  async unarchiveAccount(userId, accountKey) {
+    const account = await AccountModel.findByUserAndKey(userId, accountKey);
+    if (!account) {
+      throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+    }
+    if (!account.archivedAt) {
+      throw new AppError(`Account '${account.name}' is not archived`, 400, 'ACCOUNT_NOT_ARCHIVED');
     }
+    
+    return {
+      success: true,
+      account: await AccountModel.setArchived(account.id, false),
+      message: `Account '${account.name}' restored`
+    };
+  }
+  
+  /**
+   * Clear account data (reset balances, move transactions and bets to the trash)
+   */
+  async clearAccount(userId, accountKey) {
+    return TrashService.trashAccount(userId, accountKey);
   }
   
   /**
@@ -435,6 +505,9 @@ class AccountService {
         }
       } else if (bet.status === 'lost') {
         lostBets++;
+      } else {
+        // Push, void or cash-out - money came back without a result
+        totalWinnings += winnings;
       }
       
       if (!bet.isBonusBet) {
@@ -497,6 +570,11 @@ class AccountService {
           return `Won $${amount.toFixed(2)} bet in ${accountName}`;
         case 'lost':
           return `Lost $${amount.toFixed(2)} bet in ${accountName}`;
+        case 'push':
+        case 'void':
+          return `$${amount.toFixed(2)} bet refunded (${action}) in ${accountName}`;
+        case 'cashout':
+          return `Cashed out $${amount.toFixed(2)} bet in ${accountName}`;
         default:
           return `${action} bet of $${amount.toFixed(2)} in ${accountName}`;
       }
@@ -549,6 +627,14 @@ class AccountService {
       validatedData.name = updateData.name.trim();
     }
     
+    if (updateData.color !== undefined) {
+      const color = SportsbookCatalog.normalizeColor(updateData.color);
+      if (!color) {
+        throw new AppError('Logo colour must be a hex colour such as #1493ff', 400, 'INVALID_COLOR');
+      }
+      validatedData.color = color;
+    }
+    
     if (updateData.balance !== undefined) {
       const balance = parseFloat(updateData.balance);
       if (isNaN(balance)) {
@@ -556,7 +642,40 @@ class AccountService {
       }
       validatedData.balance = balance;
     }
-    
+
+    // Amounts already recorded are in the account's currency, so changing it relabels them rather than converting
+    if (updateData.currency !== undefined) {
+      const currency = CurrencyUtils.normalize(updateData.currency);
+      if (!currency) {
+        throw new AppError('Currency must be a three-letter code such as USD, GBP or CAD', 400, 'INVALID_CURRENCY');
+      }
+      validatedData.currency = currency;
+    }
+
+    // Bankroll rules can be cleared by sending null
+    const bankrollRules = [
+      { field: 'unitSize', column: 'unit_size', max: Infinity, message: 'Unit size must be a positive number' },
+      { field: 'kellyFraction', column: 'kelly_fraction', max: 1, message: 'Kelly fraction must be greater than 0 and at most 1' },
+      { field: 'maxStakePercent', column: 'max_stake_percent', max: 100, message: 'Maximum stake must be greater than 0 and at most 100 percent' }
+    ];
+
+    bankrollRules.forEach(({ field, column, max, message }) => {
+      if (updateData[field] === undefined) {
+        return;
+      }
+
+      if (updateData[field] === null || updateData[field] === '') {
+        validatedData[column] = null;
+        return;
+      }
+
+      const value = parseFloat(updateData[field]);
+      if (isNaN(value) || value <= 0 || value > max) {
+        throw new AppError(message, 400, 'INVALID_BANKROLL_RULE');
+      }
+      validatedData[column] = value;
+    });
+
     return validatedData;
   }
   
@@ -714,7 +833,7 @@ class AccountService {
       const betsWon = dayBets.filter(b => b.status === 'won').length;
       const betsLost = dayBets.filter(b => b.status === 'lost').length;
       const bettingProfit = dayBets
-        .filter(b => b.status === 'won')
+        .filter(b => ['won', 'push', 'void', 'cashout'].includes(b.status))
         .reduce((sum, b) => sum + (b.winnings - b.amount), 0) -
         dayBets
         .filter(b => b.status === 'lost')
@@ -0,0 +1,1056 @@
+const { pool } = require('../config/database.config');
+const AccountModel = require('../models/Account.model');
+const BetModel = require('../models/Bet.model');
+const BetLegModel = require('../models/BetLeg.model');
+const BetTagModel = require('../models/BetTag.model');
+const PromotionModel = require('../models/Promotion.model');
+const PositionModel = require('../models/Position.model');
+const ExchangeRateModel = require('../models/ExchangeRate.model');
+const LedgerModel = require('../models/Ledger.model');
+const ReconciliationModel = require('../models/Reconciliation.model');
+const UserModel = require('../models/User.model');
+const { AppError } = require('../middleware/error.middleware');
+const OddsUtils = require('../utils/odds');
+const DateUtils = require('../utils/dates');
+const CurrencyUtils = require('../utils/currency');
+const SportsbookCatalog = require('../utils/sportsbooks');
+
+class BackupService {
+  constructor() {
+    this.format = 'sportsbook-tracker-backup';
+    // Bump when the backup layout changes; older versions must stay restorable.
+    // Version 2 added the optional time of day on transactions and bets.
+    // Version 3 added the optional closing prices on bets.
+    // Version 4 added account bankroll rules and each bet's share of the bankroll.
+    // Version 5 added promotions, linked to the bets and credits recorded against them.
+    // Version 6 added the optional expiry date on bonus credits.
+    // Version 7 added positions, which group bets across accounts.
+    // Version 8 added account currencies, the base currency and exchange rates.
+    // Version 9 added each account's catalog sportsbook, logo colour and archive date.
+    // Version 10 added reconciliations, with what each adjustment adds to the balance.
+    this.version = 10;
+    this.restoreModes = ['replace', 'merge'];
+    // Every type the transactions table accepts, including imported bonus bets
+    this.transactionTypes = ['deposit', 'withdrawal', 'bet', 'bonus-credit', 'bonus-bet', 'historical-win', 'historical-loss'];
+  }
+
+  /**
+   * Format a DATE column as YYYY-MM-DD without shifting it through UTC
+   */
+  formatDate(date) {
+    if (typeof date === 'string') {
+      return date.split('T')[0];
+    }
+
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Format a TIMESTAMP column as an ISO string
+   */
+  formatTimestamp(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+  }
+
+  /**
+   * Build a complete backup of a user's accounts, promotions, transactions, bets, positions,
+   * reconciliations, exchange rates and settings
+   */
+  async createBackup(userId) {
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    const settings = await UserModel.getSettings(userId);
+    const connection = await pool.getConnection();
+
+    try {
+      const baseCurrency = await ExchangeRateModel.getBaseCurrency(userId, connection);
+      const rates = await ExchangeRateModel.findByUserId(userId, {}, connection);
+
+      const [accounts] = await connection.execute(
+        'SELECT * FROM accounts WHERE user_id = ? ORDER BY id',
+        [userId]
+      );
+
+      const [promotions] = await connection.execute(
+        `SELECT p.* FROM promotions p
+         JOIN accounts a ON p.account_id = a.id
+         WHERE a.user_id = ?
+         ORDER BY p.id`,
+        [userId]
+      );
+
+      const [positions] = await connection.execute(
+        'SELECT * FROM positions WHERE user_id = ? ORDER BY id',
+        [userId]
+      );
+
+      const [transactions] = await connection.execute(
+        `SELECT t.* FROM transactions t
+         JOIN accounts a ON t.account_id = a.id
+         WHERE a.user_id = ? AND t.trash_id IS NULL
+         ORDER BY t.id`,
+        [userId]
+      );
+
+      const [bets] = await connection.execute(
+        `SELECT b.* FROM bets b
+         JOIN accounts a ON b.account_id = a.id
+         WHERE a.user_id = ? AND b.trash_id IS NULL
+         ORDER BY b.id`,
+        [userId]
+      );
+
+      const [legs] = await connection.execute(
+        `SELECT bl.* FROM bet_legs bl
+         JOIN bets b ON bl.bet_id = b.id
+         JOIN accounts a ON b.account_id = a.id
+         WHERE a.user_id = ? AND b.trash_id IS NULL
+         ORDER BY bl.bet_id, bl.leg_order`,
+        [userId]
+      );
+
+      // An adjustment made before the account was last reset no longer counts towards its balance
+      const [reconciliations] = await connection.execute(
+        `SELECT r.*,
+                CASE WHEN le.id > (SELECT COALESCE(MAX(reset.id), 0) FROM ledger_entries reset
+                                   WHERE reset.account_id = r.account_id AND reset.entry_type = 'reset')
+                     THEN le.amount ELSE 0 END AS adjustment
+         FROM reconciliations r
+         JOIN accounts a ON r.account_id = a.id
+         LEFT JOIN ledger_entries le ON r.ledger_entry_id = le.id
+         WHERE a.user_id = ?
+         ORDER BY r.id`,
+        [userId]
+      );
+
+      const tags = await BetTagModel.findByBetIds(bets.map(bet => bet.id));
+
+      const legsByBet = legs.reduce((grouped, leg) => {
+        (grouped[leg.bet_id] = grouped[leg.bet_id] || []).push({
+          selection: leg.selection,
+          oddsDecimal: parseFloat(leg.odds_decimal),
+          oddsFormat: leg.odds_format,
+          status: leg.status,
+          createdAt: this.formatTimestamp(leg.created_at),
+          updatedAt: this.formatTimestamp(leg.updated_at)
+        });
+        return grouped;
+      }, {});
+
+      return {
+        format: this.format,
+        version: this.version,
+        createdAt: new Date().toISOString(),
+        user: {
+          username: user.username,
+          email: user.email
+        },
+        settings,
+        baseCurrency,
+        exchangeRates: rates.map(rate => ({
+          fromCurrency: rate.fromCurrency,
+          toCurrency: rate.toCurrency,
+          rate: rate.rate,
+          rateDate: rate.rateDate,
+          source: rate.source
+        })),
+        positions: positions.map(position => ({
+          id: position.id,
+          strategy: position.strategy,
+          name: position.name,
+          notes: position.notes,
+          createdAt: this.formatTimestamp(position.created_at),
+          updatedAt: this.formatTimestamp(position.updated_at)
+        })),
+        accounts: accounts.map(account => ({
+          accountKey: account.account_key,
+          name: account.name,
+          sportsbook: account.sportsbook,
+          color: account.color,
+          currency: account.currency,
+          archivedAt: this.formatTimestamp(account.archived_at),
+          balance: parseFloat(account.balance),
+          totalDeposits: parseFloat(account.total_deposits),
+          totalWithdrawals: parseFloat(account.total_withdrawals),
+          ...AccountModel.formatBankrollRules(account),
+          createdAt: this.formatTimestamp(account.created_at),
+          updatedAt: this.formatTimestamp(account.updated_at),
+          promotions: promotions
+            .filter(promotion => promotion.account_id === account.id)
+            .map(promotion => ({
+              id: promotion.id,
+              offerType: promotion.offer_type,
+              name: promotion.name,
+              amount: parseFloat(promotion.amount),
+              boostPercent: promotion.boost_percent !== null ? parseFloat(promotion.boost_percent) : null,
+              rolloverMultiplier: parseFloat(promotion.rollover_multiplier),
+              minOddsDecimal: promotion.min_odds_decimal !== null ? parseFloat(promotion.min_odds_decimal) : null,
+              startsOn: this.formatDate(promotion.starts_on),
+              expiresOn: promotion.expires_on ? this.formatDate(promotion.expires_on) : null,
+              status: promotion.status,
+              notes: promotion.notes,
+              createdAt: this.formatTimestamp(promotion.created_at),
+              updatedAt: this.formatTimestamp(promotion.updated_at)
+            })),
+          transactions: transactions
+            .filter(transaction => transaction.account_id === account.id)
+            .map(transaction => ({
+              id: transaction.id,
+              type: transaction.type,
+              amount: parseFloat(transaction.amount),
+              description: transaction.description,
+              promotionId: transaction.promotion_id,
+              expiresOn: transaction.expires_on ? this.formatDate(transaction.expires_on) : null,
+              date: this.formatDate(transaction.transaction_date),
+              time: DateUtils.formatTime(transaction.transaction_time),
+              externalId: transaction.external_id,
+              createdAt: this.formatTimestamp(transaction.created_at),
+              updatedAt: this.formatTimestamp(transaction.updated_at)
+            })),
+          bets: bets
+            .filter(bet => bet.account_id === account.id)
+            .map(bet => ({
+              id: bet.id,
+              betType: bet.bet_type,
+              amount: parseFloat(bet.amount),
+              displayAmount: parseFloat(bet.display_amount),
+              oddsDecimal: bet.odds_decimal !== null ? parseFloat(bet.odds_decimal) : null,
+              oddsFormat: bet.odds_format,
+              closingOddsDecimal: bet.closing_odds_decimal !== null ? parseFloat(bet.closing_odds_decimal) : null,
+              closingOpposingOddsDecimal: bet.closing_opposing_odds_decimal !== null ? parseFloat(bet.closing_opposing_odds_decimal) : null,
+              description: bet.description,
+              sport: bet.sport,
+              league: bet.league,
+              marketType: bet.market_type,
+              date: this.formatDate(bet.bet_date),
+              time: DateUtils.formatTime(bet.bet_time),
+              status: bet.status,
+              winnings: parseFloat(bet.winnings),
+              isBonusBet: Boolean(bet.is_bonus_bet),
+              promotionId: bet.promotion_id,
+              positionId: bet.position_id,
+              bankrollPercent: bet.bankroll_percent !== null ? parseFloat(bet.bankroll_percent) : null,
+              overStakeLimit: Boolean(bet.over_stake_limit),
+              externalId: bet.external_id,
+              legs: legsByBet[bet.id] || [],
+              tags: tags[bet.id] || [],
+              createdAt: this.formatTimestamp(bet.created_at),
+              updatedAt: this.formatTimestamp(bet.updated_at)
+            })),
+          reconciliations: reconciliations
+            .filter(row => row.account_id === account.id)
+            .map(row => {
+              const reconciliation = ReconciliationModel.formatReconciliation(row);
+              return {
+                reportedBalance: reconciliation.reportedBalance,
+                trackedBalance: reconciliation.trackedBalance,
+                discrepancy: reconciliation.discrepancy,
+                causes: reconciliation.causes,
+                adjusted: reconciliation.adjusted,
+                adjustment: parseFloat(row.adjustment),
+                note: reconciliation.note,
+                createdAt: this.formatTimestamp(row.created_at)
+              };
+            })
+        }))
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Check a backup's format, version and contents before restoring it.
+   * Returns a list of problems; an empty list means the backup is usable.
+   */
+  validateBackup(backup) {
+    const errors = [];
+    const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+    const isTime = (value) => value === null || value === undefined || DateUtils.parseTime(value) !== null;
+    const isTimestamp = (value) => value === null || value === undefined || (typeof value === 'string' && !isNaN(Date.parse(value)));
+    const isAmount = (value) => typeof value === 'number' && isFinite(value);
+    const isText = (value, max) => value === null || value === undefined || (typeof value === 'string' && value.length <= max);
+
+    if (!backup || backup.format !== this.format) {
+      return ['Not a Sportsbook Tracker backup file'];
+    }
+
+    if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > this.version) {
+      return [`Unsupported backup version ${backup.version} (this server supports up to ${this.version})`];
+    }
+
+    if (backup.settings !== null && backup.settings !== undefined &&
+        (typeof backup.settings !== 'object' || Array.isArray(backup.settings))) {
+      errors.push('Settings must be an object');
+    }
+
+    if (!Array.isArray(backup.accounts)) {
+      return [...errors, 'Backup has no accounts list'];
+    }
+
+    // Currencies and exchange rates arrived in version 8
+    const isCurrency = (value) => typeof value === 'string' && CurrencyUtils.normalize(value) === value;
+
+    if (backup.baseCurrency !== undefined && !isCurrency(backup.baseCurrency)) {
+      errors.push('Base currency must be a three-letter code');
+    }
+
+    if (!Array.isArray(backup.exchangeRates || [])) {
+      errors.push('Exchange rates must be a list');
+    } else {
+      (backup.exchangeRates || []).forEach((rate, index) => {
+        const row = `Exchange rate ${index + 1}`;
+
+        if (!rate || !isCurrency(rate.fromCurrency) || !isCurrency(rate.toCurrency) || rate.fromCurrency === rate.toCurrency) {
+          errors.push(`${row}: needs two different three-letter currency codes`);
+          return;
+        }
+        if (!isAmount(rate.rate) || rate.rate <= 0) {
+          errors.push(`${row}: rate must be a positive number`);
+        }
+        if (!isDate(rate.rateDate)) {
+          errors.push(`${row}: invalid date`);
+        }
+        if (rate.source !== undefined && !ExchangeRateModel.sources.includes(rate.source)) {
+          errors.push(`${row}: invalid source '${rate.source}'`);
+        }
+      });
+    }
+
+    // Positions arrived in version 7; bets may only link to positions in the backup
+    const positionIds = new Set();
+
+    if (!Array.isArray(backup.positions || [])) {
+      errors.push('Positions must be a list');
+    } else {
+      (backup.positions || []).forEach((position, index) => {
+        const row = `Position ${index + 1}`;
+
+        if (!position || !Number.isInteger(position.id)) {
+          errors.push(`${row}: id is required`);
+          return;
+        }
+        positionIds.add(position.id);
+
+        if (!PositionModel.strategies.includes(position.strategy)) {
+          errors.push(`${row}: invalid strategy '${position.strategy}'`);
+        }
+        if (typeof position.name !== 'string' || !position.name || position.name.length > 200) {
+          errors.push(`${row}: name is required (max 200 characters)`);
+        }
+        if (!isText(position.notes, 500)) {
+          errors.push(`${row}: notes are too long`);
+        }
+        if (!isTimestamp(position.createdAt) || !isTimestamp(position.updatedAt)) {
+          errors.push(`${row}: invalid timestamp`);
+        }
+      });
+    }
+
+    const isPositionLink = (value) => value === null || value === undefined || positionIds.has(value);
+
+    const keys = new Set();
+
+    backup.accounts.forEach((account, accountIndex) => {
+      const where = `Account ${account && account.accountKey ? `'${account.accountKey}'` : accountIndex + 1}`;
+
+      if (!account || typeof account.accountKey !== 'string' || !account.accountKey || account.accountKey.length > 50) {
+        errors.push(`${where}: account key is required (max 50 characters)`);
+        return;
+      }
+
+      if (keys.has(account.accountKey)) {
+        errors.push(`${where}: duplicate account key`);
+      }
+      keys.add(account.accountKey);
+
+      if (typeof account.name !== 'string' || !account.name || account.name.length > 100) {
+        errors.push(`${where}: name is required (max 100 characters)`);
+      }
+
+      if (account.currency !== undefined && !isCurrency(account.currency)) {
+        errors.push(`${where}: currency must be a three-letter code`);
+      }
+
+      // Sportsbooks, logo colours and archiving arrived in version 9
+      if (account.sportsbook !== null && account.sportsbook !== undefined && !SportsbookCatalog.get(account.sportsbook)) {
+        errors.push(`${where}: unknown sportsbook '${account.sportsbook}'`);
+      }
+      if (account.color !== undefined && SportsbookCatalog.normalizeColor(account.color) !== account.color) {
+        errors.push(`${where}: colour must be a lower-case hex colour such as #1493ff`);
+      }
+      if (!isTimestamp(account.archivedAt)) {
+        errors.push(`${where}: invalid archive date`);
+      }
+
+      ['balance', 'totalDeposits', 'totalWithdrawals'].forEach(field => {
+        if (!isAmount(account[field])) {
+          errors.push(`${where}: ${field} must be a number`);
+        }
+      });
+
+      ['unitSize', 'kellyFraction', 'maxStakePercent'].forEach(field => {
+        if (account[field] !== null && account[field] !== undefined && (!isAmount(account[field]) || account[field] <= 0)) {
+          errors.push(`${where}: ${field} must be a positive number`);
+        }
+      });
+
+      if (!Array.isArray(account.transactions) || !Array.isArray(account.bets) || !Array.isArray(account.promotions || [])) {
+        errors.push(`${where}: promotions, transactions and bets must be lists`);
+        return;
+      }
+
+      // Promotions arrived in version 5; bets and credits may only link to the account's own
+      const promotionIds = new Set();
+
+      (account.promotions || []).forEach((promotion, index) => {
+        const row = `${where}, promotion ${index + 1}`;
+
+        if (!Number.isInteger(promotion.id)) {
+          errors.push(`${row}: id is required`);
+        }
+        promotionIds.add(promotion.id);
+
+        if (!PromotionModel.offerTypes.includes(promotion.offerType)) {
+          errors.push(`${row}: invalid offer type '${promotion.offerType}'`);
+        }
+        if (!PromotionModel.statuses.includes(promotion.status)) {
+          errors.push(`${row}: invalid status '${promotion.status}'`);
+        }
+        if (typeof promotion.name !== 'string' || !promotion.name || promotion.name.length > 200) {
+          errors.push(`${row}: name is required (max 200 characters)`);
+        }
+        if (!isAmount(promotion.amount) || promotion.amount < 0 ||
+            !isAmount(promotion.rolloverMultiplier) || promotion.rolloverMultiplier < 0) {
+          errors.push(`${row}: amount and rollover multiplier must be non-negative numbers`);
+        }
+        ['boostPercent', 'minOddsDecimal'].forEach(field => {
+          if (promotion[field] !== null && promotion[field] !== undefined && (!isAmount(promotion[field]) || promotion[field] <= 0)) {
+            errors.push(`${row}: ${field} must be a positive number`);
+          }
+        });
+        if (!isDate(promotion.startsOn) || (promotion.expiresOn !== null && promotion.expiresOn !== undefined && !isDate(promotion.expiresOn))) {
+          errors.push(`${row}: dates must be YYYY-MM-DD`);
+        }
+        if (!isText(promotion.notes, 500)) {
+          errors.push(`${row}: notes are too long`);
+        }
+        if (!isTimestamp(promotion.createdAt) || !isTimestamp(promotion.updatedAt)) {
+          errors.push(`${row}: invalid timestamp`);
+        }
+      });
+
+      const isPromotionLink = (value) => value === null || value === undefined || promotionIds.has(value);
+
+      account.transactions.forEach((transaction, index) => {
+        const row = `${where}, transaction ${index + 1}`;
+
+        if (!this.transactionTypes.includes(transaction.type)) {
+          errors.push(`${row}: invalid type '${transaction.type}'`);
+        }
+        if (!isAmount(transaction.amount) || transaction.amount < 0) {
+          errors.push(`${row}: amount must be a non-negative number`);
+        }
+        if (!isDate(transaction.date)) {
+          errors.push(`${row}: date must be YYYY-MM-DD`);
+        }
+        if (!isTime(transaction.time)) {
+          errors.push(`${row}: time must be HH:MM`);
+        }
+        if (transaction.expiresOn !== null && transaction.expiresOn !== undefined &&
+            (transaction.type !== 'bonus-credit' || !isDate(transaction.expiresOn) || transaction.expiresOn < transaction.date)) {
+          errors.push(`${row}: only bonus credits expire, on or after the day they were credited`);
+        }
+        if (!isText(transaction.description, 500) || !isText(transaction.externalId, 100)) {
+          errors.push(`${row}: description or external ID is too long`);
+        }
+        if (!isPromotionLink(transaction.promotionId)) {
+          errors.push(`${row}: unknown promotion ${transaction.promotionId}`);
+        }
+        if (!isTimestamp(transaction.createdAt) || !isTimestamp(transaction.updatedAt)) {
+          errors.push(`${row}: invalid timestamp`);
+        }
+      });
+
+      account.bets.forEach((bet, index) => {
+        const row = `${where}, bet ${index + 1}`;
+
+        if (!BetModel.validBetTypes.includes(bet.betType)) {
+          errors.push(`${row}: invalid bet type '${bet.betType}'`);
+        }
+        if (!BetModel.validStatuses.includes(bet.status)) {
+          errors.push(`${row}: invalid status '${bet.status}'`);
+        }
+        if (!isAmount(bet.amount) || bet.amount < 0 || !isAmount(bet.displayAmount) || bet.displayAmount < 0) {
+          errors.push(`${row}: amounts must be non-negative numbers`);
+        }
+        if (!isAmount(bet.winnings) || bet.winnings < 0) {
+          errors.push(`${row}: winnings must be a non-negative number`);
+        }
+        if (bet.oddsDecimal !== null && bet.oddsDecimal !== undefined && (!isAmount(bet.oddsDecimal) || bet.oddsDecimal <= 1)) {
+          errors.push(`${row}: invalid decimal odds`);
+        }
+        if (bet.oddsFormat && !OddsUtils.validFormats.includes(bet.oddsFormat)) {
+          errors.push(`${row}: invalid odds format '${bet.oddsFormat}'`);
+        }
+        if (bet.marketType && !BetModel.validMarketTypes.includes(bet.marketType)) {
+          errors.push(`${row}: invalid market type '${bet.marketType}'`);
+        }
+        if (!isDate(bet.date)) {
+          errors.push(`${row}: date must be YYYY-MM-DD`);
+        }
+        if (!isTime(bet.time)) {
+          errors.push(`${row}: time must be HH:MM`);
+        }
+        if (!isText(bet.description, 500) || !isText(bet.sport, 50) || !isText(bet.league, 50) || !isText(bet.externalId, 100)) {
+          errors.push(`${row}: a text field is too long`);
+        }
+        if (!isTimestamp(bet.createdAt) || !isTimestamp(bet.updatedAt)) {
+          errors.push(`${row}: invalid timestamp`);
+        }
+        if (!isPromotionLink(bet.promotionId)) {
+          errors.push(`${row}: unknown promotion ${bet.promotionId}`);
+        }
+        if (!isPositionLink(bet.positionId)) {
+          errors.push(`${row}: unknown position ${bet.positionId}`);
+        }
+        if (!Array.isArray(bet.legs || []) || !Array.isArray(bet.tags || [])) {
+          errors.push(`${row}: legs and tags must be lists`);
+          return;
+        }
+        (bet.legs || []).forEach((leg, legIndex) => {
+          if (typeof leg.selection !== 'string' || !leg.selection || !isAmount(leg.oddsDecimal) ||
+              !BetLegModel.validStatuses.includes(leg.status)) {
+            errors.push(`${row}, leg ${legIndex + 1}: selection, odds and status are required`);
+          }
+        });
+        if ((bet.tags || []).some(tag => typeof tag !== 'string' || tag.length > BetTagModel.maxTagLength)) {
+          errors.push(`${row}: invalid tag`);
+        }
+      });
+
+      // Reconciliations arrived in version 10
+      if (!Array.isArray(account.reconciliations || [])) {
+        errors.push(`${where}: reconciliations must be a list`);
+        return;
+      }
+
+      (account.reconciliations || []).forEach((reconciliation, index) => {
+        const row = `${where}, reconciliation ${index + 1}`;
+
+        if (!['reportedBalance', 'trackedBalance', 'discrepancy', 'adjustment'].every(field => isAmount(reconciliation[field]))) {
+          errors.push(`${row}: balances, discrepancy and adjustment must be numbers`);
+        }
+        if (!Array.isArray(reconciliation.causes || [])) {
+          errors.push(`${row}: causes must be a list`);
+        }
+        if (!isText(reconciliation.note, 500)) {
+          errors.push(`${row}: note is too long`);
+        }
+        if (!isTimestamp(reconciliation.createdAt)) {
+          errors.push(`${row}: invalid timestamp`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Restore a backup in a single transaction.
+   * replace: delete the user's accounts and rebuild them exactly from the
+   * backup. Gambling limits are kept.
+   * merge: keep existing data and add what is missing; rows are matched on
+   * their external ID or on their contents and creation time.
+   */
+  async restoreBackup(userId, backup, mode = 'replace') {
+    if (!this.restoreModes.includes(mode)) {
+      throw new AppError(`Restore mode must be one of: ${this.restoreModes.join(', ')}`, 400, 'INVALID_RESTORE_MODE');
+    }
+
+    const errors = this.validateBackup(backup);
+    if (errors.length > 0) {
+      const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+      throw new AppError(`Invalid backup: ${errors.slice(0, 5).join('; ')}${more}`, 400, 'INVALID_BACKUP');
+    }
+
+    const summary = {
+      mode,
+      accountsCreated: 0,
+      accountsMerged: 0,
+      promotionsRestored: 0,
+      positionsRestored: 0,
+      exchangeRatesRestored: 0,
+      transactionsRestored: 0,
+      betsRestored: 0,
+      reconciliationsRestored: 0,
+      skipped: 0
+    };
+
+    const connection = await pool.getConnection();
+    let accountLimits = [];
+
+    try {
+      await connection.beginTransaction();
+
+      if (mode === 'replace') {
+        accountLimits = await this.detachAccountLimits(connection, userId, backup);
+
+        // Promotions, transactions, bets, legs and tags go with their accounts (ON DELETE CASCADE).
+        // The trash goes too - its balance reversals belong to the replaced data.
+        await connection.execute('DELETE FROM accounts WHERE user_id = ?', [userId]);
+        await connection.execute('DELETE FROM trash_items WHERE user_id = ?', [userId]);
+        await connection.execute('DELETE FROM positions WHERE user_id = ?', [userId]);
+        await ExchangeRateModel.deleteByUserId(userId, connection);
+
+        if (backup.baseCurrency) {
+          await ExchangeRateModel.setBaseCurrency(userId, backup.baseCurrency, connection);
+        }
+      }
+
+      // Merging keeps the rates already recorded for a pair and date
+      const existingRates = mode === 'merge'
+        ? new Set((await ExchangeRateModel.findByUserId(userId, {}, connection))
+          .map(rate => `${rate.fromCurrency}-${rate.toCurrency}-${rate.rateDate}`))
+        : new Set();
+      const rates = (backup.exchangeRates || [])
+        .filter(rate => !existingRates.has(`${rate.fromCurrency}-${rate.toCurrency}-${rate.rateDate}`));
+      await ExchangeRateModel.upsertMany(userId, rates, connection);
+      summary.exchangeRatesRestored = rates.length;
+      summary.skipped += (backup.exchangeRates || []).length - rates.length;
+
+      // Positions span accounts, so they are restored first and bets follow them to their new IDs
+      const positionIds = {};
+      for (const position of backup.positions || []) {
+        const existingId = mode === 'merge' ? await this.positionExists(connection, userId, position) : null;
+        if (existingId) {
+          positionIds[position.id] = existingId;
+          summary.skipped++;
+          continue;
+        }
+
+        const [result] = await connection.execute(
+          `INSERT INTO positions (user_id, strategy, name, notes, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            position.strategy,
+            position.name,
+            position.notes || '',
+            this.toTimestamp(position.createdAt),
+            this.toTimestamp(position.updatedAt)
+          ]
+        );
+        positionIds[position.id] = result.insertId;
+        summary.positionsRestored++;
+      }
+
+      const [existingAccounts] = await connection.execute(
+        'SELECT id, account_key FROM accounts WHERE user_id = ?',
+        [userId]
+      );
+      const existingIds = existingAccounts.reduce((map, account) => {
+        map[account.account_key] = account.id;
+        return map;
+      }, {});
+
+      for (const account of backup.accounts) {
+        let accountId = existingIds[account.accountKey];
+        const merging = Boolean(accountId);
+
+        if (merging) {
+          summary.accountsMerged++;
+        } else {
+          const [result] = await connection.execute(
+            `INSERT INTO accounts (user_id, account_key, name, sportsbook, color, currency, unit_size, kelly_fraction, max_stake_percent, archived_at, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              userId,
+              account.accountKey,
+              account.name,
+              account.sportsbook ?? null,
+              account.color || SportsbookCatalog.defaultColor,
+              account.currency || CurrencyUtils.defaultCurrency,
+              account.unitSize ?? null,
+              account.kellyFraction ?? null,
+              account.maxStakePercent ?? null,
+              account.archivedAt ? new Date(account.archivedAt) : null,
+              this.toTimestamp(account.createdAt),
+              this.toTimestamp(account.updatedAt)
+            ]
+          );
+          accountId = result.insertId;
+          summary.accountsCreated++;
+
+          // Restored accounts open the ledger at the balances in the backup; reconciliation
+          // adjustments are restored as their own entries, so recalculating keeps them
+          await LedgerModel.append(accountId, {
+            entryType: 'opening',
+            amount: account.balance - this.reconciledAmount(account),
+            depositChange: account.totalDeposits,
+            withdrawalChange: account.totalWithdrawals,
+            description: 'Restored from backup'
+          }, connection);
+        }
+
+        const restored = await this.restoreAccountRows(connection, accountId, account, merging, positionIds);
+        summary.promotionsRestored += restored.promotions;
+        summary.transactionsRestored += restored.transactions;
+        summary.betsRestored += restored.bets;
+        summary.reconciliationsRestored += restored.reconciliations;
+        summary.skipped += restored.skipped;
+
+        // Existing accounts gained rows, so their totals are derived again
+        if (merging && (restored.transactions > 0 || restored.bets > 0)) {
+          await AccountModel.recalculateBalance(accountId, connection);
+        }
+      }
+
+      await this.relinkAccountLimits(connection, userId, accountLimits);
+
+      if (backup.settings) {
+        const current = mode === 'merge' ? await UserModel.getSettings(userId, connection) : {};
+        await UserModel.updateSettings(userId, { ...current, ...backup.settings }, connection);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Gambling limits are not part of a backup and outlive a replace restore:
+   * deleting them with their accounts would lift them without the cooling-off
+   * period. Account limits are detached before the accounts are deleted, to be
+   * relinked to the restored account with the same key. A backup that leaves
+   * out an account with limits is refused.
+   */
+  async detachAccountLimits(connection, userId, backup) {
+    const [limits] = await connection.execute(
+      `SELECT l.id, a.account_key, a.name
+       FROM gambling_limits l
+       JOIN accounts a ON l.account_id = a.id
+       WHERE l.user_id = ?`,
+      [userId]
+    );
+
+    const restoredKeys = new Set(backup.accounts.map(account => account.accountKey));
+    const missing = [...new Set(limits.filter(limit => !restoredKeys.has(limit.account_key)).map(limit => limit.name))];
+
+    if (missing.length > 0) {
+      throw new AppError(
+        `The backup does not include ${missing.join(', ')}, which ${missing.length === 1 ? 'has' : 'have'} gambling limits - ` +
+          'remove the limits or restore in merge mode',
+        409,
+        'RESTORE_WOULD_REMOVE_LIMITS'
+      );
+    }
+
+    if (limits.length > 0) {
+      await connection.execute(
+        `UPDATE gambling_limits SET account_id = NULL WHERE id IN (${limits.map(() => '?').join(', ')})`,
+        limits.map(limit => limit.id)
+      );
+    }
+
+    return limits.map(limit => ({ id: limit.id, accountKey: limit.account_key }));
+  }
+
+  /**
+   * Point detached account limits at the restored accounts
+   */
+  async relinkAccountLimits(connection, userId, limits) {
+    if (limits.length === 0) {
+      return;
+    }
+
+    const [accounts] = await connection.execute(
+      'SELECT id, account_key FROM accounts WHERE user_id = ?',
+      [userId]
+    );
+    const accountIds = accounts.reduce((map, account) => {
+      map[account.account_key] = account.id;
+      return map;
+    }, {});
+
+    for (const limit of limits) {
+      await connection.execute(
+        'UPDATE gambling_limits SET account_id = ? WHERE id = ?',
+        [accountIds[limit.accountKey], limit.id]
+      );
+    }
+  }
+
+  /**
+   * What an account's reconciliation adjustments add to its balance
+   */
+  reconciledAmount(account) {
+    return LedgerModel.round((account.reconciliations || [])
+      .reduce((sum, reconciliation) => sum + reconciliation.adjustment, 0));
+  }
+
+  /**
+   * Insert an account's promotions, transactions, bets and reconciliations, skipping
+   * rows that already exist when merging. Links to promotions and positions follow
+   * them to their new IDs.
+   */
+  async restoreAccountRows(connection, accountId, account, merging, positionIds = {}) {
+    const counts = { promotions: 0, transactions: 0, bets: 0, reconciliations: 0, skipped: 0 };
+    const promotionIds = {};
+
+    for (const promotion of account.promotions || []) {
+      const existingId = merging ? await this.promotionExists(connection, accountId, promotion) : null;
+      if (existingId) {
+        promotionIds[promotion.id] = existingId;
+        counts.skipped++;
+        continue;
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO promotions (account_id, offer_type, name, amount, boost_percent, rollover_multiplier, min_odds_decimal,
+                                 starts_on, expires_on, status, notes, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          accountId,
+          promotion.offerType,
+          promotion.name,
+          promotion.amount,
+          promotion.boostPercent ?? null,
+          promotion.rolloverMultiplier,
+          promotion.minOddsDecimal ?? null,
+          promotion.startsOn,
+          promotion.expiresOn || null,
+          promotion.status,
+          promotion.notes || '',
+          this.toTimestamp(promotion.createdAt),
+          this.toTimestamp(promotion.updatedAt)
+        ]
+      );
+      promotionIds[promotion.id] = result.insertId;
+      counts.promotions++;
+    }
+
+    const promotionFor = (row) => (row.promotionId ? promotionIds[row.promotionId] || null : null);
+
+    for (const transaction of account.transactions) {
+      if (merging && await this.transactionExists(connection, accountId, transaction)) {
+        counts.skipped++;
+        continue;
+      }
+
+      await connection.execute(
+        `INSERT INTO transactions (account_id, type, amount, description, promotion_id, expires_on, transaction_date, transaction_time, external_id, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          accountId,
+          transaction.type,
+          transaction.amount,
+          transaction.description || '',
+          promotionFor(transaction),
+          transaction.expiresOn || null,
+          transaction.date,
+          DateUtils.parseTime(transaction.time),
+          transaction.externalId || null,
+          this.toTimestamp(transaction.createdAt),
+          this.toTimestamp(transaction.updatedAt)
+        ]
+      );
+      counts.transactions++;
+    }
+
+    for (const bet of account.bets) {
+      if (merging && await this.betExists(connection, accountId, bet)) {
+        counts.skipped++;
+        continue;
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO bets (account_id, bet_type, amount, display_amount, odds_decimal, odds_format, closing_odds_decimal, closing_opposing_odds_decimal,
+                           description, sport, league, market_type, bet_date, bet_time, status, winnings, is_bonus_bet, promotion_id, position_id,
+                           bankroll_percent, over_stake_limit, external_id, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          accountId,
+          bet.betType,
+          bet.amount,
+          bet.displayAmount,
+          bet.oddsDecimal ?? null,
+          bet.oddsFormat || null,
+          bet.closingOddsDecimal ?? null,
+          bet.closingOpposingOddsDecimal ?? null,
+          bet.description || '',
+          bet.sport || null,
+          bet.league || null,
+          bet.marketType || null,
+          bet.date,
+          DateUtils.parseTime(bet.time),
+          bet.status,
+          bet.winnings,
+          bet.isBonusBet ? 1 : 0,
+          promotionFor(bet),
+          bet.positionId ? positionIds[bet.positionId] || null : null,
+          bet.bankrollPercent ?? null,
+          bet.overStakeLimit ? 1 : 0,
+          bet.externalId || null,
+          this.toTimestamp(bet.createdAt),
+          this.toTimestamp(bet.updatedAt)
+        ]
+      );
+
+      const legs = bet.legs || [];
+      for (let i = 0; i < legs.length; i++) {
+        await connection.execute(
+          `INSERT INTO bet_legs (bet_id, leg_order, selection, odds_decimal, odds_format, status, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            result.insertId,
+            i,
+            legs[i].selection,
+            legs[i].oddsDecimal,
+            legs[i].oddsFormat || 'american',
+            legs[i].status,
+            this.toTimestamp(legs[i].createdAt),
+            this.toTimestamp(legs[i].updatedAt)
+          ]
+        );
+      }
+
+      if (bet.tags && bet.tags.length > 0) {
+        await BetTagModel.setForBet(result.insertId, BetTagModel.normalize(bet.tags), connection);
+      }
+
+      counts.bets++;
+    }
+
+    for (const reconciliation of account.reconciliations || []) {
+      if (merging && await this.reconciliationExists(connection, accountId, reconciliation)) {
+        counts.skipped++;
+        continue;
+      }
+
+      const ledgerEntryId = await LedgerModel.append(accountId, {
+        entryType: 'reconciliation',
+        amount: reconciliation.adjustment,
+        description: 'Reconciled to sportsbook balance (restored from backup)'
+      }, connection);
+
+      await connection.execute(
+        `INSERT INTO reconciliations (account_id, reported_balance, tracked_balance, discrepancy, causes, adjusted, ledger_entry_id, note, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          accountId,
+          reconciliation.reportedBalance,
+          reconciliation.trackedBalance,
+          reconciliation.discrepancy,
+          JSON.stringify(reconciliation.causes || []),
+          reconciliation.adjusted ? 1 : 0,
+          ledgerEntryId,
+          reconciliation.note || '',
+          this.toTimestamp(reconciliation.createdAt)
+        ]
+      );
+      counts.reconciliations++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * ID of a backed-up promotion already in the account, or null
+   */
+  async promotionExists(connection, accountId, promotion) {
+    const [rows] = await connection.execute(
+      `SELECT id FROM promotions
+       WHERE account_id = ? AND offer_type = ? AND name = ? AND starts_on = ? AND created_at = ?
+       LIMIT 1`,
+      [accountId, promotion.offerType, promotion.name, promotion.startsOn, this.toTimestamp(promotion.createdAt)]
+    );
+
+    return rows.length > 0 ? rows[0].id : null;
+  }
+
+  /**
+   * ID of a backed-up position the user already has, or null
+   */
+  async positionExists(connection, userId, position) {
+    const [rows] = await connection.execute(
+      `SELECT id FROM positions
+       WHERE user_id = ? AND strategy = ? AND name = ? AND created_at = ?
+       LIMIT 1`,
+      [userId, position.strategy, position.name, this.toTimestamp(position.createdAt)]
+    );
+
+    return rows.length > 0 ? rows[0].id : null;
+  }
+
+  /**
+   * Whether a backed-up transaction is already in the account
+   */
+  async transactionExists(connection, accountId, transaction) {
+    const [rows] = transaction.externalId
+      ? await connection.execute(
+        'SELECT id FROM transactions WHERE account_id = ? AND external_id = ? LIMIT 1',
+        [accountId, transaction.externalId]
+      )
+      : await connection.execute(
+        `SELECT id FROM transactions
+         WHERE account_id = ? AND type = ? AND amount = ? AND description = ? AND transaction_date = ? AND created_at = ?
+         LIMIT 1`,
+        [accountId, transaction.type, transaction.amount, transaction.description || '', transaction.date, this.toTimestamp(transaction.createdAt)]
+      );
+
+    return rows.length > 0;
+  }
+
+  /**
+   * Whether a backed-up bet is already in the account
+   */
+  async betExists(connection, accountId, bet) {
+    const [rows] = bet.externalId
+      ? await connection.execute(
+        'SELECT id FROM bets WHERE account_id = ? AND external_id = ? LIMIT 1',
+        [accountId, bet.externalId]
+      )
+      : await connection.execute(
+        `SELECT id FROM bets
+         WHERE account_id = ? AND amount = ? AND description = ? AND bet_date = ? AND created_at = ?
+         LIMIT 1`,
+        [accountId, bet.amount, bet.description || '', bet.date, this.toTimestamp(bet.createdAt)]
+      );
+
+    return rows.length > 0;
+  }
+
+  /**
+   * Whether a backed-up reconciliation is already in the account
+   */
+  async reconciliationExists(connection, accountId, reconciliation) {
+    const [rows] = await connection.execute(
+      `SELECT id FROM reconciliations
+       WHERE account_id = ? AND reported_balance = ? AND tracked_balance = ? AND created_at = ?
+       LIMIT 1`,
+      [accountId, reconciliation.reportedBalance, reconciliation.trackedBalance, this.toTimestamp(reconciliation.createdAt)]
+    );
+
+    return rows.length > 0;
+  }
+
+  /**
+   * Convert a backup timestamp for insertion; missing timestamps become now
+   */
+  toTimestamp(value) {
+    return value ? new Date(value) : new Date();
+  }
+}
+
+module.exports = new BackupService();
@@ -0,0 +1,147 @@
+const AccountModel = require('../models/Account.model');
+const OddsUtils = require('../utils/odds');
+const { AppError } = require('../middleware/error.middleware');
+
+class BankrollService {
+  constructor() {
+    // Stakes up to each percentage of the bankroll fall in that risk level
+    this.riskLevels = [
+      { level: 'low', maxPercent: 1 },
+      { level: 'medium', maxPercent: 3 },
+      { level: 'high', maxPercent: 5 }
+    ];
+    // Full Kelly is too aggressive for estimated probabilities, so suggestions default to quarter Kelly
+    this.defaultKellyFraction = 0.25;
+  }
+
+  /**
+   * Bankroll rules configured on an account
+   */
+  getRules(account) {
+    return {
+      unitSize: account.unitSize,
+      kellyFraction: account.kellyFraction,
+      maxStakePercent: account.maxStakePercent
+    };
+  }
+
+  /**
+   * Risk level for a stake expressed as a percentage of the bankroll
+   */
+  riskLevelFor(bankrollPercent) {
+    const match = this.riskLevels.find(({ maxPercent }) => bankrollPercent <= maxPercent);
+    return match ? match.level : 'very-high';
+  }
+
+  /**
+   * Size a stake against the bankroll it comes out of and the account's limit.
+   * An empty bankroll can't be sized against, so the percentage is null.
+   */
+  assessStake(stake, bankroll, rules = {}) {
+    const bankrollPercent = bankroll > 0 ? this.round((stake / bankroll) * 100) : null;
+    const maxStakePercent = rules.maxStakePercent ?? null;
+    const overStakeLimit = bankrollPercent !== null && maxStakePercent !== null && bankrollPercent > maxStakePercent;
+
+    return {
+      bankrollPercent,
+      riskLevel: bankrollPercent !== null ? this.riskLevelFor(bankrollPercent) : null,
+      units: rules.unitSize ? this.round(stake / rules.unitSize) : null,
+      maxStakePercent,
+      overStakeLimit,
+      warning: overStakeLimit
+        ? `Stake is ${bankrollPercent}% of the bankroll, above the ${maxStakePercent}% limit for this account`
+        : null
+    };
+  }
+
+  /**
+   * Suggest a stake for a bet from its odds and the user's estimated win
+   * probability (a percentage), using the account's Kelly fraction and
+   * capping the result at its maximum stake
+   */
+  async suggestStake(userId, accountKey, { odds, oddsFormat, probability }) {
+    const account = await AccountModel.findByUserAndKey(userId, accountKey);
+    if (!account) {
+      throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+    }
+
+    const decimal = OddsUtils.toDecimal(odds, oddsFormat || null);
+    if (!decimal) {
+      throw new AppError(`Invalid odds: ${odds}`, 400, 'INVALID_ODDS');
+    }
+
+    const winProbability = parseFloat(probability) / 100;
+    if (isNaN(winProbability) || winProbability <= 0 || winProbability >= 1) {
+      throw new AppError('Probability must be between 0 and 100', 400, 'INVALID_PROBABILITY');
+    }
+
+    const rules = this.getRules(account);
+    const kellyFraction = rules.kellyFraction || this.defaultKellyFraction;
+    const bankroll = account.balance;
+
+    // Kelly criterion: f* = (b*p - q) / b, where b is the net odds and q = 1 - p
+    const netOdds = decimal - 1;
+    const fullKelly = (netOdds * winProbability - (1 - winProbability)) / netOdds;
+    const edge = this.round((winProbability * decimal - 1) * 100);
+
+    const response = {
+      success: true,
+      accountKey,
+      bankroll,
+      oddsDecimal: decimal,
+      probability: this.round(winProbability * 100),
+      impliedProbability: this.round(OddsUtils.impliedProbability(decimal) * 100),
+      edge,
+      kellyFraction,
+      fullKellyPercent: this.round(Math.max(0, fullKelly) * 100),
+      rules
+    };
+
+    if (fullKelly <= 0) {
+      return {
+        ...response,
+        stake: 0,
+        units: 0,
+        stakePercent: 0,
+        capped: false,
+        message: 'No edge at these odds - Kelly suggests not betting'
+      };
+    }
+
+    if (bankroll <= 0) {
+      return {
+        ...response,
+        stake: 0,
+        units: 0,
+        stakePercent: 0,
+        capped: false,
+        message: 'Add funds to this account to size a stake against its bankroll'
+      };
+    }
+
+    let stakePercent = fullKelly * kellyFraction * 100;
+    const capped = rules.maxStakePercent !== null && stakePercent > rules.maxStakePercent;
+    if (capped) {
+      stakePercent = rules.maxStakePercent;
+    }
+
+    const stake = Math.floor(bankroll * stakePercent) / 100;
+
+    return {
+      ...response,
+      stake,
+      units: rules.unitSize ? this.round(stake / rules.unitSize) : null,
+      stakePercent: this.round(stakePercent),
+      capped,
+      message: capped
+        ? `Kelly stake capped at the account's ${rules.maxStakePercent}% maximum`
+        : `${kellyFraction} Kelly on a ${edge}% edge`
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new BankrollService();
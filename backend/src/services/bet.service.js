@@ -1,20 +1,57 @@
+const { pool } = require('../config/database.config');
 const BetModel = require('../models/Bet.model');
 const AccountModel = require('../models/Account.model');
-const { AppError } = require('../middleware/error.middleware');
+const { AppError, ValidationError } = require('../middleware/error.middleware');
+const BetLegModel = require('../models/BetLeg.model');
+const BetTagModel = require('../models/BetTag.model');
+const BetEditModel = require('../models/BetEdit.model');
+const LedgerModel = require('../models/Ledger.model');
+const OddsUtils = require('../utils/odds');
+const DateUtils = require('../utils/dates');
+const StatisticsUtils = require('../utils/statistics');
+const TransactionService = require('./transaction.service');
+const TrashService = require('./trash.service');
+const BankrollService = require('./bankroll.service');
+const LimitService = require('./limit.service');
+const PromotionService = require('./promotion.service');
 
 class BetService {
+  constructor() {
+    // Results are only called meaningful with enough graded bets and a p-value below this level
+    this.significanceLevel = 0.05;
+    this.minSignificantSample = 30;
+  }
+  
   /**
    * Create a new bet
    */
   async createBet(userId, betData) {
     try {
-      const { account, amount, displayAmount, description, isBonusBet = false } = betData;
+      const {
+        account, amount, displayAmount, odds, oddsFormat, description, betType, legs, date, time, promotionId
+      } = betData;
+      
+      const metadata = this.parseMetadata(betData);
+      
+      // Bets can be entered after the fact, but not ahead of time
+      const dateError = DateUtils.validate(date, time);
+      if (dateError) {
+        throw new AppError(dateError, 400, 'INVALID_DATE');
+      }
+      const entryDate = DateUtils.resolve(date, time);
       
       // Find and validate account
       const accountData = await AccountModel.findByUserAndKey(userId, account);
       if (!accountData) {
         throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
       }
+      if (accountData.archivedAt) {
+        throw new AppError(`Account '${accountData.name}' is archived`, 400, 'ACCOUNT_ARCHIVED');
+      }
+      
+      // Bets placed with a bet credit promotion are bonus bets
+      const promotion = await PromotionService.resolveForEntry(userId, accountData.id, promotionId);
+      const isBonusBet = Boolean(betData.isBonusBet) || PromotionService.isBonusStake(promotion);
       
       // Validate amounts
       const betAmount = parseFloat(amount);
@@ -28,32 +65,77 @@ class BetService {
         throw new AppError('Invalid display amount', 400, 'INVALID_DISPLAY_AMOUNT');
       }
       
-      // Validate balance for non-bonus bets
-      if (!isBonusBet && betAmount > accountData.balance) {
-        throw new AppError('Insufficient balance for bet', 400, 'INSUFFICIENT_BALANCE');
+      // Normalise odds to decimal, remembering the format they were entered in
+      let normalizedOdds = this.parseOdds(odds, oddsFormat);
+      
+      // Multi-leg bets: price defaults to the product of the legs. Same-game
+      // parlays are priced by the book, so an explicit price takes precedence.
+      const parlay = this.parseParlay(betType, legs);
+      if (parlay && !normalizedOdds) {
+        normalizedOdds = {
+          decimal: OddsUtils.combine(parlay.legs.map(leg => leg.odds_decimal)),
+          format: parlay.legs[0].odds_format
+        };
       }
       
-      // Create the bet
+      // Closing prices are entered in the same format as the taken odds
+      const closingOdds = this.parseClosingOdds(betData.closingOdds, oddsFormat);
+      const closingOpposingOdds = this.parseClosingOdds(betData.closingOpposingOdds, oddsFormat, 'opposing closing odds');
+      
+      // The bet and its stake are written together, so a bet never exists without its ledger entry.
+      // The stake is checked against the account read locked, so bets placed at the same time are
+      // checked one after the other.
       const actualBetAmount = isBonusBet ? 0 : betAmount; // No real money risked for bonus bets
-      const bet = await BetModel.create({
-        account_id: accountData.id,
-        amount: actualBetAmount,
-        display_amount: betDisplayAmount,
-        description: description || '',
-        bet_date: new Date(),
-        is_bonus_bet: isBonusBet,
-        status: 'pending'
+      const { bet, bankrollCheck, limitWarnings } = await this.withTransaction(async (connection) => {
+        const lockedAccount = await AccountModel.findById(accountData.id, connection, true);
+        const stakeCheck = await this.checkStake(userId, lockedAccount, {
+          activity: 'bet',
+          amount: actualBetAmount,
+          date: entryDate.date
+        });
+        
+        const created = await BetModel.create({
+          account_id: accountData.id,
+          bet_type: parlay ? parlay.betType : 'straight',
+          legs: parlay ? parlay.legs : [],
+          amount: actualBetAmount,
+          display_amount: betDisplayAmount,
+          odds_decimal: normalizedOdds ? normalizedOdds.decimal : null,
+          odds_format: normalizedOdds ? normalizedOdds.format : null,
+          closing_odds_decimal: closingOdds,
+          closing_opposing_odds_decimal: closingOpposingOdds,
+          description: description || '',
+          ...metadata,
+          bet_date: entryDate.date,
+          bet_time: entryDate.time,
+          is_bonus_bet: isBonusBet,
+          promotion_id: promotion ? promotion.id : null,
+          bankroll_percent: stakeCheck.bankrollCheck ? stakeCheck.bankrollCheck.bankrollPercent : null,
+          over_stake_limit: stakeCheck.bankrollCheck ? stakeCheck.bankrollCheck.overStakeLimit : false,
+          status: 'pending'
+        }, connection);
+        
+        // Update account balance for non-bonus bets
+        if (actualBetAmount > 0) {
+          await AccountModel.updateBalance(accountData.id, -actualBetAmount, {
+            entryType: 'bet-stake',
+            betId: created.id,
+            description: description || 'Bet placed'
+          }, connection);
+        }
+        
+        return { bet: created, ...stakeCheck };
       });
       
-      // Update account balance for non-bonus bets
-      if (!isBonusBet && betAmount > 0) {
-        await AccountModel.updateBalance(accountData.id, -betAmount);
-      }
-      
       return {
         success: true,
         bet: await BetModel.findById(bet.id),
-        message: 'Bet created successfully'
+        bankrollCheck,
+        limitWarnings,
+        aggregates: await TransactionService.getAffectedAggregates(userId, [entryDate.date], true),
+        message: bankrollCheck && bankrollCheck.warning
+          ? `Bet created successfully. ${bankrollCheck.warning}`
+          : 'Bet created successfully'
       };
       
     } catch (error) {
@@ -128,19 +210,20 @@ class BetService {
   }
   
   /**
-   * Update bet status (settle bet)
+   * Update bet status (settle bet).
+   * Pass an open connection to settle inside the caller's transaction;
+   * otherwise the settlement runs in a transaction of its own.
    */
-  async settleBet(userId, betId, settlementData) {
+  async settleBet(userId, betId, settlementData, connection = null) {
+    if (!connection) {
+      return this.withTransaction(conn => this.settleBet(userId, betId, settlementData, conn));
+    }
+    
     try {
-      const { status, winnings = 0 } = settlementData;
+      const { status } = settlementData;
       
-      // Validate status
-      if (!['won', 'lost'].includes(status)) {
-        throw new AppError('Invalid settlement status', 400, 'INVALID_SETTLEMENT_STATUS');
-      }
-      
-      // Get the bet
-      const bet = await BetModel.findById(betId);
+      // Get the bet, holding it so a concurrent settlement can't pay it twice
+      const bet = await BetModel.findById(betId, connection, true);
       if (!bet || bet.userId !== userId) {
         throw new AppError('Bet not found', 404, 'BET_NOT_FOUND');
       }
@@ -149,20 +232,28 @@ class BetService {
         throw new AppError('Can only settle pending bets', 400, 'BET_ALREADY_SETTLED');
       }
       
-      // Validate winnings for won bets
-      if (status === 'won') {
-        const winningsAmount = parseFloat(winnings);
-        if (isNaN(winningsAmount) || winningsAmount <= 0) {
-          throw new AppError('Valid winnings amount required for won bets', 400, 'INVALID_WINNINGS');
-        }
+      // Parlays are settled from the results of their legs
+      if (bet.betType !== 'straight') {
+        return await this.settleParlay(bet, settlementData, connection);
       }
       
-      // Update bet status
-      const updatedBet = await BetModel.updateStatus(betId, status, parseFloat(winnings));
+      // Validate status
+      if (!BetModel.validStatuses.includes(status) || status === 'pending') {
+        throw new AppError('Invalid settlement status', 400, 'INVALID_SETTLEMENT_STATUS');
+      }
+      
+      const winnings = this.resolveSettlementWinnings(bet, status, settlementData.winnings);
       
-      // Update account balance for winning bets
-      if (status === 'won' && parseFloat(winnings) > 0) {
-        await AccountModel.updateBalance(bet.accountId, parseFloat(winnings));
+      // Update bet status
+      const updatedBet = await BetModel.updateStatus(betId, status, winnings, connection);
+      
+      // Credit whatever the book paid back - winnings, refunded stake or cash-out
+      if (winnings > 0) {
+        await AccountModel.updateBalance(bet.accountId, winnings, {
+          entryType: 'bet-payout',
+          betId,
+          description: `Bet settled as ${status}`
+        }, connection);
       }
       
       // Generate settlement summary
@@ -185,43 +276,354 @@ class BetService {
   }
   
   /**
-   * Delete a bet
+   * Settle several pending bets in one database transaction. Each result is
+   * { betId, status, winnings, legs } and follows the same rules as settleBet,
+   * so winners without winnings are paid at their odds. Nothing is saved
+   * unless every bet settles; the outcome of each bet is reported either way.
    */
-  async deleteBet(userId, betId) {
+  async bulkSettleBets(userId, results) {
+    const connection = await pool.getConnection();
+    const outcomes = [];
+    
     try {
-      // Get the bet to delete
-      const bet = await BetModel.findById(betId);
-      if (!bet || bet.userId !== userId) {
-        throw new AppError('Bet not found', 404, 'BET_NOT_FOUND');
+      await connection.beginTransaction();
+      
+      for (const result of results) {
+        const betId = parseInt(result.betId);
+        
+        try {
+          if (outcomes.some(outcome => outcome.betId === betId)) {
+            throw new AppError('Bet is listed more than once', 400, 'DUPLICATE_BET');
+          }
+          
+          const settled = await this.settleBet(userId, betId, {
+            status: result.status,
+            winnings: result.winnings,
+            legs: result.legs
+          }, connection);
+          
+          outcomes.push({
+            betId,
+            success: true,
+            status: settled.bet.status,
+            winnings: settled.settlement ? settled.settlement.winnings : 0,
+            netResult: settled.settlement ? settled.settlement.netResult : 0,
+            message: settled.message
+          });
+        } catch (error) {
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+          
+          outcomes.push({ betId, success: false, error: error.message, code: error.code });
+        }
+      }
+      
+      if (outcomes.every(outcome => outcome.success)) {
+        await connection.commit();
+      } else {
+        await connection.rollback();
+      }
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+    
+    const failed = outcomes.filter(outcome => !outcome.success).length;
+    // Bets that would have settled are rolled back with the rest of the batch
+    outcomes.forEach(outcome => {
+      outcome.applied = failed === 0;
+    });
+    
+    return {
+      success: failed === 0,
+      message: failed === 0
+        ? `Settled ${outcomes.length} bet(s)`
+        : `${failed} of ${outcomes.length} bet(s) could not be settled - no bets were settled`,
+      settled: failed === 0 ? outcomes.length : 0,
+      failed,
+      totalWinnings: failed === 0
+        ? LedgerModel.round(outcomes.reduce((sum, outcome) => sum + outcome.winnings, 0))
+        : 0,
+      outcomes
+    };
+  }
+  
+  /**
+   * Amount returned to the balance when a bet settles with the given status
+   */
+  resolveSettlementWinnings(bet, status, winnings) {
+    if (status === 'lost') {
+      return 0;
+    }
+    
+    // Pushes and voids hand back the stake; a free bet stake is never returned
+    if (BetModel.refundStatuses.includes(status)) {
+      return bet.isBonusBet ? 0 : parseFloat(bet.amount);
+    }
+    
+    if (status === 'cashout') {
+      const cashoutAmount = parseFloat(winnings);
+      if (winnings === undefined || winnings === null || winnings === '' || isNaN(cashoutAmount) || cashoutAmount < 0) {
+        throw new AppError('Cash-out amount required for cashed out bets', 400, 'INVALID_CASHOUT_AMOUNT');
+      }
+      return cashoutAmount;
+    }
+    
+    // Winners default to the payout implied by the odds when no amount is given
+    if (winnings === undefined || winnings === null || winnings === '') {
+      const payout = this.calculateOddsPayout(bet);
+      if (payout <= 0) {
+        throw new AppError('Winnings required - this bet has no odds to settle by', 400, 'INVALID_WINNINGS');
+      }
+      return payout;
+    }
+    
+    const winningsAmount = parseFloat(winnings);
+    if (isNaN(winningsAmount) || winningsAmount <= 0) {
+      throw new AppError('Valid winnings amount required for won bets', 400, 'INVALID_WINNINGS');
+    }
+    
+    return winningsAmount;
+  }
+  
+  /**
+   * Record leg results for a parlay and settle it once the outcome is known.
+   * One losing leg loses the parlay; voided legs drop out of the price.
+   */
+  async settleParlay(bet, settlementData, connection = null) {
+    const { status, legs: legResults = [] } = settlementData;
+    
+    if (status && (!BetModel.validStatuses.includes(status) || status === 'pending')) {
+      throw new AppError('Invalid settlement status', 400, 'INVALID_SETTLEMENT_STATUS');
+    }
+    
+    if (!status && legResults.length === 0) {
+      throw new AppError('Provide a status or leg results to settle a parlay', 400, 'INVALID_SETTLEMENT_STATUS');
+    }
+    
+    for (const result of legResults) {
+      const leg = bet.legs.find(l => l.id === parseInt(result.id));
+      if (!leg) {
+        throw new AppError(`Leg ${result.id} does not belong to this bet`, 404, 'LEG_NOT_FOUND');
+      }
+      
+      if (!['won', 'lost', 'void'].includes(result.status)) {
+        throw new AppError('Leg status must be won, lost, or void', 400, 'INVALID_LEG_STATUS');
+      }
+      
+      await BetLegModel.updateStatus(bet.id, leg.id, result.status, connection);
+    }
+    
+    // Marking the whole parlay as won means every remaining leg won
+    if (status === 'won') {
+      await BetLegModel.settlePending(bet.id, 'won', connection);
+    }
+    
+    const legs = await BetLegModel.findByBetId(bet.id, connection);
+    const outcome = this.resolveParlayOutcome(legs, status);
+    
+    if (outcome === 'pending') {
+      return {
+        success: true,
+        bet: await BetModel.findById(bet.id, connection),
+        message: 'Leg results recorded - parlay is still pending'
+      };
+    }
+    
+    const winnings = this.resolveSettlementWinnings({ ...bet, legs }, outcome, settlementData.winnings);
+    
+    const updatedBet = await BetModel.updateStatus(bet.id, outcome, winnings, connection);
+    
+    if (winnings > 0) {
+      await AccountModel.updateBalance(bet.accountId, winnings, {
+        entryType: 'bet-payout',
+        betId: bet.id,
+        description: `Parlay settled as ${outcome}`
+      }, connection);
+    }
+    
+    return {
+      success: true,
+      bet: updatedBet,
+      settlement: this.generateSettlementSummary(bet, outcome, winnings),
+      message: `Parlay settled as ${outcome}`
+    };
+  }
+  
+  /**
+   * Work out a parlay's result from its legs
+   */
+  resolveParlayOutcome(legs, status = null) {
+    // Pushing, voiding or cashing out the whole ticket overrides the legs
+    if (['push', 'void', 'cashout'].includes(status)) {
+      return status;
+    }
+    
+    if (status === 'lost' || legs.some(leg => leg.status === 'lost')) {
+      return 'lost';
+    }
+    
+    if (legs.some(leg => leg.status === 'pending')) {
+      return 'pending';
+    }
+    
+    // Nothing left to price once every leg is void
+    if (legs.every(leg => leg.status === 'void')) {
+      return 'void';
+    }
+    
+    return 'won';
+  }
+  
+  /**
+   * Current price of a parlay after removing voided legs
+   */
+  getEffectiveParlayOdds(bet, legs) {
+    const activeLegs = legs.filter(leg => leg.status !== 'void');
+    
+    if (!bet.oddsDecimal) {
+      return OddsUtils.combine(activeLegs.map(leg => leg.oddsDecimal));
+    }
+    
+    // Scale the bet's price down by each voided leg so a book-priced
+    // same-game parlay keeps its correlation adjustment
+    const voidFactor = legs
+      .filter(leg => leg.status === 'void')
+      .reduce((factor, leg) => factor / leg.oddsDecimal, 1);
+    
+    return Math.max(1, Math.round(bet.oddsDecimal * voidFactor * 10000) / 10000);
+  }
+  
+  /**
+   * Edit any field of a bet, pending or settled. Settled bets can be put back
+   * to pending. The balance moves by the difference between the bet's old and
+   * new effect on it, and every edit is kept in the bet's history.
+   */
+  async updateBet(userId, betId, changes) {
+    try {
+      const note = changes.note ? String(changes.note).trim() : '';
+      
+      // The bet is read under a lock and the edit worked out from that read, so a
+      // concurrent edit or settlement can't slip in between and skew the balance change
+      const result = await this.withTransaction(async (connection) => {
+        const bet = await BetModel.findById(betId, connection, true);
+        if (!bet || bet.userId !== userId) {
+          throw new AppError('Bet not found', 404, 'BET_NOT_FOUND');
+        }
+        
+        // Settling a pending bet goes through the normal settlement rules
+        if (this.isSettlement(bet, changes)) {
+          return { settlement: await this.settleBet(userId, betId, changes, connection) };
+        }
+        
+        const next = this.applyBetChanges(bet, changes);
+        const tagsChanged = next.tags.join('\n') !== (bet.tags || []).join('\n');
+        const diff = this.diffBet(bet, next);
+        
+        if (Object.keys(diff).length === 0 && !tagsChanged) {
+          return { bet, next, edit: null, balanceChange: 0 };
+        }
+        
+        if (tagsChanged) {
+          diff.tags = { from: bet.tags || [], to: next.tags };
+        }
+        
+        // A raised stake comes out of the balance like a new bet's, so it is checked the same way
+        const stakeIncrease = LedgerModel.round(next.amount - bet.amount);
+        if (stakeIncrease > 0) {
+          const account = await AccountModel.findById(bet.accountId, connection, true);
+          await this.checkStake(userId, account, { activity: 'stake', amount: stakeIncrease, date: next.date });
+        }
+        
+        const balanceChange = LedgerModel.round(this.getBalanceEffect(next) - this.getBalanceEffect(bet));
+        
+        await BetModel.update(bet.id, this.toBetColumns(diff, next), connection);
+        
+        if (tagsChanged) {
+          await BetTagModel.setForBet(bet.id, next.tags, connection);
+        }
+        
+        // Leg results no longer stand once a parlay is back to pending
+        if (bet.betType !== 'straight' && next.status === 'pending' && bet.status !== 'pending') {
+          await BetLegModel.resetStatuses(bet.id, connection);
+        }
+        
+        const ledgerEntryId = await LedgerModel.append(bet.accountId, {
+          entryType: 'correction',
+          amount: balanceChange,
+          betId: bet.id,
+          description: note ? `Bet edited - ${note}` : 'Bet edited'
+        }, connection);
+        
+        const editId = await BetEditModel.create({
+          bet_id: bet.id,
+          changes: diff,
+          balance_change: balanceChange,
+          ledger_entry_id: ledgerEntryId,
+          note
+        }, connection);
+        
+        return {
+          bet,
+          next,
+          edit: { id: editId, changes: diff, balanceChange, ledgerEntryId, note },
+          balanceChange
+        };
+      });
+      
+      if (result.settlement) {
+        return result.settlement;
       }
       
-      // Calculate balance adjustment needed
-      let balanceAdjustment = 0;
+      const { bet, next, edit, balanceChange } = result;
       
-      if (bet.status === 'pending' && !bet.isBonusBet && bet.amount > 0) {
-        // Return money to balance for pending non-bonus bets
-        balanceAdjustment = bet.amount;
-      } else if (bet.status === 'won') {
-        // Remove winnings from balance
-        balanceAdjustment = -bet.winnings;
+      if (!edit) {
+        return {
+          success: true,
+          bet,
+          edit: null,
+          balanceChange: 0,
+          message: 'No changes to save'
+        };
       }
       
-      // Delete the bet
-      const deleted = await BetModel.delete(betId);
+      return {
+        success: true,
+        bet: await BetModel.findById(bet.id),
+        edit,
+        balanceChange,
+        aggregates: await TransactionService.getAffectedAggregates(userId, [...new Set([bet.date, next.date])], true),
+        message: balanceChange === 0
+          ? 'Bet updated'
+          : `Bet updated - balance ${balanceChange > 0 ? 'increased' : 'reduced'} by $${Math.abs(balanceChange).toFixed(2)}`
+      };
       
-      if (!deleted) {
-        throw new AppError('Failed to delete bet', 500, 'BET_DELETION_FAILED');
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
       }
       
-      // Update account balance if needed
-      if (balanceAdjustment !== 0) {
-        await AccountModel.updateBalance(bet.accountId, balanceAdjustment);
+      throw new AppError('Failed to update bet', 500, 'BET_UPDATE_FAILED');
+    }
+  }
+  
+  /**
+   * Edit history of a bet, newest first
+   */
+  async getBetHistory(userId, betId) {
+    try {
+      const bet = await BetModel.findById(betId);
+      if (!bet || bet.userId !== userId) {
+        throw new AppError('Bet not found', 404, 'BET_NOT_FOUND');
       }
       
       return {
         success: true,
-        message: 'Bet deleted successfully',
-        balanceAdjustment
+        betId: bet.id,
+        edits: await BetEditModel.findByBetId(bet.id)
       };
       
     } catch (error) {
@@ -229,10 +631,205 @@ class BetService {
         throw error;
       }
       
-      throw new AppError('Failed to delete bet', 500, 'BET_DELETION_FAILED');
+      throw new AppError('Failed to fetch bet history', 500, 'BET_HISTORY_FETCH_FAILED');
     }
   }
   
+  /**
+   * Whether an update only settles a pending bet (status, winnings or leg results)
+   */
+  isSettlement(bet, changes) {
+    if (bet.status !== 'pending') {
+      return false;
+    }
+    
+    if (changes.legs) {
+      return true;
+    }
+    
+    const settlementKeys = ['status', 'winnings'];
+    return changes.status !== undefined && changes.status !== 'pending' &&
+      Object.keys(changes).every(key => settlementKeys.includes(key) || changes[key] === undefined);
+  }
+  
+  /**
+   * Work out a bet's new state from the requested changes
+   */
+  applyBetChanges(bet, changes) {
+    const has = (key) => changes[key] !== undefined;
+    const next = {
+      ...bet,
+      tags: bet.tags || []
+    };
+    
+    // Stake - bonus bets risk nothing, so the stake lives in the display amount
+    next.isBonusBet = has('isBonusBet') ? Boolean(changes.isBonusBet) : bet.isBonusBet;
+    const currentStake = bet.isBonusBet ? bet.displayAmount : bet.amount;
+    const stake = has('amount') ? parseFloat(changes.amount) : currentStake;
+    
+    if (isNaN(stake) || stake <= 0) {
+      throw new AppError('Invalid bet amount', 400, 'INVALID_BET_AMOUNT');
+    }
+    
+    next.amount = next.isBonusBet ? 0 : stake;
+    next.displayAmount = has('amount') || next.isBonusBet !== bet.isBonusBet ? stake : bet.displayAmount;
+    
+    if (has('odds')) {
+      const odds = this.parseOdds(changes.odds, changes.oddsFormat || null);
+      next.oddsDecimal = odds ? odds.decimal : null;
+      next.oddsFormat = odds ? odds.format : null;
+    } else if (has('oddsFormat') && bet.oddsDecimal) {
+      if (!OddsUtils.validFormats.includes(changes.oddsFormat)) {
+        throw new AppError(`Odds format must be one of: ${OddsUtils.validFormats.join(', ')}`, 400, 'INVALID_ODDS');
+      }
+      next.oddsFormat = changes.oddsFormat;
+    }
+    
+    if (has('closingOdds')) {
+      next.closingOddsDecimal = this.parseClosingOdds(changes.closingOdds, changes.oddsFormat);
+    }
+    
+    if (has('closingOpposingOdds')) {
+      next.closingOpposingOddsDecimal = this.parseClosingOdds(changes.closingOpposingOdds, changes.oddsFormat, 'opposing closing odds');
+    }
+    
+    if (has('description')) {
+      next.description = String(changes.description || '').trim();
+    }
+    
+    if (['sport', 'league', 'marketType', 'tags'].some(has)) {
+      const metadata = this.parseMetadata({
+        sport: has('sport') ? changes.sport : bet.sport,
+        league: has('league') ? changes.league : bet.league,
+        marketType: has('marketType') ? changes.marketType : bet.marketType,
+        tags: has('tags') ? changes.tags : next.tags
+      });
+      next.sport = metadata.sport;
+      next.league = metadata.league;
+      next.marketType = metadata.market_type;
+      next.tags = metadata.tags;
+    }
+    
+    // Re-dating keeps the existing time unless a new one is given
+    if (has('date') || has('time')) {
+      const dateError = DateUtils.validate(changes.date, changes.time);
+      if (dateError) {
+        throw new AppError(dateError, 400, 'INVALID_DATE');
+      }
+      
+      const dateGiven = !DateUtils.isBlank(changes.date);
+      next.date = dateGiven ? DateUtils.parseDate(changes.date) : bet.date;
+      
+      let time = has('time') ? DateUtils.parseTime(changes.time) : null;
+      if (!has('time')) {
+        time = (dateGiven && DateUtils.timeFromDate(changes.date)) || DateUtils.parseTime(bet.time);
+      }
+      next.time = DateUtils.formatTime(time);
+    }
+    
+    if (has('status')) {
+      if (!BetModel.validStatuses.includes(changes.status)) {
+        throw new AppError('Invalid bet status', 400, 'INVALID_SETTLEMENT_STATUS');
+      }
+      next.status = changes.status;
+    }
+    
+    next.winnings = this.resolveEditedWinnings(bet, next, changes);
+    
+    return next;
+  }
+  
+  /**
+   * Winnings for an edited bet. Recorded payouts are kept unless the outcome,
+   * price or stake behind them changed or a new amount is given.
+   */
+  resolveEditedWinnings(bet, next, changes) {
+    if (!BetModel.payoutStatuses.includes(next.status)) {
+      return 0;
+    }
+    
+    const winningsGiven = !DateUtils.isBlank(changes.winnings);
+    const priceChanged = next.amount !== bet.amount || next.displayAmount !== bet.displayAmount ||
+      next.oddsDecimal !== bet.oddsDecimal || next.isBonusBet !== bet.isBonusBet;
+    
+    if (!winningsGiven && next.status === bet.status) {
+      // A cash-out is whatever the book offered, regardless of the price
+      if (next.status === 'cashout' || (next.status === 'won' && !priceChanged)) {
+        return bet.winnings;
+      }
+    }
+    
+    return this.resolveSettlementWinnings({ ...next, legs: bet.legs }, next.status, changes.winnings);
+  }
+  
+  /**
+   * Net effect a bet has had on its account balance
+   */
+  getBalanceEffect(bet) {
+    const stake = bet.isBonusBet ? 0 : bet.amount;
+    const returned = BetModel.payoutStatuses.includes(bet.status) ? bet.winnings : 0;
+    
+    return LedgerModel.round(returned - stake);
+  }
+  
+  /**
+   * Fields that differ between a bet and its edited state, as { field: { from, to } }
+   */
+  diffBet(bet, next) {
+    const fields = [
+      'amount', 'displayAmount', 'isBonusBet', 'oddsDecimal', 'oddsFormat', 'closingOddsDecimal',
+      'closingOpposingOddsDecimal', 'description', 'sport', 'league', 'marketType', 'date', 'time', 'status', 'winnings'
+    ];
+    
+    return fields.reduce((diff, field) => {
+      const from = bet[field] === undefined ? null : bet[field];
+      const to = next[field] === undefined ? null : next[field];
+      
+      if (from !== to) {
+        diff[field] = { from, to };
+      }
+      
+      return diff;
+    }, {});
+  }
+  
+  /**
+   * Map changed bet fields to their columns
+   */
+  toBetColumns(diff, next) {
+    const columns = {
+      amount: 'amount',
+      displayAmount: 'display_amount',
+      isBonusBet: 'is_bonus_bet',
+      oddsDecimal: 'odds_decimal',
+      oddsFormat: 'odds_format',
+      closingOddsDecimal: 'closing_odds_decimal',
+      closingOpposingOddsDecimal: 'closing_opposing_odds_decimal',
+      description: 'description',
+      sport: 'sport',
+      league: 'league',
+      marketType: 'market_type',
+      date: 'bet_date',
+      time: 'bet_time',
+      status: 'status',
+      winnings: 'winnings'
+    };
+    
+    return Object.keys(diff).reduce((data, field) => {
+      if (columns[field]) {
+        data[columns[field]] = field === 'time' ? DateUtils.parseTime(next.time) : next[field];
+      }
+      return data;
+    }, {});
+  }
+  
+  /**
+   * Delete a bet. It goes to the trash and can be restored until it expires.
+   */
+  async deleteBet(userId, betId) {
+    return TrashService.trashBet(userId, betId);
+  }
+  
   /**
    * Get betting statistics
    */
@@ -240,9 +837,28 @@ class BetService {
     try {
       const stats = await BetModel.getStatsByUserId(userId, options);
       
+      const breakdowns = {};
+      for (const dimension of Object.keys(BetModel.breakdownDimensions)) {
+        breakdowns[dimension] = await BetModel.getBreakdownByUserId(userId, dimension, options);
+      }
+      
+      const clv = {};
+      for (const dimension of Object.keys(BetModel.clvDimensions)) {
+        clv[dimension] = await BetModel.getClvByUserId(userId, dimension, options);
+      }
+      
+      stats.significance = this.analyzeSignificance(await BetModel.getSettledResults(userId, options));
+      
       // Enhance with additional insights and analysis
       const enhancedStats = {
         ...stats,
+        breakdowns,
+        clv: {
+          summary: this.summarizeClv(clv.month),
+          byAccount: clv.account,
+          bySport: clv.sport,
+          byMonth: clv.month
+        },
         insights: this.generateBettingInsights(stats),
         performance: this.analyzeBettingPerformance(stats),
         recommendations: this.generateBettingRecommendations(stats)
@@ -258,6 +874,80 @@ class BetService {
     }
   }
   
+  /**
+   * How far settled results stand out from luck. Won and lost bets with odds
+   * are compared with the wins needed to break even at those odds, and the
+   * spread of per-bet profit gives an approximate 95% confidence interval on ROI.
+   */
+  analyzeSignificance(results) {
+    const graded = results.filter(result => ['won', 'lost'].includes(result.status) && result.oddsDecimal);
+    const breakEven = graded.map(result => OddsUtils.impliedProbability(result.oddsDecimal));
+    
+    const actualWins = graded.filter(result => result.status === 'won').length;
+    const expectedWins = breakEven.reduce((sum, probability) => sum + probability, 0);
+    const winVariance = breakEven.reduce((sum, probability) => sum + probability * (1 - probability), 0);
+    const zScore = winVariance > 0 ? (actualWins - expectedWins) / Math.sqrt(winVariance) : null;
+    const pValue = zScore !== null ? StatisticsUtils.pValue(zScore) : null;
+    
+    const profits = results.map(result => result.profit);
+    const meanProfit = StatisticsUtils.mean(profits);
+    const meanStake = StatisticsUtils.mean(results.map(result => result.stake));
+    const profitStdDev = StatisticsUtils.standardDeviation(profits);
+    const margin = results.length > 1 ? StatisticsUtils.z95 * profitStdDev / Math.sqrt(results.length) : null;
+    
+    let level = 'significant';
+    let message;
+    
+    if (graded.length < this.minSignificantSample || pValue === null) {
+      level = 'insufficient-data';
+      message = `Not yet statistically meaningful - ${graded.length} won or lost bet(s) with odds, at least ${this.minSignificantSample} needed`;
+    } else if (pValue >= this.significanceLevel) {
+      level = 'not-significant';
+      message = `Not yet statistically meaningful - results over ${graded.length} bets are within what luck alone produces (p = ${pValue.toFixed(2)})`;
+    } else {
+      message = `Statistically meaningful - ${actualWins} wins against ${expectedWins.toFixed(1)} needed to break even (p = ${pValue.toFixed(3)})`;
+    }
+    
+    return {
+      level,
+      meaningful: level === 'significant',
+      message,
+      gradedBetsWithOdds: graded.length,
+      actualWins,
+      expectedWins: parseFloat(expectedWins.toFixed(2)),
+      zScore: zScore !== null ? parseFloat(zScore.toFixed(3)) : null,
+      pValue: pValue !== null ? parseFloat(pValue.toFixed(4)) : null,
+      settledBets: results.length,
+      meanProfit: LedgerModel.round(meanProfit),
+      profitStdDev: LedgerModel.round(profitStdDev),
+      roiInterval: margin !== null && meanStake > 0
+        ? {
+          confidence: 95,
+          lower: this.toPercent((meanProfit - margin) / meanStake),
+          upper: this.toPercent((meanProfit + margin) / meanStake)
+        }
+        : null
+    };
+  }
+  
+  /**
+   * Overall closing line value, weighting each group's averages by its bets
+   */
+  summarizeClv(groups) {
+    const trackedBets = groups.reduce((sum, group) => sum + group.trackedBets, 0);
+    const weighted = (field) => trackedBets > 0
+      ? parseFloat((groups.reduce((sum, group) => sum + group[field] * group.trackedBets, 0) / trackedBets).toFixed(2))
+      : 0;
+    
+    return {
+      trackedBets,
+      noVigBets: groups.reduce((sum, group) => sum + group.noVigBets, 0),
+      beatCloseRate: weighted('beatCloseRate'),
+      avgClv: weighted('avgClv'),
+      avgProbabilityEdge: weighted('avgProbabilityEdge')
+    };
+  }
+  
   /**
    * Get pending bets
    */
@@ -291,6 +981,141 @@ class BetService {
     }
   }
   
+  /**
+   * Cumulative profit and loss of settled bets across all accounts, per day
+   * or per bet, with every drawdown along the way. The curve starts from an
+   * optional starting bankroll so drawdowns can also be read as a percentage.
+   */
+  async getEquityCurve(userId, options = {}) {
+    try {
+      const { interval = 'day', startingBankroll = 0, ...filters } = options;
+      const results = await BetModel.getSettledResults(userId, filters);
+      const points = interval === 'bet' ? results : this.groupResultsByDay(results);
+      
+      let cumulativeProfit = 0;
+      let peak = startingBankroll;
+      
+      const series = points.map(point => {
+        cumulativeProfit = LedgerModel.round(cumulativeProfit + point.profit);
+        const bankroll = LedgerModel.round(startingBankroll + cumulativeProfit);
+        peak = Math.max(peak, bankroll);
+        const drawdown = LedgerModel.round(peak - bankroll);
+        
+        return {
+          ...point,
+          cumulativeProfit,
+          bankroll,
+          drawdown,
+          drawdownPercent: peak > 0 ? this.toPercent(drawdown / peak) : null
+        };
+      });
+      
+      const drawdowns = this.findDrawdowns(series, startingBankroll);
+      const deepest = drawdowns.reduce((max, event) => (!max || event.depth > max.depth ? event : max), null);
+      const last = series[series.length - 1];
+      
+      return {
+        success: true,
+        interval,
+        startingBankroll,
+        points: series,
+        drawdowns,
+        summary: {
+          settledBets: results.length,
+          totalProfit: cumulativeProfit,
+          finalBankroll: last ? last.bankroll : startingBankroll,
+          peakBankroll: peak,
+          maxDrawdown: deepest,
+          longestDrawdownDays: drawdowns.reduce((max, event) => Math.max(max, event.durationDays), 0),
+          currentDrawdown: last ? last.drawdown : 0,
+          inDrawdown: Boolean(last && last.drawdown > 0)
+        }
+      };
+      
+    } catch (error) {
+      throw new AppError('Failed to build equity curve', 500, 'EQUITY_CURVE_FAILED');
+    }
+  }
+  
+  /**
+   * Net profit of settled bets for each day that had any
+   */
+  groupResultsByDay(results) {
+    const days = [];
+    
+    results.forEach(result => {
+      const day = days[days.length - 1];
+      
+      if (day && day.date === result.date) {
+        day.profit = LedgerModel.round(day.profit + result.profit);
+        day.bets++;
+      } else {
+        days.push({ date: result.date, profit: LedgerModel.round(result.profit), bets: 1 });
+      }
+    });
+    
+    return days;
+  }
+  
+  /**
+   * Peak-to-trough drawdowns of an equity series, oldest first. A drawdown
+   * starts when the bankroll falls below its running peak and ends once the
+   * bankroll is back at that peak; one still open has no recovery date.
+   */
+  findDrawdowns(series, startingBankroll) {
+    if (series.length === 0) {
+      return [];
+    }
+    
+    const events = [];
+    let peak = { date: series[0].date, value: startingBankroll };
+    let current = null;
+    
+    series.forEach(point => {
+      if (point.bankroll >= peak.value) {
+        if (current) {
+          events.push({ ...current, recoveryDate: point.date });
+          current = null;
+        }
+        peak = { date: point.date, value: point.bankroll };
+        return;
+      }
+      
+      if (!current) {
+        current = { peakDate: peak.date, peakValue: peak.value, troughDate: point.date, troughValue: point.bankroll };
+      } else if (point.bankroll < current.troughValue) {
+        current.troughDate = point.date;
+        current.troughValue = point.bankroll;
+      }
+    });
+    
+    if (current) {
+      events.push({ ...current, recoveryDate: null });
+    }
+    
+    const lastDate = series[series.length - 1].date;
+    
+    return events.map(event => {
+      const depth = LedgerModel.round(event.peakValue - event.troughValue);
+      
+      return {
+        ...event,
+        depth,
+        depthPercent: event.peakValue > 0 ? this.toPercent(depth / event.peakValue) : null,
+        durationDays: DateUtils.daysBetween(event.peakDate, event.recoveryDate || lastDate),
+        recoveryDays: event.recoveryDate ? DateUtils.daysBetween(event.troughDate, event.recoveryDate) : null,
+        recovered: Boolean(event.recoveryDate)
+      };
+    });
+  }
+  
+  /**
+   * Express a ratio as a percentage rounded to two places
+   */
+  toPercent(ratio) {
+    return parseFloat((ratio * 100).toFixed(2));
+  }
+  
   /**
    * Get betting streak information
    */
@@ -316,40 +1141,53 @@ class BetService {
   }
   
   /**
-   * Bulk create bets
+   * Bulk create bets, pending or already settled. Nothing is saved unless
+   * every bet is valid, and the bets are written with their stake and payout
+   * ledger entries in one transaction.
    */
   async bulkCreateBets(userId, betsData) {
     try {
       // Validate all bets first
       const validatedBets = [];
-      const errors = [];
+      const errors = {};
       
       for (let i = 0; i < betsData.length; i++) {
         try {
           const validated = await this.validateBulkBet(userId, betsData[i], i);
           validatedBets.push(validated);
         } catch (error) {
-          errors.push({
-            index: i,
-            error: error.message,
-            data: betsData[i]
-          });
+          errors[`bets[${i}]`] = { message: error.message, value: betsData[i] };
         }
       }
       
-      if (errors.length > 0) {
-        throw new AppError('Validation errors in bulk bet data', 400, 'BULK_VALIDATION_FAILED', errors);
+      if (Object.keys(errors).length > 0) {
+        throw new ValidationError('Validation errors in bulk bet data', errors);
       }
       
-      // Create all bets
-      const results = await BetModel.bulkCreate(validatedBets);
-      
-      // Update account balances for non-bonus bets
-      await this.updateAccountBalancesForBulkBets(validatedBets);
+      // Bets are held to the gambling limits in order, on top of each other. Settled
+      // bets count their net loss, as they already have a result.
+      const limitWarnings = await LimitService.enforceBatch(userId, validatedBets.map((bet, index) => ({
+        label: `Bet ${index + 1}`,
+        accountId: bet.account_id,
+        activity: 'bet',
+        amount: bet.amount - bet.winnings,
+        date: bet.bet_date
+      })));
+      
+      const results = await this.withTransaction(async (connection) => {
+        const created = await BetModel.bulkCreate(validatedBets, connection);
+        
+        // Record each bet's stake and anything it paid out in its account's ledger
+        await this.updateAccountBalancesForBulkBets(created, connection);
+        
+        return created;
+      });
       
       return {
         success: true,
         bets: results,
+        limitWarnings,
+        aggregates: await TransactionService.getAffectedAggregates(userId, results.map(bet => bet.bet_date), true),
         message: `Successfully created ${results.length} bets`
       };
       
@@ -400,6 +1238,19 @@ class BetService {
         type: 'profit',
         percentage: bet.amount > 0 ? ((bet.winnings - bet.amount) / bet.amount) * 100 : 0
       };
+    } else if (bet.status === 'cashout') {
+      const amount = bet.winnings - bet.amount;
+      return {
+        amount,
+        type: amount >= 0 ? 'profit' : 'loss',
+        percentage: bet.amount > 0 ? (amount / bet.amount) * 100 : 0
+      };
+    } else if (BetModel.refundStatuses.includes(bet.status)) {
+      return {
+        amount: 0,
+        type: 'refund',
+        percentage: 0
+      };
     } else if (bet.status === 'lost') {
       return {
         amount: -bet.amount,
@@ -420,21 +1271,141 @@ class BetService {
    */
   calculatePotentialPayout(bet) {
     if (bet.status !== 'pending') {
-      return bet.status === 'won' ? bet.winnings : 0;
+      return BetModel.payoutStatuses.includes(bet.status) ? bet.winnings : 0;
+    }
+    
+    return this.calculateOddsPayout(bet);
+  }
+  
+  /**
+   * Calculate the total payout a bet returns if it wins at its stored odds
+   */
+  calculateOddsPayout(bet) {
+    const odds = bet.legs && bet.legs.length > 0
+      ? this.getEffectiveParlayOdds(bet, bet.legs)
+      : bet.oddsDecimal;
+    
+    if (!odds) {
+      return 0;
+    }
+    
+    // Bonus bets store no real stake, so the payout is based on the display amount
+    const stake = bet.isBonusBet ? bet.displayAmount : bet.amount;
+    return OddsUtils.calculatePayout(stake, odds, bet.isBonusBet);
+  }
+  
+  /**
+   * Parse user-supplied odds, throwing when they are not a valid price
+   */
+  parseOdds(odds, oddsFormat = null) {
+    if (odds === undefined || odds === null || odds === '') {
+      return null;
+    }
+    
+    const normalized = OddsUtils.normalize(odds, oddsFormat);
+    if (!normalized) {
+      throw new AppError(`Invalid odds: ${odds}`, 400, 'INVALID_ODDS');
+    }
+    
+    return normalized;
+  }
+  
+  /**
+   * Parse a closing price to decimal odds, or null when none is given
+   */
+  parseClosingOdds(odds, oddsFormat = null, label = 'closing odds') {
+    if (DateUtils.isBlank(odds)) {
+      return null;
+    }
+    
+    const normalized = OddsUtils.normalize(odds, oddsFormat || null);
+    if (!normalized) {
+      throw new AppError(`Invalid ${label}: ${odds}`, 400, 'INVALID_ODDS');
+    }
+    
+    return normalized.decimal;
+  }
+  
+  /**
+   * Validate and normalise sport, league, market type and tags
+   */
+  parseMetadata({ sport, league, marketType, tags }) {
+    const metadata = {
+      sport: sport ? String(sport).trim() || null : null,
+      league: league ? String(league).trim() || null : null,
+      market_type: marketType || null,
+      tags: BetTagModel.normalize(tags)
+    };
+    
+    if (metadata.market_type && !BetModel.validMarketTypes.includes(metadata.market_type)) {
+      throw new AppError(`Market type must be one of: ${BetModel.validMarketTypes.join(', ')}`, 400, 'INVALID_BET_METADATA');
+    }
+    
+    if ((metadata.sport && metadata.sport.length > 50) || (metadata.league && metadata.league.length > 50)) {
+      throw new AppError('Sport and league must be no more than 50 characters', 400, 'INVALID_BET_METADATA');
+    }
+    
+    if (metadata.tags.length > BetTagModel.maxTagsPerBet) {
+      throw new AppError(`A bet can have at most ${BetTagModel.maxTagsPerBet} tags`, 400, 'INVALID_BET_METADATA');
     }
     
-    // For pending bets, we don't know the odds, so we can't calculate potential payout
-    // This would need additional data like odds to be meaningful
-    return 0;
+    if (metadata.tags.some(tag => tag.length > BetTagModel.maxTagLength)) {
+      throw new AppError(`Tags must be no more than ${BetTagModel.maxTagLength} characters`, 400, 'INVALID_BET_METADATA');
+    }
+    
+    return metadata;
   }
   
   /**
-   * Assess bet risk level
+   * Validate and normalise the legs of a parlay, or return null for straight bets
+   */
+  parseParlay(betType, legs) {
+    if ((!betType || betType === 'straight') && (!legs || legs.length === 0)) {
+      return null;
+    }
+    
+    const type = betType || 'parlay';
+    if (!['parlay', 'sgp'].includes(type)) {
+      throw new AppError('Bets with legs must be a parlay or sgp', 400, 'INVALID_BET_TYPE');
+    }
+    
+    if (!Array.isArray(legs) || legs.length < 2) {
+      throw new AppError('A parlay needs at least two legs', 400, 'INVALID_PARLAY');
+    }
+    
+    return {
+      betType: type,
+      legs: legs.map((leg, index) => {
+        if (!leg.selection || !String(leg.selection).trim()) {
+          throw new AppError(`Leg ${index + 1} needs a selection`, 400, 'INVALID_LEG');
+        }
+        
+        const legOdds = OddsUtils.normalize(leg.odds, leg.oddsFormat || null);
+        if (!legOdds) {
+          throw new AppError(`Leg ${index + 1} has invalid odds: ${leg.odds}`, 400, 'INVALID_LEG');
+        }
+        
+        return {
+          selection: String(leg.selection).trim(),
+          odds_decimal: legOdds.decimal,
+          odds_format: legOdds.format
+        };
+      })
+    };
+  }
+  
+  /**
+   * Assess bet risk level from the share of the bankroll staked. Bets
+   * recorded before stakes were sized against the bankroll fall back to
+   * fixed dollar bands.
    */
   assessBetRisk(bet) {
     const amount = bet.amount;
     
     if (bet.isBonusBet) return 'none';
+    if (bet.bankrollPercent !== null && bet.bankrollPercent !== undefined) {
+      return BankrollService.riskLevelFor(bet.bankrollPercent);
+    }
     if (amount < 10) return 'low';
     if (amount < 50) return 'medium';
     if (amount < 200) return 'high';
@@ -476,7 +1447,9 @@ class BetService {
     }
     
     const riskLevel = this.assessBetRisk(bet);
-    if (riskLevel === 'very-high') {
+    if (bet.overStakeLimit) {
+      insights.push(`Staked ${bet.bankrollPercent}% of the bankroll - above the account's maximum stake`);
+    } else if (riskLevel === 'very-high') {
       insights.push('High-risk bet - consider stake management');
     }
     
@@ -510,7 +1483,7 @@ class BetService {
       roi: 0
     };
     
-    if (status === 'won') {
+    if (BetModel.payoutStatuses.includes(status)) {
       summary.netResult = summary.winnings - bet.amount;
       summary.roi = bet.amount > 0 ? (summary.netResult / bet.amount) * 100 : 0;
     } else if (status === 'lost') {
@@ -526,24 +1499,34 @@ class BetService {
    */
   generateBettingInsights(stats) {
     const insights = [];
-    const { summary } = stats;
+    const { summary, significance } = stats;
     
-    // Win rate insights
-    if (summary.winRate > 60) {
-      insights.push('Excellent win rate - you\'re beating the odds consistently');
-    } else if (summary.winRate > 55) {
-      insights.push('Good win rate - above average performance');
-    } else if (summary.winRate < 45) {
-      insights.push('Below average win rate - consider strategy review');
+    // Small samples say little either way, so hold back verdicts until results stand out from luck
+    if (significance && !significance.meaningful) {
+      insights.push(significance.message);
+    } else {
+      // Win rate insights
+      if (summary.winRate > 60) {
+        insights.push('Excellent win rate - you\'re beating the odds consistently');
+      } else if (summary.winRate > 55) {
+        insights.push('Good win rate - above average performance');
+      } else if (summary.winRate < 45) {
+        insights.push('Below average win rate - consider strategy review');
+      }
+      
+      // ROI insights
+      if (summary.roi > 15) {
+        insights.push('Outstanding ROI - exceptional betting performance');
+      } else if (summary.roi > 5) {
+        insights.push('Solid ROI - profitable betting strategy');
+      } else if (summary.roi < -10) {
+        insights.push('Concerning ROI - significant losses detected');
+      }
     }
     
-    // ROI insights
-    if (summary.roi > 15) {
-      insights.push('Outstanding ROI - exceptional betting performance');
-    } else if (summary.roi > 5) {
-      insights.push('Solid ROI - profitable betting strategy');
-    } else if (summary.roi < -10) {
-      insights.push('Concerning ROI - significant losses detected');
+    if (significance && significance.roiInterval) {
+      const { lower, upper } = significance.roiInterval;
+      insights.push(`True ROI is likely between ${lower.toFixed(1)}% and ${upper.toFixed(1)}% (95% confidence)`);
     }
     
     // Volume insights
@@ -650,6 +1633,10 @@ class BetService {
       performance.overallAssessment = 'Poor performance - significant improvements required';
     }
     
+    if (stats.significance && !stats.significance.meaningful) {
+      performance.overallAssessment += ' (not yet statistically meaningful)';
+    }
+    
     return performance;
   }
   
@@ -688,6 +1675,14 @@ class BetService {
     }
     
     // Volume recommendations
+    if (stats.significance && stats.significance.level === 'insufficient-data') {
+      recommendations.push({
+        category: 'activity',
+        priority: 'low',
+        message: 'Record odds on your bets so results can be tested against break-even'
+      });
+    }
+    
     if (summary.totalBets < 20) {
       recommendations.push({
         category: 'activity',
@@ -775,7 +1770,7 @@ class BetService {
    * Validate bulk bet data
    */
   async validateBulkBet(userId, betData, index) {
-    const { account_key, amount, display_amount, description, is_bonus_bet, status = 'pending' } = betData;
+    const { account_key, amount, display_amount, odds, odds_format, description, is_bonus_bet, status = 'pending' } = betData;
     
     // Validate required fields
     if (!account_key || amount === undefined) {
@@ -787,6 +1782,9 @@ class BetService {
     if (!account) {
       throw new Error(`Account '${account_key}' not found at index ${index}`);
     }
+    if (account.archivedAt) {
+      throw new Error(`Account '${account_key}' is archived at index ${index}`);
+    }
     
     // Validate amounts
     const betAmount = parseFloat(amount);
@@ -800,47 +1798,82 @@ class BetService {
       throw new Error(`Invalid display amount at index ${index}`);
     }
     
+    const dateError = DateUtils.validate(betData.bet_date, betData.bet_time);
+    if (dateError) {
+      throw new Error(`${dateError} at index ${index}`);
+    }
+    const entryDate = DateUtils.resolve(betData.bet_date, betData.bet_time);
+    
     // Validate status
     if (!['pending', 'won', 'lost'].includes(status)) {
       throw new Error(`Invalid bet status at index ${index}`);
     }
     
+    const normalizedOdds = odds ? OddsUtils.normalize(odds, odds_format) : null;
+    if (odds && !normalizedOdds) {
+      throw new Error(`Invalid odds at index ${index}`);
+    }
+    
+    // Settled bets are paid what was given, or at their odds when nothing was
+    let winnings = 0;
+    try {
+      winnings = status === 'pending' ? 0 : this.resolveSettlementWinnings({
+        amount: is_bonus_bet ? 0 : betAmount,
+        displayAmount: betDisplayAmount,
+        oddsDecimal: normalizedOdds ? normalizedOdds.decimal : null,
+        isBonusBet: Boolean(is_bonus_bet)
+      }, status, betData.winnings);
+    } catch (error) {
+      throw new Error(`${error.message} at index ${index}`);
+    }
+    
+    let metadata;
+    try {
+      metadata = this.parseMetadata({
+        sport: betData.sport,
+        league: betData.league,
+        marketType: betData.market_type,
+        tags: betData.tags
+      });
+    } catch (error) {
+      throw new Error(`${error.message} at index ${index}`);
+    }
+    
     return {
       account_id: account.id,
       account_key,
       amount: is_bonus_bet ? 0 : betAmount,
       display_amount: betDisplayAmount,
+      odds_decimal: normalizedOdds ? normalizedOdds.decimal : null,
+      odds_format: normalizedOdds ? normalizedOdds.format : null,
       description: description || '',
-      bet_date: new Date(),
+      ...metadata,
+      bet_date: entryDate.date,
+      bet_time: entryDate.time,
       is_bonus_bet: Boolean(is_bonus_bet),
-      status
+      status,
+      winnings
     };
   }
   
   /**
-   * Update account balances for bulk bets
+   * Update account balances for bulk bets, with a stake and a payout ledger entry per bet
    */
-  async updateAccountBalancesForBulkBets(bets) {
-    // Group bets by account
-    const accountUpdates = {};
-    
-    bets.forEach(bet => {
-      const accountId = bet.account_id;
-      if (!accountUpdates[accountId]) {
-        accountUpdates[accountId] = 0;
-      }
-      
-      // Only subtract balance for non-bonus bets
-      if (!bet.is_bonus_bet && bet.amount > 0) {
-        accountUpdates[accountId] -= bet.amount;
-      }
-    });
-    
-    // Update each account
-    for (const [accountId, balanceChange] of Object.entries(accountUpdates)) {
-      if (balanceChange !== 0) {
-        await AccountModel.updateBalance(parseInt(accountId), balanceChange);
-      }
+  async updateAccountBalancesForBulkBets(bets, connection = null) {
+    for (const bet of bets) {
+      const description = bet.description || 'Bulk bet import';
+      
+      await AccountModel.updateBalance(bet.account_id, -bet.amount, {
+        entryType: 'bet-stake',
+        betId: bet.id,
+        description
+      }, connection);
+      
+      await AccountModel.updateBalance(bet.account_id, bet.winnings, {
+        entryType: 'bet-payout',
+        betId: bet.id,
+        description: `${description} (${bet.status})`
+      }, connection);
     }
   }
   
@@ -871,6 +1904,9 @@ class BetService {
         
         if (status === 'won') {
           dayWins += statusData.count;
+        }
+        
+        if (BetModel.payoutStatuses.includes(status)) {
           dayProfit += (statusData.totalWinnings - statusData.totalAmount);
         } else if (status === 'lost') {
           dayProfit -= statusData.totalAmount;
@@ -956,7 +1992,7 @@ class BetService {
       
       const totalWagered = dayBets.reduce((sum, bet) => sum + bet.amount, 0);
       const totalWinnings = dayBets
-        .filter(bet => bet.status === 'won')
+        .filter(bet => BetModel.payoutStatuses.includes(bet.status))
         .reduce((sum, bet) => sum + bet.winnings, 0);
       
       const netProfit = totalWinnings - totalWagered;
@@ -996,6 +2032,47 @@ class BetService {
       'Risk Level': this.assessBetRisk(bet)
     }));
   }
+  
+  /**
+   * Check a stake coming out of an account's balance: it must be covered by
+   * the balance, a blocking limit rejects it and other limits warn. A new bet
+   * counts as a 'bet'; a raise to an existing bet's stake as a 'stake', which
+   * only counts towards loss limits. Pass the account read locked so stakes
+   * placed at the same time are checked in turn.
+   */
+  async checkStake(userId, account, { activity, amount, date }) {
+    if (amount > account.balance) {
+      throw new AppError('Insufficient balance for bet', 400, 'INSUFFICIENT_BALANCE');
+    }
+    
+    const limitWarnings = await LimitService.enforce(userId, account.id, { activity, amount, date });
+    
+    // Size the stake against the balance it comes out of; a bonus bet risks nothing
+    const bankrollCheck = amount > 0
+      ? BankrollService.assessStake(amount, account.balance, BankrollService.getRules(account))
+      : null;
+    
+    return { bankrollCheck, limitWarnings };
+  }
+  
+  /**
+   * Run work inside a database transaction
+   */
+  async withTransaction(work) {
+    const connection = await pool.getConnection();
+    
+    try {
+      await connection.beginTransaction();
+      const result = await work(connection);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
 }
 
 module.exports = new BetService();
\ No newline at end of file
@@ -0,0 +1,145 @@
+const CreditModel = require('../models/Credit.model');
+const DateUtils = require('../utils/dates');
+
+class CreditService {
+  /**
+   * A user's bonus credits and bet credit promotions with what is left of
+   * each, soonest expiry first
+   */
+  async getCredits(userId, { accountKey = null } = {}) {
+    const credits = await this.buildCredits(userId, accountKey);
+    const unused = credits.filter(credit => credit.status === 'active');
+
+    return {
+      success: true,
+      credits,
+      summary: {
+        count: unused.length,
+        totalUnused: this.round(unused.reduce((sum, credit) => sum + credit.remaining, 0))
+      }
+    };
+  }
+
+  /**
+   * Unused credit that expires within the next few days, most urgent first
+   * and the largest amounts first among credits expiring on the same day
+   */
+  async getExpiringCredits(userId, { withinDays = 7 } = {}) {
+    const credits = (await this.buildCredits(userId))
+      .filter(credit => credit.status === 'active' && credit.daysLeft !== null && credit.daysLeft <= withinDays)
+      .sort((a, b) => a.daysLeft - b.daysLeft || b.remaining - a.remaining);
+
+    return {
+      success: true,
+      credits,
+      summary: {
+        withinDays,
+        count: credits.length,
+        totalUnused: this.round(credits.reduce((sum, credit) => sum + credit.remaining, 0))
+      }
+    };
+  }
+
+  /**
+   * Work out what is left of each credit. A bet credit promotion is used up
+   * by the bonus bets placed with it. Other bonus bets use up the bonus
+   * credits on their account that were available when they were placed,
+   * the one expiring soonest first.
+   */
+  async buildCredits(userId, accountKey = null) {
+    const [bonusCredits, bonusBets, promotions] = await Promise.all([
+      CreditModel.getBonusCredits(userId, accountKey),
+      CreditModel.getUnlinkedBonusBets(userId, accountKey),
+      CreditModel.getBetCreditPromotions(userId, accountKey)
+    ]);
+
+    const remaining = new Map(bonusCredits.map(credit => [credit.id, credit.amount]));
+
+    bonusBets.forEach(bet => {
+      let stake = bet.stake;
+      const available = bonusCredits
+        .filter(credit =>
+          credit.accountId === bet.accountId &&
+          remaining.get(credit.id) > 0 &&
+          credit.grantedOn <= bet.betDate &&
+          (!credit.expiresOn || credit.expiresOn >= bet.betDate))
+        .sort((a, b) => this.compareExpiry(a.expiresOn, b.expiresOn));
+
+      for (const credit of available) {
+        if (stake <= 0) break;
+        const used = Math.min(stake, remaining.get(credit.id));
+        remaining.set(credit.id, remaining.get(credit.id) - used);
+        stake -= used;
+      }
+    });
+
+    const today = DateUtils.today();
+
+    return [
+      ...bonusCredits.map(credit => this.formatCredit({
+        kind: 'bonus-credit',
+        id: credit.id,
+        accountKey: credit.accountKey,
+        accountName: credit.accountName,
+        name: credit.description || 'Bonus credit',
+        amount: credit.amount,
+        remaining: remaining.get(credit.id),
+        promotionId: credit.promotionId,
+        grantedOn: credit.grantedOn,
+        expiresOn: credit.expiresOn
+      }, today)),
+      ...promotions.map(promotion => this.formatCredit({
+        kind: 'promotion',
+        id: promotion.id,
+        accountKey: promotion.accountKey,
+        accountName: promotion.accountName,
+        name: promotion.name,
+        amount: promotion.amount,
+        remaining: Math.max(0, promotion.amount - promotion.used),
+        promotionId: promotion.id,
+        grantedOn: promotion.grantedOn,
+        expiresOn: promotion.expiresOn
+      }, today))
+    ].sort((a, b) => this.compareExpiry(a.expiresOn, b.expiresOn) || a.grantedOn.localeCompare(b.grantedOn));
+  }
+
+  /**
+   * Add what has been used, the days left before expiry and whether the
+   * credit can still be bet with
+   */
+  formatCredit(credit, today) {
+    const remaining = this.round(credit.remaining);
+    const daysLeft = credit.expiresOn ? DateUtils.daysBetween(today, credit.expiresOn) : null;
+    let status = 'active';
+
+    if (remaining <= 0) {
+      status = 'used';
+    } else if (daysLeft !== null && daysLeft < 0) {
+      status = 'expired';
+    }
+
+    return {
+      ...credit,
+      used: this.round(credit.amount - remaining),
+      remaining,
+      daysLeft,
+      status
+    };
+  }
+
+  /**
+   * Order expiry dates soonest first, with credits that never expire last
+   */
+  compareExpiry(a, b) {
+    if (a === b) return 0;
+    if (!a) return 1;
+    if (!b) return -1;
+    return a.localeCompare(b);
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new CreditService();
@@ -0,0 +1,221 @@
+const ExchangeRateModel = require('../models/ExchangeRate.model');
+const AccountModel = require('../models/Account.model');
+const CurrencyUtils = require('../utils/currency');
+const DateUtils = require('../utils/dates');
+const Helpers = require('../utils/helpers');
+const { AppError } = require('../middleware/error.middleware');
+
+class CurrencyService {
+  constructor() {
+    // Most rows a rates file can hold
+    this.maxImportRows = 5000;
+    this.headerAliases = {
+      date: 'date',
+      ratedate: 'date',
+      from: 'fromCurrency',
+      fromcurrency: 'fromCurrency',
+      currency: 'fromCurrency',
+      to: 'toCurrency',
+      tocurrency: 'toCurrency',
+      quote: 'toCurrency',
+      rate: 'rate'
+    };
+  }
+
+  /**
+   * The user's base currency and the currencies their accounts are in,
+   * with the latest rate from each into the base currency
+   */
+  async getCurrencies(userId) {
+    const [accounts, fx, rates] = await Promise.all([
+      AccountModel.listByUserId(userId),
+      ExchangeRateModel.getConverter(userId),
+      ExchangeRateModel.findByUserId(userId)
+    ]);
+
+    const byCurrency = {};
+    accounts.forEach(account => {
+      (byCurrency[account.currency] = byCurrency[account.currency] || []).push(account.name);
+    });
+
+    const currencies = Object.keys(byCurrency).sort().map(currency => {
+      // Rates are newest first, so the first one between the pair is the latest
+      const latest = currency === fx.baseCurrency ? null : rates.find(rate => (
+        (rate.fromCurrency === currency && rate.toCurrency === fx.baseCurrency) ||
+        (rate.fromCurrency === fx.baseCurrency && rate.toCurrency === currency)
+      ));
+
+      return {
+        currency,
+        accounts: byCurrency[currency],
+        latestRate: fx.rateFor(currency),
+        latestRateDate: latest ? latest.rateDate : null
+      };
+    });
+
+    return {
+      success: true,
+      baseCurrency: fx.baseCurrency,
+      currencies,
+      missingRates: fx.missingRates()
+    };
+  }
+
+  /**
+   * Change the currency totals are reported in
+   */
+  async setBaseCurrency(userId, currency) {
+    const code = this.parseCurrency(currency, 'Base currency');
+    await ExchangeRateModel.setBaseCurrency(userId, code);
+
+    return {
+      ...(await this.getCurrencies(userId)),
+      message: `Totals are now shown in ${code}`
+    };
+  }
+
+  /**
+   * A user's exchange rates, newest first
+   */
+  async getRates(userId, { currency = null, startDate = null, endDate = null } = {}) {
+    const rates = await ExchangeRateModel.findByUserId(userId, {
+      currency: currency ? this.parseCurrency(currency, 'Currency') : null,
+      startDate,
+      endDate
+    });
+
+    return {
+      success: true,
+      rates
+    };
+  }
+
+  /**
+   * Record one rate, replacing any already recorded for the pair on that date
+   */
+  async saveRate(userId, data) {
+    const rate = this.parseRate(data);
+    await ExchangeRateModel.upsertMany(userId, [{ ...rate, source: 'manual' }]);
+
+    return {
+      success: true,
+      rate: await ExchangeRateModel.findByPairAndDate(userId, rate.fromCurrency, rate.toCurrency, rate.rateDate),
+      message: `1 ${rate.fromCurrency} = ${rate.rate} ${rate.toCurrency} on ${rate.rateDate} saved`
+    };
+  }
+
+  /**
+   * Delete a rate
+   */
+  async deleteRate(userId, rateId) {
+    const rate = await ExchangeRateModel.findById(rateId);
+
+    if (!rate || rate.userId !== userId) {
+      throw new AppError('Exchange rate not found', 404, 'RATE_NOT_FOUND');
+    }
+
+    await ExchangeRateModel.delete(rate.id);
+
+    return {
+      success: true,
+      message: `${rate.fromCurrency}/${rate.toCurrency} rate for ${rate.rateDate} deleted`
+    };
+  }
+
+  /**
+   * Import rate history from CSV. Columns are date, from, to and rate, or
+   * date, currency and rate for rates into the base currency; a header row
+   * naming them may put them in any order. Rows already recorded for a pair
+   * and date are replaced. Nothing is saved unless every row is valid.
+   */
+  async importRates(userId, data) {
+    let rows;
+    try {
+      rows = Helpers.parseCSVRows(String(data || ''));
+    } catch (error) {
+      throw new AppError(error.message, 400, 'INVALID_RATE_DATA');
+    }
+
+    const hasHeader = rows.length > 0 && DateUtils.parseDate(rows[0][0]) === null;
+    const columns = hasHeader
+      ? rows[0].map(header => this.headerAliases[header.trim().toLowerCase().replace(/[\s_-]/g, '')] || null)
+      : null;
+    const records = hasHeader ? rows.slice(1) : rows;
+
+    if (records.length === 0) {
+      throw new AppError('The file has no rates', 400, 'INVALID_RATE_DATA');
+    }
+    if (records.length > this.maxImportRows) {
+      throw new AppError(`Rate imports are limited to ${this.maxImportRows} rows`, 400, 'INVALID_RATE_DATA');
+    }
+
+    const baseCurrency = await ExchangeRateModel.getBaseCurrency(userId);
+
+    const rates = records.map((fields, index) => {
+      const record = {};
+      const order = columns || (fields.length >= 4
+        ? ['date', 'fromCurrency', 'toCurrency', 'rate']
+        : ['date', 'fromCurrency', 'rate']);
+
+      order.forEach((column, position) => {
+        if (column && fields[position] !== undefined) {
+          record[column] = fields[position].trim();
+        }
+      });
+
+      try {
+        return {
+          ...this.parseRate({ ...record, toCurrency: record.toCurrency || baseCurrency }),
+          source: 'import'
+        };
+      } catch (error) {
+        throw new AppError(`Row ${index + 1}: ${error.message}`, 400, 'INVALID_RATE_DATA');
+      }
+    });
+
+    await ExchangeRateModel.upsertMany(userId, rates);
+
+    return {
+      success: true,
+      imported: rates.length,
+      message: `${rates.length} exchange rate${rates.length === 1 ? '' : 's'} imported`
+    };
+  }
+
+  /**
+   * Check a rate's pair, value and date
+   */
+  parseRate({ fromCurrency, toCurrency, rate, date, rateDate }) {
+    const from = this.parseCurrency(fromCurrency, 'From currency');
+    const to = this.parseCurrency(toCurrency, 'To currency');
+
+    if (from === to) {
+      throw new AppError('A rate needs two different currencies', 400, 'INVALID_RATE');
+    }
+
+    const value = parseFloat(rate);
+    if (isNaN(value) || value <= 0) {
+      throw new AppError('Rate must be a positive number', 400, 'INVALID_RATE');
+    }
+
+    const day = DateUtils.isBlank(rateDate ?? date) ? DateUtils.today() : DateUtils.parseDate(rateDate ?? date);
+    if (day === null) {
+      throw new AppError('Rate date must be a valid date', 400, 'INVALID_RATE');
+    }
+    if (DateUtils.isFuture(day)) {
+      throw new AppError('Rate date cannot be in the future', 400, 'INVALID_RATE');
+    }
+
+    return { fromCurrency: from, toCurrency: to, rate: value, rateDate: day };
+  }
+
+  parseCurrency(value, field) {
+    const currency = CurrencyUtils.normalize(value);
+    if (!currency) {
+      throw new AppError(`${field} must be a three-letter code such as USD, GBP or CAD`, 400, 'INVALID_CURRENCY');
+    }
+    return currency;
+  }
+}
+
+module.exports = new CurrencyService();
@@ -0,0 +1,443 @@
+const dns = require('dns').promises;
+const net = require('net');
+const cron = require('node-cron');
+const nodemailer = require('nodemailer');
+const DigestModel = require('../models/Digest.model');
+const BetModel = require('../models/Bet.model');
+const UserModel = require('../models/User.model');
+const BetService = require('./bet.service');
+const LimitService = require('./limit.service');
+const DateUtils = require('../utils/dates');
+const Helpers = require('../utils/helpers');
+const appConfig = require('../config/app.config');
+const { AppError } = require('../middleware/error.middleware');
+
+class DigestService {
+  constructor() {
+    this.config = appConfig.digests;
+    this.defaultStaleAfterDays = 7;
+    this.frequencyLabels = {
+      week: 'Weekly',
+      month: 'Monthly'
+    };
+    this.transport = null;
+    this.task = null;
+    // Webhooks may not reach the server's own network: loopback, link-local,
+    // private and reserved ranges are refused
+    this.blockedAddresses = new net.BlockList();
+    [
+      ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+      ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+      ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+    ].forEach(([address, prefix]) => this.blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+    [
+      ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+      ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+    ].forEach(([address, prefix]) => this.blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+  }
+
+  /**
+   * A user's digest subscriptions
+   */
+  async getSubscriptions(userId) {
+    return {
+      success: true,
+      subscriptions: await DigestModel.findByUserId(userId)
+    };
+  }
+
+  /**
+   * Subscribe to a digest. Email digests go to the account's address unless
+   * another is given. The first scheduled digest covers the current period,
+   * so it arrives once that period is over.
+   */
+  async subscribe(userId, { frequency = 'week', channel, destination = null, staleAfterDays = this.defaultStaleAfterDays }) {
+    const target = await this.resolveDestination(userId, channel, destination);
+
+    if (await DigestModel.findByDestination(userId, channel, target)) {
+      throw new AppError(`Already subscribed at ${target}`, 409, 'DIGEST_EXISTS');
+    }
+
+    const subscription = await DigestModel.create({
+      user_id: userId,
+      frequency,
+      channel,
+      destination: target,
+      stale_after_days: staleAfterDays,
+      last_period_start: DateUtils.startOfPreviousPeriod(frequency)
+    });
+
+    return {
+      success: true,
+      subscription,
+      message: `${this.frequencyLabels[frequency]} digest will be sent to ${target}`
+    };
+  }
+
+  /**
+   * Change a subscription's frequency, destination, stale bet threshold or pause it
+   */
+  async updateSubscription(userId, subscriptionId, { frequency, destination, staleAfterDays, enabled }) {
+    const existing = await this.findSubscription(userId, subscriptionId);
+    const changes = {
+      stale_after_days: staleAfterDays,
+      enabled: enabled === undefined ? undefined : (enabled ? 1 : 0)
+    };
+
+    if (destination !== undefined) {
+      changes.destination = await this.resolveDestination(userId, existing.channel, destination);
+    }
+
+    // Start the new frequency from its current period rather than sending a back-dated digest
+    if (frequency && frequency !== existing.frequency) {
+      changes.frequency = frequency;
+      changes.last_period_start = DateUtils.startOfPreviousPeriod(frequency);
+    }
+
+    const subscription = await DigestModel.update(existing.id, changes);
+
+    return {
+      success: true,
+      subscription,
+      message: 'Digest subscription updated'
+    };
+  }
+
+  /**
+   * Unsubscribe
+   */
+  async unsubscribe(userId, subscriptionId) {
+    const existing = await this.findSubscription(userId, subscriptionId);
+    await DigestModel.delete(existing.id);
+
+    return {
+      success: true,
+      message: `Digest to ${existing.destination} cancelled`
+    };
+  }
+
+  /**
+   * The digest a subscription would send for its last complete period
+   */
+  async previewDigest(userId, subscriptionId) {
+    const subscription = await this.findSubscription(userId, subscriptionId);
+    const digest = await this.buildDigest(userId, subscription);
+
+    return {
+      success: true,
+      digest,
+      text: this.renderText(digest)
+    };
+  }
+
+  /**
+   * Send a subscription's digest for its last complete period now. The
+   * scheduled digest is still sent as usual.
+   */
+  async sendNow(userId, subscriptionId) {
+    const subscription = await this.findSubscription(userId, subscriptionId);
+    const digest = await this.buildDigest(userId, subscription);
+
+    try {
+      await this.deliver(subscription, digest);
+    } catch (error) {
+      await DigestModel.markFailed(subscription.id, error.message);
+      throw new AppError(`Digest delivery failed: ${error.message}`, 502, 'DIGEST_DELIVERY_FAILED');
+    }
+
+    await DigestModel.markSent(subscription.id);
+
+    return {
+      success: true,
+      message: `Digest sent to ${subscription.destination}`
+    };
+  }
+
+  /**
+   * Summarise the period before the one containing a date: profit and loss
+   * on the bets placed in it, bets still pending after the subscription's
+   * threshold and where each gambling limit stands
+   */
+  async buildDigest(userId, subscription, date = DateUtils.today()) {
+    const startDate = DateUtils.startOfPreviousPeriod(subscription.frequency, date);
+    const endDate = DateUtils.endOfPeriod(subscription.frequency, startDate);
+
+    const { summary, detailed } = await BetModel.getStatsByUserId(userId, { startDate, endDate });
+    const pendingStakes = Object.entries(detailed)
+      .filter(([key]) => key.startsWith('pending_'))
+      .reduce((sum, [, stats]) => sum + stats.totalAmount, 0);
+    const settledStakes = summary.totalWagered - pendingStakes;
+    const profitLoss = this.round(summary.totalWinnings - settledStakes);
+
+    const { pendingBets } = await BetService.getPendingBets(userId);
+    const stalePendingBets = pendingBets
+      .filter(bet => bet.daysOutstanding >= subscription.staleAfterDays)
+      .map(bet => ({
+        id: bet.id,
+        accountName: bet.accountName,
+        description: bet.description,
+        amount: bet.amount,
+        date: bet.date,
+        daysOutstanding: bet.daysOutstanding
+      }));
+
+    const { limits } = await LimitService.getStatus(userId);
+
+    return {
+      frequency: subscription.frequency,
+      period: { startDate, endDate },
+      profitLoss: {
+        net: profitLoss,
+        settledStakes: this.round(settledStakes),
+        returns: this.round(summary.totalWinnings),
+        roi: settledStakes > 0 ? parseFloat(((profitLoss / settledStakes) * 100).toFixed(2)) : 0
+      },
+      bets: {
+        placed: summary.totalBets,
+        settled: summary.settledBets,
+        won: summary.wonBets,
+        lost: summary.lostBets,
+        pushed: summary.pushBets,
+        cashedOut: summary.cashoutBets,
+        stillPending: summary.pendingBets,
+        winRate: summary.winRate
+      },
+      stalePendingBets: {
+        olderThanDays: subscription.staleAfterDays,
+        count: stalePendingBets.length,
+        totalStake: this.round(stalePendingBets.reduce((sum, bet) => sum + bet.amount, 0)),
+        bets: stalePendingBets
+      },
+      limits: limits.map(limit => ({
+        label: limit.label,
+        used: limit.used,
+        amount: limit.amount,
+        percentUsed: limit.percentUsed,
+        reached: limit.reached,
+        resetsOn: limit.resetsOn
+      })),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Plain-text digest for email
+   */
+  renderText(digest) {
+    const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+    const { period, profitLoss, bets, stalePendingBets, limits } = digest;
+
+    const lines = [
+      `${this.frequencyLabels[digest.frequency]} digest: ${period.startDate} to ${period.endDate}`,
+      '',
+      `Profit/loss: ${money(profitLoss.net)} on ${money(profitLoss.settledStakes)} staked (ROI ${profitLoss.roi}%)`,
+      `Bets placed: ${bets.placed}, settled: ${bets.settled} (${bets.won} won, ${bets.lost} lost, ` +
+        `${bets.pushed} pushed, ${bets.cashedOut} cashed out), still pending: ${bets.stillPending}`,
+      '',
+      `Pending for ${stalePendingBets.olderThanDays}+ days: ${stalePendingBets.count} bet(s), ${money(stalePendingBets.totalStake)} at stake`
+    ];
+
+    stalePendingBets.bets.forEach(bet => {
+      lines.push(`  - ${bet.date} ${bet.accountName}: ${bet.description || 'Bet'} (${money(bet.amount)}, ${bet.daysOutstanding} days)`);
+    });
+
+    lines.push('', limits.length > 0 ? 'Limits:' : 'Limits: none set');
+    limits.forEach(limit => {
+      lines.push(`  - ${limit.label}: ${limit.percentUsed}% used${limit.reached ? ' (reached)' : ''}, resets ${limit.resetsOn}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Send a digest by email or POST it as JSON to a webhook
+   */
+  async deliver(subscription, digest) {
+    if (subscription.channel === 'email') {
+      await this.getTransport().sendMail({
+        from: this.config.smtp.from,
+        to: subscription.destination,
+        subject: `${this.frequencyLabels[digest.frequency]} betting digest: ${digest.period.startDate} to ${digest.period.endDate}`,
+        text: this.renderText(digest)
+      });
+      return;
+    }
+
+    // Checked again on every delivery in case the host now resolves elsewhere
+    await this.checkWebhookHost(new URL(subscription.destination));
+
+    const response = await fetch(subscription.destination, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ event: 'digest', subscriptionId: subscription.id, digest }),
+      // A redirect could point anywhere, including the hosts refused above
+      redirect: 'error',
+      signal: AbortSignal.timeout(this.config.webhookTimeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  }
+
+  /**
+   * SMTP transport, created on first use
+   */
+  getTransport() {
+    if (!this.transport) {
+      const { host, port, secure, user, pass } = this.config.smtp;
+      this.transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+      });
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Send every digest whose period has ended. A failed delivery is recorded
+   * on the subscription and retried on the next run.
+   */
+  async sendDue(date = DateUtils.today()) {
+    let sent = 0;
+    let failed = 0;
+
+    for (const frequency of DigestModel.frequencies) {
+      const periodStart = DateUtils.startOfPreviousPeriod(frequency, date);
+      const subscriptions = await DigestModel.findDue(frequency, periodStart);
+
+      for (const subscription of subscriptions) {
+        try {
+          const digest = await this.buildDigest(subscription.userId, subscription, date);
+          await this.deliver(subscription, digest);
+          await DigestModel.markSent(subscription.id, periodStart);
+          sent++;
+        } catch (error) {
+          await DigestModel.markFailed(subscription.id, error.message);
+          Helpers.log(`Digest ${subscription.id} failed: ${error.message}`, 'warn');
+          failed++;
+        }
+      }
+    }
+
+    if (sent > 0 || failed > 0) {
+      Helpers.log(`Sent ${sent} digest(s), ${failed} failed`, 'info');
+    }
+
+    return { sent, failed };
+  }
+
+  /**
+   * Check for due digests on the configured cron schedule
+   */
+  startSchedule() {
+    if (this.task || !this.config.enabled) {
+      return;
+    }
+
+    if (!cron.validate(this.config.schedule)) {
+      Helpers.log(`Invalid DIGEST_SCHEDULE "${this.config.schedule}" - digests are not scheduled`, 'error');
+      return;
+    }
+
+    this.task = cron.schedule(this.config.schedule, () => {
+      this.sendDue().catch(error => {
+        Helpers.log(`Digest run failed: ${error.message}`, 'error');
+      });
+    });
+  }
+
+  /**
+   * Stop the digest schedule
+   */
+  stopSchedule() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Find one of the user's subscriptions
+   */
+  async findSubscription(userId, subscriptionId) {
+    const subscription = await DigestModel.findById(subscriptionId);
+
+    if (!subscription || subscription.userId !== userId) {
+      throw new AppError('Digest subscription not found', 404, 'DIGEST_NOT_FOUND');
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Email digests default to the user's address; webhooks need an http(s)
+   * URL on a public host
+   */
+  async resolveDestination(userId, channel, destination) {
+    if (channel === 'email') {
+      if (!destination) {
+        const user = await UserModel.findById(userId);
+        return user.email;
+      }
+
+      const email = destination.trim();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new AppError('Must be a valid email address', 400, 'INVALID_EMAIL');
+      }
+
+      return email;
+    }
+
+    let url;
+    try {
+      url = new URL(destination);
+    } catch (error) {
+      url = null;
+    }
+
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new AppError('Webhook URL must be an http or https URL', 400, 'INVALID_WEBHOOK_URL');
+    }
+
+    await this.checkWebhookHost(url);
+
+    return url.toString();
+  }
+
+  /**
+   * Refuse webhook hosts that are, or resolve to, a loopback, link-local or
+   * private address
+   */
+  async checkWebhookHost(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+
+    if (net.isIP(host)) {
+      addresses = [host];
+    } else {
+      try {
+        addresses = (await dns.lookup(host, { all: true })).map(({ address }) => address);
+      } catch (error) {
+        throw new AppError(`Webhook host '${host}' could not be resolved`, 400, 'INVALID_WEBHOOK_URL');
+      }
+    }
+
+    const blocked = addresses.length === 0 || addresses.some(address => (
+      this.blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')
+    ));
+
+    if (blocked) {
+      throw new AppError('Webhook URL must point to a public host', 400, 'INVALID_WEBHOOK_URL');
+    }
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new DigestService();
@@ -0,0 +1,708 @@
+const crypto = require('crypto');
+
+const { pool } = require('../config/database.config');
+const AccountModel = require('../models/Account.model');
+const BetModel = require('../models/Bet.model');
+const BetTagModel = require('../models/BetTag.model');
+const LedgerModel = require('../models/Ledger.model');
+const TrashModel = require('../models/Trash.model');
+const BetService = require('./bet.service');
+const TransactionService = require('./transaction.service');
+const LimitService = require('./limit.service');
+const Importers = require('./importers');
+const { AppError } = require('../middleware/error.middleware');
+const Helpers = require('../utils/helpers');
+const DateUtils = require('../utils/dates');
+const OddsUtils = require('../utils/odds');
+
+class ImportService {
+  constructor() {
+    this.validTypes = ['deposit', 'withdrawal', 'bet', 'bonus-bet', 'bonus-credit', 'historical-win', 'historical-loss'];
+    this.maxRows = 1000;
+    // Column order when the data has no header row - matches the CSV export
+    this.defaultColumns = ['account', 'type', 'amount', 'description', 'date', 'status', 'winnings', 'isBonusBet'];
+    // Accepted header names, compared lower-case with punctuation removed
+    this.headerAliases = {
+      account: 'account',
+      accountkey: 'account',
+      type: 'type',
+      amount: 'amount',
+      stake: 'amount',
+      description: 'description',
+      date: 'date',
+      transactiondate: 'date',
+      betdate: 'date',
+      time: 'time',
+      transactiontime: 'time',
+      bettime: 'time',
+      status: 'status',
+      winnings: 'winnings',
+      payout: 'winnings',
+      isbonusbet: 'isBonusBet',
+      bonus: 'isBonusBet',
+      odds: 'odds',
+      sport: 'sport',
+      league: 'league',
+      markettype: 'marketType',
+      market: 'marketType',
+      tags: 'tags',
+      externalid: 'externalId',
+      reference: 'externalId',
+      betid: 'externalId',
+      transactionid: 'externalId'
+    };
+  }
+
+  /**
+   * Formats the importer understands: generic CSV plus each sportsbook export
+   */
+  getFormats() {
+    return [
+      { id: 'csv', name: 'Generic CSV' },
+      ...Importers.list(),
+      { id: 'auto', name: 'Detect sportsbook' }
+    ];
+  }
+
+  /**
+   * Parse import data into records keyed by column name.
+   * `format` is 'csv' (the default), a sportsbook importer ID or 'auto' to
+   * detect the book; sportsbook statements are imported into `accountKey`.
+   */
+  parse(data, { format = 'csv', accountKey = null } = {}) {
+    const parsed = format === 'csv'
+      ? { records: this.parseCSV(data), format, skipped: 0 }
+      : this.parseStatement(data, format, accountKey);
+
+    if (parsed.records.length === 0) {
+      throw new AppError('No data rows found', 400, 'INVALID_IMPORT_DATA');
+    }
+
+    if (parsed.records.length > this.maxRows) {
+      throw new AppError(`Imports are limited to ${this.maxRows} rows`, 400, 'INVALID_IMPORT_DATA');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Parse generic CSV rows, with or without a header row
+   */
+  parseCSV(data) {
+    let rows;
+    try {
+      rows = Helpers.parseCSVRows(data);
+    } catch (error) {
+      throw new AppError(error.message, 400, 'INVALID_IMPORT_DATA');
+    }
+
+    let columns = this.defaultColumns;
+    const firstRow = rows[0] || [];
+    if (this.headerAliases[this.normalizeHeader(firstRow[0] || '')] === 'account') {
+      columns = firstRow.map(header => this.headerAliases[this.normalizeHeader(header)] || null);
+      rows = rows.slice(1);
+    }
+
+    return rows
+      .map((fields, index) => ({ fields, row: index + 1 }))
+      .filter(({ fields }) => fields.some(field => field.trim() !== ''))
+      .map(({ fields, row }) => {
+        const record = { row };
+        columns.forEach((column, index) => {
+          if (column && fields[index] !== undefined) {
+            record[column] = fields[index].trim();
+          }
+        });
+        return record;
+      });
+  }
+
+  /**
+   * Parse a sportsbook statement export with its importer
+   */
+  parseStatement(data, format, accountKey) {
+    const importer = format === 'auto' ? Importers.detect(data) : Importers.get(format);
+
+    if (!importer) {
+      throw new AppError(
+        format === 'auto'
+          ? 'Could not recognise the sportsbook export format'
+          : `Unknown import format '${format}'`,
+        400,
+        'UNKNOWN_IMPORT_FORMAT'
+      );
+    }
+
+    if (!accountKey) {
+      throw new AppError('Choose the account to import the statement into', 400, 'ACCOUNT_REQUIRED');
+    }
+
+    let result;
+    try {
+      result = importer.parse(data);
+    } catch (error) {
+      throw new AppError(error.message, 400, 'INVALID_IMPORT_DATA');
+    }
+
+    // Importers return typed values; records carry strings like parsed CSV
+    const records = result.records.map((values, index) => {
+      const record = { row: index + 1, account: accountKey };
+      Object.entries(values).forEach(([column, value]) => {
+        record[column] = value === null || value === undefined ? '' : String(value).trim();
+      });
+      return record;
+    });
+
+    return { records, format: importer.id, skipped: result.skipped };
+  }
+
+  /**
+   * Lower-case a header and strip spaces, dashes and underscores
+   */
+  normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Parse an import date (YYYY-MM-DD or M/D/YYYY) to YYYY-MM-DD, or null if invalid
+   */
+  parseDate(value) {
+    let year;
+    let month;
+    let day;
+
+    const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+
+    if (iso) {
+      [, year, month, day] = iso.map(Number);
+    } else if (us) {
+      [, month, day, year] = us.map(Number);
+    } else {
+      return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Validate one record and work out its effect on the account balance
+   */
+  validateRecord(record, accountMap, today) {
+    const errors = [];
+    const accountKey = record.account || '';
+    const account = accountMap[accountKey];
+    const type = (record.type || '').toLowerCase();
+    const amount = parseFloat(record.amount);
+
+    if (!accountKey) {
+      errors.push('Account is required');
+    } else if (!account) {
+      errors.push(`Account '${accountKey}' not found`);
+    } else if (account.archivedAt) {
+      errors.push(`Account '${accountKey}' is archived`);
+    }
+
+    if (!this.validTypes.includes(type)) {
+      errors.push(`Invalid type '${record.type || ''}'. Valid types: ${this.validTypes.join(', ')}`);
+    }
+
+    if (record.amount === undefined || record.amount === '' || isNaN(amount) || amount < 0) {
+      errors.push('Amount must be a non-negative number');
+    }
+
+    if (record.externalId && record.externalId.length > 100) {
+      errors.push('External ID cannot exceed 100 characters');
+    }
+
+    let date = today;
+    if (record.date) {
+      date = this.parseDate(record.date);
+      if (!date) {
+        errors.push(`Invalid date '${record.date}' - use YYYY-MM-DD or M/D/YYYY`);
+      } else if (DateUtils.isFuture(date)) {
+        errors.push(`Date '${record.date}' is in the future`);
+      }
+    }
+
+    // Rows without a time are ordered after timed rows on the same day
+    let time = record.date ? DateUtils.timeFromDate(record.date) : null;
+    if (record.time) {
+      time = DateUtils.parseTime(record.time);
+      if (!time) {
+        errors.push(`Invalid time '${record.time}' - use HH:MM`);
+      }
+    }
+
+    const entry = {
+      row: record.row,
+      accountKey,
+      accountName: account ? account.name : null,
+      type,
+      amount: isNaN(amount) ? null : amount,
+      description: record.description || `Imported ${type || 'row'}`,
+      date,
+      time,
+      externalId: record.externalId || null,
+      duplicate: false,
+      settles: null,
+      bet: null,
+      balanceChange: 0,
+      depositChange: 0,
+      withdrawalChange: 0,
+      errors
+    };
+
+    if (type === 'bet' || type === 'bonus-bet') {
+      entry.bet = this.validateBet(record, type, amount, errors);
+    }
+
+    if (errors.length === 0) {
+      this.applyBalanceEffect(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Validate the bet-specific columns of a record
+   */
+  validateBet(record, type, amount, errors) {
+    const isBonusBet = type === 'bonus-bet' || ['true', '1', 'yes'].includes((record.isBonusBet || '').toLowerCase());
+    const status = (record.status || 'pending').toLowerCase();
+
+    if (!BetModel.validStatuses.includes(status)) {
+      errors.push(`Invalid bet status '${record.status}'. Valid statuses: ${BetModel.validStatuses.join(', ')}`);
+    }
+
+    let odds = null;
+    if (record.odds) {
+      odds = OddsUtils.normalize(record.odds);
+      if (!odds) {
+        errors.push(`Invalid odds '${record.odds}'`);
+      }
+    }
+
+    let metadata = null;
+    try {
+      metadata = BetService.parseMetadata({
+        sport: record.sport,
+        league: record.league,
+        marketType: record.marketType ? record.marketType.toLowerCase() : null,
+        tags: record.tags ? record.tags.split(/[;|]/) : null
+      });
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    const stake = isBonusBet ? 0 : amount;
+    let winnings = 0;
+
+    if (BetModel.refundStatuses.includes(status)) {
+      winnings = stake;
+    } else if (status === 'won' || status === 'cashout') {
+      winnings = parseFloat(record.winnings);
+      if (record.winnings === undefined || record.winnings === '' || isNaN(winnings) || winnings < 0) {
+        winnings = status === 'won' && odds ? OddsUtils.calculatePayout(amount, odds.decimal, isBonusBet) : null;
+      }
+      if (winnings === null || (status === 'won' && winnings <= 0)) {
+        errors.push(`Winnings are required for ${status} bets without odds`);
+        winnings = 0;
+      }
+    }
+
+    return {
+      isBonusBet,
+      status,
+      stake,
+      displayAmount: amount,
+      winnings,
+      odds,
+      metadata
+    };
+  }
+
+  /**
+   * Set the balance, deposit and withdrawal changes for a valid entry
+   */
+  applyBalanceEffect(entry) {
+    switch (entry.type) {
+      case 'deposit':
+        entry.balanceChange = entry.amount;
+        entry.depositChange = entry.amount;
+        break;
+      case 'withdrawal':
+        entry.balanceChange = -entry.amount;
+        entry.withdrawalChange = entry.amount;
+        break;
+      case 'bonus-credit':
+      case 'historical-win':
+        entry.balanceChange = entry.amount;
+        break;
+      case 'historical-loss':
+        entry.balanceChange = -entry.amount;
+        break;
+      case 'bet':
+      case 'bonus-bet':
+        entry.balanceChange = entry.bet.winnings - entry.bet.stake;
+        break;
+    }
+
+    entry.balanceChange = Math.round(entry.balanceChange * 100) / 100;
+  }
+
+  /**
+   * Flag valid entries whose external ID was already imported into the same
+   * account, or appears earlier in this file. Duplicates are skipped on commit.
+   * A bet imported while pending whose row now has a result is not a duplicate:
+   * the entry records the bet in `settles`, and the commit settles it instead.
+   * Rows in the trash are not counted, so cleared data can be imported again.
+   */
+  async markDuplicates(entries, accountMap) {
+    const candidates = entries.filter(entry => entry.externalId && entry.errors.length === 0);
+    if (candidates.length === 0) {
+      return;
+    }
+
+    const accountIds = [...new Set(candidates.map(entry => accountMap[entry.accountKey].id))];
+    const externalIds = [...new Set(candidates.map(entry => entry.externalId))];
+    const accountPlaceholders = accountIds.map(() => '?').join(',');
+    const idPlaceholders = externalIds.map(() => '?').join(',');
+
+    const connection = await pool.getConnection();
+    let existing;
+
+    try {
+      [existing] = await connection.execute(
+        `SELECT account_id, external_id, NULL AS bet_id, NULL AS status FROM transactions
+         WHERE account_id IN (${accountPlaceholders}) AND external_id IN (${idPlaceholders}) AND trash_id IS NULL
+         UNION
+         SELECT account_id, external_id, id AS bet_id, status FROM bets
+         WHERE account_id IN (${accountPlaceholders}) AND external_id IN (${idPlaceholders}) AND trash_id IS NULL`,
+        [...accountIds, ...externalIds, ...accountIds, ...externalIds]
+      );
+    } finally {
+      connection.release();
+    }
+
+    // An imported bet is stored as a transaction and a bet; the bet row says whether it is still pending
+    const stored = new Map();
+    existing.forEach(row => {
+      const key = `${row.account_id}|${row.external_id}`;
+      if (!stored.has(key) || row.bet_id) {
+        stored.set(key, row);
+      }
+    });
+
+    const seen = new Set();
+
+    candidates.forEach(entry => {
+      const key = `${accountMap[entry.accountKey].id}|${entry.externalId}`;
+      const match = stored.get(key);
+
+      if (!seen.has(key) && match && match.status === 'pending' && entry.bet && entry.bet.status !== 'pending') {
+        // The stake came out when the bet was first imported, so only the payout is new
+        entry.settles = match.bet_id;
+        entry.balanceChange = Math.round(entry.bet.winnings * 100) / 100;
+      } else if (seen.has(key) || match) {
+        entry.duplicate = true;
+        entry.balanceChange = 0;
+        entry.depositChange = 0;
+        entry.withdrawalChange = 0;
+      }
+
+      seen.add(key);
+    });
+  }
+
+  /**
+   * Hold the new deposits and bets to the user's gambling limits, in file
+   * order. A row that would break a blocking limit gets an error, so the
+   * import can't be committed; warnings are returned with the row number.
+   * Bets count their net loss, as settled bets already have a result. Settling
+   * a bet imported earlier is not checked, since its stake was counted then.
+   */
+  async checkLimits(userId, entries, accountMap) {
+    const candidates = entries.filter(entry => (
+      entry.errors.length === 0 && !entry.duplicate && !entry.settles && (entry.bet || entry.type === 'deposit')
+    ));
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const results = await LimitService.check(userId, candidates.map(entry => ({
+      accountId: accountMap[entry.accountKey].id,
+      activity: entry.bet ? 'bet' : 'deposit',
+      amount: entry.bet ? entry.bet.stake - entry.bet.winnings : entry.amount,
+      date: entry.date
+    })));
+
+    const warnings = [];
+    results.forEach(({ error, warnings: entryWarnings }, index) => {
+      const entry = candidates[index];
+
+      if (error) {
+        entry.errors.push(error);
+      }
+      entryWarnings.forEach(warning => warnings.push(`Row ${entry.row}: ${warning}`));
+    });
+
+    return warnings;
+  }
+
+  /**
+   * Fingerprint of the entries so a commit can prove it applies the previewed batch
+   */
+  calculateChecksum(entries) {
+    const payload = entries.map(entry => [
+      entry.row, entry.accountKey, entry.type, entry.amount, entry.description, entry.date, entry.time,
+      entry.externalId, entry.duplicate, entry.settles, entry.bet, entry.balanceChange
+    ]);
+
+    return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+  }
+
+  /**
+   * Dry run: parse and validate import data without writing anything
+   */
+  async preview(userId, data, options = {}) {
+    const { records, format, skipped } = this.parse(data, options);
+    const accounts = await AccountModel.listByUserId(userId);
+    const accountMap = accounts.reduce((map, account) => {
+      map[account.accountKey] = account;
+      return map;
+    }, {});
+
+    const today = DateUtils.today();
+    const entries = records.map(record => this.validateRecord(record, accountMap, today));
+    await this.markDuplicates(entries, accountMap);
+    const limitWarnings = await this.checkLimits(userId, entries, accountMap);
+
+    const errorEntries = entries.filter(entry => entry.errors.length > 0);
+    const changedEntries = entries.filter(entry => entry.errors.length === 0 && !entry.duplicate);
+    const settledEntries = changedEntries.filter(entry => entry.settles);
+
+    // Projected effect on each account touched by the import
+    const accountChanges = {};
+    changedEntries.forEach(entry => {
+      if (!accountChanges[entry.accountKey]) {
+        const account = accountMap[entry.accountKey];
+        accountChanges[entry.accountKey] = {
+          accountKey: entry.accountKey,
+          accountName: account.name,
+          currentBalance: account.balance,
+          balanceChange: 0,
+          deposits: 0,
+          withdrawals: 0,
+          rows: 0
+        };
+      }
+
+      const change = accountChanges[entry.accountKey];
+      change.balanceChange += entry.balanceChange;
+      change.deposits += entry.depositChange;
+      change.withdrawals += entry.withdrawalChange;
+      change.rows++;
+    });
+
+    const projectedAccounts = Object.values(accountChanges).map(change => {
+      const balanceChange = Math.round(change.balanceChange * 100) / 100;
+      const projectedBalance = Math.round((change.currentBalance + balanceChange) * 100) / 100;
+
+      return {
+        ...change,
+        balanceChange,
+        projectedBalance,
+        warnings: projectedBalance < 0 ? ['Projected balance is negative'] : []
+      };
+    });
+
+    return {
+      success: true,
+      format,
+      rows: entries,
+      accounts: projectedAccounts,
+      summary: {
+        totalRows: entries.length,
+        validRows: entries.length - errorEntries.length,
+        newRows: changedEntries.length - settledEntries.length,
+        settledRows: settledEntries.length,
+        duplicateRows: entries.length - errorEntries.length - changedEntries.length,
+        errorRows: errorEntries.length,
+        skippedRows: skipped,
+        totalBalanceChange: Math.round(projectedAccounts.reduce((sum, account) => sum + account.balanceChange, 0) * 100) / 100
+      },
+      limitWarnings,
+      checksum: this.calculateChecksum(entries),
+      canCommit: errorEntries.length === 0 && changedEntries.length > 0
+    };
+  }
+
+  /**
+   * Apply a previewed import in a single database transaction.
+   * The data is validated again and must match the preview checksum exactly.
+   */
+  async commit(userId, data, checksum, options = {}) {
+    const preview = await this.preview(userId, data, options);
+
+    if (preview.summary.errorRows > 0) {
+      throw new AppError(
+        `${preview.summary.errorRows} row(s) have errors - fix them and preview again`,
+        400,
+        'IMPORT_HAS_ERRORS'
+      );
+    }
+
+    if (preview.summary.newRows === 0 && preview.summary.settledRows === 0) {
+      throw new AppError('Every row has already been imported', 400, 'IMPORT_NOTHING_NEW');
+    }
+
+    if (preview.checksum !== checksum) {
+      throw new AppError('Import data changed since it was previewed - preview again before importing', 409, 'IMPORT_PREVIEW_MISMATCH');
+    }
+
+    const accounts = await AccountModel.listByUserId(userId);
+    const accountIds = accounts.reduce((map, account) => {
+      map[account.accountKey] = account.id;
+      return map;
+    }, {});
+
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      for (const entry of preview.rows.filter(row => !row.duplicate)) {
+        const accountId = accountIds[entry.accountKey];
+
+        // A bet imported while pending takes the result the book has since settled it with
+        if (entry.settles) {
+          await BetService.settleBet(userId, entry.settles, {
+            status: entry.bet.status,
+            winnings: entry.bet.winnings
+          }, connection);
+          continue;
+        }
+
+        // Rows in the trash don't count as imported, but still hold their external ID
+        if (entry.externalId) {
+          await TrashModel.releaseExternalId(accountId, entry.externalId, connection);
+        }
+
+        const [result] = await connection.execute(
+          'INSERT INTO transactions (account_id, type, amount, description, transaction_date, transaction_time, external_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [accountId, entry.type, entry.amount, entry.description, entry.date, entry.time, entry.externalId]
+        );
+
+        await this.recordEntry(connection, accountId, entry, result.insertId);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw new AppError('Import failed - no rows were imported', 500, 'IMPORT_FAILED');
+    } finally {
+      connection.release();
+    }
+
+    const { newRows, settledRows, duplicateRows } = preview.summary;
+    const imported = preview.rows.filter(row => !row.duplicate);
+
+    return {
+      success: true,
+      message: `Imported ${newRows} row(s)` +
+        (settledRows > 0 ? `, settled ${settledRows} pending bet(s)` : '') +
+        (duplicateRows > 0 ? `, skipped ${duplicateRows} already imported` : ''),
+      imported: newRows,
+      settled: settledRows,
+      duplicates: duplicateRows,
+      accounts: preview.accounts,
+      limitWarnings: preview.limitWarnings,
+      aggregates: await TransactionService.getAffectedAggregates(
+        userId,
+        imported.map(entry => entry.date),
+        imported.some(entry => entry.bet)
+      )
+    };
+  }
+
+  /**
+   * Write an import entry's balance effect to the ledger, inserting its bet first.
+   * Settled bets get separate stake and payout entries.
+   */
+  async recordEntry(connection, accountId, entry, transactionId) {
+    const description = entry.description || `Imported ${entry.type}`;
+
+    if (!entry.bet) {
+      await LedgerModel.append(accountId, {
+        entryType: LedgerModel.entryTypeFor(entry.type),
+        amount: entry.balanceChange,
+        depositChange: entry.depositChange,
+        withdrawalChange: entry.withdrawalChange,
+        transactionId,
+        description
+      }, connection);
+      return;
+    }
+
+    const betId = await this.insertBet(connection, accountId, entry);
+
+    await LedgerModel.append(accountId, {
+      entryType: 'bet-stake',
+      amount: -entry.bet.stake,
+      transactionId,
+      betId,
+      description
+    }, connection);
+
+    await LedgerModel.append(accountId, {
+      entryType: 'bet-payout',
+      amount: entry.bet.winnings,
+      transactionId,
+      betId,
+      description: `${description} (${entry.bet.status})`
+    }, connection);
+  }
+
+  /**
+   * Insert the bet for an import entry on the open connection and return its ID
+   */
+  async insertBet(connection, accountId, entry) {
+    const { bet } = entry;
+
+    const [result] = await connection.execute(
+      `INSERT INTO bets (account_id, amount, display_amount, odds_decimal, odds_format, description, sport, league, market_type, bet_date, bet_time, status, winnings, is_bonus_bet, external_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        accountId,
+        bet.stake,
+        bet.displayAmount,
+        bet.odds ? bet.odds.decimal : null,
+        bet.odds ? bet.odds.format : null,
+        entry.description,
+        bet.metadata.sport,
+        bet.metadata.league,
+        bet.metadata.market_type,
+        entry.date,
+        entry.time,
+        bet.status,
+        bet.winnings,
+        bet.isBonusBet ? 1 : 0,
+        entry.externalId
+      ]
+    );
+
+    if (bet.metadata.tags.length > 0) {
+      await BetTagModel.setForBet(result.insertId, bet.metadata.tags, connection);
+    }
+
+    return result.insertId;
+  }
+}
+
+module.exports = new ImportService();
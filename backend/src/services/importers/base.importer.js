@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+
+const Helpers = require('../../utils/helpers');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Base class for sportsbook statement importers.
+ * Subclasses describe a book's export layout (column names, transaction
+ * types, result wording); this class turns the CSV or HTML statement into
+ * records for the bulk import preview.
+ */
+class BaseImporter {
+  constructor(config) {
+    this.id = config.id;
+    this.name = config.name;
+    // Each entry is a set of headers that identifies one of the book's exports
+    this.signatures = config.signatures.map(signature => signature.map(header => this.normalizeKey(header)));
+    // Field name -> header names the book uses for it
+    this.columns = Object.entries(config.columns).reduce((columns, [field, headers]) => {
+      columns[field] = headers.map(header => this.normalizeKey(header));
+      return columns;
+    }, {});
+    this.descriptionFields = config.descriptionFields || ['description'];
+    // Raw transaction type -> import type; null marks rows to skip
+    this.transactionTypes = {
+      deposit: 'deposit',
+      withdrawal: 'withdrawal',
+      withdraw: 'withdrawal',
+      bonus: 'bonus-credit',
+      ...this.normalizeMap(config.transactionTypes || {})
+    };
+    // Raw bet result -> bet status
+    this.betStatuses = {
+      won: 'won',
+      win: 'won',
+      winner: 'won',
+      lost: 'lost',
+      lose: 'lost',
+      loss: 'lost',
+      loser: 'lost',
+      open: 'pending',
+      pending: 'pending',
+      unsettled: 'pending',
+      push: 'push',
+      tie: 'push',
+      void: 'void',
+      voided: 'void',
+      cancelled: 'void',
+      canceled: 'void',
+      refunded: 'void',
+      cashout: 'cashout',
+      cashedout: 'cashout',
+      ...this.normalizeMap(config.betStatuses || {})
+    };
+    this.bonusPattern = config.bonusPattern || /free bet|bonus bet|site credit/i;
+    this.dayFirst = Boolean(config.dayFirst);
+  }
+
+  /**
+   * Lower-case a header or label and strip everything but letters and digits
+   */
+  normalizeKey(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Normalise the keys of a lookup map
+   */
+  normalizeMap(map) {
+    return Object.entries(map).reduce((normalized, [key, value]) => {
+      normalized[this.normalizeKey(key)] = value;
+      return normalized;
+    }, {});
+  }
+
+  /**
+   * Split a CSV or HTML statement into rows of cells
+   */
+  readRows(content) {
+    return /<table[\s>]/i.test(content)
+      ? Helpers.parseHTMLTableRows(content)
+      : Helpers.parseCSVRows(content);
+  }
+
+  /**
+   * Index of the header row, allowing for title lines above it, or -1
+   */
+  findHeaderRow(rows) {
+    return rows.slice(0, 10).findIndex(row => {
+      const headers = row.map(cell => this.normalizeKey(cell));
+      return this.signatures.some(signature => signature.every(header => headers.includes(header)));
+    });
+  }
+
+  /**
+   * Whether the statement looks like one of this book's exports
+   */
+  matches(content) {
+    try {
+      return this.findHeaderRow(this.readRows(content)) !== -1;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Convert a statement into import records.
+   * Rows whose transaction type the book marks as skipped are counted, not returned.
+   */
+  parse(content) {
+    const rows = this.readRows(content);
+    const headerIndex = this.findHeaderRow(rows);
+
+    if (headerIndex === -1) {
+      throw new Error(`This file does not look like a ${this.name} export`);
+    }
+
+    const headers = rows[headerIndex].map(cell => this.normalizeKey(cell));
+    const records = [];
+    const occurrences = {};
+    let skipped = 0;
+
+    rows.slice(headerIndex + 1).forEach(cells => {
+      const row = headers.reduce((values, header, index) => {
+        if (header && values[header] === undefined) {
+          values[header] = (cells[index] || '').trim();
+        }
+        return values;
+      }, {});
+
+      const record = this.toRecord(row);
+      if (!record) {
+        skipped++;
+        return;
+      }
+
+      record.externalId = this.get(row, 'externalId') || this.fingerprint(record, occurrences);
+      records.push(record);
+    });
+
+    return { records, skipped };
+  }
+
+  /**
+   * First non-empty value among the headers mapped to a field
+   */
+  get(row, field) {
+    const headers = this.columns[field] || [];
+    const header = headers.find(name => row[name] !== undefined && row[name] !== '');
+    return header ? row[header] : '';
+  }
+
+  /**
+   * Map one statement row to an import record, or null to skip it
+   */
+  toRecord(row) {
+    const type = this.resolveType(row);
+    if (type === null) {
+      return null;
+    }
+
+    const record = {
+      type,
+      amount: this.resolveAmount(row, type),
+      description: this.describe(row),
+      date: this.parseDate(this.get(row, 'date')),
+      time: this.parseTime(this.get(row, 'date'))
+    };
+
+    if (type === 'bet') {
+      const status = this.resolveStatus(row);
+      const payout = this.get(row, 'payout');
+
+      if (this.isBonusBet(row)) {
+        record.type = 'bonus-bet';
+      }
+
+      record.status = status;
+      record.winnings = ['won', 'cashout'].includes(status) && payout ? this.parseMoney(payout) : '';
+      record.odds = this.parseOdds(this.get(row, 'odds'));
+      record.sport = this.get(row, 'sport');
+      record.league = this.get(row, 'league');
+    }
+
+    return record;
+  }
+
+  /**
+   * Import type of a row: its mapped transaction type, or a bet when it has a stake
+   */
+  resolveType(row) {
+    const rawType = this.get(row, 'type');
+
+    if (rawType) {
+      const mapped = this.transactionTypes[this.normalizeKey(rawType)];
+      if (mapped !== undefined) {
+        return mapped;
+      }
+    }
+
+    if (this.get(row, 'stake')) {
+      return 'bet';
+    }
+
+    // Unknown types are passed through so the preview reports them
+    return rawType;
+  }
+
+  /**
+   * Stake for bets, absolute amount for money movements
+   */
+  resolveAmount(row, type) {
+    if (type === 'bet') {
+      return this.parseMoney(this.get(row, 'stake'));
+    }
+
+    return Math.abs(this.parseMoney(this.get(row, 'amount')));
+  }
+
+  /**
+   * Bet status from the book's result wording, passed through if unknown
+   */
+  resolveStatus(row) {
+    const result = this.get(row, 'status');
+    if (!result) {
+      return 'pending';
+    }
+
+    return this.betStatuses[this.normalizeKey(result)] || result;
+  }
+
+  /**
+   * Whether a bet was placed with a free bet or bonus token
+   */
+  isBonusBet(row) {
+    const flag = this.get(row, 'bonus');
+    if (flag) {
+      return ['yes', 'true', '1', 'y'].includes(flag.toLowerCase()) || this.bonusPattern.test(flag);
+    }
+
+    return this.bonusPattern.test(this.describe(row));
+  }
+
+  /**
+   * Build a description from the book's description columns
+   */
+  describe(row) {
+    return this.descriptionFields
+      .map(field => this.get(row, field))
+      .filter(Boolean)
+      .join(' - ');
+  }
+
+  /**
+   * Parse a money cell such as "$1,234.50", "-£5.00" or "(20.00)"
+   */
+  parseMoney(value) {
+    const text = String(value).trim();
+    const negative = /^\(.*\)$/.test(text) || text.includes('-');
+    const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+
+    if (isNaN(amount)) {
+      return text;
+    }
+
+    return negative ? -amount : amount;
+  }
+
+  /**
+   * Normalise odds cells; "EVS" and "EVEN" are even money
+   */
+  parseOdds(value) {
+    if (/^ev(s|en)?$/i.test(value)) {
+      return '1/1';
+    }
+
+    return value;
+  }
+
+  /**
+   * Time of day in the book's date cell as HH:MM (24-hour), or '' when there is none
+   */
+  parseTime(value) {
+    const match = String(value).match(/(?:^|\D)(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap])?\.?m?\b/i);
+    if (!match) {
+      return '';
+    }
+
+    let hours = Number(match[1]);
+    const meridiem = match[3] ? match[3].toLowerCase() : null;
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+  }
+
+  /**
+   * Convert the book's date cell to YYYY-MM-DD. The time is read separately.
+   * Unrecognised values are passed through so the preview reports them.
+   */
+  parseDate(value) {
+    const text = String(value).trim();
+    const pad = (number) => String(number).padStart(2, '0');
+    const toIso = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+    const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) {
+      return toIso(match[1], match[2], match[3]);
+    }
+
+    match = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{2}|\d{4})\b/);
+    if (match) {
+      const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+      return this.dayFirst
+        ? toIso(year, match[2], match[1])
+        : toIso(year, match[1], match[2]);
+    }
+
+    // "Mar 1, 2024 7:05 PM" or "Sat, Mar 1 2024"
+    match = text.match(/^(?:[a-z]{3,9},?\s+)?([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/i);
+    if (match && monthIndex(match[1]) > 0) {
+      return toIso(match[3], monthIndex(match[1]), match[2]);
+    }
+
+    // "1 Mar 2024 19:05" or "01-Mar-2024"
+    match = text.match(/^(\d{1,2})[\s-]([a-z]{3,9})\.?[\s-,]+(\d{4})/i);
+    if (match && monthIndex(match[2]) > 0) {
+      return toIso(match[3], monthIndex(match[2]), match[1]);
+    }
+
+    return text;
+  }
+
+  /**
+   * Stable ID for rows the book exports without one. Identical rows in the
+   * same file are numbered so each keeps its own ID on re-import. The bet
+   * result is left out: a bet exported while pending and again once settled
+   * is the same bet.
+   */
+  fingerprint(record, occurrences) {
+    const hash = crypto
+      .createHash('sha1')
+      .update(JSON.stringify([this.id, record.type, record.date, record.amount, record.description]))
+      .digest('hex')
+      .slice(0, 24);
+
+    occurrences[hash] = (occurrences[hash] || 0) + 1;
+    return `${this.id}:${hash}:${occurrences[hash]}`;
+  }
+}
+
+module.exports = BaseImporter;
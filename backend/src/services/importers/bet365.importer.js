@@ -0,0 +1,83 @@
+const BaseImporter = require('./base.importer');
+
+/**
+ * Bet365 exports: the settled bets history ("Bet Reference", "Returns") and
+ * the account statement ("Transaction Ref", separate "Credit" and "Debit"
+ * columns). Dates are day-first and prices are fractional.
+ */
+class Bet365Importer extends BaseImporter {
+  constructor() {
+    super({
+      id: 'bet365',
+      name: 'Bet365',
+      signatures: [
+        ['Bet Reference', 'Returns'],
+        ['Transaction Ref', 'Credit', 'Debit']
+      ],
+      columns: {
+        externalId: ['Bet Reference', 'Transaction Ref'],
+        date: ['Date/Time', 'Date'],
+        type: ['Transaction Type'],
+        stake: ['Stake'],
+        odds: ['Odds', 'Price'],
+        status: ['Result'],
+        payout: ['Returns'],
+        sport: ['Sport'],
+        league: ['Competition'],
+        event: ['Event'],
+        selection: ['Selection'],
+        description: ['Description']
+      },
+      descriptionFields: ['event', 'selection', 'description'],
+      transactionTypes: {
+        Bet: null,
+        Settlement: null,
+        'Bet Credits': 'bonus-credit'
+      },
+      betStatuses: {
+        Returned: 'void',
+        'Cashed Out': 'cashout',
+        Open: 'pending'
+      },
+      dayFirst: true
+    });
+  }
+
+  /**
+   * Statements put money in under "Credit" and out under "Debit"
+   */
+  resolveAmount(row, type) {
+    if (type === 'bet') {
+      return super.resolveAmount(row, type);
+    }
+
+    const credit = row.credit || '';
+    const debit = row.debit || '';
+    return Math.abs(this.parseMoney(credit || debit));
+  }
+
+  /**
+   * Statement rows carry no type column, only a description and a direction
+   */
+  resolveType(row) {
+    const type = super.resolveType(row);
+    if (type !== '' || !(row.credit || row.debit)) {
+      return type;
+    }
+
+    const description = this.get(row, 'description');
+
+    // Stakes and returns are already covered by the bet history
+    if (/\b(bet|settlement|cash ?out)\b/i.test(description)) {
+      return null;
+    }
+
+    if (/deposit/i.test(description)) return 'deposit';
+    if (/withdraw/i.test(description)) return 'withdrawal';
+    if (/bonus|credit/i.test(description)) return 'bonus-credit';
+
+    return row.credit ? 'deposit' : 'withdrawal';
+  }
+}
+
+module.exports = new Bet365Importer();
@@ -0,0 +1,47 @@
+const BaseImporter = require('./base.importer');
+
+/**
+ * BetMGM exports: the my-bets history ("Ticket #", "Paid") and the
+ * transaction history ("Transaction #", "Method")
+ */
+class BetMGMImporter extends BaseImporter {
+  constructor() {
+    super({
+      id: 'betmgm',
+      name: 'BetMGM',
+      signatures: [
+        ['Ticket #', 'Paid'],
+        ['Transaction #', 'Method']
+      ],
+      columns: {
+        externalId: ['Ticket #', 'Transaction #'],
+        date: ['Date'],
+        type: ['Type'],
+        stake: ['Stake'],
+        amount: ['Amount'],
+        odds: ['Odds'],
+        status: ['Status'],
+        payout: ['Paid'],
+        sport: ['Sport'],
+        league: ['League'],
+        bonus: ['Free Bet'],
+        event: ['Event'],
+        selection: ['Bet'],
+        method: ['Method']
+      },
+      descriptionFields: ['event', 'selection', 'method'],
+      transactionTypes: {
+        Wager: null,
+        Payout: null,
+        'Bonus Award': 'bonus-credit',
+        'Free Bet Award': null
+      },
+      betStatuses: {
+        'Won (Early Payout)': 'won',
+        'Cashed-Out': 'cashout'
+      }
+    });
+  }
+}
+
+module.exports = new BetMGMImporter();
@@ -0,0 +1,47 @@
+const BaseImporter = require('./base.importer');
+
+/**
+ * DraftKings Sportsbook exports: the bet history CSV ("Bet ID", "Wager",
+ * "Payout") and the transaction history CSV ("Transaction ID", "Details")
+ */
+class DraftKingsImporter extends BaseImporter {
+  constructor() {
+    super({
+      id: 'draftkings',
+      name: 'DraftKings',
+      signatures: [
+        ['Bet ID', 'Wager'],
+        ['Transaction ID', 'Details']
+      ],
+      columns: {
+        externalId: ['Bet ID', 'Transaction ID'],
+        date: ['Placed', 'Date Placed', 'Date'],
+        type: ['Type'],
+        stake: ['Wager', 'Wager Amount'],
+        amount: ['Amount'],
+        odds: ['Odds'],
+        status: ['Status', 'Result'],
+        payout: ['Payout'],
+        sport: ['Sport'],
+        league: ['League'],
+        bonus: ['Wager Type'],
+        event: ['Event'],
+        selection: ['Selection', 'Bet'],
+        description: ['Details', 'Description']
+      },
+      descriptionFields: ['event', 'selection', 'description'],
+      transactionTypes: {
+        // Bet placements and settlements are already covered by the bet history
+        'Bet Placed': null,
+        'Bet Settled': null,
+        'Bet Won': null,
+        'Casino Wager': null,
+        'Casino Win': null,
+        'DK Dollars': 'bonus-credit',
+        'Promotion': 'bonus-credit'
+      }
+    });
+  }
+}
+
+module.exports = new DraftKingsImporter();
@@ -0,0 +1,62 @@
+const BaseImporter = require('./base.importer');
+
+/**
+ * FanDuel Sportsbook exports: the bet activity statement ("Bet Ref",
+ * "Stake", "Return") and the account activity statement ("Reference",
+ * "Transaction Type")
+ */
+class FanDuelImporter extends BaseImporter {
+  constructor() {
+    super({
+      id: 'fanduel',
+      name: 'FanDuel',
+      signatures: [
+        ['Bet Ref', 'Stake', 'Return'],
+        ['Reference', 'Transaction Type']
+      ],
+      columns: {
+        externalId: ['Bet Ref', 'Reference'],
+        date: ['Date Placed', 'Date'],
+        type: ['Transaction Type'],
+        stake: ['Stake'],
+        amount: ['Amount'],
+        odds: ['Price', 'Odds'],
+        status: ['Result', 'Status'],
+        payout: ['Return'],
+        sport: ['Sport'],
+        league: ['Competition'],
+        bonus: ['Bonus Bet', 'Token'],
+        event: ['Event'],
+        selection: ['Selection'],
+        description: ['Description']
+      },
+      descriptionFields: ['event', 'selection', 'description'],
+      transactionTypes: {
+        'Bet Placement': null,
+        'Bet Settlement': null,
+        'Bet Cash Out': null,
+        'Bonus Credit': 'bonus-credit',
+        'Site Credit': 'bonus-credit'
+      },
+      betStatuses: {
+        Settled: 'won',
+        'Cashed Out': 'cashout'
+      }
+    });
+  }
+
+  /**
+   * FanDuel marks every paid-out bet as "Settled"; a zero return means it lost
+   */
+  resolveStatus(row) {
+    const status = super.resolveStatus(row);
+
+    if (status === 'won' && this.parseMoney(this.get(row, 'payout') || '0') === 0) {
+      return 'lost';
+    }
+
+    return status;
+  }
+}
+
+module.exports = new FanDuelImporter();
@@ -0,0 +1,44 @@
+const DraftKingsImporter = require('./draftkings.importer');
+const FanDuelImporter = require('./fanduel.importer');
+const BetMGMImporter = require('./betmgm.importer');
+const Bet365Importer = require('./bet365.importer');
+
+/**
+ * Registry of sportsbook statement importers, keyed by format ID.
+ * New books are added by writing a BaseImporter subclass and listing it here.
+ */
+class ImporterRegistry {
+  constructor() {
+    this.importers = [DraftKingsImporter, FanDuelImporter, BetMGMImporter, Bet365Importer];
+  }
+
+  /**
+   * Format IDs of every registered importer
+   */
+  get ids() {
+    return this.importers.map(importer => importer.id);
+  }
+
+  /**
+   * Find an importer by format ID
+   */
+  get(id) {
+    return this.importers.find(importer => importer.id === id) || null;
+  }
+
+  /**
+   * Find the importer whose export layout matches the statement, if any
+   */
+  detect(content) {
+    return this.importers.find(importer => importer.matches(content)) || null;
+  }
+
+  /**
+   * List the supported formats
+   */
+  list() {
+    return this.importers.map(({ id, name }) => ({ id, name }));
+  }
+}
+
+module.exports = new ImporterRegistry();
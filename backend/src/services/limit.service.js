@@ -0,0 +1,325 @@
+const LimitModel = require('../models/Limit.model');
+const AccountModel = require('../models/Account.model');
+const DateUtils = require('../utils/dates');
+const appConfig = require('../config/app.config');
+const { AppError } = require('../middleware/error.middleware');
+
+class LimitService {
+  constructor() {
+    this.coolingOffDays = appConfig.limits.coolingOffDays;
+    // Warn once this share of a limit has been used
+    this.warningThreshold = 0.8;
+    // Which limits each kind of entry counts towards
+    this.limitTypesByActivity = {
+      deposit: ['deposit'],
+      bet: ['loss', 'bet-count'],
+      // A raise to the stake of a bet already placed
+      stake: ['loss']
+    };
+    this.labels = {
+      deposit: 'deposit',
+      loss: 'net loss',
+      'bet-count': 'bet count'
+    };
+    this.periodLabels = {
+      day: 'daily',
+      week: 'weekly',
+      month: 'monthly'
+    };
+  }
+
+  /**
+   * A user's limits with how much of each has been used this period
+   */
+  async getStatus(userId) {
+    await LimitModel.applyDueChanges(userId);
+    const limits = await LimitModel.findByUserId(userId);
+
+    return {
+      success: true,
+      coolingOffDays: this.coolingOffDays,
+      limits: await Promise.all(limits.map(limit => this.withUsage(userId, limit)))
+    };
+  }
+
+  /**
+   * Set a limit. New and tighter limits apply at once; raising a limit or
+   * switching it from blocking to warning waits out the cooling-off period.
+   */
+  async setLimit(userId, { accountKey = null, limitType, period, amount, enforcement = 'block' }) {
+    const accountId = await this.resolveAccountId(userId, accountKey);
+    const value = this.parseAmount(limitType, amount);
+
+    await LimitModel.applyDueChanges(userId);
+    const existing = await LimitModel.findExisting(userId, accountId, limitType, period);
+
+    if (!existing) {
+      const limit = await LimitModel.create({
+        user_id: userId,
+        account_id: accountId,
+        limit_type: limitType,
+        period,
+        amount: value,
+        enforcement
+      });
+
+      return {
+        success: true,
+        limit: await this.withUsage(userId, limit),
+        message: `Your ${this.describe(limit)} is set`
+      };
+    }
+
+    const loosens = value > existing.amount || (existing.enforcement === 'block' && enforcement === 'warn');
+
+    if (!loosens) {
+      const limit = await LimitModel.update(existing.id, { amount: value, enforcement });
+
+      return {
+        success: true,
+        limit: await this.withUsage(userId, limit),
+        message: `Your ${this.describe(limit)} is updated`
+      };
+    }
+
+    const limit = await LimitModel.schedule(existing.id, {
+      action: 'update',
+      amount: value,
+      enforcement,
+      coolingOffDays: this.coolingOffDays
+    });
+
+    return {
+      success: true,
+      limit: await this.withUsage(userId, limit),
+      message: `Your ${this.describe(existing)} stays in place until the ${this.coolingOffDays}-day cooling-off period ends`
+    };
+  }
+
+  /**
+   * Remove a limit once the cooling-off period has passed
+   */
+  async removeLimit(userId, limitId) {
+    const existing = await this.findLimit(userId, limitId);
+
+    const limit = await LimitModel.schedule(existing.id, {
+      action: 'remove',
+      coolingOffDays: this.coolingOffDays
+    });
+
+    return {
+      success: true,
+      limit: await this.withUsage(userId, limit),
+      message: `Your ${this.describe(existing)} will be removed after the ${this.coolingOffDays}-day cooling-off period`
+    };
+  }
+
+  /**
+   * Cancel a pending raise or removal. Keeping the stricter limit needs no cooling-off.
+   */
+  async cancelPendingChange(userId, limitId) {
+    const existing = await this.findLimit(userId, limitId);
+
+    if (!existing.pendingChange) {
+      throw new AppError('This limit has no pending change', 400, 'NO_PENDING_CHANGE');
+    }
+
+    const limit = await LimitModel.clearPending(existing.id);
+
+    return {
+      success: true,
+      limit: await this.withUsage(userId, limit),
+      message: 'Pending change cancelled'
+    };
+  }
+
+  /**
+   * Check a new deposit or bet against the limits that cover its account.
+   * A breach of a blocking limit throws; breaches of warning-only limits and
+   * limits that are nearly used up come back as warnings. Entries dated
+   * before the current period of a limit don't count towards it.
+   */
+  async enforce(userId, accountId, { activity, amount = 0, date = null }) {
+    if (!this.limitTypesByActivity[activity]) {
+      return [];
+    }
+
+    const [result] = await this.check(userId, [{ accountId, activity, amount, date }]);
+
+    if (result.error) {
+      throw new AppError(result.error, 403, 'LIMIT_EXCEEDED');
+    }
+
+    return result.warnings;
+  }
+
+  /**
+   * Check a batch of new deposits and bets entered together, each with a
+   * `label` naming it in messages. The first to break a blocking limit
+   * rejects the whole batch; the warnings for the rest are returned.
+   */
+  async enforceBatch(userId, entries) {
+    const checked = entries.filter(entry => this.limitTypesByActivity[entry.activity]);
+    if (checked.length === 0) {
+      return [];
+    }
+
+    const results = await this.check(userId, checked);
+    const blocked = results.findIndex(result => result.error);
+
+    if (blocked !== -1) {
+      throw new AppError(`${checked[blocked].label}: ${results[blocked].error}`, 403, 'LIMIT_EXCEEDED');
+    }
+
+    return results.flatMap((result, index) => result.warnings.map(warning => `${checked[index].label}: ${warning}`));
+  }
+
+  /**
+   * Check a batch of new deposits and bets, such as an import, against the
+   * limits as if they were entered one after another: each entry counts
+   * towards the limits on top of the entries before it, unless it is blocked.
+   * Returns each entry's blocking breach as `error` (or null) and its `warnings`.
+   */
+  async check(userId, entries) {
+    await LimitModel.applyDueChanges(userId);
+    const limits = await LimitModel.findByUserId(userId);
+    // Usage so far this period, by limit ID
+    const usage = {};
+
+    const results = [];
+
+    for (const { accountId, activity, amount = 0, date = null } of entries) {
+      const limitTypes = this.limitTypesByActivity[activity] || [];
+      const entryDate = date || DateUtils.today();
+      const result = { error: null, warnings: [] };
+      const increases = [];
+
+      for (const limit of limits) {
+        if (!limitTypes.includes(limit.limitType) || (limit.accountId && limit.accountId !== accountId)) {
+          continue;
+        }
+
+        const periodStart = DateUtils.startOfPeriod(limit.period);
+        if (entryDate < periodStart) {
+          continue;
+        }
+
+        if (usage[limit.id] === undefined) {
+          usage[limit.id] = await LimitModel.getUsage(userId, limit.accountId, limit.limitType, periodStart);
+        }
+
+        const used = usage[limit.id];
+        const increase = limit.limitType === 'bet-count' ? 1 : amount;
+        const projected = used + increase;
+        increases.push({ limit, increase });
+
+        if (increase > 0 && projected > limit.amount) {
+          const message = `Your ${this.describe(limit)} would be exceeded: ${this.formatValue(limit, used)} used this ${limit.period}, ` +
+            `this ${activity} would make it ${this.formatValue(limit, projected)}`;
+
+          if (limit.enforcement === 'block') {
+            result.error = result.error || message;
+          } else {
+            result.warnings.push(message);
+          }
+        } else if (projected >= limit.amount * this.warningThreshold) {
+          result.warnings.push(`${Math.round((projected / limit.amount) * 100)}% of your ${this.describe(limit)} used this ${limit.period}`);
+        }
+      }
+
+      if (!result.error) {
+        increases.forEach(({ limit, increase }) => {
+          usage[limit.id] += increase;
+        });
+      }
+
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * Add this period's usage to a limit
+   */
+  async withUsage(userId, limit) {
+    const periodStart = DateUtils.startOfPeriod(limit.period);
+    const used = await LimitModel.getUsage(userId, limit.accountId, limit.limitType, periodStart);
+
+    return {
+      ...limit,
+      label: this.describe(limit),
+      periodStart,
+      resetsOn: DateUtils.startOfNextPeriod(limit.period),
+      used,
+      remaining: Math.max(0, Math.round((limit.amount - used) * 100) / 100),
+      percentUsed: limit.amount > 0 ? Math.round((used / limit.amount) * 1000) / 10 : 100,
+      reached: used >= limit.amount
+    };
+  }
+
+  /**
+   * Find one of the user's limits
+   */
+  async findLimit(userId, limitId) {
+    await LimitModel.applyDueChanges(userId);
+    const limit = await LimitModel.findById(limitId);
+
+    if (!limit || limit.userId !== userId) {
+      throw new AppError('Limit not found', 404, 'LIMIT_NOT_FOUND');
+    }
+
+    return limit;
+  }
+
+  /**
+   * Account a limit is for, or null for all accounts
+   */
+  async resolveAccountId(userId, accountKey) {
+    if (!accountKey) {
+      return null;
+    }
+
+    const account = await AccountModel.findByUserAndKey(userId, accountKey);
+    if (!account) {
+      throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+    }
+
+    return account.id;
+  }
+
+  /**
+   * Limits are positive; bet counts are whole numbers
+   */
+  parseAmount(limitType, amount) {
+    const value = parseFloat(amount);
+
+    if (isNaN(value) || value <= 0) {
+      throw new AppError('Limit must be a positive number', 400, 'INVALID_LIMIT');
+    }
+
+    if (limitType === 'bet-count' && !Number.isInteger(value)) {
+      throw new AppError('Bet count limits must be a whole number', 400, 'INVALID_LIMIT');
+    }
+
+    return value;
+  }
+
+  /**
+   * e.g. "weekly deposit limit of $500.00 for DraftKings"
+   */
+  describe(limit) {
+    const scope = limit.accountName ? ` for ${limit.accountName}` : '';
+    return `${this.periodLabels[limit.period]} ${this.labels[limit.limitType]} limit of ${this.formatValue(limit, limit.amount)}${scope}`;
+  }
+
+  formatValue(limit, value) {
+    if (limit.limitType === 'bet-count') {
+      return `${value} bet${value === 1 ? '' : 's'}`;
+    }
+
+    return `$${Number(value).toFixed(2)}`;
+  }
+}
+
+module.exports = new LimitService();
@@ -0,0 +1,292 @@
+const PositionModel = require('../models/Position.model');
+const BetModel = require('../models/Bet.model');
+const OddsUtils = require('../utils/odds');
+const { AppError } = require('../middleware/error.middleware');
+
+class PositionService {
+  constructor() {
+    this.labels = {
+      arbitrage: 'arbitrage',
+      'bonus-conversion': 'bonus bet conversion',
+      hedge: 'hedge'
+    };
+    // Most prices a calculation takes - one per outcome
+    this.maxLegs = 10;
+  }
+
+  /**
+   * Work out the stakes that pay the same whichever outcome wins.
+   * Without a bonus stake the legs are an arbitrage: totalStake (or the
+   * stake on the first leg) is split across them, and the profit is
+   * guaranteed when the prices add up to less than 100%. With a bonus
+   * stake the first leg is a bonus bet, which pays its winnings but not its
+   * stake, and the other legs hedge it with cash; the guaranteed profit as
+   * a share of the bonus stake is the conversion rate.
+   */
+  calculate({ legs, totalStake, firstLegStake, bonusStake }) {
+    if (!Array.isArray(legs) || legs.length < 2 || legs.length > this.maxLegs) {
+      throw new AppError(`Enter between 2 and ${this.maxLegs} prices`, 400, 'INVALID_CALCULATION');
+    }
+
+    const prices = legs.map((leg, index) => {
+      const normalized = OddsUtils.normalize(leg.odds, leg.oddsFormat || null);
+      if (!normalized) {
+        throw new AppError(`Price ${index + 1} is not valid odds`, 400, 'INVALID_CALCULATION');
+      }
+      return normalized;
+    });
+
+    // The share of each outcome the prices imply; below 100% in total is an arbitrage
+    const bookPercent = prices.reduce((sum, price) => sum + 100 / price.decimal, 0);
+    const isBonus = bonusStake !== undefined && bonusStake !== null && bonusStake !== '';
+    let stakes;
+
+    if (isBonus) {
+      const bonus = this.parseStake(bonusStake, 'Bonus stake');
+      const payout = bonus * (prices[0].decimal - 1);
+      stakes = [bonus, ...prices.slice(1).map(price => this.round(payout / price.decimal))];
+    } else {
+      const total = firstLegStake !== undefined && firstLegStake !== null && firstLegStake !== ''
+        ? this.parseStake(firstLegStake, 'First leg stake') * prices[0].decimal * (bookPercent / 100)
+        : this.parseStake(totalStake === undefined || totalStake === null || totalStake === '' ? 100 : totalStake, 'Total stake');
+      stakes = prices.map(price => this.round((total * (100 / price.decimal)) / bookPercent));
+    }
+
+    // Profit is taken from the rounded stakes, so it is what placing them would really return
+    const cashStaked = this.round(stakes.reduce((sum, stake, index) => sum + (isBonus && index === 0 ? 0 : stake), 0));
+    const outcomes = prices.map((price, index) => {
+      const payout = isBonus && index === 0 ? stakes[0] * (price.decimal - 1) : stakes[index] * price.decimal;
+      return this.round(payout - cashStaked);
+    });
+    const guaranteedProfit = Math.min(...outcomes);
+
+    return {
+      success: true,
+      mode: isBonus ? 'bonus-conversion' : 'arbitrage',
+      legs: prices.map((price, index) => ({
+        odds: OddsUtils.format(price.decimal, price.format),
+        oddsDecimal: price.decimal,
+        stake: stakes[index],
+        isBonusBet: isBonus && index === 0,
+        profitIfWins: outcomes[index]
+      })),
+      bookPercent: Math.round(bookPercent * 100) / 100,
+      isArbitrage: bookPercent < 100,
+      cashStaked,
+      guaranteedProfit,
+      returnPercent: !isBonus && cashStaked > 0 ? this.round((guaranteedProfit / cashStaked) * 100) : null,
+      conversionRate: isBonus ? this.round((guaranteedProfit / stakes[0]) * 100) : null
+    };
+  }
+
+  /**
+   * A user's positions with their bets and results
+   */
+  async getPositions(userId, { strategy = null } = {}) {
+    const positions = await PositionModel.findByUserId(userId, { strategy });
+    const betsByPosition = await PositionModel.getBets(positions.map(position => position.id));
+    const results = positions.map(position => this.withResults(position, betsByPosition[position.id] || []));
+    const settled = results.filter(position => position.settled);
+
+    return {
+      success: true,
+      positions: results,
+      summary: {
+        open: results.length - settled.length,
+        settled: settled.length,
+        realisedProfit: this.round(settled.reduce((sum, position) => sum + position.realisedProfit, 0))
+      }
+    };
+  }
+
+  /**
+   * One position with its bets and results
+   */
+  async getPosition(userId, positionId) {
+    const position = await this.findPosition(userId, positionId);
+
+    return {
+      success: true,
+      position: await this.loadResults(position)
+    };
+  }
+
+  /**
+   * Group bets into a new position
+   */
+  async createPosition(userId, { strategy, name, notes, betIds = [] }) {
+    const bets = await this.findBets(userId, betIds, null);
+
+    const position = await PositionModel.create({
+      user_id: userId,
+      strategy: strategy || 'arbitrage',
+      name: name.trim(),
+      notes
+    });
+    await PositionModel.setBetPosition(bets.map(bet => bet.id), position.id);
+
+    return {
+      success: true,
+      position: await this.loadResults(position),
+      message: `${position.name} created`
+    };
+  }
+
+  /**
+   * Rename a position or change its strategy or notes
+   */
+  async updatePosition(userId, positionId, { strategy, name, notes }) {
+    const existing = await this.findPosition(userId, positionId);
+    const position = await PositionModel.update(existing.id, {
+      strategy,
+      name: name !== undefined ? name.trim() : undefined,
+      notes
+    });
+
+    return {
+      success: true,
+      position: await this.loadResults(position),
+      message: 'Position updated'
+    };
+  }
+
+  /**
+   * Delete a position. Its bets are kept.
+   */
+  async deletePosition(userId, positionId) {
+    const existing = await this.findPosition(userId, positionId);
+    await PositionModel.delete(existing.id);
+
+    return {
+      success: true,
+      message: `${existing.name} deleted`
+    };
+  }
+
+  /**
+   * Add bets to a position
+   */
+  async addBets(userId, positionId, betIds) {
+    const position = await this.findPosition(userId, positionId);
+    const bets = await this.findBets(userId, betIds, position.id);
+    await PositionModel.setBetPosition(bets.map(bet => bet.id), position.id);
+
+    return {
+      success: true,
+      position: await this.loadResults(position),
+      message: `${bets.length} bet${bets.length === 1 ? '' : 's'} added to ${position.name}`
+    };
+  }
+
+  /**
+   * Take a bet out of a position
+   */
+  async removeBet(userId, positionId, betId) {
+    const position = await this.findPosition(userId, positionId);
+    const bet = await BetModel.findById(betId);
+
+    if (!bet || bet.userId !== userId || bet.positionId !== position.id) {
+      throw new AppError('Bet not found in this position', 404, 'BET_NOT_FOUND');
+    }
+
+    await PositionModel.setBetPosition([bet.id], null);
+
+    return {
+      success: true,
+      position: await this.loadResults(position),
+      message: `Bet removed from ${position.name}`
+    };
+  }
+
+  /**
+   * A position with its bets loaded
+   */
+  async loadResults(position) {
+    const betsByPosition = await PositionModel.getBets([position.id]);
+    return this.withResults(position, betsByPosition[position.id] || []);
+  }
+
+  /**
+   * Add a position's stakes and results. Each bet is taken to be on a
+   * different outcome, so the locked-in profit is the worst of what each bet
+   * would return if it won and the others lost. Realised profit counts once
+   * every bet has settled.
+   */
+  withResults(position, bets) {
+    const cashStaked = bets.reduce((sum, bet) => sum + (bet.isBonusBet ? 0 : bet.amount), 0);
+    const bonusStaked = bets.reduce((sum, bet) => sum + (bet.isBonusBet ? bet.displayAmount : 0), 0);
+    const settled = bets.length > 0 && bets.every(bet => bet.status !== 'pending');
+    const realisedProfit = bets.reduce((sum, bet) => sum + bet.profitLoss, 0);
+
+    const priced = bets.length >= 2 && bets.every(bet => bet.oddsDecimal);
+    const lockedProfit = priced
+      ? Math.min(...bets.map(bet => {
+        const payout = bet.isBonusBet ? bet.displayAmount * (bet.oddsDecimal - 1) : bet.amount * bet.oddsDecimal;
+        return payout - cashStaked;
+      }))
+      : null;
+
+    const profit = settled ? realisedProfit : lockedProfit;
+
+    return {
+      ...position,
+      label: this.labels[position.strategy],
+      bets,
+      accounts: [...new Set(bets.map(bet => bet.accountName))],
+      cashStaked: this.round(cashStaked),
+      bonusStaked: this.round(bonusStaked),
+      settled,
+      lockedProfit: lockedProfit !== null ? this.round(lockedProfit) : null,
+      realisedProfit: settled ? this.round(realisedProfit) : null,
+      returnPercent: profit !== null && bonusStaked === 0 && cashStaked > 0 ? this.round((profit / cashStaked) * 100) : null,
+      conversionRate: profit !== null && bonusStaked > 0 ? this.round((profit / bonusStaked) * 100) : null
+    };
+  }
+
+  /**
+   * Find one of the user's positions
+   */
+  async findPosition(userId, positionId) {
+    const position = await PositionModel.findById(positionId);
+
+    if (!position || position.userId !== userId) {
+      throw new AppError('Position not found', 404, 'POSITION_NOT_FOUND');
+    }
+
+    return position;
+  }
+
+  /**
+   * Find the user's bets to put in a position. A bet can only be in one
+   * position at a time.
+   */
+  async findBets(userId, betIds, positionId) {
+    const ids = [...new Set(betIds.map(id => parseInt(id)))];
+    const bets = await Promise.all(ids.map(id => BetModel.findById(id)));
+
+    bets.forEach((bet, index) => {
+      if (!bet || bet.userId !== userId) {
+        throw new AppError(`Bet ${ids[index]} not found`, 404, 'BET_NOT_FOUND');
+      }
+      if (bet.positionId && bet.positionId !== positionId) {
+        throw new AppError(`Bet ${bet.id} is already in another position`, 409, 'BET_IN_POSITION');
+      }
+    });
+
+    return bets;
+  }
+
+  parseStake(value, field) {
+    const stake = parseFloat(value);
+    if (isNaN(stake) || stake <= 0) {
+      throw new AppError(`${field} must be a positive number`, 400, 'INVALID_CALCULATION');
+    }
+    return stake;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new PositionService();
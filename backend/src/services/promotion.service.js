@@ -0,0 +1,256 @@
+const PromotionModel = require('../models/Promotion.model');
+const AccountModel = require('../models/Account.model');
+const DateUtils = require('../utils/dates');
+const { AppError } = require('../middleware/error.middleware');
+
+class PromotionService {
+  constructor() {
+    this.labels = {
+      'bet-credit': 'bet credit',
+      'deposit-match': 'deposit match',
+      'profit-boost': 'profit boost',
+      'odds-boost': 'odds boost',
+      'no-sweat': 'no-sweat bet'
+    };
+    // Offers that pay out as a percentage on top of a winning bet
+    this.boostTypes = ['profit-boost', 'odds-boost'];
+    // Offers whose bets are placed with site credit rather than the balance
+    this.bonusStakeTypes = ['bet-credit'];
+  }
+
+  /**
+   * A user's promotions with their playthrough progress and value so far,
+   * plus promo value totals per account
+   */
+  async getPromotions(userId, { accountKey = null, status = null } = {}) {
+    await PromotionModel.expireDue(userId, DateUtils.today());
+    const promotions = await Promise.all(
+      (await PromotionModel.findByUserId(userId, { accountKey, status })).map(promotion => this.withProgress(promotion))
+    );
+
+    const byAccount = {};
+    promotions.forEach(promotion => {
+      byAccount[promotion.accountKey] = this.round((byAccount[promotion.accountKey] || 0) + promotion.value.total);
+    });
+
+    return {
+      success: true,
+      promotions,
+      summary: {
+        active: promotions.filter(promotion => promotion.status === 'active').length,
+        totalValue: this.round(promotions.reduce((sum, promotion) => sum + promotion.value.total, 0)),
+        valueByAccount: byAccount
+      }
+    };
+  }
+
+  /**
+   * One promotion with its progress and value
+   */
+  async getPromotion(userId, promotionId) {
+    const promotion = await this.findPromotion(userId, promotionId);
+
+    return {
+      success: true,
+      promotion: await this.withProgress(promotion)
+    };
+  }
+
+  /**
+   * Record an offer on one of the user's accounts
+   */
+  async createPromotion(userId, { accountKey, offerType, name, amount, boostPercent, rolloverMultiplier, minOdds, startsOn, expiresOn, notes }) {
+    const account = await AccountModel.findByUserAndKey(userId, accountKey);
+    if (!account) {
+      throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+    }
+    if (account.archivedAt) {
+      throw new AppError(`Account '${account.name}' is archived`, 400, 'ACCOUNT_ARCHIVED');
+    }
+
+    const terms = this.parseTerms({ offerType, boostPercent, startsOn: startsOn || DateUtils.today(), expiresOn });
+
+    const promotion = await PromotionModel.create({
+      account_id: account.id,
+      offer_type: offerType,
+      name: name.trim(),
+      amount: parseFloat(amount) || 0,
+      boost_percent: terms.boostPercent,
+      rollover_multiplier: parseFloat(rolloverMultiplier) || 0,
+      min_odds_decimal: minOdds ? parseFloat(minOdds) : null,
+      starts_on: terms.startsOn,
+      expires_on: terms.expiresOn,
+      notes
+    });
+
+    return {
+      success: true,
+      promotion: await this.withProgress(promotion),
+      message: `${account.name} ${this.labels[offerType]} added`
+    };
+  }
+
+  /**
+   * Change a promotion's terms, or mark it forfeited or active again
+   */
+  async updatePromotion(userId, promotionId, { name, amount, boostPercent, rolloverMultiplier, minOdds, startsOn, expiresOn, status, notes }) {
+    const existing = await this.findPromotion(userId, promotionId);
+    const terms = this.parseTerms({
+      offerType: existing.offerType,
+      boostPercent: boostPercent !== undefined ? boostPercent : existing.boostPercent,
+      startsOn: startsOn !== undefined ? startsOn : existing.startsOn,
+      expiresOn: expiresOn !== undefined ? expiresOn : existing.expiresOn
+    });
+
+    // Reactivating an offer past its expiry would only expire it again
+    if (status === 'active' && terms.expiresOn && terms.expiresOn < DateUtils.today()) {
+      throw new AppError('Extend the expiry date to reactivate this promotion', 400, 'PROMOTION_EXPIRED');
+    }
+
+    const promotion = await PromotionModel.update(existing.id, {
+      name: name !== undefined ? name.trim() : undefined,
+      amount: amount !== undefined ? parseFloat(amount) || 0 : undefined,
+      boost_percent: terms.boostPercent,
+      rollover_multiplier: rolloverMultiplier !== undefined ? parseFloat(rolloverMultiplier) || 0 : undefined,
+      min_odds_decimal: minOdds !== undefined ? (minOdds ? parseFloat(minOdds) : null) : undefined,
+      starts_on: terms.startsOn,
+      expires_on: terms.expiresOn,
+      status,
+      notes
+    });
+
+    return {
+      success: true,
+      promotion: await this.withProgress(promotion),
+      message: 'Promotion updated'
+    };
+  }
+
+  /**
+   * Delete a promotion. Bets and credits recorded against it stay and are unlinked.
+   */
+  async deletePromotion(userId, promotionId) {
+    const existing = await this.findPromotion(userId, promotionId);
+    await PromotionModel.delete(existing.id);
+
+    return {
+      success: true,
+      message: `${existing.name} deleted`
+    };
+  }
+
+  /**
+   * The promotion a new bet or bonus credit is recorded against, or null
+   * without one. It has to be active and on the same account as the entry.
+   */
+  async resolveForEntry(userId, accountId, promotionId) {
+    if (!promotionId) {
+      return null;
+    }
+
+    const promotion = await this.findPromotion(userId, promotionId);
+
+    if (promotion.accountId !== accountId) {
+      throw new AppError(`${promotion.name} is for ${promotion.accountName}`, 400, 'PROMOTION_ACCOUNT_MISMATCH');
+    }
+
+    if (promotion.status !== 'active' || (promotion.expiresOn && promotion.expiresOn < DateUtils.today())) {
+      throw new AppError(`${promotion.name} is no longer active`, 400, 'PROMOTION_INACTIVE');
+    }
+
+    return promotion;
+  }
+
+  /**
+   * Whether bets placed with a promotion are staked with site credit
+   */
+  isBonusStake(promotion) {
+    return Boolean(promotion) && this.bonusStakeTypes.includes(promotion.offerType);
+  }
+
+  /**
+   * Add playthrough progress and value so far to a promotion. An active
+   * promotion whose playthrough is met is marked completed.
+   */
+  async withProgress(promotion) {
+    const required = this.round(promotion.amount * promotion.rolloverMultiplier);
+    const progress = required > 0 ? await PromotionModel.getRolloverProgress(promotion) : { bets: 0, staked: 0 };
+    const payouts = await PromotionModel.getPayouts(promotion.id);
+
+    let current = promotion;
+    if (promotion.status === 'active' && required > 0 && progress.staked >= required) {
+      current = await PromotionModel.update(promotion.id, { status: 'completed' });
+    }
+
+    // A boost's share of a win is the part above what the unboosted price would have paid
+    const boostValue = this.boostTypes.includes(promotion.offerType) && promotion.boostPercent
+      ? payouts.boostedProfit * (promotion.boostPercent / (100 + promotion.boostPercent))
+      : 0;
+
+    return {
+      ...current,
+      label: this.labels[promotion.offerType],
+      rollover: {
+        required,
+        staked: this.round(progress.staked),
+        remaining: this.round(Math.max(0, required - progress.staked)),
+        percentComplete: required > 0 ? Math.min(100, Math.round((progress.staked / required) * 1000) / 10) : 100,
+        qualifyingBets: progress.bets
+      },
+      value: {
+        credited: this.round(payouts.credited),
+        bonusBetReturns: this.round(payouts.bonusBetReturns),
+        boostValue: this.round(boostValue),
+        total: this.round(payouts.credited + payouts.bonusBetReturns + boostValue)
+      },
+      linkedBets: payouts.linkedBets
+    };
+  }
+
+  /**
+   * Find one of the user's promotions
+   */
+  async findPromotion(userId, promotionId) {
+    const promotion = await PromotionModel.findById(promotionId);
+
+    if (!promotion || promotion.userId !== userId) {
+      throw new AppError('Promotion not found', 404, 'PROMOTION_NOT_FOUND');
+    }
+
+    return promotion;
+  }
+
+  /**
+   * Boosts need a percentage and other offers don't have one; an offer
+   * can't expire before it starts
+   */
+  parseTerms({ offerType, boostPercent, startsOn, expiresOn }) {
+    const isBoost = this.boostTypes.includes(offerType);
+    const boost = isBoost && boostPercent !== null && boostPercent !== undefined && boostPercent !== ''
+      ? parseFloat(boostPercent)
+      : null;
+
+    if (isBoost && (boost === null || isNaN(boost) || boost <= 0)) {
+      throw new AppError('Boosts need a boost percentage above 0', 400, 'INVALID_PROMOTION');
+    }
+
+    const start = DateUtils.parseDate(startsOn);
+    const end = DateUtils.isBlank(expiresOn) ? null : DateUtils.parseDate(expiresOn);
+
+    if (!start || (!DateUtils.isBlank(expiresOn) && !end)) {
+      throw new AppError('Promotion dates must be valid dates', 400, 'INVALID_PROMOTION');
+    }
+
+    if (end && end < start) {
+      throw new AppError('A promotion cannot expire before it starts', 400, 'INVALID_PROMOTION');
+    }
+
+    return { boostPercent: boost, startsOn: start, expiresOn: end };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new PromotionService();
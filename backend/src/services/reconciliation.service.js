@@ -0,0 +1,264 @@
+const { pool } = require('../config/database.config');
+const AccountModel = require('../models/Account.model');
+const BetModel = require('../models/Bet.model');
+const TransactionModel = require('../models/Transaction.model');
+const LedgerModel = require('../models/Ledger.model');
+const ReconciliationModel = require('../models/Reconciliation.model');
+const BetService = require('./bet.service');
+const { AppError } = require('../middleware/error.middleware');
+
+class ReconciliationService {
+  constructor() {
+    // Differences smaller than a cent are rounding, not a discrepancy
+    this.tolerance = 0.005;
+    // How many pending bets and recent deposits are checked against the discrepancy
+    this.lookback = 100;
+  }
+
+  /**
+   * Compare the tracked balance with the balance the sportsbook reports, without recording anything
+   */
+  async preview(userId, accountKey, reportedBalance) {
+    const account = await this.findAccount(userId, accountKey);
+    const analysis = await this.analyze(account, this.parseReportedBalance(reportedBalance));
+
+    return {
+      success: true,
+      accountKey,
+      ...analysis
+    };
+  }
+
+  /**
+   * Record a reconciliation, optionally adding a ledger entry that brings
+   * the tracked balance in line with the reported one
+   */
+  async reconcile(userId, accountKey, { reportedBalance, adjust = false, note = '' }) {
+    const account = await this.findAccount(userId, accountKey);
+    const reported = this.parseReportedBalance(reportedBalance);
+    const analysis = await this.analyze(account, reported);
+
+    const connection = await pool.getConnection();
+    let reconciliation;
+
+    try {
+      await connection.beginTransaction();
+
+      let ledgerEntryId = null;
+      if (adjust && !analysis.balanced) {
+        ledgerEntryId = await LedgerModel.append(account.id, {
+          entryType: 'reconciliation',
+          amount: analysis.discrepancy,
+          description: note ? `Reconciled to sportsbook balance - ${note}` : 'Reconciled to sportsbook balance'
+        }, connection);
+      }
+
+      reconciliation = await ReconciliationModel.create({
+        account_id: account.id,
+        reported_balance: reported,
+        tracked_balance: analysis.trackedBalance,
+        discrepancy: analysis.discrepancy,
+        causes: analysis.causes,
+        adjusted: Boolean(ledgerEntryId),
+        ledger_entry_id: ledgerEntryId,
+        note
+      }, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    let message = 'Balance matches the sportsbook';
+    if (!analysis.balanced) {
+      message = reconciliation.adjusted
+        ? `Recorded a ${this.formatAmount(analysis.discrepancy)} adjustment to match the sportsbook`
+        : `Balance is off by ${this.formatAmount(analysis.discrepancy)} - no adjustment recorded`;
+    }
+
+    return {
+      success: true,
+      message,
+      reconciliation,
+      balance: reconciliation.adjusted ? reported : analysis.trackedBalance
+    };
+  }
+
+  /**
+   * Reconciliation history for an account
+   */
+  async getHistory(userId, accountKey, options = {}) {
+    const account = await this.findAccount(userId, accountKey);
+    const result = await ReconciliationModel.findByAccountId(account.id, options);
+
+    return {
+      success: true,
+      accountKey,
+      ...result
+    };
+  }
+
+  /**
+   * Work out the discrepancy and the likely reasons for it
+   */
+  async analyze(account, reportedBalance) {
+    const trackedBalance = LedgerModel.round(account.balance);
+    const discrepancy = LedgerModel.round(reportedBalance - trackedBalance);
+    const balanced = Math.abs(discrepancy) < this.tolerance;
+
+    const causes = balanced ? [] : await this.findLikelyCauses(account, discrepancy);
+
+    return {
+      reportedBalance,
+      trackedBalance,
+      discrepancy,
+      balanced,
+      causes
+    };
+  }
+
+  /**
+   * Likely explanations for a discrepancy, most likely first.
+   * Positive discrepancies mean the book shows more money than we track.
+   */
+  async findLikelyCauses(account, discrepancy) {
+    const causes = [];
+    const matches = (amount) => Math.abs(Math.abs(discrepancy) - amount) < this.tolerance;
+
+    // Our own rows and the ledger disagree - recalculating explains some or all of it
+    const calculated = await AccountModel.calculateBalance(account.id);
+    const drift = LedgerModel.round(calculated.balance - account.balance);
+    if (Math.abs(drift) >= this.tolerance) {
+      causes.push({
+        type: 'tracking-drift',
+        likelihood: matches(drift) && Math.sign(drift) === Math.sign(discrepancy) ? 'high' : 'medium',
+        amount: drift,
+        message: `Recorded transactions and bets add up to ${this.formatAmount(drift)} ${drift > 0 ? 'more' : 'less'} than the tracked balance - try recalculating`
+      });
+    }
+
+    const { bets: pendingBets } = await BetModel.findByAccountId(account.id, { status: 'pending', limit: this.lookback });
+
+    if (discrepancy > 0) {
+      causes.push(...this.findPendingBetCauses(pendingBets, discrepancy, matches));
+
+      const { transactions: deposits } = await TransactionModel.findByAccountId(account.id, { type: 'deposit', limit: this.lookback });
+      const matchedDeposit = deposits.find(deposit => matches(deposit.amount));
+
+      causes.push({
+        type: 'missing-bonus-credit',
+        likelihood: matchedDeposit ? 'high' : (pendingBets.length > 0 ? 'low' : 'medium'),
+        amount: discrepancy,
+        message: matchedDeposit
+          ? `Matches the ${this.formatAmount(matchedDeposit.amount)} deposit on ${matchedDeposit.date} - a deposit match bonus may not have been recorded`
+          : `A bonus, promotion or site credit of ${this.formatAmount(discrepancy)} may not have been recorded`
+      });
+    } else {
+      const { bets: settledBets } = await BetModel.findByAccountId(account.id, { limit: this.lookback });
+      const matchedWin = settledBets.find(bet => BetModel.payoutStatuses.includes(bet.status) && matches(bet.winnings));
+
+      if (matchedWin) {
+        causes.push({
+          type: 'settlement-mismatch',
+          likelihood: 'high',
+          amount: -matchedWin.winnings,
+          betIds: [matchedWin.id],
+          message: `Bet #${matchedWin.id} is recorded as ${matchedWin.status} for ${this.formatAmount(matchedWin.winnings)} - check how the book settled it`
+        });
+      }
+
+      causes.push({
+        type: 'missing-bet-or-withdrawal',
+        likelihood: matchedWin ? 'low' : 'medium',
+        amount: discrepancy,
+        message: `A bet, withdrawal or fee of ${this.formatAmount(-discrepancy)} at the book may not have been recorded`
+      });
+    }
+
+    const order = { high: 0, medium: 1, low: 2 };
+    return causes.sort((a, b) => order[a.likelihood] - order[b.likelihood]);
+  }
+
+  /**
+   * Pending bets the book may already have settled
+   */
+  findPendingBetCauses(pendingBets, discrepancy, matches) {
+    if (pendingBets.length === 0) {
+      return [];
+    }
+
+    const causes = [];
+
+    // A single bet whose payout or refunded stake is exactly the difference
+    const winner = pendingBets.find(bet => matches(BetService.calculateOddsPayout(bet)));
+    if (winner) {
+      causes.push({
+        type: 'pending-bet-settled',
+        likelihood: 'high',
+        amount: BetService.calculateOddsPayout(winner),
+        betIds: [winner.id],
+        message: `Pending bet #${winner.id} (${winner.description || 'no description'}) would pay exactly this if it won`
+      });
+    }
+
+    const refunded = pendingBets.find(bet => !bet.isBonusBet && matches(bet.amount));
+    if (refunded) {
+      causes.push({
+        type: 'pending-bet-refunded',
+        likelihood: 'high',
+        amount: refunded.amount,
+        betIds: [refunded.id],
+        message: `Pending bet #${refunded.id} (${refunded.description || 'no description'}) would refund exactly this if it was voided or pushed`
+      });
+    }
+
+    const totalStake = pendingBets.reduce((sum, bet) => sum + bet.amount, 0);
+    const potentialReturn = pendingBets.reduce((sum, bet) => sum + (BetService.calculateOddsPayout(bet) || bet.amount), 0);
+
+    causes.push({
+      type: 'pending-bets',
+      likelihood: discrepancy <= potentialReturn + this.tolerance ? 'medium' : 'low',
+      amount: LedgerModel.round(potentialReturn),
+      betIds: pendingBets.map(bet => bet.id),
+      message: `${pendingBets.length} pending bet(s) (${this.formatAmount(totalStake)} staked, up to ${this.formatAmount(potentialReturn)} potential return) may have settled at the book`
+    });
+
+    return causes;
+  }
+
+  /**
+   * Find an account or fail with a 404
+   */
+  async findAccount(userId, accountKey) {
+    const account = await AccountModel.findByUserAndKey(userId, accountKey);
+    if (!account) {
+      throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+    }
+
+    return account;
+  }
+
+  /**
+   * Validate the balance entered from the sportsbook
+   */
+  parseReportedBalance(value) {
+    const balance = parseFloat(value);
+    if (value === undefined || value === null || value === '' || isNaN(balance)) {
+      throw new AppError('Reported balance must be a valid number', 400, 'INVALID_REPORTED_BALANCE');
+    }
+
+    return LedgerModel.round(balance);
+  }
+
+  /**
+   * Format an amount for messages
+   */
+  formatAmount(amount) {
+    return `$${Math.abs(amount).toFixed(2)}`;
+  }
+}
+
+module.exports = new ReconciliationService();
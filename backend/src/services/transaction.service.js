@@ -1,96 +1,14 @@
+const { pool } = require('../config/database.config');
 const TransactionModel = require('../models/Transaction.model');
 const AccountModel = require('../models/Account.model');
 const BetModel = require('../models/Bet.model');
-const { AppError } = require('../middleware/error.middleware');
+const LedgerModel = require('../models/Ledger.model');
+const TrashService = require('./trash.service');
+const LimitService = require('./limit.service');
+const DateUtils = require('../utils/dates');
+const { AppError, ValidationError } = require('../middleware/error.middleware');
 
 class TransactionService {
-  /**
-   * Create a new transaction
-   */
-  async createTransaction(userId, transactionData) {
-    try {
-      const { account, type, amount, description } = transactionData;
-      
-      // Find and validate account
-      const accountData = await AccountModel.findByUserAndKey(userId, account);
-      if (!accountData) {
-        throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
-      }
-      
-      // Validate transaction type
-      if (!TransactionModel.validTypes.includes(type)) {
-        throw new AppError(`Invalid transaction type: ${type}`, 400, 'INVALID_TRANSACTION_TYPE');
-      }
-      
-      // Validate amount
-      const numAmount = parseFloat(amount);
-      if (isNaN(numAmount) || numAmount <= 0) {
-        throw new AppError('Amount must be a positive number', 400, 'INVALID_AMOUNT');
-      }
-      
-      // Additional validations based on transaction type
-      await this.validateTransactionConstraints(accountData, type, numAmount);
-      
-      // Create the transaction
-      const transaction = await TransactionModel.create({
-        account_id: accountData.id,
-        type,
-        amount: numAmount,
-        description: description || '',
-        transaction_date: new Date()
-      });
-      
-      // Update account balance based on transaction type
-      const balanceChange = this.calculateBalanceImpact(type, numAmount);
-      let depositChange = 0;
-      let withdrawalChange = 0;
-      
-      if (type === 'deposit') {
-        depositChange = numAmount;
-      } else if (type === 'withdrawal') {
-        withdrawalChange = numAmount;
-      }
-      
-      // Handle special case for bet transactions
-      if (type === 'bet') {
-        const isBonusBet = description && description.toLowerCase().includes('bonus');
-        const betAmount = isBonusBet ? 0 : numAmount;
-        
-        // Create corresponding bet record
-        await BetModel.create({
-          account_id: accountData.id,
-          amount: betAmount,
-          display_amount: numAmount,
-          description: description || '',
-          bet_date: new Date(),
-          is_bonus_bet: isBonusBet,
-          status: 'pending'
-        });
-        
-        // Adjust balance change for bonus bets
-        if (isBonusBet) {
-          balanceChange = 0; // No balance impact for bonus bets
-        }
-      }
-      
-      // Update account totals
-      await AccountModel.updateTotals(accountData.id, depositChange, withdrawalChange, balanceChange);
-      
-      return {
-        success: true,
-        transaction: await TransactionModel.findById(transaction.id),
-        message: 'Transaction created successfully'
-      };
-      
-    } catch (error) {
-      if (error instanceof AppError) {
-        throw error;
-      }
-      
-      throw new AppError('Failed to create transaction', 500, 'TRANSACTION_CREATION_FAILED');
-    }
-  }
-  
   /**
    * Get all transactions for a user with filtering and pagination
    */
@@ -150,98 +68,10 @@ class TransactionService {
   }
   
   /**
-   * Update a transaction
-   */
-  async updateTransaction(userId, transactionId, updateData) {
-    try {
-      // Get the current transaction
-      const currentTransaction = await TransactionModel.findById(transactionId);
-      if (!currentTransaction || currentTransaction.userId !== userId) {
-        throw new AppError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
-      }
-      
-      // Validate update data
-      const validatedData = await this.validateTransactionUpdate(currentTransaction, updateData);
-      
-      // Calculate balance adjustments
-      const oldImpact = this.calculateBalanceImpact(currentTransaction.type, currentTransaction.amount);
-      const newImpact = this.calculateBalanceImpact(
-        validatedData.type || currentTransaction.type,
-        validatedData.amount || currentTransaction.amount
-      );
-      
-      const balanceAdjustment = newImpact - oldImpact;
-      
-      // Update the transaction
-      const updatedTransaction = await TransactionModel.update(transactionId, validatedData);
-      
-      // Update account balance if needed
-      if (balanceAdjustment !== 0) {
-        await AccountModel.updateBalance(currentTransaction.accountId, balanceAdjustment);
-      }
-      
-      // Handle deposit/withdrawal total adjustments
-      await this.adjustAccountTotals(currentTransaction, validatedData);
-      
-      return {
-        success: true,
-        transaction: updatedTransaction,
-        message: 'Transaction updated successfully'
-      };
-      
-    } catch (error) {
-      if (error instanceof AppError) {
-        throw error;
-      }
-      
-      throw new AppError('Failed to update transaction', 500, 'TRANSACTION_UPDATE_FAILED');
-    }
-  }
-  
-  /**
-   * Delete a transaction
+   * Delete a transaction by moving it to the trash
    */
   async deleteTransaction(userId, transactionId) {
-    try {
-      // Get the transaction to delete
-      const transaction = await TransactionModel.findById(transactionId);
-      if (!transaction || transaction.userId !== userId) {
-        throw new AppError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
-      }
-      
-      // Calculate reverse balance impact
-      const balanceImpact = -this.calculateBalanceImpact(transaction.type, transaction.amount);
-      let depositChange = 0;
-      let withdrawalChange = 0;
-      
-      if (transaction.type === 'deposit') {
-        depositChange = -transaction.amount;
-      } else if (transaction.type === 'withdrawal') {
-        withdrawalChange = -transaction.amount;
-      }
-      
-      // Delete the transaction
-      const deleted = await TransactionModel.delete(transactionId);
-      
-      if (!deleted) {
-        throw new AppError('Failed to delete transaction', 500, 'TRANSACTION_DELETION_FAILED');
-      }
-      
-      // Update account balances
-      await AccountModel.updateTotals(transaction.accountId, depositChange, withdrawalChange, balanceImpact);
-      
-      return {
-        success: true,
-        message: 'Transaction deleted successfully'
-      };
-      
-    } catch (error) {
-      if (error instanceof AppError) {
-        throw error;
-      }
-      
-      throw new AppError('Failed to delete transaction', 500, 'TRANSACTION_DELETION_FAILED');
-    }
+    return TrashService.trashTransaction(userId, transactionId);
   }
   
   /**
@@ -293,40 +123,51 @@ class TransactionService {
   }
   
   /**
-   * Bulk create transactions
+   * Bulk create transactions. Nothing is saved unless every row is valid, and
+   * the rows are written with their ledger entries in one transaction.
    */
   async bulkCreateTransactions(userId, transactionsData) {
     try {
       // Validate all transactions first
       const validatedTransactions = [];
-      const errors = [];
+      const errors = {};
       
       for (let i = 0; i < transactionsData.length; i++) {
         try {
           const validated = await this.validateBulkTransaction(userId, transactionsData[i], i);
           validatedTransactions.push(validated);
         } catch (error) {
-          errors.push({
-            index: i,
-            error: error.message,
-            data: transactionsData[i]
-          });
+          errors[`transactions[${i}]`] = { message: error.message, value: transactionsData[i] };
         }
       }
       
-      if (errors.length > 0) {
-        throw new AppError('Validation errors in bulk transaction data', 400, 'BULK_VALIDATION_FAILED', errors);
+      if (Object.keys(errors).length > 0) {
+        throw new ValidationError('Validation errors in bulk transaction data', errors);
       }
       
-      // Create all transactions
-      const results = await TransactionModel.bulkCreate(validatedTransactions);
+      // Deposits are held to the gambling limits in order, on top of each other
+      const limitWarnings = await LimitService.enforceBatch(userId, validatedTransactions.map((transaction, index) => ({
+        label: `Transaction ${index + 1}`,
+        accountId: transaction.account_id,
+        activity: transaction.type,
+        amount: transaction.amount,
+        date: transaction.transaction_date
+      })));
       
-      // Update account balances for each affected account
-      await this.updateAccountBalancesForBulkTransactions(validatedTransactions);
+      const results = await this.withTransaction(async (connection) => {
+        const created = await TransactionModel.bulkCreate(validatedTransactions, connection);
+        
+        // Record each transaction in its account's ledger
+        await this.updateAccountBalancesForBulkTransactions(created, connection);
+        
+        return created;
+      });
       
       return {
         success: true,
         transactions: results,
+        limitWarnings,
+        aggregates: await this.getAffectedAggregates(userId, results.map(transaction => transaction.transaction_date)),
         message: `Successfully created ${results.length} transactions`
       };
       
@@ -367,6 +208,44 @@ class TransactionService {
     }
   }
   
+  /**
+   * Monthly summaries for the months touched by backdated or re-dated
+   * entries, plus the betting streak when bets were involved.
+   * Returns null when everything happened today, since nothing past changed.
+   */
+  async getAffectedAggregates(userId, dates, includeBets = false) {
+    const today = DateUtils.today();
+    const pastDates = dates.map(date => DateUtils.parseDate(date)).filter(date => date && date < today);
+    
+    if (pastDates.length === 0) {
+      return null;
+    }
+    
+    const months = [...new Set(pastDates.map(date => date.slice(0, 7)))].sort();
+    const aggregates = { months: [] };
+    
+    for (const period of months) {
+      const [year, month] = period.split('-').map(Number);
+      const summary = {
+        year,
+        month,
+        transactions: await TransactionModel.getMonthlySummary(userId, year, month)
+      };
+      
+      if (includeBets) {
+        summary.bets = await BetModel.getMonthlySummary(userId, year, month);
+      }
+      
+      aggregates.months.push(summary);
+    }
+    
+    if (includeBets) {
+      aggregates.streak = await BetModel.getStreakInfo(userId);
+    }
+    
+    return aggregates;
+  }
+  
   /**
    * Calculate balance impact of a transaction
    */
@@ -388,61 +267,28 @@ class TransactionService {
   }
   
   /**
-   * Validate transaction constraints
+   * The expiry date of a bonus credit as YYYY-MM-DD, or null when it never
+   * expires. Only bonus credits expire, and not before the day they were credited.
    */
-  async validateTransactionConstraints(account, type, amount) {
-    // Check withdrawal constraints
-    if (type === 'withdrawal') {
-      if (amount > account.balance) {
-        throw new AppError('Insufficient balance for withdrawal', 400, 'INSUFFICIENT_BALANCE');
-      }
-    }
-    
-    // Check bet constraints
-    if (type === 'bet') {
-      // For non-bonus bets, check if there's sufficient balance
-      if (amount > account.balance) {
-        throw new AppError('Insufficient balance for bet', 400, 'INSUFFICIENT_BALANCE');
-      }
-    }
-    
-    // Check reasonable amount limits
-    if (amount > 1000000) {
-      throw new AppError('Transaction amount exceeds maximum limit', 400, 'AMOUNT_EXCEEDS_LIMIT');
+  resolveExpiry(type, expiresOn, entryDate) {
+    if (DateUtils.isBlank(expiresOn)) {
+      return null;
     }
     
-    return true;
-  }
-  
-  /**
-   * Validate transaction update data
-   */
-  async validateTransactionUpdate(currentTransaction, updateData) {
-    const validatedData = {};
-    
-    if (updateData.type !== undefined) {
-      if (!TransactionModel.validTypes.includes(updateData.type)) {
-        throw new AppError(`Invalid transaction type: ${updateData.type}`, 400, 'INVALID_TRANSACTION_TYPE');
-      }
-      validatedData.type = updateData.type;
+    if (type !== 'bonus-credit') {
+      throw new AppError('Only bonus credits can have an expiry date', 400, 'INVALID_EXPIRY');
     }
     
-    if (updateData.amount !== undefined) {
-      const amount = parseFloat(updateData.amount);
-      if (isNaN(amount) || amount <= 0) {
-        throw new AppError('Amount must be a positive number', 400, 'INVALID_AMOUNT');
-      }
-      validatedData.amount = amount;
+    const expiry = DateUtils.parseDate(expiresOn);
+    if (!expiry) {
+      throw new AppError('Expiry must be a valid date', 400, 'INVALID_EXPIRY');
     }
     
-    if (updateData.description !== undefined) {
-      if (typeof updateData.description !== 'string') {
-        throw new AppError('Description must be a string', 400, 'INVALID_DESCRIPTION');
-      }
-      validatedData.description = updateData.description.trim();
+    if (expiry < entryDate) {
+      throw new AppError('A bonus credit cannot expire before it was credited', 400, 'INVALID_EXPIRY');
     }
     
-    return validatedData;
+    return expiry;
   }
   
   /**
@@ -450,6 +296,8 @@ class TransactionService {
    */
   async validateBulkTransaction(userId, transactionData, index) {
     const { account_key, type, amount, description } = transactionData;
+    const date = transactionData.date || transactionData.transaction_date;
+    const time = transactionData.time || transactionData.transaction_time;
     
     // Validate required fields
     if (!account_key || !type || amount === undefined) {
@@ -461,62 +309,61 @@ class TransactionService {
     if (!account) {
       throw new Error(`Account '${account_key}' not found at index ${index}`);
     }
+    if (account.archivedAt) {
+      throw new Error(`Account '${account_key}' is archived at index ${index}`);
+    }
     
     // Validate type
     if (!TransactionModel.validTypes.includes(type)) {
       throw new Error(`Invalid transaction type '${type}' at index ${index}`);
     }
     
+    // A bet needs its bet record, which only the bets endpoints create
+    if (type === 'bet' || type === 'bonus-bet') {
+      throw new Error(`Bets are added through /api/bets/bulk, not as transactions, at index ${index}`);
+    }
+    
     // Validate amount
     const numAmount = parseFloat(amount);
     if (isNaN(numAmount) || numAmount <= 0) {
       throw new Error(`Invalid amount at index ${index}`);
     }
     
+    const dateError = DateUtils.validate(date, time);
+    if (dateError) {
+      throw new Error(`${dateError} at index ${index}`);
+    }
+    const entryDate = DateUtils.resolve(date, time);
+    
     return {
       account_id: account.id,
       account_key,
       type,
       amount: numAmount,
       description: description || '',
-      transaction_date: new Date()
+      transaction_date: entryDate.date,
+      transaction_time: entryDate.time
     };
   }
   
   /**
-   * Update account balances for bulk transactions
+   * Update account balances for bulk transactions, one ledger entry per transaction
    */
-  async updateAccountBalancesForBulkTransactions(transactions) {
-    // Group transactions by account
-    const accountUpdates = {};
-    
-    transactions.forEach(transaction => {
-      const accountId = transaction.account_id;
-      if (!accountUpdates[accountId]) {
-        accountUpdates[accountId] = {
-          balanceChange: 0,
-          depositChange: 0,
-          withdrawalChange: 0
-        };
-      }
-      
+  async updateAccountBalancesForBulkTransactions(transactions, connection = null) {
+    for (const transaction of transactions) {
       const balanceImpact = this.calculateBalanceImpact(transaction.type, transaction.amount);
-      accountUpdates[accountId].balanceChange += balanceImpact;
       
-      if (transaction.type === 'deposit') {
-        accountUpdates[accountId].depositChange += transaction.amount;
-      } else if (transaction.type === 'withdrawal') {
-        accountUpdates[accountId].withdrawalChange += transaction.amount;
-      }
-    });
-    
-    // Update each account
-    for (const [accountId, updates] of Object.entries(accountUpdates)) {
       await AccountModel.updateTotals(
-        parseInt(accountId),
-        updates.depositChange,
-        updates.withdrawalChange,
-        updates.balanceChange
+        transaction.account_id,
+        transaction.type === 'deposit' ? transaction.amount : 0,
+        transaction.type === 'withdrawal' ? transaction.amount : 0,
+        balanceImpact,
+        {
+          entryType: LedgerModel.entryTypeFor(transaction.type),
+          transactionId: transaction.id || null,
+          description: transaction.description || transaction.type
+        },
+        connection
       );
     }
   }
@@ -785,42 +632,6 @@ class TransactionService {
     return date.toLocaleDateString();
   }
   
-  /**
-   * Adjust account totals after transaction update
-   */
-  async adjustAccountTotals(oldTransaction, newData) {
-    let depositAdjustment = 0;
-    let withdrawalAdjustment = 0;
-    
-    // Handle deposit total changes
-    if (oldTransaction.type === 'deposit' && newData.type && newData.type !== 'deposit') {
-      depositAdjustment -= oldTransaction.amount;
-    } else if (oldTransaction.type !== 'deposit' && newData.type === 'deposit') {
-      depositAdjustment += newData.amount || oldTransaction.amount;
-    } else if (oldTransaction.type === 'deposit' && newData.amount) {
-      depositAdjustment += newData.amount - oldTransaction.amount;
-    }
-    
-    // Handle withdrawal total changes
-    if (oldTransaction.type === 'withdrawal' && newData.type && newData.type !== 'withdrawal') {
-      withdrawalAdjustment -= oldTransaction.amount;
-    } else if (oldTransaction.type !== 'withdrawal' && newData.type === 'withdrawal') {
-      withdrawalAdjustment += newData.amount || oldTransaction.amount;
-    } else if (oldTransaction.type === 'withdrawal' && newData.amount) {
-      withdrawalAdjustment += newData.amount - oldTransaction.amount;
-    }
-    
-    // Update account if there are changes
-    if (depositAdjustment !== 0 || withdrawalAdjustment !== 0) {
-      await AccountModel.updateTotals(
-        oldTransaction.accountId, 
-        depositAdjustment, 
-        withdrawalAdjustment, 
-        0 // Balance change is handled separately
-      );
-    }
-  }
-  
   /**
    * Export transactions to CSV format
    */
@@ -950,6 +761,25 @@ class TransactionService {
       throw new AppError('Failed to generate transaction summary', 500, 'SUMMARY_GENERATION_FAILED');
     }
   }
+  
+  /**
+   * Run work inside a database transaction
+   */
+  async withTransaction(work) {
+    const connection = await pool.getConnection();
+    
+    try {
+      await connection.beginTransaction();
+      const result = await work(connection);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
 }
 
 module.exports = new TransactionService();
\ No newline at end of file
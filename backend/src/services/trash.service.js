@@ -0,0 +1,455 @@
+const { pool } = require('../config/database.config');
+const appConfig = require('../config/app.config');
+const TrashModel = require('../models/Trash.model');
+const BetModel = require('../models/Bet.model');
+const LedgerModel = require('../models/Ledger.model');
+const Helpers = require('../utils/helpers');
+const { AppError } = require('../middleware/error.middleware');
+
+class TrashService {
+  constructor() {
+    this.retentionDays = appConfig.trash.retentionDays;
+    this.purgeIntervalMs = appConfig.trash.purgeIntervalMs;
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Move a transaction to the trash and reverse its balance effect
+   */
+  async trashTransaction(userId, transactionId) {
+    return this.withTransaction(async (connection) => {
+      const [transactions] = await connection.execute(
+        `SELECT t.*, a.user_id
+         FROM transactions t
+         JOIN accounts a ON t.account_id = a.id
+         WHERE t.id = ? AND t.trash_id IS NULL
+         FOR UPDATE`,
+        [transactionId]
+      );
+
+      if (transactions.length === 0 || transactions[0].user_id !== userId) {
+        throw new AppError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
+      }
+
+      const transaction = transactions[0];
+      const amount = parseFloat(transaction.amount);
+
+      const itemId = await TrashModel.create({
+        user_id: userId,
+        item_type: 'transaction',
+        account_id: transaction.account_id,
+        record_id: transaction.id,
+        label: `${transaction.type} of ${this.formatAmount(amount)}${transaction.description ? ` - ${transaction.description}` : ''}`,
+        retention_days: this.retentionDays
+      }, connection);
+
+      const moved = await TrashModel.moveRecords(itemId, { transactionIds: [transaction.id] }, connection);
+
+      const ledgerChanges = [];
+      await this.appendChange(ledgerChanges, transaction.account_id, {
+        entryType: 'correction',
+        ...this.transactionReversal(transaction.type, amount),
+        transactionId: transaction.id,
+        description: `${transaction.type} deleted`
+      }, connection);
+
+      await TrashModel.complete(itemId, { ...moved, ledgerChanges }, connection);
+
+      return this.deleted(itemId, 'Transaction moved to trash', ledgerChanges);
+    });
+  }
+
+  /**
+   * Move a bet to the trash and reverse its balance effect
+   */
+  async trashBet(userId, betId) {
+    return this.withTransaction(async (connection) => {
+      const [bets] = await connection.execute(
+        `SELECT b.*, a.account_key, a.user_id
+         FROM bets b
+         JOIN accounts a ON b.account_id = a.id
+         WHERE b.id = ? AND a.user_id = ? AND b.trash_id IS NULL
+         FOR UPDATE`,
+        [betId, userId]
+      );
+
+      if (bets.length === 0) {
+        throw new AppError('Bet not found', 404, 'BET_NOT_FOUND');
+      }
+
+      const bet = bets[0];
+      const amount = parseFloat(bet.amount);
+      const winnings = parseFloat(bet.winnings || 0);
+
+      // Required here rather than at the top: BetService depends on this service
+      const BetService = require('./bet.service');
+
+      // Undo everything the bet did to the balance: the stake comes back and anything it returned comes off
+      const balanceAdjustment = -BetService.getBalanceEffect(BetModel.formatBet(bet));
+
+      const itemId = await TrashModel.create({
+        user_id: userId,
+        item_type: 'bet',
+        account_id: bet.account_id,
+        record_id: bet.id,
+        label: `${this.formatAmount(amount)} bet${bet.description ? ` - ${bet.description}` : ''} (${bet.status})`,
+        retention_days: this.retentionDays
+      }, connection);
+
+      const moved = await TrashModel.moveRecords(itemId, { betIds: [bet.id] }, connection);
+
+      const ledgerChanges = [];
+      await this.appendChange(ledgerChanges, bet.account_id, {
+        entryType: 'correction',
+        amount: balanceAdjustment,
+        betId: bet.id,
+        description: `Bet deleted (${bet.status})`
+      }, connection);
+
+      await TrashModel.complete(itemId, { ...moved, ledgerChanges }, connection);
+
+      return {
+        ...this.deleted(itemId, 'Bet moved to trash', ledgerChanges),
+        balanceAdjustment: LedgerModel.round(balanceAdjustment),
+        deletedBet: {
+          id: bet.id,
+          accountKey: bet.account_key,
+          amount,
+          status: bet.status,
+          winnings
+        }
+      };
+    });
+  }
+
+  /**
+   * Move every transaction and bet in an account to the trash and reset its balances
+   */
+  async trashAccount(userId, accountKey) {
+    return this.withTransaction(async (connection) => {
+      const [accounts] = await connection.execute(
+        'SELECT * FROM accounts WHERE user_id = ? AND account_key = ? FOR UPDATE',
+        [userId, accountKey]
+      );
+
+      if (accounts.length === 0) {
+        throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+      }
+
+      const account = accounts[0];
+      const itemId = await TrashModel.create({
+        user_id: userId,
+        item_type: 'account',
+        account_id: account.id,
+        label: `${account.name} cleared`,
+        retention_days: this.retentionDays
+      }, connection);
+
+      const moved = await TrashModel.moveRecords(itemId, { accountIds: [account.id] }, connection);
+      const ledgerChanges = await this.resetAccounts([account.id], 'Account cleared', connection);
+
+      await TrashModel.complete(itemId, { ...moved, ledgerChanges }, connection);
+
+      return this.deleted(itemId, 'Account cleared - its data is in the trash', ledgerChanges);
+    });
+  }
+
+  /**
+   * Move all of a user's transactions and bets to the trash and reset every account
+   */
+  async trashAll(userId) {
+    return this.withTransaction(async (connection) => {
+      const [accounts] = await connection.execute(
+        'SELECT id FROM accounts WHERE user_id = ? FOR UPDATE',
+        [userId]
+      );
+
+      const accountIds = accounts.map(account => account.id);
+      const itemId = await TrashModel.create({
+        user_id: userId,
+        item_type: 'all',
+        label: 'All data reset',
+        retention_days: this.retentionDays
+      }, connection);
+
+      const moved = await TrashModel.moveRecords(itemId, { accountIds }, connection);
+      const ledgerChanges = await this.resetAccounts(accountIds, 'All data reset', connection);
+
+      await TrashModel.complete(itemId, { ...moved, ledgerChanges }, connection);
+
+      return this.deleted(itemId, 'All data has been reset - it is in the trash', ledgerChanges);
+    });
+  }
+
+  /**
+   * A user's trash, newest first
+   */
+  async getTrash(userId, options = {}) {
+    const items = await TrashModel.findByUserId(userId, options);
+    const latestActive = await TrashModel.findLatestActive(userId);
+    const redoable = await this.findRedoable(userId);
+
+    return {
+      success: true,
+      items,
+      retentionDays: this.retentionDays,
+      canUndo: Boolean(latestActive),
+      canRedo: Boolean(redoable)
+    };
+  }
+
+  /**
+   * Restore the most recent delete
+   */
+  async undo(userId) {
+    const item = await TrashModel.findLatestActive(userId);
+    if (!item) {
+      throw new AppError('Nothing to undo', 404, 'NOTHING_TO_UNDO');
+    }
+
+    return this.restore(userId, item.id);
+  }
+
+  /**
+   * Delete again whatever the last undo restored
+   */
+  async redo(userId) {
+    const item = await this.findRedoable(userId);
+    if (!item) {
+      throw new AppError('Nothing to redo', 404, 'NOTHING_TO_REDO');
+    }
+
+    let result;
+    switch (item.itemType) {
+      case 'transaction':
+        result = await this.trashTransaction(userId, item.recordId);
+        break;
+      case 'bet':
+        result = await this.trashBet(userId, item.recordId);
+        break;
+      case 'account':
+        result = await this.trashAccount(userId, item.accountKey);
+        break;
+      default:
+        result = await this.trashAll(userId);
+    }
+
+    // The new delete replaces the restored item, so it can't be redone twice
+    await TrashModel.delete(userId, item.id);
+
+    return { ...result, message: `Redone: ${item.label}` };
+  }
+
+  /**
+   * Put a trash item's records back and reverse the balance changes its delete made
+   */
+  async restore(userId, itemId) {
+    return this.withTransaction(async (connection) => {
+      const item = await TrashModel.findById(itemId, connection, true);
+
+      if (!item || item.userId !== userId || new Date(item.expiresAt) <= new Date()) {
+        throw new AppError('Trash item not found', 404, 'TRASH_ITEM_NOT_FOUND');
+      }
+
+      if (item.restoredAt) {
+        throw new AppError('This item has already been restored', 409, 'TRASH_ITEM_RESTORED');
+      }
+
+      await TrashModel.restoreRecords(item.id, connection);
+
+      for (const change of item.ledgerChanges) {
+        await LedgerModel.append(change.accountId, {
+          entryType: 'restore',
+          amount: -change.amount,
+          depositChange: -change.depositChange,
+          withdrawalChange: -change.withdrawalChange,
+          description: `Restored from trash: ${item.label}`
+        }, connection);
+      }
+
+      return {
+        success: true,
+        message: `Restored: ${item.label}`,
+        item,
+        balanceChange: LedgerModel.round(-item.balanceChange)
+      };
+    });
+  }
+
+  /**
+   * Permanently delete one trash item, or the whole trash
+   */
+  async purge(userId, itemId = null) {
+    const purged = await TrashModel.delete(userId, itemId);
+
+    if (itemId && purged === 0) {
+      throw new AppError('Trash item not found', 404, 'TRASH_ITEM_NOT_FOUND');
+    }
+
+    return {
+      success: true,
+      message: itemId ? 'Trash item permanently deleted' : `Emptied trash (${purged} item(s))`,
+      purged
+    };
+  }
+
+  /**
+   * Permanently delete items past the retention period
+   */
+  async purgeExpired() {
+    const purged = await TrashModel.purgeExpired();
+
+    if (purged > 0) {
+      Helpers.log(`Purged ${purged} expired trash item(s)`, 'info');
+    }
+
+    return purged;
+  }
+
+  /**
+   * Purge expired trash now and then on an interval
+   */
+  startPurgeSchedule() {
+    if (this.purgeTimer) {
+      return;
+    }
+
+    const run = () => this.purgeExpired().catch(error => {
+      Helpers.log(`Trash purge failed: ${error.message}`, 'error');
+    });
+
+    run();
+    this.purgeTimer = setInterval(run, this.purgeIntervalMs);
+    // Don't hold the process open for the purge alone
+    this.purgeTimer.unref();
+  }
+
+  /**
+   * Stop the purge interval
+   */
+  stopPurgeSchedule() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+
+  /**
+   * The item the last undo restored, as long as nothing has been deleted since
+   */
+  async findRedoable(userId) {
+    const restored = await TrashModel.findLatestRestored(userId);
+    if (!restored) {
+      return null;
+    }
+
+    const latestActive = await TrashModel.findLatestActive(userId);
+    if (latestActive && new Date(latestActive.deletedAt) > new Date(restored.restoredAt)) {
+      return null;
+    }
+
+    return restored;
+  }
+
+  /**
+   * Reset account balances to zero, returning the ledger changes made
+   */
+  async resetAccounts(accountIds, description, connection) {
+    const ledgerChanges = [];
+
+    for (const accountId of accountIds) {
+      const change = await LedgerModel.adjustTo(accountId, { balance: 0, totalDeposits: 0, totalWithdrawals: 0 }, {
+        entryType: 'reset',
+        description
+      }, connection);
+
+      if (change.id) {
+        ledgerChanges.push(this.toLedgerChange(accountId, change));
+      }
+    }
+
+    return ledgerChanges;
+  }
+
+  /**
+   * Append a ledger entry and note the change so a restore can reverse it
+   */
+  async appendChange(ledgerChanges, accountId, entry, connection) {
+    const id = await LedgerModel.append(accountId, entry, connection);
+
+    if (id) {
+      ledgerChanges.push(this.toLedgerChange(accountId, { id, ...entry }));
+    }
+  }
+
+  /**
+   * Ledger change as stored on a trash item
+   */
+  toLedgerChange(accountId, { id, amount = 0, depositChange = 0, withdrawalChange = 0 }) {
+    return {
+      accountId,
+      entryId: id,
+      amount: LedgerModel.round(amount),
+      depositChange: LedgerModel.round(depositChange),
+      withdrawalChange: LedgerModel.round(withdrawalChange)
+    };
+  }
+
+  /**
+   * Balance and total changes that undo a transaction. A bet's stake is
+   * carried by its bet record, so only trashing the bet gives it back.
+   */
+  transactionReversal(type, amount) {
+    switch (type) {
+      case 'deposit':
+        return { amount: -amount, depositChange: -amount };
+      case 'withdrawal':
+        return { amount, withdrawalChange: -amount };
+      case 'bonus-credit':
+      case 'historical-win':
+        return { amount: -amount };
+      case 'historical-loss':
+        return { amount };
+      default:
+        return { amount: 0 };
+    }
+  }
+
+  /**
+   * Response for a delete that went to the trash
+   */
+  deleted(itemId, message, ledgerChanges) {
+    return {
+      success: true,
+      message,
+      trashItemId: itemId,
+      balanceChange: LedgerModel.round(ledgerChanges.reduce((sum, change) => sum + change.amount, 0)),
+      retentionDays: this.retentionDays
+    };
+  }
+
+  /**
+   * Run work inside a database transaction
+   */
+  async withTransaction(work) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      const result = await work(connection);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  formatAmount(amount) {
+    return `$${Math.abs(amount).toFixed(2)}`;
+  }
+}
+
+module.exports = new TrashService();
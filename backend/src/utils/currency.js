@@ -0,0 +1,104 @@
+class CurrencyUtils {
+  constructor() {
+    this.defaultCurrency = 'USD';
+  }
+
+  /**
+   * Normalise a currency code to upper case. Returns null unless it is a
+   * three-letter ISO 4217 code.
+   */
+  normalize(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    const code = String(value).trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
+  }
+
+  /**
+   * Build a converter into a base currency from a list of exchange rates
+   * ({ fromCurrency, toCurrency, rate, rateDate }). A rate quoted the other
+   * way round is inverted. An amount is converted at the latest rate on or
+   * before its date, or the earliest rate when it predates them all.
+   * An amount in a currency with no rate to the base at all can't be
+   * converted: convert() returns null for it, and the currency is listed in
+   * missingRates() so totals that leave it out can say they are incomplete.
+   */
+  createConverter(baseCurrency, rates) {
+    const series = {};
+    const add = (currency, date, rate, direct) => {
+      const points = series[currency] = series[currency] || {};
+      // A rate quoted directly wins over the inverse of one on the same day
+      if (!points[date] || direct) {
+        points[date] = { date, rate, direct };
+      }
+    };
+
+    rates.forEach(({ fromCurrency, toCurrency, rate, rateDate }) => {
+      if (toCurrency === baseCurrency && fromCurrency !== baseCurrency) {
+        add(fromCurrency, rateDate, rate, true);
+      } else if (fromCurrency === baseCurrency && toCurrency !== baseCurrency) {
+        add(toCurrency, rateDate, 1 / rate, false);
+      }
+    });
+
+    const sorted = {};
+    Object.entries(series).forEach(([currency, points]) => {
+      sorted[currency] = Object.values(points).sort((a, b) => a.date.localeCompare(b.date));
+    });
+
+    const missing = new Set();
+
+    const rateFor = (currency, date = null) => {
+      if (!currency || currency === baseCurrency) {
+        return 1;
+      }
+
+      const points = sorted[currency];
+      if (!points) {
+        missing.add(currency);
+        return null;
+      }
+
+      if (!date) {
+        return points[points.length - 1].rate;
+      }
+
+      // Latest point on or before the date
+      let low = 0;
+      let high = points.length - 1;
+      let found = -1;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (points[mid].date <= date) {
+          found = mid;
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+
+      return points[found === -1 ? 0 : found].rate;
+    };
+
+    return {
+      baseCurrency,
+      rateFor,
+      convert: (amount, currency, date = null) => {
+        const rate = rateFor(currency, date);
+        return rate === null ? null : amount * rate;
+      },
+      missingRates: () => [...missing].sort()
+    };
+  }
+
+  /**
+   * Round a converted amount to cents
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new CurrencyUtils();
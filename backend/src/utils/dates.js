@@ -0,0 +1,205 @@
+class DateUtils {
+  constructor() {
+    // Furthest timezone ahead of UTC - a date is only in the future once it is the future everywhere
+    this.maxOffsetHours = 14;
+  }
+
+  /**
+   * Whether a date or time value was left out
+   */
+  isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+
+  /**
+   * Format a Date as YYYY-MM-DD using its local calendar date
+   */
+  toDateString(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Whole days from one YYYY-MM-DD date to another
+   */
+  daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * First day of the day, week (starting Monday) or month containing a YYYY-MM-DD date
+   */
+  startOfPeriod(period, date = this.today()) {
+    const [year, month, day] = date.split('-').map(Number);
+    
+    if (period === 'month') {
+      return this.toDateString(new Date(year, month - 1, 1));
+    }
+    
+    if (period === 'week') {
+      const start = new Date(year, month - 1, day);
+      start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+      return this.toDateString(start);
+    }
+    
+    return date;
+  }
+
+  /**
+   * First day of the period before the one containing a YYYY-MM-DD date
+   */
+  startOfPreviousPeriod(period, date = this.today()) {
+    const [year, month, day] = this.startOfPeriod(period, date).split('-').map(Number);
+    return this.startOfPeriod(period, this.toDateString(new Date(year, month - 1, day - 1)));
+  }
+
+  /**
+   * Last day of the period containing a YYYY-MM-DD date
+   */
+  endOfPeriod(period, date = this.today()) {
+    const [year, month, day] = this.startOfNextPeriod(period, date).split('-').map(Number);
+    return this.toDateString(new Date(year, month - 1, day - 1));
+  }
+
+  /**
+   * First day of the period after the one containing a YYYY-MM-DD date
+   */
+  startOfNextPeriod(period, date = this.today()) {
+    const [year, month, day] = this.startOfPeriod(period, date).split('-').map(Number);
+    const lengths = { day: 1, week: 7 };
+    
+    if (period === 'month') {
+      return this.toDateString(new Date(year, month, 1));
+    }
+    
+    return this.toDateString(new Date(year, month - 1, day + lengths[period]));
+  }
+
+  /**
+   * Today's date on the server as YYYY-MM-DD
+   */
+  today() {
+    return this.toDateString(new Date());
+  }
+
+  /**
+   * The latest calendar date anywhere in the world right now
+   */
+  latestDate() {
+    const ahead = new Date(Date.now() + this.maxOffsetHours * 60 * 60 * 1000);
+    return ahead.toISOString().split('T')[0];
+  }
+
+  /**
+   * Parse a date into YYYY-MM-DD. ISO strings keep the calendar date they
+   * were written with rather than being shifted by timezone.
+   * Returns null when the value is not a valid date.
+   */
+  parseDate(value) {
+    if (this.isBlank(value)) {
+      return null;
+    }
+
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : this.toDateString(value);
+    }
+
+    const iso = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:$|[T ])/);
+    if (iso) {
+      const [, year, month, day] = iso.map(Number);
+      const date = new Date(year, month - 1, day);
+      const valid = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+      return valid ? this.toDateString(date) : null;
+    }
+
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? null : this.toDateString(parsed);
+  }
+
+  /**
+   * Parse a time of day (HH:MM or HH:MM:SS) into HH:MM:SS.
+   * Returns null when the value is not a valid time.
+   */
+  parseTime(value) {
+    if (this.isBlank(value)) {
+      return null;
+    }
+
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) {
+      return null;
+    }
+
+    const [hours, minutes, seconds = 0] = match.slice(1).map(part => Number(part || 0));
+    if (hours > 23 || minutes > 59 || seconds > 59) {
+      return null;
+    }
+
+    const pad = (part) => String(part).padStart(2, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  }
+
+  /**
+   * Time of day written into an ISO datetime string, if any
+   */
+  timeFromDate(value) {
+    const match = typeof value === 'string' && value.trim().match(/^\d{4}-\d{2}-\d{2}[T ](\d{2}:\d{2}(?::\d{2})?)/);
+    return match ? this.parseTime(match[1]) : null;
+  }
+
+  /**
+   * Whether a date falls after today everywhere in the world
+   */
+  isFuture(value) {
+    const date = this.parseDate(value);
+    return date !== null && date > this.latestDate();
+  }
+
+  /**
+   * Check a user-supplied date and time. Returns an error message or null.
+   */
+  validate(date, time) {
+    if (!this.isBlank(date)) {
+      if (this.parseDate(date) === null) {
+        return 'Date must be a valid date';
+      }
+      if (this.isFuture(date)) {
+        return 'Date cannot be in the future';
+      }
+    }
+
+    if (!this.isBlank(time) && this.parseTime(time) === null) {
+      return 'Time must be in HH:MM format';
+    }
+
+    return null;
+  }
+
+  /**
+   * Date and time to store for an entry. Entries without a date are
+   * recorded now; backdated entries only get a time when one is given.
+   */
+  resolve(date, time) {
+    if (this.isBlank(date)) {
+      const now = new Date();
+      return {
+        date: this.toDateString(now),
+        time: this.parseTime(time) || now.toTimeString().slice(0, 8)
+      };
+    }
+
+    return {
+      date: this.parseDate(date),
+      time: this.parseTime(time) || this.timeFromDate(date)
+    };
+  }
+
+  /**
+   * Format a stored TIME as HH:MM, or null when there is none
+   */
+  formatTime(value) {
+    return this.isBlank(value) ? null : String(value).slice(0, 5);
+  }
+}
+
+module.exports = new DateUtils();
@@ -272,19 +272,118 @@ class Helpers {
    * Parse CSV string
    */
   parseCSV(csvString, delimiter = ',') {
-    const lines = csvString.trim().split('\n');
-    const headers = lines[0].split(delimiter).map(h => h.trim());
+    const [headers = [], ...rows] = this.parseCSVRows(csvString, delimiter);
     
-    return lines.slice(1).map(line => {
-      const values = line.split(delimiter).map(v => v.trim());
+    return rows.map(values => {
       const obj = {};
       headers.forEach((header, index) => {
-        obj[header] = values[index] || '';
+        obj[header.trim()] = (values[index] || '').trim();
       });
       return obj;
     });
   }
 
+  /**
+   * Split CSV text into rows of fields (RFC 4180). Quoted fields may contain
+   * delimiters, escaped quotes ("") and line breaks. Blank lines are skipped.
+   */
+  parseCSVRows(csvString, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    const pushRow = () => {
+      row.push(field);
+      if (row.length > 1 || row[0].trim() !== '') {
+        rows.push(row);
+      }
+      row = [];
+      field = '';
+    };
+    
+    for (let i = 0; i < csvString.length; i++) {
+      const char = csvString[i];
+      
+      if (inQuotes) {
+        if (char === '"' && csvString[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field.trim() === '') {
+        field = '';
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && csvString[i + 1] === '\n') i++;
+        pushRow();
+      } else {
+        field += char;
+      }
+    }
+    
+    if (inQuotes) {
+      throw new Error('Unterminated quoted field in CSV data');
+    }
+    
+    if (field !== '' || row.length > 0) {
+      pushRow();
+    }
+    
+    return rows;
+  }
+
+  /**
+   * Extract the rows of the first table in an HTML document as arrays of cell
+   * text. Tags are stripped and common entities decoded; nested tables are not supported.
+   */
+  parseHTMLTableRows(html) {
+    const table = html.match(/<table[\s\S]*?<\/table>/i);
+    if (!table) {
+      return [];
+    }
+    
+    const decode = (text) => text
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/gi, ' ')
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&quot;/gi, '"')
+      .replace(/&#39;|&apos;/gi, "'")
+      .replace(/&lt;/gi, '<')
+      .replace(/&gt;/gi, '>')
+      .replace(/&amp;/gi, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+    
+    const rows = [];
+    const rowPattern = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
+    let rowMatch;
+    
+    while ((rowMatch = rowPattern.exec(table[0])) !== null) {
+      const cells = [];
+      const cellPattern = /<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi;
+      let cellMatch;
+      
+      while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+        cells.push(decode(cellMatch[1]));
+      }
+      
+      if (cells.some(cell => cell !== '')) {
+        rows.push(cells);
+      }
+    }
+    
+    return rows;
+  }
+
   /**
    * Convert array to CSV string
    */
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { pool } = require('../config/database.config');
+const Helpers = require('./helpers');
+
+const DATABASE_DIR = path.resolve(__dirname, '../../../database');
+
+class Migrator {
+  constructor() {
+    this.tableName = 'schema_migrations';
+    this.migrationsDir = path.join(DATABASE_DIR, 'migrations');
+  }
+
+  /**
+   * Create the migrations tracking table if it does not exist
+   */
+  async ensureMigrationsTable(connection) {
+    await connection.query(
+      `CREATE TABLE IF NOT EXISTS ${this.tableName} (
+        version VARCHAR(20) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (version)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+  }
+
+  /**
+   * Load migration files from disk, ordered by version.
+   * A missing directory is an error: treating it as no migrations would
+   * report the schema as up to date without applying anything.
+   */
+  loadMigrations() {
+    if (!fs.existsSync(this.migrationsDir)) {
+      throw new Error(`Migrations directory not found: ${this.migrationsDir}`);
+    }
+
+    return fs.readdirSync(this.migrationsDir)
+      .filter(file => /^\d+_[\w-]+\.sql$/.test(file))
+      .sort()
+      .map(file => {
+        const [, version, name] = file.match(/^(\d+)_([\w-]+)\.sql$/);
+        const contents = fs.readFileSync(path.join(this.migrationsDir, file), 'utf8');
+        const { up, down } = this.parseMigration(contents, file);
+
+        return {
+          version,
+          name,
+          file,
+          up,
+          down,
+          checksum: crypto.createHash('sha256').update(up).digest('hex')
+        };
+      });
+  }
+
+  /**
+   * Split a migration file into its up and down sections
+   */
+  parseMigration(contents, file) {
+    const upMarker = contents.indexOf('-- migrate:up');
+    const downMarker = contents.indexOf('-- migrate:down');
+
+    if (upMarker === -1) {
+      throw new Error(`Migration ${file} is missing a "-- migrate:up" section`);
+    }
+
+    const upEnd = downMarker > upMarker ? downMarker : contents.length;
+
+    return {
+      up: contents.slice(upMarker + '-- migrate:up'.length, upEnd).trim(),
+      down: downMarker === -1 ? '' : contents.slice(downMarker + '-- migrate:down'.length).trim()
+    };
+  }
+
+  /**
+   * Split a SQL script into individual statements
+   */
+  splitStatements(sql) {
+    const statements = [];
+    let current = '';
+    let quote = null;
+
+    const lines = sql
+      .split('\n')
+      .filter(line => !line.trim().startsWith('--'))
+      .join('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const char = lines[i];
+
+      if (quote) {
+        if (char === quote && lines[i - 1] !== '\\') {
+          quote = null;
+        }
+      } else if (char === '\'' || char === '"' || char === '`') {
+        quote = char;
+      } else if (char === ';') {
+        if (current.trim()) {
+          statements.push(current.trim());
+        }
+        current = '';
+        continue;
+      }
+
+      current += char;
+    }
+
+    if (current.trim()) {
+      statements.push(current.trim());
+    }
+
+    return statements;
+  }
+
+  /**
+   * Get applied migrations keyed by version
+   */
+  async getAppliedMigrations(connection) {
+    await this.ensureMigrationsTable(connection);
+
+    const [rows] = await connection.query(
+      `SELECT version, name, checksum, applied_at FROM ${this.tableName} ORDER BY version`
+    );
+
+    return rows.reduce((applied, row) => {
+      applied[row.version] = row;
+      return applied;
+    }, {});
+  }
+
+  /**
+   * Apply all pending migrations in version order
+   */
+  async migrate() {
+    const connection = await pool.getConnection();
+
+    try {
+      const applied = await this.getAppliedMigrations(connection);
+      const migrations = this.loadMigrations();
+      const results = [];
+
+      for (const migration of migrations) {
+        const existing = applied[migration.version];
+
+        if (existing) {
+          if (existing.checksum !== migration.checksum) {
+            Helpers.log(`Migration ${migration.file} has changed since it was applied`, 'warn');
+          }
+          continue;
+        }
+
+        Helpers.log(`Applying migration ${migration.file}`, 'info');
+
+        // MySQL commits DDL implicitly, so statements run one by one and the
+        // version is only recorded once every statement has succeeded
+        for (const statement of this.splitStatements(migration.up)) {
+          await connection.query(statement);
+        }
+
+        await connection.execute(
+          `INSERT INTO ${this.tableName} (version, name, checksum) VALUES (?, ?, ?)`,
+          [migration.version, migration.name, migration.checksum]
+        );
+
+        results.push({ version: migration.version, name: migration.name });
+      }
+
+      if (results.length === 0) {
+        Helpers.log('Database schema is up to date', 'info');
+      } else {
+        Helpers.log(`Applied ${results.length} migration(s)`, 'success');
+      }
+
+      return results;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   */
+  async rollback(steps = 1) {
+    const connection = await pool.getConnection();
+
+    try {
+      const applied = await this.getAppliedMigrations(connection);
+      const migrations = this.loadMigrations()
+        .filter(migration => applied[migration.version])
+        .reverse()
+        .slice(0, steps);
+      const results = [];
+
+      for (const migration of migrations) {
+        if (!migration.down) {
+          throw new Error(`Migration ${migration.file} has no "-- migrate:down" section`);
+        }
+
+        Helpers.log(`Rolling back migration ${migration.file}`, 'info');
+
+        for (const statement of this.splitStatements(migration.down)) {
+          await connection.query(statement);
+        }
+
+        await connection.execute(
+          `DELETE FROM ${this.tableName} WHERE version = ?`,
+          [migration.version]
+        );
+
+        results.push({ version: migration.version, name: migration.name });
+      }
+
+      return results;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Get applied/pending state of every migration
+   */
+  async status() {
+    const connection = await pool.getConnection();
+
+    try {
+      const applied = await this.getAppliedMigrations(connection);
+
+      return this.loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: !!applied[migration.version],
+        appliedAt: applied[migration.version] ? applied[migration.version].applied_at : null,
+        modified: !!applied[migration.version] && applied[migration.version].checksum !== migration.checksum
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Roll back every applied migration
+   */
+  async reset() {
+    const connection = await pool.getConnection();
+    let appliedCount;
+
+    try {
+      appliedCount = Object.keys(await this.getAppliedMigrations(connection)).length;
+    } finally {
+      connection.release();
+    }
+
+    return this.rollback(appliedCount);
+  }
+}
+
+module.exports = new Migrator();
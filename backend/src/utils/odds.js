@@ -0,0 +1,190 @@
+class OddsUtils {
+  constructor() {
+    this.validFormats = ['american', 'decimal', 'fractional'];
+  }
+
+  /**
+   * Guess the format of a raw odds value
+   */
+  detectFormat(value) {
+    const raw = String(value).trim();
+
+    if (raw.includes('/')) return 'fractional';
+    if (/^[+-]/.test(raw)) return 'american';
+
+    const numeric = parseFloat(raw);
+    return Math.abs(numeric) >= 100 ? 'american' : 'decimal';
+  }
+
+  /**
+   * Convert odds in any supported format to decimal odds.
+   * Returns null when the value is not a valid price.
+   */
+  toDecimal(value, format = null) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return null;
+    }
+
+    const raw = String(value).trim();
+    const oddsFormat = format || this.detectFormat(raw);
+
+    switch (oddsFormat) {
+      case 'american': {
+        const american = parseFloat(raw);
+        if (isNaN(american) || Math.abs(american) < 100) return null;
+        return american > 0 ? 1 + american / 100 : 1 + 100 / Math.abs(american);
+      }
+
+      case 'fractional': {
+        const match = raw.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+        if (!match) return null;
+        const numerator = parseFloat(match[1]);
+        const denominator = parseFloat(match[2]);
+        if (numerator <= 0 || denominator <= 0) return null;
+        return 1 + numerator / denominator;
+      }
+
+      case 'decimal': {
+        const decimal = parseFloat(raw);
+        if (isNaN(decimal) || decimal <= 1) return null;
+        return decimal;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Normalise raw odds to { decimal, format }, or null if invalid
+   */
+  normalize(value, format = null) {
+    if (format && !this.validFormats.includes(format)) {
+      return null;
+    }
+
+    const oddsFormat = format || (value !== undefined && value !== null ? this.detectFormat(value) : null);
+    const decimal = this.toDecimal(value, oddsFormat);
+
+    if (decimal === null) {
+      return null;
+    }
+
+    return {
+      decimal: Math.round(decimal * 10000) / 10000,
+      format: oddsFormat
+    };
+  }
+
+  /**
+   * Convert decimal odds to American odds
+   */
+  toAmerican(decimal) {
+    if (decimal >= 2) {
+      return Math.round((decimal - 1) * 100);
+    }
+    return -Math.round(100 / (decimal - 1));
+  }
+
+  /**
+   * Convert decimal odds to the closest simple fraction
+   */
+  toFractional(decimal) {
+    const target = decimal - 1;
+    let best = { numerator: Math.round(target), denominator: 1 };
+    let bestError = Math.abs(target - best.numerator);
+
+    for (let denominator = 1; denominator <= 100 && bestError > 0.0001; denominator++) {
+      const numerator = Math.round(target * denominator);
+      const error = Math.abs(target - numerator / denominator);
+      if (numerator > 0 && error < bestError) {
+        best = { numerator, denominator };
+        bestError = error;
+      }
+    }
+
+    return `${best.numerator}/${best.denominator}`;
+  }
+
+  /**
+   * Format decimal odds for display in the given format
+   */
+  format(decimal, format = 'american') {
+    if (!decimal) return null;
+
+    switch (format) {
+      case 'decimal':
+        return decimal.toFixed(2);
+      case 'fractional':
+        return this.toFractional(decimal);
+      case 'american':
+      default: {
+        const american = this.toAmerican(decimal);
+        return american > 0 ? `+${american}` : `${american}`;
+      }
+    }
+  }
+
+  /**
+   * Combine the decimal odds of parlay legs into a single price
+   */
+  combine(decimals) {
+    const combined = decimals.reduce((product, decimal) => product * decimal, 1);
+    return Math.round(combined * 10000) / 10000;
+  }
+
+  /**
+   * Probability implied by decimal odds, vig included
+   */
+  impliedProbability(decimal) {
+    return 1 / decimal;
+  }
+
+  /**
+   * Fair probability of a side once the vig is removed, using the price of
+   * the opposing side. Without that price the vig can't be split out and the
+   * plain implied probability is returned.
+   */
+  noVigProbability(decimal, opposingDecimal = null) {
+    const implied = this.impliedProbability(decimal);
+    if (!opposingDecimal) {
+      return implied;
+    }
+
+    return implied / (implied + this.impliedProbability(opposingDecimal));
+  }
+
+  /**
+   * Closing line value of a bet: how much better the taken price was than
+   * the closing price, as a percentage, and the edge in percentage points of
+   * the fair closing probability over the probability the taken price implies.
+   * Returns null unless both prices are known.
+   */
+  closingLineValue(takenDecimal, closingDecimal, opposingDecimal = null) {
+    if (!takenDecimal || !closingDecimal) {
+      return null;
+    }
+
+    const fairProbability = this.noVigProbability(closingDecimal, opposingDecimal);
+    const round = (value) => Math.round(value * 10000) / 100;
+
+    return {
+      clv: round(takenDecimal / closingDecimal - 1),
+      probabilityEdge: round(fairProbability - this.impliedProbability(takenDecimal)),
+      fairProbability: round(fairProbability),
+      noVig: Boolean(opposingDecimal)
+    };
+  }
+
+  /**
+   * Total amount returned to the balance if a bet at these odds wins.
+   * Bonus bets only pay out the profit - the free stake is not returned.
+   */
+  calculatePayout(stake, decimal, isBonusBet = false) {
+    const profit = parseFloat(stake) * (decimal - 1);
+    const payout = isBonusBet ? profit : parseFloat(stake) + profit;
+    return Math.round(payout * 100) / 100;
+  }
+}
+
+module.exports = new OddsUtils();
@@ -0,0 +1,65 @@
+/**
+ * Sportsbooks users can pick from when adding an account. An account
+ * records which of these it is held at, if any; custom accounts have no
+ * catalog entry and carry their own name and colour. `importer` is the
+ * statement importer format for the book, where there is one.
+ */
+class SportsbookCatalog {
+  constructor() {
+    this.defaultColor = '#64748b';
+    this.sportsbooks = [
+      { id: 'draftkings', name: 'DraftKings', color: '#53d337', currency: 'USD', importer: 'draftkings' },
+      { id: 'fanduel', name: 'FanDuel', color: '#1493ff', currency: 'USD', importer: 'fanduel' },
+      { id: 'betmgm', name: 'BetMGM', color: '#c0a971', currency: 'USD', importer: 'betmgm' },
+      { id: 'bet365', name: 'Bet365', color: '#027b5b', currency: 'USD', importer: 'bet365' },
+      { id: 'caesars', name: 'Caesars Sportsbook', color: '#b08d57', currency: 'USD', importer: null },
+      { id: 'espnbet', name: 'ESPN BET', color: '#ff5a1f', currency: 'USD', importer: null },
+      { id: 'fanatics', name: 'Fanatics Sportsbook', color: '#e11d48', currency: 'USD', importer: null },
+      { id: 'betrivers', name: 'BetRivers', color: '#2563eb', currency: 'USD', importer: null },
+      { id: 'hardrock', name: 'Hard Rock Bet', color: '#a855f7', currency: 'USD', importer: null }
+    ];
+  }
+
+  /**
+   * List the catalog
+   */
+  list() {
+    return this.sportsbooks.map(sportsbook => ({ ...sportsbook }));
+  }
+
+  /**
+   * Find a catalog sportsbook by ID
+   */
+  get(id) {
+    return this.sportsbooks.find(sportsbook => sportsbook.id === id) || null;
+  }
+
+  /**
+   * Normalise a logo colour to lower-case #rrggbb. Returns null for anything else.
+   */
+  normalizeColor(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const color = value.trim().toLowerCase();
+    return /^#[0-9a-f]{6}$/.test(color) ? color : null;
+  }
+
+  /**
+   * Turn an account name into an account key: lower case letters, numbers
+   * and hyphens, at least three characters
+   */
+  toAccountKey(name) {
+    const key = String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40)
+      .replace(/-+$/, '');
+
+    return key.length >= 3 ? key : `account${key ? `-${key}` : ''}`;
+  }
+}
+
+module.exports = new SportsbookCatalog();
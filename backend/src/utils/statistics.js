@@ -0,0 +1,48 @@
+class StatisticsUtils {
+  constructor() {
+    // Two-sided critical value for 95% confidence intervals
+    this.z95 = 1.959964;
+  }
+
+  /**
+   * Arithmetic mean, or 0 for an empty list
+   */
+  mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+
+  /**
+   * Sample standard deviation, or 0 with fewer than two values
+   */
+  standardDeviation(values) {
+    if (values.length < 2) {
+      return 0;
+    }
+
+    const mean = this.mean(values);
+    const squares = values.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+    return Math.sqrt(squares / (values.length - 1));
+  }
+
+  /**
+   * Standard normal cumulative distribution function
+   */
+  normalCdf(z) {
+    // Abramowitz & Stegun 7.1.26 approximation of erf, accurate to about 1e-7
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  /**
+   * Two-sided p-value of a z-score
+   */
+  pValue(z) {
+    return 2 * (1 - this.normalCdf(Math.abs(z)));
+  }
+}
+
+module.exports = new StatisticsUtils();
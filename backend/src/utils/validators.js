@@ -399,7 +399,7 @@ class Validators {
    * Validate bet status
    */
   static betStatus(value) {
-    const validStatuses = ['pending', 'won', 'lost'];
+    const validStatuses = ['pending', 'won', 'lost', 'push', 'void', 'cashout'];
     return validStatuses.includes(value);
   }
 
@@ -0,0 +1,2 @@
+// Shared setup for the Jest suites
+process.env.NODE_ENV = 'test';
@@ -0,0 +1,216 @@
+jest.mock('bcrypt', () => ({}));
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const { pool } = require('../../src/config/database.config');
+const BetTagModel = require('../../src/models/BetTag.model');
+const ExchangeRateModel = require('../../src/models/ExchangeRate.model');
+const LedgerModel = require('../../src/models/Ledger.model');
+const UserModel = require('../../src/models/User.model');
+const BackupService = require('../../src/services/backup.service');
+
+/**
+ * Connection over in-memory accounts and gambling_limits tables, deleting
+ * an account's limits with it as the foreign key does
+ */
+const createDatabase = ({ accounts, limits }) => {
+  let nextAccountId = 100;
+
+  const connection = {
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+    execute: jest.fn(async (sql, params) => {
+      if (/^\s*SELECT l\.id, a\.account_key/.test(sql)) {
+        return [limits
+          .filter(limit => limit.account_id !== null)
+          .map(limit => {
+            const account = accounts.find(row => row.id === limit.account_id);
+            return { id: limit.id, account_key: account.account_key, name: account.name };
+          })];
+      }
+
+      if (/^\s*UPDATE gambling_limits SET account_id = NULL WHERE id IN/.test(sql)) {
+        limits.filter(limit => params.includes(limit.id)).forEach(limit => { limit.account_id = null; });
+        return [{}];
+      }
+
+      if (/^\s*UPDATE gambling_limits SET account_id = \? WHERE id = \?/.test(sql)) {
+        limits.find(limit => limit.id === params[1]).account_id = params[0];
+        return [{}];
+      }
+
+      if (/^\s*DELETE FROM accounts/.test(sql)) {
+        const deleted = accounts.splice(0).map(account => account.id);
+        limits.splice(0, limits.length, ...limits.filter(limit => !deleted.includes(limit.account_id)));
+        return [{}];
+      }
+
+      if (/^\s*SELECT id, account_key FROM accounts/.test(sql)) {
+        return [accounts.map(({ id, account_key }) => ({ id, account_key }))];
+      }
+
+      if (/^\s*INSERT INTO accounts/.test(sql)) {
+        const id = nextAccountId++;
+        accounts.push({ id, account_key: params[1], name: params[2] });
+        return [{ insertId: id }];
+      }
+
+      return [[]];
+    })
+  };
+
+  pool.getConnection.mockResolvedValue(connection);
+  return connection;
+};
+
+const backupAccount = (accountKey, name) => ({
+  accountKey,
+  name,
+  balance: 0,
+  totalDeposits: 0,
+  totalWithdrawals: 0,
+  promotions: [],
+  transactions: [],
+  bets: []
+});
+
+describe('BackupService replace restore', () => {
+  beforeEach(() => {
+    jest.spyOn(BackupService, 'validateBackup').mockReturnValue([]);
+    jest.spyOn(ExchangeRateModel, 'deleteByUserId').mockResolvedValue();
+    jest.spyOn(ExchangeRateModel, 'upsertMany').mockResolvedValue();
+    jest.spyOn(LedgerModel, 'append').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps gambling limits and relinks them to the restored accounts', async () => {
+    const accounts = [{ id: 1, account_key: 'fanduel', name: 'FanDuel' }, { id: 2, account_key: 'bet365', name: 'Bet365' }];
+    const limits = [{ id: 10, account_id: null }, { id: 11, account_id: 1 }, { id: 12, account_id: 2 }];
+    const connection = createDatabase({ accounts, limits });
+
+    await BackupService.restoreBackup(1, {
+      accounts: [backupAccount('bet365', 'Bet365'), backupAccount('fanduel', 'FanDuel')]
+    });
+
+    const restored = accounts.reduce((map, account) => ({ ...map, [account.account_key]: account.id }), {});
+    expect(limits).toEqual([
+      { id: 10, account_id: null },
+      { id: 11, account_id: restored.fanduel },
+      { id: 12, account_id: restored.bet365 }
+    ]);
+    expect(restored.fanduel).not.toBe(1);
+    expect(connection.commit).toHaveBeenCalled();
+  });
+
+  test('is refused when the backup leaves out an account with limits', async () => {
+    const accounts = [{ id: 1, account_key: 'fanduel', name: 'FanDuel' }, { id: 2, account_key: 'bet365', name: 'Bet365' }];
+    const limits = [{ id: 11, account_id: 1 }];
+    const connection = createDatabase({ accounts, limits });
+
+    await expect(BackupService.restoreBackup(1, { accounts: [backupAccount('bet365', 'Bet365')] }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'RESTORE_WOULD_REMOVE_LIMITS' });
+
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.execute).not.toHaveBeenCalledWith(expect.stringMatching(/DELETE FROM accounts/), expect.anything());
+  });
+});
+
+describe('BackupService reconciliations', () => {
+  const reconciliation = (overrides) => ({
+    reportedBalance: 120,
+    trackedBalance: 100,
+    discrepancy: 20,
+    causes: [],
+    adjusted: true,
+    adjustment: 20,
+    note: '',
+    createdAt: '2024-03-01T12:00:00.000Z',
+    ...overrides
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('are backed up with what their adjustment still adds to the balance', async () => {
+    jest.spyOn(UserModel, 'findById').mockResolvedValue({ username: 'sam', email: 'sam@example.com' });
+    jest.spyOn(UserModel, 'getSettings').mockResolvedValue({});
+    jest.spyOn(ExchangeRateModel, 'getBaseCurrency').mockResolvedValue('USD');
+    jest.spyOn(ExchangeRateModel, 'findByUserId').mockResolvedValue([]);
+    jest.spyOn(BetTagModel, 'findByBetIds').mockResolvedValue({});
+    const connection = {
+      release: jest.fn(),
+      execute: jest.fn(async (sql) => {
+        if (/FROM accounts WHERE user_id/.test(sql)) {
+          return [[{ id: 1, account_key: 'fanduel', name: 'FanDuel', balance: '120.00', total_deposits: '100.00', total_withdrawals: '0.00' }]];
+        }
+        if (/FROM reconciliations r/.test(sql)) {
+          return [[{
+            id: 3,
+            account_id: 1,
+            reported_balance: '120.00',
+            tracked_balance: '100.00',
+            discrepancy: '20.00',
+            causes: '["Missing deposit"]',
+            adjusted: 1,
+            ledger_entry_id: 9,
+            note: '',
+            created_at: '2024-03-01T12:00:00.000Z',
+            adjustment: '20.00'
+          }]];
+        }
+        return [[]];
+      })
+    };
+    pool.getConnection.mockResolvedValue(connection);
+
+    const backup = await BackupService.createBackup(1);
+
+    expect(backup.version).toBe(10);
+    expect(backup.accounts[0].reconciliations).toEqual([reconciliation({ causes: ['Missing deposit'] })]);
+    expect(BackupService.validateBackup(backup)).toEqual([]);
+  });
+
+  test('are restored as reconciliation ledger entries on top of the opening balance', async () => {
+    jest.spyOn(ExchangeRateModel, 'deleteByUserId').mockResolvedValue();
+    jest.spyOn(ExchangeRateModel, 'upsertMany').mockResolvedValue();
+    jest.spyOn(LedgerModel, 'append').mockResolvedValue(50);
+    const connection = createDatabase({ accounts: [], limits: [] });
+
+    const summary = await BackupService.restoreBackup(1, {
+      format: BackupService.format,
+      version: 10,
+      accounts: [{
+        ...backupAccount('fanduel', 'FanDuel'),
+        balance: 115,
+        totalDeposits: 100,
+        reconciliations: [reconciliation(), reconciliation({ adjustment: -5, discrepancy: -5 })]
+      }]
+    });
+
+    expect(LedgerModel.append.mock.calls.map(([, entry]) => [entry.entryType, entry.amount])).toEqual([
+      ['opening', 100],
+      ['reconciliation', 20],
+      ['reconciliation', -5]
+    ]);
+    expect(connection.execute).toHaveBeenCalledWith(
+      expect.stringMatching(/INSERT INTO reconciliations/),
+      [100, 120, 100, 20, '[]', 1, 50, '', new Date('2024-03-01T12:00:00.000Z')]
+    );
+    expect(summary.reconciliationsRestored).toBe(2);
+  });
+
+  test('are optional in backups made before version 10', () => {
+    const errors = BackupService.validateBackup({
+      format: BackupService.format,
+      version: 9,
+      accounts: [backupAccount('fanduel', 'FanDuel')]
+    });
+
+    expect(errors).toEqual([]);
+  });
+});
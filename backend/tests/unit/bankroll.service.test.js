@@ -0,0 +1,98 @@
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const AccountModel = require('../../src/models/Account.model');
+const BankrollService = require('../../src/services/bankroll.service');
+
+describe('BankrollService.suggestStake', () => {
+  const mockAccount = (overrides) => jest.spyOn(AccountModel, 'findByUserAndKey').mockResolvedValue({
+    id: 7,
+    balance: 1000,
+    unitSize: null,
+    kellyFraction: null,
+    maxStakePercent: null,
+    ...overrides
+  });
+
+  // Even money with a 55% chance of winning: full Kelly stakes 10% of the bankroll
+  const evenMoney = { odds: '+100', probability: '55' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stakes quarter Kelly unless the account sets its own fraction', async () => {
+    mockAccount();
+
+    const result = await BankrollService.suggestStake(1, 'fanduel', evenMoney);
+
+    expect(result).toMatchObject({ fullKellyPercent: 10, kellyFraction: 0.25, stakePercent: 2.5, stake: 25, capped: false, edge: 10 });
+  });
+
+  test("uses the account's Kelly fraction and unit size", async () => {
+    mockAccount({ kellyFraction: 0.5, unitSize: 20 });
+
+    const result = await BankrollService.suggestStake(1, 'fanduel', evenMoney);
+
+    expect(result).toMatchObject({ stakePercent: 5, stake: 50, units: 2.5, message: '0.5 Kelly on a 10% edge' });
+  });
+
+  test("caps the stake at the account's maximum", async () => {
+    mockAccount({ kellyFraction: 1, maxStakePercent: 3 });
+
+    const result = await BankrollService.suggestStake(1, 'fanduel', evenMoney);
+
+    expect(result).toMatchObject({
+      fullKellyPercent: 10,
+      stakePercent: 3,
+      stake: 30,
+      capped: true,
+      message: "Kelly stake capped at the account's 3% maximum"
+    });
+  });
+
+  test('rounds the stake down to the cent', async () => {
+    mockAccount({ balance: 333.5 });
+
+    const result = await BankrollService.suggestStake(1, 'fanduel', evenMoney);
+
+    expect(result.stake).toBe(8.33);
+  });
+
+  test('suggests nothing without an edge or a bankroll', async () => {
+    mockAccount();
+    const noEdge = await BankrollService.suggestStake(1, 'fanduel', { odds: '+100', probability: '45' });
+
+    mockAccount({ balance: 0 });
+    const noBankroll = await BankrollService.suggestStake(1, 'fanduel', evenMoney);
+
+    expect(noEdge).toMatchObject({ stake: 0, fullKellyPercent: 0, message: 'No edge at these odds - Kelly suggests not betting' });
+    expect(noBankroll).toMatchObject({ stake: 0, message: 'Add funds to this account to size a stake against its bankroll' });
+  });
+
+  test.each([
+    [{ odds: 'evens', probability: '55' }, 'INVALID_ODDS'],
+    [{ odds: '+100', probability: '100' }, 'INVALID_PROBABILITY'],
+    [{ odds: '+100', probability: 'likely' }, 'INVALID_PROBABILITY']
+  ])('refuses %p', async (input, code) => {
+    mockAccount();
+
+    await expect(BankrollService.suggestStake(1, 'fanduel', input)).rejects.toMatchObject({ statusCode: 400, code });
+  });
+});
+
+describe('BankrollService.assessStake', () => {
+  test("flags a stake above the account's maximum", () => {
+    expect(BankrollService.assessStake(30, 1000, { unitSize: 10, maxStakePercent: 2 })).toEqual({
+      bankrollPercent: 3,
+      riskLevel: 'medium',
+      units: 3,
+      maxStakePercent: 2,
+      overStakeLimit: true,
+      warning: 'Stake is 3% of the bankroll, above the 2% limit for this account'
+    });
+  });
+
+  test('cannot size a stake against an empty bankroll', () => {
+    expect(BankrollService.assessStake(30, 0)).toMatchObject({ bankrollPercent: null, riskLevel: null, overStakeLimit: false });
+  });
+});
@@ -0,0 +1,445 @@
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const { pool } = require('../../src/config/database.config');
+const { AppError } = require('../../src/middleware/error.middleware');
+const AccountModel = require('../../src/models/Account.model');
+const BetModel = require('../../src/models/Bet.model');
+const BetEditModel = require('../../src/models/BetEdit.model');
+const LedgerModel = require('../../src/models/Ledger.model');
+const TransactionService = require('../../src/services/transaction.service');
+const LimitService = require('../../src/services/limit.service');
+const PromotionService = require('../../src/services/promotion.service');
+const BetService = require('../../src/services/bet.service');
+
+const createConnection = () => {
+  const connection = {
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+    execute: jest.fn()
+  };
+
+  pool.getConnection.mockResolvedValue(connection);
+  return connection;
+};
+
+const pendingBet = {
+  id: 5,
+  userId: 1,
+  accountId: 7,
+  betType: 'straight',
+  amount: 50,
+  displayAmount: 50,
+  oddsDecimal: 1.91,
+  isBonusBet: false,
+  status: 'pending',
+  winnings: 0
+};
+
+describe('BetService.settleBet', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('settles in a transaction of its own, holding the bet', async () => {
+    const connection = createConnection();
+    const findById = jest.spyOn(BetModel, 'findById').mockResolvedValue(pendingBet);
+    jest.spyOn(BetModel, 'updateStatus').mockResolvedValue({ ...pendingBet, status: 'won', winnings: 95.5 });
+    const updateBalance = jest.spyOn(AccountModel, 'updateBalance').mockResolvedValue(true);
+
+    const result = await BetService.settleBet(1, 5, { status: 'won', winnings: 95.5 });
+
+    expect(result.bet.status).toBe('won');
+    expect(findById).toHaveBeenCalledWith(5, connection, true);
+    expect(updateBalance).toHaveBeenCalledWith(7, 95.5, expect.objectContaining({ entryType: 'bet-payout' }), connection);
+    expect(connection.beginTransaction).toHaveBeenCalled();
+    expect(connection.commit).toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  test('a second settlement waiting on the lock finds the bet settled and pays nothing', async () => {
+    createConnection();
+    // The locked read returns the bet as the first settlement left it
+    jest.spyOn(BetModel, 'findById').mockResolvedValue({ ...pendingBet, status: 'won', winnings: 95.5 });
+    const updateBalance = jest.spyOn(AccountModel, 'updateBalance').mockResolvedValue(true);
+
+    await expect(BetService.settleBet(1, 5, { status: 'won', winnings: 95.5 }))
+      .rejects.toMatchObject({ code: 'BET_ALREADY_SETTLED' });
+    expect(updateBalance).not.toHaveBeenCalled();
+  });
+
+  test('rolls back the status change when the payout cannot be recorded', async () => {
+    const connection = createConnection();
+    jest.spyOn(BetModel, 'findById').mockResolvedValue(pendingBet);
+    jest.spyOn(BetModel, 'updateStatus').mockResolvedValue({ ...pendingBet, status: 'won', winnings: 95.5 });
+    jest.spyOn(AccountModel, 'updateBalance').mockRejectedValue(new Error('Lock wait timeout exceeded'));
+
+    await expect(BetService.settleBet(1, 5, { status: 'won', winnings: 95.5 }))
+      .rejects.toMatchObject({ code: 'BET_SETTLEMENT_FAILED' });
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  test("settles on the caller's connection without committing it", async () => {
+    const connection = createConnection();
+    pool.getConnection.mockClear();
+    jest.spyOn(BetModel, 'findById').mockResolvedValue(pendingBet);
+    jest.spyOn(BetModel, 'updateStatus').mockResolvedValue({ ...pendingBet, status: 'lost' });
+
+    await BetService.settleBet(1, 5, { status: 'lost' }, connection);
+
+    expect(BetModel.findById).toHaveBeenCalledWith(5, connection, true);
+    expect(pool.getConnection).not.toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+  });
+});
+
+describe('BetService settlement payouts', () => {
+  test.each(['push', 'void'])('a %s hands back the stake', (status) => {
+    expect(BetService.resolveSettlementWinnings(pendingBet, status)).toBe(50);
+    expect(BetService.generateSettlementSummary(pendingBet, status, 50)).toMatchObject({ netResult: 0, roi: 0 });
+  });
+
+  test('a pushed bonus bet hands back nothing', () => {
+    expect(BetService.resolveSettlementWinnings({ ...pendingBet, amount: 0, isBonusBet: true }, 'push')).toBe(0);
+  });
+
+  test('a cash-out pays the amount the book paid', () => {
+    expect(BetService.resolveSettlementWinnings(pendingBet, 'cashout', '30')).toBe(30);
+    expect(BetService.generateSettlementSummary(pendingBet, 'cashout', 30)).toMatchObject({ netResult: -20, roi: -40 });
+  });
+
+  test.each([undefined, '', '-5', 'all of it'])('a cash-out of %p is refused', (winnings) => {
+    expect(() => BetService.resolveSettlementWinnings(pendingBet, 'cashout', winnings))
+      .toThrow(expect.objectContaining({ code: 'INVALID_CASHOUT_AMOUNT' }));
+  });
+
+  test('a win without an amount pays out at the stored odds, and a loss pays nothing', () => {
+    expect(BetService.resolveSettlementWinnings(pendingBet, 'won')).toBe(95.5);
+    expect(BetService.resolveSettlementWinnings(pendingBet, 'lost', 80)).toBe(0);
+  });
+});
+
+describe('BetService parlays', () => {
+  const leg = (oddsDecimal, status) => ({ oddsDecimal, status });
+
+  test.each([
+    [['won', 'won'], null, 'won'],
+    [['won', 'pending'], null, 'pending'],
+    [['lost', 'pending'], null, 'lost'],
+    [['won', 'void'], null, 'won'],
+    [['void', 'void'], null, 'void'],
+    [['won', 'pending'], 'cashout', 'cashout'],
+    [['won', 'won'], 'lost', 'lost']
+  ])('legs %p with ticket status %p settle as %s', (statuses, status, outcome) => {
+    expect(BetService.resolveParlayOutcome(statuses.map(legStatus => leg(2, legStatus)), status)).toBe(outcome);
+  });
+
+  test('voided legs drop out of a parlay priced from its legs', () => {
+    const legs = [leg(2, 'won'), leg(1.5, 'void'), leg(3, 'won')];
+
+    expect(BetService.getEffectiveParlayOdds({ oddsDecimal: null }, legs)).toBe(6);
+    expect(BetService.calculateOddsPayout({ amount: 10, isBonusBet: false, oddsDecimal: null, legs })).toBe(60);
+  });
+
+  test('a voided leg scales down the book price of a same-game parlay', () => {
+    const legs = [leg(2, 'void'), leg(2, 'won'), leg(2, 'won')];
+
+    expect(BetService.getEffectiveParlayOdds({ oddsDecimal: 7 }, legs)).toBe(3.5);
+  });
+});
+
+describe('BetService.createBet', () => {
+  const fanduel = {
+    id: 7, name: 'FanDuel', balance: 500, archivedAt: null, unitSize: null, kellyFraction: null, maxStakePercent: null
+  };
+
+  beforeEach(() => {
+    jest.spyOn(AccountModel, 'findByUserAndKey').mockResolvedValue(fanduel);
+    jest.spyOn(AccountModel, 'findById').mockResolvedValue(fanduel);
+    jest.spyOn(PromotionService, 'resolveForEntry').mockResolvedValue(null);
+    jest.spyOn(LimitService, 'enforce').mockResolvedValue([]);
+    jest.spyOn(TransactionService, 'getAffectedAggregates').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('writes the bet and its stake in one transaction', async () => {
+    const connection = createConnection();
+    const create = jest.spyOn(BetModel, 'create').mockResolvedValue({ ...pendingBet });
+    const updateBalance = jest.spyOn(AccountModel, 'updateBalance').mockResolvedValue(true);
+    jest.spyOn(BetModel, 'findById').mockResolvedValue(pendingBet);
+
+    const result = await BetService.createBet(1, { account: 'fanduel', amount: 50, odds: '-110', oddsFormat: 'american' });
+
+    expect(result.success).toBe(true);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ account_id: 7, amount: 50 }), connection);
+    expect(updateBalance).toHaveBeenCalledWith(7, -50, expect.objectContaining({ entryType: 'bet-stake', betId: 5 }), connection);
+    expect(connection.commit).toHaveBeenCalled();
+  });
+
+  test('checks the stake against the account as locked in the transaction', async () => {
+    const connection = createConnection();
+    // Another bet took most of the balance after the account was first read
+    AccountModel.findById.mockResolvedValue({ ...fanduel, balance: 20 });
+    const create = jest.spyOn(BetModel, 'create').mockResolvedValue({ ...pendingBet });
+
+    await expect(BetService.createBet(1, { account: 'fanduel', amount: 50 }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+    expect(AccountModel.findById).toHaveBeenCalledWith(7, connection, true);
+    expect(create).not.toHaveBeenCalled();
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+
+  test('runs the limit check inside the transaction', async () => {
+    const connection = createConnection();
+    let inTransaction = false;
+    LimitService.enforce.mockImplementation(async () => {
+      inTransaction = connection.beginTransaction.mock.calls.length === 1;
+      throw new AppError('Your daily net loss limit would be exceeded', 403, 'LIMIT_EXCEEDED');
+    });
+    const create = jest.spyOn(BetModel, 'create').mockResolvedValue({ ...pendingBet });
+
+    await expect(BetService.createBet(1, { account: 'fanduel', amount: 50 }))
+      .rejects.toMatchObject({ code: 'LIMIT_EXCEEDED' });
+    expect(inTransaction).toBe(true);
+    expect(LimitService.enforce).toHaveBeenCalledWith(1, 7, expect.objectContaining({ activity: 'bet', amount: 50 }));
+    expect(create).not.toHaveBeenCalled();
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+
+  test('leaves no bet behind when the stake cannot be recorded', async () => {
+    const connection = createConnection();
+    jest.spyOn(BetModel, 'create').mockResolvedValue({ ...pendingBet });
+    jest.spyOn(AccountModel, 'updateBalance').mockRejectedValue(new Error('Lock wait timeout exceeded'));
+
+    await expect(BetService.createBet(1, { account: 'fanduel', amount: 50 }))
+      .rejects.toMatchObject({ code: 'BET_CREATION_FAILED' });
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+});
+
+describe('BetService.updateBet', () => {
+  beforeEach(() => {
+    jest.spyOn(AccountModel, 'findById').mockResolvedValue({ id: 7, balance: 500 });
+    jest.spyOn(LimitService, 'enforce').mockResolvedValue([]);
+    jest.spyOn(BetModel, 'update').mockResolvedValue(true);
+    jest.spyOn(BetEditModel, 'create').mockResolvedValue(9);
+    jest.spyOn(TransactionService, 'getAffectedAggregates').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('works out the balance change from the bet as locked in the transaction', async () => {
+    const connection = createConnection();
+    // Settled as won by another request; only the locked read sees it
+    const settled = { ...pendingBet, status: 'won', winnings: 95.5, tags: [] };
+    jest.spyOn(BetModel, 'findById').mockImplementation(async (id, conn, lock) => (
+      lock ? settled : { ...pendingBet, tags: [] }
+    ));
+    const append = jest.spyOn(LedgerModel, 'append').mockResolvedValue(40);
+
+    const result = await BetService.updateBet(1, 5, { amount: 60 });
+
+    expect(BetModel.findById).toHaveBeenCalledWith(5, connection, true);
+    // Read unlocked, the pending bet would just take 10.00 more stake. The won
+    // bet is repaid at its odds instead: 114.60 back on 60.00 against 95.50 on 50.00.
+    expect(result.balanceChange).toBe(9.1);
+    expect(append).toHaveBeenCalledWith(7, expect.objectContaining({ entryType: 'correction', amount: 9.1 }), connection);
+    expect(result.edit.changes).toMatchObject({ amount: { from: 50, to: 60 }, winnings: { from: 95.5, to: 114.6 } });
+    expect(connection.commit).toHaveBeenCalled();
+  });
+
+  test('settles a pending bet on the same locked read', async () => {
+    const connection = createConnection();
+    jest.spyOn(BetModel, 'findById').mockResolvedValue({ ...pendingBet, tags: [] });
+    jest.spyOn(BetModel, 'updateStatus').mockResolvedValue({ ...pendingBet, status: 'lost' });
+
+    const result = await BetService.updateBet(1, 5, { status: 'lost' });
+
+    expect(result.message).toBe('Bet settled as lost');
+    BetModel.findById.mock.calls.forEach(call => expect(call).toEqual([5, connection, true]));
+    expect(BetModel.updateStatus).toHaveBeenCalledWith(5, 'lost', 0, connection);
+    expect(connection.beginTransaction).toHaveBeenCalledTimes(1);
+    expect(connection.commit).toHaveBeenCalledTimes(1);
+  });
+
+  test('checks a raised stake against the locked balance and the loss limits', async () => {
+    const connection = createConnection();
+    jest.spyOn(BetModel, 'findById').mockResolvedValue({ ...pendingBet, tags: [] });
+    jest.spyOn(LedgerModel, 'append').mockResolvedValue(40);
+
+    const result = await BetService.updateBet(1, 5, { amount: 80 });
+
+    expect(result.balanceChange).toBe(-30);
+    expect(AccountModel.findById).toHaveBeenCalledWith(7, connection, true);
+    expect(LimitService.enforce).toHaveBeenCalledWith(1, 7, expect.objectContaining({ activity: 'stake', amount: 30 }));
+  });
+
+  test('refuses a raised stake the balance does not cover', async () => {
+    const connection = createConnection();
+    jest.spyOn(BetModel, 'findById').mockResolvedValue({ ...pendingBet, tags: [] });
+    AccountModel.findById.mockResolvedValue({ id: 7, balance: 100 });
+    const append = jest.spyOn(LedgerModel, 'append').mockResolvedValue(40);
+
+    await expect(BetService.updateBet(1, 5, { amount: 10000 })).rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+    expect(BetModel.update).not.toHaveBeenCalled();
+    expect(append).not.toHaveBeenCalled();
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+
+  test('refuses a raised stake a blocking limit does not allow', async () => {
+    createConnection();
+    jest.spyOn(BetModel, 'findById').mockResolvedValue({ ...pendingBet, tags: [] });
+    LimitService.enforce.mockRejectedValue(new AppError('Your daily net loss limit would be exceeded', 403, 'LIMIT_EXCEEDED'));
+
+    await expect(BetService.updateBet(1, 5, { amount: 80 })).rejects.toMatchObject({ code: 'LIMIT_EXCEEDED' });
+    expect(BetModel.update).not.toHaveBeenCalled();
+  });
+
+  test('a lower stake needs no checks', async () => {
+    createConnection();
+    jest.spyOn(BetModel, 'findById').mockResolvedValue({ ...pendingBet, tags: [] });
+    jest.spyOn(LedgerModel, 'append').mockResolvedValue(40);
+
+    const result = await BetService.updateBet(1, 5, { amount: 20 });
+
+    expect(result.balanceChange).toBe(30);
+    expect(AccountModel.findById).not.toHaveBeenCalled();
+  });
+
+  test('rolls back when the edit cannot be recorded', async () => {
+    const connection = createConnection();
+    jest.spyOn(BetModel, 'findById').mockResolvedValue({ ...pendingBet, tags: [] });
+    jest.spyOn(LedgerModel, 'append').mockRejectedValue(new Error('Lock wait timeout exceeded'));
+
+    await expect(BetService.updateBet(1, 5, { amount: 60 })).rejects.toMatchObject({ code: 'BET_UPDATE_FAILED' });
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+  });
+});
+
+describe('BetService.bulkCreateBets', () => {
+  beforeEach(() => {
+    jest.spyOn(LimitService, 'check').mockImplementation(async (userId, entries) => entries.map(() => ({ error: null, warnings: [] })));
+    jest.spyOn(AccountModel, 'findByUserAndKey').mockImplementation(async (userId, key) => (
+      key === 'fanduel' ? { id: 7, name: 'FanDuel', balance: 500, archivedAt: null } : null
+    ));
+    jest.spyOn(TransactionService, 'getAffectedAggregates').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('writes the bets with their stakes and payouts in one transaction', async () => {
+    const connection = createConnection();
+    const bulkCreate = jest.spyOn(BetModel, 'bulkCreate').mockImplementation(async (bets) => (
+      bets.map((bet, i) => ({ id: 20 + i, ...bet }))
+    ));
+    const append = jest.spyOn(LedgerModel, 'append').mockResolvedValue(40);
+
+    const result = await BetService.bulkCreateBets(1, [
+      { account_key: 'fanduel', amount: 50, bet_date: '2024-03-01', status: 'won', winnings: 95.5 },
+      { account_key: 'fanduel', amount: 20, bet_date: '2024-03-02', is_bonus_bet: true }
+    ]);
+
+    expect(result.bets).toHaveLength(2);
+    expect(bulkCreate).toHaveBeenCalledWith([
+      expect.objectContaining({ account_id: 7, amount: 50, display_amount: 50, status: 'won', winnings: 95.5 }),
+      expect.objectContaining({ account_id: 7, amount: 0, display_amount: 20, is_bonus_bet: true, winnings: 0 })
+    ], connection);
+    expect(append.mock.calls.map(call => [call[1].entryType, call[1].amount, call[1].betId, call[2]])).toEqual([
+      ['bet-stake', -50, 20, connection],
+      ['bet-payout', 95.5, 20, connection],
+      ['bet-stake', -0, 21, connection],
+      ['bet-payout', 0, 21, connection]
+    ]);
+    expect(connection.commit).toHaveBeenCalled();
+  });
+
+  test('saves nothing when a bet is invalid', async () => {
+    createConnection();
+    pool.getConnection.mockClear();
+    const bulkCreate = jest.spyOn(BetModel, 'bulkCreate');
+
+    await expect(BetService.bulkCreateBets(1, [
+      { account_key: 'fanduel', amount: 50, bet_date: '2024-03-01' },
+      { account_key: 'nowhere', amount: 20, bet_date: '2024-03-01' }
+    ])).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      errors: { 'bets[1]': expect.objectContaining({ message: "Account 'nowhere' not found at index 1" }) }
+    });
+    expect(bulkCreate).not.toHaveBeenCalled();
+    expect(pool.getConnection).not.toHaveBeenCalled();
+  });
+
+  test('refuses bets on an archived account, as a single bet would be', async () => {
+    AccountModel.findByUserAndKey.mockResolvedValue({ id: 8, name: 'Old Book', balance: 0, archivedAt: '2024-01-01T00:00:00.000Z' });
+    const bulkCreate = jest.spyOn(BetModel, 'bulkCreate');
+
+    await expect(BetService.bulkCreateBets(1, [{ account_key: 'oldbook', amount: 10, bet_date: '2024-03-01' }]))
+      .rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        errors: { 'bets[0]': expect.objectContaining({ message: "Account 'oldbook' is archived at index 0" }) }
+      });
+    expect(bulkCreate).not.toHaveBeenCalled();
+  });
+
+  test('holds the bets to the gambling limits in order, counting net loss', async () => {
+    createConnection();
+    jest.spyOn(BetModel, 'bulkCreate').mockImplementation(async (bets) => bets.map((bet, i) => ({ id: 20 + i, ...bet })));
+    jest.spyOn(LedgerModel, 'append').mockResolvedValue(40);
+    LimitService.check.mockResolvedValue([
+      { error: null, warnings: [] },
+      { error: null, warnings: ['85% of your daily net loss limit used this day'] }
+    ]);
+
+    const result = await BetService.bulkCreateBets(1, [
+      { account_key: 'fanduel', amount: 50, bet_date: '2024-03-01', status: 'won', winnings: 95.5 },
+      { account_key: 'fanduel', amount: 20, bet_date: '2024-03-02' }
+    ]);
+
+    expect(LimitService.check).toHaveBeenCalledWith(1, [
+      expect.objectContaining({ accountId: 7, activity: 'bet', amount: -45.5, date: '2024-03-01' }),
+      expect.objectContaining({ accountId: 7, activity: 'bet', amount: 20, date: '2024-03-02' })
+    ]);
+    expect(result.limitWarnings).toEqual(['Bet 2: 85% of your daily net loss limit used this day']);
+  });
+
+  test('rejects the whole batch when a bet breaks a blocking limit', async () => {
+    createConnection();
+    pool.getConnection.mockClear();
+    const bulkCreate = jest.spyOn(BetModel, 'bulkCreate');
+    LimitService.check.mockResolvedValue([
+      { error: null, warnings: [] },
+      { error: 'Your daily bet count limit would be exceeded', warnings: [] }
+    ]);
+
+    await expect(BetService.bulkCreateBets(1, [
+      { account_key: 'fanduel', amount: 50, bet_date: '2024-03-01' },
+      { account_key: 'fanduel', amount: 20, bet_date: '2024-03-01' }
+    ])).rejects.toMatchObject({ code: 'LIMIT_EXCEEDED', message: 'Bet 2: Your daily bet count limit would be exceeded' });
+    expect(bulkCreate).not.toHaveBeenCalled();
+    expect(pool.getConnection).not.toHaveBeenCalled();
+  });
+
+  test('rolls the bets back when a ledger entry cannot be written', async () => {
+    const connection = createConnection();
+    jest.spyOn(BetModel, 'bulkCreate').mockImplementation(async (bets) => bets.map((bet, i) => ({ id: 20 + i, ...bet })));
+    jest.spyOn(LedgerModel, 'append').mockRejectedValue(new Error('Lock wait timeout exceeded'));
+
+    await expect(BetService.bulkCreateBets(1, [{ account_key: 'fanduel', amount: 50, bet_date: '2024-03-01' }]))
+      .rejects.toMatchObject({ code: 'BULK_BET_FAILED' });
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+  });
+});
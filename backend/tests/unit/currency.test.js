@@ -0,0 +1,87 @@
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const { pool } = require('../../src/config/database.config');
+const AccountModel = require('../../src/models/Account.model');
+const ExchangeRateModel = require('../../src/models/ExchangeRate.model');
+const CurrencyUtils = require('../../src/utils/currency');
+
+const rates = [
+  { fromCurrency: 'GBP', toCurrency: 'USD', rate: 1.2, rateDate: '2024-01-01' },
+  { fromCurrency: 'GBP', toCurrency: 'USD', rate: 1.3, rateDate: '2024-03-01' },
+  { fromCurrency: 'USD', toCurrency: 'EUR', rate: 0.8, rateDate: '2024-01-01' }
+];
+
+describe('CurrencyUtils.createConverter', () => {
+  it('converts at the latest rate on or before the date', () => {
+    const fx = CurrencyUtils.createConverter('USD', rates);
+
+    expect(fx.convert(100, 'GBP', '2023-06-01')).toBeCloseTo(120);
+    expect(fx.convert(100, 'GBP', '2024-02-15')).toBeCloseTo(120);
+    expect(fx.convert(100, 'GBP', '2024-03-01')).toBeCloseTo(130);
+    expect(fx.convert(100, 'GBP')).toBeCloseTo(130);
+  });
+
+  it('inverts a rate quoted from the base currency', () => {
+    const fx = CurrencyUtils.createConverter('USD', rates);
+
+    expect(fx.convert(100, 'EUR')).toBeCloseTo(125);
+    expect(fx.convert(100, 'USD')).toBe(100);
+  });
+
+  it('converts nothing for a currency with no rate and lists it', () => {
+    const fx = CurrencyUtils.createConverter('USD', rates);
+
+    expect(fx.rateFor('CAD')).toBeNull();
+    expect(fx.convert(100, 'CAD')).toBeNull();
+    expect(fx.missingRates()).toEqual(['CAD']);
+  });
+});
+
+describe('AccountModel.getSummary', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const summarize = async (accounts) => {
+    const connection = {
+      execute: jest.fn()
+        .mockResolvedValueOnce([accounts])
+        .mockResolvedValueOnce([[]]),
+      release: jest.fn()
+    };
+    pool.getConnection.mockResolvedValue(connection);
+    jest.spyOn(ExchangeRateModel, 'getConverter')
+      .mockResolvedValue(CurrencyUtils.createConverter('USD', rates));
+
+    return AccountModel.getSummary(1);
+  };
+
+  const account = (id, currency, balance) => ({
+    id,
+    currency,
+    balance: String(balance),
+    total_deposits: String(balance),
+    total_withdrawals: '0.00',
+    archived_at: null
+  });
+
+  it('is complete when every account has a rate', async () => {
+    const summary = await summarize([account(1, 'USD', 100), account(2, 'GBP', 100)]);
+
+    expect(summary.totalBalance).toBe(230);
+    expect(summary.totalDeposits).toBe(230);
+    expect(summary.missingRates).toEqual([]);
+    expect(summary.complete).toBe(true);
+  });
+
+  it('leaves accounts with no rate out of the totals and marks them incomplete', async () => {
+    const summary = await summarize([account(1, 'USD', 100), account(2, 'CAD', 500)]);
+
+    expect(summary.totalAccounts).toBe(2);
+    expect(summary.totalBalance).toBe(100);
+    expect(summary.totalDeposits).toBe(100);
+    expect(summary.netDeposits).toBe(100);
+    expect(summary.missingRates).toEqual(['CAD']);
+    expect(summary.complete).toBe(false);
+  });
+});
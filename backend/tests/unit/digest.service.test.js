@@ -0,0 +1,152 @@
+const dns = require('dns').promises;
+const nodemailer = require('nodemailer');
+
+jest.mock('bcrypt', () => ({}));
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const DigestModel = require('../../src/models/Digest.model');
+const DigestService = require('../../src/services/digest.service');
+
+const digest = {
+  frequency: 'week',
+  period: { startDate: '2024-03-04', endDate: '2024-03-10' },
+  profitLoss: { net: 42.5, settledStakes: 100, returns: 142.5, roi: 42.5 },
+  bets: { placed: 5, settled: 4, won: 2, lost: 1, pushed: 1, cashedOut: 0, stillPending: 1, winRate: 50 },
+  stalePendingBets: { olderThanDays: 7, count: 0, totalStake: 0, bets: [] },
+  limits: [],
+  generatedAt: '2024-03-11T00:00:00.000Z'
+};
+
+describe('DigestService delivery', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    DigestService.transport = null;
+  });
+
+  describe('email', () => {
+    test('sends the plain-text digest to the subscription address', async () => {
+      // JSON transport builds the message without an SMTP server
+      DigestService.transport = nodemailer.createTransport({ jsonTransport: true });
+      const sendMail = jest.spyOn(DigestService.transport, 'sendMail');
+
+      await DigestService.deliver({ id: 3, channel: 'email', destination: 'punter@example.com' }, digest);
+
+      expect(sendMail).toHaveBeenCalledTimes(1);
+      const info = await sendMail.mock.results[0].value;
+      const message = JSON.parse(info.message);
+
+      expect(message.to).toEqual([{ address: 'punter@example.com', name: '' }]);
+      expect(message.subject).toBe('Weekly betting digest: 2024-03-04 to 2024-03-10');
+      expect(message.text).toContain('Profit/loss: $42.50 on $100.00 staked (ROI 42.5%)');
+    });
+
+    test('records a failed send', async () => {
+      DigestService.transport = { sendMail: jest.fn().mockRejectedValue(new Error('Connection refused')) };
+      jest.spyOn(DigestModel, 'findById').mockResolvedValue({ id: 3, userId: 1, channel: 'email', destination: 'punter@example.com', frequency: 'week' });
+      jest.spyOn(DigestService, 'buildDigest').mockResolvedValue(digest);
+      const markFailed = jest.spyOn(DigestModel, 'markFailed').mockResolvedValue();
+      const markSent = jest.spyOn(DigestModel, 'markSent').mockResolvedValue();
+
+      await expect(DigestService.sendNow(1, 3)).rejects.toMatchObject({ code: 'DIGEST_DELIVERY_FAILED' });
+      expect(markFailed).toHaveBeenCalledWith(3, 'Connection refused');
+      expect(markSent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('webhook', () => {
+    const subscription = { id: 4, channel: 'webhook', destination: 'https://hooks.example.com/digest' };
+    let fetch;
+
+    beforeEach(() => {
+      jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+      // Stands in for the receiving server
+      fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(null, { status: 204 }));
+    });
+
+    test('posts the digest as JSON without following redirects', async () => {
+      await DigestService.deliver(subscription, digest);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      const [url, request] = fetch.mock.calls[0];
+
+      expect(url).toBe('https://hooks.example.com/digest');
+      expect(request).toMatchObject({ method: 'POST', redirect: 'error', headers: { 'Content-Type': 'application/json' } });
+      expect(JSON.parse(request.body)).toEqual({ event: 'digest', subscriptionId: 4, digest });
+    });
+
+    test('fails when the server responds with an error', async () => {
+      fetch.mockResolvedValue(new Response('nope', { status: 500 }));
+
+      await expect(DigestService.deliver(subscription, digest)).rejects.toThrow('Webhook responded with 500');
+    });
+
+    test('is not sent once the host resolves to a private address', async () => {
+      dns.lookup.mockResolvedValue([{ address: '10.0.0.5', family: 4 }]);
+
+      await expect(DigestService.deliver(subscription, digest)).rejects.toMatchObject({ code: 'INVALID_WEBHOOK_URL' });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('DigestService webhook URLs', () => {
+  beforeEach(() => {
+    jest.spyOn(dns, 'lookup').mockImplementation(async (host) => {
+      const addresses = {
+        'hooks.example.com': [{ address: '93.184.216.34', family: 4 }, { address: '2606:2800:220:1::1', family: 6 }],
+        'internal.example.com': [{ address: '93.184.216.34', family: 4 }, { address: '192.168.1.20', family: 4 }],
+        localhost: [{ address: '127.0.0.1', family: 4 }, { address: '::1', family: 6 }]
+      };
+
+      if (!addresses[host]) {
+        throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+      }
+      return addresses[host];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    'https://hooks.example.com/digest',
+    'http://93.184.216.34:8080/hook',
+    'https://[2606:2800:220:1::1]/hook'
+  ])('accepts %s', async (url) => {
+    await expect(DigestService.resolveDestination(1, 'webhook', url)).resolves.toBe(url);
+  });
+
+  test.each([
+    'ftp://hooks.example.com/digest',
+    'file:///etc/passwd',
+    'not a url'
+  ])('rejects the non-http URL %s', async (url) => {
+    await expect(DigestService.resolveDestination(1, 'webhook', url))
+      .rejects.toMatchObject({ code: 'INVALID_WEBHOOK_URL', message: 'Webhook URL must be an http or https URL' });
+  });
+
+  test.each([
+    'http://localhost:3001/api',
+    'http://127.0.0.1/',
+    'http://2130706433/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://0.0.0.0/',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[fe80::1]/',
+    'http://10.1.2.3/',
+    'http://172.16.0.1/',
+    'http://192.168.0.10/',
+    'http://[fd00::1]/',
+    'https://internal.example.com/hook'
+  ])('rejects the internal host in %s', async (url) => {
+    await expect(DigestService.resolveDestination(1, 'webhook', url))
+      .rejects.toMatchObject({ code: 'INVALID_WEBHOOK_URL', message: 'Webhook URL must point to a public host' });
+  });
+
+  test('rejects a host that does not resolve', async () => {
+    await expect(DigestService.resolveDestination(1, 'webhook', 'https://missing.example.com/hook'))
+      .rejects.toMatchObject({ code: 'INVALID_WEBHOOK_URL' });
+  });
+});
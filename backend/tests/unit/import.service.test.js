@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const { pool } = require('../../src/config/database.config');
+const AccountModel = require('../../src/models/Account.model');
+const LedgerModel = require('../../src/models/Ledger.model');
+const LimitModel = require('../../src/models/Limit.model');
+const BetService = require('../../src/services/bet.service');
+const TransactionService = require('../../src/services/transaction.service');
+const ImportService = require('../../src/services/import.service');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/statements', name), 'utf8');
+
+/**
+ * Connection that keeps the external IDs of inserted rows, standing in for
+ * the transactions and bets tables
+ */
+const createDatabase = () => {
+  const rows = [];
+  let nextId = 1;
+
+  const connection = {
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+    execute: jest.fn(async (sql, params) => {
+      if (/^\s*SELECT account_id, external_id/.test(sql)) {
+        return [rows.filter(row => params.includes(row.account_id) && params.includes(row.external_id))];
+      }
+
+      const insert = sql.match(/^\s*INSERT INTO (transactions|bets)/);
+      if (insert) {
+        const isBet = insert[1] === 'bets';
+        rows.push({
+          table: insert[1],
+          account_id: params[0],
+          external_id: params[params.length - 1],
+          bet_id: isBet ? nextId : null,
+          status: isBet ? params[11] : null
+        });
+        return [{ insertId: nextId++ }];
+      }
+
+      return [{ affectedRows: 0 }];
+    })
+  };
+
+  pool.getConnection.mockResolvedValue(connection);
+  // Bets are stored as a transaction row plus the bet itself
+  const imported = () => rows.filter(row => row.table === 'transactions');
+
+  return { imported, connection };
+};
+
+const mockAccounts = () => {
+    jest.spyOn(AccountModel, 'listByUserId').mockResolvedValue([
+    { id: 7, accountKey: 'fanduel', name: 'FanDuel', balance: 0, archivedAt: null },
+    { id: 8, accountKey: 'bet365', name: 'Bet365', balance: 0, archivedAt: null }
+  ]);
+  jest.spyOn(LedgerModel, 'append').mockResolvedValue();
+  jest.spyOn(TransactionService, 'getAffectedAggregates').mockResolvedValue({});
+  jest.spyOn(LimitModel, 'applyDueChanges').mockResolvedValue();
+};
+
+describe('ImportService statement re-import', () => {
+  beforeEach(() => {
+    mockAccounts();
+    jest.spyOn(LimitModel, 'findByUserId').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['fanduel.csv', 'fanduel', 4],
+    ['bet365.html', 'bet365', 3]
+  ])('importing %s twice only adds its rows once', async (fixture, accountKey, expectedRows) => {
+    const { imported } = createDatabase();
+    const data = readFixture(fixture);
+    const options = { format: 'auto', accountKey };
+
+    const first = await ImportService.preview(1, data, options);
+    expect(first.summary).toMatchObject({ newRows: expectedRows, duplicateRows: 0, errorRows: 0 });
+
+    const result = await ImportService.commit(1, data, first.checksum, options);
+    expect(result.imported).toBe(expectedRows);
+    expect(imported()).toHaveLength(expectedRows);
+
+    const second = await ImportService.preview(1, data, options);
+    expect(second.summary).toMatchObject({ newRows: 0, duplicateRows: expectedRows, errorRows: 0 });
+    expect(second.canCommit).toBe(false);
+
+    await expect(ImportService.commit(1, data, second.checksum, options))
+      .rejects.toMatchObject({ code: 'IMPORT_NOTHING_NEW' });
+    expect(imported()).toHaveLength(expectedRows);
+  });
+
+  describe('a bet imported while pending', () => {
+    const header = 'Bet Ref,Date Placed,Event,Selection,Price,Stake,Return,Result';
+    const pending = `${header}\n,2024-03-01,Lakers @ Celtics,Celtics -4.5,-110,$50.00,,Open\n`;
+    const settled = `${header}\n,2024-03-01,Lakers @ Celtics,Celtics -4.5,-110,$50.00,$95.45,Settled\n`;
+    const options = { format: 'fanduel', accountKey: 'fanduel' };
+
+    const importPending = async () => {
+      const database = createDatabase();
+      const first = await ImportService.preview(1, pending, options);
+      await ImportService.commit(1, pending, first.checksum, options);
+      return { ...database, first };
+    };
+
+    test('is settled when the statement now has its result', async () => {
+      const settleBet = jest.spyOn(BetService, 'settleBet').mockResolvedValue({ success: true });
+      const { imported, connection, first } = await importPending();
+      expect(imported()).toHaveLength(1);
+
+      const second = await ImportService.preview(1, settled, options);
+      expect(second.rows[0].externalId).toBe(first.rows[0].externalId);
+      // The transaction row took ID 1 and its bet ID 2
+      expect(second.rows[0]).toMatchObject({ duplicate: false, settles: 2, balanceChange: 95.45 });
+      expect(second.summary).toMatchObject({ newRows: 0, settledRows: 1, duplicateRows: 0 });
+      expect(second.accounts[0].balanceChange).toBe(95.45);
+      expect(second.canCommit).toBe(true);
+
+      const result = await ImportService.commit(1, settled, second.checksum, options);
+
+      expect(settleBet).toHaveBeenCalledWith(1, 2, { status: 'won', winnings: 95.45 }, connection);
+      expect(result).toMatchObject({ imported: 0, settled: 1, message: 'Imported 0 row(s), settled 1 pending bet(s)' });
+      expect(imported()).toHaveLength(1);
+    });
+
+    test('is a duplicate while it is still open', async () => {
+      const { first } = await importPending();
+
+      const second = await ImportService.preview(1, pending, options);
+
+      expect(second.rows[0].externalId).toBe(first.rows[0].externalId);
+      expect(second.summary).toMatchObject({ newRows: 0, settledRows: 0, duplicateRows: 1 });
+    });
+  });
+});
+
+describe('ImportService gambling limits', () => {
+  const limit = (overrides) => ({
+    id: 1, accountId: null, accountName: null, limitType: 'deposit', period: 'month', amount: 100, enforcement: 'block', ...overrides
+  });
+  // Rows dated in the current period, so they count towards the limits
+  const today = new Date().toISOString().split('T')[0];
+  const deposits = [
+    'account,type,amount,date,externalid',
+    `bet365,deposit,40,${today},D-1`,
+    `bet365,deposit,40,${today},D-2`,
+    `bet365,deposit,40,${today},D-3`
+  ].join('\n');
+
+  beforeEach(() => {
+    mockAccounts();
+    createDatabase();
+    jest.spyOn(LimitModel, 'getUsage').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rows that together break a blocking limit are errors', async () => {
+    jest.spyOn(LimitModel, 'findByUserId').mockResolvedValue([limit()]);
+
+    const preview = await ImportService.preview(1, deposits);
+
+    expect(preview.rows.map(row => row.errors.length)).toEqual([0, 0, 1]);
+    expect(preview.rows[2].errors[0]).toContain('monthly deposit limit of $100.00 would be exceeded: $80.00 used this month');
+    expect(preview.canCommit).toBe(false);
+    await expect(ImportService.commit(1, deposits, preview.checksum)).rejects.toMatchObject({ code: 'IMPORT_HAS_ERRORS' });
+  });
+
+  test('warning-only limits are listed against their rows', async () => {
+    jest.spyOn(LimitModel, 'findByUserId').mockResolvedValue([limit({ enforcement: 'warn' })]);
+
+    const preview = await ImportService.preview(1, deposits);
+
+    expect(preview.summary.errorRows).toBe(0);
+    expect(preview.limitWarnings).toEqual([
+      'Row 2: 80% of your monthly deposit limit of $100.00 used this month',
+      expect.stringMatching(/^Row 3: Your monthly deposit limit of \$100\.00 would be exceeded/)
+    ]);
+  });
+
+  test('limits on other accounts do not apply', async () => {
+    jest.spyOn(LimitModel, 'findByUserId').mockResolvedValue([limit({ accountId: 7, accountName: 'FanDuel' })]);
+
+    const preview = await ImportService.preview(1, deposits);
+
+    expect(preview.summary.errorRows).toBe(0);
+    expect(preview.limitWarnings).toEqual([]);
+  });
+
+  test('bets count their net loss towards loss limits', async () => {
+    jest.spyOn(LimitModel, 'findByUserId').mockResolvedValue([limit({ limitType: 'loss', amount: 50 })]);
+    const bets = [
+      'account,type,amount,date,status,winnings,externalid',
+      `bet365,bet,40,${today},won,70,B-1`,
+      `bet365,bet,60,${today},lost,,B-2`,
+      `bet365,bet,30,${today},lost,,B-3`
+    ].join('\n');
+
+    const preview = await ImportService.preview(1, bets);
+
+    // The win offsets the first loss; the second loss takes it over the limit
+    expect(preview.rows.map(row => row.errors.length)).toEqual([0, 0, 1]);
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+const Importers = require('../../src/services/importers');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/statements', name), 'utf8');
+
+describe('sportsbook importers', () => {
+  test('DraftKings transaction history CSV', () => {
+    const content = readFixture('draftkings.csv');
+    const importer = Importers.detect(content);
+
+    expect(importer.id).toBe('draftkings');
+    expect(importer.parse(content)).toEqual({
+      records: [
+        { type: 'deposit', amount: 200, description: 'Deposit via Visa', date: '2024-03-01', time: '09:15', externalId: 'T-5001' },
+        { type: 'bonus-credit', amount: 10, description: 'Weekly promo', date: '2024-03-05', time: '10:00', externalId: 'T-5004' },
+        { type: 'withdrawal', amount: 1150, description: 'Withdrawal to bank', date: '2024-03-08', time: '16:45', externalId: 'T-5005' }
+      ],
+      // Bet placements and settlements come from the bet history instead
+      skipped: 2
+    });
+  });
+
+  test('FanDuel bet activity CSV', () => {
+    const content = readFixture('fanduel.csv');
+    const importer = Importers.detect(content);
+
+    expect(importer.id).toBe('fanduel');
+    expect(importer.parse(content)).toEqual({
+      records: [
+        {
+          type: 'bet', amount: 50, description: 'Lakers @ Celtics - Celtics -4.5', date: '2024-03-01', time: '19:05',
+          status: 'won', winnings: 95.45, odds: '-110', sport: 'Basketball', league: 'NBA', externalId: 'O/0012345/0000001'
+        },
+        {
+          type: 'bet', amount: 20, description: 'Chiefs @ Bills - Over 47.5', date: '2024-03-02', time: '13:00',
+          status: 'lost', winnings: '', odds: '+150', sport: 'Football', league: 'NFL', externalId: 'O/0012345/0000002'
+        },
+        {
+          type: 'bonus-bet', amount: 10, description: 'Yankees @ Red Sox - Yankees ML', date: '2024-03-03', time: '20:30',
+          status: 'pending', winnings: '', odds: '1/1', sport: 'Baseball', league: 'MLB', externalId: 'O/0012345/0000003'
+        },
+        {
+          type: 'bet', amount: 30, description: 'Arsenal v Chelsea - Arsenal', date: '2024-03-04', time: '10:15',
+          status: 'cashout', winnings: 42.1, odds: '+140', sport: 'Soccer', league: 'Premier League', externalId: 'O/0012345/0000004'
+        }
+      ],
+      skipped: 0
+    });
+  });
+
+  test('BetMGM bet history HTML', () => {
+    const content = readFixture('betmgm.html');
+    const importer = Importers.detect(content);
+
+    expect(importer.id).toBe('betmgm');
+    expect(importer.parse(content)).toEqual({
+      records: [
+        {
+          type: 'bet', amount: 27, description: 'Rangers @ Bruins - Bruins ML', date: '2024-03-01', time: '19:05',
+          status: 'won', winnings: 47, odds: '-135', sport: 'Hockey', league: 'NHL', externalId: 'MGM-9001'
+        },
+        {
+          type: 'bet', amount: 10, description: 'Texas A&M @ Auburn - Auburn +3.5', date: '2024-03-02', time: '12:00',
+          status: 'lost', winnings: '', odds: '+240', sport: 'Football', league: 'NCAAF', externalId: 'MGM-9002'
+        },
+        {
+          type: 'bet', amount: 22, description: 'Heat @ Knicks - Knicks -3', date: '2024-03-03', time: '19:30',
+          status: 'push', winnings: '', odds: '-110', sport: 'Basketball', league: 'NBA', externalId: 'MGM-9003'
+        },
+        {
+          type: 'bonus-bet', amount: 5, description: 'Dodgers @ Padres - Padres ML', date: '2024-03-04', time: '21:00',
+          status: 'cashout', winnings: 8.5, odds: '+300', sport: 'Baseball', league: 'MLB', externalId: 'MGM-9004'
+        }
+      ],
+      skipped: 0
+    });
+  });
+
+  test('Bet365 account statement HTML with day-first dates', () => {
+    const content = readFixture('bet365.html');
+    const importer = Importers.detect(content);
+
+    expect(importer.id).toBe('bet365');
+    expect(importer.parse(content)).toEqual({
+      records: [
+        { type: 'deposit', amount: 100, description: 'Deposit - Visa Debit', date: '2024-03-01', time: '09:15', externalId: 'TR-7001' },
+        { type: 'bonus-credit', amount: 5, description: 'Welcome Bonus', date: '2024-03-05', time: '10:30', externalId: 'TR-7004' },
+        { type: 'withdrawal', amount: 60, description: 'Withdrawal - Bank Transfer', date: '2024-03-12', time: '16:05', externalId: 'TR-7005' }
+      ],
+      skipped: 2
+    });
+  });
+
+  test('rejects a statement from another book', () => {
+    expect(() => Importers.get('bet365').parse(readFixture('fanduel.csv'))).toThrow('does not look like a Bet365 export');
+  });
+
+  describe('rows exported without an ID', () => {
+    const header = 'Bet Ref,Date Placed,Event,Selection,Price,Stake,Return,Result';
+
+    test('keep their ID once the bet settles', () => {
+      const pending = Importers.get('fanduel').parse(`${header}\n,2024-03-01,Lakers @ Celtics,Celtics -4.5,-110,$50.00,,Open\n`);
+      const settled = Importers.get('fanduel').parse(`${header}\n,2024-03-01,Lakers @ Celtics,Celtics -4.5,-110,$50.00,$95.45,Settled\n`);
+
+      expect(pending.records[0].status).toBe('pending');
+      expect(settled.records[0].status).toBe('won');
+      expect(pending.records[0].externalId).toMatch(/^fanduel:[0-9a-f]{24}:1$/);
+      expect(settled.records[0].externalId).toBe(pending.records[0].externalId);
+    });
+
+    test('are numbered when identical rows appear in one file', () => {
+      const row = ',2024-03-01,Lakers @ Celtics,Celtics -4.5,-110,$50.00,,Open';
+      const { records } = Importers.get('fanduel').parse(`${header}\n${row}\n${row}\n`);
+
+      expect(records[0].externalId).toMatch(/:1$/);
+      expect(records[1].externalId).toBe(records[0].externalId.replace(/:1$/, ':2'));
+    });
+  });
+});
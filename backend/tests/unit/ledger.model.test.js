@@ -0,0 +1,120 @@
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const { pool } = require('../../src/config/database.config');
+const LedgerModel = require('../../src/models/Ledger.model');
+
+/**
+ * Connection over an in-memory ledger_entries table, keeping the account
+ * row's cached totals as the UPDATE leaves them
+ */
+const createLedger = (entries = []) => {
+  const account = {};
+
+  const connection = {
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+    execute: jest.fn(async (sql, params) => {
+      if (/^\s*INSERT INTO ledger_entries/.test(sql)) {
+        const [accountId, entryType, amount, depositChange, withdrawalChange] = params;
+        entries.push({ accountId, entryType, amount, depositChange, withdrawalChange });
+        return [{ insertId: entries.length }];
+      }
+
+      if (/^\s*SELECT COUNT\(\*\) AS entries/.test(sql)) {
+        const rows = entries.filter(entry => entry.accountId === params[0]);
+        const sum = (field) => rows.reduce((total, entry) => total + entry[field], 0);
+        return [[{
+          entries: rows.length,
+          balance: sum('amount'),
+          total_deposits: sum('depositChange'),
+          total_withdrawals: sum('withdrawalChange')
+        }]];
+      }
+
+      if (/^\s*UPDATE accounts/.test(sql)) {
+        [account.balance, account.totalDeposits, account.totalWithdrawals] = params;
+      }
+
+      return [[]];
+    })
+  };
+
+  pool.getConnection.mockResolvedValue(connection);
+  return { connection, entries, account };
+};
+
+describe('LedgerModel.append', () => {
+  test('records the change in cents and copies the new totals onto the account', async () => {
+    const { connection, entries, account } = createLedger([
+      { accountId: 7, entryType: 'opening', amount: 100, depositChange: 100, withdrawalChange: 0 }
+    ]);
+
+    const id = await LedgerModel.append(7, { entryType: 'deposit', amount: 50.004, depositChange: 50.004 });
+
+    expect(id).toBe(2);
+    expect(entries[1]).toEqual({ accountId: 7, entryType: 'deposit', amount: 50, depositChange: 50, withdrawalChange: 0 });
+    expect(account).toEqual({ balance: 150, totalDeposits: 150, totalWithdrawals: 0 });
+    expect(connection.execute.mock.calls[0][0]).toMatch(/FOR UPDATE/);
+    expect(connection.commit).toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  test('records nothing when nothing changes', async () => {
+    const { connection } = createLedger();
+
+    expect(await LedgerModel.append(7, { amount: 0.001 })).toBeNull();
+    expect(connection.execute).not.toHaveBeenCalled();
+  });
+
+  test('refuses an unknown entry type', async () => {
+    createLedger();
+
+    await expect(LedgerModel.append(7, { entryType: 'gift', amount: 5 })).rejects.toThrow('Invalid ledger entry type: gift');
+  });
+
+  test("writes on the caller's connection without committing it", async () => {
+    const { connection } = createLedger();
+    pool.getConnection.mockClear();
+
+    await LedgerModel.append(7, { entryType: 'withdrawal', amount: -20, withdrawalChange: 20 }, connection);
+
+    expect(pool.getConnection).not.toHaveBeenCalled();
+    expect(connection.beginTransaction).not.toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+    expect(connection.release).not.toHaveBeenCalled();
+  });
+
+  test('rolls back its own transaction when the entry cannot be written', async () => {
+    const { connection } = createLedger();
+    connection.execute.mockRejectedValueOnce(new Error('Lock wait timeout exceeded'));
+
+    await expect(LedgerModel.append(7, { amount: 5 })).rejects.toThrow('Lock wait timeout exceeded');
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+});
+
+describe('LedgerModel.adjustTo', () => {
+  const opening = () => [{ accountId: 7, entryType: 'opening', amount: 80, depositChange: 100, withdrawalChange: 20 }];
+
+  test('appends the difference to the totals it is given and leaves the others', async () => {
+    const { entries, account } = createLedger(opening());
+
+    const result = await LedgerModel.adjustTo(7, { balance: 95.5, totalDeposits: 110 }, { description: 'Recalculated' });
+
+    expect(result).toEqual({ id: 2, amount: 15.5, depositChange: 10, withdrawalChange: 0 });
+    expect(entries[1].entryType).toBe('adjustment');
+    expect(account).toEqual({ balance: 95.5, totalDeposits: 110, totalWithdrawals: 20 });
+  });
+
+  test('appends nothing when the totals already match', async () => {
+    const { entries } = createLedger(opening());
+
+    const result = await LedgerModel.adjustTo(7, { balance: 80, totalDeposits: 100, totalWithdrawals: 20 });
+
+    expect(result.id).toBeNull();
+    expect(entries).toHaveLength(1);
+  });
+});
@@ -0,0 +1,140 @@
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const LimitModel = require('../../src/models/Limit.model');
+const LimitService = require('../../src/services/limit.service');
+
+const limit = (overrides) => ({
+  id: 1,
+  accountId: null,
+  accountName: null,
+  limitType: 'deposit',
+  period: 'week',
+  amount: 100,
+  enforcement: 'block',
+  ...overrides
+});
+
+describe('LimitService.check', () => {
+  const deposit = (amount, overrides) => ({ accountId: 7, activity: 'deposit', amount, ...overrides });
+
+  beforeEach(() => {
+    jest.spyOn(LimitModel, 'applyDueChanges').mockResolvedValue();
+    jest.spyOn(LimitModel, 'getUsage').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts each entry on top of the ones before it, except those it blocks', async () => {
+    jest.spyOn(LimitModel, 'findByUserId').mockResolvedValue([limit()]);
+
+    const results = await LimitService.check(1, [deposit(60), deposit(60), deposit(30)]);
+
+    expect(results[0]).toEqual({ error: null, warnings: [] });
+    expect(results[1].error).toBe('Your weekly deposit limit of $100.00 would be exceeded: $60.00 used this week, this deposit would make it $120.00');
+    expect(results[2]).toEqual({ error: null, warnings: ['90% of your weekly deposit limit of $100.00 used this week'] });
+    expect(LimitModel.getUsage).toHaveBeenCalledTimes(1);
+  });
+
+  test('starts from the usage already recorded this period', async () => {
+    jest.spyOn(LimitModel, 'findByUserId').mockResolvedValue([limit()]);
+    LimitModel.getUsage.mockResolvedValue(90);
+
+    const [result] = await LimitService.check(1, [deposit(20)]);
+
+    expect(result.error).toMatch(/\$90\.00 used this week/);
+  });
+
+  test('a warning-only limit warns instead of blocking', async () => {
+    jest.spyOn(LimitModel, 'findByUserId').mockResolvedValue([limit({ enforcement: 'warn' })]);
+
+    const [result] = await LimitService.check(1, [deposit(150)]);
+
+    expect(result.error).toBeNull();
+    expect(result.warnings).toEqual([expect.stringMatching(/^Your weekly deposit limit of \$100\.00 would be exceeded/)]);
+  });
+
+  test('skips limits on other accounts and entries dated before the period', async () => {
+    jest.spyOn(LimitModel, 'findByUserId').mockResolvedValue([limit({ accountId: 8, accountName: 'Bet365' }), limit({ id: 2 })]);
+
+    const [otherAccount, backdated] = await LimitService.check(1, [
+      deposit(50, { accountId: 8, date: '2000-01-03' }),
+      deposit(500, { date: '2000-01-03' })
+    ]);
+
+    expect(otherAccount).toEqual({ error: null, warnings: [] });
+    expect(backdated).toEqual({ error: null, warnings: [] });
+    expect(LimitModel.getUsage).not.toHaveBeenCalled();
+  });
+
+  test('bets count once towards bet count limits, whatever their stake', async () => {
+    jest.spyOn(LimitModel, 'findByUserId').mockResolvedValue([limit({ limitType: 'bet-count', amount: 2 })]);
+    const bet = (amount) => ({ accountId: 7, activity: 'bet', amount });
+
+    const results = await LimitService.check(1, [bet(0), bet(40), bet(5)]);
+
+    expect(results[0].error).toBeNull();
+    expect(results[1].warnings).toEqual(['100% of your weekly bet count limit of 2 bets used this week']);
+    expect(results[2].error).toBe('Your weekly bet count limit of 2 bets would be exceeded: 2 bets used this week, this bet would make it 3 bets');
+  });
+});
+
+describe('LimitService.setLimit', () => {
+  const existing = limit({ amount: 100, enforcement: 'block' });
+
+  beforeEach(() => {
+    jest.spyOn(LimitModel, 'applyDueChanges').mockResolvedValue();
+    jest.spyOn(LimitModel, 'getUsage').mockResolvedValue(0);
+    jest.spyOn(LimitModel, 'findExisting').mockResolvedValue(existing);
+    jest.spyOn(LimitModel, 'create').mockImplementation(async (data) => limit({ amount: data.amount }));
+    jest.spyOn(LimitModel, 'update').mockImplementation(async (id, data) => ({ ...existing, ...data }));
+    jest.spyOn(LimitModel, 'schedule').mockResolvedValue({ ...existing, pendingChange: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a new limit applies at once', async () => {
+    LimitModel.findExisting.mockResolvedValue(null);
+
+    const result = await LimitService.setLimit(1, { limitType: 'deposit', period: 'week', amount: '250' });
+
+    expect(LimitModel.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 250, enforcement: 'block' }));
+    expect(result.message).toBe('Your weekly deposit limit of $250.00 is set');
+  });
+
+  test('a lower limit applies at once', async () => {
+    await LimitService.setLimit(1, { limitType: 'deposit', period: 'week', amount: 50 });
+
+    expect(LimitModel.update).toHaveBeenCalledWith(1, { amount: 50, enforcement: 'block' });
+    expect(LimitModel.schedule).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['raising the amount', { amount: 200 }],
+    ['switching to warnings', { amount: 100, enforcement: 'warn' }]
+  ])('%s waits out the cooling-off period', async (description, change) => {
+    const result = await LimitService.setLimit(1, { limitType: 'deposit', period: 'week', ...change });
+
+    expect(LimitModel.update).not.toHaveBeenCalled();
+    expect(LimitModel.schedule).toHaveBeenCalledWith(1, expect.objectContaining({
+      action: 'update',
+      coolingOffDays: LimitService.coolingOffDays
+    }));
+    expect(result.message).toBe(
+      `Your weekly deposit limit of $100.00 stays in place until the ${LimitService.coolingOffDays}-day cooling-off period ends`
+    );
+  });
+
+  test.each([
+    ['deposit', '0'],
+    ['deposit', 'lots'],
+    ['bet-count', '2.5']
+  ])('refuses a %s limit of %p', async (limitType, amount) => {
+    await expect(LimitService.setLimit(1, { limitType, period: 'week', amount }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_LIMIT' });
+    expect(LimitModel.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const { pool } = require('../../src/config/database.config');
+const Helpers = require('../../src/utils/helpers');
+const Migrator = require('../../src/utils/migrator');
+
+describe('Migrator.migrate', () => {
+  const migrationsDir = Migrator.migrationsDir;
+  let connection;
+
+  beforeEach(() => {
+    connection = {
+      query: jest.fn().mockResolvedValue([[]]),
+      execute: jest.fn().mockResolvedValue([{}]),
+      release: jest.fn()
+    };
+    pool.getConnection.mockResolvedValue(connection);
+    jest.spyOn(Helpers, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Migrator.migrationsDir = migrationsDir;
+    jest.restoreAllMocks();
+  });
+
+  test('applies the migrations in version order', async () => {
+    const results = await Migrator.migrate();
+
+    expect(results[0]).toEqual({ version: '001', name: 'initial_schema' });
+    expect(results.map(result => result.version)).toEqual([...results.map(result => result.version)].sort());
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  test('fails instead of reporting success when the migrations directory is missing', async () => {
+    Migrator.migrationsDir = '/nowhere/database/migrations';
+
+    await expect(Migrator.migrate()).rejects.toThrow('Migrations directory not found: /nowhere/database/migrations');
+    expect(connection.execute).not.toHaveBeenCalled();
+    expect(Helpers.log).not.toHaveBeenCalledWith('Database schema is up to date', 'info');
+    expect(connection.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+const OddsUtils = require('../../src/utils/odds');
+
+describe('OddsUtils conversion', () => {
+  test.each([
+    ['+150', 2.5],
+    ['-200', 1.5],
+    ['5/2', 3.5],
+    ['1.91', 1.91]
+  ])('converts %s to decimal odds', (value, decimal) => {
+    expect(OddsUtils.toDecimal(value)).toBeCloseTo(decimal);
+  });
+
+  test.each([
+    ['-50'],
+    ['0/1'],
+    ['1.0'],
+    ['evens'],
+    ['']
+  ])('rejects %p as a price', (value) => {
+    expect(OddsUtils.toDecimal(value)).toBeNull();
+  });
+
+  test('normalises to four decimal places and keeps the format it was entered in', () => {
+    expect(OddsUtils.normalize('-110')).toEqual({ decimal: 1.9091, format: 'american' });
+    expect(OddsUtils.normalize('150', 'american')).toEqual({ decimal: 2.5, format: 'american' });
+    expect(OddsUtils.normalize('2.5', 'fractional')).toBeNull();
+    expect(OddsUtils.normalize('+150', 'moneyline')).toBeNull();
+  });
+
+  test('formats decimal odds back in each format', () => {
+    expect(OddsUtils.format(2.5)).toBe('+150');
+    expect(OddsUtils.format(1.9091)).toBe('-110');
+    expect(OddsUtils.format(3.5, 'fractional')).toBe('5/2');
+    expect(OddsUtils.format(1.5, 'decimal')).toBe('1.50');
+    expect(OddsUtils.format(null)).toBeNull();
+  });
+});
+
+describe('OddsUtils.calculatePayout', () => {
+  test('returns the stake and the profit', () => {
+    expect(OddsUtils.calculatePayout(50, 1.9091)).toBe(95.46);
+    expect(OddsUtils.calculatePayout('20', 2.5)).toBe(50);
+  });
+
+  test('returns only the profit on a bonus bet', () => {
+    expect(OddsUtils.calculatePayout(20, 2.5, true)).toBe(30);
+  });
+});
+
+describe('OddsUtils.combine', () => {
+  test('multiplies the legs of a parlay into one price', () => {
+    expect(OddsUtils.combine([2.5, 2, 1.5])).toBe(7.5);
+    expect(OddsUtils.combine([1.9091, 1.9091])).toBe(3.6447);
+  });
+
+  test('prices a parlay with no legs at 1, returning only the stake', () => {
+    expect(OddsUtils.combine([])).toBe(1);
+  });
+});
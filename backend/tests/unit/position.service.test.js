@@ -0,0 +1,95 @@
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const PositionService = require('../../src/services/position.service');
+
+describe('PositionService.calculate', () => {
+  test('splits the total stake so every outcome pays the same on an arbitrage', () => {
+    const result = PositionService.calculate({ legs: [{ odds: '2.1' }, { odds: '+110' }], totalStake: 100 });
+
+    expect(result).toMatchObject({
+      mode: 'arbitrage',
+      bookPercent: 95.24,
+      isArbitrage: true,
+      cashStaked: 100,
+      guaranteedProfit: 5,
+      returnPercent: 5,
+      conversionRate: null
+    });
+    expect(result.legs.map(leg => [leg.odds, leg.stake, leg.profitIfWins])).toEqual([['2.10', 50, 5], ['+110', 50, 5]]);
+  });
+
+  test('sizes the other legs from the stake on the first', () => {
+    const result = PositionService.calculate({ legs: [{ odds: '+200' }, { odds: '-200' }], firstLegStake: '50' });
+
+    expect(result.legs.map(leg => leg.stake)).toEqual([50, 100]);
+    expect(result).toMatchObject({ bookPercent: 100, isArbitrage: false, guaranteedProfit: 0 });
+  });
+
+  test('hedges a bonus bet, which pays its winnings but not its stake', () => {
+    const result = PositionService.calculate({ legs: [{ odds: '+400' }, { odds: '-400' }], bonusStake: 50 });
+
+    expect(result).toMatchObject({
+      mode: 'bonus-conversion',
+      cashStaked: 160,
+      guaranteedProfit: 40,
+      returnPercent: null,
+      conversionRate: 80
+    });
+    expect(result.legs.map(leg => [leg.stake, leg.isBonusBet, leg.profitIfWins])).toEqual([[50, true, 40], [160, false, 40]]);
+  });
+
+  test.each([
+    ['Enter between 2 and 10 prices', { legs: [{ odds: '+100' }] }],
+    ['Price 2 is not valid odds', { legs: [{ odds: '+100' }, { odds: 'evens' }] }],
+    ['Total stake must be a positive number', { legs: [{ odds: '+100' }, { odds: '-110' }], totalStake: -5 }],
+    ['Bonus stake must be a positive number', { legs: [{ odds: '+100' }, { odds: '-110' }], bonusStake: 'free' }]
+  ])('refuses with "%s"', (message, input) => {
+    expect(() => PositionService.calculate(input)).toThrow(expect.objectContaining({ message, code: 'INVALID_CALCULATION' }));
+  });
+});
+
+describe('PositionService.withResults', () => {
+  const bet = (accountName, overrides) => ({
+    accountName,
+    amount: 50,
+    displayAmount: 50,
+    oddsDecimal: 2.1,
+    isBonusBet: false,
+    status: 'pending',
+    profitLoss: 0,
+    ...overrides
+  });
+
+  test('locks in the worst return of an open position', () => {
+    const position = PositionService.withResults({ id: 1, strategy: 'hedge' }, [
+      bet('FanDuel'),
+      bet('Bet365', { amount: 60, displayAmount: 60, oddsDecimal: 1.9 })
+    ]);
+
+    expect(position).toMatchObject({
+      label: 'hedge',
+      accounts: ['FanDuel', 'Bet365'],
+      cashStaked: 110,
+      settled: false,
+      lockedProfit: -5,
+      realisedProfit: null,
+      returnPercent: -4.55
+    });
+  });
+
+  test('counts a converted bonus bet against its bonus stake once settled', () => {
+    const position = PositionService.withResults({ id: 1, strategy: 'bonus-conversion' }, [
+      bet('FanDuel', { amount: 0, oddsDecimal: 5, isBonusBet: true, status: 'lost', profitLoss: 0 }),
+      bet('Bet365', { amount: 160, displayAmount: 160, oddsDecimal: 1.25, status: 'won', profitLoss: 40 })
+    ]);
+
+    expect(position).toMatchObject({
+      bonusStaked: 50,
+      settled: true,
+      lockedProfit: 40,
+      realisedProfit: 40,
+      returnPercent: null,
+      conversionRate: 80
+    });
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const { pool } = require('../../src/config/database.config');
+const AccountModel = require('../../src/models/Account.model');
+const LedgerModel = require('../../src/models/Ledger.model');
+const TransactionModel = require('../../src/models/Transaction.model');
+const LimitService = require('../../src/services/limit.service');
+const TransactionService = require('../../src/services/transaction.service');
+
+const createConnection = () => {
+  const connection = {
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+    execute: jest.fn()
+  };
+
+  pool.getConnection.mockResolvedValue(connection);
+  return connection;
+};
+
+describe('TransactionService.bulkCreateTransactions', () => {
+  beforeEach(() => {
+    jest.spyOn(LimitService, 'check').mockImplementation(async (userId, entries) => entries.map(() => ({ error: null, warnings: [] })));
+    jest.spyOn(AccountModel, 'findByUserAndKey').mockImplementation(async (userId, key) => (
+      key === 'fanduel' ? { id: 7, name: 'FanDuel', balance: 500, archivedAt: null } : null
+    ));
+    jest.spyOn(TransactionService, 'getAffectedAggregates').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('writes the transactions and their ledger entries in one transaction', async () => {
+    const connection = createConnection();
+    const bulkCreate = jest.spyOn(TransactionModel, 'bulkCreate').mockImplementation(async (rows) => (
+      rows.map((row, i) => ({ id: 30 + i, ...row }))
+    ));
+    const append = jest.spyOn(LedgerModel, 'append').mockResolvedValue(40);
+
+    const result = await TransactionService.bulkCreateTransactions(1, [
+      { account_key: 'fanduel', type: 'deposit', amount: '100', date: '2024-03-01' },
+      { account_key: 'fanduel', type: 'withdrawal', amount: 40, date: '2024-03-02' }
+    ]);
+
+    expect(result.transactions).toHaveLength(2);
+    expect(bulkCreate).toHaveBeenCalledWith(expect.any(Array), connection);
+    expect(append).toHaveBeenCalledWith(7, expect.objectContaining({
+      entryType: 'deposit', amount: 100, depositChange: 100, transactionId: 30
+    }), connection);
+    expect(append).toHaveBeenCalledWith(7, expect.objectContaining({
+      entryType: 'withdrawal', amount: -40, withdrawalChange: 40, transactionId: 31
+    }), connection);
+    expect(connection.commit).toHaveBeenCalled();
+  });
+
+  test('refuses bets, which need a bet record', async () => {
+    const bulkCreate = jest.spyOn(TransactionModel, 'bulkCreate');
+
+    await expect(TransactionService.bulkCreateTransactions(1, [
+      { account_key: 'fanduel', type: 'bet', amount: 25, date: '2024-03-01' }
+    ])).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    expect(bulkCreate).not.toHaveBeenCalled();
+  });
+
+  test('refuses rows for an archived account, as a single entry would be', async () => {
+    AccountModel.findByUserAndKey.mockResolvedValue({ id: 8, name: 'Old Book', balance: 0, archivedAt: '2024-01-01T00:00:00.000Z' });
+    const bulkCreate = jest.spyOn(TransactionModel, 'bulkCreate');
+
+    await expect(TransactionService.bulkCreateTransactions(1, [
+      { account_key: 'oldbook', type: 'deposit', amount: 100, date: '2024-03-01' }
+    ])).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+      errors: { 'transactions[0]': expect.objectContaining({ message: "Account 'oldbook' is archived at index 0" }) }
+    });
+    expect(bulkCreate).not.toHaveBeenCalled();
+  });
+
+  test('holds only the deposits to the gambling limits', async () => {
+    createConnection();
+    jest.spyOn(TransactionModel, 'bulkCreate').mockImplementation(async (rows) => rows.map((row, i) => ({ id: 30 + i, ...row })));
+    jest.spyOn(LedgerModel, 'append').mockResolvedValue(40);
+    LimitService.check.mockResolvedValue([{ error: null, warnings: ['90% of your weekly deposit limit used this week'] }]);
+
+    const result = await TransactionService.bulkCreateTransactions(1, [
+      { account_key: 'fanduel', type: 'withdrawal', amount: 40, date: '2024-03-01' },
+      { account_key: 'fanduel', type: 'deposit', amount: 100, date: '2024-03-02' }
+    ]);
+
+    expect(LimitService.check).toHaveBeenCalledWith(1, [
+      expect.objectContaining({ accountId: 7, activity: 'deposit', amount: 100, date: '2024-03-02' })
+    ]);
+    expect(result.limitWarnings).toEqual(['Transaction 2: 90% of your weekly deposit limit used this week']);
+  });
+
+  test('rejects the whole batch when a deposit breaks a blocking limit', async () => {
+    const bulkCreate = jest.spyOn(TransactionModel, 'bulkCreate');
+    LimitService.check.mockResolvedValue([{ error: 'Your weekly deposit limit would be exceeded', warnings: [] }]);
+
+    await expect(TransactionService.bulkCreateTransactions(1, [
+      { account_key: 'fanduel', type: 'deposit', amount: 5000, date: '2024-03-01' }
+    ])).rejects.toMatchObject({ code: 'LIMIT_EXCEEDED', statusCode: 403 });
+    expect(bulkCreate).not.toHaveBeenCalled();
+  });
+
+  test('rolls the transactions back when a ledger entry cannot be written', async () => {
+    const connection = createConnection();
+    jest.spyOn(TransactionModel, 'bulkCreate').mockImplementation(async (rows) => rows.map((row, i) => ({ id: 30 + i, ...row })));
+    jest.spyOn(LedgerModel, 'append').mockRejectedValue(new Error('Lock wait timeout exceeded'));
+
+    await expect(TransactionService.bulkCreateTransactions(1, [
+      { account_key: 'fanduel', type: 'deposit', amount: 100, date: '2024-03-01' }
+    ])).rejects.toMatchObject({ code: 'BULK_TRANSACTION_FAILED' });
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+  });
+});
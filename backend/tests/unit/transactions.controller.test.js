@@ -0,0 +1,82 @@
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const { pool } = require('../../src/config/database.config');
+const { AppError } = require('../../src/middleware/error.middleware');
+const LedgerModel = require('../../src/models/Ledger.model');
+const LimitService = require('../../src/services/limit.service');
+const TransactionsController = require('../../src/controllers/transactions.controller');
+
+describe('TransactionsController.updateTransaction', () => {
+  let connection;
+
+  const update = async (stored, body) => {
+    connection = {
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn(),
+      execute: jest.fn()
+        .mockResolvedValueOnce([[{
+          id: 9,
+          account_id: 7,
+          user_id: 1,
+          transaction_date: '2024-03-01',
+          transaction_time: '12:00:00',
+          expires_on: null,
+          ...stored
+        }]])
+        .mockResolvedValue([{ affectedRows: 1 }])
+    };
+    pool.getConnection.mockResolvedValue(connection);
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await TransactionsController.updateTransaction({ user: { userId: 1 }, params: { transactionId: '9' }, body }, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(LimitService, 'enforce').mockResolvedValue([]);
+    jest.spyOn(LedgerModel, 'append').mockResolvedValue(40);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('holds a raised deposit to the deposit limits by the amount it went up', async () => {
+    LimitService.enforce.mockResolvedValue(['85% of your weekly deposit limit used this week']);
+
+    const { res } = await update({ type: 'deposit', amount: '100.00' }, { amount: 300 });
+
+    expect(LimitService.enforce).toHaveBeenCalledWith(1, 7, { activity: 'deposit', amount: 200, date: '2024-03-01' });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: true,
+      limitWarnings: ['85% of your weekly deposit limit used this week']
+    }));
+  });
+
+  test('counts the whole amount when a transaction becomes a deposit', async () => {
+    await update({ type: 'bonus-credit', amount: '50.00' }, { type: 'deposit' });
+
+    expect(LimitService.enforce).toHaveBeenCalledWith(1, 7, expect.objectContaining({ activity: 'deposit', amount: 50 }));
+  });
+
+  test('refuses a raise that breaks a blocking limit', async () => {
+    LimitService.enforce.mockRejectedValue(new AppError('Your weekly deposit limit would be exceeded', 403, 'LIMIT_EXCEEDED'));
+
+    const { res, next } = await update({ type: 'deposit', amount: '100.00' }, { amount: 5000 });
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ code: 'LIMIT_EXCEEDED' }));
+    expect(res.json).not.toHaveBeenCalled();
+    expect(LedgerModel.append).not.toHaveBeenCalled();
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+
+  test('checks nothing when a deposit is lowered', async () => {
+    await update({ type: 'deposit', amount: '100.00' }, { amount: 60 });
+
+    expect(LimitService.enforce).not.toHaveBeenCalled();
+    expect(LedgerModel.append).toHaveBeenCalledWith(7, expect.objectContaining({ amount: -40, depositChange: -40 }), connection);
+  });
+});
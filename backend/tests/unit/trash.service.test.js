@@ -0,0 +1,127 @@
+jest.mock('../../src/config/database.config', () => ({ pool: { getConnection: jest.fn() } }));
+
+const { pool } = require('../../src/config/database.config');
+const LedgerModel = require('../../src/models/Ledger.model');
+const TrashModel = require('../../src/models/Trash.model');
+const BetService = require('../../src/services/bet.service');
+const TrashService = require('../../src/services/trash.service');
+
+const betRow = (overrides) => ({
+  id: 5,
+  account_id: 7,
+  account_key: 'fanduel',
+  user_id: 1,
+  amount: '50.00',
+  display_amount: '50.00',
+  description: 'Celtics -4.5',
+  bet_date: '2024-03-01',
+  status: 'pending',
+  winnings: '0.00',
+  is_bonus_bet: 0,
+  ...overrides
+});
+
+describe('TrashService.trashBet', () => {
+  let append;
+
+  const trash = async (row) => {
+    pool.getConnection.mockResolvedValue({
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn(),
+      execute: jest.fn().mockResolvedValue([[row]])
+    });
+
+    return TrashService.trashBet(1, row.id);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(TrashModel, 'create').mockResolvedValue(3);
+    jest.spyOn(TrashModel, 'moveRecords').mockResolvedValue({ betIds: [5] });
+    jest.spyOn(TrashModel, 'complete').mockResolvedValue();
+    append = jest.spyOn(LedgerModel, 'append').mockResolvedValue(40);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['a pending bet gets its stake back', {}, 50],
+    ['a lost bet gets its stake back', { status: 'lost' }, 50],
+    ['a won bet loses its profit', { status: 'won', winnings: '95.45' }, -45.45],
+    ['a cashed-out bet loses what it returned over the stake', { status: 'cashout', winnings: '30.00' }, 20],
+    ['a push changes nothing', { status: 'push', winnings: '50.00' }, 0],
+    ['a won bonus bet loses its winnings', { status: 'won', winnings: '30.00', amount: '0.00', is_bonus_bet: 1 }, -30],
+    ['a lost bonus bet changes nothing', { status: 'lost', amount: '0.00', is_bonus_bet: 1 }, 0]
+  ])('%s', async (name, overrides, expected) => {
+    const row = betRow(overrides);
+    const result = await trash(row);
+
+    expect(result.balanceAdjustment).toBeCloseTo(expected, 2);
+    expect(result.balanceChange).toBeCloseTo(expected, 2);
+    expect(append.mock.calls[0][1].amount).toBeCloseTo(expected, 2);
+    // The reversal undoes exactly what the bet did to the balance
+    expect(result.balanceAdjustment + BetService.getBalanceEffect({
+      amount: parseFloat(row.amount),
+      isBonusBet: Boolean(row.is_bonus_bet),
+      status: row.status,
+      winnings: parseFloat(row.winnings)
+    })).toBeCloseTo(0, 2);
+  });
+
+  test('stores the ledger change so restoring reverses it', async () => {
+    await trash(betRow({ status: 'lost' }));
+
+    expect(TrashModel.complete).toHaveBeenCalledWith(3, {
+      betIds: [5],
+      ledgerChanges: [{ accountId: 7, entryId: 40, amount: 50, depositChange: 0, withdrawalChange: 0 }]
+    }, expect.anything());
+  });
+});
+
+describe('TrashService.trashTransaction', () => {
+  let append;
+
+  const trash = async (row) => {
+    pool.getConnection.mockResolvedValue({
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn(),
+      execute: jest.fn().mockResolvedValue([[{ id: 9, account_id: 7, user_id: 1, description: '', ...row }]])
+    });
+
+    return TrashService.trashTransaction(1, 9);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(TrashModel, 'create').mockResolvedValue(3);
+    jest.spyOn(TrashModel, 'moveRecords').mockResolvedValue({ transactionIds: [9] });
+    jest.spyOn(TrashModel, 'complete').mockResolvedValue();
+    // Like the real ledger, nothing is written for a change of zero
+    append = jest.spyOn(LedgerModel, 'append').mockImplementation(async (accountId, entry) => (
+      entry.amount || entry.depositChange || entry.withdrawalChange ? 41 : null
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a deposit comes off the balance and the deposit total', async () => {
+    const result = await trash({ type: 'deposit', amount: '100.00' });
+
+    expect(append.mock.calls[0][1]).toMatchObject({ amount: -100, depositChange: -100 });
+    expect(result.balanceChange).toBe(-100);
+  });
+
+  test('a bet entry leaves the stake to its bet record', async () => {
+    const result = await trash({ type: 'bet', amount: '50.00' });
+
+    expect(append.mock.calls[0][1]).toMatchObject({ amount: 0 });
+    expect(result.balanceChange).toBe(0);
+    expect(TrashModel.complete).toHaveBeenCalledWith(3, { transactionIds: [9], ledgerChanges: [] }, expect.anything());
+  });
+});
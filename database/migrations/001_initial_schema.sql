@@ -0,0 +1,71 @@
+-- Migration: 001_initial_schema
+-- Creates the core tables queried by the models in backend/src/models.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS users (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  email VARCHAR(255) NOT NULL,
+  username VARCHAR(50) NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY unique_email (email),
+  UNIQUE KEY unique_username (username)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS accounts (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  account_key VARCHAR(50) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  balance DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  total_deposits DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  total_withdrawals DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY unique_user_account (user_id, account_key),
+  CONSTRAINT fk_accounts_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS transactions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  account_id INT UNSIGNED NOT NULL,
+  type ENUM('deposit', 'withdrawal', 'bet', 'bonus-credit', 'bonus-bet', 'historical-win', 'historical-loss') NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  description VARCHAR(500) NOT NULL DEFAULT '',
+  transaction_date DATE NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_transactions_account_date (account_id, transaction_date),
+  KEY idx_transactions_type (type),
+  CONSTRAINT fk_transactions_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS bets (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  account_id INT UNSIGNED NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  display_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  description VARCHAR(500) NOT NULL DEFAULT '',
+  bet_date DATE NOT NULL,
+  status ENUM('pending', 'won', 'lost') NOT NULL DEFAULT 'pending',
+  winnings DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  is_bonus_bet TINYINT(1) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_bets_account_date (account_id, bet_date),
+  KEY idx_bets_status (status),
+  CONSTRAINT fk_bets_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS bets;
+DROP TABLE IF EXISTS transactions;
+DROP TABLE IF EXISTS accounts;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,16 @@
+-- Migration: 002_bet_odds
+-- Stores the price a bet was taken at. Odds are normalised to decimal form;
+-- odds_format remembers how the user entered them so they can be shown back
+-- in the same format.
+
+-- migrate:up
+
+ALTER TABLE bets
+  ADD COLUMN odds_decimal DECIMAL(10, 4) NULL AFTER display_amount,
+  ADD COLUMN odds_format ENUM('american', 'decimal', 'fractional') NULL AFTER odds_decimal;
+
+-- migrate:down
+
+ALTER TABLE bets
+  DROP COLUMN odds_format,
+  DROP COLUMN odds_decimal;
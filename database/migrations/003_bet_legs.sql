@@ -0,0 +1,30 @@
+-- Migration: 003_bet_legs
+-- Parlays and same-game parlays: a bet gets a type, and multi-leg bets store
+-- each selection as its own row with its own odds and result.
+
+-- migrate:up
+
+ALTER TABLE bets
+  ADD COLUMN bet_type ENUM('straight', 'parlay', 'sgp') NOT NULL DEFAULT 'straight' AFTER account_id;
+
+CREATE TABLE IF NOT EXISTS bet_legs (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  bet_id INT UNSIGNED NOT NULL,
+  leg_order SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+  selection VARCHAR(255) NOT NULL,
+  odds_decimal DECIMAL(10, 4) NOT NULL,
+  odds_format ENUM('american', 'decimal', 'fractional') NOT NULL DEFAULT 'american',
+  status ENUM('pending', 'won', 'lost', 'void') NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_bet_legs_bet (bet_id, leg_order),
+  CONSTRAINT fk_bet_legs_bet FOREIGN KEY (bet_id) REFERENCES bets (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS bet_legs;
+
+ALTER TABLE bets
+  DROP COLUMN bet_type;
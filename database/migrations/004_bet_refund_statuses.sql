@@ -0,0 +1,17 @@
+-- Migration: 004_bet_refund_statuses
+-- Adds push, void and cash-out outcomes. For all three, winnings holds the
+-- amount returned to the balance (the refunded stake or the cash-out amount).
+
+-- migrate:up
+
+ALTER TABLE bets
+  MODIFY COLUMN status ENUM('pending', 'won', 'lost', 'push', 'void', 'cashout') NOT NULL DEFAULT 'pending';
+
+-- migrate:down
+
+-- Returned amounts live in winnings, so recording these as won keeps
+-- balances and profit/loss unchanged
+UPDATE bets SET status = 'won' WHERE status IN ('push', 'void', 'cashout');
+
+ALTER TABLE bets
+  MODIFY COLUMN status ENUM('pending', 'won', 'lost') NOT NULL DEFAULT 'pending';
@@ -0,0 +1,33 @@
+-- Migration: 005_bet_metadata
+-- Structured bet metadata: sport, league and market type on the bet itself,
+-- plus free-form user tags in their own table so bets can be filtered and
+-- broken down by any of them.
+
+-- migrate:up
+
+ALTER TABLE bets
+  ADD COLUMN sport VARCHAR(50) NULL AFTER description,
+  ADD COLUMN league VARCHAR(50) NULL AFTER sport,
+  ADD COLUMN market_type ENUM('moneyline', 'spread', 'total', 'prop', 'future', 'other') NULL AFTER league,
+  ADD KEY idx_bets_sport_league (sport, league),
+  ADD KEY idx_bets_market_type (market_type);
+
+CREATE TABLE IF NOT EXISTS bet_tags (
+  bet_id INT UNSIGNED NOT NULL,
+  tag VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (bet_id, tag),
+  KEY idx_bet_tags_tag (tag),
+  CONSTRAINT fk_bet_tags_bet FOREIGN KEY (bet_id) REFERENCES bets (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS bet_tags;
+
+ALTER TABLE bets
+  DROP KEY idx_bets_market_type,
+  DROP KEY idx_bets_sport_league,
+  DROP COLUMN market_type,
+  DROP COLUMN league,
+  DROP COLUMN sport;
@@ -0,0 +1,23 @@
+-- Migration: 006_external_ids
+-- Stable IDs from sportsbook statement imports. Re-importing the same
+-- statement matches rows on these instead of creating duplicates.
+
+-- migrate:up
+
+ALTER TABLE transactions
+  ADD COLUMN external_id VARCHAR(100) NULL AFTER transaction_date,
+  ADD UNIQUE KEY uq_transactions_account_external (account_id, external_id);
+
+ALTER TABLE bets
+  ADD COLUMN external_id VARCHAR(100) NULL AFTER is_bonus_bet,
+  ADD UNIQUE KEY uq_bets_account_external (account_id, external_id);
+
+-- migrate:down
+
+ALTER TABLE bets
+  DROP KEY uq_bets_account_external,
+  DROP COLUMN external_id;
+
+ALTER TABLE transactions
+  DROP KEY uq_transactions_account_external,
+  DROP COLUMN external_id;
@@ -0,0 +1,13 @@
+-- Migration: 007_user_settings
+-- Per-user preferences stored as a JSON document so they are included in
+-- backups and follow the user between devices.
+
+-- migrate:up
+
+ALTER TABLE users
+  ADD COLUMN settings JSON NULL AFTER password_hash;
+
+-- migrate:down
+
+ALTER TABLE users
+  DROP COLUMN settings;
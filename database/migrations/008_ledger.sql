@@ -0,0 +1,34 @@
+-- Migration: 008_ledger
+-- Append-only record of every change to an account's balance and totals.
+-- accounts.balance, total_deposits and total_withdrawals are a cache of the
+-- sums of these entries; each existing account is opened with its current
+-- values so the ledger and the cache agree from the start.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  account_id INT UNSIGNED NOT NULL,
+  entry_type ENUM('opening', 'deposit', 'withdrawal', 'bonus-credit', 'historical-win', 'historical-loss',
+                  'bet-stake', 'bet-payout', 'correction', 'adjustment', 'reset') NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  deposit_change DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  withdrawal_change DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  transaction_id INT UNSIGNED NULL,
+  bet_id INT UNSIGNED NULL,
+  description VARCHAR(500) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_ledger_account (account_id, id),
+  KEY idx_ledger_transaction (transaction_id),
+  KEY idx_ledger_bet (bet_id),
+  CONSTRAINT fk_ledger_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO ledger_entries (account_id, entry_type, amount, deposit_change, withdrawal_change, description)
+SELECT id, 'opening', balance, total_deposits, total_withdrawals, 'Opening balance'
+FROM accounts;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS ledger_entries;
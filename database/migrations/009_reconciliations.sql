@@ -0,0 +1,36 @@
+-- Migration: 009_reconciliations
+-- Checks of the tracked balance against the balance the sportsbook reports.
+-- Adjustments recorded from a reconciliation get their own ledger entry type
+-- so recalculating from transactions and bets keeps them.
+
+-- migrate:up
+
+ALTER TABLE ledger_entries
+  MODIFY COLUMN entry_type ENUM('opening', 'deposit', 'withdrawal', 'bonus-credit', 'historical-win', 'historical-loss',
+                                'bet-stake', 'bet-payout', 'correction', 'adjustment', 'reconciliation', 'reset') NOT NULL;
+
+CREATE TABLE IF NOT EXISTS reconciliations (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  account_id INT UNSIGNED NOT NULL,
+  reported_balance DECIMAL(12, 2) NOT NULL,
+  tracked_balance DECIMAL(12, 2) NOT NULL,
+  discrepancy DECIMAL(12, 2) NOT NULL,
+  causes JSON NULL,
+  adjusted TINYINT(1) NOT NULL DEFAULT 0,
+  ledger_entry_id INT UNSIGNED NULL,
+  note VARCHAR(500) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_reconciliations_account (account_id, created_at),
+  CONSTRAINT fk_reconciliations_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS reconciliations;
+
+UPDATE ledger_entries SET entry_type = 'adjustment' WHERE entry_type = 'reconciliation';
+
+ALTER TABLE ledger_entries
+  MODIFY COLUMN entry_type ENUM('opening', 'deposit', 'withdrawal', 'bonus-credit', 'historical-win', 'historical-loss',
+                                'bet-stake', 'bet-payout', 'correction', 'adjustment', 'reset') NOT NULL;
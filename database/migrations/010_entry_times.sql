@@ -0,0 +1,20 @@
+-- Migration: 010_entry_times
+-- Optional time of day for transactions and bets. Dates stay DATE so daily
+-- and monthly grouping is unchanged; the time only orders entries within a
+-- day, which matters for streaks once entries can be backdated.
+
+-- migrate:up
+
+ALTER TABLE transactions
+  ADD COLUMN transaction_time TIME NULL AFTER transaction_date;
+
+ALTER TABLE bets
+  ADD COLUMN bet_time TIME NULL AFTER bet_date;
+
+-- migrate:down
+
+ALTER TABLE bets
+  DROP COLUMN bet_time;
+
+ALTER TABLE transactions
+  DROP COLUMN transaction_time;
@@ -0,0 +1,23 @@
+-- Migration: 011_bet_edits
+-- History of edits made to bets after they were placed. Each edit keeps the
+-- before and after value of every changed field and the balance correction
+-- it caused, so a settled bet can be corrected without losing the trail.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS bet_edits (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  bet_id INT UNSIGNED NOT NULL,
+  changes JSON NOT NULL,
+  balance_change DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  ledger_entry_id INT UNSIGNED NULL,
+  note VARCHAR(500) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_bet_edits_bet (bet_id, created_at),
+  CONSTRAINT fk_bet_edits_bet FOREIGN KEY (bet_id) REFERENCES bets (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS bet_edits;
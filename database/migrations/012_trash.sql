@@ -0,0 +1,68 @@
+-- Migration: 012_trash
+-- Deleting a transaction or bet, clearing an account or resetting all data
+-- moves the rows to a per-user trash instead of removing them. A row is in
+-- the trash while its trash_id is set; restoring clears it and reverses the
+-- ledger entries the delete made. Items past expires_at are purged, and the
+-- purge removes their rows through ON DELETE CASCADE.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS trash_items (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  item_type ENUM('transaction', 'bet', 'account', 'all') NOT NULL,
+  account_id INT UNSIGNED NULL,
+  record_id INT UNSIGNED NULL,
+  label VARCHAR(255) NOT NULL DEFAULT '',
+  transaction_count INT UNSIGNED NOT NULL DEFAULT 0,
+  bet_count INT UNSIGNED NOT NULL DEFAULT 0,
+  balance_change DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  ledger_changes JSON NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  restored_at DATETIME NULL,
+  PRIMARY KEY (id),
+  KEY idx_trash_items_user (user_id, created_at),
+  KEY idx_trash_items_expires (expires_at),
+  CONSTRAINT fk_trash_items_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_trash_items_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE transactions
+  ADD COLUMN trash_id INT UNSIGNED NULL AFTER external_id,
+  ADD KEY idx_transactions_trash (trash_id),
+  ADD CONSTRAINT fk_transactions_trash FOREIGN KEY (trash_id) REFERENCES trash_items (id) ON DELETE CASCADE;
+
+ALTER TABLE bets
+  ADD COLUMN trash_id INT UNSIGNED NULL AFTER external_id,
+  ADD KEY idx_bets_trash (trash_id),
+  ADD CONSTRAINT fk_bets_trash FOREIGN KEY (trash_id) REFERENCES trash_items (id) ON DELETE CASCADE;
+
+ALTER TABLE ledger_entries
+  MODIFY COLUMN entry_type ENUM('opening', 'deposit', 'withdrawal', 'bonus-credit', 'historical-win', 'historical-loss',
+                                'bet-stake', 'bet-payout', 'correction', 'adjustment', 'reconciliation', 'reset',
+                                'restore') NOT NULL;
+
+-- migrate:down
+
+UPDATE ledger_entries SET entry_type = 'correction' WHERE entry_type = 'restore';
+
+ALTER TABLE ledger_entries
+  MODIFY COLUMN entry_type ENUM('opening', 'deposit', 'withdrawal', 'bonus-credit', 'historical-win', 'historical-loss',
+                                'bet-stake', 'bet-payout', 'correction', 'adjustment', 'reconciliation', 'reset') NOT NULL;
+
+-- Rows still in the trash were deleted as far as the user is concerned
+DELETE FROM bets WHERE trash_id IS NOT NULL;
+DELETE FROM transactions WHERE trash_id IS NOT NULL;
+
+ALTER TABLE bets
+  DROP FOREIGN KEY fk_bets_trash,
+  DROP KEY idx_bets_trash,
+  DROP COLUMN trash_id;
+
+ALTER TABLE transactions
+  DROP FOREIGN KEY fk_transactions_trash,
+  DROP KEY idx_transactions_trash,
+  DROP COLUMN trash_id;
+
+DROP TABLE IF EXISTS trash_items;
@@ -0,0 +1,17 @@
+-- Migration: 013_closing_line
+-- Closing prices for closing line value (CLV) tracking. closing_odds_decimal
+-- is the last price on the side that was bet; closing_opposing_odds_decimal
+-- is the other side's closing price, used to strip the vig out of the line.
+-- Both are shown back in the bet's odds_format.
+
+-- migrate:up
+
+ALTER TABLE bets
+  ADD COLUMN closing_odds_decimal DECIMAL(10, 4) NULL AFTER odds_format,
+  ADD COLUMN closing_opposing_odds_decimal DECIMAL(10, 4) NULL AFTER closing_odds_decimal;
+
+-- migrate:down
+
+ALTER TABLE bets
+  DROP COLUMN closing_opposing_odds_decimal,
+  DROP COLUMN closing_odds_decimal;
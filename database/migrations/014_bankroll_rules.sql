@@ -0,0 +1,31 @@
+-- Migration: 014_bankroll_rules
+-- Per-account bankroll management. unit_size is the user's standard stake,
+-- kelly_fraction scales full-Kelly stake suggestions (0.25 = quarter Kelly)
+-- and max_stake_percent is the largest stake, as a percentage of the
+-- account balance, a bet may use before it is flagged.
+--
+-- Bets record their stake as a percentage of the balance they were placed
+-- from (NULL for bonus bets and bets recorded before this migration) and
+-- whether that broke the account's limit at the time.
+
+-- migrate:up
+
+ALTER TABLE accounts
+  ADD COLUMN unit_size DECIMAL(12, 2) NULL AFTER total_withdrawals,
+  ADD COLUMN kelly_fraction DECIMAL(4, 3) NULL AFTER unit_size,
+  ADD COLUMN max_stake_percent DECIMAL(5, 2) NULL AFTER kelly_fraction;
+
+ALTER TABLE bets
+  ADD COLUMN bankroll_percent DECIMAL(6, 2) NULL AFTER is_bonus_bet,
+  ADD COLUMN over_stake_limit TINYINT(1) NOT NULL DEFAULT 0 AFTER bankroll_percent;
+
+-- migrate:down
+
+ALTER TABLE bets
+  DROP COLUMN over_stake_limit,
+  DROP COLUMN bankroll_percent;
+
+ALTER TABLE accounts
+  DROP COLUMN max_stake_percent,
+  DROP COLUMN kelly_fraction,
+  DROP COLUMN unit_size;
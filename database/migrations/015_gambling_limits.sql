@@ -0,0 +1,36 @@
+-- Migration: 015_gambling_limits
+-- Self-imposed responsible-gambling limits. A limit caps deposits, net
+-- losses or the number of bets placed per day, week or month, across all of
+-- a user's accounts (account_id NULL) or for a single account. 'block'
+-- limits reject entries that would break them; 'warn' limits only warn.
+--
+-- Tightening a limit applies at once. Raising, loosening or removing one
+-- is stored as a pending change that only applies at pending_effective_at,
+-- after a cooling-off period.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS gambling_limits (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  account_id INT UNSIGNED NULL,
+  limit_type ENUM('deposit', 'loss', 'bet-count') NOT NULL,
+  period ENUM('day', 'week', 'month') NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  enforcement ENUM('block', 'warn') NOT NULL DEFAULT 'block',
+  pending_action ENUM('update', 'remove') NULL,
+  pending_amount DECIMAL(12, 2) NULL,
+  pending_enforcement ENUM('block', 'warn') NULL,
+  pending_effective_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_gambling_limits_user (user_id, limit_type),
+  KEY idx_gambling_limits_pending (pending_effective_at),
+  CONSTRAINT fk_gambling_limits_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_gambling_limits_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS gambling_limits;
@@ -0,0 +1,29 @@
+-- Migration: 016_digests
+-- Opt-in performance digests. Each subscription sends a weekly or monthly
+-- summary by email or to a webhook URL. last_period_start records the
+-- period the last digest covered so the scheduler never sends one twice.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS digest_subscriptions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  frequency ENUM('week', 'month') NOT NULL DEFAULT 'week',
+  channel ENUM('email', 'webhook') NOT NULL,
+  destination VARCHAR(500) NOT NULL,
+  stale_after_days INT UNSIGNED NOT NULL DEFAULT 7,
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  last_period_start DATE NULL,
+  last_sent_at DATETIME NULL,
+  last_error VARCHAR(500) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY unique_digest_destination (user_id, channel, destination),
+  KEY idx_digest_subscriptions_due (enabled, frequency, last_period_start),
+  CONSTRAINT fk_digest_subscriptions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS digest_subscriptions;
@@ -0,0 +1,60 @@
+-- Migration: 017_promotions
+-- Sportsbook promotions. A promotion belongs to one account and has an
+-- offer type, a value (the credit awarded, the bonus matched, or the most a
+-- boost or no-sweat refund covers) and an optional expiry.
+--
+-- rollover_multiplier is the playthrough requirement: the promotion's amount
+-- times this must be staked on qualifying bets (settled, real-money bets on
+-- the account, placed while the promotion runs and at min_odds_decimal or
+-- longer) before the bonus can be withdrawn. boost_percent is the increase
+-- in profit a profit or odds boost pays.
+--
+-- Bets placed with a promotion and the bonus credits it paid out link to it
+-- through promotion_id, which is how the value of each promotion is worked out.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  account_id INT UNSIGNED NOT NULL,
+  offer_type ENUM('bet-credit', 'deposit-match', 'profit-boost', 'odds-boost', 'no-sweat') NOT NULL,
+  name VARCHAR(200) NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  boost_percent DECIMAL(6, 2) NULL,
+  rollover_multiplier DECIMAL(6, 2) NOT NULL DEFAULT 0.00,
+  min_odds_decimal DECIMAL(10, 4) NULL,
+  starts_on DATE NOT NULL,
+  expires_on DATE NULL,
+  status ENUM('active', 'completed', 'expired', 'forfeited') NOT NULL DEFAULT 'active',
+  notes VARCHAR(500) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_promotions_account_status (account_id, status),
+  KEY idx_promotions_expires (expires_on),
+  CONSTRAINT fk_promotions_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE bets
+  ADD COLUMN promotion_id INT UNSIGNED NULL AFTER is_bonus_bet,
+  ADD KEY idx_bets_promotion (promotion_id),
+  ADD CONSTRAINT fk_bets_promotion FOREIGN KEY (promotion_id) REFERENCES promotions (id) ON DELETE SET NULL;
+
+ALTER TABLE transactions
+  ADD COLUMN promotion_id INT UNSIGNED NULL AFTER description,
+  ADD KEY idx_transactions_promotion (promotion_id),
+  ADD CONSTRAINT fk_transactions_promotion FOREIGN KEY (promotion_id) REFERENCES promotions (id) ON DELETE SET NULL;
+
+-- migrate:down
+
+ALTER TABLE transactions
+  DROP FOREIGN KEY fk_transactions_promotion,
+  DROP KEY idx_transactions_promotion,
+  DROP COLUMN promotion_id;
+
+ALTER TABLE bets
+  DROP FOREIGN KEY fk_bets_promotion,
+  DROP KEY idx_bets_promotion,
+  DROP COLUMN promotion_id;
+
+DROP TABLE IF EXISTS promotions;
@@ -0,0 +1,16 @@
+-- Migration: 018_credit_expiry
+-- Expiry dates for bonus credits. Bonus bets draw down an account's
+-- credits, earliest expiry first, so what is left of each credit is worked
+-- out from the bets rather than stored; expires_on is all that is recorded.
+
+-- migrate:up
+
+ALTER TABLE transactions
+  ADD COLUMN expires_on DATE NULL AFTER promotion_id,
+  ADD KEY idx_transactions_expires (expires_on);
+
+-- migrate:down
+
+ALTER TABLE transactions
+  DROP KEY idx_transactions_expires,
+  DROP COLUMN expires_on;
@@ -0,0 +1,35 @@
+-- Migration: 019_positions
+-- Positions group opposing bets, usually placed at different sportsbooks,
+-- that together cover every outcome of an event: an arbitrage, a bonus bet
+-- converted into cash by hedging it, or a hedge of an earlier bet. A
+-- position belongs to the user rather than to an account, since its bets
+-- are spread across accounts; each bet links to at most one position.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS positions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  strategy ENUM('arbitrage', 'bonus-conversion', 'hedge') NOT NULL DEFAULT 'arbitrage',
+  name VARCHAR(200) NOT NULL,
+  notes VARCHAR(500) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_positions_user (user_id),
+  CONSTRAINT fk_positions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE bets
+  ADD COLUMN position_id INT UNSIGNED NULL AFTER promotion_id,
+  ADD KEY idx_bets_position (position_id),
+  ADD CONSTRAINT fk_bets_position FOREIGN KEY (position_id) REFERENCES positions (id) ON DELETE SET NULL;
+
+-- migrate:down
+
+ALTER TABLE bets
+  DROP FOREIGN KEY fk_bets_position,
+  DROP KEY idx_bets_position,
+  DROP COLUMN position_id;
+
+DROP TABLE IF EXISTS positions;
@@ -0,0 +1,39 @@
+-- Migration: 020_currencies
+-- Accounts keep their money in their sportsbook's currency, and each user
+-- has a base currency that totals across accounts are reported in.
+-- Exchange rates are entered by the user or imported from a file and keep
+-- their history, so an amount is converted at the rate for its own date:
+-- one unit of from_currency is worth `rate` units of to_currency.
+
+-- migrate:up
+
+ALTER TABLE users
+  ADD COLUMN base_currency CHAR(3) NOT NULL DEFAULT 'USD' AFTER settings;
+
+ALTER TABLE accounts
+  ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' AFTER name;
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  from_currency CHAR(3) NOT NULL,
+  to_currency CHAR(3) NOT NULL,
+  rate DECIMAL(18, 8) NOT NULL,
+  rate_date DATE NOT NULL,
+  source ENUM('manual', 'import') NOT NULL DEFAULT 'manual',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY unique_user_rate (user_id, from_currency, to_currency, rate_date),
+  CONSTRAINT fk_exchange_rates_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS exchange_rates;
+
+ALTER TABLE accounts
+  DROP COLUMN currency;
+
+ALTER TABLE users
+  DROP COLUMN base_currency;
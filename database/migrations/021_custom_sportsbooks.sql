@@ -0,0 +1,26 @@
+-- Migration: 021_custom_sportsbooks
+-- Users choose their accounts when they sign up, from the sportsbook
+-- catalog or as custom books of their own, instead of always getting the
+-- same five. An account may name the catalog book it is held at and has a
+-- colour for its logo. Accounts that are no longer used are archived:
+-- their history still counts, but nothing new can be recorded on them.
+-- Existing accounts created from the old defaults are linked to their book.
+
+-- migrate:up
+
+ALTER TABLE accounts
+  ADD COLUMN sportsbook VARCHAR(50) NULL AFTER name,
+  ADD COLUMN color CHAR(7) NOT NULL DEFAULT '#64748b' AFTER sportsbook,
+  ADD COLUMN archived_at TIMESTAMP NULL DEFAULT NULL AFTER max_stake_percent;
+
+UPDATE accounts SET sportsbook = 'draftkings', color = '#53d337' WHERE account_key IN ('draftkings1', 'draftkings2');
+UPDATE accounts SET sportsbook = 'fanduel', color = '#1493ff' WHERE account_key = 'fanduel';
+UPDATE accounts SET sportsbook = 'betmgm', color = '#c0a971' WHERE account_key = 'betmgm';
+UPDATE accounts SET sportsbook = 'bet365', color = '#027b5b' WHERE account_key = 'bet365';
+
+-- migrate:down
+
+ALTER TABLE accounts
+  DROP COLUMN archived_at,
+  DROP COLUMN color,
+  DROP COLUMN sportsbook;
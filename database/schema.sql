@@ -0,0 +1,300 @@
+-- Sportsbook Tracker schema
+--
+-- Reference snapshot of the schema produced by applying every file in
+-- database/migrations. Do not edit this file to change the database: add a
+-- new migration and update this snapshot alongside it.
+
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version VARCHAR(20) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  checksum CHAR(64) NOT NULL,
+  applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (version)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS users (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  email VARCHAR(255) NOT NULL,
+  username VARCHAR(50) NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  settings JSON NULL,
+  base_currency CHAR(3) NOT NULL DEFAULT 'USD',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY unique_email (email),
+  UNIQUE KEY unique_username (username)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS accounts (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  account_key VARCHAR(50) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  sportsbook VARCHAR(50) NULL,
+  color CHAR(7) NOT NULL DEFAULT '#64748b',
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  balance DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  total_deposits DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  total_withdrawals DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  unit_size DECIMAL(12, 2) NULL,
+  kelly_fraction DECIMAL(4, 3) NULL,
+  max_stake_percent DECIMAL(5, 2) NULL,
+  archived_at TIMESTAMP NULL DEFAULT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY unique_user_account (user_id, account_key),
+  CONSTRAINT fk_accounts_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  from_currency CHAR(3) NOT NULL,
+  to_currency CHAR(3) NOT NULL,
+  rate DECIMAL(18, 8) NOT NULL,
+  rate_date DATE NOT NULL,
+  source ENUM('manual', 'import') NOT NULL DEFAULT 'manual',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY unique_user_rate (user_id, from_currency, to_currency, rate_date),
+  CONSTRAINT fk_exchange_rates_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  account_id INT UNSIGNED NOT NULL,
+  offer_type ENUM('bet-credit', 'deposit-match', 'profit-boost', 'odds-boost', 'no-sweat') NOT NULL,
+  name VARCHAR(200) NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  boost_percent DECIMAL(6, 2) NULL,
+  rollover_multiplier DECIMAL(6, 2) NOT NULL DEFAULT 0.00,
+  min_odds_decimal DECIMAL(10, 4) NULL,
+  starts_on DATE NOT NULL,
+  expires_on DATE NULL,
+  status ENUM('active', 'completed', 'expired', 'forfeited') NOT NULL DEFAULT 'active',
+  notes VARCHAR(500) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_promotions_account_status (account_id, status),
+  KEY idx_promotions_expires (expires_on),
+  CONSTRAINT fk_promotions_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS positions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  strategy ENUM('arbitrage', 'bonus-conversion', 'hedge') NOT NULL DEFAULT 'arbitrage',
+  name VARCHAR(200) NOT NULL,
+  notes VARCHAR(500) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_positions_user (user_id),
+  CONSTRAINT fk_positions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS trash_items (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  item_type ENUM('transaction', 'bet', 'account', 'all') NOT NULL,
+  account_id INT UNSIGNED NULL,
+  record_id INT UNSIGNED NULL,
+  label VARCHAR(255) NOT NULL DEFAULT '',
+  transaction_count INT UNSIGNED NOT NULL DEFAULT 0,
+  bet_count INT UNSIGNED NOT NULL DEFAULT 0,
+  balance_change DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  ledger_changes JSON NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  restored_at DATETIME NULL,
+  PRIMARY KEY (id),
+  KEY idx_trash_items_user (user_id, created_at),
+  KEY idx_trash_items_expires (expires_at),
+  CONSTRAINT fk_trash_items_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_trash_items_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS transactions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  account_id INT UNSIGNED NOT NULL,
+  type ENUM('deposit', 'withdrawal', 'bet', 'bonus-credit', 'bonus-bet', 'historical-win', 'historical-loss') NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  description VARCHAR(500) NOT NULL DEFAULT '',
+  promotion_id INT UNSIGNED NULL,
+  expires_on DATE NULL,
+  transaction_date DATE NOT NULL,
+  transaction_time TIME NULL,
+  external_id VARCHAR(100) NULL,
+  trash_id INT UNSIGNED NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_transactions_account_date (account_id, transaction_date),
+  KEY idx_transactions_type (type),
+  KEY idx_transactions_trash (trash_id),
+  KEY idx_transactions_promotion (promotion_id),
+  KEY idx_transactions_expires (expires_on),
+  UNIQUE KEY uq_transactions_account_external (account_id, external_id),
+  CONSTRAINT fk_transactions_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE,
+  CONSTRAINT fk_transactions_trash FOREIGN KEY (trash_id) REFERENCES trash_items (id) ON DELETE CASCADE,
+  CONSTRAINT fk_transactions_promotion FOREIGN KEY (promotion_id) REFERENCES promotions (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS bets (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  account_id INT UNSIGNED NOT NULL,
+  bet_type ENUM('straight', 'parlay', 'sgp') NOT NULL DEFAULT 'straight',
+  amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  display_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  odds_decimal DECIMAL(10, 4) NULL,
+  odds_format ENUM('american', 'decimal', 'fractional') NULL,
+  closing_odds_decimal DECIMAL(10, 4) NULL,
+  closing_opposing_odds_decimal DECIMAL(10, 4) NULL,
+  description VARCHAR(500) NOT NULL DEFAULT '',
+  sport VARCHAR(50) NULL,
+  league VARCHAR(50) NULL,
+  market_type ENUM('moneyline', 'spread', 'total', 'prop', 'future', 'other') NULL,
+  bet_date DATE NOT NULL,
+  bet_time TIME NULL,
+  status ENUM('pending', 'won', 'lost', 'push', 'void', 'cashout') NOT NULL DEFAULT 'pending',
+  winnings DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  is_bonus_bet TINYINT(1) NOT NULL DEFAULT 0,
+  promotion_id INT UNSIGNED NULL,
+  position_id INT UNSIGNED NULL,
+  bankroll_percent DECIMAL(6, 2) NULL,
+  over_stake_limit TINYINT(1) NOT NULL DEFAULT 0,
+  external_id VARCHAR(100) NULL,
+  trash_id INT UNSIGNED NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_bets_account_date (account_id, bet_date),
+  KEY idx_bets_status (status),
+  KEY idx_bets_sport_league (sport, league),
+  KEY idx_bets_market_type (market_type),
+  KEY idx_bets_trash (trash_id),
+  KEY idx_bets_promotion (promotion_id),
+  KEY idx_bets_position (position_id),
+  UNIQUE KEY uq_bets_account_external (account_id, external_id),
+  CONSTRAINT fk_bets_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE,
+  CONSTRAINT fk_bets_trash FOREIGN KEY (trash_id) REFERENCES trash_items (id) ON DELETE CASCADE,
+  CONSTRAINT fk_bets_promotion FOREIGN KEY (promotion_id) REFERENCES promotions (id) ON DELETE SET NULL,
+  CONSTRAINT fk_bets_position FOREIGN KEY (position_id) REFERENCES positions (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS bet_legs (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  bet_id INT UNSIGNED NOT NULL,
+  leg_order SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+  selection VARCHAR(255) NOT NULL,
+  odds_decimal DECIMAL(10, 4) NOT NULL,
+  odds_format ENUM('american', 'decimal', 'fractional') NOT NULL DEFAULT 'american',
+  status ENUM('pending', 'won', 'lost', 'void') NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_bet_legs_bet (bet_id, leg_order),
+  CONSTRAINT fk_bet_legs_bet FOREIGN KEY (bet_id) REFERENCES bets (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS bet_tags (
+  bet_id INT UNSIGNED NOT NULL,
+  tag VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (bet_id, tag),
+  KEY idx_bet_tags_tag (tag),
+  CONSTRAINT fk_bet_tags_bet FOREIGN KEY (bet_id) REFERENCES bets (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  account_id INT UNSIGNED NOT NULL,
+  entry_type ENUM('opening', 'deposit', 'withdrawal', 'bonus-credit', 'historical-win', 'historical-loss',
+                  'bet-stake', 'bet-payout', 'correction', 'adjustment', 'reconciliation', 'reset',
+                  'restore') NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  deposit_change DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  withdrawal_change DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  transaction_id INT UNSIGNED NULL,
+  bet_id INT UNSIGNED NULL,
+  description VARCHAR(500) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_ledger_account (account_id, id),
+  KEY idx_ledger_transaction (transaction_id),
+  KEY idx_ledger_bet (bet_id),
+  CONSTRAINT fk_ledger_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS reconciliations (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  account_id INT UNSIGNED NOT NULL,
+  reported_balance DECIMAL(12, 2) NOT NULL,
+  tracked_balance DECIMAL(12, 2) NOT NULL,
+  discrepancy DECIMAL(12, 2) NOT NULL,
+  causes JSON NULL,
+  adjusted TINYINT(1) NOT NULL DEFAULT 0,
+  ledger_entry_id INT UNSIGNED NULL,
+  note VARCHAR(500) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_reconciliations_account (account_id, created_at),
+  CONSTRAINT fk_reconciliations_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS bet_edits (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  bet_id INT UNSIGNED NOT NULL,
+  changes JSON NOT NULL,
+  balance_change DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  ledger_entry_id INT UNSIGNED NULL,
+  note VARCHAR(500) NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_bet_edits_bet (bet_id, created_at),
+  CONSTRAINT fk_bet_edits_bet FOREIGN KEY (bet_id) REFERENCES bets (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS gambling_limits (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  account_id INT UNSIGNED NULL,
+  limit_type ENUM('deposit', 'loss', 'bet-count') NOT NULL,
+  period ENUM('day', 'week', 'month') NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  enforcement ENUM('block', 'warn') NOT NULL DEFAULT 'block',
+  pending_action ENUM('update', 'remove') NULL,
+  pending_amount DECIMAL(12, 2) NULL,
+  pending_enforcement ENUM('block', 'warn') NULL,
+  pending_effective_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_gambling_limits_user (user_id, limit_type),
+  KEY idx_gambling_limits_pending (pending_effective_at),
+  CONSTRAINT fk_gambling_limits_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_gambling_limits_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS digest_subscriptions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  frequency ENUM('week', 'month') NOT NULL DEFAULT 'week',
+  channel ENUM('email', 'webhook') NOT NULL,
+  destination VARCHAR(500) NOT NULL,
+  stale_after_days INT UNSIGNED NOT NULL DEFAULT 7,
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  last_period_start DATE NULL,
+  last_sent_at DATETIME NULL,
+  last_error VARCHAR(500) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY unique_digest_destination (user_id, channel, destination),
+  KEY idx_digest_subscriptions_due (enabled, frequency, last_period_start),
+  CONSTRAINT fk_digest_subscriptions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -9,6 +9,7 @@ import { AnalyticsView } from './analytics/AnalyticsView';
 import { AccountsView } from './accounts/AccountsView';
 import { TransactionForm } from './transactions/TransactionForm';
 import { BulkImport } from './transactions/BulkImport';
+import { TrashView } from './trash/TrashView';
 import { LoadingSpinner } from './ui/LoadingSpinner';
 import { styles } from '../styles/styles';
 
@@ -58,6 +59,8 @@ export const MainContainer = () => {
         return <TransactionForm />;
       case 'bulk-import':
         return <BulkImport />;
+      case 'trash':
+        return <TrashView />;
       default:
         return <DashboardView />;
     }
@@ -1,8 +1,9 @@
 import React from 'react';
+import { Plus } from 'lucide-react';
 import { useTheme } from '../../context/ThemeContext';
 import { styles } from '../../styles/styles';
 
-export const AccountSelector = ({ accounts, selectedAccount, setSelectedAccount }) => {
+export const AccountSelector = ({ accounts, selectedAccount, setSelectedAccount, onAdd }) => {
   const { currentTheme } = useTheme();
 
   const dynamicStyles = {
@@ -21,12 +22,22 @@ export const AccountSelector = ({ accounts, selectedAccount, setSelectedAccount
           onClick={() => setSelectedAccount(key)}
           style={{
             ...styles.tabButton,
-            ...(selectedAccount === key ? dynamicStyles.tabButtonActive : styles.tabButtonInactive)
+            ...(selectedAccount === key ? dynamicStyles.tabButtonActive : styles.tabButtonInactive),
+            borderLeft: `4px solid ${account.color || '#64748b'}`,
+            ...(account.archivedAt ? { opacity: 0.6 } : {})
           }}
         >
-          {account.name}
+          {account.name}{account.archivedAt ? ' (archived)' : ''}
         </button>
       ))}
+      {onAdd && (
+        <button
+          onClick={onAdd}
+          style={{ ...styles.tabButton, ...styles.tabButtonInactive, display: 'flex', alignItems: 'center', gap: '4px' }}
+        >
+          <Plus size={14} /> Add Sportsbook
+        </button>
+      )}
     </div>
   );
 };
\ No newline at end of file
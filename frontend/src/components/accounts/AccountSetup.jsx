@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { PlusCircle } from 'lucide-react';
+import { useTheme } from '../../context/ThemeContext';
+import { accountsService } from '../../services/accounts.service';
+import { CURRENCIES } from '../../utils/constants';
+import { styles } from '../../styles/styles';
+import { Card } from '../common/Card';
+
+let nextEntryId = 1;
+
+export const AccountSetup = ({ accounts, onComplete, onCancel, title = 'Add Sportsbooks' }) => {
+  const { currentTheme } = useTheme();
+  const [catalog, setCatalog] = useState([]);
+  const [defaultColor, setDefaultColor] = useState('#64748b');
+  const [entries, setEntries] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    accountsService.getCatalog()
+      .then(response => {
+        setCatalog(response.sportsbooks || []);
+        setDefaultColor(response.defaultColor || '#64748b');
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  // A second account at the same book is numbered so the two can be told apart
+  const addFromCatalog = (sportsbook) => {
+    const existing = Object.values(accounts || {}).filter(account => account.sportsbook === sportsbook.id).length +
+      entries.filter(entry => entry.sportsbook === sportsbook.id).length;
+
+    setEntries(prev => [...prev, {
+      id: nextEntryId++,
+      sportsbook: sportsbook.id,
+      name: existing > 0 ? `${sportsbook.name} #${existing + 1}` : sportsbook.name,
+      color: sportsbook.color,
+      currency: sportsbook.currency
+    }]);
+  };
+
+  const addCustom = () => {
+    setEntries(prev => [...prev, {
+      id: nextEntryId++,
+      sportsbook: null,
+      name: '',
+      color: defaultColor,
+      currency: 'USD'
+    }]);
+  };
+
+  const updateEntry = (id, field, value) => {
+    setEntries(prev => prev.map(entry => (entry.id === id ? { ...entry, [field]: value } : entry)));
+  };
+
+  const removeEntry = (id) => {
+    setEntries(prev => prev.filter(entry => entry.id !== id));
+  };
+
+  // Accounts are added one at a time; any added before a failure are kept
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+
+    let remaining = entries;
+    try {
+      for (const entry of entries) {
+        await accountsService.createAccount({
+          sportsbook: entry.sportsbook || undefined,
+          name: entry.name.trim(),
+          color: entry.color,
+          currency: entry.currency
+        });
+        remaining = remaining.filter(other => other.id !== entry.id);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setEntries(remaining);
+      setIsSaving(false);
+    }
+
+    if (remaining.length < entries.length && onComplete) {
+      await onComplete();
+    }
+  };
+
+  const labelStyles = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '12px',
+    color: '#94a3b8'
+  };
+
+  const canSave = !isSaving && entries.length > 0 && entries.every(entry => entry.name.trim() !== '');
+
+  return (
+    <Card>
+      <div style={styles.accountHeader}>
+        <div>
+          <h3 style={{ ...styles.sectionTitle, margin: 0 }}>{title}</h3>
+          <p style={{ color: '#94a3b8', fontSize: '14px', margin: '4px 0 0 0' }}>
+            Pick the sportsbooks you bet with, or add one that isn't listed
+          </p>
+        </div>
+        <PlusCircle size={20} color="#a78bfa" />
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '16px' }}>
+        {catalog.map(sportsbook => (
+          <button
+            key={sportsbook.id}
+            onClick={() => addFromCatalog(sportsbook)}
+            disabled={isSaving}
+            style={{
+              ...styles.tabButton,
+              ...styles.tabButtonInactive,
+              borderLeft: `4px solid ${sportsbook.color}`
+            }}
+          >
+            {sportsbook.name}
+          </button>
+        ))}
+        <button
+          onClick={addCustom}
+          disabled={isSaving}
+          style={{ ...styles.tabButton, ...styles.tabButtonInactive, borderLeft: `4px dashed ${defaultColor}` }}
+        >
+          Custom sportsbook
+        </button>
+      </div>
+
+      {entries.map(entry => (
+        <div key={entry.id} style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: '12px' }}>
+          <label style={labelStyles}>
+            Colour
+            <input
+              type="color"
+              value={entry.color}
+              onChange={(e) => updateEntry(entry.id, 'color', e.target.value)}
+              style={{ width: '48px', height: '40px', padding: 0, border: 'none', background: 'none', cursor: 'pointer' }}
+            />
+          </label>
+          <label style={{ ...labelStyles, flex: 1, minWidth: '180px' }}>
+            {entry.sportsbook ? 'Account name' : 'Sportsbook name'}
+            <input
+              type="text"
+              value={entry.name}
+              onChange={(e) => updateEntry(entry.id, 'name', e.target.value)}
+              placeholder="e.g. Local Casino Sportsbook"
+              maxLength={100}
+              style={{ ...styles.input, padding: '10px' }}
+            />
+          </label>
+          <label style={labelStyles}>
+            Currency
+            <select
+              value={entry.currency}
+              onChange={(e) => updateEntry(entry.id, 'currency', e.target.value)}
+              style={{ ...styles.input, padding: '10px' }}
+            >
+              {CURRENCIES.map(currency => (
+                <option key={currency.code} value={currency.code}>{currency.code}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={() => removeEntry(entry.id)}
+            disabled={isSaving}
+            style={{ ...styles.smallButton, backgroundColor: '#475569', color: 'white', padding: '10px 16px' }}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: '12px', marginTop: '8px' }}>
+        <button
+          onClick={handleSave}
+          disabled={!canSave}
+          style={{
+            ...styles.smallButton,
+            backgroundColor: currentTheme?.primary || '#7c3aed',
+            color: 'white',
+            padding: '10px 16px',
+            fontSize: '14px',
+            ...(!canSave ? { opacity: 0.6, cursor: 'not-allowed' } : {})
+          }}
+        >
+          {isSaving
+            ? 'Adding...'
+            : entries.length > 0 ? `Add ${entries.length} Account${entries.length === 1 ? '' : 's'}` : 'Add Accounts'}
+        </button>
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            disabled={isSaving}
+            style={{ ...styles.smallButton, backgroundColor: '#475569', color: 'white', padding: '10px 16px', fontSize: '14px' }}
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {error && <p style={{ color: '#ef4444', fontSize: '14px' }}>{error}</p>}
+    </Card>
+  );
+};
@@ -3,6 +3,10 @@ import { useAccounts } from '../../hooks/useAccounts';
 import { AccountSelector } from './AccountSelector';
 import { BetHistory } from './BetHistory';
 import { TransactionHistory } from './TransactionHistory';
+import { BalanceReconciliation } from './BalanceReconciliation';
+import { BankrollRules } from './BankrollRules';
+import { Promotions } from './Promotions';
+import { AccountSetup } from './AccountSetup';
 import { LoadingSpinner } from '../ui/LoadingSpinner';
 import { accountsService } from '../../services/accounts.service';
 import { styles } from '../../styles/styles';
@@ -10,21 +14,45 @@ import { Card } from '../common/Card';
 
 export const AccountsView = () => {
   const { accounts, isLoading, error, refreshAccounts } = useAccounts();
-  const [selectedAccount, setSelectedAccount] = useState('draftkings1');
+  const [selectedAccount, setSelectedAccount] = useState(null);
+  const [isAdding, setIsAdding] = useState(false);
 
-  // Update selected account if it doesn't exist
+  // Select the first account still in use if nothing valid is selected
   useEffect(() => {
     if (accounts && !accounts[selectedAccount]) {
-      const firstAccount = Object.keys(accounts)[0];
+      const keys = Object.keys(accounts);
+      const firstAccount = keys.find(key => !accounts[key].archivedAt) || keys[0];
       if (firstAccount) {
         setSelectedAccount(firstAccount);
       }
     }
   }, [accounts, selectedAccount]);
 
+  const handleAccountsAdded = async () => {
+    setIsAdding(false);
+    await refreshAccounts();
+  };
+
+  const handleToggleArchive = async (accountKey) => {
+    const account = accounts[accountKey];
+    try {
+      if (account.archivedAt) {
+        await accountsService.unarchiveAccount(accountKey);
+      } else if (window.confirm(`Archive ${account.name}? Its history still counts towards your totals, but no new transactions or bets can be added to it.`)) {
+        await accountsService.archiveAccount(accountKey);
+      } else {
+        return;
+      }
+      await refreshAccounts();
+    } catch (error) {
+      console.error('Error archiving account:', error);
+      alert(error.message || 'Failed to update account.');
+    }
+  };
+
   const handleClearAccountData = async (accountKey) => {
     const accountName = accounts[accountKey]?.name;
-    if (window.confirm(`Are you sure you want to clear all data for ${accountName}? This cannot be undone.`)) {
+    if (window.confirm(`Clear all data for ${accountName}? Its transactions and bets can be restored from the Trash tab.`)) {
       try {
         await accountsService.clearAccount(accountKey);
         await refreshAccounts();
@@ -53,12 +81,7 @@ export const AccountsView = () => {
   }
 
   if (!accounts || Object.keys(accounts).length === 0) {
-    return (
-      <Card>
-        <h3 style={styles.sectionTitle}>No Accounts Found</h3>
-        <p style={{ color: '#94a3b8' }}>No betting accounts have been set up yet.</p>
-      </Card>
-    );
+    return <AccountSetup accounts={accounts} onComplete={handleAccountsAdded} title="Choose Your Sportsbooks" />;
   }
 
   return (
@@ -68,8 +91,18 @@ export const AccountsView = () => {
         accounts={accounts}
         selectedAccount={selectedAccount}
         setSelectedAccount={setSelectedAccount}
+        onAdd={() => setIsAdding(true)}
       />
 
+      {/* Catalog and custom sportsbooks */}
+      {isAdding && (
+        <AccountSetup
+          accounts={accounts}
+          onComplete={handleAccountsAdded}
+          onCancel={() => setIsAdding(false)}
+        />
+      )}
+
       {/* Selected Account Details */}
       {accounts[selectedAccount] && (
         <Card>
@@ -82,23 +115,67 @@ export const AccountsView = () => {
             <h3 style={styles.sectionTitle}>
               {accounts[selectedAccount].name} - History
             </h3>
-            <button
-              onClick={() => handleClearAccountData(selectedAccount)}
-              style={{
-                padding: '8px 16px',
-                fontSize: '12px',
-                border: 'none',
-                borderRadius: '4px',
-                cursor: 'pointer',
-                fontWeight: '500',
-                backgroundColor: '#dc2626',
-                color: 'white'
-              }}
-            >
-              Clear Account Data
-            </button>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button
+                onClick={() => handleToggleArchive(selectedAccount)}
+                style={{
+                  padding: '8px 16px',
+                  fontSize: '12px',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontWeight: '500',
+                  backgroundColor: '#475569',
+                  color: 'white'
+                }}
+              >
+                {accounts[selectedAccount].archivedAt ? 'Unarchive Account' : 'Archive Account'}
+              </button>
+              <button
+                onClick={() => handleClearAccountData(selectedAccount)}
+                style={{
+                  padding: '8px 16px',
+                  fontSize: '12px',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontWeight: '500',
+                  backgroundColor: '#dc2626',
+                  color: 'white'
+                }}
+              >
+                Clear Account Data
+              </button>
+            </div>
           </div>
 
+          {accounts[selectedAccount].archivedAt && (
+            <p style={{ color: '#facc15', fontSize: '14px', margin: '0 0 16px 0' }}>
+              This account is archived. Its history still counts and pending bets can be settled, but new transactions and bets can't be added.
+            </p>
+          )}
+
+          {/* Compare with the balance the sportsbook reports */}
+          <BalanceReconciliation
+            account={accounts[selectedAccount]}
+            accountKey={selectedAccount}
+            onUpdate={refreshAccounts}
+          />
+
+          {/* Unit size, Kelly fraction and maximum stake */}
+          <BankrollRules
+            account={accounts[selectedAccount]}
+            accountKey={selectedAccount}
+            onUpdate={refreshAccounts}
+          />
+
+          {/* Offers with their playthrough progress and value so far */}
+          <Promotions
+            account={accounts[selectedAccount]}
+            accountKey={selectedAccount}
+            onUpdate={refreshAccounts}
+          />
+
           {/* Active Bets - MOVED TO TOP */}
           <BetHistory 
             account={accounts[selectedAccount]}
@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import { Scale } from 'lucide-react';
+import { useTheme } from '../../context/ThemeContext';
+import { accountsService } from '../../services/accounts.service';
+import { styles } from '../../styles/styles';
+
+const LIKELIHOOD_COLORS = {
+  high: '#f87171',
+  medium: '#facc15',
+  low: '#94a3b8'
+};
+
+export const BalanceReconciliation = ({ account, accountKey, onUpdate }) => {
+  const { currentTheme } = useTheme();
+  const [reportedBalance, setReportedBalance] = useState('');
+  const [note, setNote] = useState('');
+  const [result, setResult] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchHistory = async () => {
+    try {
+      const response = await accountsService.getReconciliations(accountKey);
+      setHistory(response.reconciliations || []);
+    } catch (err) {
+      setHistory([]);
+    }
+  };
+
+  useEffect(() => {
+    setReportedBalance('');
+    setNote('');
+    setResult(null);
+    setMessage(null);
+    setError(null);
+    fetchHistory();
+  }, [accountKey]);
+
+  const handleCheck = async () => {
+    setIsChecking(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await accountsService.previewReconciliation(accountKey, reportedBalance);
+      setResult(response);
+    } catch (err) {
+      setError(err.message);
+      setResult(null);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleRecord = async (adjust) => {
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const response = await accountsService.reconcileBalance(accountKey, { reportedBalance, adjust, note });
+      setMessage(response.message);
+      setResult(null);
+      setReportedBalance('');
+      setNote('');
+      await fetchHistory();
+      if (adjust && onUpdate) await onUpdate();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  const formatSigned = (amount) => `${amount > 0 ? '+' : ''}${formatCurrency(amount)}`;
+
+  const buttonStyles = {
+    ...styles.smallButton,
+    padding: '10px 16px',
+    fontSize: '14px',
+    backgroundColor: currentTheme?.primary || '#7c3aed',
+    color: 'white'
+  };
+
+  const disabledStyles = {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  };
+
+  return (
+    <div style={{ marginBottom: '32px' }}>
+      <div style={styles.accountHeader}>
+        <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Reconcile Balance</h3>
+        <Scale size={20} color="#a78bfa" />
+      </div>
+
+      <p style={{ fontSize: '14px', color: '#94a3b8', margin: '0 0 12px 0' }}>
+        Enter the balance {account.name} shows in its app to compare it with the tracked balance of {formatCurrency(account.balance)}.
+      </p>
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center' }}>
+        <input
+          type="number"
+          step="0.01"
+          value={reportedBalance}
+          onChange={(e) => {
+            setReportedBalance(e.target.value);
+            setResult(null);
+          }}
+          placeholder="Sportsbook balance"
+          style={{ ...styles.input, width: '200px', padding: '10px' }}
+        />
+        <button
+          onClick={handleCheck}
+          disabled={reportedBalance === '' || isChecking}
+          style={{ ...buttonStyles, ...(reportedBalance === '' || isChecking ? disabledStyles : {}) }}
+        >
+          {isChecking ? 'Checking...' : 'Check'}
+        </button>
+      </div>
+
+      {error && <p style={{ color: '#ef4444', fontSize: '14px' }}>{error}</p>}
+      {message && <p style={{ color: '#4ade80', fontSize: '14px' }}>{message}</p>}
+
+      {result && (
+        <div style={{ ...styles.betCard, marginTop: '16px' }}>
+          <div style={{ ...styles.accountGrid, gridTemplateColumns: 'repeat(3, 1fr)' }}>
+            <div>
+              <p style={styles.accountLabel}>Sportsbook</p>
+              <p style={styles.accountValue}>{formatCurrency(result.reportedBalance)}</p>
+            </div>
+            <div>
+              <p style={styles.accountLabel}>Tracked</p>
+              <p style={styles.accountValue}>{formatCurrency(result.trackedBalance)}</p>
+            </div>
+            <div>
+              <p style={styles.accountLabel}>Discrepancy</p>
+              <p style={{ ...styles.accountValue, color: result.balanced ? '#4ade80' : '#f87171' }}>
+                {result.balanced ? 'None' : formatSigned(result.discrepancy)}
+              </p>
+            </div>
+          </div>
+
+          {result.causes.length > 0 && (
+            <div style={{ marginTop: '12px' }}>
+              <p style={styles.accountLabel}>Likely causes</p>
+              <ul style={{ margin: '4px 0 0 0', paddingLeft: '20px' }}>
+                {result.causes.map((cause, index) => (
+                  <li key={`${cause.type}-${index}`} style={{ fontSize: '14px', color: 'white', marginBottom: '4px' }}>
+                    <span style={{ color: LIKELIHOOD_COLORS[cause.likelihood], fontWeight: '600', textTransform: 'capitalize' }}>
+                      {cause.likelihood}:
+                    </span>{' '}
+                    {cause.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Note (optional)"
+            maxLength={200}
+            style={{ ...styles.input, marginTop: '12px', padding: '10px', fontSize: '14px' }}
+          />
+
+          <div style={styles.buttonGroup}>
+            {!result.balanced && (
+              <button
+                onClick={() => handleRecord(true)}
+                disabled={isSaving}
+                style={{ ...styles.smallButton, ...styles.cashOutButton, ...(isSaving ? disabledStyles : {}) }}
+              >
+                Record {formatSigned(result.discrepancy)} Adjustment
+              </button>
+            )}
+            <button
+              onClick={() => handleRecord(false)}
+              disabled={isSaving}
+              style={{ ...styles.smallButton, ...styles.pushButton, ...(isSaving ? disabledStyles : {}) }}
+            >
+              {result.balanced ? 'Record Check' : 'Record Without Adjusting'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <div style={{ marginTop: '16px' }}>
+          <p style={styles.accountLabel}>History</p>
+          {history.map((reconciliation) => (
+            <div
+              key={reconciliation.id}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                gap: '12px',
+                padding: '8px 0',
+                borderBottom: '1px solid #334155',
+                fontSize: '14px',
+                color: '#cbd5e1'
+              }}
+            >
+              <span>{new Date(reconciliation.createdAt).toLocaleString()}</span>
+              <span>Book {formatCurrency(reconciliation.reportedBalance)}</span>
+              <span style={{ color: Math.abs(reconciliation.discrepancy) < 0.005 ? '#4ade80' : '#f87171' }}>
+                {Math.abs(reconciliation.discrepancy) < 0.005 ? 'Matched' : formatSigned(reconciliation.discrepancy)}
+              </span>
+              <span style={{ color: '#94a3b8' }}>
+                {reconciliation.adjusted ? 'Adjusted' : 'Not adjusted'}
+                {reconciliation.note ? ` - ${reconciliation.note}` : ''}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { Wallet } from 'lucide-react';
+import { useTheme } from '../../context/ThemeContext';
+import { accountsService } from '../../services/accounts.service';
+import { FormattersService } from '../../utils/formatters';
+import { styles } from '../../styles/styles';
+
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+
+export const BankrollRules = ({ account, accountKey, onUpdate }) => {
+  const { currentTheme } = useTheme();
+  const [unitSize, setUnitSize] = useState('');
+  const [kellyFraction, setKellyFraction] = useState('');
+  const [maxStakePercent, setMaxStakePercent] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setUnitSize(toInput(account.unitSize));
+    setKellyFraction(toInput(account.kellyFraction));
+    setMaxStakePercent(toInput(account.maxStakePercent));
+    setMessage(null);
+    setError(null);
+  }, [accountKey, account.unitSize, account.kellyFraction, account.maxStakePercent]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      // Blank fields clear the rule
+      const response = await accountsService.updateAccount(accountKey, {
+        unitSize: unitSize === '' ? null : unitSize,
+        kellyFraction: kellyFraction === '' ? null : kellyFraction,
+        maxStakePercent: maxStakePercent === '' ? null : maxStakePercent
+      });
+      setMessage(response.message);
+      if (onUpdate) await onUpdate();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const maxStake = maxStakePercent !== '' && account.balance > 0
+    ? (account.balance * parseFloat(maxStakePercent)) / 100
+    : null;
+
+  const labelStyles = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '12px',
+    color: '#94a3b8'
+  };
+
+  return (
+    <div style={{ marginBottom: '32px' }}>
+      <div style={styles.accountHeader}>
+        <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Bankroll Rules</h3>
+        <Wallet size={20} color="#a78bfa" />
+      </div>
+
+      <p style={{ fontSize: '14px', color: '#94a3b8', margin: '0 0 12px 0' }}>
+        Stakes are sized against the {FormattersService.formatCurrency(account.balance)} in {account.name}.
+        Bets above the maximum stake are flagged, and stake suggestions use the Kelly fraction (quarter Kelly if unset).
+      </p>
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+        <label style={labelStyles}>
+          Unit size ($)
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={unitSize}
+            onChange={(e) => setUnitSize(e.target.value)}
+            placeholder="e.g. 10"
+            style={{ ...styles.input, width: '140px', padding: '10px' }}
+          />
+        </label>
+        <label style={labelStyles}>
+          Kelly fraction
+          <input
+            type="number"
+            min="0"
+            max="1"
+            step="0.05"
+            value={kellyFraction}
+            onChange={(e) => setKellyFraction(e.target.value)}
+            placeholder="0.25"
+            style={{ ...styles.input, width: '140px', padding: '10px' }}
+          />
+        </label>
+        <label style={labelStyles}>
+          Max stake (% of bankroll)
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.5"
+            value={maxStakePercent}
+            onChange={(e) => setMaxStakePercent(e.target.value)}
+            placeholder="e.g. 5"
+            style={{ ...styles.input, width: '180px', padding: '10px' }}
+          />
+        </label>
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          style={{
+            ...styles.smallButton,
+            padding: '10px 16px',
+            fontSize: '14px',
+            backgroundColor: currentTheme?.primary || '#7c3aed',
+            color: 'white',
+            ...(isSaving ? { opacity: 0.6, cursor: 'not-allowed' } : {})
+          }}
+        >
+          {isSaving ? 'Saving...' : 'Save Rules'}
+        </button>
+      </div>
+
+      {maxStake !== null && !isNaN(maxStake) && (
+        <p style={{ fontSize: '13px', color: '#cbd5e1', margin: '8px 0 0 0' }}>
+          Bets over {FormattersService.formatCurrency(maxStake)} will be flagged at the current balance.
+        </p>
+      )}
+
+      {error && <p style={{ color: '#ef4444', fontSize: '14px' }}>{error}</p>}
+      {message && <p style={{ color: '#4ade80', fontSize: '14px' }}>{message}</p>}
+    </div>
+  );
+};
@@ -1,30 +1,38 @@
 import React, { useState } from 'react';
-import { TrendingUp, TrendingDown, Clock, DollarSign } from 'lucide-react';
+import { TrendingUp, TrendingDown, Clock, DollarSign, RotateCcw } from 'lucide-react';
 import { styles } from '../../styles/styles';
 import { useTheme } from '../../context/ThemeContext';
 import { FormattersService } from '../../utils/formatters';
+import { BetEditForm } from './BetEditForm';
 
 export const BetCard = ({ bet, onUpdate, onDelete }) => {
   const { currentTheme } = useTheme();
   const [showActions, setShowActions] = useState(false);
   const [settlingBet, setSettlingBet] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
 
   const handleMarkWon = async () => {
-    const winnings = prompt('Enter total payout amount (including your original wager):');
-    if (winnings && !isNaN(winnings) && parseFloat(winnings) > 0) {
-      setSettlingBet(true);
-      try {
-        await onUpdate({
-          status: 'won',
-          winnings: parseFloat(winnings)
-        });
-      } catch (error) {
-        console.error('Error marking bet as won:', error);
-        alert('Failed to mark bet as won');
-      } finally {
-        setSettlingBet(false);
+    // With odds on the bet the backend derives the payout, so no prompt is needed
+    let winnings;
+    if (!bet.oddsDecimal) {
+      winnings = prompt('Enter total payout amount (including your original wager):');
+      if (!winnings || isNaN(winnings) || parseFloat(winnings) <= 0) {
+        return;
       }
     }
+
+    setSettlingBet(true);
+    try {
+      await onUpdate({
+        status: 'won',
+        ...(winnings !== undefined && { winnings: parseFloat(winnings) })
+      });
+    } catch (error) {
+      console.error('Error marking bet as won:', error);
+      alert('Failed to mark bet as won');
+    } finally {
+      setSettlingBet(false);
+    }
   };
 
   const handleMarkLost = async () => {
@@ -44,8 +52,48 @@ export const BetCard = ({ bet, onUpdate, onDelete }) => {
     }
   };
 
+  const handleMarkRefunded = async (status) => {
+    const label = status === 'push' ? 'a push' : 'void';
+    if (window.confirm(`Mark this bet as ${label}? The stake will be returned to your balance.`)) {
+      setSettlingBet(true);
+      try {
+        await onUpdate({ status });
+      } catch (error) {
+        console.error(`Error marking bet as ${status}:`, error);
+        alert(`Failed to mark bet as ${status}`);
+      } finally {
+        setSettlingBet(false);
+      }
+    }
+  };
+
+  const handleCashOut = async () => {
+    const amount = prompt('Enter the cash-out amount credited to your balance:');
+    if (amount === null || amount === '' || isNaN(amount) || parseFloat(amount) < 0) {
+      return;
+    }
+
+    setSettlingBet(true);
+    try {
+      await onUpdate({
+        status: 'cashout',
+        winnings: parseFloat(amount)
+      });
+    } catch (error) {
+      console.error('Error cashing out bet:', error);
+      alert('Failed to cash out bet');
+    } finally {
+      setSettlingBet(false);
+    }
+  };
+
+  const handleSaveEdit = async (changes) => {
+    await onUpdate(changes);
+    setIsEditing(false);
+  };
+
   const handleDelete = async () => {
-    if (window.confirm('Are you sure you want to delete this bet? This action cannot be undone.')) {
+    if (window.confirm('Move this bet to the trash? You can restore it from the Trash tab.')) {
       try {
         await onDelete();
       } catch (error) {
@@ -63,6 +111,11 @@ export const BetCard = ({ bet, onUpdate, onDelete }) => {
         return '#ef4444';
       case 'pending':
         return '#f59e0b';
+      case 'cashout':
+        return '#3b82f6';
+      case 'push':
+      case 'void':
+        return '#94a3b8';
       default:
         return '#6b7280';
     }
@@ -76,14 +129,17 @@ export const BetCard = ({ bet, onUpdate, onDelete }) => {
         return TrendingDown;
       case 'pending':
         return Clock;
+      case 'push':
+      case 'void':
+        return RotateCcw;
       default:
         return DollarSign;
     }
   };
 
   const calculateProfitLoss = () => {
-    if (bet.status === 'won' && bet.winnings) {
-      return bet.winnings - (bet.displayAmount || bet.amount);
+    if (['won', 'cashout'].includes(bet.status)) {
+      return (bet.winnings || 0) - (bet.displayAmount || bet.amount);
     } else if (bet.status === 'lost') {
       return -(bet.displayAmount || bet.amount);
     }
@@ -136,6 +192,8 @@ export const BetCard = ({ bet, onUpdate, onDelete }) => {
           </div>
           <p style={styles.betDate}>
             {FormattersService.formatDate(bet.betDate || bet.date)}
+            {bet.time && ` ${bet.time}`}
+            {bet.odds && ` • ${bet.odds}`}
           </p>
         </div>
 
@@ -178,7 +236,7 @@ export const BetCard = ({ bet, onUpdate, onDelete }) => {
           alignItems: 'center'
         }}>
           <span style={{ fontSize: '12px', color: '#94a3b8' }}>
-            {bet.status === 'won' ? 'Profit/Loss:' : 'Loss:'}
+            {bet.status === 'lost' ? 'Loss:' : 'Profit/Loss:'}
           </span>
           <span style={{
             fontSize: '14px',
@@ -190,8 +248,8 @@ export const BetCard = ({ bet, onUpdate, onDelete }) => {
         </div>
       )}
 
-      {/* Winnings display for won bets */}
-      {bet.status === 'won' && bet.winnings && (
+      {/* Winnings display for won and cashed out bets */}
+      {['won', 'cashout'].includes(bet.status) && bet.winnings > 0 && (
         <div style={{
           marginTop: '8px',
           padding: '6px 8px',
@@ -204,8 +262,22 @@ export const BetCard = ({ bet, onUpdate, onDelete }) => {
         </div>
       )}
 
+      {/* Potential payout for pending bets with odds */}
+      {bet.status === 'pending' && bet.potentialPayout > 0 && (
+        <div style={{
+          marginTop: '8px',
+          padding: '6px 8px',
+          backgroundColor: 'rgba(245, 158, 11, 0.1)',
+          borderRadius: '4px',
+          fontSize: '12px',
+          color: '#f59e0b'
+        }}>
+          To Pay: {FormattersService.formatCurrency(bet.potentialPayout)}
+        </div>
+      )}
+
       {/* Action buttons for pending bets */}
-      {bet.status === 'pending' && showActions && (
+      {bet.status === 'pending' && showActions && !isEditing && (
         <div style={{
           ...styles.buttonGroup,
           position: 'absolute',
@@ -236,6 +308,51 @@ export const BetCard = ({ bet, onUpdate, onDelete }) => {
           >
             {settlingBet ? 'Processing...' : 'Lost'}
           </button>
+          <button
+            onClick={() => handleMarkRefunded('push')}
+            disabled={settlingBet}
+            style={{
+              ...styles.smallButton,
+              ...styles.pushButton,
+              opacity: settlingBet ? 0.6 : 1
+            }}
+          >
+            Push
+          </button>
+          <button
+            onClick={() => handleMarkRefunded('void')}
+            disabled={settlingBet}
+            style={{
+              ...styles.smallButton,
+              ...styles.pushButton,
+              opacity: settlingBet ? 0.6 : 1
+            }}
+          >
+            Void
+          </button>
+          <button
+            onClick={handleCashOut}
+            disabled={settlingBet}
+            style={{
+              ...styles.smallButton,
+              ...styles.cashOutButton,
+              opacity: settlingBet ? 0.6 : 1
+            }}
+          >
+            Cash Out
+          </button>
+          <button
+            onClick={() => setIsEditing(true)}
+            disabled={settlingBet}
+            style={{
+              ...styles.smallButton,
+              backgroundColor: currentTheme.primary,
+              color: 'white',
+              opacity: settlingBet ? 0.6 : 1
+            }}
+          >
+            Edit
+          </button>
           <button
             onClick={handleDelete}
             disabled={settlingBet}
@@ -251,23 +368,44 @@ export const BetCard = ({ bet, onUpdate, onDelete }) => {
         </div>
       )}
 
-      {/* Delete button for settled bets */}
-      {bet.status !== 'pending' && showActions && (
-        <button
-          onClick={handleDelete}
-          style={{
-            ...styles.smallButton,
-            backgroundColor: '#64748b',
-            color: 'white',
-            position: 'absolute',
-            top: '12px',
-            right: '12px',
-            opacity: showActions ? 1 : 0,
-            transition: 'opacity 0.2s ease'
-          }}
-        >
-          Delete
-        </button>
+      {/* Edit and delete buttons for settled bets */}
+      {bet.status !== 'pending' && showActions && !isEditing && (
+        <div style={{
+          ...styles.buttonGroup,
+          position: 'absolute',
+          top: '12px',
+          right: '12px',
+          marginTop: 0,
+          opacity: showActions ? 1 : 0,
+          transition: 'opacity 0.2s ease'
+        }}>
+          <button
+            onClick={() => setIsEditing(true)}
+            style={{
+              ...styles.smallButton,
+              backgroundColor: currentTheme.primary,
+              color: 'white'
+            }}
+          >
+            Edit
+          </button>
+          <button
+            onClick={handleDelete}
+            style={{
+              ...styles.smallButton,
+              backgroundColor: '#64748b',
+              color: 'white'
+            }}
+          >
+            Delete
+          </button>
+        </div>
+      )}
+
+      {isEditing && (
+        <div style={{ marginTop: '12px' }}>
+          <BetEditForm bet={bet} onSave={handleSaveEdit} onCancel={() => setIsEditing(false)} />
+        </div>
       )}
 
       {settlingBet && (
@@ -0,0 +1,385 @@
+import React, { useState, useEffect } from 'react';
+import { History } from 'lucide-react';
+import { betsService } from '../../services/bets.service';
+import { styles } from '../../styles/styles';
+import { MARKET_TYPES, BET_STATUSES } from '../../utils/constants';
+import { FormattersService } from '../../utils/formatters';
+
+const ODDS_FORMATS = [
+  { value: 'american', label: 'American (+150)' },
+  { value: 'decimal', label: 'Decimal (2.50)' },
+  { value: 'fractional', label: 'Fractional (3/2)' }
+];
+
+const FIELD_LABELS = {
+  amount: 'Stake',
+  displayAmount: 'Display amount',
+  isBonusBet: 'Bonus bet',
+  oddsDecimal: 'Odds',
+  oddsFormat: 'Odds format',
+  closingOddsDecimal: 'Closing odds',
+  closingOpposingOddsDecimal: 'Opposing closing odds',
+  description: 'Description',
+  sport: 'Sport',
+  league: 'League',
+  marketType: 'Market',
+  date: 'Date',
+  time: 'Time',
+  status: 'Status',
+  winnings: 'Payout',
+  tags: 'Tags'
+};
+
+const toFormState = (bet) => ({
+  amount: String(bet.isBonusBet ? bet.displayAmount : bet.amount),
+  isBonusBet: Boolean(bet.isBonusBet),
+  odds: bet.odds || '',
+  oddsFormat: bet.oddsFormat || 'american',
+  closingOdds: bet.closingOdds || '',
+  closingOpposingOdds: bet.closingOpposingOdds || '',
+  description: bet.description || '',
+  date: bet.date || '',
+  time: bet.time || '',
+  sport: bet.sport || '',
+  league: bet.league || '',
+  marketType: bet.marketType || '',
+  tags: (bet.tags || []).join(', '),
+  status: bet.status,
+  winnings: ['won', 'cashout'].includes(bet.status) ? String(bet.winnings) : '',
+  note: ''
+});
+
+export const BetEditForm = ({ bet, onSave, onCancel }) => {
+  const [form, setForm] = useState(() => toFormState(bet));
+  const [history, setHistory] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setForm(toFormState(bet));
+    setError(null);
+
+    betsService.getBetHistory(bet.id)
+      .then((response) => setHistory(response.edits || []))
+      .catch(() => setHistory([]));
+  }, [bet.id]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Only send what changed so untouched fields keep their stored values
+  const getChanges = () => {
+    const original = toFormState(bet);
+    const changes = {};
+
+    ['amount', 'isBonusBet', 'description', 'date', 'time', 'sport', 'league', 'marketType', 'tags', 'status']
+      .filter(field => form[field] !== original[field])
+      .forEach(field => { changes[field] = form[field]; });
+
+    if (form.odds !== original.odds || form.oddsFormat !== original.oddsFormat) {
+      changes.odds = form.odds;
+      changes.oddsFormat = form.oddsFormat;
+    }
+
+    // Closing prices are read in the same format as the odds
+    ['closingOdds', 'closingOpposingOdds']
+      .filter(field => form[field] !== original[field])
+      .forEach(field => {
+        changes[field] = form[field].trim();
+        changes.oddsFormat = form.oddsFormat;
+      });
+
+    // Payouts only apply to winners and cash-outs; leave blank to use the odds
+    if (['won', 'cashout'].includes(form.status) && form.winnings !== original.winnings && form.winnings !== '') {
+      changes.winnings = parseFloat(form.winnings);
+    }
+
+    if (changes.amount !== undefined) {
+      changes.amount = parseFloat(changes.amount);
+    }
+
+    if (changes.tags !== undefined) {
+      changes.tags = form.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    if (form.note.trim()) {
+      changes.note = form.note.trim();
+    }
+
+    return changes;
+  };
+
+  const handleSave = async () => {
+    const changes = getChanges();
+    if (Object.keys(changes).filter(field => field !== 'note').length === 0) {
+      onCancel();
+      return;
+    }
+
+    if (changes.amount !== undefined && (isNaN(changes.amount) || changes.amount <= 0)) {
+      setError('Please enter a valid stake');
+      return;
+    }
+
+    if (form.status === 'pending' && bet.status !== 'pending' &&
+      !window.confirm('Move this bet back to pending? Its payout will be removed from your balance.')) {
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      await onSave(changes);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const formatChange = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (['amount', 'displayAmount', 'winnings'].includes(field)) return FormattersService.formatCurrency(value);
+    return String(value);
+  };
+
+  const rowStyles = { display: 'flex', gap: '8px' };
+  const disabledStyles = isSaving ? { opacity: 0.6, cursor: 'not-allowed' } : {};
+
+  return (
+    <div style={styles.formContainer}>
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Description</label>
+        <input
+          type="text"
+          value={form.description}
+          onChange={(e) => handleChange('description', e.target.value)}
+          maxLength={500}
+          style={styles.input}
+          disabled={isSaving}
+        />
+      </div>
+
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Stake / Odds</label>
+        <div style={rowStyles}>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={form.amount}
+            onChange={(e) => handleChange('amount', e.target.value)}
+            style={{ ...styles.input, flex: 1 }}
+            disabled={isSaving}
+          />
+          <input
+            type="text"
+            value={form.odds}
+            onChange={(e) => handleChange('odds', e.target.value)}
+            placeholder="Odds"
+            style={{ ...styles.input, flex: 1 }}
+            disabled={isSaving}
+          />
+          <select
+            value={form.oddsFormat}
+            onChange={(e) => handleChange('oddsFormat', e.target.value)}
+            style={{ ...styles.select, flex: 1 }}
+            disabled={isSaving}
+          >
+            {ODDS_FORMATS.map((format) => (
+              <option key={format.value} value={format.value}>{format.label}</option>
+            ))}
+          </select>
+        </div>
+        <label style={{ ...styles.label, display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px' }}>
+          <input
+            type="checkbox"
+            checked={form.isBonusBet}
+            onChange={(e) => handleChange('isBonusBet', e.target.checked)}
+            disabled={isSaving}
+          />
+          Bonus bet (no cash at risk)
+        </label>
+      </div>
+
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Closing Line</label>
+        <div style={rowStyles}>
+          <input
+            type="text"
+            value={form.closingOdds}
+            onChange={(e) => handleChange('closingOdds', e.target.value)}
+            placeholder="Closing odds"
+            style={{ ...styles.input, flex: 1 }}
+            disabled={isSaving}
+          />
+          <input
+            type="text"
+            value={form.closingOpposingOdds}
+            onChange={(e) => handleChange('closingOpposingOdds', e.target.value)}
+            placeholder="Other side's closing odds (removes vig)"
+            style={{ ...styles.input, flex: 1 }}
+            disabled={isSaving}
+          />
+        </div>
+      </div>
+
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Status / Payout</label>
+        <div style={rowStyles}>
+          <select
+            value={form.status}
+            onChange={(e) => handleChange('status', e.target.value)}
+            style={{ ...styles.select, flex: 1, textTransform: 'capitalize' }}
+            disabled={isSaving}
+          >
+            {Object.values(BET_STATUSES).map((status) => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+          {['won', 'cashout'].includes(form.status) && (
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={form.winnings}
+              onChange={(e) => handleChange('winnings', e.target.value)}
+              placeholder={form.status === 'won' ? 'Total payout (blank = from odds)' : 'Cash-out amount'}
+              style={{ ...styles.input, flex: 1 }}
+              disabled={isSaving}
+            />
+          )}
+        </div>
+      </div>
+
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Date / Time</label>
+        <div style={rowStyles}>
+          <input
+            type="date"
+            value={form.date}
+            max={FormattersService.toInputDate()}
+            onChange={(e) => handleChange('date', e.target.value)}
+            style={{ ...styles.input, flex: 1, colorScheme: 'dark' }}
+            disabled={isSaving}
+          />
+          <input
+            type="time"
+            value={form.time}
+            onChange={(e) => handleChange('time', e.target.value)}
+            style={{ ...styles.input, flex: 1, colorScheme: 'dark' }}
+            disabled={isSaving}
+          />
+        </div>
+      </div>
+
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Sport / League / Market</label>
+        <div style={rowStyles}>
+          <input
+            type="text"
+            value={form.sport}
+            onChange={(e) => handleChange('sport', e.target.value)}
+            placeholder="Sport"
+            maxLength={50}
+            style={{ ...styles.input, flex: 1 }}
+            disabled={isSaving}
+          />
+          <input
+            type="text"
+            value={form.league}
+            onChange={(e) => handleChange('league', e.target.value)}
+            placeholder="League"
+            maxLength={50}
+            style={{ ...styles.input, flex: 1 }}
+            disabled={isSaving}
+          />
+          <select
+            value={form.marketType}
+            onChange={(e) => handleChange('marketType', e.target.value)}
+            style={{ ...styles.select, flex: 1 }}
+            disabled={isSaving}
+          >
+            <option value="">Market type</option>
+            {MARKET_TYPES.map((market) => (
+              <option key={market.value} value={market.value}>{market.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div style={styles.formGroup}>
+        <label style={styles.label}>Tags / Note</label>
+        <div style={rowStyles}>
+          <input
+            type="text"
+            value={form.tags}
+            onChange={(e) => handleChange('tags', e.target.value)}
+            placeholder="player-props, live"
+            style={{ ...styles.input, flex: 1 }}
+            disabled={isSaving}
+          />
+          <input
+            type="text"
+            value={form.note}
+            onChange={(e) => handleChange('note', e.target.value)}
+            placeholder="Reason for edit (optional)"
+            maxLength={200}
+            style={{ ...styles.input, flex: 1 }}
+            disabled={isSaving}
+          />
+        </div>
+      </div>
+
+      {error && <p style={{ color: '#ef4444', fontSize: '14px', margin: '0 0 12px 0' }}>{error}</p>}
+
+      <div style={styles.buttonGroup}>
+        <button
+          onClick={onCancel}
+          disabled={isSaving}
+          style={{ ...styles.smallButton, ...styles.pushButton, ...disabledStyles }}
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          style={{ ...styles.smallButton, ...styles.winButton, ...disabledStyles }}
+        >
+          {isSaving ? 'Saving...' : 'Save Changes'}
+        </button>
+      </div>
+
+      {history.length > 0 && (
+        <div style={{ marginTop: '16px' }}>
+          <p style={{ ...styles.accountLabel, display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <History size={14} />
+            Edit History
+          </p>
+          {history.map((edit) => (
+            <div key={edit.id} style={{ padding: '8px 0', borderBottom: '1px solid #334155', fontSize: '13px', color: '#cbd5e1' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', color: '#94a3b8' }}>
+                <span>{new Date(edit.createdAt).toLocaleString()}</span>
+                {edit.balanceChange !== 0 && (
+                  <span style={{ color: edit.balanceChange > 0 ? '#4ade80' : '#f87171' }}>
+                    Balance {edit.balanceChange > 0 ? '+' : ''}{FormattersService.formatCurrency(edit.balanceChange)}
+                  </span>
+                )}
+              </div>
+              {Object.entries(edit.changes).map(([field, change]) => (
+                <div key={field}>
+                  {FIELD_LABELS[field] || field}: {formatChange(field, change.from)} → {formatChange(field, change.to)}
+                </div>
+              ))}
+              {edit.note && <div style={{ color: '#94a3b8' }}>{edit.note}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { Trash2, TrendingUp, TrendingDown } from 'lucide-react';
+import { Trash2, TrendingUp, TrendingDown, ChevronDown, ChevronUp, RotateCcw, DollarSign, Pencil } from 'lucide-react';
 import { useTheme } from '../../context/ThemeContext';
 import { betsService } from '../../services/bets.service';
 import { styles } from '../../styles/styles';
+import { BetEditForm } from './BetEditForm';
 
 export const BetHistory = ({ account, accountKey, onUpdate }) => {
   const { currentTheme } = useTheme();
@@ -15,6 +16,10 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
   const [isDeletingBet, setIsDeletingBet] = useState(null);
   const [showWinningsModal, setShowWinningsModal] = useState(null);
   const [winningsAmount, setWinningsAmount] = useState('');
+  const [expandedBets, setExpandedBets] = useState({});
+  const [editingBet, setEditingBet] = useState(null);
+  const [selectedBets, setSelectedBets] = useState([]);
+  const [isBulkSettling, setIsBulkSettling] = useState(false);
 
   const fetchBets = async (page = 1) => {
     if (!accountKey) {
@@ -38,6 +43,7 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
         setBets(response.bets);
         setPagination(response.pagination);
         setCurrentPage(page);
+        setSelectedBets([]);
       } else {
         setBets([]);
         setPagination(null);
@@ -56,10 +62,28 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
     fetchBets(1);
   }, [accountKey]);
 
-  const handleMarkWon = (betId, displayAmount) => {
-    setShowWinningsModal(betId);
-    // Set default winnings to 2x the bet amount
-    setWinningsAmount((displayAmount * 2).toFixed(2));
+  const handleMarkWon = async (bet) => {
+    // Bets with odds settle in one click - the backend derives the payout
+    if (bet.oddsDecimal) {
+      if (isUpdating) return;
+
+      setIsUpdating(bet.id);
+      try {
+        await betsService.settleBet(bet.id, 'won');
+        if (onUpdate) await onUpdate();
+        await fetchBets(currentPage);
+      } catch (error) {
+        console.error('Error marking bet as won:', error);
+        alert('Failed to mark bet as won. Please try again.');
+      } finally {
+        setIsUpdating(null);
+      }
+      return;
+    }
+
+    setShowWinningsModal(bet.id);
+    // Without odds, default winnings to 2x the bet amount
+    setWinningsAmount(((bet.displayAmount || bet.amount) * 2).toFixed(2));
   };
 
   const handleMarkLost = async (betId) => {
@@ -78,6 +102,48 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
     }
   };
 
+  const handleMarkRefunded = async (betId, status) => {
+    if (isUpdating) return;
+
+    setIsUpdating(betId);
+    try {
+      // The stake comes back to the balance - no amount needed
+      await betsService.settleBet(betId, status);
+      if (onUpdate) await onUpdate();
+      await fetchBets(currentPage);
+    } catch (error) {
+      console.error(`Error marking bet as ${status}:`, error);
+      alert(`Failed to mark bet as ${status}. Please try again.`);
+    } finally {
+      setIsUpdating(null);
+    }
+  };
+
+  const handleCashOut = async (bet) => {
+    if (isUpdating) return;
+
+    const input = prompt('Enter the cash-out amount credited to your balance:');
+    if (input === null) return;
+
+    const amount = parseFloat(input);
+    if (isNaN(amount) || amount < 0) {
+      alert('Please enter a valid cash-out amount');
+      return;
+    }
+
+    setIsUpdating(bet.id);
+    try {
+      await betsService.settleBet(bet.id, 'cashout', amount);
+      if (onUpdate) await onUpdate();
+      await fetchBets(currentPage);
+    } catch (error) {
+      console.error('Error cashing out bet:', error);
+      alert('Failed to cash out bet. Please try again.');
+    } finally {
+      setIsUpdating(null);
+    }
+  };
+
   const handleConfirmWinnings = async () => {
     if (isUpdating || !showWinningsModal) return;
 
@@ -102,8 +168,76 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
     }
   };
 
+  const toggleLegs = (betId) => {
+    setExpandedBets(prev => ({ ...prev, [betId]: !prev[betId] }));
+  };
+
+  const handleSettleLeg = async (betId, legId, status) => {
+    if (isUpdating) return;
+
+    setIsUpdating(betId);
+    try {
+      await betsService.settleLegs(betId, [{ id: legId, status }]);
+      if (onUpdate) await onUpdate();
+      await fetchBets(currentPage);
+    } catch (error) {
+      console.error('Error settling parlay leg:', error);
+      alert('Failed to update leg. Please try again.');
+    } finally {
+      setIsUpdating(null);
+    }
+  };
+
+  const handleSaveEdit = async (changes) => {
+    // Errors are shown in the form so the user can correct the field
+    await betsService.updateBet(editingBet.id, changes);
+    setEditingBet(null);
+    if (onUpdate) await onUpdate();
+    await fetchBets(currentPage);
+  };
+
+  // Parlays settle leg by leg, so only straight bets can be bulk settled
+  const isSelectable = (bet) => bet.status === 'pending' && (!bet.legs || bet.legs.length === 0);
+
+  const toggleSelected = (betId) => {
+    setSelectedBets((prev) =>
+      prev.includes(betId) ? prev.filter((id) => id !== betId) : [...prev, betId]
+    );
+  };
+
+  const handleBulkSettle = async (status) => {
+    if (isBulkSettling || selectedBets.length === 0) return;
+
+    setIsBulkSettling(true);
+    try {
+      // Winners are sent without winnings so each one is paid at its odds
+      const response = await betsService.bulkSettleBets(
+        selectedBets.map((betId) => ({ betId, status, ...(status === 'lost' && { winnings: 0 }) }))
+      );
+
+      if (!response.success) {
+        const failures = response.outcomes
+          .filter((outcome) => !outcome.success)
+          .map((outcome) => {
+            const bet = bets.find((b) => b.id === outcome.betId);
+            return `• ${bet?.description || `Bet ${outcome.betId}`}: ${outcome.error}`;
+          });
+        alert(`${response.message}\n\n${failures.join('\n')}`);
+        return;
+      }
+
+      if (onUpdate) await onUpdate();
+      await fetchBets(currentPage);
+    } catch (error) {
+      console.error('Error bulk settling bets:', error);
+      alert('Failed to settle selected bets: ' + error.message);
+    } finally {
+      setIsBulkSettling(false);
+    }
+  };
+
   const handleDeleteBet = async (betId) => {
-    if (window.confirm('Are you sure you want to delete this bet? This action cannot be undone.')) {
+    if (window.confirm('Move this bet to the trash? You can restore it from the Trash tab.')) {
       setIsDeletingBet(betId);
       try {
         await betsService.deleteBet(betId);
@@ -141,6 +275,11 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
         return '#ef4444';
       case 'pending':
         return '#f59e0b';
+      case 'cashout':
+        return '#3b82f6';
+      case 'push':
+      case 'void':
+        return '#94a3b8';
       default:
         return '#6b7280';
     }
@@ -205,6 +344,28 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
     position: 'relative'
   };
 
+  const bulkBarStyles = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '12px',
+    padding: '12px 16px',
+    marginBottom: '12px',
+    backgroundColor: 'rgba(30, 41, 59, 0.5)',
+    border: '1px solid #334155',
+    borderRadius: '8px'
+  };
+
+  const bulkLabelStyles = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    color: '#94a3b8',
+    fontSize: '14px',
+    cursor: 'pointer'
+  };
+
   const betHeaderStyles = {
     display: 'flex',
     justifyContent: 'space-between',
@@ -229,6 +390,21 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
     margin: 0
   };
 
+  const metadataRowStyles = {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px',
+    marginTop: '6px'
+  };
+
+  const metadataChipStyles = {
+    padding: '1px 6px',
+    fontSize: '11px',
+    borderRadius: '4px',
+    backgroundColor: 'rgba(71, 85, 105, 0.4)',
+    color: '#cbd5e1'
+  };
+
   const betRightStyles = {
     textAlign: 'right',
     display: 'flex',
@@ -285,6 +461,27 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
     border: '1px solid rgba(239, 68, 68, 0.3)'
   };
 
+  const pushButtonStyles = {
+    ...actionButtonBaseStyles,
+    backgroundColor: 'rgba(148, 163, 184, 0.2)',
+    color: '#94a3b8',
+    border: '1px solid rgba(148, 163, 184, 0.3)'
+  };
+
+  const cashOutButtonStyles = {
+    ...actionButtonBaseStyles,
+    backgroundColor: 'rgba(59, 130, 246, 0.2)',
+    color: '#3b82f6',
+    border: '1px solid rgba(59, 130, 246, 0.3)'
+  };
+
+  const editButtonStyles = {
+    ...actionButtonBaseStyles,
+    backgroundColor: 'rgba(168, 85, 247, 0.2)',
+    color: currentTheme?.primary || '#c4b5fd',
+    border: '1px solid rgba(168, 85, 247, 0.3)'
+  };
+
   const deleteButtonStyles = {
     ...actionButtonBaseStyles,
     backgroundColor: 'rgba(100, 116, 139, 0.2)',
@@ -292,6 +489,49 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
     border: '1px solid rgba(100, 116, 139, 0.3)'
   };
 
+  const parlayToggleStyles = {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    marginTop: '6px',
+    padding: '2px 8px',
+    fontSize: '11px',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    backgroundColor: 'rgba(168, 85, 247, 0.2)',
+    color: currentTheme?.primary || '#c4b5fd',
+    border: '1px solid rgba(168, 85, 247, 0.3)',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  };
+
+  const legListStyles = {
+    margin: '0 0 16px 0',
+    padding: '8px 12px',
+    backgroundColor: 'rgba(30, 41, 59, 0.5)',
+    borderRadius: '8px',
+    border: '1px solid #334155'
+  };
+
+  const legRowStyles = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '6px 0',
+    fontSize: '13px',
+    color: '#e2e8f0'
+  };
+
+  const legButtonStyles = {
+    ...actionButtonBaseStyles,
+    padding: '2px 8px',
+    fontSize: '11px',
+    backgroundColor: 'rgba(51, 65, 85, 0.7)',
+    color: '#cbd5e1',
+    border: '1px solid #475569'
+  };
+
   const modalOverlayStyles = {
     position: 'fixed',
     top: 0,
@@ -391,6 +631,7 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
     );
   }
 
+  const selectableBets = bets.filter(isSelectable);
   const totalBets = pagination?.total || bets.length;
   const startIndex = pagination ? (currentPage - 1) * 20 + 1 : 1;
   const endIndex = pagination ? Math.min(currentPage * 20, totalBets) : bets.length;
@@ -454,6 +695,40 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
         )}
       </div>
 
+      {/* Bulk Settlement */}
+      {selectableBets.length > 0 && (
+        <div style={bulkBarStyles}>
+          <label style={bulkLabelStyles}>
+            <input
+              type="checkbox"
+              checked={selectedBets.length === selectableBets.length}
+              onChange={(e) => setSelectedBets(e.target.checked ? selectableBets.map((bet) => bet.id) : [])}
+            />
+            {selectedBets.length > 0
+              ? `${selectedBets.length} selected`
+              : 'Select pending bets to settle together'}
+          </label>
+          {selectedBets.length > 0 && (
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+              {[
+                { status: 'won', label: 'Mark selected won', style: winButtonStyles },
+                { status: 'lost', label: 'Mark selected lost', style: lostButtonStyles },
+                { status: 'push', label: 'Mark selected push', style: pushButtonStyles }
+              ].map(({ status, label, style }) => (
+                <button
+                  key={status}
+                  onClick={() => handleBulkSettle(status)}
+                  disabled={isBulkSettling}
+                  style={{ ...style, opacity: isBulkSettling ? 0.6 : 1 }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Bet Cards */}
       {bets.length > 0 ? (
         <div>
@@ -462,11 +737,58 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
               <div style={betHeaderStyles}>
                 <div style={betInfoStyles}>
                   <h5 style={betTitleStyles}>
+                    {isSelectable(bet) && (
+                      <input
+                        type="checkbox"
+                        checked={selectedBets.includes(bet.id)}
+                        onChange={() => toggleSelected(bet.id)}
+                        style={{ marginRight: '8px', cursor: 'pointer' }}
+                      />
+                    )}
                     {bet.description || `Bet ${bet.id}`}
                   </h5>
+                  {bet.legs && bet.legs.length > 0 && (
+                    <button onClick={() => toggleLegs(bet.id)} style={parlayToggleStyles}>
+                      {bet.betType === 'sgp' ? 'Same Game Parlay' : 'Parlay'} • {bet.legs.length} legs
+                      {expandedBets[bet.id] ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+                    </button>
+                  )}
                   <p style={betDateStyles}>
                     {formatDate(bet.betDate || bet.date)}
+                    {bet.time && ` ${bet.time}`}
+                    {bet.odds && ` • ${bet.odds}`}
+                    {bet.status === 'pending' && bet.potentialPayout > 0 &&
+                      ` • To pay ${formatCurrency(bet.potentialPayout)}`}
+                    {bet.clv && (
+                      <span
+                        style={{ color: bet.clv.clv >= 0 ? '#4ade80' : '#f87171' }}
+                        title={`Closed at ${bet.closingOdds} • fair win chance ${bet.clv.fairProbability}%${bet.clv.noVig ? '' : ' (vig included)'}`}
+                      >
+                        {` • CLV ${bet.clv.clv > 0 ? '+' : ''}${bet.clv.clv}%`}
+                      </span>
+                    )}
+                    {bet.bankrollPercent !== null && bet.bankrollPercent !== undefined && (
+                      <span
+                        style={{ color: bet.overStakeLimit ? '#facc15' : undefined }}
+                        title="Stake as a share of the account balance when the bet was placed"
+                      >
+                        {` • ${bet.bankrollPercent}% of bankroll`}
+                        {bet.overStakeLimit && ' (over limit)'}
+                      </span>
+                    )}
                   </p>
+                  {(bet.sport || bet.league || bet.marketType || (bet.tags && bet.tags.length > 0)) && (
+                    <div style={metadataRowStyles}>
+                      {[bet.sport, bet.league, bet.marketType].filter(Boolean).map((value) => (
+                        <span key={value} style={metadataChipStyles}>{value}</span>
+                      ))}
+                      {(bet.tags || []).map((tag) => (
+                        <span key={`tag-${tag}`} style={{ ...metadataChipStyles, color: currentTheme?.primary || '#c4b5fd' }}>
+                          #{tag}
+                        </span>
+                      ))}
+                    </div>
+                  )}
                 </div>
                 
                 <div style={betRightStyles}>
@@ -482,16 +804,54 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
                   }}>
                     {bet.status}
                     {bet.status === 'won' && bet.winnings && ` (+${formatCurrency(bet.winnings)})`}
+                    {bet.status === 'cashout' && ` (${formatCurrency(bet.winnings || 0)})`}
                   </div>
                 </div>
               </div>
               
+              {/* Parlay Legs */}
+              {bet.legs && expandedBets[bet.id] && (
+                <div style={legListStyles}>
+                  {bet.legs.map((leg) => (
+                    <div key={leg.id} style={legRowStyles}>
+                      <span style={{ flex: 1 }}>{leg.selection}</span>
+                      <span style={{ color: '#94a3b8' }}>{leg.odds}</span>
+                      {bet.status === 'pending' && leg.status === 'pending' ? (
+                        <span style={{ display: 'flex', gap: '4px' }}>
+                          {['won', 'lost', 'void'].map((legStatus) => (
+                            <button
+                              key={legStatus}
+                              onClick={() => handleSettleLeg(bet.id, leg.id, legStatus)}
+                              disabled={isUpdating === bet.id}
+                              style={{
+                                ...legButtonStyles,
+                                opacity: isUpdating === bet.id ? 0.6 : 1
+                              }}
+                            >
+                              {legStatus}
+                            </button>
+                          ))}
+                        </span>
+                      ) : (
+                        <span style={{
+                          ...statusBadgeStyles,
+                          backgroundColor: getStatusBadgeColor(leg.status) + '20',
+                          color: getStatusBadgeColor(leg.status)
+                        }}>
+                          {leg.status}
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Action Buttons */}
               <div style={actionButtonsStyles}>
                 {bet.status === 'pending' && (
                   <>
                     <button
-                      onClick={() => handleMarkWon(bet.id, bet.displayAmount || bet.amount)}
+                      onClick={() => handleMarkWon(bet)}
                       disabled={isUpdating === bet.id}
                       style={{
                         ...winButtonStyles,
@@ -529,9 +889,72 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
                       <TrendingDown size={12} />
                       Mark Lost
                     </button>
+                    
+                    {['push', 'void'].map((refundStatus) => (
+                      <button
+                        key={refundStatus}
+                        onClick={() => handleMarkRefunded(bet.id, refundStatus)}
+                        disabled={isUpdating === bet.id}
+                        style={{
+                          ...pushButtonStyles,
+                          opacity: isUpdating === bet.id ? 0.6 : 1
+                        }}
+                        onMouseOver={(e) => {
+                          if (isUpdating !== bet.id) {
+                            e.target.style.backgroundColor = 'rgba(148, 163, 184, 0.3)';
+                          }
+                        }}
+                        onMouseOut={(e) => {
+                          e.target.style.backgroundColor = 'rgba(148, 163, 184, 0.2)';
+                        }}
+                      >
+                        <RotateCcw size={12} />
+                        {refundStatus === 'push' ? 'Push' : 'Void'}
+                      </button>
+                    ))}
+                    
+                    <button
+                      onClick={() => handleCashOut(bet)}
+                      disabled={isUpdating === bet.id}
+                      style={{
+                        ...cashOutButtonStyles,
+                        opacity: isUpdating === bet.id ? 0.6 : 1
+                      }}
+                      onMouseOver={(e) => {
+                        if (isUpdating !== bet.id) {
+                          e.target.style.backgroundColor = 'rgba(59, 130, 246, 0.3)';
+                        }
+                      }}
+                      onMouseOut={(e) => {
+                        e.target.style.backgroundColor = 'rgba(59, 130, 246, 0.2)';
+                      }}
+                    >
+                      <DollarSign size={12} />
+                      Cash Out
+                    </button>
                   </>
                 )}
                 
+                <button
+                  onClick={() => setEditingBet(bet)}
+                  disabled={isUpdating === bet.id}
+                  style={{
+                    ...editButtonStyles,
+                    opacity: isUpdating === bet.id ? 0.6 : 1
+                  }}
+                  onMouseOver={(e) => {
+                    if (isUpdating !== bet.id) {
+                      e.target.style.backgroundColor = 'rgba(168, 85, 247, 0.3)';
+                    }
+                  }}
+                  onMouseOut={(e) => {
+                    e.target.style.backgroundColor = 'rgba(168, 85, 247, 0.2)';
+                  }}
+                >
+                  <Pencil size={12} />
+                  Edit
+                </button>
+                
                 <button
                   onClick={() => handleDeleteBet(bet.id)}
                   disabled={isDeletingBet === bet.id}
@@ -563,6 +986,23 @@ export const BetHistory = ({ account, accountKey, onUpdate }) => {
         </div>
       )}
 
+      {/* Edit Modal */}
+      {editingBet && (
+        <div style={modalOverlayStyles} onClick={() => setEditingBet(null)}>
+          <div
+            style={{ ...modalStyles, maxWidth: '560px', width: '90%', maxHeight: '90vh', overflowY: 'auto' }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h3 style={modalTitleStyles}>Edit Bet</h3>
+            <BetEditForm
+              bet={editingBet}
+              onSave={handleSaveEdit}
+              onCancel={() => setEditingBet(null)}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Winnings Modal */}
       {showWinningsModal && (
         <div style={modalOverlayStyles} onClick={() => setShowWinningsModal(null)}>
@@ -0,0 +1,298 @@
+import React, { useState, useEffect } from 'react';
+import { Gift } from 'lucide-react';
+import { useTheme } from '../../context/ThemeContext';
+import { promotionsService } from '../../services/promotions.service';
+import { FormattersService } from '../../utils/formatters';
+import { styles } from '../../styles/styles';
+
+const OFFER_TYPE_OPTIONS = [
+  { value: 'bet-credit', label: 'Bet credit' },
+  { value: 'deposit-match', label: 'Deposit match' },
+  { value: 'profit-boost', label: 'Profit boost' },
+  { value: 'odds-boost', label: 'Odds boost' },
+  { value: 'no-sweat', label: 'No-sweat bet' }
+];
+
+const BOOST_TYPES = ['profit-boost', 'odds-boost'];
+
+const STATUS_COLORS = {
+  active: '#4ade80',
+  completed: '#60a5fa',
+  expired: '#94a3b8',
+  forfeited: '#ef4444'
+};
+
+const emptyForm = () => ({
+  offerType: 'bet-credit',
+  name: '',
+  amount: '',
+  boostPercent: '',
+  rolloverMultiplier: '',
+  minOdds: '',
+  startsOn: FormattersService.toInputDate(),
+  expiresOn: ''
+});
+
+export const Promotions = ({ account, accountKey, onUpdate }) => {
+  const { currentTheme } = useTheme();
+  const [promotions, setPromotions] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [busyAction, setBusyAction] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchPromotions = async () => {
+    try {
+      const response = await promotionsService.getPromotions({ accountKey });
+      setPromotions(response.promotions);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    setMessage(null);
+    setError(null);
+    fetchPromotions();
+  }, [accountKey]);
+
+  // Runs one promotion action at a time and reloads the promotions afterwards
+  const runAction = async (key, action) => {
+    setBusyAction(key);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await action();
+      setMessage(response.message);
+      await fetchPromotions();
+      if (onUpdate) await onUpdate();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleAdd = async () => {
+    const isBoost = BOOST_TYPES.includes(form.offerType);
+    const saved = await runAction('add', () => promotionsService.createPromotion({
+      accountKey,
+      offerType: form.offerType,
+      name: form.name.trim(),
+      amount: form.amount === '' ? 0 : form.amount,
+      rolloverMultiplier: form.rolloverMultiplier === '' ? 0 : form.rolloverMultiplier,
+      startsOn: form.startsOn,
+      ...(isBoost && { boostPercent: form.boostPercent }),
+      ...(form.minOdds !== '' && { minOdds: form.minOdds }),
+      ...(form.expiresOn && { expiresOn: form.expiresOn })
+    }));
+    if (saved) setForm(emptyForm());
+  };
+
+  const handleDelete = (promotion) => {
+    if (window.confirm(`Delete ${promotion.name}? Bets and credits recorded against it are kept.`)) {
+      runAction(`delete-${promotion.id}`, () => promotionsService.deletePromotion(promotion.id));
+    }
+  };
+
+  const buttonStyles = (disabled, backgroundColor = '#475569') => ({
+    ...styles.smallButton,
+    backgroundColor,
+    color: 'white',
+    ...(disabled ? { opacity: 0.6, cursor: 'not-allowed' } : {})
+  });
+
+  const labelStyles = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '12px',
+    color: '#94a3b8'
+  };
+
+  const isBusy = busyAction !== null;
+  const totalValue = promotions.reduce((sum, promotion) => sum + promotion.value.total, 0);
+
+  return (
+    <div style={{ marginBottom: '32px' }}>
+      <div style={styles.accountHeader}>
+        <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Promotions</h3>
+        <Gift size={20} color="#a78bfa" />
+      </div>
+
+      <p style={{ fontSize: '14px', color: '#94a3b8', margin: '0 0 12px 0' }}>
+        Promotions have returned {FormattersService.formatCurrency(totalValue)} in {account.name}.
+        Settled real-money bets placed while an offer runs count towards its playthrough.
+      </p>
+
+      {promotions.map((promotion) => (
+        <div key={promotion.id} style={styles.betCard}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+            <div>
+              <div style={{ color: 'white', fontWeight: '500' }}>
+                {promotion.name}
+                <span style={{ color: STATUS_COLORS[promotion.status], fontSize: '13px', marginLeft: '8px', textTransform: 'capitalize' }}>
+                  {promotion.status}
+                </span>
+              </div>
+              <div style={{ fontSize: '13px', color: '#94a3b8', marginTop: '4px', textTransform: 'capitalize' }}>
+                {promotion.label}
+                {promotion.amount > 0 && ` · ${FormattersService.formatCurrency(promotion.amount)}`}
+                {promotion.boostPercent && ` · ${promotion.boostPercent}% boost`}
+                {promotion.expiresOn ? ` · expires ${FormattersService.formatDate(promotion.expiresOn)}` : ' · no expiry'}
+              </div>
+              <div style={{ fontSize: '13px', color: '#cbd5e1', marginTop: '4px' }}>
+                Value so far {FormattersService.formatCurrency(promotion.value.total)} from {promotion.linkedBets} linked bet{promotion.linkedBets === 1 ? '' : 's'}
+                {promotion.value.credited > 0 && ` and ${FormattersService.formatCurrency(promotion.value.credited)} credited`}
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              {promotion.status === 'active' && (
+                <button
+                  onClick={() => runAction(`forfeit-${promotion.id}`, () => promotionsService.updatePromotion(promotion.id, { status: 'forfeited' }))}
+                  disabled={isBusy}
+                  style={buttonStyles(isBusy)}
+                >
+                  Forfeit
+                </button>
+              )}
+              <button onClick={() => handleDelete(promotion)} disabled={isBusy} style={buttonStyles(isBusy, '#ef4444')}>
+                Delete
+              </button>
+            </div>
+          </div>
+
+          {promotion.rollover.required > 0 && (
+            <>
+              <div style={{ height: '8px', backgroundColor: '#334155', borderRadius: '4px', marginTop: '12px', overflow: 'hidden' }}>
+                <div
+                  style={{
+                    width: `${promotion.rollover.percentComplete}%`,
+                    height: '100%',
+                    backgroundColor: promotion.rollover.remaining > 0 ? (currentTheme?.primary || '#7c3aed') : '#4ade80'
+                  }}
+                />
+              </div>
+              <div style={{ fontSize: '13px', color: '#94a3b8', marginTop: '6px' }}>
+                Playthrough {FormattersService.formatCurrency(promotion.rollover.staked)} of {FormattersService.formatCurrency(promotion.rollover.required)}
+                {promotion.minOddsDecimal && ` at ${promotion.minOddsDecimal}+ odds`}
+                {promotion.rollover.remaining > 0 && ` · ${FormattersService.formatCurrency(promotion.rollover.remaining)} to go`}
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end', marginTop: '16px' }}>
+        <label style={labelStyles}>
+          Offer
+          <select value={form.offerType} onChange={(e) => handleChange('offerType', e.target.value)} style={{ ...styles.input, padding: '10px' }}>
+            {OFFER_TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyles}>
+          Name
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => handleChange('name', e.target.value)}
+            placeholder="e.g. Welcome bonus"
+            style={{ ...styles.input, width: '200px', padding: '10px' }}
+          />
+        </label>
+        <label style={labelStyles}>
+          Amount ($)
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={form.amount}
+            onChange={(e) => handleChange('amount', e.target.value)}
+            placeholder="0.00"
+            style={{ ...styles.input, width: '120px', padding: '10px' }}
+          />
+        </label>
+        {BOOST_TYPES.includes(form.offerType) && (
+          <label style={labelStyles}>
+            Boost (%)
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={form.boostPercent}
+              onChange={(e) => handleChange('boostPercent', e.target.value)}
+              placeholder="e.g. 25"
+              style={{ ...styles.input, width: '100px', padding: '10px' }}
+            />
+          </label>
+        )}
+        <label style={labelStyles}>
+          Playthrough (x amount)
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={form.rolloverMultiplier}
+            onChange={(e) => handleChange('rolloverMultiplier', e.target.value)}
+            placeholder="e.g. 5"
+            style={{ ...styles.input, width: '150px', padding: '10px' }}
+          />
+        </label>
+        <label style={labelStyles}>
+          Min odds (decimal)
+          <input
+            type="number"
+            min="1"
+            step="0.01"
+            value={form.minOdds}
+            onChange={(e) => handleChange('minOdds', e.target.value)}
+            placeholder="e.g. 1.50"
+            style={{ ...styles.input, width: '130px', padding: '10px' }}
+          />
+        </label>
+        <label style={labelStyles}>
+          Starts
+          <input
+            type="date"
+            value={form.startsOn}
+            onChange={(e) => handleChange('startsOn', e.target.value)}
+            style={{ ...styles.input, padding: '10px', colorScheme: 'dark' }}
+          />
+        </label>
+        <label style={labelStyles}>
+          Expires
+          <input
+            type="date"
+            value={form.expiresOn}
+            min={form.startsOn}
+            onChange={(e) => handleChange('expiresOn', e.target.value)}
+            style={{ ...styles.input, padding: '10px', colorScheme: 'dark' }}
+          />
+        </label>
+        <button
+          onClick={handleAdd}
+          disabled={isBusy || form.name.trim() === ''}
+          style={{
+            ...buttonStyles(isBusy || form.name.trim() === '', currentTheme?.primary || '#7c3aed'),
+            padding: '10px 16px',
+            fontSize: '14px'
+          }}
+        >
+          {busyAction === 'add' ? 'Saving...' : 'Add Promotion'}
+        </button>
+      </div>
+
+      {error && <p style={{ color: '#ef4444', fontSize: '14px' }}>{error}</p>}
+      {message && <p style={{ color: '#4ade80', fontSize: '14px' }}>{message}</p>}
+    </div>
+  );
+};
@@ -11,7 +11,7 @@ export const TransactionHistory = ({ account, accountKey, onUpdate }) => {
   const [isDeleting, setIsDeleting] = useState(null);
 
   const transactions = account.transactions ? 
-    [...account.transactions].sort((a, b) => new Date(b.date) - new Date(a.date)) : 
+    [...account.transactions].sort((a, b) => `${b.date} ${b.time || ''}`.localeCompare(`${a.date} ${a.time || ''}`)) : 
     [];
 
   const { 
@@ -22,7 +22,7 @@ export const TransactionHistory = ({ account, accountKey, onUpdate }) => {
   } = usePagination(transactions, ITEMS_PER_PAGE);
 
   const handleDeleteTransaction = async (transactionId) => {
-    if (window.confirm('Are you sure you want to delete this transaction?')) {
+    if (window.confirm('Move this transaction to the trash? You can restore it from the Trash tab.')) {
       setIsDeleting(transactionId);
       try {
         await transactionsService.deleteTransaction(transactionId);
@@ -296,6 +296,7 @@ export const TransactionHistory = ({ account, accountKey, onUpdate }) => {
                   </span>
                   <span style={dateTextStyles}>
                     {formatDate(transaction.date)}
+                    {transaction.time && ` ${transaction.time}`}
                   </span>
                 </div>
                 <p style={descriptionStyles}>
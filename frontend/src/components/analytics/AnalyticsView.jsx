@@ -2,11 +2,18 @@ import React from 'react';
 import { useAccounts } from '../../hooks/useAccounts';
 import { AdvancedMetrics } from './AdvancedMetrics';
 import { PerformanceAnalysis } from './PerformanceAnalysis';
+import { BetBreakdown } from './BetBreakdown';
+import { ClvTrend } from './ClvTrend';
+import { EquityCurve } from './EquityCurve';
+import { DigestSettings } from './DigestSettings';
+import { HedgeCalculator } from './HedgeCalculator';
+import { Positions } from './Positions';
+import { CurrencySettings } from './CurrencySettings';
 import { LoadingSpinner } from '../ui/LoadingSpinner';
 import { CalculationsService } from '../../utils/calculations';
 
 export const AnalyticsView = () => {
-  const { accounts, isLoading, error } = useAccounts();
+  const { accounts, isLoading, error, refreshAccounts } = useAccounts();
 
   if (isLoading) return <LoadingSpinner />;
   
@@ -32,8 +39,29 @@ export const AnalyticsView = () => {
       {/* Advanced Metrics Cards */}
       <AdvancedMetrics totals={totals} />
       
+      {/* Cumulative P/L and Drawdowns */}
+      <EquityCurve />
+      
       {/* Performance Analysis */}
       <PerformanceAnalysis totals={totals} />
+      
+      {/* Sport / League / Market / Tag Breakdown */}
+      <BetBreakdown />
+      
+      {/* Closing Line Value Trend */}
+      <ClvTrend />
+      
+      {/* Arbitrage and Bonus Bet Conversion */}
+      <HedgeCalculator />
+      
+      {/* Opposing Bets Grouped Across Accounts */}
+      <Positions />
+      
+      {/* Base Currency and Exchange Rates */}
+      <CurrencySettings accounts={accounts} onUpdate={refreshAccounts} />
+      
+      {/* Weekly / Monthly Digests */}
+      <DigestSettings />
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import { Filter } from 'lucide-react';
+import { styles } from '../../styles/styles';
+import { Card } from '../common/Card';
+import { useTheme } from '../../context/ThemeContext';
+import { betsService } from '../../services/bets.service';
+import { MARKET_TYPES } from '../../utils/constants';
+
+const DIMENSIONS = [
+  { value: 'sport', label: 'Sport' },
+  { value: 'league', label: 'League' },
+  { value: 'marketType', label: 'Market' },
+  { value: 'tag', label: 'Tag' }
+];
+
+export const BetBreakdown = () => {
+  const { currentTheme } = useTheme();
+  const [dimension, setDimension] = useState('sport');
+  const [filters, setFilters] = useState({ sport: '', league: '', marketType: '', tags: '' });
+  const [stats, setStats] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    betsService.getTags()
+      .then(response => setTags(response.tags || []))
+      .catch(() => setTags([]));
+  }, []);
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await betsService.getBetStats(filters);
+        setStats(response.stats);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStats();
+  }, [filters]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  const rows = (stats && stats.breakdowns && stats.breakdowns[dimension]) || [];
+  const summary = stats ? stats.summary : null;
+
+  const filterInputStyles = {
+    ...styles.input,
+    padding: '8px 10px',
+    fontSize: '14px'
+  };
+
+  const filterSelectStyles = {
+    ...styles.select,
+    padding: '8px 10px',
+    fontSize: '14px'
+  };
+
+  const cellStyles = {
+    padding: '8px 12px',
+    fontSize: '14px',
+    color: 'white',
+    borderBottom: '1px solid #334155',
+    textAlign: 'right'
+  };
+
+  const headerCellStyles = {
+    ...cellStyles,
+    ...styles.accountLabel,
+    borderBottom: '1px solid #475569'
+  };
+
+  return (
+    <Card>
+      <div style={styles.accountHeader}>
+        <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Breakdown</h3>
+        <Filter size={20} color="#a78bfa" />
+      </div>
+
+      {/* Filters */}
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+        gap: '12px',
+        marginBottom: '16px'
+      }}>
+        <input
+          type="text"
+          value={filters.sport}
+          onChange={(e) => handleFilterChange('sport', e.target.value)}
+          placeholder="Sport"
+          style={filterInputStyles}
+        />
+        <input
+          type="text"
+          value={filters.league}
+          onChange={(e) => handleFilterChange('league', e.target.value)}
+          placeholder="League"
+          style={filterInputStyles}
+        />
+        <select
+          value={filters.marketType}
+          onChange={(e) => handleFilterChange('marketType', e.target.value)}
+          style={filterSelectStyles}
+        >
+          <option value="">All markets</option>
+          {MARKET_TYPES.map((market) => (
+            <option key={market.value} value={market.value}>{market.label}</option>
+          ))}
+        </select>
+        <select
+          value={filters.tags}
+          onChange={(e) => handleFilterChange('tags', e.target.value)}
+          style={filterSelectStyles}
+        >
+          <option value="">All tags</option>
+          {tags.map(({ tag, count }) => (
+            <option key={tag} value={tag}>#{tag} ({count})</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Filtered totals */}
+      {summary && (
+        <div style={{ ...styles.accountGrid, gridTemplateColumns: 'repeat(4, 1fr)', marginBottom: '16px' }}>
+          <div>
+            <p style={styles.accountLabel}>Bets</p>
+            <p style={styles.accountValue}>{summary.totalBets}</p>
+          </div>
+          <div>
+            <p style={styles.accountLabel}>Win Rate</p>
+            <p style={styles.accountValue}>{summary.winRate.toFixed(1)}%</p>
+          </div>
+          <div>
+            <p style={styles.accountLabel}>Net Profit</p>
+            <p style={{ ...styles.accountValue, color: summary.netProfit >= 0 ? '#4ade80' : '#f87171' }}>
+              {formatCurrency(summary.netProfit)}
+            </p>
+          </div>
+          <div>
+            <p style={styles.accountLabel}>ROI</p>
+            <p style={{ ...styles.accountValue, color: summary.roi >= 0 ? '#4ade80' : '#f87171' }}>
+              {summary.roi.toFixed(2)}%
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Dimension selector */}
+      <div style={{ ...styles.tabSelector, marginBottom: '16px' }}>
+        {DIMENSIONS.map(({ value, label }) => (
+          <button
+            key={value}
+            onClick={() => setDimension(value)}
+            style={{
+              ...styles.tabButton,
+              ...(dimension === value
+                ? { backgroundColor: currentTheme?.primary || '#a855f7', color: 'white' }
+                : styles.tabButtonInactive)
+            }}
+          >
+            By {label}
+          </button>
+        ))}
+      </div>
+
+      {loading && <p style={{ color: '#94a3b8' }}>Loading breakdown...</p>}
+
+      {error && <p style={{ color: '#ef4444' }}>Error loading breakdown: {error}</p>}
+
+      {!loading && !error && rows.length === 0 && (
+        <p style={{ color: '#94a3b8' }}>No bets match these filters yet.</p>
+      )}
+
+      {!loading && !error && rows.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={{ ...headerCellStyles, textAlign: 'left' }}>
+                  {DIMENSIONS.find(d => d.value === dimension).label}
+                </th>
+                <th style={headerCellStyles}>Bets</th>
+                <th style={headerCellStyles}>W-L</th>
+                <th style={headerCellStyles}>Win Rate</th>
+                <th style={headerCellStyles}>Wagered</th>
+                <th style={headerCellStyles}>Net</th>
+                <th style={headerCellStyles}>ROI</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.value || 'unspecified'}>
+                  <td style={{ ...cellStyles, textAlign: 'left', color: row.value ? 'white' : '#94a3b8' }}>
+                    {row.value ? (dimension === 'tag' ? `#${row.value}` : row.value) : 'Unspecified'}
+                  </td>
+                  <td style={cellStyles}>{row.totalBets}</td>
+                  <td style={cellStyles}>{row.wonBets}-{row.lostBets}</td>
+                  <td style={cellStyles}>{row.winRate.toFixed(1)}%</td>
+                  <td style={cellStyles}>{formatCurrency(row.totalWagered)}</td>
+                  <td style={{ ...cellStyles, color: row.netProfit >= 0 ? '#4ade80' : '#f87171' }}>
+                    {formatCurrency(row.netProfit)}
+                  </td>
+                  <td style={{ ...cellStyles, color: row.roi >= 0 ? '#4ade80' : '#f87171' }}>
+                    {row.roi.toFixed(2)}%
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { LineChart } from 'lucide-react';
+import { styles } from '../../styles/styles';
+import { Card } from '../common/Card';
+import { betsService } from '../../services/bets.service';
+
+const formatPercent = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+const formatMonth = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(year, monthIndex - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+};
+
+export const ClvTrend = () => {
+  const [clv, setClv] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    betsService.getBetStats()
+      .then(response => setClv(response.stats.clv))
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const months = clv ? clv.byMonth : [];
+  const summary = clv ? clv.summary : null;
+  // Bars are scaled to the largest monthly CLV either side of zero
+  const scale = Math.max(1, ...months.map(month => Math.abs(month.avgClv)));
+
+  const cellStyles = {
+    padding: '8px 12px',
+    fontSize: '14px',
+    color: 'white',
+    borderBottom: '1px solid #334155',
+    textAlign: 'right'
+  };
+
+  const headerCellStyles = {
+    ...cellStyles,
+    ...styles.accountLabel,
+    borderBottom: '1px solid #475569'
+  };
+
+  const renderGroupTable = (title, rows, getLabel) => (
+    <div style={{ overflowX: 'auto', marginTop: '16px' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={{ ...headerCellStyles, textAlign: 'left' }}>{title}</th>
+            <th style={headerCellStyles}>Bets</th>
+            <th style={headerCellStyles}>Beat Close</th>
+            <th style={headerCellStyles}>Avg CLV</th>
+            <th style={headerCellStyles}>Edge</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.value || 'unspecified'}>
+              <td style={{ ...cellStyles, textAlign: 'left', color: row.value ? 'white' : '#94a3b8' }}>
+                {getLabel(row)}
+              </td>
+              <td style={cellStyles}>{row.trackedBets}</td>
+              <td style={cellStyles}>{row.beatCloseRate.toFixed(1)}%</td>
+              <td style={{ ...cellStyles, color: row.avgClv >= 0 ? '#4ade80' : '#f87171' }}>
+                {formatPercent(row.avgClv)}
+              </td>
+              <td style={{ ...cellStyles, color: row.avgProbabilityEdge >= 0 ? '#4ade80' : '#f87171' }}>
+                {formatPercent(row.avgProbabilityEdge)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <Card>
+      <div style={styles.accountHeader}>
+        <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Closing Line Value</h3>
+        <LineChart size={20} color="#a78bfa" />
+      </div>
+
+      {loading && <p style={{ color: '#94a3b8' }}>Loading closing line value...</p>}
+
+      {error && <p style={{ color: '#ef4444' }}>Error loading closing line value: {error}</p>}
+
+      {!loading && !error && (!summary || summary.trackedBets === 0) && (
+        <p style={{ color: '#94a3b8' }}>
+          Add closing odds to your bets to see how your prices compare with the closing line.
+        </p>
+      )}
+
+      {!loading && !error && summary && summary.trackedBets > 0 && (
+        <>
+          <div style={{ ...styles.accountGrid, gridTemplateColumns: 'repeat(4, 1fr)', marginBottom: '16px' }}>
+            <div>
+              <p style={styles.accountLabel}>Tracked Bets</p>
+              <p style={styles.accountValue}>{summary.trackedBets}</p>
+            </div>
+            <div>
+              <p style={styles.accountLabel}>Beat the Close</p>
+              <p style={styles.accountValue}>{summary.beatCloseRate.toFixed(1)}%</p>
+            </div>
+            <div>
+              <p style={styles.accountLabel}>Average CLV</p>
+              <p style={{ ...styles.accountValue, color: summary.avgClv >= 0 ? '#4ade80' : '#f87171' }}>
+                {formatPercent(summary.avgClv)}
+              </p>
+            </div>
+            <div>
+              <p style={styles.accountLabel}>
+                Avg Edge{summary.noVigBets < summary.trackedBets ? ' *' : ''}
+              </p>
+              <p style={{ ...styles.accountValue, color: summary.avgProbabilityEdge >= 0 ? '#4ade80' : '#f87171' }}>
+                {formatPercent(summary.avgProbabilityEdge)}
+              </p>
+            </div>
+          </div>
+
+          {/* Monthly trend - bars above the line beat the close, below it didn't */}
+          <div style={{ display: 'flex', alignItems: 'stretch', gap: '6px', height: '160px', overflowX: 'auto' }}>
+            {months.map((month) => {
+              // Each half of the chart holds one side of zero
+              const barHeight = `${(Math.abs(month.avgClv) / scale) * 100}%`;
+              const color = month.avgClv >= 0 ? '#4ade80' : '#f87171';
+
+              return (
+                <div
+                  key={month.value}
+                  title={`${formatMonth(month.value)}: ${formatPercent(month.avgClv)} over ${month.trackedBets} bet(s)`}
+                  style={{ flex: '1 0 32px', display: 'flex', flexDirection: 'column', alignItems: 'center' }}
+                >
+                  <div style={{ flex: 1, width: '100%', display: 'flex', flexDirection: 'column' }}>
+                    <div style={{ height: '50%', display: 'flex', alignItems: 'flex-end', borderBottom: '1px solid #475569' }}>
+                      {month.avgClv >= 0 && <div style={{ width: '100%', height: barHeight, backgroundColor: color, borderRadius: '4px 4px 0 0' }} />}
+                    </div>
+                    <div style={{ height: '50%' }}>
+                      {month.avgClv < 0 && <div style={{ width: '100%', height: barHeight, backgroundColor: color, borderRadius: '0 0 4px 4px' }} />}
+                    </div>
+                  </div>
+                  <span style={{ fontSize: '11px', color: '#94a3b8', marginTop: '4px', whiteSpace: 'nowrap' }}>
+                    {formatMonth(month.value)}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+
+          {renderGroupTable('Account', clv.byAccount, row => row.name || row.value)}
+          {renderGroupTable('Sport', clv.bySport, row => row.value || 'Unspecified')}
+
+          {summary.noVigBets < summary.trackedBets && (
+            <p style={{ fontSize: '12px', color: '#94a3b8', margin: '12px 0 0 0' }}>
+              * Edge includes the vig for bets without the other side's closing odds.
+            </p>
+          )}
+        </>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import { Globe } from 'lucide-react';
+import { useTheme } from '../../context/ThemeContext';
+import { currenciesService } from '../../services/currencies.service';
+import { accountsService } from '../../services/accounts.service';
+import { CURRENCIES } from '../../utils/constants';
+import { styles } from '../../styles/styles';
+import { Card } from '../common/Card';
+
+const RATES_SHOWN = 10;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+export const CurrencySettings = ({ accounts, onUpdate }) => {
+  const { currentTheme } = useTheme();
+  const [baseCurrency, setBaseCurrency] = useState('USD');
+  const [currencies, setCurrencies] = useState([]);
+  const [missingRates, setMissingRates] = useState([]);
+  const [rates, setRates] = useState([]);
+  const [fromCurrency, setFromCurrency] = useState('');
+  const [rate, setRate] = useState('');
+  const [rateDate, setRateDate] = useState(today());
+  const [importData, setImportData] = useState('');
+  const [busyAction, setBusyAction] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchCurrencies = async () => {
+    try {
+      const [currenciesResponse, ratesResponse] = await Promise.all([
+        currenciesService.getCurrencies(),
+        currenciesService.getRates()
+      ]);
+      setBaseCurrency(currenciesResponse.baseCurrency);
+      setCurrencies(currenciesResponse.currencies);
+      setMissingRates(currenciesResponse.missingRates);
+      setRates(ratesResponse.rates);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchCurrencies();
+  }, []);
+
+  // Runs one currency action at a time; totals change with any of them, so accounts are reloaded too
+  const runAction = async (key, action) => {
+    setBusyAction(key);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await action();
+      setMessage(response.message);
+      await fetchCurrencies();
+      if (onUpdate) await onUpdate();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleSaveRate = async () => {
+    const saved = await runAction('rate', () => currenciesService.saveRate({
+      fromCurrency: fromCurrency.trim().toUpperCase(),
+      toCurrency: baseCurrency,
+      rate,
+      rateDate
+    }));
+    if (saved) setRate('');
+  };
+
+  const handleImport = async () => {
+    const saved = await runAction('import', () => currenciesService.importRates(importData));
+    if (saved) setImportData('');
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => setImportData(event.target.result);
+    reader.readAsText(file);
+  };
+
+  const buttonStyles = (disabled, backgroundColor = currentTheme?.primary || '#7c3aed') => ({
+    ...styles.smallButton,
+    backgroundColor,
+    color: 'white',
+    padding: '10px 16px',
+    fontSize: '14px',
+    ...(disabled ? { opacity: 0.6, cursor: 'not-allowed' } : {})
+  });
+
+  const labelStyles = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '12px',
+    color: '#94a3b8'
+  };
+
+  const isBusy = busyAction !== null;
+  const canSaveRate = !isBusy && /^[a-zA-Z]{3}$/.test(fromCurrency.trim()) && rate !== '' && rateDate !== '';
+
+  return (
+    <Card>
+      <div style={styles.accountHeader}>
+        <div>
+          <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Currencies</h3>
+          <p style={{ color: '#94a3b8', fontSize: '14px', margin: '4px 0 0 0' }}>
+            Totals are shown in {baseCurrency}, converting each amount at the rate for its date
+          </p>
+        </div>
+        <Globe size={20} color="#a78bfa" />
+      </div>
+
+      <datalist id="currency-codes">
+        {CURRENCIES.map(currency => (
+          <option key={currency.code} value={currency.code}>{currency.name}</option>
+        ))}
+      </datalist>
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: '16px' }}>
+        <label style={labelStyles}>
+          Base currency
+          <select
+            value={baseCurrency}
+            onChange={(e) => runAction('base', () => currenciesService.setBaseCurrency(e.target.value))}
+            disabled={isBusy}
+            style={{ ...styles.input, padding: '10px' }}
+          >
+            {[...new Set([baseCurrency, ...CURRENCIES.map(currency => currency.code)])].map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {Object.entries(accounts || {}).map(([accountKey, account]) => (
+        <div key={accountKey} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginTop: '8px' }}>
+          <span style={{ fontSize: '14px', color: '#cbd5e1' }}>{account.name}</span>
+          <select
+            value={account.currency || 'USD'}
+            onChange={(e) => {
+              if (window.confirm(`Record ${account.name} in ${e.target.value}? Amounts already entered are kept as they are, not converted.`)) {
+                runAction(`account-${accountKey}`, () => accountsService.updateAccount(accountKey, { currency: e.target.value }));
+              }
+            }}
+            disabled={isBusy}
+            style={{ ...styles.input, padding: '8px', fontSize: '13px' }}
+          >
+            {[...new Set([account.currency || 'USD', ...CURRENCIES.map(currency => currency.code)])].map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+
+      {currencies.filter(currency => currency.currency !== baseCurrency).map(currency => (
+        <p key={currency.currency} style={{ fontSize: '13px', color: currency.latestRateDate ? '#94a3b8' : '#facc15', margin: '8px 0 0 0' }}>
+          {currency.latestRateDate
+            ? `1 ${currency.currency} = ${Number(currency.latestRate.toFixed(6))} ${baseCurrency} (latest rate, ${currency.latestRateDate})`
+            : `No ${currency.currency} rate yet - ${currency.accounts.join(', ')} left out of the totals`}
+        </p>
+      ))}
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end', marginTop: '16px' }}>
+        <label style={labelStyles}>
+          1 unit of
+          <input
+            type="text"
+            list="currency-codes"
+            value={fromCurrency}
+            onChange={(e) => setFromCurrency(e.target.value)}
+            placeholder={missingRates[0] || 'GBP'}
+            maxLength={3}
+            style={{ ...styles.input, width: '90px', padding: '10px', textTransform: 'uppercase' }}
+          />
+        </label>
+        <label style={labelStyles}>
+          {`Worth (${baseCurrency})`}
+          <input
+            type="number"
+            min="0"
+            step="0.0001"
+            value={rate}
+            onChange={(e) => setRate(e.target.value)}
+            placeholder="1.27"
+            style={{ ...styles.input, width: '120px', padding: '10px' }}
+          />
+        </label>
+        <label style={labelStyles}>
+          On
+          <input
+            type="date"
+            value={rateDate}
+            onChange={(e) => setRateDate(e.target.value)}
+            style={{ ...styles.input, padding: '10px' }}
+          />
+        </label>
+        <button onClick={handleSaveRate} disabled={!canSaveRate} style={buttonStyles(!canSaveRate)}>
+          {busyAction === 'rate' ? 'Saving...' : 'Save Rate'}
+        </button>
+      </div>
+
+      <div style={{ marginTop: '16px' }}>
+        <p style={{ fontSize: '13px', color: '#94a3b8', margin: '0 0 8px 0' }}>
+          Import rate history as CSV: date, from, to, rate - or date, currency, rate for rates into {baseCurrency}
+        </p>
+        <input type="file" accept=".csv,text/csv" onChange={handleFile} style={{ color: '#94a3b8', fontSize: '13px' }} />
+        <textarea
+          value={importData}
+          onChange={(e) => setImportData(e.target.value)}
+          placeholder={`date,from,to,rate\n${today()},GBP,${baseCurrency},1.27`}
+          rows={4}
+          style={{ ...styles.input, width: '100%', padding: '10px', marginTop: '8px', fontFamily: 'monospace', fontSize: '13px' }}
+        />
+        <button
+          onClick={handleImport}
+          disabled={isBusy || importData.trim() === ''}
+          style={{ ...buttonStyles(isBusy || importData.trim() === ''), marginTop: '8px' }}
+        >
+          {busyAction === 'import' ? 'Importing...' : 'Import Rates'}
+        </button>
+      </div>
+
+      {rates.slice(0, RATES_SHOWN).map(savedRate => (
+        <div key={savedRate.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginTop: '8px' }}>
+          <span style={{ fontSize: '13px', color: '#cbd5e1' }}>
+            {savedRate.rateDate} &middot; 1 {savedRate.fromCurrency} = {savedRate.rate} {savedRate.toCurrency}
+            <span style={{ color: '#94a3b8' }}>{savedRate.source === 'import' ? ' · imported' : ''}</span>
+          </span>
+          <button
+            onClick={() => runAction(`delete-${savedRate.id}`, () => currenciesService.deleteRate(savedRate.id))}
+            disabled={isBusy}
+            style={{ ...styles.smallButton, backgroundColor: '#475569', color: 'white', ...(isBusy ? { opacity: 0.6, cursor: 'not-allowed' } : {}) }}
+          >
+            Delete
+          </button>
+        </div>
+      ))}
+      {rates.length > RATES_SHOWN && (
+        <p style={{ fontSize: '13px', color: '#94a3b8' }}>{`and ${rates.length - RATES_SHOWN} older rates`}</p>
+      )}
+
+      {error && <p style={{ color: '#ef4444', fontSize: '14px' }}>{error}</p>}
+      {message && <p style={{ color: '#4ade80', fontSize: '14px' }}>{message}</p>}
+    </Card>
+  );
+};
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { Mail } from 'lucide-react';
+import { useTheme } from '../../context/ThemeContext';
+import { digestsService } from '../../services/digests.service';
+import { FormattersService } from '../../utils/formatters';
+import { styles } from '../../styles/styles';
+import { Card } from '../common/Card';
+
+const FREQUENCY_LABELS = {
+  week: 'Weekly',
+  month: 'Monthly'
+};
+
+export const DigestSettings = () => {
+  const { currentTheme } = useTheme();
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [channel, setChannel] = useState('email');
+  const [frequency, setFrequency] = useState('week');
+  const [destination, setDestination] = useState('');
+  const [staleAfterDays, setStaleAfterDays] = useState('7');
+  const [preview, setPreview] = useState(null);
+  const [busyAction, setBusyAction] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchSubscriptions = async () => {
+    try {
+      const response = await digestsService.getSubscriptions();
+      setSubscriptions(response.subscriptions);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, []);
+
+  // Runs one digest action at a time and reloads the subscriptions afterwards
+  const runAction = async (key, action) => {
+    setBusyAction(key);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await action();
+      setMessage(response.message);
+      await fetchSubscriptions();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleSubscribe = async () => {
+    const saved = await runAction('subscribe', () => digestsService.subscribe({
+      channel,
+      frequency,
+      destination: destination.trim() || null,
+      staleAfterDays: parseInt(staleAfterDays) || 0
+    }));
+    if (saved) setDestination('');
+  };
+
+  const handlePreview = async (subscription) => {
+    setBusyAction(`preview-${subscription.id}`);
+    setError(null);
+
+    try {
+      const response = await digestsService.previewDigest(subscription.id);
+      setPreview({ id: subscription.id, text: response.text });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const buttonStyles = (disabled, backgroundColor = '#475569') => ({
+    ...styles.smallButton,
+    backgroundColor,
+    color: 'white',
+    ...(disabled ? { opacity: 0.6, cursor: 'not-allowed' } : {})
+  });
+
+  const labelStyles = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '12px',
+    color: '#94a3b8'
+  };
+
+  const isBusy = busyAction !== null;
+
+  return (
+    <Card>
+      <div style={styles.accountHeader}>
+        <div>
+          <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Performance Digests</h3>
+          <p style={{ color: '#94a3b8', fontSize: '14px', margin: '4px 0 0 0' }}>
+            A summary of profit/loss, settled bets, long-pending bets and your limits after each week or month
+          </p>
+        </div>
+        <Mail size={20} color="#a78bfa" />
+      </div>
+
+      {subscriptions.length === 0 ? (
+        <p style={{ color: '#94a3b8', fontSize: '14px' }}>No digests set up.</p>
+      ) : (
+        subscriptions.map((subscription) => (
+          <div key={subscription.id} style={styles.betCard}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+              <div>
+                <div style={{ color: 'white', fontWeight: '500' }}>
+                  {FREQUENCY_LABELS[subscription.frequency]} {subscription.channel === 'email' ? 'email' : 'webhook'} to {subscription.destination}
+                  {!subscription.enabled && <span style={{ color: '#94a3b8' }}> (paused)</span>}
+                </div>
+                <div style={{ fontSize: '13px', color: '#94a3b8', marginTop: '4px' }}>
+                  Lists bets pending {subscription.staleAfterDays}+ days &middot; {subscription.lastSentAt
+                    ? `last sent ${FormattersService.formatDateTime(subscription.lastSentAt)}`
+                    : 'not sent yet'}
+                </div>
+                {subscription.lastError && (
+                  <div style={{ fontSize: '13px', color: '#ef4444', marginTop: '4px' }}>
+                    Last delivery failed: {subscription.lastError}
+                  </div>
+                )}
+              </div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button onClick={() => handlePreview(subscription)} disabled={isBusy} style={buttonStyles(isBusy)}>
+                  Preview
+                </button>
+                <button
+                  onClick={() => runAction(`send-${subscription.id}`, () => digestsService.sendNow(subscription.id))}
+                  disabled={isBusy}
+                  style={buttonStyles(isBusy, currentTheme?.primary || '#7c3aed')}
+                >
+                  {busyAction === `send-${subscription.id}` ? 'Sending...' : 'Send Now'}
+                </button>
+                <button
+                  onClick={() => runAction(`toggle-${subscription.id}`, () => digestsService.updateSubscription(subscription.id, { enabled: !subscription.enabled }))}
+                  disabled={isBusy}
+                  style={buttonStyles(isBusy)}
+                >
+                  {subscription.enabled ? 'Pause' : 'Resume'}
+                </button>
+                <button
+                  onClick={() => runAction(`delete-${subscription.id}`, () => digestsService.unsubscribe(subscription.id))}
+                  disabled={isBusy}
+                  style={buttonStyles(isBusy, '#ef4444')}
+                >
+                  Unsubscribe
+                </button>
+              </div>
+            </div>
+
+            {preview && preview.id === subscription.id && (
+              <pre style={{
+                marginTop: '12px',
+                padding: '12px',
+                backgroundColor: 'rgba(15, 23, 42, 0.6)',
+                borderRadius: '6px',
+                color: '#cbd5e1',
+                fontSize: '13px',
+                whiteSpace: 'pre-wrap'
+              }}>
+                {preview.text}
+              </pre>
+            )}
+          </div>
+        ))
+      )}
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end', marginTop: '16px' }}>
+        <label style={labelStyles}>
+          Send by
+          <select value={channel} onChange={(e) => setChannel(e.target.value)} style={{ ...styles.input, padding: '10px' }}>
+            <option value="email">Email</option>
+            <option value="webhook">Webhook</option>
+          </select>
+        </label>
+        <label style={labelStyles}>
+          Every
+          <select value={frequency} onChange={(e) => setFrequency(e.target.value)} style={{ ...styles.input, padding: '10px' }}>
+            <option value="week">Week</option>
+            <option value="month">Month</option>
+          </select>
+        </label>
+        <label style={labelStyles}>
+          {channel === 'email' ? 'Email (blank for your account email)' : 'Webhook URL'}
+          <input
+            type={channel === 'email' ? 'email' : 'url'}
+            value={destination}
+            onChange={(e) => setDestination(e.target.value)}
+            placeholder={channel === 'email' ? 'you@example.com' : 'https://example.com/hook'}
+            style={{ ...styles.input, width: '260px', padding: '10px' }}
+          />
+        </label>
+        <label style={labelStyles}>
+          List bets pending (days)
+          <input
+            type="number"
+            min="0"
+            max="365"
+            step="1"
+            value={staleAfterDays}
+            onChange={(e) => setStaleAfterDays(e.target.value)}
+            style={{ ...styles.input, width: '120px', padding: '10px' }}
+          />
+        </label>
+        <button
+          onClick={handleSubscribe}
+          disabled={isBusy || (channel === 'webhook' && destination.trim() === '')}
+          style={{
+            ...buttonStyles(isBusy || (channel === 'webhook' && destination.trim() === ''), currentTheme?.primary || '#7c3aed'),
+            padding: '10px 16px',
+            fontSize: '14px'
+          }}
+        >
+          {busyAction === 'subscribe' ? 'Saving...' : 'Subscribe'}
+        </button>
+      </div>
+
+      {error && <p style={{ color: '#ef4444', fontSize: '14px' }}>{error}</p>}
+      {message && <p style={{ color: '#4ade80', fontSize: '14px' }}>{message}</p>}
+    </Card>
+  );
+};
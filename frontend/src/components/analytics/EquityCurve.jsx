@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import { TrendingDown } from 'lucide-react';
+import { styles } from '../../styles/styles';
+import { Card } from '../common/Card';
+import { useTheme } from '../../context/ThemeContext';
+import { betsService } from '../../services/bets.service';
+import { FormattersService } from '../../utils/formatters';
+
+const INTERVALS = [
+  { value: 'day', label: 'By Day' },
+  { value: 'bet', label: 'By Bet' }
+];
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = 8;
+
+// Dates come back as YYYY-MM-DD; read them as local days so they don't shift a day
+const formatDay = (date) => FormattersService.formatDate(`${date}T00:00:00`);
+
+export const EquityCurve = () => {
+  const { currentTheme } = useTheme();
+  const [granularity, setGranularity] = useState('day');
+  const [startingBankroll, setStartingBankroll] = useState('');
+  const [curve, setCurve] = useState(null);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchCurve = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await betsService.getEquityCurve({ interval: granularity, startingBankroll });
+        setCurve(response);
+        setHoverIndex(null);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchCurve();
+  }, [granularity, startingBankroll]);
+
+  const points = curve ? curve.points : [];
+  const summary = curve ? curve.summary : null;
+  const lineColor = currentTheme?.primary || '#a855f7';
+
+  // Scale bankroll values into the chart, keeping the starting bankroll in view
+  const values = points.map(point => point.bankroll);
+  const base = curve ? curve.startingBankroll : 0;
+  const minValue = Math.min(base, ...values);
+  const maxValue = Math.max(base, ...values);
+  const range = maxValue - minValue || 1;
+
+  const toX = (index) => points.length > 1
+    ? CHART_PADDING + (index / (points.length - 1)) * (CHART_WIDTH - CHART_PADDING * 2)
+    : CHART_WIDTH / 2;
+  const toY = (value) => CHART_PADDING + (1 - (value - minValue) / range) * (CHART_HEIGHT - CHART_PADDING * 2);
+
+  const linePath = points.map((point, index) => `${toX(index)},${toY(point.bankroll)}`).join(' ');
+
+  // Shade the worst drawdown from its peak until it recovered (or today)
+  const maxDrawdown = summary ? summary.maxDrawdown : null;
+  const drawdownStart = maxDrawdown ? points.findIndex(point => point.date === maxDrawdown.peakDate) : -1;
+  const drawdownEnd = maxDrawdown && maxDrawdown.recoveryDate
+    ? points.findIndex(point => point.date === maxDrawdown.recoveryDate)
+    : points.length - 1;
+
+  const handleMouseMove = (e) => {
+    if (points.length === 0) return;
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    setHoverIndex(Math.round(ratio * (points.length - 1)));
+  };
+
+  const hovered = hoverIndex !== null ? points[hoverIndex] : points[points.length - 1];
+
+  const formatDrawdown = (amount, percent) =>
+    `${FormattersService.formatCurrency(amount)}${percent !== null ? ` (${percent.toFixed(1)}%)` : ''}`;
+
+  const worstDrawdowns = curve
+    ? [...curve.drawdowns].sort((a, b) => b.depth - a.depth).slice(0, 5)
+    : [];
+
+  return (
+    <Card>
+      <div style={styles.accountHeader}>
+        <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Equity Curve</h3>
+        <TrendingDown size={20} color="#a78bfa" />
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', alignItems: 'center', marginBottom: '16px' }}>
+        <div style={{ ...styles.tabSelector, margin: 0 }}>
+          {INTERVALS.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => setGranularity(value)}
+              style={{
+                ...styles.tabButton,
+                ...(granularity === value
+                  ? { backgroundColor: lineColor, color: 'white' }
+                  : styles.tabButtonInactive)
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={startingBankroll}
+          onChange={(e) => setStartingBankroll(e.target.value)}
+          placeholder="Starting bankroll (optional)"
+          style={{ ...styles.input, padding: '8px 10px', fontSize: '14px', maxWidth: '220px' }}
+        />
+      </div>
+
+      {loading && <p style={{ color: '#94a3b8' }}>Loading equity curve...</p>}
+
+      {error && <p style={{ color: '#ef4444' }}>Error loading equity curve: {error}</p>}
+
+      {!loading && !error && points.length === 0 && (
+        <p style={{ color: '#94a3b8' }}>Settle some bets to see your equity curve.</p>
+      )}
+
+      {!loading && !error && points.length > 0 && (
+        <>
+          <div style={{ ...styles.accountGrid, gridTemplateColumns: 'repeat(4, 1fr)', marginBottom: '16px' }}>
+            <div>
+              <p style={styles.accountLabel}>Total P/L</p>
+              <p style={{ ...styles.accountValue, color: summary.totalProfit >= 0 ? '#4ade80' : '#f87171' }}>
+                {FormattersService.formatCurrency(summary.totalProfit)}
+              </p>
+            </div>
+            <div>
+              <p style={styles.accountLabel}>Max Drawdown</p>
+              <p style={{ ...styles.accountValue, color: maxDrawdown ? '#f87171' : 'white' }}>
+                {maxDrawdown ? formatDrawdown(maxDrawdown.depth, maxDrawdown.depthPercent) : '—'}
+              </p>
+            </div>
+            <div>
+              <p style={styles.accountLabel}>Longest Drawdown</p>
+              <p style={styles.accountValue}>{summary.longestDrawdownDays} days</p>
+            </div>
+            <div>
+              <p style={styles.accountLabel}>Current Drawdown</p>
+              <p style={{ ...styles.accountValue, color: summary.inDrawdown ? '#f87171' : '#4ade80' }}>
+                {summary.inDrawdown ? FormattersService.formatCurrency(summary.currentDrawdown) : 'At peak'}
+              </p>
+            </div>
+          </div>
+
+          <svg
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            preserveAspectRatio="none"
+            style={{ width: '100%', height: `${CHART_HEIGHT}px`, cursor: 'crosshair' }}
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHoverIndex(null)}
+          >
+            {drawdownStart !== -1 && drawdownEnd !== -1 && (
+              <rect
+                x={toX(drawdownStart)}
+                y={0}
+                width={Math.max(1, toX(drawdownEnd) - toX(drawdownStart))}
+                height={CHART_HEIGHT}
+                fill="rgba(248, 113, 113, 0.12)"
+              />
+            )}
+            <line
+              x1={0}
+              x2={CHART_WIDTH}
+              y1={toY(base)}
+              y2={toY(base)}
+              stroke="#475569"
+              strokeDasharray="4 4"
+            />
+            <polyline points={linePath} fill="none" stroke={lineColor} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            {hoverIndex !== null && (
+              <line
+                x1={toX(hoverIndex)}
+                x2={toX(hoverIndex)}
+                y1={0}
+                y2={CHART_HEIGHT}
+                stroke="#94a3b8"
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+          </svg>
+
+          {hovered && (
+            <p style={{ fontSize: '13px', color: '#cbd5e1', margin: '8px 0 0 0' }}>
+              {formatDay(hovered.date)}
+              {hovered.description ? ` · ${hovered.description}` : ''}
+              {hovered.bets ? ` · ${hovered.bets} bet(s)` : ''}
+              {' · '}
+              <span style={{ color: hovered.profit >= 0 ? '#4ade80' : '#f87171' }}>
+                {hovered.profit >= 0 ? '+' : ''}{FormattersService.formatCurrency(hovered.profit)}
+              </span>
+              {' · '}Bankroll {FormattersService.formatCurrency(hovered.bankroll)}
+              {hovered.drawdown > 0 && ` · ${formatDrawdown(hovered.drawdown, hovered.drawdownPercent)} below peak`}
+            </p>
+          )}
+
+          {worstDrawdowns.length > 0 && (
+            <div style={{ marginTop: '16px' }}>
+              <p style={styles.accountLabel}>Worst Drawdowns</p>
+              {worstDrawdowns.map((event, index) => (
+                <div
+                  key={index}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    gap: '12px',
+                    padding: '8px 0',
+                    borderBottom: '1px solid #334155',
+                    fontSize: '13px',
+                    color: '#cbd5e1'
+                  }}
+                >
+                  <span>
+                    {formatDay(event.peakDate)} → {formatDay(event.troughDate)}
+                  </span>
+                  <span style={{ color: '#f87171' }}>{formatDrawdown(event.depth, event.depthPercent)}</span>
+                  <span>
+                    {event.durationDays} days
+                    {event.recovered ? `, recovered in ${event.recoveryDays}` : ', not yet recovered'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </Card>
+  );
+};
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { Calculator } from 'lucide-react';
+import { useTheme } from '../../context/ThemeContext';
+import { positionsService } from '../../services/positions.service';
+import { FormattersService } from '../../utils/formatters';
+import { styles } from '../../styles/styles';
+import { Card } from '../common/Card';
+
+const MAX_LEGS = 10;
+
+const emptyLeg = () => ({ odds: '', oddsFormat: 'american' });
+
+export const HedgeCalculator = () => {
+  const { currentTheme } = useTheme();
+  const [mode, setMode] = useState('arbitrage');
+  const [legs, setLegs] = useState([emptyLeg(), emptyLeg()]);
+  const [stake, setStake] = useState('100');
+  const [stakeOn, setStakeOn] = useState('total');
+  const [result, setResult] = useState(null);
+  const [isCalculating, setIsCalculating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleLegChange = (index, field, value) => {
+    setLegs(prev => prev.map((leg, i) => (i === index ? { ...leg, [field]: value } : leg)));
+    setResult(null);
+  };
+
+  const handleCalculate = async () => {
+    setIsCalculating(true);
+    setError(null);
+
+    // A bonus bet is always the first leg; otherwise the stake is the total or the first leg's
+    const stakeField = mode === 'bonus' ? 'bonusStake' : (stakeOn === 'first' ? 'firstLegStake' : 'totalStake');
+
+    try {
+      const response = await positionsService.calculate({
+        legs: legs.map(leg => ({ odds: leg.odds.trim(), oddsFormat: leg.oddsFormat })),
+        [stakeField]: stake
+      });
+      setResult(response);
+    } catch (err) {
+      setError(err.message);
+      setResult(null);
+    } finally {
+      setIsCalculating(false);
+    }
+  };
+
+  const labelStyles = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '12px',
+    color: '#94a3b8'
+  };
+
+  const canCalculate = !isCalculating && stake !== '' && legs.every(leg => leg.odds.trim() !== '');
+  const profitColor = result && result.guaranteedProfit >= 0 ? '#4ade80' : '#ef4444';
+
+  return (
+    <Card>
+      <div style={styles.accountHeader}>
+        <div>
+          <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Hedge Calculator</h3>
+          <p style={{ color: '#94a3b8', fontSize: '14px', margin: '4px 0 0 0' }}>
+            Stakes that return the same whichever outcome wins, for an arbitrage or for converting a bonus bet
+          </p>
+        </div>
+        <Calculator size={20} color="#a78bfa" />
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: '12px' }}>
+        <label style={labelStyles}>
+          Calculate
+          <select
+            value={mode}
+            onChange={(e) => { setMode(e.target.value); setResult(null); }}
+            style={{ ...styles.input, padding: '10px' }}
+          >
+            <option value="arbitrage">Arbitrage</option>
+            <option value="bonus">Bonus bet conversion</option>
+          </select>
+        </label>
+        <label style={labelStyles}>
+          {mode === 'bonus' ? 'Bonus bet ($)' : 'Stake ($)'}
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={stake}
+            onChange={(e) => { setStake(e.target.value); setResult(null); }}
+            style={{ ...styles.input, width: '120px', padding: '10px' }}
+          />
+        </label>
+        {mode === 'arbitrage' && (
+          <label style={labelStyles}>
+            Stake is
+            <select
+              value={stakeOn}
+              onChange={(e) => { setStakeOn(e.target.value); setResult(null); }}
+              style={{ ...styles.input, padding: '10px' }}
+            >
+              <option value="total">Spread across all legs</option>
+              <option value="first">On the first leg</option>
+            </select>
+          </label>
+        )}
+      </div>
+
+      {legs.map((leg, index) => (
+        <div key={index} style={{ display: 'flex', gap: '12px', alignItems: 'center', marginBottom: '8px', flexWrap: 'wrap' }}>
+          <span style={{ color: '#94a3b8', fontSize: '14px', width: '110px' }}>
+            {mode === 'bonus' && index === 0 ? 'Bonus bet' : `Outcome ${index + 1}`}
+          </span>
+          <input
+            type="text"
+            value={leg.odds}
+            onChange={(e) => handleLegChange(index, 'odds', e.target.value)}
+            placeholder={leg.oddsFormat === 'american' ? '+150' : leg.oddsFormat === 'decimal' ? '2.50' : '3/2'}
+            style={{ ...styles.input, width: '100px', padding: '10px' }}
+          />
+          <select
+            value={leg.oddsFormat}
+            onChange={(e) => handleLegChange(index, 'oddsFormat', e.target.value)}
+            style={{ ...styles.input, padding: '10px' }}
+          >
+            <option value="american">American</option>
+            <option value="decimal">Decimal</option>
+            <option value="fractional">Fractional</option>
+          </select>
+          {result && result.legs[index] && (
+            <span style={{ color: 'white', fontSize: '14px' }}>
+              Stake {FormattersService.formatCurrency(result.legs[index].stake)}
+              <span style={{ color: '#94a3b8' }}> &middot; returns {FormattersService.formatCurrency(result.legs[index].profitIfWins)} if it wins</span>
+            </span>
+          )}
+          {legs.length > 2 && (
+            <button
+              onClick={() => { setLegs(prev => prev.filter((_, i) => i !== index)); setResult(null); }}
+              style={{ ...styles.smallButton, backgroundColor: '#475569', color: 'white' }}
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+        {legs.length < MAX_LEGS && (
+          <button
+            onClick={() => { setLegs(prev => [...prev, emptyLeg()]); setResult(null); }}
+            style={{ ...styles.smallButton, backgroundColor: '#475569', color: 'white', padding: '10px 16px', fontSize: '14px' }}
+          >
+            Add Outcome
+          </button>
+        )}
+        <button
+          onClick={handleCalculate}
+          disabled={!canCalculate}
+          style={{
+            ...styles.smallButton,
+            backgroundColor: currentTheme?.primary || '#7c3aed',
+            color: 'white',
+            padding: '10px 16px',
+            fontSize: '14px',
+            ...(!canCalculate ? { opacity: 0.6, cursor: 'not-allowed' } : {})
+          }}
+        >
+          {isCalculating ? 'Calculating...' : 'Calculate'}
+        </button>
+      </div>
+
+      {result && (
+        <div style={{ ...styles.betCard, marginTop: '16px' }}>
+          <div style={{ color: profitColor, fontWeight: '500' }}>
+            {result.guaranteedProfit >= 0 ? 'Guaranteed profit' : 'Guaranteed loss'} {FormattersService.formatCurrency(Math.abs(result.guaranteedProfit))}
+            {result.mode === 'bonus-conversion'
+              ? ` · ${result.conversionRate}% of the bonus bet converted`
+              : ` · ${result.returnPercent}% return on ${FormattersService.formatCurrency(result.cashStaked)}`}
+          </div>
+          <div style={{ fontSize: '13px', color: '#94a3b8', marginTop: '4px' }}>
+            The prices add up to {result.bookPercent}%
+            {result.mode === 'arbitrage' && (result.isArbitrage ? ', so they are an arbitrage' : ', so there is no arbitrage')}
+            {result.mode === 'bonus-conversion' && ` · ${FormattersService.formatCurrency(result.cashStaked)} of cash needed to hedge`}
+          </div>
+        </div>
+      )}
+
+      {error && <p style={{ color: '#ef4444', fontSize: '14px' }}>{error}</p>}
+    </Card>
+  );
+};
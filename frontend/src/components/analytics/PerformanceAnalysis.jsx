@@ -1,9 +1,22 @@
-import React from 'react';
-import { Activity, DollarSign } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Activity, DollarSign, Sigma } from 'lucide-react';
 import { styles } from '../../styles/styles';
 import { Card } from '../common/Card';
+import { betsService } from '../../services/bets.service';
+import { FormattersService } from '../../utils/formatters';
 
 export const PerformanceAnalysis = ({ totals }) => {
+  const [significance, setSignificance] = useState(null);
+
+  useEffect(() => {
+    betsService.getBetStats()
+      .then(response => setSignificance(response.stats.significance || null))
+      .catch(() => setSignificance(null));
+  }, []);
+
+  // Ratings mean little until results stand out from luck
+  const tooEarly = significance && !significance.meaningful;
+
   return (
     <Card>
       <h3 style={styles.sectionTitle}>Performance Analysis</h3>
@@ -51,10 +64,12 @@ export const PerformanceAnalysis = ({ totals }) => {
               <p style={styles.accountLabel}>Risk Assessment</p>
               <p style={{ 
                 ...styles.accountValue, 
-                color: totals.roi > 5 && totals.winRate > 52 ? '#4ade80' : 
+                color: tooEarly ? '#94a3b8' :
+                       totals.roi > 5 && totals.winRate > 52 ? '#4ade80' : 
                        totals.roi > 0 ? '#facc15' : '#f87171' 
               }}>
-                {totals.roi > 5 && totals.winRate > 52 ? 'Excellent' : 
+                {tooEarly ? 'Too Early to Tell' :
+                 totals.roi > 5 && totals.winRate > 52 ? 'Excellent' : 
                  totals.roi > 0 ? 'Good' : 'Needs Improvement'}
               </p>
             </div>
@@ -103,6 +118,44 @@ export const PerformanceAnalysis = ({ totals }) => {
             </div>
           </div>
         </div>
+
+        {significance && (
+          <div style={styles.accountCard}>
+            <div style={styles.accountHeader}>
+              <h4 style={styles.accountName}>Statistical Significance</h4>
+              <Sigma size={20} color="#facc15" />
+            </div>
+            <div style={styles.accountGrid}>
+              <div>
+                <p style={styles.accountLabel}>Wins vs Break-even</p>
+                <p style={styles.accountValue}>
+                  {significance.actualWins} / {significance.expectedWins.toFixed(1)}
+                </p>
+              </div>
+              <div>
+                <p style={styles.accountLabel}>p-value</p>
+                <p style={{ ...styles.accountValue, color: significance.meaningful ? '#4ade80' : '#94a3b8' }}>
+                  {significance.pValue !== null ? significance.pValue.toFixed(3) : 'N/A'}
+                </p>
+              </div>
+              <div>
+                <p style={styles.accountLabel}>P/L Std Dev per Bet</p>
+                <p style={styles.accountValue}>{FormattersService.formatCurrency(significance.profitStdDev, { currency: totals.currency })}</p>
+              </div>
+              <div>
+                <p style={styles.accountLabel}>ROI (95% CI)</p>
+                <p style={styles.accountValue}>
+                  {significance.roiInterval
+                    ? `${significance.roiInterval.lower.toFixed(1)}% to ${significance.roiInterval.upper.toFixed(1)}%`
+                    : 'N/A'}
+                </p>
+              </div>
+            </div>
+            <p style={{ fontSize: '13px', color: significance.meaningful ? '#4ade80' : '#94a3b8', margin: '12px 0 0 0' }}>
+              {significance.message}
+            </p>
+          </div>
+        )}
       </div>
     </Card>
   );
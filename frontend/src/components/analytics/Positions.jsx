@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { Layers } from 'lucide-react';
+import { useTheme } from '../../context/ThemeContext';
+import { positionsService } from '../../services/positions.service';
+import { betsService } from '../../services/bets.service';
+import { FormattersService } from '../../utils/formatters';
+import { styles } from '../../styles/styles';
+import { Card } from '../common/Card';
+
+const STRATEGY_OPTIONS = [
+  { value: 'arbitrage', label: 'Arbitrage' },
+  { value: 'bonus-conversion', label: 'Bonus bet conversion' },
+  { value: 'hedge', label: 'Hedge' }
+];
+
+const formatProfit = (value) => `${value >= 0 ? '+' : '-'}${FormattersService.formatCurrency(Math.abs(value))}`;
+
+const describeBet = (bet) => (
+  `${bet.accountName}: ${bet.description || 'Bet'}${bet.odds ? ` @ ${bet.odds}` : ''} · ` +
+  `${FormattersService.formatCurrency(bet.isBonusBet ? bet.displayAmount : bet.amount)}${bet.isBonusBet ? ' bonus' : ''}`
+);
+
+export const Positions = () => {
+  const { currentTheme } = useTheme();
+  const [positions, setPositions] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pendingBets, setPendingBets] = useState([]);
+  const [name, setName] = useState('');
+  const [strategy, setStrategy] = useState('arbitrage');
+  const [selectedBets, setSelectedBets] = useState([]);
+  const [busyAction, setBusyAction] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchPositions = async () => {
+    try {
+      const [positionsResponse, betsResponse] = await Promise.all([
+        positionsService.getPositions(),
+        betsService.getPendingBets()
+      ]);
+      setPositions(positionsResponse.positions);
+      setSummary(positionsResponse.summary);
+      setPendingBets(betsResponse.bets.filter(bet => !bet.positionId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchPositions();
+  }, []);
+
+  // Runs one position action at a time and reloads the positions afterwards
+  const runAction = async (key, action) => {
+    setBusyAction(key);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await action();
+      setMessage(response.message);
+      await fetchPositions();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const toggleBet = (betId) => {
+    setSelectedBets(prev => (prev.includes(betId) ? prev.filter(id => id !== betId) : [...prev, betId]));
+  };
+
+  const handleCreate = async () => {
+    const saved = await runAction('create', () => positionsService.createPosition({
+      name: name.trim(),
+      strategy,
+      betIds: selectedBets
+    }));
+    if (saved) {
+      setName('');
+      setSelectedBets([]);
+    }
+  };
+
+  const handleDelete = (position) => {
+    if (window.confirm(`Delete ${position.name}? Its bets are kept.`)) {
+      runAction(`delete-${position.id}`, () => positionsService.deletePosition(position.id));
+    }
+  };
+
+  const buttonStyles = (disabled, backgroundColor = '#475569') => ({
+    ...styles.smallButton,
+    backgroundColor,
+    color: 'white',
+    ...(disabled ? { opacity: 0.6, cursor: 'not-allowed' } : {})
+  });
+
+  const labelStyles = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '12px',
+    color: '#94a3b8'
+  };
+
+  const isBusy = busyAction !== null;
+  const canCreate = !isBusy && name.trim() !== '';
+
+  return (
+    <Card>
+      <div style={styles.accountHeader}>
+        <div>
+          <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Positions</h3>
+          <p style={{ color: '#94a3b8', fontSize: '14px', margin: '4px 0 0 0' }}>
+            {summary && summary.settled > 0
+              ? `${formatProfit(summary.realisedProfit)} realised across ${summary.settled} settled position${summary.settled === 1 ? '' : 's'}`
+              : 'Group opposing bets across sportsbooks to see what they lock in'}
+          </p>
+        </div>
+        <Layers size={20} color="#a78bfa" />
+      </div>
+
+      {positions.map((position) => {
+        const profit = position.settled ? position.realisedProfit : position.lockedProfit;
+        const rate = position.conversionRate !== null ? `${position.conversionRate}% converted` :
+          position.returnPercent !== null ? `${position.returnPercent}% return` : null;
+
+        return (
+          <div key={position.id} style={styles.betCard}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}>
+              <div>
+                <div style={{ color: 'white', fontWeight: '500' }}>
+                  {position.name}
+                  <span style={{ color: '#94a3b8', fontSize: '13px', marginLeft: '8px', textTransform: 'capitalize' }}>
+                    {position.label}
+                  </span>
+                </div>
+                <div style={{ fontSize: '13px', color: '#94a3b8', marginTop: '4px' }}>
+                  {position.accounts.length > 0 ? position.accounts.join(' / ') : 'No bets yet'}
+                  {profit !== null && (
+                    <span style={{ color: profit >= 0 ? '#4ade80' : '#ef4444' }}>
+                      {' '}&middot; {formatProfit(profit)} {position.settled ? 'realised' : 'locked in'}
+                    </span>
+                  )}
+                  {rate && ` · ${rate}`}
+                </div>
+              </div>
+              <button onClick={() => handleDelete(position)} disabled={isBusy} style={buttonStyles(isBusy, '#ef4444')}>
+                Delete
+              </button>
+            </div>
+
+            {position.bets.map((bet) => (
+              <div key={bet.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginTop: '8px' }}>
+                <span style={{ fontSize: '13px', color: '#cbd5e1' }}>
+                  {describeBet(bet)}
+                  <span style={{ color: '#94a3b8', textTransform: 'capitalize' }}> &middot; {bet.status}</span>
+                </span>
+                <button
+                  onClick={() => runAction(`remove-${bet.id}`, () => positionsService.removeBet(position.id, bet.id))}
+                  disabled={isBusy}
+                  style={buttonStyles(isBusy)}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+
+            {pendingBets.length > 0 && (
+              <select
+                value=""
+                onChange={(e) => e.target.value && runAction(`add-${position.id}`, () => positionsService.addBets(position.id, [parseInt(e.target.value)]))}
+                disabled={isBusy}
+                style={{ ...styles.input, padding: '8px', marginTop: '8px', fontSize: '13px' }}
+              >
+                <option value="">Add a pending bet...</option>
+                {pendingBets.map(bet => (
+                  <option key={bet.id} value={bet.id}>{describeBet(bet)}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        );
+      })}
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end', marginTop: '16px' }}>
+        <label style={labelStyles}>
+          Name
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Lakers ML both sides"
+            style={{ ...styles.input, width: '220px', padding: '10px' }}
+          />
+        </label>
+        <label style={labelStyles}>
+          Strategy
+          <select value={strategy} onChange={(e) => setStrategy(e.target.value)} style={{ ...styles.input, padding: '10px' }}>
+            {STRATEGY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={handleCreate}
+          disabled={!canCreate}
+          style={{ ...buttonStyles(!canCreate, currentTheme?.primary || '#7c3aed'), padding: '10px 16px', fontSize: '14px' }}
+        >
+          {busyAction === 'create' ? 'Saving...' : 'Create Position'}
+        </button>
+      </div>
+
+      {pendingBets.length > 0 && (
+        <div style={{ marginTop: '12px' }}>
+          {pendingBets.map(bet => (
+            <label key={bet.id} style={{ display: 'flex', gap: '8px', alignItems: 'center', fontSize: '13px', color: '#cbd5e1', marginTop: '4px' }}>
+              <input type="checkbox" checked={selectedBets.includes(bet.id)} onChange={() => toggleBet(bet.id)} />
+              {describeBet(bet)}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {error && <p style={{ color: '#ef4444', fontSize: '14px' }}>{error}</p>}
+      {message && <p style={{ color: '#4ade80', fontSize: '14px' }}>{message}</p>}
+    </Card>
+  );
+};
@@ -1,5 +1,6 @@
 import React from 'react';
 import { Activity, TrendingUp, TrendingDown } from 'lucide-react';
+import { FormattersService } from '../../utils/formatters';
 import { styles } from '../../styles/styles';
 import { Card } from '../common/Card';
 
@@ -23,6 +24,9 @@ export const AccountOverview = ({ accounts }) => {
     );
   }
 
+  // Accounts with no exchange rate into the base currency yet are left out of the average
+  const convertedAccounts = Object.values(accounts).filter(account => account.fx?.rate !== null);
+
   return (
     <Card>
       <div style={{ marginBottom: '24px' }}>
@@ -40,7 +44,7 @@ export const AccountOverview = ({ accounts }) => {
         {Object.entries(accounts).map(([key, account]) => {
           // Calculate account-specific metrics
           const accountBetNetProfit = (account.bets || [])
-            .filter(bet => bet.status === 'won')
+            .filter(bet => ['won', 'push', 'void', 'cashout'].includes(bet.status))
             .reduce((sum, bet) => sum + ((bet.winnings || 0) - bet.amount), 0);
           
           const accountBetLosses = (account.bets || [])
@@ -55,10 +59,9 @@ export const AccountOverview = ({ accounts }) => {
             .filter(t => t.type === 'historical-loss')
             .reduce((sum, t) => sum + t.amount, 0);
           
-          const accountBonusCredits = key === 'fanduel' ? 
-            (account.transactions || [])
-              .filter(t => t.type === 'bonus-credit')
-              .reduce((sum, t) => sum + t.amount, 0) : 0;
+          const accountBonusCredits = (account.transactions || [])
+            .filter(t => t.type === 'bonus-credit')
+            .reduce((sum, t) => sum + t.amount, 0);
           
           const hasBettingActivity = (account.bets || []).length > 0 || 
                                     (account.transactions || []).some(t => ['historical-win', 'historical-loss'].includes(t.type));
@@ -86,7 +89,9 @@ export const AccountOverview = ({ accounts }) => {
             <div key={key} style={{
               ...styles.accountCard,
               position: 'relative',
-              overflow: 'hidden'
+              overflow: 'hidden',
+              borderLeft: `4px solid ${account.color || '#64748b'}`,
+              ...(account.archivedAt ? { opacity: 0.7 } : {})
             }}>
               {/* Account header with improved styling */}
               <div style={{
@@ -110,6 +115,7 @@ export const AccountOverview = ({ accounts }) => {
                   }}>
                     <span>{totalBets} bets</span>
                     <span>{totalTransactions} transactions</span>
+                    {account.archivedAt && <span>archived</span>}
                     {activeBets > 0 && (
                       <span style={{ color: '#facc15' }}>{activeBets} pending</span>
                     )}
@@ -139,7 +145,7 @@ export const AccountOverview = ({ accounts }) => {
                     fontSize: '18px',
                     fontWeight: 'bold'
                   }}>
-                    ${adjustedBalance.toFixed(2)}
+                    {FormattersService.formatCurrency(adjustedBalance, { currency: account.currency })}
                   </p>
                 </div>
                 <div>
@@ -150,7 +156,7 @@ export const AccountOverview = ({ accounts }) => {
                     fontWeight: 'bold',
                     color: accountNetPL >= 0 ? '#4ade80' : '#f87171' 
                   }}>
-                    ${accountNetPL.toFixed(2)}
+                    {FormattersService.formatCurrency(accountNetPL, { currency: account.currency })}
                   </p>
                 </div>
                 <div>
@@ -160,7 +166,7 @@ export const AccountOverview = ({ accounts }) => {
                     color: '#60a5fa',
                     fontWeight: '600'
                   }}>
-                    ${(account.totalDeposits || 0).toFixed(2)}
+                    {FormattersService.formatCurrency((account.totalDeposits || 0), { currency: account.currency })}
                   </p>
                 </div>
                 <div>
@@ -170,7 +176,7 @@ export const AccountOverview = ({ accounts }) => {
                     color: '#facc15',
                     fontWeight: '600'
                   }}>
-                    ${(account.totalWithdrawals || 0).toFixed(2)}
+                    {FormattersService.formatCurrency((account.totalWithdrawals || 0), { currency: account.currency })}
                   </p>
                 </div>
               </div>
@@ -189,14 +195,14 @@ export const AccountOverview = ({ accounts }) => {
                   <p style={{ 
                     ...styles.accountValue,
                     color: (() => {
-                      const accountBets = (account.bets || []).filter(bet => bet.status !== 'pending');
+                      const accountBets = (account.bets || []).filter(bet => bet.status === 'won' || bet.status === 'lost');
                       if (accountBets.length === 0) return '#94a3b8';
                       const winRate = (accountBets.filter(bet => bet.status === 'won').length / accountBets.length) * 100;
                       return winRate >= 55 ? '#4ade80' : winRate >= 50 ? '#facc15' : '#f87171';
                     })()
                   }}>
                     {(() => {
-                      const accountBets = (account.bets || []).filter(bet => bet.status !== 'pending');
+                      const accountBets = (account.bets || []).filter(bet => bet.status === 'won' || bet.status === 'lost');
                       if (accountBets.length === 0) return 'N/A';
                       const winRate = (accountBets.filter(bet => bet.status === 'won').length / accountBets.length) * 100;
                       return `${winRate.toFixed(1)}%`;
@@ -546,9 +552,9 @@ export const AccountOverview = ({ accounts }) => {
                 let bestAccount = null;
                 let bestPL = -Infinity;
                 
-                Object.entries(accounts).forEach(([key, account]) => {
+                Object.values(accounts).forEach((account) => {
                   const accountBetNetProfit = (account.bets || [])
-                    .filter(bet => bet.status === 'won')
+                    .filter(bet => ['won', 'push', 'void', 'cashout'].includes(bet.status))
                     .reduce((sum, bet) => sum + ((bet.winnings || 0) - bet.amount), 0);
                   
                   const accountBetLosses = (account.bets || [])
@@ -563,10 +569,9 @@ export const AccountOverview = ({ accounts }) => {
                     .filter(t => t.type === 'historical-loss')
                     .reduce((sum, t) => sum + t.amount, 0);
                   
-                  const accountBonusCredits = key === 'fanduel' ? 
-                    (account.transactions || [])
-                      .filter(t => t.type === 'bonus-credit')
-                      .reduce((sum, t) => sum + t.amount, 0) : 0;
+                  const accountBonusCredits = (account.transactions || [])
+                    .filter(t => t.type === 'bonus-credit')
+                    .reduce((sum, t) => sum + t.amount, 0);
                   
                   const hasBettingActivity = (account.bets || []).length > 0 || 
                                             (account.transactions || []).some(t => ['historical-win', 'historical-loss'].includes(t.type));
@@ -617,9 +622,9 @@ export const AccountOverview = ({ accounts }) => {
               margin: 0,
               lineHeight: 1
             }}>
-              ${Object.keys(accounts).length > 0 ? 
-                (Object.values(accounts).reduce((sum, account) => sum + (account.balance || 0), 0) / Object.keys(accounts).length).toFixed(0) : 
-                '0'}
+              {FormattersService.formatCurrency(convertedAccounts.length > 0 ?
+                convertedAccounts.reduce((sum, account) => sum + (account.fx?.balance ?? account.balance ?? 0), 0) / convertedAccounts.length :
+                0, { currency: Object.values(accounts)[0]?.fx?.currency, minimumFractionDigits: 0, maximumFractionDigits: 0 })}
             </p>
             <p style={{
               fontSize: '10px',
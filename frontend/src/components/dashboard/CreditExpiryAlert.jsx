@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, X } from 'lucide-react';
+import { creditsService } from '../../services/credits.service';
+import { FormattersService } from '../../utils/formatters';
+
+const WITHIN_DAYS = 7;
+const DISMISSED_KEY = 'dismissedCreditAlerts';
+
+// A credit comes back after being dismissed if its expiry date changes
+const alertKey = (credit) => `${credit.kind}-${credit.id}-${credit.expiresOn}`;
+
+const loadDismissed = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DISMISSED_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const describeDaysLeft = (daysLeft) => {
+  if (daysLeft === 0) return 'expires today';
+  if (daysLeft === 1) return 'expires tomorrow';
+  return `expires in ${daysLeft} days`;
+};
+
+// Red for the last day or two, amber within a few days, otherwise purple
+const urgencyColor = (daysLeft) => {
+  if (daysLeft <= 1) return '#ef4444';
+  if (daysLeft <= 3) return '#facc15';
+  return '#a78bfa';
+};
+
+export const CreditExpiryAlert = () => {
+  const [credits, setCredits] = useState([]);
+  const [dismissed, setDismissed] = useState(loadDismissed);
+
+  useEffect(() => {
+    creditsService.getExpiringCredits(WITHIN_DAYS)
+      .then(response => setCredits(response.credits))
+      .catch(() => setCredits([]));
+  }, []);
+
+  // Credits arrive most urgent first, so the banner keeps that order
+  const visible = credits.filter(credit => !dismissed.includes(alertKey(credit)));
+
+  if (visible.length === 0) {
+    return null;
+  }
+
+  const handleDismiss = () => {
+    // Only keep keys for credits that can still alert, so the list doesn't grow forever
+    const next = credits.map(alertKey);
+    localStorage.setItem(DISMISSED_KEY, JSON.stringify(next));
+    setDismissed(next);
+  };
+
+  const color = urgencyColor(visible[0].daysLeft);
+  const total = visible.reduce((sum, credit) => sum + credit.remaining, 0);
+
+  return (
+    <div style={{
+      display: 'flex',
+      gap: '12px',
+      alignItems: 'flex-start',
+      padding: '16px',
+      marginBottom: '24px',
+      borderRadius: '8px',
+      border: `1px solid ${color}`,
+      backgroundColor: 'rgba(15, 23, 42, 0.6)'
+    }}>
+      <Clock size={20} color={color} style={{ flexShrink: 0, marginTop: '2px' }} />
+      <div style={{ flex: 1 }}>
+        <div style={{ color: 'white', fontWeight: '500' }}>
+          {FormattersService.formatCurrency(total)} in unused credit expires in the next {WITHIN_DAYS} days
+        </div>
+        {visible.map(credit => (
+          <div key={alertKey(credit)} style={{ fontSize: '14px', color: '#cbd5e1', marginTop: '6px' }}>
+            <span style={{ color: urgencyColor(credit.daysLeft), fontWeight: '500' }}>
+              {FormattersService.formatCurrency(credit.remaining)}
+            </span>
+            {' '}{credit.name} at {credit.accountName} &middot; {describeDaysLeft(credit.daysLeft)} ({FormattersService.formatDate(credit.expiresOn)})
+            {credit.used > 0 && (
+              <span style={{ color: '#94a3b8' }}> &middot; {FormattersService.formatCurrency(credit.used)} of {FormattersService.formatCurrency(credit.amount)} used</span>
+            )}
+          </div>
+        ))}
+      </div>
+      <button
+        onClick={handleDismiss}
+        title="Dismiss"
+        style={{ background: 'none', border: 'none', color: '#94a3b8', cursor: 'pointer', padding: 0 }}
+      >
+        <X size={18} />
+      </button>
+    </div>
+  );
+};
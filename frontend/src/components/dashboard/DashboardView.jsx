@@ -3,11 +3,14 @@ import { useAccounts } from '../../hooks/useAccounts';
 import { OverviewCards } from './OverviewCards';
 import { QuickStats } from './QuickStats';
 import { AccountOverview } from './AccountOverview';
+import { LimitsStatus } from './LimitsStatus';
+import { CreditExpiryAlert } from './CreditExpiryAlert';
+import { AccountSetup } from '../accounts/AccountSetup';
 import { LoadingSpinner } from '../ui/LoadingSpinner';
 import { CalculationsService } from '../../utils/calculations';
 
 export const DashboardView = () => {
-  const { accounts, isLoading, error } = useAccounts();
+  const { accounts, isLoading, error, refreshAccounts } = useAccounts();
 
   if (isLoading) {
     return <LoadingSpinner message="Loading Dashboard" submessage="Fetching your betting account data..." />;
@@ -44,22 +47,24 @@ export const DashboardView = () => {
     );
   }
 
+  // New users start here by choosing the sportsbooks they bet with
   if (!accounts || Object.keys(accounts).length === 0) {
     return (
-      <div style={{ 
-        textAlign: 'center', 
-        padding: '60px 20px',
-        backgroundColor: 'rgba(100, 116, 139, 0.1)',
-        borderRadius: '12px',
-        border: '1px solid #475569'
-      }}>
-        <h3 style={{ color: 'white', marginBottom: '16px' }}>Welcome to Sportsbook Tracker!</h3>
-        <p style={{ color: '#c4b5fd', marginBottom: '24px' }}>
-          No betting accounts found. Start by adding some transactions to see your dashboard come to life.
-        </p>
-        <p style={{ color: '#94a3b8', fontSize: '14px' }}>
-          Go to "Add Transaction" to get started, or use "Bulk Import" to import existing data.
-        </p>
+      <div>
+        <div style={{ 
+          textAlign: 'center', 
+          padding: '40px 20px',
+          marginBottom: '24px',
+          backgroundColor: 'rgba(100, 116, 139, 0.1)',
+          borderRadius: '12px',
+          border: '1px solid #475569'
+        }}>
+          <h3 style={{ color: 'white', marginBottom: '16px' }}>Welcome to Sportsbook Tracker!</h3>
+          <p style={{ color: '#c4b5fd', margin: 0 }}>
+            Add the sportsbooks you bet with to get started, or use "Bulk Import" to restore a backup.
+          </p>
+        </div>
+        <AccountSetup accounts={accounts} onComplete={refreshAccounts} title="Choose Your Sportsbooks" />
       </div>
     );
   }
@@ -68,11 +73,17 @@ export const DashboardView = () => {
 
   return (
     <div>
+      {/* Unused bonus credit that is about to expire */}
+      <CreditExpiryAlert />
+
       {/* Overview Cards - 2 rows of 3 cards each */}
       <OverviewCards totals={totals} />
       
       {/* Quick Stats Row */}
       <QuickStats totals={totals} />
+
+      {/* Gambling Limits */}
+      <LimitsStatus accounts={accounts} />
       
       {/* Account Overview */}
       <AccountOverview accounts={accounts} />
@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { useTheme } from '../../context/ThemeContext';
+import { limitsService } from '../../services/limits.service';
+import { FormattersService } from '../../utils/formatters';
+import { styles } from '../../styles/styles';
+import { Card } from '../common/Card';
+
+const LIMIT_TYPE_OPTIONS = [
+  { value: 'deposit', label: 'Deposits' },
+  { value: 'loss', label: 'Net loss' },
+  { value: 'bet-count', label: 'Number of bets' }
+];
+
+const PERIOD_OPTIONS = [
+  { value: 'day', label: 'Per day' },
+  { value: 'week', label: 'Per week' },
+  { value: 'month', label: 'Per month' }
+];
+
+const formatLimitValue = (limit, value) => (
+  limit.limitType === 'bet-count' ? `${value} bets` : FormattersService.formatCurrency(value)
+);
+
+// Green while there is room, amber near the limit, red once it is reached
+const progressColor = (limit) => {
+  if (limit.reached) return '#ef4444';
+  if (limit.percentUsed >= 80) return '#facc15';
+  return '#4ade80';
+};
+
+export const LimitsStatus = ({ accounts }) => {
+  const { currentTheme } = useTheme();
+  const [status, setStatus] = useState(null);
+  const [limitType, setLimitType] = useState('deposit');
+  const [period, setPeriod] = useState('week');
+  const [amount, setAmount] = useState('');
+  const [enforcement, setEnforcement] = useState('block');
+  const [accountKey, setAccountKey] = useState('');
+  const [busyAction, setBusyAction] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchLimits = async () => {
+    try {
+      const response = await limitsService.getLimits();
+      setStatus(response);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchLimits();
+  }, []);
+
+  // Runs one limit action at a time and reloads the limits afterwards
+  const runAction = async (key, action) => {
+    setBusyAction(key);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await action();
+      setMessage(response.message);
+      await fetchLimits();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleSetLimit = async () => {
+    const saved = await runAction('set', () => limitsService.setLimit({
+      limitType,
+      period,
+      amount,
+      enforcement,
+      accountKey: accountKey || null
+    }));
+    if (saved) setAmount('');
+  };
+
+  const handleRemove = (limit) => {
+    if (window.confirm(`Remove your ${limit.label}? It stays in force until the cooling-off period ends.`)) {
+      runAction(`remove-${limit.id}`, () => limitsService.removeLimit(limit.id));
+    }
+  };
+
+  const limits = status ? status.limits : [];
+
+  const buttonStyles = (disabled, backgroundColor = currentTheme?.primary || '#7c3aed') => ({
+    ...styles.smallButton,
+    backgroundColor,
+    color: 'white',
+    ...(disabled ? { opacity: 0.6, cursor: 'not-allowed' } : {})
+  });
+
+  const labelStyles = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '12px',
+    color: '#94a3b8'
+  };
+
+  return (
+    <Card>
+      <div style={styles.accountHeader}>
+        <div>
+          <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Gambling Limits</h3>
+          <p style={{ color: '#94a3b8', fontSize: '14px', margin: '4px 0 0 0' }}>
+            New and lower limits apply straight away. Raising or removing a limit
+            {status ? ` waits ${status.coolingOffDays} days` : ' waits out a cooling-off period'}.
+          </p>
+        </div>
+        <ShieldCheck size={20} color="#a78bfa" />
+      </div>
+
+      {limits.length === 0 ? (
+        <p style={{ color: '#94a3b8', fontSize: '14px' }}>No limits set.</p>
+      ) : (
+        limits.map((limit) => (
+          <div key={limit.id} style={styles.betCard}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+              <div>
+                <div style={{ color: 'white', fontWeight: '500', textTransform: 'capitalize' }}>{limit.label}</div>
+                <div style={{ fontSize: '13px', color: '#94a3b8', marginTop: '4px' }}>
+                  {formatLimitValue(limit, limit.used)} used, {formatLimitValue(limit, limit.remaining)} left
+                  {' '}&middot; resets {FormattersService.formatDate(limit.resetsOn)}
+                  {limit.enforcement === 'warn' ? ' · warning only' : ''}
+                </div>
+              </div>
+              <button
+                onClick={() => handleRemove(limit)}
+                disabled={busyAction !== null || limit.pendingChange?.action === 'remove'}
+                style={buttonStyles(busyAction !== null || limit.pendingChange?.action === 'remove', '#475569')}
+              >
+                Remove
+              </button>
+            </div>
+
+            <div style={{ height: '8px', backgroundColor: '#334155', borderRadius: '4px', marginTop: '12px', overflow: 'hidden' }}>
+              <div
+                style={{
+                  width: `${Math.min(100, limit.percentUsed)}%`,
+                  height: '100%',
+                  backgroundColor: progressColor(limit)
+                }}
+              />
+            </div>
+
+            {limit.pendingChange && (
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '8px', gap: '12px' }}>
+                <span style={{ fontSize: '13px', color: '#facc15' }}>
+                  {limit.pendingChange.action === 'remove'
+                    ? 'Removal'
+                    : `Change to ${formatLimitValue(limit, limit.pendingChange.amount)}${limit.pendingChange.enforcement === 'warn' ? ' (warning only)' : ''}`}
+                  {' '}takes effect {FormattersService.formatDateTime(limit.pendingChange.effectiveAt)}
+                </span>
+                <button
+                  onClick={() => runAction(`cancel-${limit.id}`, () => limitsService.cancelPendingChange(limit.id))}
+                  disabled={busyAction !== null}
+                  style={buttonStyles(busyAction !== null, '#475569')}
+                >
+                  {busyAction === `cancel-${limit.id}` ? 'Cancelling...' : 'Cancel'}
+                </button>
+              </div>
+            )}
+          </div>
+        ))
+      )}
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'flex-end', marginTop: '16px' }}>
+        <label style={labelStyles}>
+          Limit
+          <select value={limitType} onChange={(e) => setLimitType(e.target.value)} style={{ ...styles.input, padding: '10px' }}>
+            {LIMIT_TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyles}>
+          Period
+          <select value={period} onChange={(e) => setPeriod(e.target.value)} style={{ ...styles.input, padding: '10px' }}>
+            {PERIOD_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyles}>
+          {limitType === 'bet-count' ? 'Max bets' : 'Amount ($)'}
+          <input
+            type="number"
+            min="0"
+            step={limitType === 'bet-count' ? '1' : '0.01'}
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder={limitType === 'bet-count' ? 'e.g. 5' : 'e.g. 500'}
+            style={{ ...styles.input, width: '140px', padding: '10px' }}
+          />
+        </label>
+        <label style={labelStyles}>
+          Account
+          <select value={accountKey} onChange={(e) => setAccountKey(e.target.value)} style={{ ...styles.input, padding: '10px' }}>
+            <option value="">All accounts</option>
+            {Object.entries(accounts || {}).map(([key, account]) => (
+              <option key={key} value={key}>{account.name}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyles}>
+          When reached
+          <select value={enforcement} onChange={(e) => setEnforcement(e.target.value)} style={{ ...styles.input, padding: '10px' }}>
+            <option value="block">Block</option>
+            <option value="warn">Warn only</option>
+          </select>
+        </label>
+        <button
+          onClick={handleSetLimit}
+          disabled={busyAction !== null || amount === ''}
+          style={{ ...buttonStyles(busyAction !== null || amount === ''), padding: '10px 16px', fontSize: '14px' }}
+        >
+          {busyAction === 'set' ? 'Saving...' : 'Set Limit'}
+        </button>
+      </div>
+
+      {error && <p style={{ color: '#ef4444', fontSize: '14px' }}>{error}</p>}
+      {message && <p style={{ color: '#4ade80', fontSize: '14px' }}>{message}</p>}
+    </Card>
+  );
+};
@@ -1,24 +1,28 @@
 import React from 'react';
 import { DollarSign, TrendingUp, TrendingDown, Activity } from 'lucide-react';
 import { useTheme } from '../../context/ThemeContext';
+import { FormattersService } from '../../utils/formatters';
 import { styles } from '../../styles/styles';
 import { Card } from '../common/Card';
 
 export const OverviewCards = ({ totals }) => {
   const { currentTheme } = useTheme();
+  const money = (value) => FormattersService.formatCurrency(value, { currency: totals.currency });
 
   const cardData = [
     {
       title: 'Total Balance',
-      value: `$${totals.totalBalance.toFixed(2)}`,
+      value: money(totals.totalBalance),
       icon: DollarSign,
       iconColor: '#a78bfa',
       valueStyle: styles.cardValue,
-      description: 'Current balance across all accounts'
+      description: !totals.complete
+        ? `Incomplete - no exchange rate yet for ${totals.missingRates.join(', ')}, left out of the totals`
+        : 'Current balance across all accounts'
     },
     {
       title: 'Total Deposits',
-      value: `$${totals.totalDeposits.toFixed(2)}`,
+      value: money(totals.totalDeposits),
       icon: TrendingUp,
       iconColor: '#60a5fa',
       valueStyle: styles.cardValueBlue,
@@ -26,7 +30,7 @@ export const OverviewCards = ({ totals }) => {
     },
     {
       title: 'Total Withdrawals',
-      value: `$${totals.totalWithdrawals.toFixed(2)}`,
+      value: money(totals.totalWithdrawals),
       icon: TrendingDown,
       iconColor: '#facc15',
       valueStyle: styles.cardValueYellow,
@@ -34,7 +38,7 @@ export const OverviewCards = ({ totals }) => {
     },
     {
       title: 'Net P&L',
-      value: `$${totals.netPL.toFixed(2)}`,
+      value: money(totals.netPL),
       icon: totals.netPL >= 0 ? TrendingUp : TrendingDown,
       iconColor: totals.netPL >= 0 ? '#4ade80' : '#f87171',
       valueStyle: totals.netPL >= 0 ? styles.cardValueGreen : styles.cardValueRed,
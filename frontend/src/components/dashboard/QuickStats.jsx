@@ -1,9 +1,12 @@
 import React from 'react';
-import { DollarSign, Activity, TrendingUp, TrendingDown, Target, Award } from 'lucide-react';
+import { DollarSign, Activity, TrendingUp, TrendingDown, Target, Award, Gift } from 'lucide-react';
+import { FormattersService } from '../../utils/formatters';
 import { styles } from '../../styles/styles';
 import { Card } from '../common/Card';
 
 export const QuickStats = ({ totals }) => {
+  const money = (value) => FormattersService.formatCurrency(value, { currency: totals.currency });
+
   const statsData = [
     {
       title: 'Total Bets',
@@ -15,7 +18,7 @@ export const QuickStats = ({ totals }) => {
     },
     {
       title: 'Avg Bet Size',
-      value: `$${totals.avgBetSize.toFixed(2)}`,
+      value: money(totals.avgBetSize),
       icon: DollarSign,
       iconColor: '#60a5fa',
       description: 'Average amount per bet'
@@ -42,6 +45,13 @@ export const QuickStats = ({ totals }) => {
       valueStyle: totals.profitFactor >= 1.5 ? styles.cardValueGreen : 
                   totals.profitFactor >= 1 ? styles.cardValueYellow : styles.cardValueRed,
       description: 'Ratio of total wins to total losses'
+    },
+    {
+      title: 'Promo Value',
+      value: money(totals.totalPromoValue),
+      icon: Gift,
+      iconColor: '#4ade80',
+      description: 'Bonus credits and bonus bet winnings'
     }
   ];
 
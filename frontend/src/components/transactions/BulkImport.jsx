@@ -1,38 +1,80 @@
-import React, { useState } from 'react';
-import { Plus } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Plus, Eye } from 'lucide-react';
 import { useAccounts } from '../../hooks/useAccounts';
 import { useTheme } from '../../context/ThemeContext';
 import { transactionsService } from '../../services/transactions.service';
+import { authService } from '../../services/auth.service';
 import { CSVExportService } from '../../utils/csvExport';
 import { styles } from '../../styles/styles';
 import { Card } from '../common/Card';
 
 export const BulkImport = () => {
   const { accounts, refreshAccounts } = useAccounts();
-  const { currentTheme } = useTheme();
+  const { currentTheme, currentThemeKey, glowLinesEnabled, changeTheme, toggleGlowLines } = useTheme();
   const [bulkData, setBulkData] = useState('');
   const [autoBackup, setAutoBackup] = useState(() => {
     return localStorage.getItem('autoBackup') === 'true';
   });
+  const [formats, setFormats] = useState([{ id: 'csv', name: 'Generic CSV' }]);
+  const [importFormat, setImportFormat] = useState('csv');
+  const [importAccount, setImportAccount] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
   const [isImporting, setIsImporting] = useState(false);
   const [isResetting, setIsResetting] = useState(false);
+  const [restoreMode, setRestoreMode] = useState('replace');
+  const [isBackingUp, setIsBackingUp] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
-  const handleBulkImport = async () => {
+  useEffect(() => {
+    transactionsService.getImportFormats()
+      .then(response => setFormats(response.formats || []))
+      .catch(() => {});
+  }, []);
+
+  // Sportsbook exports carry no account column, so the target account is chosen here
+  const importOptions = importFormat === 'csv'
+    ? {}
+    : { format: importFormat, accountKey: importAccount };
+
+  const handlePreview = async () => {
     if (!bulkData.trim()) {
       setError('Please enter data to import');
       return;
     }
 
+    setIsPreviewing(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await transactionsService.previewImport(bulkData, importOptions);
+      setPreview(result);
+    } catch (error) {
+      console.error('Import preview error:', error);
+      setPreview(null);
+      setError('Error reading import data: ' + error.message);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleBulkImport = async () => {
+    if (!preview || !preview.canCommit) {
+      return;
+    }
+
     setIsImporting(true);
     setError('');
     setSuccess('');
 
     try {
-      const result = await transactionsService.bulkImport(bulkData);
+      const result = await transactionsService.commitImport(bulkData, preview.checksum, importOptions);
       await refreshAccounts();
       setBulkData('');
+      setPreview(null);
       setSuccess(result.message || 'Data imported successfully!');
       
       // Auto backup if enabled
@@ -43,14 +85,15 @@ export const BulkImport = () => {
       }
     } catch (error) {
       console.error('Bulk import error:', error);
-      setError('Error importing data. Please check the format: ' + error.message);
+      setPreview(null);
+      setError('Error importing data: ' + error.message);
     } finally {
       setIsImporting(false);
     }
   };
 
   const handleResetAllData = async () => {
-    if (window.confirm('This will clear ALL data from ALL accounts. This action cannot be undone. Are you absolutely sure?')) {
+    if (window.confirm('This will clear ALL data from ALL accounts. It can be restored from the Trash until it expires. Continue?')) {
       setIsResetting(true);
       setError('');
       setSuccess('');
@@ -58,7 +101,7 @@ export const BulkImport = () => {
       try {
         await transactionsService.resetAllData();
         await refreshAccounts();
-        setSuccess('All data has been reset successfully.');
+        setSuccess('All data has been reset. Restore it from the Trash if this was a mistake.');
       } catch (error) {
         console.error('Reset error:', error);
         setError('Failed to reset data: ' + error.message);
@@ -86,7 +129,8 @@ export const BulkImport = () => {
         try {
           const csvData = CSVExportService.parseCSV(e.target.result);
           setBulkData(csvData);
-          setSuccess('CSV data has been loaded into the bulk import field. Please review and click "Import Data" to proceed.');
+          setPreview(null);
+          setSuccess('File data has been loaded into the bulk import field. Choose its format and click "Preview Import" to review it before importing.');
           setError('');
         } catch (error) {
           console.error('CSV parse error:', error);
@@ -100,14 +144,122 @@ export const BulkImport = () => {
     event.target.value = '';
   };
 
+  const handleDownloadBackup = async () => {
+    setIsBackingUp(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      // Display preferences live in this browser; store them so the backup carries them
+      await authService.updateSettings({
+        ui: { theme: currentThemeKey, glowLines: glowLinesEnabled, autoBackup }
+      });
+
+      const backup = await transactionsService.downloadBackup();
+      const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.setAttribute('download', `sportsbook_backup_${backup.createdAt.split('T')[0]}.json`);
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      setSuccess('Backup downloaded successfully!');
+    } catch (error) {
+      console.error('Backup error:', error);
+      setError('Failed to create backup: ' + error.message);
+    } finally {
+      setIsBackingUp(false);
+    }
+  };
+
+  const handleRestoreBackup = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      let backup;
+      try {
+        backup = JSON.parse(e.target.result);
+      } catch (error) {
+        setError('This file is not a valid JSON backup.');
+        setSuccess('');
+        return;
+      }
+
+      const warning = restoreMode === 'replace'
+        ? 'Restoring will DELETE all current accounts, transactions and bets and replace them with the backup. Continue?'
+        : 'Data from the backup that is missing here will be added to your accounts. Continue?';
+      if (!window.confirm(warning)) return;
+
+      setIsRestoring(true);
+      setError('');
+      setSuccess('');
+
+      try {
+        const result = await transactionsService.restoreBackup(backup, restoreMode);
+        await refreshAccounts();
+
+        const ui = backup.settings && backup.settings.ui;
+        if (ui) {
+          if (ui.theme) changeTheme(ui.theme);
+          if (typeof ui.glowLines === 'boolean') toggleGlowLines(ui.glowLines);
+          if (typeof ui.autoBackup === 'boolean') handleAutoBackupToggle(ui.autoBackup);
+        }
+
+        const { summary } = result;
+        setSuccess(`${result.message}: ${summary.transactionsRestored} transactions, ${summary.betsRestored} bets, ` +
+          `${summary.promotionsRestored || 0} promotions, ${summary.positionsRestored || 0} positions, ` +
+          `${summary.reconciliationsRestored || 0} reconciliations and ` +
+          `${summary.exchangeRatesRestored || 0} exchange rates restored` +
+          (summary.skipped > 0 ? `, ${summary.skipped} already present` : '') + '.');
+      } catch (error) {
+        console.error('Restore error:', error);
+        setError('Failed to restore backup: ' + error.message);
+      } finally {
+        setIsRestoring(false);
+      }
+    };
+    reader.readAsText(file);
+  };
+
   const handleAutoBackupToggle = (enabled) => {
     setAutoBackup(enabled);
     localStorage.setItem('autoBackup', enabled.toString());
   };
 
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount);
+  };
+
+  const cellStyles = {
+    padding: '6px 8px',
+    fontSize: '12px',
+    color: 'white',
+    borderBottom: '1px solid #334155',
+    textAlign: 'left',
+    verticalAlign: 'top'
+  };
+
+  const headerCellStyles = {
+    ...cellStyles,
+    ...styles.accountLabel,
+    borderBottom: '1px solid #475569'
+  };
+
+  const isBusy = isPreviewing || isImporting || isResetting || isBackingUp || isRestoring;
+
   const dynamicStyles = {
     container: {
-      maxWidth: '400px',
+      maxWidth: preview ? '900px' : '400px',
       margin: '0 auto'
     },
     submitButton: {
@@ -125,7 +277,25 @@ export const BulkImport = () => {
       justifyContent: 'center',
       gap: '8px',
       fontSize: '16px',
-      opacity: (isImporting || isResetting) ? 0.7 : 1
+      opacity: isBusy ? 0.7 : 1
+    },
+    confirmButton: {
+      width: '100%',
+      backgroundColor: '#16a34a',
+      color: 'white',
+      fontWeight: '500',
+      padding: '12px 16px',
+      borderRadius: '8px',
+      transition: 'background-color 0.2s',
+      border: 'none',
+      cursor: preview && preview.canCommit ? 'pointer' : 'not-allowed',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      gap: '8px',
+      fontSize: '16px',
+      marginTop: '8px',
+      opacity: isBusy || !preview || !preview.canCommit ? 0.6 : 1
     },
     exportButton: {
       width: '100%',
@@ -200,6 +370,59 @@ export const BulkImport = () => {
           </div>
         )}
         
+        {/* JSON Backup/Restore Section */}
+        <div style={{ marginBottom: '32px' }}>
+          <h4 style={{ ...styles.sectionTitle, fontSize: '18px', marginBottom: '16px' }}>
+            Backup &amp; Restore
+          </h4>
+
+          <div style={styles.buttonGroup}>
+            <button
+              type="button"
+              onClick={handleDownloadBackup}
+              style={dynamicStyles.exportButton}
+              disabled={isBusy}
+            >
+              {isBackingUp ? 'Creating backup...' : 'Download Full Backup'}
+            </button>
+          </div>
+
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Restore mode</label>
+            <select
+              value={restoreMode}
+              onChange={(e) => setRestoreMode(e.target.value)}
+              style={styles.select}
+            >
+              <option value="replace">Replace all data with the backup</option>
+              <option value="merge">Merge: only add what is missing</option>
+            </select>
+          </div>
+
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Restore Backup File</label>
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={handleRestoreBackup}
+              disabled={isBusy}
+              style={{
+                ...styles.input,
+                padding: '8px',
+                backgroundColor: '#374151',
+                color: 'white'
+              }}
+            />
+            <p style={{ ...styles.accountLabel, fontSize: '12px', marginTop: '8px' }}>
+              {isRestoring
+                ? 'Restoring backup...'
+                : 'Backups keep every account, transaction, bet (with odds, legs and tags), timestamp and setting.'}
+            </p>
+          </div>
+        </div>
+
+        <hr style={{ border: '1px solid #475569', margin: '24px 0' }} />
+
         {/* CSV Export/Import Section */}
         <div style={{ marginBottom: '32px' }}>
           <h4 style={{ ...styles.sectionTitle, fontSize: '18px', marginBottom: '16px' }}>
@@ -244,10 +467,10 @@ export const BulkImport = () => {
           </div>
 
           <div style={styles.formGroup}>
-            <label style={styles.label}>Import CSV File</label>
+            <label style={styles.label}>Import File</label>
             <input
               type="file"
-              accept=".csv"
+              accept=".csv,.html,.htm"
               onChange={handleImportCSV}
               style={{
                 ...styles.input,
@@ -257,7 +480,7 @@ export const BulkImport = () => {
               }}
             />
             <p style={{ ...styles.accountLabel, fontSize: '12px', marginTop: '8px' }}>
-              Upload a CSV file to restore your data. Make sure it follows the export format.
+              Upload a CSV in the export format, or a bet or transaction history export from a supported sportsbook.
             </p>
           </div>
         </div>
@@ -269,25 +492,73 @@ export const BulkImport = () => {
           Manual Bulk Import
         </h4>
         
-        <div style={styles.formGroup}>
-          <label style={styles.label}>Paste your data (CSV format)</label>
-          <p style={{ ...styles.accountLabel, marginBottom: '8px' }}>
-            Format: account,type,amount,description (one per line)
-          </p>
-          <div style={{ ...styles.accountLabel, marginBottom: '16px', fontSize: '12px' }}>
-            <strong>Account codes:</strong> draftkings1, draftkings2, fanduel, betmgm, bet365<br/>
-            <strong>Types:</strong> deposit, withdrawal, bet, bonus-bet, bonus-credit, historical-win, historical-loss<br/>
-            <strong>Example:</strong><br/>
-            draftkings1,deposit,20,Gaming Deposit - Venmo<br/>
-            draftkings1,historical-loss,25,Bet ID: 168D1CAA<br/>
-            draftkings1,historical-win,64,Win ID: CB79926D<br/>
-            draftkings1,bonus-credit,1,AwardUserBonusOffer<br/>
-            fanduel,bet,50,Current bet - Lakers vs Warriors
+        <div style={{ display: 'grid', gridTemplateColumns: importFormat === 'csv' ? '1fr' : '1fr 1fr', gap: '12px' }}>
+          <div style={styles.formGroup}>
+            <label style={styles.label}>Data format</label>
+            <select
+              value={importFormat}
+              onChange={(e) => {
+                setImportFormat(e.target.value);
+                setPreview(null);
+              }}
+              style={styles.select}
+            >
+              {formats.map((format) => (
+                <option key={format.id} value={format.id}>{format.name}</option>
+              ))}
+            </select>
           </div>
+          {importFormat !== 'csv' && (
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Import into account</label>
+              <select
+                value={importAccount}
+                onChange={(e) => {
+                  setImportAccount(e.target.value);
+                  setPreview(null);
+                }}
+                style={styles.select}
+              >
+                <option value="">Select account</option>
+                {Object.entries(accounts || {}).filter(([, account]) => !account.archivedAt).map(([key, account]) => (
+                  <option key={key} value={key}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Paste your data</label>
+          {importFormat !== 'csv' && (
+            <p style={{ ...styles.accountLabel, marginBottom: '8px' }}>
+              Paste or upload the sportsbook's CSV or HTML export. Rows already imported are matched by their bet or transaction ID and skipped, and pending bets the book has since settled are settled.
+            </p>
+          )}
+          {importFormat === 'csv' && (
+            <>
+              <p style={{ ...styles.accountLabel, marginBottom: '8px' }}>
+                Format: account,type,amount,description,date,status,winnings,isBonusBet (one per line)
+              </p>
+              <div style={{ ...styles.accountLabel, marginBottom: '16px', fontSize: '12px' }}>
+                <strong>Account codes:</strong> {Object.keys(accounts || {}).join(', ') || 'none yet'}<br/>
+                <strong>Types:</strong> deposit, withdrawal, bet, bonus-bet, bonus-credit, historical-win, historical-loss<br/>
+                <strong>Dates:</strong> YYYY-MM-DD or M/D/YYYY (blank means today). Quote descriptions that contain commas.<br/>
+                A header row may also add odds, sport, league, marketType and tags columns.<br/>
+                <strong>Example:</strong><br/>
+                draftkings1,deposit,20,Gaming Deposit - Venmo,2024-01-05<br/>
+                draftkings1,historical-loss,25,Bet ID: 168D1CAA,2024-01-06<br/>
+                draftkings1,bonus-credit,1,AwardUserBonusOffer<br/>
+                fanduel,bet,50,"Lakers vs Warriors, Lakers ML",2024-01-07,won,95<br/>
+                fanduel,bet,20,Celtics -4.5,,pending
+              </div>
+            </>
+          )}
           <textarea
             value={bulkData}
             onChange={(e) => {
               setBulkData(e.target.value);
+              setPreview(null);
               setError('');
               setSuccess('');
             }}
@@ -297,26 +568,155 @@ export const BulkImport = () => {
               resize: 'vertical',
               fontFamily: 'monospace'
             }}
-            placeholder="draftkings1,deposit,100,Initial deposit&#10;draftkings1,bet,25,Lakers vs Warriors&#10;draftkings1,bonus-bet,25,Free bet promo&#10;fanduel,deposit,50,Welcome bonus"
+            placeholder="draftkings1,deposit,100,Initial deposit,2024-01-05&#10;draftkings1,bet,25,Lakers vs Warriors,2024-01-06,lost&#10;draftkings1,bonus-bet,25,Free bet promo,,pending&#10;fanduel,deposit,50,Welcome bonus"
           />
         </div>
 
         <button
           type="button"
-          onClick={handleBulkImport}
+          onClick={handlePreview}
           style={dynamicStyles.submitButton}
-          disabled={isImporting || isResetting}
+          disabled={isBusy}
         >
-          <Plus size={16} />
-          {isImporting ? 'Importing...' : 'Import Data'}
+          <Eye size={16} />
+          {isPreviewing ? 'Checking...' : 'Preview Import'}
         </button>
 
+        {preview && (
+          <div style={{ marginTop: '24px' }}>
+            <h4 style={{ ...styles.sectionTitle, fontSize: '16px', marginBottom: '8px' }}>
+              Import Preview
+            </h4>
+            <p style={{ ...styles.accountLabel, marginBottom: '12px' }}>
+              {preview.summary.totalRows} rows: {preview.summary.validRows} valid
+              {preview.summary.settledRows > 0 && (
+                <span>, {preview.summary.settledRows} pending bets settled at the book</span>
+              )}
+              {preview.summary.duplicateRows > 0 && (
+                <span>, {preview.summary.duplicateRows} already imported</span>
+              )}
+              {preview.summary.skippedRows > 0 && (
+                <span>, {preview.summary.skippedRows} statement lines skipped</span>
+              )}
+              {preview.summary.errorRows > 0 && (
+                <span style={{ color: '#f87171' }}>, {preview.summary.errorRows} with errors</span>
+              )}
+            </p>
+
+            {/* Gambling limits the import would come close to or break */}
+            {preview.limitWarnings && preview.limitWarnings.length > 0 && (
+              <div style={{ marginBottom: '12px' }}>
+                {preview.limitWarnings.map((warning) => (
+                  <div key={warning} style={{ color: '#facc15', fontSize: '14px' }}>{warning}</div>
+                ))}
+              </div>
+            )}
+
+            {/* Projected balance change per account */}
+            {preview.accounts.length > 0 && (
+              <div style={{ overflowX: 'auto', marginBottom: '16px' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr>
+                      <th style={headerCellStyles}>Account</th>
+                      <th style={{ ...headerCellStyles, textAlign: 'right' }}>Current</th>
+                      <th style={{ ...headerCellStyles, textAlign: 'right' }}>Change</th>
+                      <th style={{ ...headerCellStyles, textAlign: 'right' }}>Projected</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.accounts.map((account) => (
+                      <tr key={account.accountKey}>
+                        <td style={cellStyles}>
+                          {account.accountName}
+                          {account.warnings.map((warning) => (
+                            <div key={warning} style={{ color: '#facc15' }}>{warning}</div>
+                          ))}
+                        </td>
+                        <td style={{ ...cellStyles, textAlign: 'right' }}>{formatCurrency(account.currentBalance)}</td>
+                        <td style={{ ...cellStyles, textAlign: 'right', color: account.balanceChange >= 0 ? '#4ade80' : '#f87171' }}>
+                          {account.balanceChange >= 0 ? '+' : ''}{formatCurrency(account.balanceChange)}
+                        </td>
+                        <td style={{ ...cellStyles, textAlign: 'right' }}>{formatCurrency(account.projectedBalance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Parsed rows */}
+            <div style={{ overflowX: 'auto', maxHeight: '400px', overflowY: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    <th style={headerCellStyles}>#</th>
+                    <th style={headerCellStyles}>Account</th>
+                    <th style={headerCellStyles}>Type</th>
+                    <th style={{ ...headerCellStyles, textAlign: 'right' }}>Amount</th>
+                    <th style={headerCellStyles}>Date</th>
+                    <th style={headerCellStyles}>Description</th>
+                    <th style={headerCellStyles}>Status</th>
+                    <th style={{ ...headerCellStyles, textAlign: 'right' }}>Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((row) => {
+                    const hasErrors = row.errors.length > 0;
+                    const rowStyle = hasErrors
+                      ? { backgroundColor: 'rgba(239, 68, 68, 0.1)' }
+                      : row.duplicate ? { opacity: 0.5 } : undefined;
+                    return (
+                      <tr key={row.row} style={rowStyle}>
+                        <td style={cellStyles}>{row.row}</td>
+                        <td style={cellStyles}>{row.accountName || row.accountKey}</td>
+                        <td style={cellStyles}>{row.type}</td>
+                        <td style={{ ...cellStyles, textAlign: 'right' }}>
+                          {row.amount !== null ? formatCurrency(row.amount) : '-'}
+                        </td>
+                        <td style={cellStyles}>{row.date || '-'}</td>
+                        <td style={cellStyles}>
+                          {row.description}
+                          {row.errors.map((rowError) => (
+                            <div key={rowError} style={{ color: '#f87171' }}>{rowError}</div>
+                          ))}
+                        </td>
+                        <td style={cellStyles}>
+                          {row.bet ? row.bet.status : ''}
+                          {row.settles && <div>Settled at the book - update?</div>}
+                        </td>
+                        <td style={{ ...cellStyles, textAlign: 'right', color: row.balanceChange >= 0 ? '#4ade80' : '#f87171' }}>
+                          {hasErrors ? '-' : row.duplicate ? 'Already imported' : formatCurrency(row.balanceChange)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <button
+              type="button"
+              onClick={handleBulkImport}
+              style={dynamicStyles.confirmButton}
+              disabled={isBusy || !preview.canCommit}
+            >
+              <Plus size={16} />
+              {isImporting
+                ? 'Importing...'
+                : preview.canCommit
+                  ? `Confirm Import (${preview.summary.newRows + preview.summary.settledRows} rows)`
+                  : preview.summary.errorRows > 0 ? 'Fix errors to import' : 'Nothing new to import'}
+            </button>
+          </div>
+        )}
+
         <div style={{marginTop: '16px'}}>
           <button
             type="button"
             onClick={handleResetAllData}
             style={dynamicStyles.resetButton}
-            disabled={isImporting || isResetting}
+            disabled={isBusy}
           >
             {isResetting ? 'Resetting...' : 'Reset All Data'}
           </button>
@@ -3,8 +3,11 @@ import { Plus } from 'lucide-react';
 import { useAccounts } from '../../hooks/useAccounts';
 import { useTheme } from '../../context/ThemeContext';
 import { transactionsService } from '../../services/transactions.service';
+import { accountsService } from '../../services/accounts.service';
+import { promotionsService } from '../../services/promotions.service';
 import { styles } from '../../styles/styles';
-import { TRANSACTION_TYPES } from '../../utils/constants';
+import { TRANSACTION_TYPES, MARKET_TYPES } from '../../utils/constants';
+import { FormattersService } from '../../utils/formatters';
 
 export const TransactionForm = () => {
   const { accounts, refreshAccounts } = useAccounts();
@@ -14,10 +17,25 @@ export const TransactionForm = () => {
     type: TRANSACTION_TYPES.DEPOSIT,
     amount: '',
     description: '',
-    account: ''
+    account: '',
+    odds: '',
+    oddsFormat: 'american',
+    sport: '',
+    league: '',
+    marketType: '',
+    tags: '',
+    probability: '',
+    promotionId: '',
+    expiresOn: '',
+    date: FormattersService.toInputDate(),
+    time: ''
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
+  const [stakeSuggestion, setStakeSuggestion] = useState(null);
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const [warnings, setWarnings] = useState([]);
+  const [promotions, setPromotions] = useState([]);
 
   // All available transaction types
   const transactionTypes = [
@@ -30,17 +48,40 @@ export const TransactionForm = () => {
     { value: TRANSACTION_TYPES.HISTORICAL_LOSS, label: 'Historical Loss' }
   ];
 
+  const oddsFormats = [
+    { value: 'american', label: 'American (+150)' },
+    { value: 'decimal', label: 'Decimal (2.50)' },
+    { value: 'fractional', label: 'Fractional (3/2)' }
+  ];
+
+  const isBetType = transactionForm.type === TRANSACTION_TYPES.BET ||
+    transactionForm.type === TRANSACTION_TYPES.BONUS_BET;
+
+  // Bonus bets risk nothing, so only real-money bets are sized against the bankroll
+  const isStakedBet = transactionForm.type === TRANSACTION_TYPES.BET;
+  // Archived accounts keep their history but take no new entries
+  const activeAccountKeys = Object.keys(accounts || {}).filter(key => !accounts[key].archivedAt);
+  const account = accounts && transactionForm.account ? accounts[transactionForm.account] : null;
+  const maxStake = account && account.maxStakePercent && account.balance > 0
+    ? (account.balance * account.maxStakePercent) / 100
+    : null;
+  const isOverStakeLimit = isStakedBet && maxStake !== null && parseFloat(transactionForm.amount) > maxStake;
+
+  // Bets and bonus credits can be recorded against one of the account's active promotions
+  const isBonusCredit = transactionForm.type === TRANSACTION_TYPES.BONUS_CREDIT;
+  const canUsePromotion = isBetType || isBonusCredit;
+
   // Set account from localStorage or first available account as default
   useEffect(() => {
-    if (accounts && Object.keys(accounts).length > 0) {
+    if (activeAccountKeys.length > 0) {
       // Try to get last used account from localStorage
       const lastUsedAccount = localStorage.getItem('lastUsedAccount');
       const lastUsedTransactionType = localStorage.getItem('lastUsedTransactionType');
       
       // Use last used account if it still exists, otherwise use first available
-      const accountToUse = (lastUsedAccount && accounts[lastUsedAccount]) 
+      const accountToUse = activeAccountKeys.includes(lastUsedAccount)
         ? lastUsedAccount 
-        : Object.keys(accounts)[0];
+        : activeAccountKeys[0];
       
       // Use last used transaction type if available
       const transactionTypeToUse = lastUsedTransactionType || TRANSACTION_TYPES.DEPOSIT;
@@ -54,6 +95,17 @@ export const TransactionForm = () => {
     }
   }, [accounts]);
 
+  useEffect(() => {
+    if (!transactionForm.account) {
+      setPromotions([]);
+      return;
+    }
+
+    promotionsService.getPromotions({ accountKey: transactionForm.account, status: 'active' })
+      .then(response => setPromotions(response.promotions))
+      .catch(() => setPromotions([]));
+  }, [transactionForm.account]);
+
   const handleInputChange = (field, value) => {
     setTransactionForm(prev => ({
       ...prev,
@@ -62,6 +114,7 @@ export const TransactionForm = () => {
 
     // Save to localStorage for persistence
     if (field === 'account') {
+      setTransactionForm(prev => ({ ...prev, promotionId: '' }));
       setSelectedAccount(value);
       localStorage.setItem('lastUsedAccount', value);
     }
@@ -69,6 +122,38 @@ export const TransactionForm = () => {
     if (field === 'type') {
       localStorage.setItem('lastUsedTransactionType', value);
     }
+
+    // A suggestion only holds for the account, odds and probability it was made for
+    if (['account', 'type', 'odds', 'oddsFormat', 'probability'].includes(field)) {
+      setStakeSuggestion(null);
+    }
+  };
+
+  const handleSuggestStake = async () => {
+    if (!transactionForm.account || !transactionForm.odds.trim() || !transactionForm.probability) {
+      setError('Enter odds and your estimated win probability to get a stake suggestion');
+      return;
+    }
+
+    setIsSuggesting(true);
+    setError('');
+
+    try {
+      const suggestion = await accountsService.getStakeSuggestion(transactionForm.account, {
+        odds: transactionForm.odds.trim(),
+        oddsFormat: transactionForm.oddsFormat,
+        probability: transactionForm.probability
+      });
+      setStakeSuggestion(suggestion);
+      if (suggestion.stake > 0) {
+        setTransactionForm(prev => ({ ...prev, amount: suggestion.stake.toFixed(2) }));
+      }
+    } catch (error) {
+      setError(error.message || 'Failed to suggest a stake');
+      setStakeSuggestion(null);
+    } finally {
+      setIsSuggesting(false);
+    }
   };
 
   const handleAddTransaction = async () => {
@@ -89,19 +174,63 @@ export const TransactionForm = () => {
       return;
     }
 
+    if (!transactionForm.date) {
+      setError('Please enter a date');
+      return;
+    }
+
+    if (transactionForm.date > FormattersService.toInputDate()) {
+      setError('Date cannot be in the future');
+      return;
+    }
+
     setIsSubmitting(true);
     setError('');
+    setWarnings([]);
 
     try {
-      await transactionsService.createTransaction(transactionForm);
+      const { odds, oddsFormat, sport, league, marketType, tags, probability, promotionId, expiresOn, date, time, ...transactionData } = transactionForm;
+
+      // Odds and metadata are optional and only apply to bets.
+      // Without a time the server records the current time for today's entries.
+      const response = await transactionsService.createTransaction({
+        ...transactionData,
+        date,
+        ...(time && { time }),
+        ...(isBetType && odds.trim() && { odds: odds.trim(), oddsFormat }),
+        ...(isBetType && sport.trim() && { sport: sport.trim() }),
+        ...(isBetType && league.trim() && { league: league.trim() }),
+        ...(isBetType && marketType && { marketType }),
+        ...(isBetType && tags.trim() && { tags: tags.trim() }),
+        ...(canUsePromotion && promotionId && { promotionId: parseInt(promotionId) }),
+        ...(isBonusCredit && expiresOn && { expiresOn })
+      });
       await refreshAccounts();
 
+      // The entry was saved, but it is worth knowing about stake sizes and limits
+      setWarnings([
+        ...(response.bankrollCheck && response.bankrollCheck.warning ? [response.bankrollCheck.warning] : []),
+        ...(response.limitWarnings || [])
+      ]);
+      setStakeSuggestion(null);
+
       // Reset form
       setTransactionForm({ 
         type: TRANSACTION_TYPES.DEPOSIT, 
         amount: '', 
         description: '', 
-        account: selectedAccount
+        account: selectedAccount,
+        odds: '',
+        oddsFormat,
+        sport,
+        league,
+        marketType: '',
+        tags: '',
+        probability: '',
+        promotionId: '',
+        expiresOn: '',
+        date,
+        time: ''
       });
 
     } catch (error) {
@@ -246,7 +375,7 @@ export const TransactionForm = () => {
   }
 
   // Show message if no accounts available
-  if (Object.keys(accounts).length === 0) {
+  if (activeAccountKeys.length === 0) {
     return (
       <div style={formContainerStyles}>
         <div style={headerStyles}>
@@ -254,7 +383,7 @@ export const TransactionForm = () => {
           <p style={subtitleStyles}>No accounts available</p>
         </div>
         <div style={{ textAlign: 'center', padding: '20px' }}>
-          <p style={{ color: '#94a3b8' }}>Please add an account first.</p>
+          <p style={{ color: '#94a3b8' }}>Add a sportsbook on the Accounts tab first.</p>
         </div>
       </div>
     );
@@ -284,9 +413,9 @@ export const TransactionForm = () => {
             onBlur={(e) => e.target.style.borderColor = '#4b5563'}
           >
             <option value="">Select Account</option>
-            {Object.entries(accounts).map(([key, account]) => (
+            {activeAccountKeys.map(key => (
               <option key={key} value={key}>
-                {account.name} (${account.balance?.toFixed(2) || '0.00'})
+                {accounts[key].name} (${accounts[key].balance?.toFixed(2) || '0.00'})
               </option>
             ))}
           </select>
@@ -326,8 +455,223 @@ export const TransactionForm = () => {
             onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
             onBlur={(e) => e.target.style.borderColor = '#4b5563'}
           />
+          {isOverStakeLimit && (
+            <p style={{ color: '#facc15', fontSize: '13px', margin: '8px 0 0 0' }}>
+              Above this account's {account.maxStakePercent}% maximum stake ({FormattersService.formatCurrency(maxStake)}) - the bet will be flagged.
+            </p>
+          )}
+        </div>
+
+        {/* Date and optional time - backdate entries made after the fact */}
+        <div style={formGroupStyles}>
+          <label style={labelStyles}>Date / Time</label>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <input
+              type="date"
+              value={transactionForm.date}
+              max={FormattersService.toInputDate()}
+              onChange={(e) => handleInputChange('date', e.target.value)}
+              style={{ ...inputStyles, flex: 1, colorScheme: 'dark' }}
+              disabled={isSubmitting}
+              onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
+              onBlur={(e) => e.target.style.borderColor = '#4b5563'}
+            />
+            <input
+              type="time"
+              value={transactionForm.time}
+              onChange={(e) => handleInputChange('time', e.target.value)}
+              style={{ ...inputStyles, flex: 1, colorScheme: 'dark' }}
+              disabled={isSubmitting}
+              onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
+              onBlur={(e) => e.target.style.borderColor = '#4b5563'}
+            />
+          </div>
         </div>
 
+        {/* Last day a bonus credit can be used (bonus credits only) */}
+        {isBonusCredit && (
+          <div style={formGroupStyles}>
+            <label style={labelStyles}>Expires (optional)</label>
+            <input
+              type="date"
+              value={transactionForm.expiresOn}
+              min={transactionForm.date}
+              onChange={(e) => handleInputChange('expiresOn', e.target.value)}
+              style={{ ...inputStyles, colorScheme: 'dark' }}
+              disabled={isSubmitting}
+              onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
+              onBlur={(e) => e.target.style.borderColor = '#4b5563'}
+            />
+          </div>
+        )}
+
+        {/* Odds Input (bets only) */}
+        {isBetType && (
+          <div style={formGroupStyles}>
+            <label style={labelStyles}>Odds (optional)</label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input
+                type="text"
+                value={transactionForm.odds}
+                onChange={(e) => handleInputChange('odds', e.target.value)}
+                placeholder={transactionForm.oddsFormat === 'american' ? '-110' :
+                  transactionForm.oddsFormat === 'decimal' ? '1.91' : '10/11'}
+                style={{ ...inputStyles, flex: 1 }}
+                disabled={isSubmitting}
+                onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
+                onBlur={(e) => e.target.style.borderColor = '#4b5563'}
+              />
+              <select
+                value={transactionForm.oddsFormat}
+                onChange={(e) => handleInputChange('oddsFormat', e.target.value)}
+                style={{ ...selectStyles, flex: 1 }}
+                disabled={isSubmitting}
+                onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
+                onBlur={(e) => e.target.style.borderColor = '#4b5563'}
+              >
+                {oddsFormats.map((format) => (
+                  <option key={format.value} value={format.value}>
+                    {format.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+
+        {/* Promotion the entry belongs to - bets with a bet credit are bonus bets */}
+        {canUsePromotion && promotions.length > 0 && (
+          <div style={formGroupStyles}>
+            <label style={labelStyles}>Promotion (optional)</label>
+            <select
+              value={transactionForm.promotionId}
+              onChange={(e) => handleInputChange('promotionId', e.target.value)}
+              style={selectStyles}
+              disabled={isSubmitting}
+              onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
+              onBlur={(e) => e.target.style.borderColor = '#4b5563'}
+            >
+              <option value="">None</option>
+              {promotions.map((promotion) => (
+                <option key={promotion.id} value={promotion.id}>
+                  {promotion.name} ({promotion.label})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Kelly stake suggestion (real-money bets only) */}
+        {isStakedBet && (
+          <div style={formGroupStyles}>
+            <label style={labelStyles}>Win Probability % (optional)</label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.1"
+                value={transactionForm.probability}
+                onChange={(e) => handleInputChange('probability', e.target.value)}
+                placeholder="55"
+                style={{ ...inputStyles, flex: 1 }}
+                disabled={isSubmitting}
+                onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
+                onBlur={(e) => e.target.style.borderColor = '#4b5563'}
+              />
+              <button
+                type="button"
+                onClick={handleSuggestStake}
+                disabled={isSubmitting || isSuggesting}
+                style={{
+                  ...inputStyles,
+                  flex: 1,
+                  cursor: isSuggesting ? 'not-allowed' : 'pointer',
+                  backgroundColor: currentTheme?.primary || '#a855f7',
+                  border: 'none',
+                  fontWeight: '600',
+                  opacity: isSuggesting ? 0.6 : 1
+                }}
+              >
+                {isSuggesting ? 'Sizing...' : 'Suggest Stake'}
+              </button>
+            </div>
+            {stakeSuggestion && (
+              <p style={{ color: '#cbd5e1', fontSize: '13px', margin: '8px 0 0 0' }}>
+                {stakeSuggestion.stake > 0
+                  ? `${FormattersService.formatCurrency(stakeSuggestion.stake)} (${stakeSuggestion.stakePercent}% of bankroll` +
+                    `${stakeSuggestion.units !== null ? `, ${stakeSuggestion.units} units` : ''}) - `
+                  : ''}
+                {stakeSuggestion.message}
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Bet Metadata (bets only) */}
+        {isBetType && (
+          <div style={formGroupStyles}>
+            <label style={labelStyles}>Sport / League (optional)</label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input
+                type="text"
+                value={transactionForm.sport}
+                onChange={(e) => handleInputChange('sport', e.target.value)}
+                placeholder="Basketball"
+                maxLength={50}
+                style={{ ...inputStyles, flex: 1 }}
+                disabled={isSubmitting}
+                onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
+                onBlur={(e) => e.target.style.borderColor = '#4b5563'}
+              />
+              <input
+                type="text"
+                value={transactionForm.league}
+                onChange={(e) => handleInputChange('league', e.target.value)}
+                placeholder="NBA"
+                maxLength={50}
+                style={{ ...inputStyles, flex: 1 }}
+                disabled={isSubmitting}
+                onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
+                onBlur={(e) => e.target.style.borderColor = '#4b5563'}
+              />
+            </div>
+          </div>
+        )}
+
+        {isBetType && (
+          <div style={formGroupStyles}>
+            <label style={labelStyles}>Market / Tags (optional)</label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <select
+                value={transactionForm.marketType}
+                onChange={(e) => handleInputChange('marketType', e.target.value)}
+                style={{ ...selectStyles, flex: 1 }}
+                disabled={isSubmitting}
+                onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
+                onBlur={(e) => e.target.style.borderColor = '#4b5563'}
+              >
+                <option value="">Market type</option>
+                {MARKET_TYPES.map((market) => (
+                  <option key={market.value} value={market.value}>
+                    {market.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={transactionForm.tags}
+                onChange={(e) => handleInputChange('tags', e.target.value)}
+                placeholder="player-props, live"
+                style={{ ...inputStyles, flex: 1 }}
+                disabled={isSubmitting}
+                onFocus={(e) => e.target.style.borderColor = currentTheme?.primary || '#a855f7'}
+                onBlur={(e) => e.target.style.borderColor = '#4b5563'}
+              />
+            </div>
+          </div>
+        )}
+
         {/* Error Message */}
         {error && (
           <div style={errorStyles}>
@@ -335,6 +679,15 @@ export const TransactionForm = () => {
           </div>
         )}
 
+        {warnings.map((warning) => (
+          <div
+            key={warning}
+            style={{ ...errorStyles, color: '#facc15', backgroundColor: 'rgba(250, 204, 21, 0.1)', border: '1px solid rgba(250, 204, 21, 0.3)' }}
+          >
+            {warning}
+          </div>
+        ))}
+
         {/* Submit Button */}
         <button
           onClick={handleAddTransaction}
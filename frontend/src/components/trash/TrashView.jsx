@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { Trash2, RotateCcw, RotateCw } from 'lucide-react';
+import { useTheme } from '../../context/ThemeContext';
+import { trashService } from '../../services/trash.service';
+import { FormattersService } from '../../utils/formatters';
+import { styles } from '../../styles/styles';
+import { Card } from '../common/Card';
+import { LoadingSpinner } from '../ui/LoadingSpinner';
+
+const ITEM_TYPE_LABELS = {
+  transaction: 'Transaction',
+  bet: 'Bet',
+  account: 'Account cleared',
+  all: 'All data reset'
+};
+
+export const TrashView = () => {
+  const { currentTheme } = useTheme();
+  const [trash, setTrash] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyAction, setBusyAction] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchTrash = async () => {
+    try {
+      const response = await trashService.getTrash();
+      setTrash(response);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  // Runs one trash action at a time and reloads the list afterwards
+  const runAction = async (key, action) => {
+    setBusyAction(key);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await action();
+      setMessage(response.message);
+      await fetchTrash();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handlePurge = (item) => {
+    if (window.confirm(`Permanently delete "${item.label}"? This cannot be undone.`)) {
+      runAction(`purge-${item.id}`, () => trashService.purgeItem(item.id));
+    }
+  };
+
+  const handleEmpty = () => {
+    if (window.confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+      runAction('empty', () => trashService.emptyTrash());
+    }
+  };
+
+  const formatSigned = (amount) => `${amount > 0 ? '+' : ''}${FormattersService.formatCurrency(amount)}`;
+
+  const buttonStyles = {
+    ...styles.smallButton,
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '6px',
+    backgroundColor: currentTheme?.primary || '#7c3aed',
+    color: 'white'
+  };
+
+  const disabledStyles = {
+    opacity: 0.6,
+    cursor: 'not-allowed'
+  };
+
+  if (isLoading) return <LoadingSpinner />;
+
+  const items = trash?.items || [];
+
+  return (
+    <Card>
+      <div style={{ ...styles.accountHeader, flexWrap: 'wrap', gap: '12px' }}>
+        <h3 style={{ ...styles.sectionTitle, margin: 0 }}>Trash</h3>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button
+            onClick={() => runAction('undo', () => trashService.undo())}
+            disabled={!trash?.canUndo || busyAction !== null}
+            style={{ ...buttonStyles, ...(!trash?.canUndo || busyAction !== null ? disabledStyles : {}) }}
+          >
+            <RotateCcw size={14} /> Undo
+          </button>
+          <button
+            onClick={() => runAction('redo', () => trashService.redo())}
+            disabled={!trash?.canRedo || busyAction !== null}
+            style={{ ...buttonStyles, ...(!trash?.canRedo || busyAction !== null ? disabledStyles : {}) }}
+          >
+            <RotateCw size={14} /> Redo
+          </button>
+          <button
+            onClick={handleEmpty}
+            disabled={items.length === 0 || busyAction !== null}
+            style={{
+              ...buttonStyles,
+              backgroundColor: '#dc2626',
+              ...(items.length === 0 || busyAction !== null ? disabledStyles : {})
+            }}
+          >
+            <Trash2 size={14} /> Empty Trash
+          </button>
+        </div>
+      </div>
+
+      <p style={{ fontSize: '14px', color: '#94a3b8', margin: '0 0 16px 0' }}>
+        Deleted transactions, bets and cleared accounts stay here for {trash?.retentionDays || 30} days.
+        Restoring an item puts its records back and reverses the balance changes the delete made.
+      </p>
+
+      {error && <p style={{ color: '#ef4444', fontSize: '14px' }}>{error}</p>}
+      {message && <p style={{ color: '#4ade80', fontSize: '14px' }}>{message}</p>}
+
+      {items.length === 0 ? (
+        <p style={{ color: '#94a3b8', textAlign: 'center', padding: '24px 0' }}>The trash is empty.</p>
+      ) : (
+        items.map((item) => (
+          <div key={item.id} style={styles.betCard}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+              <div>
+                <p style={{ color: 'white', fontWeight: '500', margin: '0 0 4px 0' }}>{item.label}</p>
+                <p style={{ fontSize: '12px', color: '#94a3b8', margin: 0 }}>
+                  {ITEM_TYPE_LABELS[item.itemType]}
+                  {item.accountName && item.itemType !== 'account' ? ` · ${item.accountName}` : ''}
+                  {item.itemType === 'account' || item.itemType === 'all'
+                    ? ` · ${item.transactionCount} transaction(s), ${item.betCount} bet(s)`
+                    : ''}
+                  {' · '}Deleted {FormattersService.formatDateTime(item.deletedAt)}
+                  {' · '}Expires {FormattersService.formatDate(item.expiresAt)}
+                </p>
+                {item.balanceChange !== 0 && (
+                  <p style={{ fontSize: '12px', color: '#94a3b8', margin: '4px 0 0 0' }}>
+                    Restoring changes the balance by {formatSigned(-item.balanceChange)}
+                  </p>
+                )}
+              </div>
+              <div style={{ display: 'flex', gap: '8px', flexShrink: 0 }}>
+                <button
+                  onClick={() => runAction(`restore-${item.id}`, () => trashService.restoreItem(item.id))}
+                  disabled={busyAction !== null}
+                  style={{ ...buttonStyles, ...(busyAction !== null ? disabledStyles : {}) }}
+                >
+                  {busyAction === `restore-${item.id}` ? 'Restoring...' : 'Restore'}
+                </button>
+                <button
+                  onClick={() => handlePurge(item)}
+                  disabled={busyAction !== null}
+                  title="Delete permanently"
+                  style={{
+                    ...buttonStyles,
+                    backgroundColor: '#dc2626',
+                    ...(busyAction !== null ? disabledStyles : {})
+                  }}
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </div>
+          </div>
+        ))
+      )}
+    </Card>
+  );
+};
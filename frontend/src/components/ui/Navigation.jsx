@@ -10,7 +10,8 @@ export const Navigation = ({ activeTab, setActiveTab }) => {
     { id: 'analytics', label: 'Analytics' },
     { id: 'accounts', label: 'Accounts' },
     { id: 'add-transaction', label: 'Add Transaction' },
-    { id: 'bulk-import', label: 'Bulk Import' }
+    { id: 'bulk-import', label: 'Bulk Import' },
+    { id: 'trash', label: 'Trash' }
   ];
 
   const dynamicStyles = {
@@ -5,6 +5,22 @@ class AccountsService {
     return apiService.get('/accounts');
   }
 
+  async getCatalog() {
+    return apiService.get('/accounts/catalog');
+  }
+
+  async createAccount(data) {
+    return apiService.post('/accounts', data);
+  }
+
+  async archiveAccount(accountKey) {
+    return apiService.post(`/accounts/${accountKey}/archive`);
+  }
+
+  async unarchiveAccount(accountKey) {
+    return apiService.post(`/accounts/${accountKey}/unarchive`);
+  }
+
   async clearAccount(accountKey) {
     return apiService.delete(`/accounts/${accountKey}`);
   }
@@ -16,6 +32,26 @@ class AccountsService {
   async updateAccount(accountKey, data) {
     return apiService.put(`/accounts/${accountKey}`, data);
   }
+
+  async getStakeSuggestion(accountKey, { odds, oddsFormat, probability }) {
+    const params = { odds, probability };
+    if (oddsFormat) params.oddsFormat = oddsFormat;
+    const queryString = new URLSearchParams(params).toString();
+    return apiService.get(`/accounts/${accountKey}/stake-suggestion?${queryString}`);
+  }
+
+  async previewReconciliation(accountKey, reportedBalance) {
+    const queryString = new URLSearchParams({ reportedBalance }).toString();
+    return apiService.get(`/accounts/${accountKey}/reconcile?${queryString}`);
+  }
+
+  async reconcileBalance(accountKey, { reportedBalance, adjust = false, note = '' }) {
+    return apiService.post(`/accounts/${accountKey}/reconcile`, { reportedBalance, adjust, note });
+  }
+
+  async getReconciliations(accountKey, page = 1) {
+    return apiService.get(`/accounts/${accountKey}/reconciliations?page=${page}`);
+  }
 }
 
 export const accountsService = new AccountsService();
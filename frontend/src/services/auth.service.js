@@ -35,6 +35,15 @@ class AuthService {
     }
   }
 
+  async getSettings() {
+    return await apiService.get('/auth/settings');
+  }
+
+  // Top-level keys are merged into the stored settings
+  async updateSettings(settings) {
+    return await apiService.put('/auth/settings', { settings });
+  }
+
   logout() {
     localStorage.removeItem('token');
   }
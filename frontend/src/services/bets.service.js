@@ -35,11 +35,12 @@ class BetsService {
     }
   }
 
-  async settleBet(betId, status, winnings = 0) {
+  async settleBet(betId, status, winnings) {
     try {
+      // Omitting winnings lets the backend derive the payout from the bet's odds
       return await apiService.put(`/bets/${betId}`, { 
         status, 
-        winnings: parseFloat(winnings) || 0 
+        ...(winnings !== undefined && { winnings: parseFloat(winnings) || 0 })
       });
     } catch (error) {
       console.error('Settle bet error:', error);
@@ -47,6 +48,44 @@ class BetsService {
     }
   }
 
+  async bulkSettleBets(results) {
+    try {
+      // Each result is { betId, status, winnings } - winners without winnings are paid at their odds
+      return await apiService.post('/bets/bulk-settle', { results });
+    } catch (error) {
+      console.error('Bulk settle bets error:', error);
+      throw new Error(error.message || 'Failed to settle bets');
+    }
+  }
+
+  async settleLegs(betId, legs) {
+    try {
+      return await apiService.put(`/bets/${betId}`, { legs });
+    } catch (error) {
+      console.error('Settle parlay legs error:', error);
+      throw new Error('Failed to settle parlay legs');
+    }
+  }
+
+  async updateBet(betId, changes) {
+    try {
+      return await apiService.put(`/bets/${betId}`, changes);
+    } catch (error) {
+      console.error('Update bet error:', error);
+      // Keep the server's reason - edits are rejected for specific fields
+      throw new Error(error.message || 'Failed to update bet');
+    }
+  }
+
+  async getBetHistory(betId) {
+    try {
+      return await apiService.get(`/bets/${betId}/history`);
+    } catch (error) {
+      console.error('Get bet history error:', error);
+      throw new Error('Failed to fetch bet history');
+    }
+  }
+
   async deleteBet(betId) {
     try {
       return await apiService.delete(`/bets/${betId}`);
@@ -101,7 +140,16 @@ class BetsService {
     }
   }
 
-  async getBetStats(filters = {}) {
+  async getTags() {
+    try {
+      return await apiService.get('/bets/tags');
+    } catch (error) {
+      console.error('Get bet tags error:', error);
+      throw new Error('Failed to fetch bet tags');
+    }
+  }
+
+    async getBetStats(filters = {}) {
     try {
       const queryParams = new URLSearchParams();
       
@@ -120,6 +168,24 @@ class BetsService {
       throw new Error('Failed to fetch bet statistics');
     }
   }
+
+  async getEquityCurve(params = {}) {
+    try {
+      const queryParams = new URLSearchParams();
+
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          queryParams.append(key, value);
+        }
+      });
+
+      const queryString = queryParams.toString();
+      return await apiService.get(`/bets/equity-curve${queryString ? `?${queryString}` : ''}`);
+    } catch (error) {
+      console.error('Get equity curve error:', error);
+      throw new Error('Failed to fetch equity curve');
+    }
+  }
 }
 
 export const betsService = new BetsService();
\ No newline at end of file
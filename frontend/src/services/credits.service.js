@@ -0,0 +1,17 @@
+import { apiService } from './api';
+
+class CreditsService {
+  async getCredits({ accountKey = null } = {}) {
+    const params = new URLSearchParams();
+    if (accountKey) params.append('accountKey', accountKey);
+    const query = params.toString();
+    return apiService.get(`/credits${query ? `?${query}` : ''}`);
+  }
+
+  async getExpiringCredits(withinDays = 7) {
+    const query = new URLSearchParams({ withinDays }).toString();
+    return apiService.get(`/credits/expiring?${query}`);
+  }
+}
+
+export const creditsService = new CreditsService();
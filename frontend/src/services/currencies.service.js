@@ -0,0 +1,34 @@
+import { apiService } from './api';
+
+class CurrenciesService {
+  async getCurrencies() {
+    return apiService.get('/currencies');
+  }
+
+  async setBaseCurrency(baseCurrency) {
+    return apiService.put('/currencies/base', { baseCurrency });
+  }
+
+  async getRates({ currency = null, startDate = null, endDate = null } = {}) {
+    const params = new URLSearchParams();
+    if (currency) params.append('currency', currency);
+    if (startDate) params.append('startDate', startDate);
+    if (endDate) params.append('endDate', endDate);
+    const query = params.toString();
+    return apiService.get(`/currencies/rates${query ? `?${query}` : ''}`);
+  }
+
+  async saveRate(rate) {
+    return apiService.post('/currencies/rates', rate);
+  }
+
+  async importRates(data) {
+    return apiService.post('/currencies/rates/import', { data });
+  }
+
+  async deleteRate(rateId) {
+    return apiService.delete(`/currencies/rates/${rateId}`);
+  }
+}
+
+export const currenciesService = new CurrenciesService();
@@ -0,0 +1,29 @@
+import { apiService } from './api';
+
+class DigestsService {
+  async getSubscriptions() {
+    return apiService.get('/digests');
+  }
+
+  async subscribe({ channel, frequency = 'week', destination = null, staleAfterDays = 7 }) {
+    return apiService.post('/digests', { channel, frequency, destination, staleAfterDays });
+  }
+
+  async updateSubscription(subscriptionId, changes) {
+    return apiService.put(`/digests/${subscriptionId}`, changes);
+  }
+
+  async unsubscribe(subscriptionId) {
+    return apiService.delete(`/digests/${subscriptionId}`);
+  }
+
+  async previewDigest(subscriptionId) {
+    return apiService.get(`/digests/${subscriptionId}/preview`);
+  }
+
+  async sendNow(subscriptionId) {
+    return apiService.post(`/digests/${subscriptionId}/send`);
+  }
+}
+
+export const digestsService = new DigestsService();
@@ -0,0 +1,21 @@
+import { apiService } from './api';
+
+class LimitsService {
+  async getLimits() {
+    return apiService.get('/limits');
+  }
+
+  async setLimit({ limitType, period, amount, enforcement = 'block', accountKey = null }) {
+    return apiService.put('/limits', { limitType, period, amount, enforcement, accountKey });
+  }
+
+  async removeLimit(limitId) {
+    return apiService.delete(`/limits/${limitId}`);
+  }
+
+  async cancelPendingChange(limitId) {
+    return apiService.delete(`/limits/${limitId}/pending`);
+  }
+}
+
+export const limitsService = new LimitsService();
@@ -0,0 +1,36 @@
+import { apiService } from './api';
+
+class PositionsService {
+  async calculate(calculation) {
+    return apiService.post('/positions/calculate', calculation);
+  }
+
+  async getPositions({ strategy = null } = {}) {
+    const params = new URLSearchParams();
+    if (strategy) params.append('strategy', strategy);
+    const query = params.toString();
+    return apiService.get(`/positions${query ? `?${query}` : ''}`);
+  }
+
+  async createPosition(position) {
+    return apiService.post('/positions', position);
+  }
+
+  async updatePosition(positionId, changes) {
+    return apiService.put(`/positions/${positionId}`, changes);
+  }
+
+  async deletePosition(positionId) {
+    return apiService.delete(`/positions/${positionId}`);
+  }
+
+  async addBets(positionId, betIds) {
+    return apiService.post(`/positions/${positionId}/bets`, { betIds });
+  }
+
+  async removeBet(positionId, betId) {
+    return apiService.delete(`/positions/${positionId}/bets/${betId}`);
+  }
+}
+
+export const positionsService = new PositionsService();
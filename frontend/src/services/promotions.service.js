@@ -0,0 +1,25 @@
+import { apiService } from './api';
+
+class PromotionsService {
+  async getPromotions({ accountKey = null, status = null } = {}) {
+    const params = new URLSearchParams();
+    if (accountKey) params.append('accountKey', accountKey);
+    if (status) params.append('status', status);
+    const query = params.toString();
+    return apiService.get(`/promotions${query ? `?${query}` : ''}`);
+  }
+
+  async createPromotion(promotion) {
+    return apiService.post('/promotions', promotion);
+  }
+
+  async updatePromotion(promotionId, changes) {
+    return apiService.put(`/promotions/${promotionId}`, changes);
+  }
+
+  async deletePromotion(promotionId) {
+    return apiService.delete(`/promotions/${promotionId}`);
+  }
+}
+
+export const promotionsService = new PromotionsService();
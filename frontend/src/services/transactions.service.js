@@ -126,6 +126,143 @@ export const transactionsService = {
     }
   },
 
+  // List import formats (generic CSV and sportsbook exports)
+  getImportFormats: async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_ENDPOINTS}/bulk-import/formats`, {
+        headers: {
+          ...(token && { 'Authorization': `Bearer ${token}` })
+        }
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        throw new Error(errorData?.error || 'Failed to fetch import formats');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching import formats:', error);
+      throw error;
+    }
+  },
+
+  // Preview a bulk import without saving anything. Sportsbook exports
+  // need options.format and the options.accountKey to import into.
+  previewImport: async (data, options = {}) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_ENDPOINTS}/bulk-import/preview`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { 'Authorization': `Bearer ${token}` })
+        },
+        body: JSON.stringify({ data, ...options }),
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        throw new Error(errorData?.error || 'Failed to preview import');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      throw error;
+    }
+  },
+
+  // Commit a previewed bulk import; the checksum ties it to that preview
+  commitImport: async (data, checksum, options = {}) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_ENDPOINTS}/bulk-import/commit`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { 'Authorization': `Bearer ${token}` })
+        },
+        body: JSON.stringify({ data, checksum, ...options }),
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        throw new Error(errorData?.error || 'Failed to import data');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error committing import:', error);
+      throw error;
+    }
+  },
+
+  // Download a full JSON backup of the user's data
+  downloadBackup: async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_ENDPOINTS}/backup`, {
+        headers: {
+          ...(token && { 'Authorization': `Bearer ${token}` })
+        }
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        throw new Error(errorData?.error || 'Failed to create backup');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      throw error;
+    }
+  },
+
+  // Restore a JSON backup; mode is 'replace' or 'merge'
+  restoreBackup: async (backup, mode = 'replace') => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_ENDPOINTS}/restore`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { 'Authorization': `Bearer ${token}` })
+        },
+        body: JSON.stringify({ backup, mode }),
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        throw new Error(errorData?.error || 'Failed to restore backup');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      throw error;
+    }
+  },
+
+  // Delete all transactions and bets and zero every account
+  resetAllData: async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_ENDPOINTS}/reset`, {
+        method: 'DELETE',
+        headers: {
+          ...(token && { 'Authorization': `Bearer ${token}` })
+        }
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        throw new Error(errorData?.error || 'Failed to reset data');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error resetting data:', error);
+      throw error;
+    }
+  },
+
   // Get transaction statistics
   getTransactionStats: async (filters = {}) => {
     try {
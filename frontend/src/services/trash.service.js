@@ -0,0 +1,29 @@
+import { apiService } from './api';
+
+class TrashService {
+  async getTrash(includeRestored = false) {
+    return apiService.get(`/trash${includeRestored ? '?includeRestored=true' : ''}`);
+  }
+
+  async undo() {
+    return apiService.post('/trash/undo', {});
+  }
+
+  async redo() {
+    return apiService.post('/trash/redo', {});
+  }
+
+  async restoreItem(itemId) {
+    return apiService.post(`/trash/${itemId}/restore`, {});
+  }
+
+  async purgeItem(itemId) {
+    return apiService.delete(`/trash/${itemId}`);
+  }
+
+  async emptyTrash() {
+    return apiService.delete('/trash');
+  }
+}
+
+export const trashService = new TrashService();
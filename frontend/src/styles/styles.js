@@ -323,6 +323,16 @@ export const styles = {
     backgroundColor: '#dc2626',
     color: 'white'
   },
+  
+  pushButton: {
+    backgroundColor: '#475569',
+    color: 'white'
+  },
+  
+  cashOutButton: {
+    backgroundColor: '#2563eb',
+    color: 'white'
+  },
 
   // Form styles
   formContainer: {
@@ -1,4 +1,9 @@
+// Amounts are recorded in the account's currency; the server sends the rate into the base currency for each date
+const toBase = (amount, rate) => (amount || 0) * (rate ?? 1);
+
 export class CalculationsService {
+  // Totals are in the user's base currency. Accounts with no exchange rate yet are left out, their
+  // currencies listed in missingRates and the totals marked as not complete.
   static getTotals(accounts) {
     let totalDeposits = 0;
     let totalWithdrawals = 0;
@@ -8,6 +13,7 @@ export class CalculationsService {
     let totalBetsWon = 0;
     let totalBetsLost = 0;
     let totalBetsPlaced = 0;
+    let totalBetsUngraded = 0;
     let totalAmountWagered = 0;
     let currentStreak = 0;
     let longestWinStreak = 0;
@@ -17,17 +23,29 @@ export class CalculationsService {
     let lastBetResult = null;
     let historicalWins = 0;
     let historicalLosses = 0;
+    let totalPromoValue = 0;
+    let currency = 'USD';
+    const missingRates = new Set();
+
+    Object.values(accounts).forEach((account) => {
+      const fx = account.fx || {};
+      const accountDeposits = fx.totalDeposits ?? account.totalDeposits ?? 0;
+      const accountWithdrawals = fx.totalWithdrawals ?? account.totalWithdrawals ?? 0;
+      if (fx.currency) currency = fx.currency;
+      if (account.fx && fx.rate === null) {
+        missingRates.add(account.currency);
+        return;
+      }
 
-    Object.entries(accounts).forEach(([key, account]) => {
-      totalDeposits += account.totalDeposits || 0;
-      totalWithdrawals += account.totalWithdrawals || 0;
+      totalDeposits += accountDeposits;
+      totalWithdrawals += accountWithdrawals;
       
       const hasBettingActivity = (account.bets || []).length > 0 || 
                                (account.transactions || []).some(t => ['historical-win', 'historical-loss'].includes(t.type));
       
-      let adjustedBalance = account.balance || 0;
+      let adjustedBalance = fx.balance ?? account.balance ?? 0;
       if (!hasBettingActivity) {
-        const withdrawalSurplus = (account.totalWithdrawals || 0) - (account.totalDeposits || 0);
+        const withdrawalSurplus = accountWithdrawals - accountDeposits;
         if (withdrawalSurplus > 0) {
           adjustedBalance = 0;
           totalWins += withdrawalSurplus;
@@ -37,7 +55,8 @@ export class CalculationsService {
       totalBalance += adjustedBalance;
       
       if (account.transactions) {
-        account.transactions.forEach(transaction => {
+        account.transactions.forEach((recorded) => {
+          const transaction = { ...recorded, amount: toBase(recorded.amount, recorded.fxRate) };
           if (transaction.type === 'historical-win') {
             historicalWins++;
             totalWins += transaction.amount;
@@ -48,15 +67,17 @@ export class CalculationsService {
             totalAmountWagered += transaction.amount;
             if (transaction.amount > biggestLoss) biggestLoss = transaction.amount;
           } else if (transaction.type === 'bonus-credit') {
-            if (key === 'fanduel') {
-              totalWins += transaction.amount;
-            }
+            // Promo credits are profit at every book
+            totalWins += transaction.amount;
+            totalPromoValue += transaction.amount;
           }
         });
       }
       
       if (account.bets) {
-        const sortedBets = [...account.bets].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const sortedBets = account.bets
+          .map(bet => ({ ...bet, amount: toBase(bet.amount, bet.fxRate), winnings: toBase(bet.winnings, bet.fxRate) }))
+          .sort((a, b) => new Date(a.date) - new Date(b.date));
         
         sortedBets.forEach((bet) => {
           totalAmountWagered += bet.amount;
@@ -66,6 +87,7 @@ export class CalculationsService {
             const netProfit = (bet.winnings || 0) - bet.amount;
             totalWins += netProfit; 
             totalBetsWon++;
+            if (bet.isBonusBet) totalPromoValue += netProfit;
             if (netProfit > biggestWin) biggestWin = netProfit;
             
             if (lastBetResult === 'won') {
@@ -87,6 +109,17 @@ export class CalculationsService {
               currentStreak = 1;
             }
             lastBetResult = 'lost';
+          } else if (bet.status === 'cashout') {
+            const netProfit = (bet.winnings || 0) - bet.amount;
+            if (netProfit >= 0) {
+              totalWins += netProfit;
+            } else {
+              totalLosses += -netProfit;
+            }
+            totalBetsUngraded++;
+          } else if (bet.status === 'push' || bet.status === 'void') {
+            // Stake returned - no profit, no loss, and the streak is untouched
+            totalBetsUngraded++;
           }
         });
       }
@@ -105,7 +138,8 @@ export class CalculationsService {
     const adjustedTotalBetsPlaced = totalBetsPlaced + totalHistoricalBets;
 
     const netPL = totalWins - totalLosses;
-    const winRate = adjustedTotalBetsPlaced > 0 ? (adjustedTotalBetsWon / adjustedTotalBetsPlaced) * 100 : 0;
+    const gradedBetsPlaced = adjustedTotalBetsPlaced - totalBetsUngraded;
+    const winRate = gradedBetsPlaced > 0 ? (adjustedTotalBetsWon / gradedBetsPlaced) * 100 : 0;
     const avgBetSize = adjustedTotalBetsPlaced > 0 ? totalAmountWagered / adjustedTotalBetsPlaced : 0;
     const roi = totalAmountWagered > 0 ? (netPL / totalAmountWagered) * 100 : 0;
     const avgWin = adjustedTotalBetsWon > 0 ? totalWins / adjustedTotalBetsWon : 0;
@@ -133,7 +167,11 @@ export class CalculationsService {
       longestLoseStreak,
       currentStreak: lastBetResult === 'won' ? currentStreak : lastBetResult === 'lost' ? -currentStreak : 0,
       biggestWin,
-      biggestLoss
+      biggestLoss,
+      totalPromoValue,
+      currency,
+      missingRates: [...missingRates].sort(),
+      complete: missingRates.size === 0
     };
   }
 
@@ -143,15 +181,16 @@ export class CalculationsService {
     
     // Calculate bet-related metrics
     const completedBets = bets.filter(bet => bet.status !== 'pending');
+    const gradedBets = bets.filter(bet => bet.status === 'won' || bet.status === 'lost');
     const wonBets = bets.filter(bet => bet.status === 'won');
     const lostBets = bets.filter(bet => bet.status === 'lost');
     const pendingBets = bets.filter(bet => bet.status === 'pending');
     
     const totalWagered = bets.reduce((sum, bet) => sum + bet.amount, 0);
-    const totalWinnings = wonBets.reduce((sum, bet) => sum + (bet.winnings || 0), 0);
+    const totalWinnings = completedBets.reduce((sum, bet) => sum + (bet.winnings || 0), 0);
     const totalLosses = lostBets.reduce((sum, bet) => sum + bet.amount, 0);
     
-    const winRate = completedBets.length > 0 ? (wonBets.length / completedBets.length) * 100 : 0;
+    const winRate = gradedBets.length > 0 ? (wonBets.length / gradedBets.length) * 100 : 0;
     const netPL = totalWinnings - totalWagered;
     const roi = totalWagered > 0 ? (netPL / totalWagered) * 100 : 0;
     
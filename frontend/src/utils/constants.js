@@ -11,15 +11,28 @@ export const TRANSACTION_TYPES = {
 export const BET_STATUSES = {
   PENDING: 'pending',
   WON: 'won',
-  LOST: 'lost'
+  LOST: 'lost',
+  PUSH: 'push',
+  VOID: 'void',
+  CASHOUT: 'cashout'
 };
 
-export const DEFAULT_ACCOUNTS = [
-  { key: 'draftkings1', name: 'DraftKings #1' },
-  { key: 'draftkings2', name: 'DraftKings #2' },
-  { key: 'fanduel', name: 'FanDuel' },
-  { key: 'betmgm', name: 'BetMGM' },
-  { key: 'bet365', name: 'Bet365' }
+export const MARKET_TYPES = [
+  { value: 'moneyline', label: 'Moneyline' },
+  { value: 'spread', label: 'Spread' },
+  { value: 'total', label: 'Total' },
+  { value: 'prop', label: 'Prop' },
+  { value: 'future', label: 'Future' },
+  { value: 'other', label: 'Other' }
+];
+
+// Offered in currency pickers; any three-letter code can be typed in instead
+export const CURRENCIES = [
+  { code: 'USD', name: 'US dollar' },
+  { code: 'CAD', name: 'Canadian dollar' },
+  { code: 'GBP', name: 'British pound' },
+  { code: 'EUR', name: 'Euro' },
+  { code: 'AUD', name: 'Australian dollar' }
 ];
 
 export const ITEMS_PER_PAGE = 20;
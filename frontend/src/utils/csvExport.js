@@ -35,19 +35,13 @@ export class CSVExportService {
   }
 
   static parseCSV(csvText) {
-    try {
-      const lines = csvText.trim().split('\n').slice(1); // Skip header
-      return lines.map(line => {
-        const parts = line.match(/(".*?"|[^",]+)(?=\s*,|\s*$)/g);
-        if (parts && parts.length >= 4) {
-          const [accountKey, type, amount, description] = parts.map(p => p.replace(/"/g, '').trim());
-          return `${accountKey},${type},${amount},${description}`;
-        }
-        return null;
-      }).filter(Boolean).join('\n');
-    } catch (error) {
-      throw new Error('Error parsing CSV data. Please check the format.');
+    // Columns, quoting and dates are parsed by the import preview on the server,
+    // so the file is passed through with only line endings normalised
+    const data = csvText.replace(/\r\n?/g, '\n').trim();
+    if (!data) {
+      throw new Error('The CSV file is empty.');
     }
+    return data;
   }
 
   static validateCSVData(csvData) {
@@ -68,6 +68,12 @@ export class FormattersService {
     }).format(new Date(date));
   }
 
+  // YYYY-MM-DD in local time, as date inputs expect
+  static toInputDate(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
   static formatRelativeTime(date) {
     if (!date) return 'Never';
     